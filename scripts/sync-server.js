@@ -0,0 +1,244 @@
+/**
+ * Servidor de referencia para la sincronización remota del progreso
+ *
+ * Guarda en disco los snapshots que suben los dispositivos (adaptador REST de
+ * src/services/syncAdapters.js) para que un equipo pueda alojar su propia sync.
+ *
+ * Uso:
+ *   node scripts/sync-server.js [--port 8787] [--data ./sync-data] [--token secreto]
+ *                               [--origin *] [--history 20]
+ *
+ *   También se leen SYNC_PORT, SYNC_DATA_DIR, SYNC_TOKEN y SYNC_ORIGIN.
+ *
+ * API (prefijo /api/v1):
+ *   GET /progress/:space?since=N   200 cabeza si su versión es > N, 204 sin cambios, 404 vacío
+ *   PUT /progress/:space           { snapshotId, checksum, baseSnapshotId, snapshot }
+ *                                  200 { version, snapshotId, checksum } o 409 { remote }
+ *   GET /health
+ *
+ * Cada espacio es un directorio con head.json y un archivo por versión
+ * (v<versión>.json); solo se conservan las últimas --history versiones.
+ */
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const crypto = require('crypto');
+
+const API_PREFIX = '/api/v1';
+const MAX_BODY_BYTES = 10 * 1024 * 1024;
+const SPACE_PATTERN = /^[A-Za-z0-9_-][A-Za-z0-9_.-]{0,127}$/;
+
+// ============================================================================
+// CONFIGURACIÓN
+// ============================================================================
+
+function parseArgs(argv) {
+  const options = {
+    port: Number(process.env.SYNC_PORT) || 8787,
+    dataDir: process.env.SYNC_DATA_DIR || path.resolve(process.cwd(), 'sync-data'),
+    token: process.env.SYNC_TOKEN || '',
+    origin: process.env.SYNC_ORIGIN || '*',
+    history: 20
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const value = argv[i + 1];
+    switch (argv[i]) {
+      case '--port': options.port = Number(value); i += 1; break;
+      case '--data': options.dataDir = path.resolve(value); i += 1; break;
+      case '--token': options.token = value; i += 1; break;
+      case '--origin': options.origin = value; i += 1; break;
+      case '--history': options.history = Math.max(1, Number(value) || 1); i += 1; break;
+      default:
+        throw new Error(`Opción desconocida: ${argv[i]}`);
+    }
+  }
+  return options;
+}
+
+// ============================================================================
+// ALMACENAMIENTO
+// ============================================================================
+
+function spaceDir(options, space) {
+  return path.join(options.dataDir, space);
+}
+
+function readJsonFile(filePath) {
+  try {
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+// Escritura atómica: un lector nunca ve un archivo a medias
+function writeJsonFile(filePath, data) {
+  const temp = `${filePath}.${process.pid}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(data), 'utf8');
+  fs.renameSync(temp, filePath);
+}
+
+function readHead(options, space) {
+  const head = readJsonFile(path.join(spaceDir(options, space), 'head.json'));
+  if (!head) return null;
+  const record = readJsonFile(path.join(spaceDir(options, space), `v${head.version}.json`));
+  return record ? { ...head, snapshot: record.snapshot } : null;
+}
+
+function pruneHistory(options, space, latestVersion) {
+  const dir = spaceDir(options, space);
+  fs.readdirSync(dir)
+    .map((name) => /^v(\d+)\.json$/.exec(name))
+    .filter((match) => match && Number(match[1]) <= latestVersion - options.history)
+    .forEach((match) => fs.rmSync(path.join(dir, match[0]), { force: true }));
+}
+
+/**
+ * Aplica una subida. Las operaciones de disco son síncronas, así que dos
+ * subidas al mismo espacio nunca se intercalan.
+ */
+function storeSnapshot(options, space, body) {
+  const head = readHead(options, space);
+
+  if (head && head.checksum === body.checksum) {
+    return { status: 200, payload: { version: head.version, snapshotId: head.snapshotId, checksum: head.checksum } };
+  }
+  if (head && head.snapshotId !== body.baseSnapshotId) {
+    return { status: 409, payload: { error: 'conflict', remote: head } };
+  }
+
+  const version = (head?.version || 0) + 1;
+  const dir = spaceDir(options, space);
+  const now = new Date().toISOString();
+  fs.mkdirSync(dir, { recursive: true });
+  writeJsonFile(path.join(dir, `v${version}.json`), {
+    version,
+    snapshotId: body.snapshotId,
+    checksum: body.checksum,
+    baseSnapshotId: body.baseSnapshotId || null,
+    receivedAt: now,
+    snapshot: body.snapshot
+  });
+  writeJsonFile(path.join(dir, 'head.json'), {
+    version,
+    snapshotId: body.snapshotId,
+    checksum: body.checksum,
+    updatedAt: now
+  });
+  pruneHistory(options, space, version);
+
+  return { status: 200, payload: { version, snapshotId: body.snapshotId, checksum: body.checksum } };
+}
+
+// ============================================================================
+// HTTP
+// ============================================================================
+
+function send(res, options, status, payload) {
+  res.writeHead(status, {
+    'Access-Control-Allow-Origin': options.origin,
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    ...(payload === undefined ? {} : { 'Content-Type': 'application/json; charset=utf-8' })
+  });
+  res.end(payload === undefined ? undefined : JSON.stringify(payload));
+}
+
+function isAuthorized(req, options) {
+  if (!options.token) return true;
+  const expected = Buffer.from(`Bearer ${options.token}`);
+  const received = Buffer.from(req.headers.authorization || '');
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(Object.assign(new Error('Snapshot demasiado grande'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch (error) {
+        reject(Object.assign(new Error('El cuerpo no es JSON válido'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+function validatePush(body) {
+  if (typeof body?.snapshotId !== 'string' || !body.snapshotId) return 'Falta snapshotId';
+  if (typeof body.checksum !== 'string' || !body.checksum) return 'Falta checksum';
+  if (!body.snapshot || typeof body.snapshot !== 'object' || !body.snapshot.progress) return 'Falta snapshot.progress';
+  return null;
+}
+
+async function handleRequest(req, res, options) {
+  const url = new URL(req.url, 'http://localhost');
+
+  if (req.method === 'OPTIONS') return send(res, options, 204);
+  if (url.pathname === `${API_PREFIX}/health`) return send(res, options, 200, { ok: true });
+
+  const match = url.pathname.match(new RegExp(`^${API_PREFIX}/progress/([^/]+)$`));
+  if (!match) return send(res, options, 404, { error: 'Ruta no encontrada' });
+  if (!isAuthorized(req, options)) return send(res, options, 401, { error: 'Token no válido' });
+
+  const space = decodeURIComponent(match[1]);
+  if (!SPACE_PATTERN.test(space) || space.includes('..')) {
+    return send(res, options, 400, { error: 'Espacio no válido' });
+  }
+
+  if (req.method === 'GET') {
+    const head = readHead(options, space);
+    if (!head) return send(res, options, 404, { error: 'Sin progreso en este espacio' });
+    const since = Number(url.searchParams.get('since')) || 0;
+    return head.version > since ? send(res, options, 200, head) : send(res, options, 204);
+  }
+
+  if (req.method === 'PUT') {
+    const body = await readBody(req);
+    const problem = validatePush(body);
+    if (problem) return send(res, options, 422, { error: problem });
+    const { status, payload } = storeSnapshot(options, space, body);
+    console.log(`${new Date().toISOString()} ${space} → ${status === 200 ? `v${payload.version}` : 'conflicto'}`);
+    return send(res, options, status, payload);
+  }
+
+  return send(res, options, 405, { error: 'Método no permitido' });
+}
+
+function main() {
+  const options = parseArgs(process.argv.slice(2));
+  fs.mkdirSync(options.dataDir, { recursive: true });
+
+  const server = http.createServer((req, res) => {
+    handleRequest(req, res, options).catch((error) => {
+      if (!error.status) console.error('❌', error);
+      send(res, options, error.status || 500, { error: error.status ? error.message : 'Error interno' });
+    });
+  });
+
+  server.listen(options.port, () => {
+    console.log(`🔄 Servidor de sincronización en http://localhost:${options.port}${API_PREFIX}`);
+    console.log(`   Datos: ${options.dataDir}${options.token ? ' · con token' : ' · sin token (solo para uso local)'}`);
+  });
+}
+
+try {
+  main();
+} catch (error) {
+  console.error(`❌ ${error.message}`);
+  process.exit(1);
+}
@@ -0,0 +1,415 @@
+/**
+ * Validador y asistente de autoría del banco de preguntas PL-300
+ *
+ * Uso:
+ *   node scripts/validate-questions.js            Valida el banco e imprime cobertura
+ *   node scripts/validate-questions.js --strict   Las advertencias también hacen fallar (exit 1)
+ *   node scripts/validate-questions.js --json     Reporte en JSON (para CI)
+ *   node scripts/validate-questions.js --template <dominio> <nivel> [formato]
+ *                                                 Imprime el esqueleto de una pregunta con el siguiente id libre
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { pathToFileURL } = require('url');
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
+
+const projectRoot = path.resolve(__dirname, '..');
+const QUESTIONS_FILE = path.join(projectRoot, 'src/data/preguntas.js');
+const TAXONOMY_FILE = path.join(projectRoot, 'src/data/taxonomy.js');
+const SCHEMA_FILE = path.join(projectRoot, 'src/schemas/question.schema.json');
+
+const LEVELS = ['principiante', 'intermedio', 'avanzado'];
+const DOMAIN_ID_PREFIX = {
+  'preparar-datos': 'prep',
+  'modelar-datos': 'model',
+  'visualizar-analizar': 'viz',
+  'administrar-asegurar': 'admin'
+};
+const LEVEL_ID_PREFIX = {
+  principiante: 'prin',
+  intermedio: 'inter',
+  avanzado: 'avanz'
+};
+const NEAR_DUPLICATE_THRESHOLD = 0.8;
+
+// ============================================================================
+// CARGA DE MÓDULOS ES DEL FRONTEND
+// ============================================================================
+
+/**
+ * Los datos viven en módulos ES (los consume CRA). Node los trata como
+ * CommonJS por no haber "type": "module", así que el módulo y sus imports
+ * relativos se copian como .mjs a un directorio temporal para importarlos tal cual.
+ */
+const RELATIVE_IMPORT = /(from\s+['"])(\.{1,2}\/[^'"]+)(['"])/g;
+
+function copyModuleGraph(filePath, tempDir, copied = new Map()) {
+  if (copied.has(filePath)) return copied.get(filePath);
+
+  const target = path.join(tempDir, `${copied.size}-${path.basename(filePath, '.js')}.mjs`);
+  copied.set(filePath, target);
+
+  const source = fs.readFileSync(filePath, 'utf8').replace(RELATIVE_IMPORT, (match, head, specifier, tail) => {
+    const resolved = path.resolve(path.dirname(filePath), specifier.endsWith('.js') ? specifier : `${specifier}.js`);
+    return `${head}./${path.basename(copyModuleGraph(resolved, tempDir, copied))}${tail}`;
+  });
+  fs.writeFileSync(target, source, 'utf8');
+  return target;
+}
+
+async function importEsModule(filePath) {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pl300-'));
+  try {
+    const entry = copyModuleGraph(filePath, tempDir);
+    return await import(pathToFileURL(entry).href);
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+// ============================================================================
+// REGLAS
+// ============================================================================
+
+function createReport() {
+  return { errors: [], warnings: [] };
+}
+
+function addIssue(list, questionId, message) {
+  list.push({ id: questionId || '(sin id)', message });
+}
+
+function flattenBank(preguntasEjemplo) {
+  const questions = [];
+  Object.entries(preguntasEjemplo).forEach(([bucketDomain, levels]) => {
+    Object.entries(levels).forEach(([bucketLevel, items]) => {
+      items.forEach((question, position) => {
+        questions.push({ question, bucketDomain, bucketLevel, position });
+      });
+    });
+  });
+  return questions;
+}
+
+function validateSchema(entries, report) {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  const validate = ajv.compile(JSON.parse(fs.readFileSync(SCHEMA_FILE, 'utf8')));
+
+  entries.forEach(({ question }) => {
+    if (!validate(question)) {
+      validate.errors
+        // Los if/then de allOf duplican el error real que ya se reporta
+        .filter((error) => error.keyword !== 'if')
+        .forEach((error) => {
+          addIssue(report.errors, question.id, `esquema: ${error.instancePath || '(raíz)'} ${error.message}`);
+        });
+    }
+  });
+}
+
+function validateAnswerKeys(entries, casosEstudio, report) {
+  entries.forEach(({ question }) => {
+    const format = question.formato || 'opcion-multiple';
+    const options = question.opciones || [];
+    const inRange = (index) => Number.isInteger(index) && index >= 0 && index < options.length;
+
+    switch (format) {
+      case 'opcion-multiple':
+        if (Number.isInteger(question.respuestaCorrecta) && !inRange(question.respuestaCorrecta)) {
+          addIssue(report.errors, question.id, `respuestaCorrecta ${question.respuestaCorrecta} fuera de rango (${options.length} opciones)`);
+        }
+        // Una explicación por distractor
+        if (question.explicacion?.incorrectas && question.explicacion.incorrectas.length !== options.length - 1) {
+          addIssue(
+            report.warnings,
+            question.id,
+            `explicacion.incorrectas tiene ${question.explicacion.incorrectas.length} entradas; se esperaban ${options.length - 1} (una por distractor)`
+          );
+        }
+        break;
+      case 'seleccion-multiple': {
+        const keys = Array.isArray(question.respuestaCorrecta) ? question.respuestaCorrecta : [];
+        if (!keys.every(inRange)) {
+          addIssue(report.errors, question.id, 'respuestaCorrecta contiene índices fuera de rango');
+        }
+        if (question.seleccionesRequeridas && question.seleccionesRequeridas !== keys.length) {
+          addIssue(report.errors, question.id, `seleccionesRequeridas (${question.seleccionesRequeridas}) no coincide con las ${keys.length} respuestas correctas`);
+        }
+        break;
+      }
+      case 'ordenamiento': {
+        const order = Array.isArray(question.respuestaCorrecta) ? question.respuestaCorrecta : [];
+        const isPermutation = order.length === options.length
+          && [...order].sort((a, b) => a - b).every((value, index) => value === index);
+        // El orden en que se escriben las opciones da igual: la app las baraja por pregunta
+        if (!isPermutation) {
+          addIssue(report.errors, question.id, 'respuestaCorrecta debe ser una permutación completa de los índices de opciones');
+        }
+        break;
+      }
+      case 'area-activa':
+        (question.segmentos || []).forEach((segment) => {
+          if (segment.respuestaCorrecta >= (segment.opciones || []).length) {
+            addIssue(report.errors, question.id, `segmento "${segment.etiqueta}": respuestaCorrecta fuera de rango`);
+          }
+        });
+        break;
+      default:
+        break;
+    }
+
+    if (question.casoEstudio && !casosEstudio[question.casoEstudio]) {
+      addIssue(report.errors, question.id, `casoEstudio "${question.casoEstudio}" no existe en casosEstudio`);
+    }
+  });
+}
+
+function validateIds(entries, report) {
+  const seen = new Map();
+  entries.forEach(({ question, bucketDomain, bucketLevel }) => {
+    if (!question.id) return;
+    if (seen.has(question.id)) {
+      addIssue(report.errors, question.id, `id duplicado (también en ${seen.get(question.id)})`);
+    } else {
+      seen.set(question.id, `${bucketDomain}/${bucketLevel}`);
+    }
+
+    const expectedPrefix = `${DOMAIN_ID_PREFIX[bucketDomain]}_${LEVEL_ID_PREFIX[bucketLevel]}_`;
+    if (DOMAIN_ID_PREFIX[bucketDomain] && !question.id.startsWith(expectedPrefix)) {
+      addIssue(report.warnings, question.id, `el id no sigue la convención "${expectedPrefix}NNN" de ${bucketDomain}/${bucketLevel}`);
+    }
+  });
+}
+
+function validateTaxonomy(entries, taxonomy, report) {
+  const { DOMINIOS, resolveDomain, resolveSubdomain, getSubdomainParent } = taxonomy;
+
+  entries.forEach(({ question, bucketDomain, bucketLevel }) => {
+    const { dominio, subdominio, nivel } = question;
+    const canonicalDomain = resolveDomain(dominio) || getSubdomainParent(dominio);
+
+    if (!canonicalDomain) {
+      addIssue(report.warnings, question.id, `dominio desconocido "${dominio}" (no está en taxonomy.js)`);
+    } else if (!DOMINIOS.includes(dominio)) {
+      const kind = getSubdomainParent(dominio) ? 'un subdominio' : 'un alias';
+      addIssue(report.warnings, question.id, `dominio "${dominio}" es ${kind}; usa "${canonicalDomain}"`);
+    } else if (dominio !== bucketDomain) {
+      addIssue(report.warnings, question.id, `dominio "${dominio}" pero está en el bloque ${bucketDomain} (se reubica al cargar)`);
+    }
+
+    if (subdominio) {
+      const canonicalSubdomain = resolveSubdomain(subdominio);
+      if (!canonicalSubdomain) {
+        addIssue(report.warnings, question.id, `subdominio desconocido "${subdominio}" (no está en taxonomy.js)`);
+      } else {
+        if (canonicalSubdomain !== subdominio) {
+          addIssue(report.warnings, question.id, `subdominio "${subdominio}" es un alias; usa "${canonicalSubdomain}"`);
+        }
+        const owner = getSubdomainParent(canonicalSubdomain);
+        if (canonicalDomain && owner !== canonicalDomain) {
+          addIssue(report.warnings, question.id, `subdominio "${subdominio}" pertenece a ${owner}, no a ${canonicalDomain}`);
+        }
+      }
+    }
+
+    if (nivel && nivel !== bucketLevel) {
+      addIssue(report.warnings, question.id, `nivel "${nivel}" pero está en el bloque ${bucketLevel} (se reubica al cargar)`);
+    }
+  });
+}
+
+function normalizeStem(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9\s]/g, ' ')
+    .split(/\s+/)
+    .filter((word) => word.length > 2);
+}
+
+function findNearDuplicates(entries, report) {
+  const stems = entries.map(({ question }) => ({
+    id: question.id,
+    tokens: new Set(normalizeStem(question.pregunta))
+  }));
+
+  for (let i = 0; i < stems.length; i++) {
+    for (let j = i + 1; j < stems.length; j++) {
+      const a = stems[i].tokens;
+      const b = stems[j].tokens;
+      if (a.size === 0 || b.size === 0) continue;
+      let shared = 0;
+      a.forEach((token) => {
+        if (b.has(token)) shared++;
+      });
+      const similarity = shared / (a.size + b.size - shared);
+      if (similarity >= NEAR_DUPLICATE_THRESHOLD) {
+        addIssue(
+          report.warnings,
+          stems[i].id,
+          `enunciado casi duplicado de ${stems[j].id} (similitud ${Math.round(similarity * 100)}%)`
+        );
+      }
+    }
+  }
+}
+
+function buildCoverage(entries, dominiosInfo) {
+  const coverage = {};
+  Object.keys(dominiosInfo).forEach((domain) => {
+    coverage[domain] = { total: 0, peso: dominiosInfo[domain].peso, levels: {}, formats: {} };
+    LEVELS.forEach((level) => {
+      coverage[domain].levels[level] = 0;
+    });
+  });
+
+  entries.forEach(({ question, bucketDomain, bucketLevel }) => {
+    if (!coverage[bucketDomain]) {
+      coverage[bucketDomain] = { total: 0, peso: '—', levels: {}, formats: {} };
+    }
+    const format = question.formato || 'opcion-multiple';
+    coverage[bucketDomain].total++;
+    coverage[bucketDomain].levels[bucketLevel] = (coverage[bucketDomain].levels[bucketLevel] || 0) + 1;
+    coverage[bucketDomain].formats[format] = (coverage[bucketDomain].formats[format] || 0) + 1;
+  });
+
+  return coverage;
+}
+
+// ============================================================================
+// SALIDA
+// ============================================================================
+
+function printIssues(title, issues) {
+  if (issues.length === 0) return;
+  console.log(`\n${title} (${issues.length})`);
+  issues.forEach((issue) => {
+    console.log(`  - [${issue.id}] ${issue.message}`);
+  });
+}
+
+function printCoverage(coverage, totalQuestions) {
+  console.log('\nCobertura por dominio y nivel');
+  const header = ['Dominio'.padEnd(22), 'Prin'.padStart(5), 'Inter'.padStart(6), 'Avanz'.padStart(6), 'Total'.padStart(6), '% banco'.padStart(8), 'Peso examen'.padStart(12)];
+  console.log(`  ${header.join(' ')}`);
+  Object.entries(coverage).forEach(([domain, stats]) => {
+    const share = totalQuestions > 0 ? `${Math.round((stats.total / totalQuestions) * 100)}%` : '0%';
+    const row = [
+      domain.padEnd(22),
+      String(stats.levels.principiante || 0).padStart(5),
+      String(stats.levels.intermedio || 0).padStart(6),
+      String(stats.levels.avanzado || 0).padStart(6),
+      String(stats.total).padStart(6),
+      share.padStart(8),
+      String(stats.peso).padStart(12)
+    ];
+    console.log(`  ${row.join(' ')}`);
+  });
+
+  console.log('\nFormatos por dominio');
+  Object.entries(coverage).forEach(([domain, stats]) => {
+    const formats = Object.entries(stats.formats)
+      .map(([format, count]) => `${format}: ${count}`)
+      .join(', ');
+    console.log(`  ${domain.padEnd(22)} ${formats || '—'}`);
+  });
+}
+
+// ============================================================================
+// PLANTILLA DE AUTORÍA
+// ============================================================================
+
+function nextQuestionId(entries, domain, level) {
+  const prefix = `${DOMAIN_ID_PREFIX[domain]}_${LEVEL_ID_PREFIX[level]}_`;
+  const used = entries
+    .map(({ question }) => question.id)
+    .filter((id) => id && id.startsWith(prefix))
+    .map((id) => parseInt(id.slice(prefix.length), 10))
+    .filter(Number.isInteger);
+  const next = used.length > 0 ? Math.max(...used) + 1 : 1;
+  return `${prefix}${String(next).padStart(3, '0')}`;
+}
+
+function buildTemplate(id, domain, level, format) {
+  const base = {
+    id,
+    pregunta: '',
+    explicacion: { correcta: '', incorrectas: [] },
+    dominio: domain,
+    subdominio: '',
+    nivel: level,
+    formato: format,
+    trampaComun: '',
+    referencias: ['https://learn.microsoft.com/']
+  };
+
+  switch (format) {
+    case 'seleccion-multiple':
+      return { ...base, opciones: ['', '', '', ''], respuestaCorrecta: [0, 1], seleccionesRequeridas: 2 };
+    case 'ordenamiento':
+      return { ...base, opciones: ['', '', '', ''], respuestaCorrecta: [1, 3, 0, 2] };
+    case 'si-no':
+      return { ...base, afirmaciones: [{ texto: '', respuesta: true }, { texto: '', respuesta: false }] };
+    case 'area-activa':
+      return { ...base, plantilla: '', segmentos: [{ etiqueta: '[1]', opciones: ['', ''], respuestaCorrecta: 0 }] };
+    default:
+      return { ...base, opciones: ['', '', '', ''], respuestaCorrecta: 0, explicacion: { correcta: '', incorrectas: ['', '', ''] } };
+  }
+}
+
+// ============================================================================
+// MAIN
+// ============================================================================
+
+async function main() {
+  const args = process.argv.slice(2);
+  const { preguntasFuente, preguntasEjemplo, dominiosInfo, casosEstudio = {} } = await importEsModule(QUESTIONS_FILE);
+  const taxonomy = await importEsModule(TAXONOMY_FILE);
+  // Se valida el banco tal como está escrito; la cobertura, tal como lo ve la app (normalizado)
+  const entries = flattenBank(preguntasFuente);
+
+  const templateIndex = args.indexOf('--template');
+  if (templateIndex !== -1) {
+    const [domain, level, format = 'opcion-multiple'] = args.slice(templateIndex + 1);
+    if (!DOMAIN_ID_PREFIX[domain] || !LEVEL_ID_PREFIX[level]) {
+      console.error(`Uso: --template <${Object.keys(DOMAIN_ID_PREFIX).join('|')}> <${LEVELS.join('|')}> [formato]`);
+      process.exit(1);
+    }
+    const template = buildTemplate(nextQuestionId(entries, domain, level), domain, level, format);
+    console.log(JSON.stringify(template, null, 2));
+    return;
+  }
+
+  const report = createReport();
+  validateSchema(entries, report);
+  validateAnswerKeys(entries, casosEstudio, report);
+  validateIds(entries, report);
+  validateTaxonomy(entries, taxonomy, report);
+  findNearDuplicates(entries, report);
+  const coverage = buildCoverage(flattenBank(preguntasEjemplo), dominiosInfo);
+
+  const strict = args.includes('--strict');
+  const failed = report.errors.length > 0 || (strict && report.warnings.length > 0);
+
+  if (args.includes('--json')) {
+    console.log(JSON.stringify({ totalQuestions: entries.length, ...report, coverage }, null, 2));
+  } else {
+    console.log(`Banco de preguntas: ${entries.length} preguntas en ${path.relative(projectRoot, QUESTIONS_FILE)}`);
+    printIssues('Errores', report.errors);
+    printIssues('Advertencias', report.warnings);
+    printCoverage(coverage, entries.length);
+    console.log(`\n${failed ? '✖' : '✔'} ${report.errors.length} errores, ${report.warnings.length} advertencias`);
+  }
+
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
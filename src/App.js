@@ -5,6 +5,17 @@ import HomeScreen from './components/HomeScreen';
 import ProfileScreenDuolingo from './components/ProfileScreenDuolingo';
 import InstructionsScreen from './components/InstructionsScreen';
 import QuizScreen from './components/QuizScreen';
+import AdaptiveExamScreen from './components/AdaptiveExamScreen';
+import AdaptiveResultsScreen from './components/AdaptiveResultsScreen';
+import MockExamScreen from './components/MockExamScreen';
+import DailyReviewScreen from './components/DailyReviewScreen';
+import PowerQuerySimulatorScreen from './components/PowerQuerySimulatorScreen';
+import DaxSandboxScreen from './components/DaxSandboxScreen';
+import ModelDesignScreen from './components/ModelDesignScreen';
+import RlsSimulatorScreen from './components/RlsSimulatorScreen';
+import ReportVisualScreen from './components/ReportVisualScreen';
+import ProgressBackupScreen from './components/ProgressBackupScreen';
+import DeviceSyncScreen from './components/DeviceSyncScreen';
 import ResultsScreen from './components/ResultsScreen';
 import AnalysisScreen from './components/AnalysisScreen';
 import ExamGuideScreen from './components/ExamGuideScreen';
@@ -73,6 +84,75 @@ function App() {
             quizConfig={quizConfig}
           />
         );
+      case 'adaptive-exam':
+        return (
+          <AdaptiveExamScreen 
+            onNavigate={navigateToScreen} 
+            quizConfig={quizConfig}
+          />
+        );
+      case 'adaptive-results':
+        return (
+          <AdaptiveResultsScreen 
+            onNavigate={navigateToScreen} 
+            results={quizResults}
+          />
+        );
+      case 'mock-exam':
+        return (
+          <MockExamScreen 
+            onNavigate={navigateToScreen} 
+            quizConfig={quizConfig}
+          />
+        );
+      case 'daily-review':
+        return (
+          <DailyReviewScreen 
+            onNavigate={navigateToScreen}
+          />
+        );
+      case 'power-query':
+        return (
+          <PowerQuerySimulatorScreen 
+            onNavigate={navigateToScreen}
+          />
+        );
+      case 'dax-sandbox':
+        return (
+          <DaxSandboxScreen 
+            onNavigate={navigateToScreen}
+          />
+        );
+      case 'model-design':
+        return (
+          <ModelDesignScreen 
+            onNavigate={navigateToScreen}
+          />
+        );
+      case 'rls-simulator':
+        return (
+          <RlsSimulatorScreen 
+            onNavigate={navigateToScreen}
+          />
+        );
+      case 'report-visual':
+        return (
+          <ReportVisualScreen 
+            onNavigate={navigateToScreen}
+          />
+        );
+      case 'progress-backup':
+        return (
+          <ProgressBackupScreen 
+            onNavigate={navigateToScreen}
+          />
+        );
+      case 'device-sync':
+        return (
+          <DeviceSyncScreen 
+            onNavigate={navigateToScreen}
+          />
+        );
       case 'results':
         return (
           <ResultsScreen 
@@ -4,6 +4,8 @@ import { GameStateProvider } from './contexts/GameStateContext';
 import CxCMenuScreen from './screens/CxCMenuScreen';
 import MissionScreen from './screens/MissionScreen';
 import CxCProfileScreen from './screens/CxCProfileScreen';
+import ARSandboxScreen from './screens/ARSandboxScreen';
+import MissionEditorScreen from './screens/MissionEditorScreen';
 import AutosaveIndicator from './components/cxc/AutosaveIndicator';
 import HelpButton from './components/cxc/HelpButton';
 import './styles/CxCApp.css';
@@ -19,17 +21,24 @@ const CxCApp = ({ onExit }) => {
   const [autosaveStatus, setAutosaveStatus] = React.useState('idle');
   const [lastSaved, setLastSaved] = React.useState(null);
   const [currentMissionId, setCurrentMissionId] = React.useState(null);
-  const [currentScreen, setCurrentScreen] = React.useState('menu'); // 'menu', 'mission', 'profile'
+  const [currentScreen, setCurrentScreen] = React.useState('menu'); // 'menu', 'mission', 'profile', 'sandbox', 'editor'
   const [missionId, setMissionId] = React.useState(null);
+  const [resumeSnapshot, setResumeSnapshot] = React.useState(null);
 
   // Función de navegación interna
-  const navigate = React.useCallback((path) => {
+  // ⏯️ options.resumeSnapshot reanuda la misión desde una instantánea guardada
+  const navigate = React.useCallback((path, options = {}) => {
     if (path.startsWith('/cxc/mission/')) {
       const id = path.replace('/cxc/mission/', '');
       setMissionId(id);
+      setResumeSnapshot(options.resumeSnapshot || null);
       setCurrentScreen('mission');
     } else if (path === '/cxc/profile') {
       setCurrentScreen('profile');
+    } else if (path === '/cxc/sandbox') {
+      setCurrentScreen('sandbox');
+    } else if (path === '/cxc/editor') {
+      setCurrentScreen('editor');
     } else if (path === '/cxc/menu') {
       setCurrentScreen('menu');
       setMissionId(null);
@@ -74,9 +83,20 @@ const CxCApp = ({ onExit }) => {
       case 'menu':
         return <CxCMenuScreen onNavigate={navigate} />;
       case 'mission':
-        return <MissionScreen missionId={missionId} onNavigate={navigate} />;
+        return (
+          <MissionScreen
+            key={missionId}
+            missionId={missionId}
+            resumeSnapshot={resumeSnapshot}
+            onNavigate={navigate}
+          />
+        );
       case 'profile':
         return <CxCProfileScreen onNavigate={navigate} />;
+      case 'sandbox':
+        return <ARSandboxScreen onNavigate={navigate} />;
+      case 'editor':
+        return <MissionEditorScreen onNavigate={navigate} />;
       default:
         return <CxCMenuScreen onNavigate={navigate} />;
     }
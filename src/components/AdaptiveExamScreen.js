@@ -0,0 +1,220 @@
+import React, { useState, useEffect, useRef } from 'react';
+import '../styles/QuizScreen.css';
+import '../styles/AdaptiveExamScreen.css';
+import { getFilteredQuestions } from '../data/preguntas';
+import { AdaptiveTestController, CAT_CONFIG, thetaToLevel } from '../utils/adaptiveTesting';
+import { isAnswerComplete } from '../utils/questionFormats';
+import QuestionFormatRenderer from './QuestionFormatRenderer';
+
+/**
+ * Examen adaptativo (CAT): cada pregunta se elige según la habilidad
+ * estimada tras la respuesta anterior, hasta cumplir los criterios de
+ * parada de CAT_CONFIG (error estándar o longitud máxima).
+ */
+const AdaptiveExamScreen = ({ onNavigate, quizConfig }) => {
+  const controllerRef = useRef(null);
+  const answersRef = useRef({});
+  const [currentQuestion, setCurrentQuestion] = useState(null);
+  const [selectedAnswer, setSelectedAnswer] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [lastStep, setLastStep] = useState(null);
+  const [timeElapsed, setTimeElapsed] = useState(0);
+  const [startTime] = useState(Date.now());
+  const [isLoading, setIsLoading] = useState(true);
+
+  useEffect(() => {
+    // El banco completo: el controlador decide dominio y dificultad ítem a ítem
+    const questionBank = getFilteredQuestions(quizConfig?.domain || 'all', 'all');
+    const controller = new AdaptiveTestController(questionBank);
+    controllerRef.current = controller;
+    answersRef.current = {};
+
+    setCurrentQuestion(controller.getNextQuestion());
+    setProgress(controller.getProgress());
+    setIsLoading(false);
+  }, [quizConfig]);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setTimeElapsed(Math.floor((Date.now() - startTime) / 1000));
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [startTime]);
+
+  const formatTime = (seconds) => {
+    const mins = Math.floor(seconds / 60);
+    const secs = seconds % 60;
+    return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
+  };
+
+  const finishExam = () => {
+    const controller = controllerRef.current;
+    if (!controller) return;
+
+    const results = {
+      mode: 'adaptive',
+      questions: controller.questions,
+      answers: answersRef.current,
+      timeElapsed,
+      config: { ...quizConfig, mode: 'adaptive' },
+      timestamp: Date.now(),
+      adaptive: controller.getResults()
+    };
+
+    onNavigate('adaptive-results', { results });
+  };
+
+  const confirmAnswer = () => {
+    const controller = controllerRef.current;
+    if (!controller || !currentQuestion || !isAnswerComplete(currentQuestion, selectedAnswer)) return;
+
+    answersRef.current[controller.questions.length] = selectedAnswer;
+    controller.recordResponse(currentQuestion, selectedAnswer);
+    setLastStep(controller.trajectory[controller.trajectory.length - 1]);
+    setSelectedAnswer(null);
+
+    if (controller.canFinish()) {
+      finishExam();
+      return;
+    }
+
+    const nextQuestion = controller.getNextQuestion();
+    if (!nextQuestion) {
+      finishExam();
+      return;
+    }
+
+    setCurrentQuestion(nextQuestion);
+    setProgress(controller.getProgress());
+  };
+
+  if (isLoading) {
+    return (
+      <div className="quiz-screen">
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Preparando examen adaptativo...</p>
+        </div>
+      </div>
+    );
+  }
+
+  if (!currentQuestion) {
+    return (
+      <div className="quiz-screen">
+        <div className="quiz-container">
+          <div className="no-questions-message">
+            <h2>⚠️ Sin preguntas disponibles</h2>
+            <p>No hay preguntas suficientes para construir un examen adaptativo con esta configuración.</p>
+            <button className="primary-button" onClick={() => onNavigate('home')}>
+              ← Volver al Inicio
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const answeredCount = progress?.questionsAnswered || 0;
+  const canStopEarly = answeredCount >= CAT_CONFIG.minQuestions;
+
+  return (
+    <div className="quiz-screen adaptive-exam-screen">
+      <div className="quiz-container">
+        <header className="quiz-header">
+          <div className="header-left">
+            <h1>Examen Adaptativo</h1>
+            <div className="quiz-stats">
+              <span className="stat">⏱️ {formatTime(timeElapsed)}</span>
+              <span className="stat">📝 Ítem {answeredCount + 1}</span>
+              <span className="stat">🎚️ Máx. {CAT_CONFIG.maxQuestions}</span>
+            </div>
+          </div>
+          <button
+            className="finish-button"
+            onClick={canStopEarly ? finishExam : () => onNavigate('home')}
+            title={canStopEarly
+              ? 'Terminar con la estimación actual'
+              : `Se necesitan al menos ${CAT_CONFIG.minQuestions} respuestas para estimar tu nivel`}
+          >
+            {canStopEarly ? 'Terminar Examen' : 'Abandonar'}
+          </button>
+        </header>
+
+        <div className="progress-bar-container">
+          <div className="progress-bar" style={{ width: `${progress?.progressPercentage || 0}%` }}>
+            <span className="progress-text">{Math.round(progress?.progressPercentage || 0)}%</span>
+          </div>
+        </div>
+
+        <div className="quiz-content adaptive-content">
+          <aside className="question-sidebar adaptive-sidebar">
+            <h3>Estimación en vivo</h3>
+            <div className="adaptive-estimate">
+              <span className="estimate-label">Habilidad (θ)</span>
+              <span className="estimate-value">
+                {(lastStep ? lastStep.theta : CAT_CONFIG.initialTheta).toFixed(2)}
+              </span>
+            </div>
+            <div className="adaptive-estimate">
+              <span className="estimate-label">Error estándar</span>
+              <span className="estimate-value">
+                {lastStep && Number.isFinite(lastStep.standardError)
+                  ? lastStep.standardError.toFixed(2)
+                  : '—'}
+              </span>
+            </div>
+            <div className="adaptive-estimate">
+              <span className="estimate-label">Nivel estimado</span>
+              <span className="estimate-value level">
+                {thetaToLevel(lastStep ? lastStep.theta : CAT_CONFIG.initialTheta)}
+              </span>
+            </div>
+            <p className="adaptive-hint">
+              El examen termina cuando el error estándar baja de {CAT_CONFIG.maxStandardError} o
+              al llegar a {CAT_CONFIG.maxQuestions} preguntas. No es posible volver atrás.
+            </p>
+          </aside>
+
+          <div className="question-area">
+            <div className="question-header">
+              <div className="question-meta">
+                <span className="question-number">Pregunta {answeredCount + 1}</span>
+                <div className="question-tags">
+                  <span className="tag domain">{currentQuestion.dominio}</span>
+                  <span className="tag level">{currentQuestion.nivel}</span>
+                </div>
+              </div>
+            </div>
+
+            <div className="question-body">
+              <QuestionFormatRenderer
+                key={currentQuestion.id}
+                question={currentQuestion}
+                answer={selectedAnswer}
+                onAnswer={setSelectedAnswer}
+              />
+            </div>
+
+            <div className="question-navigation">
+              <span className="nav-info">
+                {!isAnswerComplete(currentQuestion, selectedAnswer)
+                  ? 'Selecciona una respuesta para continuar'
+                  : 'Confirma para pasar a la siguiente pregunta'}
+              </span>
+              <button
+                className="nav-button finish"
+                onClick={confirmAnswer}
+                disabled={!isAnswerComplete(currentQuestion, selectedAnswer)}
+              >
+                Confirmar →
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdaptiveExamScreen;
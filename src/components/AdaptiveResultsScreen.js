@@ -0,0 +1,281 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import '../styles/ResultsScreen.css';
+import '../styles/AdaptiveExamScreen.css';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import { CAT_CONFIG, thetaToScore, thetaToLevel } from '../utils/adaptiveTesting';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  Legend,
+  ReferenceLine,
+  ResponsiveContainer
+} from 'recharts';
+
+const LEVEL_LABELS = {
+  principiante: { label: 'Principiante', icon: '🌱' },
+  intermedio: { label: 'Intermedio', icon: '🚀' },
+  avanzado: { label: 'Avanzado', icon: '🏆' }
+};
+
+const formatTime = (seconds) => {
+  const mins = Math.floor(seconds / 60);
+  const secs = seconds % 60;
+  return `${mins}m ${secs}s`;
+};
+
+const AdaptiveResultsScreen = ({ onNavigate, results }) => {
+  const [progressUpdate, setProgressUpdate] = useState(null);
+  const hasProcessedResults = useRef(false);
+
+  const {
+    recordQuestionAttempt,
+    saveAnsweredQuestion,
+    updateProgressAfterQuiz
+  } = useCxCProgress();
+
+  const adaptive = results?.adaptive;
+
+  // Registrar los intentos en el tracking centralizado una sola vez
+  useEffect(() => {
+    if (!results || !adaptive || hasProcessedResults.current) return;
+    hasProcessedResults.current = true;
+
+    const timePerItem = results.questions.length > 0
+      ? results.timeElapsed / results.questions.length
+      : 0;
+
+    adaptive.trajectory.forEach((step, index) => {
+      const question = results.questions[index];
+      if (!question) return;
+
+      recordQuestionAttempt(question.id, step.isCorrect, timePerItem, {
+        domain: question.dominio,
+        level: question.nivel,
+        subdominio: question.subdominio || 'otros',
+        format: question.formato || 'opcion-multiple',
+        mode: 'adaptive',
+        theta: step.theta
+      });
+
+      if (step.isCorrect) {
+        saveAnsweredQuestion(question.id);
+      }
+    });
+
+    const questionDetails = adaptive.trajectory.map((step, index) => ({
+      id: step.questionId,
+      domain: step.dominio,
+      level: step.nivel,
+      correct: step.isCorrect,
+      timeSpent: timePerItem
+    }));
+
+    const updateInfo = updateProgressAfterQuiz({
+      totalQuestions: questionDetails.length,
+      correctAnswers: questionDetails.filter((detail) => detail.correct).length,
+      totalTime: results.timeElapsed,
+      domain: results.config?.domain || 'all',
+      questionDetails
+    });
+    setProgressUpdate(updateInfo);
+  }, [results, adaptive, recordQuestionAttempt, saveAnsweredQuestion, updateProgressAfterQuiz]);
+
+  const chartData = useMemo(() => {
+    if (!adaptive) return [];
+    return [
+      { item: 0, theta: CAT_CONFIG.initialTheta, upper: null, lower: null },
+      ...adaptive.trajectory.map((step) => {
+        const hasError = Number.isFinite(step.standardError);
+        return {
+          item: step.item,
+          theta: Number(step.theta.toFixed(3)),
+          upper: hasError ? Number(Math.min(CAT_CONFIG.maxTheta, step.theta + step.standardError).toFixed(3)) : null,
+          lower: hasError ? Number(Math.max(CAT_CONFIG.minTheta, step.theta - step.standardError).toFixed(3)) : null
+        };
+      })
+    ];
+  }, [adaptive]);
+
+  if (!results || !adaptive) {
+    return <div>No hay resultados disponibles</div>;
+  }
+
+  const score = thetaToScore(adaptive.theta);
+  const level = thetaToLevel(adaptive.theta);
+  const levelInfo = LEVEL_LABELS[level] || { label: level, icon: '🎯' };
+  const correctCount = adaptive.trajectory.filter((step) => step.isCorrect).length;
+  const recommendations = adaptive.recommendations || {};
+
+  return (
+    <div className="results-screen adaptive-results-screen">
+      <div className="results-container">
+        <header className="results-header">
+          <h1>Resultados del Examen Adaptativo</h1>
+          <p className="results-subtitle">
+            Tu nivel se estimó con {adaptive.questionsAnswered} preguntas seleccionadas según tus respuestas
+          </p>
+        </header>
+
+        {progressUpdate && progressUpdate.pointsEarned > 0 && (
+          <div className="achievements-banner">
+            <div className="points-earned">
+              <span className="points-icon">⭐</span>
+              <div className="points-info">
+                <span className="points-value">+{progressUpdate.pointsEarned} puntos</span>
+                <span className="points-label">¡Ganados en este examen!</span>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="score-section">
+          <div className="score-card main-score pass">
+            <div className="score-icon">{levelInfo.icon}</div>
+            <div className="score-content">
+              <div className="score-number">{score}/100</div>
+              <div className="score-label">Nivel {levelInfo.label}</div>
+              <div className="score-details">
+                θ = {adaptive.theta.toFixed(2)}
+                {Number.isFinite(adaptive.standardError) && ` ± ${adaptive.standardError.toFixed(2)}`}
+              </div>
+            </div>
+          </div>
+
+          <div className="stats-grid">
+            <div className="stat-card">
+              <div className="stat-icon correct">✓</div>
+              <div className="stat-content">
+                <div className="stat-value">{correctCount}</div>
+                <div className="stat-label">Correctas</div>
+              </div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-icon incorrect">✗</div>
+              <div className="stat-content">
+                <div className="stat-value">{adaptive.questionsAnswered - correctCount}</div>
+                <div className="stat-label">Incorrectas</div>
+              </div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-icon unanswered">σ</div>
+              <div className="stat-content">
+                <div className="stat-value">
+                  {Number.isFinite(adaptive.standardError) ? adaptive.standardError.toFixed(2) : '—'}
+                </div>
+                <div className="stat-label">Error Estándar</div>
+              </div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-icon time">⏱️</div>
+              <div className="stat-content">
+                <div className="stat-value">{formatTime(results.timeElapsed)}</div>
+                <div className="stat-label">Tiempo Total</div>
+              </div>
+            </div>
+          </div>
+        </div>
+
+        <div className="breakdown-section">
+          <h2>Trayectoria de Habilidad</h2>
+          <div className="adaptive-chart">
+            <ResponsiveContainer width="100%" height={320}>
+              <LineChart data={chartData} margin={{ top: 10, right: 20, left: 0, bottom: 10 }}>
+                <CartesianGrid strokeDasharray="3 3" />
+                <XAxis dataKey="item" label={{ value: 'Ítem', position: 'insideBottomRight', offset: -5 }} />
+                <YAxis domain={[CAT_CONFIG.minTheta, CAT_CONFIG.maxTheta]} />
+                <Tooltip />
+                <Legend />
+                <ReferenceLine y={-0.5} stroke="#f59e0b" strokeDasharray="4 4" />
+                <ReferenceLine y={0.5} stroke="#10b981" strokeDasharray="4 4" />
+                <Line type="monotone" dataKey="theta" name="θ estimado" stroke="#7B3FF2" strokeWidth={3} dot />
+                <Line type="monotone" dataKey="upper" name="θ + EE" stroke="#A855F7" strokeDasharray="5 5" dot={false} connectNulls />
+                <Line type="monotone" dataKey="lower" name="θ − EE" stroke="#A855F7" strokeDasharray="5 5" dot={false} connectNulls />
+              </LineChart>
+            </ResponsiveContainer>
+          </div>
+
+          <div className="adaptive-trajectory-table">
+            <div className="trajectory-row header">
+              <span>#</span>
+              <span>Dominio</span>
+              <span>Nivel</span>
+              <span>Resultado</span>
+              <span>θ</span>
+              <span>EE</span>
+            </div>
+            {adaptive.trajectory.map((step) => (
+              <div key={step.item} className={`trajectory-row ${step.isCorrect ? 'correct' : 'incorrect'}`}>
+                <span>{step.item}</span>
+                <span>{step.dominio}</span>
+                <span>{step.nivel}</span>
+                <span>{step.isCorrect ? '✓' : '✗'}</span>
+                <span>{step.theta.toFixed(2)}</span>
+                <span>{Number.isFinite(step.standardError) ? step.standardError.toFixed(2) : '—'}</span>
+              </div>
+            ))}
+          </div>
+        </div>
+
+        <div className="breakdown-section">
+          <h2>Análisis por Dominio</h2>
+          <div className="domain-stats">
+            {Object.entries(adaptive.domainPerformance).map(([domain, stats]) => {
+              const percentage = Math.round(stats.accuracy * 100);
+              return (
+                <div key={domain} className="domain-stat-card">
+                  <div className="domain-header">
+                    <span className="domain-name">{domain}</span>
+                    <span className="domain-score">{percentage}%</span>
+                  </div>
+                  <div className="domain-bar">
+                    <div className="domain-bar-fill" style={{ width: `${percentage}%` }}></div>
+                  </div>
+                  <div className="domain-details">
+                    {stats.correct} / {stats.total} correctas
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+
+        {Array.isArray(recommendations.nextSteps) && recommendations.nextSteps.length > 0 && (
+          <div className="recommendations-section">
+            <h2>📋 Próximos Pasos</h2>
+            <div className="recommendations-grid">
+              <div className="recommendation-card good">
+                <div className="rec-icon">📈</div>
+                <div className="rec-content">
+                  <h3>Plan sugerido ({recommendations.studyPlan?.estimatedHours || 0} h)</h3>
+                  <ul>
+                    {recommendations.nextSteps.map((step) => (
+                      <li key={step}>{step}</li>
+                    ))}
+                  </ul>
+                </div>
+              </div>
+            </div>
+          </div>
+        )}
+
+        <div className="results-actions">
+          <button className="action-button secondary" onClick={() => onNavigate('home')}>
+            🏠 Volver al Inicio
+          </button>
+          <button
+            className="action-button primary"
+            onClick={() => onNavigate('adaptive-exam', { config: results.config })}
+          >
+            🔁 Repetir Examen Adaptativo
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AdaptiveResultsScreen;
@@ -1,6 +1,7 @@
 import React, { useMemo } from 'react';
 import '../styles/AnalysisScreen.css';
 import DiagnosticResults from './DiagnosticResults';
+import { isAnswerCorrect } from '../utils/questionFormats';
 import {
   calcularPuntuacionGlobal,
   analizarPorCategorias,
@@ -45,7 +46,7 @@ const AnalysisScreen = ({ results, onNavigate, onRestart }) => {
 
     questions.forEach((question, index) => {
       const userAnswer = answers[index];
-      const isCorrect = userAnswer === question.respuestaCorrecta;
+      const isCorrect = isAnswerCorrect(question, userAnswer);
 
       // Contadores generales
       if (userAnswer === undefined) {
@@ -7,69 +7,45 @@ import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend,
   LineChart, Line, ResponsiveContainer, Cell
 } from 'recharts';
+import { DOMINIOS, TAXONOMIA_PL300, resolveDomain, resolveSubdomain } from '../data/taxonomy';
 import '../styles/CompetencyVisualization.css';
 
 // ============================================================================
 // CONFIGURACIÓN DE DOMINIOS Y COMPETENCIAS
 // ============================================================================
 
-const DOMAIN_CONFIG = {
-  'preparar-datos': {
-    label: 'Preparar Datos',
-    color: '#3b82f6',
-    icon: '🔄',
-    benchmark: 75
-  },
-  'diseñar-implementar-modelo': {
-    label: 'Modelado',
-    color: '#8b5cf6',
-    icon: '🗂️',
-    benchmark: 80
-  },
-  'crear-calculos-dax': {
-    label: 'DAX',
-    color: '#10b981',
-    icon: '📊',
-    benchmark: 70
-  },
-  'visualizar-analizar': {
-    label: 'Visualización',
-    color: '#f59e0b',
-    icon: '📈',
-    benchmark: 75
-  },
-  'crear-reportes': {
-    label: 'Reportes',
-    color: '#ef4444',
-    icon: '📄',
-    benchmark: 75
-  },
-  'optimizar-rendimiento': {
-    label: 'Rendimiento',
-    color: '#ec4899',
-    icon: '⚡',
-    benchmark: 65
-  },
-  'asegurar-gobernar': {
-    label: 'Seguridad',
-    color: '#06b6d4',
-    icon: '🔒',
-    benchmark: 70
-  }
+// 🎯 Benchmark de aprobado por dominio; nombre, color e icono vienen de la taxonomía
+const DOMAIN_BENCHMARKS = {
+  'preparar-datos': 75,
+  'modelar-datos': 75,
+  'visualizar-analizar': 75,
+  'administrar-asegurar': 70
 };
 
+// 🧪 Actividades prácticas cuyo resultado cuenta en la competencia de su dominio
+const PRACTICE_SOURCES = ['power-query', 'dax-sandbox', 'model-designer', 'rls-simulator', 'report-visual'];
+
+const DOMAIN_CONFIG = Object.fromEntries(
+  DOMINIOS.map((dominio) => [dominio, {
+    label: TAXONOMIA_PL300[dominio].nombreCorto,
+    color: TAXONOMIA_PL300[dominio].color,
+    icon: TAXONOMIA_PL300[dominio].icono,
+    benchmark: DOMAIN_BENCHMARKS[dominio]
+  }])
+);
+
 // ============================================================================
 // COMPONENTE PRINCIPAL
 // ============================================================================
 
-const CompetencyVisualization = ({ results, historicalData = [], userProfile }) => {
+const CompetencyVisualization = ({ results, historicalData = [], userProfile, practiceTracking = {} }) => {
   const [selectedView, setSelectedView] = useState('radar');
   const [comparisonMode, setComparisonMode] = useState(false);
   
   // Procesar datos para visualizaciones
   const competencyData = useMemo(() => 
-    processCompetencyData(results, historicalData),
-    [results, historicalData]
+    processCompetencyData(results, practiceTracking),
+    [results, practiceTracking]
   );
   
   const heatmapData = useMemo(() => 
@@ -576,13 +552,13 @@ const GapAnalysis = ({ data }) => {
 // FUNCIONES DE PROCESAMIENTO DE DATOS
 // ============================================================================
 
-function processCompetencyData(results, historicalData) {
+function processCompetencyData(results, practiceTracking) {
   const domainStats = {};
   
   // Procesar resultados actuales
   if (results && results.questions) {
     results.questions.forEach((q, idx) => {
-      const domain = q.dominio;
+      const domain = resolveDomain(q.dominio) || q.dominio;
       if (!domainStats[domain]) {
         domainStats[domain] = { total: 0, correct: 0 };
       }
@@ -593,6 +569,19 @@ function processCompetencyData(results, historicalData) {
     });
   }
   
+  // Sumar las actividades prácticas (último intento de cada ejercicio) de questionTracking
+  Object.values(practiceTracking).forEach(tracking => {
+    const lastAttempt = tracking.timestamps?.[tracking.timestamps.length - 1];
+    if (!tracking.domain || !PRACTICE_SOURCES.includes(lastAttempt?.source)) return;
+    if (!domainStats[tracking.domain]) {
+      domainStats[tracking.domain] = { total: 0, correct: 0 };
+    }
+    domainStats[tracking.domain].total++;
+    if (tracking.lastAttemptCorrect) {
+      domainStats[tracking.domain].correct++;
+    }
+  });
+  
   // Convertir a formato de radar chart
   return Object.entries(DOMAIN_CONFIG).map(([key, config]) => {
     const stats = domainStats[key] || { total: 0, correct: 0 };
@@ -620,7 +609,7 @@ function generateHeatmapData(historicalData) {
   
   domains.forEach(domain => {
     sessions.forEach(session => {
-      const domainQuestions = session.questions?.filter(q => q.dominio === domain.key) || [];
+      const domainQuestions = session.questions?.filter(q => resolveDomain(q.dominio) === domain.key) || [];
       if (domainQuestions.length > 0) {
         const correct = domainQuestions.filter((q, idx) => 
           session.answers[idx] === q.respuestaCorrecta
@@ -643,14 +632,14 @@ function generateTrendData(historicalData) {
         ).length / session.questions.length) * 100 
       : null;
     
-    const daxQuestions = session.questions?.filter(q => q.dominio === 'crear-calculos-dax') || [];
+    const daxQuestions = session.questions?.filter(q => resolveSubdomain(q.subdominio) === 'crear-calculos-dax') || [];
     const dax = daxQuestions.length > 0
       ? (daxQuestions.filter((q, i) => 
           session.answers[session.questions.indexOf(q)] === q.respuestaCorrecta
         ).length / daxQuestions.length) * 100
       : null;
     
-    const modelQuestions = session.questions?.filter(q => q.dominio === 'diseñar-implementar-modelo') || [];
+    const modelQuestions = session.questions?.filter(q => resolveSubdomain(q.subdominio) === 'disenar-modelo') || [];
     const modelado = modelQuestions.length > 0
       ? (modelQuestions.filter((q, i) => 
           session.answers[session.questions.indexOf(q)] === q.respuestaCorrecta
@@ -0,0 +1,209 @@
+import React, { useState, useRef, useMemo } from 'react';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import '../styles/QuizScreen.css';
+import '../styles/DailyReviewScreen.css';
+import { preguntasEjemplo } from '../data/preguntas';
+import { getDomainLabel } from '../data/taxonomy';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import {
+  REVIEW_RATINGS,
+  getDailyReviewQueue,
+  getReviewForecast,
+  previewReviewIntervals,
+  resolveRating
+} from '../utils/fsrsScheduler';
+import {
+  getQuestionFormat,
+  isAnswerComplete,
+  scoreAnswer,
+  describeCorrectAnswer
+} from '../utils/questionFormats';
+import QuestionFormatRenderer from './QuestionFormatRenderer';
+import FSRSOptimizationPanel from './FSRSOptimizationPanel';
+
+const DAILY_LIMIT = 50;
+const FORECAST_DAYS = 7;
+
+// 📚 Índice id → pregunta del banco normalizado
+const QUESTIONS_BY_ID = Object.values(preguntasEjemplo).reduce((acc, levels) => {
+  Object.values(levels).forEach((bucket) => {
+    bucket.forEach((question) => {
+      if (!acc[question.id]) acc[question.id] = question;
+    });
+  });
+  return acc;
+}, {});
+
+const ReviewForecast = ({ questionTracking }) => {
+  const forecast = useMemo(
+    () => getReviewForecast(questionTracking, { days: FORECAST_DAYS }),
+    [questionTracking]
+  );
+  const total = forecast.reduce((sum, day) => sum + day.count, 0);
+
+  return (
+    <div className="review-forecast">
+      <h3>📅 Próximos repasos ({total} en {FORECAST_DAYS} días)</h3>
+      <ResponsiveContainer width="100%" height={200}>
+        <BarChart data={forecast}>
+          <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+          <XAxis dataKey="label" />
+          <YAxis allowDecimals={false} />
+          <Tooltip formatter={(value) => [value, 'Tarjetas']} />
+          <Bar dataKey="count" fill="#7B3FF2" radius={[6, 6, 0, 0]} />
+        </BarChart>
+      </ResponsiveContainer>
+    </div>
+  );
+};
+
+/**
+ * Repaso de hoy: tarjetas FSRS vencidas de todas las preguntas con tracking.
+ * Cada calificación (Otra vez/Difícil/Bien/Fácil) se registra con
+ * recordQuestionAttempt, que guarda la tarjeta en questionTracking.
+ */
+const DailyReviewScreen = ({ onNavigate }) => {
+  const { getAllQuestionsTracking, recordQuestionAttempt, fsrsScheduler } = useCxCProgress();
+  const questionTracking = getAllQuestionsTracking();
+
+  // La cola se fija al entrar para que no cambie mientras se califica
+  const [queue, setQueue] = useState(() =>
+    getDailyReviewQueue(questionTracking)
+      .filter((item) => QUESTIONS_BY_ID[item.questionId])
+      .slice(0, DAILY_LIMIT)
+      .map((item) => item.questionId)
+  );
+  const [position, setPosition] = useState(0);
+  const [answer, setAnswer] = useState(null);
+  const [result, setResult] = useState(null);
+  const [ratingCounts, setRatingCounts] = useState({});
+  const startRef = useRef(Date.now());
+
+  const questionId = queue[position];
+  const question = questionId ? QUESTIONS_BY_ID[questionId] : null;
+  const finished = position >= queue.length;
+
+  const checkAnswer = () => {
+    const timeSpent = Math.round((Date.now() - startRef.current) / 1000);
+    const { isCorrect, credit } = scoreAnswer(question, answer);
+    setResult({
+      isCorrect,
+      credit,
+      timeSpent,
+      suggested: resolveRating(isCorrect, timeSpent),
+      intervals: previewReviewIntervals(questionTracking[questionId], { scheduler: fsrsScheduler })
+    });
+  };
+
+  const rateCard = (rating) => {
+    recordQuestionAttempt(questionId, result.isCorrect, result.timeSpent, {
+      domain: question.dominio,
+      level: question.nivel,
+      subdominio: question.subdominio || 'otros',
+      format: getQuestionFormat(question),
+      partialCredit: result.credit,
+      rating,
+      source: 'daily-review'
+    });
+
+    setRatingCounts((prev) => ({ ...prev, [rating]: (prev[rating] || 0) + 1 }));
+    // "Otra vez" vuelve al final de la sesión de hoy
+    if (rating === REVIEW_RATINGS[0].rating) {
+      setQueue((prev) => [...prev, questionId]);
+    }
+    setPosition((prev) => prev + 1);
+    setAnswer(null);
+    setResult(null);
+    startRef.current = Date.now();
+  };
+
+  if (queue.length === 0 || finished) {
+    const reviewed = Object.values(ratingCounts).reduce((sum, count) => sum + count, 0);
+    return (
+      <div className="quiz-screen">
+        <div className="quiz-container daily-review">
+          <div className="daily-review-summary">
+            <h2>{reviewed > 0 ? '🎉 ¡Repaso completado!' : '✅ Nada pendiente para hoy'}</h2>
+            {reviewed > 0 ? (
+              <div className="rating-summary">
+                {REVIEW_RATINGS.map(({ rating, label, icon }) => (
+                  <div key={rating} className={`rating-summary-item rating-${rating}`}>
+                    <span>{icon} {label}</span>
+                    <strong>{ratingCounts[rating] || 0}</strong>
+                  </div>
+                ))}
+              </div>
+            ) : (
+              <p>Responde quizzes para que FSRS programe tus próximas tarjetas.</p>
+            )}
+          </div>
+          <ReviewForecast questionTracking={getAllQuestionsTracking()} />
+          <FSRSOptimizationPanel />
+          <button className="primary-button" onClick={() => onNavigate('home')}>
+            ← Volver al Inicio
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quiz-screen">
+      <div className="quiz-container daily-review">
+        <header className="quiz-header">
+          <h2>🧠 Repaso de hoy</h2>
+          <div className="quiz-stats">
+            <span>{position + 1} / {queue.length}</span>
+            <span>{getDomainLabel(question.dominio)}</span>
+          </div>
+        </header>
+
+        <div className="quiz-content">
+          <QuestionFormatRenderer
+            key={`${questionId}-${position}`}
+            question={question}
+            answer={answer}
+            onAnswer={result ? () => {} : setAnswer}
+          />
+
+          {!result ? (
+            <button
+              className="primary-button"
+              onClick={checkAnswer}
+              disabled={!isAnswerComplete(question, answer)}
+            >
+              Comprobar respuesta
+            </button>
+          ) : (
+            <div className="daily-review-feedback">
+              <div className={`review-verdict ${result.isCorrect ? 'correct' : 'incorrect'}`}>
+                {result.isCorrect ? '✅ ¡Correcto!' : `❌ Respuesta correcta: ${describeCorrectAnswer(question)}`}
+              </div>
+              <p className="review-explanation">{question.explicacion?.correcta}</p>
+
+              <p className="rating-prompt">¿Qué tan bien lo recordaste?</p>
+              <div className="rating-buttons">
+                {REVIEW_RATINGS.map(({ rating, key, label, icon }) => (
+                  <button
+                    key={key}
+                    className={`rating-button rating-${rating} ${result.suggested === rating ? 'suggested' : ''}`}
+                    onClick={() => rateCard(rating)}
+                  >
+                    <span className="rating-label">{icon} {label}</span>
+                    <small>{result.intervals[rating]}</small>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+
+        <button className="review-exit-button" onClick={() => onNavigate('home')}>
+          Salir del repaso
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DailyReviewScreen;
@@ -0,0 +1,307 @@
+import React, { useState, useRef, useMemo } from 'react';
+import '../styles/QuizScreen.css';
+import '../styles/DaxSandboxScreen.css';
+import { DAX_SANDBOX_MODEL, DAX_DIMENSIONS, DAX_CHALLENGES } from '../data/daxSandboxModel';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import {
+  DAX_FUNCTIONS,
+  createDaxModel,
+  parseMeasure,
+  evaluateMatrix,
+  gradeDaxChallenge
+} from '../utils/daxEngine';
+
+const MODEL = createDaxModel(DAX_SANDBOX_MODEL);
+
+const FUNCTION_GROUPS = Object.entries(DAX_FUNCTIONS).reduce((acc, [name, { group, syntax }]) => {
+  acc[group] = [...(acc[group] || []), { name, syntax }];
+  return acc;
+}, {});
+
+const formatValue = (value, formato) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'boolean') return value ? 'VERDADERO' : 'FALSO';
+  if (typeof value !== 'number') return String(value);
+  if (!Number.isFinite(value)) return '∞';
+  if (formato === 'porcentaje') return `${(value * 100).toFixed(2)} %`;
+  return value.toLocaleString('es-MX', { maximumFractionDigits: 2 });
+};
+
+// Matriz de Power BI: filas por una dimensión, columnas opcionales y totales
+const MeasureMatrix = ({ matrix, rowDimension, columnDimension, formato }) => (
+  <div className="dax-matrix-wrapper">
+    <table className="dax-matrix">
+      <thead>
+        <tr>
+          <th>{rowDimension}{columnDimension && ` / ${columnDimension}`}</th>
+          {matrix.columns.map(column => <th key={column}>{column}</th>)}
+          <th>Total</th>
+        </tr>
+      </thead>
+      <tbody>
+        {matrix.rows.map(row => (
+          <tr key={row.label}>
+            <td>{row.label}</td>
+            {row.cells.map((cell, index) => <td key={index} className="dax-value">{formatValue(cell, formato)}</td>)}
+            <td className="dax-value dax-row-total">{formatValue(row.total, formato)}</td>
+          </tr>
+        ))}
+      </tbody>
+      <tfoot>
+        <tr>
+          <td>Total</td>
+          {matrix.columnTotals.map((cell, index) => <td key={index} className="dax-value">{formatValue(cell, formato)}</td>)}
+          <td className="dax-value">{formatValue(matrix.total, formato)}</td>
+        </tr>
+      </tfoot>
+    </table>
+  </div>
+);
+
+/**
+ * Sandbox DAX: el alumno escribe medidas sobre un modelo estrella pequeño,
+ * las ve evaluadas en una matriz y resuelve retos calificados. La primera
+ * comprobación de cada visita a un reto cuenta en questionTracking y en
+ * domainStats['crear-calculos-dax'] (ver recordPracticeAttempt).
+ */
+const DaxSandboxScreen = ({ onNavigate }) => {
+  const { getAllQuestionsTracking, recordPracticeAttempt } = useCxCProgress();
+  const questionTracking = getAllQuestionsTracking();
+
+  const [challengeId, setChallengeId] = useState(DAX_CHALLENGES[0].id);
+  // Borradores por reto: cambiar de reto no pierde la medida escrita
+  const [drafts, setDrafts] = useState({});
+  const [rowDimension, setRowDimension] = useState(DAX_CHALLENGES[0].dimension);
+  const [columnDimension, setColumnDimension] = useState('');
+  const [evaluated, setEvaluated] = useState(null);
+  const [grade, setGrade] = useState(null);
+  const [showSolution, setShowSolution] = useState(false);
+  const startRef = useRef(Date.now());
+
+  const challenge = DAX_CHALLENGES.find(item => item.id === challengeId);
+  const measureText = drafts[challengeId] ?? '';
+
+  // Se recalcula al cambiar las dimensiones; el texto se evalúa solo al pulsar "Evaluar"
+  const matrixResult = useMemo(() => {
+    if (evaluated === null) return null;
+    try {
+      const { name, ast } = parseMeasure(evaluated);
+      return { name, matrix: evaluateMatrix(MODEL, ast, rowDimension, columnDimension || null) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [evaluated, rowDimension, columnDimension]);
+
+  const selectChallenge = (item) => {
+    setChallengeId(item.id);
+    setRowDimension(item.dimension);
+    setColumnDimension('');
+    setEvaluated(drafts[item.id] || null);
+    setGrade(null);
+    setShowSolution(false);
+    startRef.current = Date.now();
+  };
+
+  const updateDraft = (text) => {
+    setDrafts(prev => ({ ...prev, [challengeId]: text }));
+    setGrade(null);
+  };
+
+  const checkChallenge = () => {
+    setEvaluated(measureText);
+    let result;
+    try {
+      result = gradeDaxChallenge(
+        MODEL,
+        parseMeasure(measureText).ast,
+        parseMeasure(challenge.solucion).ast,
+        challenge.dimension,
+        { requiredFunctions: challenge.funcionesRequeridas }
+      );
+    } catch (error) {
+      // Una medida que no compila no se califica (el error ya se muestra en la matriz)
+      setGrade({ error: error.message });
+      return;
+    }
+
+    setGrade(result);
+    setRowDimension(challenge.dimension);
+
+    recordPracticeAttempt(challenge, {
+      correct: result.correct,
+      score: result.score,
+      startedAt: startRef.current,
+      format: 'dax',
+      source: 'dax-sandbox'
+    });
+  };
+
+  const solvedCount = DAX_CHALLENGES.filter(item => questionTracking[item.id]?.correctAttempts > 0).length;
+  const formato = rowDimension === challenge.dimension ? challenge.formato : undefined;
+
+  return (
+    <div className="quiz-screen">
+      <div className="quiz-container dax-sandbox">
+        <header className="quiz-header">
+          <h2>🧮 Sandbox DAX</h2>
+          <div className="quiz-stats">
+            <span>Retos resueltos: {solvedCount} / {DAX_CHALLENGES.length}</span>
+          </div>
+        </header>
+
+        <div className="dax-layout">
+          <aside className="dax-sidebar">
+            <h3>Retos</h3>
+            {DAX_CHALLENGES.map(item => {
+              const tracking = questionTracking[item.id];
+              return (
+                <button
+                  key={item.id}
+                  className={`dax-challenge-button ${item.id === challengeId ? 'active' : ''}`}
+                  onClick={() => selectChallenge(item)}
+                >
+                  <strong>{tracking?.correctAttempts > 0 ? '✅' : '⬜'} {item.titulo}</strong>
+                  <small>{item.nivel} · {tracking ? `${tracking.totalAttempts} intento(s)` : 'sin intentos'}</small>
+                </button>
+              );
+            })}
+
+            <details className="dax-card dax-model" open>
+              <summary>Modelo</summary>
+              {Object.values(MODEL.tables).map(table => (
+                <div key={table.name} className="dax-model-table">
+                  <strong>{table.name}</strong> <small>({table.rows.length} filas)</small>
+                  <div className="dax-model-columns">{table.columns.join(' · ')}</div>
+                </div>
+              ))}
+              <div className="dax-model-relationships">
+                {MODEL.relationships.map(({ from, to }) => (
+                  <div key={`${from.table}-${to.table}`}>
+                    {to.table}[{to.column}] 1 → * {from.table}[{from.column}]
+                  </div>
+                ))}
+              </div>
+              <div className="dax-model-measures">
+                {Object.values(MODEL.measures).map(measure => (
+                  <code key={measure.name}>[{measure.name}] = {DAX_SANDBOX_MODEL.measures[measure.name]}</code>
+                ))}
+              </div>
+            </details>
+
+            <details className="dax-card dax-functions">
+              <summary>Funciones disponibles</summary>
+              {Object.entries(FUNCTION_GROUPS).map(([group, functions]) => (
+                <div key={group}>
+                  <strong>{group}</strong>
+                  <ul>
+                    {functions.map(fn => <li key={fn.name}><code>{fn.syntax}</code></li>)}
+                  </ul>
+                </div>
+              ))}
+            </details>
+          </aside>
+
+          <main className="dax-workspace">
+            <section className="dax-card">
+              <h3>{challenge.titulo}</h3>
+              <p className="dax-statement">{challenge.enunciado}</p>
+              <p className="dax-statement">
+                Se califica por <code>{challenge.dimension}</code>
+                {challenge.funcionesRequeridas && <> usando {challenge.funcionesRequeridas.join(', ')}</>}.
+              </p>
+              <details className="dax-hints">
+                <summary>💡 Pistas</summary>
+                <ul>
+                  {challenge.pistas.map(hint => <li key={hint}>{hint}</li>)}
+                </ul>
+              </details>
+            </section>
+
+            <section className="dax-card">
+              <textarea
+                className="dax-editor"
+                value={measureText}
+                onChange={(e) => updateDraft(e.target.value)}
+                placeholder="Medida = SUM(Ventas[Cantidad])"
+                spellCheck={false}
+                rows={5}
+              />
+              <div className="dax-controls">
+                <label>
+                  <span>Filas</span>
+                  <select value={rowDimension} onChange={(e) => setRowDimension(e.target.value)}>
+                    {DAX_DIMENSIONS.map(dimension => <option key={dimension} value={dimension}>{dimension}</option>)}
+                  </select>
+                </label>
+                <label>
+                  <span>Columnas</span>
+                  <select value={columnDimension} onChange={(e) => setColumnDimension(e.target.value)}>
+                    <option value="">(ninguna)</option>
+                    {DAX_DIMENSIONS.filter(dimension => dimension !== rowDimension).map(dimension => (
+                      <option key={dimension} value={dimension}>{dimension}</option>
+                    ))}
+                  </select>
+                </label>
+                <button className="dax-evaluate-button" onClick={() => setEvaluated(measureText)} disabled={!measureText.trim()}>
+                  ▶ Evaluar
+                </button>
+              </div>
+            </section>
+
+            {matrixResult && (
+              <section className="dax-card">
+                {matrixResult.error ? (
+                  <p className="dax-error">⚠️ {matrixResult.error}</p>
+                ) : (
+                  <>
+                    <h3>{matrixResult.name}</h3>
+                    <MeasureMatrix
+                      matrix={matrixResult.matrix}
+                      rowDimension={rowDimension}
+                      columnDimension={columnDimension}
+                      formato={formato}
+                    />
+                  </>
+                )}
+              </section>
+            )}
+
+            <button className="primary-button" onClick={checkChallenge} disabled={!measureText.trim()}>
+              Comprobar reto
+            </button>
+
+            {grade && !grade.error && (
+              <div className="dax-result">
+                <div className={`dax-verdict ${grade.correct ? 'correct' : 'incorrect'}`}>
+                  {grade.correct ? '✅ ¡La medida coincide con la solución!' : `❌ Todavía no coincide (${grade.score}%)`}
+                </div>
+                {grade.missingFunctions.length > 0 && (
+                  <p className="dax-feedback">El reto pide usar: {grade.missingFunctions.join(', ')}.</p>
+                )}
+                {grade.mismatches.length > 0 && (
+                  <ul className="dax-feedback">
+                    {grade.mismatches.map(check => (
+                      <li key={check.label}>
+                        {check.label}: esperado {formatValue(check.expected, challenge.formato) || '(en blanco)'} · obtuviste {formatValue(check.actual, challenge.formato) || '(en blanco)'}
+                      </li>
+                    ))}
+                  </ul>
+                )}
+                <button className="dax-solution-toggle" onClick={() => setShowSolution(prev => !prev)}>
+                  {showSolution ? 'Ocultar solución' : 'Ver una solución'}
+                </button>
+                {showSolution && <pre className="dax-solution">{challenge.solucion}</pre>}
+              </div>
+            )}
+          </main>
+        </div>
+
+        <button className="dax-exit-button" onClick={() => onNavigate('home')}>
+          Salir del sandbox
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DaxSandboxScreen;
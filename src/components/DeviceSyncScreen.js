@@ -0,0 +1,474 @@
+import React, { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import '../styles/QuizScreen.css';
+import '../styles/DeviceSyncScreen.css';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import { progressService } from '../services/progressService';
+import { deviceSync } from '../services/deviceSync';
+import { encodeQr, qrToSvgPath } from '../utils/qrCode';
+
+const QR_INTERVAL = 1500; // ms por fragmento en modo automático
+const SCAN_INTERVAL = 350; // ms entre lecturas de la cámara
+
+const MISSION_STATUS_LABELS = {
+  locked: 'Bloqueada',
+  available: 'Disponible',
+  in_progress: 'En curso',
+  completed: 'Completada',
+  platinum: 'Platino'
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString('es-ES') : '—');
+
+const canScan = () => typeof window !== 'undefined'
+  && 'BarcodeDetector' in window
+  && Boolean(navigator.mediaDevices?.getUserMedia);
+
+const QrFragment = ({ text }) => {
+  const qr = useMemo(() => encodeQr(text, { ecc: 'M' }), [text]);
+  const viewBox = qr.size + 8;
+  return (
+    <svg className="ds-qr" viewBox={`0 0 ${viewBox} ${viewBox}`} shapeRendering="crispEdges" role="img" aria-label="Código QR">
+      <rect width={viewBox} height={viewBox} fill="#ffffff" />
+      <path d={qrToSvgPath(qr)} fill="#000000" />
+    </svg>
+  );
+};
+
+/**
+ * Sincronización entre dispositivos sin servidor: este dispositivo muestra su
+ * progreso como QR troceados o como código copiable, y lee el del otro con la
+ * cámara o pegándolo. La combinación no pierde intentos de ningún lado.
+ */
+const DeviceSyncScreen = ({ onNavigate }) => {
+  const { progress, userId, createDeviceSyncCode, applyDeviceSyncCode, syncWithServer } = useCxCProgress();
+
+  const [syncCode, setSyncCode] = useState(null);
+  const [chunkIndex, setChunkIndex] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [sendMessage, setSendMessage] = useState(null);
+
+  const [pasted, setPasted] = useState('');
+  const [collector, setCollector] = useState(deviceSync.createCollector);
+  const [receivedCode, setReceivedCode] = useState(null);
+  const [scanning, setScanning] = useState(false);
+  const [receiveError, setReceiveError] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const [serverConfig, setServerConfig] = useState(() => progressService.getRemoteSyncConfig());
+  const [serverUrl, setServerUrl] = useState(serverConfig?.url || '');
+  const [serverToken, setServerToken] = useState(serverConfig?.token || '');
+  const [rememberToken, setRememberToken] = useState(Boolean(serverConfig?.rememberToken));
+  const [serverSpace, setServerSpace] = useState(serverConfig?.space || userId || '');
+  const [serverMessage, setServerMessage] = useState(null);
+  const [serverError, setServerError] = useState(null);
+
+  const videoRef = useRef(null);
+  const streamRef = useRef(null);
+  const scanTimerRef = useRef(null);
+  const collectorRef = useRef(collector);
+
+  const deviceId = useMemo(() => progressService.getDeviceId(), []);
+  const peers = Object.entries(progress?.sync?.peers || {})
+    .filter(([id]) => id !== deviceId)
+    .sort(([, a], [, b]) => String(b.lastSyncAt || '').localeCompare(String(a.lastSyncAt || '')));
+
+  // --------- Enviar ---------
+
+  const generateCode = async () => {
+    setBusy(true);
+    setSendMessage(null);
+    try {
+      setSyncCode(await createDeviceSyncCode());
+      setChunkIndex(0);
+      setPlaying(true);
+    } catch (error) {
+      setSendMessage(`⚠️ ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  useEffect(() => {
+    if (!syncCode || !playing || syncCode.chunks.length < 2) return undefined;
+    const timer = setInterval(() => {
+      setChunkIndex((index) => (index + 1) % syncCode.chunks.length);
+    }, QR_INTERVAL);
+    return () => clearInterval(timer);
+  }, [syncCode, playing]);
+
+  const copyCode = async () => {
+    try {
+      await navigator.clipboard.writeText(syncCode.code);
+      setSendMessage('✅ Código copiado. Pégalo en el otro dispositivo.');
+    } catch (error) {
+      setSendMessage('⚠️ No se pudo copiar automáticamente: selecciona el código y cópialo a mano.');
+    }
+  };
+
+  // --------- Recibir ---------
+
+  const stopScan = useCallback(() => {
+    clearInterval(scanTimerRef.current);
+    scanTimerRef.current = null;
+    streamRef.current?.getTracks().forEach((track) => track.stop());
+    streamRef.current = null;
+    setScanning(false);
+  }, []);
+
+  useEffect(() => stopScan, [stopScan]);
+
+  const acceptText = useCallback((text) => {
+    const { collector: next, code, accepted } = deviceSync.collectChunk(collectorRef.current, text);
+    if (!accepted) return false;
+    collectorRef.current = next;
+    setCollector(next);
+    if (code) {
+      setReceivedCode(code);
+      stopScan();
+    }
+    return true;
+  }, [stopScan]);
+
+  const startScan = async () => {
+    setReceiveError(null);
+    setResult(null);
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+      streamRef.current = stream;
+      setScanning(true);
+      const video = videoRef.current;
+      video.srcObject = stream;
+      await video.play();
+
+      const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+      scanTimerRef.current = setInterval(async () => {
+        try {
+          const codes = await detector.detect(video);
+          codes.forEach((detected) => acceptText(detected.rawValue));
+        } catch (error) {
+          // Fotograma aún sin datos: se reintenta en la siguiente lectura
+        }
+      }, SCAN_INTERVAL);
+    } catch (error) {
+      stopScan();
+      setReceiveError(`No se pudo abrir la cámara (${error.message}). Pega el código en su lugar.`);
+    }
+  };
+
+  const readPasted = () => {
+    setReceiveError(null);
+    setResult(null);
+    const { code, collector: next } = deviceSync.parsePastedText(pasted);
+    if (code) {
+      setReceivedCode(code);
+      return;
+    }
+    if (next.id) {
+      collectorRef.current = next;
+      setCollector(next);
+      setReceiveError(`Faltan fragmentos: hay ${Object.keys(next.parts).length} de ${next.total}.`);
+      return;
+    }
+    setReceiveError('No se reconoce el texto como un código de sincronización.');
+  };
+
+  const resetReceive = () => {
+    const empty = deviceSync.createCollector();
+    collectorRef.current = empty;
+    setCollector(empty);
+    setReceivedCode(null);
+    setPasted('');
+  };
+
+  const applyCode = async () => {
+    setBusy(true);
+    setReceiveError(null);
+    try {
+      const applied = await applyDeviceSyncCode(receivedCode);
+      setResult(applied);
+      resetReceive();
+    } catch (error) {
+      setReceiveError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  // --------- Servidor propio ---------
+
+  const saveServer = () => {
+    setServerError(null);
+    setServerMessage(null);
+    try {
+      new URL(serverUrl);
+    } catch (error) {
+      setServerError('La URL del servidor no es válida (ejemplo: http://localhost:8787/api/v1).');
+      return;
+    }
+    setServerConfig(progressService.configureRemoteSync({
+      url: serverUrl,
+      token: serverToken,
+      space: serverSpace || userId,
+      rememberToken
+    }));
+    setServerMessage('✅ Servidor guardado en este dispositivo.');
+  };
+
+  const forgetServer = () => {
+    progressService.setRemoteSyncConfig(null);
+    setServerConfig(null);
+    setServerToken('');
+    setRememberToken(false);
+    setServerMessage(null);
+  };
+
+  const syncServer = async () => {
+    setBusy(true);
+    setServerError(null);
+    setServerMessage(null);
+    try {
+      const synced = await syncWithServer();
+      setServerConfig(progressService.getRemoteSyncConfig());
+      setServerMessage(synced.unchanged
+        ? `✅ Sin cambios desde la última sincronización (versión ${synced.version}).`
+        : `✅ Sincronizado (versión ${synced.version})${synced.pulled ? ' con cambios de otros dispositivos' : ''}.`);
+    } catch (error) {
+      setServerError(error.status === 401
+        ? `${error.message}: vuelve a escribir el token y pulsa Guardar.`
+        : error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const summary = useMemo(() => {
+    if (!result) return null;
+    const { diff } = result;
+    return {
+      newQuestions: diff.questions.filter((question) => question.kind === 'new').length,
+      updatedQuestions: diff.questions.filter((question) => question.kind !== 'new').length,
+      attempts: diff.attempts.incoming - diff.attempts.current,
+      xp: diff.xp.incoming - diff.xp.current,
+      missions: diff.missions
+    };
+  }, [result]);
+
+  const receivedParts = Object.keys(collector.parts).length;
+
+  return (
+    <div className="quiz-screen">
+      <div className="quiz-container device-sync">
+        <header className="quiz-header">
+          <h2>📱 Sincronizar dispositivos</h2>
+          <div className="quiz-stats">
+            <span>Este dispositivo: {progressService.getDeviceLabel()} · {deviceId.slice(-6)}</span>
+          </div>
+        </header>
+
+        <p className="ds-intro">
+          Abre esta pantalla en los dos dispositivos. Muestra el código en uno y léelo en el otro;
+          después repite en sentido contrario para que ambos queden con el mismo progreso.
+          El código no pasa por ningún servidor: el progreso viaja solo en él.
+        </p>
+
+        <div className="ds-layout">
+          <section className="ds-card">
+            <h3>📤 Enviar desde este dispositivo</h3>
+            <p className="ds-help">
+              Incluye intentos de preguntas, misiones, XP, puntos, insignias y estadísticas.
+            </p>
+            <button className="primary-button" onClick={generateCode} disabled={busy || !progress}>
+              {syncCode ? '🔄 Regenerar código' : 'Generar código'}
+            </button>
+
+            {syncCode && (
+              <>
+                <div className="ds-qr-frame">
+                  <QrFragment text={syncCode.chunks[chunkIndex]} />
+                </div>
+                <div className="ds-qr-controls">
+                  <button
+                    className="ds-button"
+                    onClick={() => setChunkIndex((chunkIndex - 1 + syncCode.chunks.length) % syncCode.chunks.length)}
+                    disabled={syncCode.chunks.length < 2}
+                  >
+                    ◀
+                  </button>
+                  <span>Fragmento {chunkIndex + 1} de {syncCode.chunks.length}</span>
+                  <button
+                    className="ds-button"
+                    onClick={() => setChunkIndex((chunkIndex + 1) % syncCode.chunks.length)}
+                    disabled={syncCode.chunks.length < 2}
+                  >
+                    ▶
+                  </button>
+                  {syncCode.chunks.length > 1 && (
+                    <button className="ds-link" onClick={() => setPlaying(!playing)}>
+                      {playing ? '⏸ Pausar' : '▶ Reproducir'}
+                    </button>
+                  )}
+                </div>
+
+                <label className="ds-label" htmlFor="ds-code">O copia el código completo</label>
+                <textarea id="ds-code" className="ds-code" readOnly value={syncCode.code} rows={4} onFocus={(e) => e.target.select()} />
+                <button className="ds-button" onClick={copyCode}>📋 Copiar código</button>
+                {!syncCode.compressed && (
+                  <p className="ds-help">Este navegador no comprime: el código es más largo de lo habitual.</p>
+                )}
+              </>
+            )}
+            {sendMessage && <p className="ds-message">{sendMessage}</p>}
+          </section>
+
+          <section className="ds-card">
+            <h3>📥 Recibir del otro dispositivo</h3>
+            {canScan() ? (
+              <>
+                <video ref={videoRef} className={`ds-video ${scanning ? 'active' : ''}`} muted playsInline />
+                {scanning ? (
+                  <button className="ds-button" onClick={stopScan}>⏹ Detener cámara</button>
+                ) : (
+                  <button className="ds-button" onClick={startScan} disabled={busy || Boolean(receivedCode)}>
+                    📷 Escanear QR
+                  </button>
+                )}
+                {collector.total > 0 && !receivedCode && (
+                  <div className="ds-progress">
+                    <span>Fragmentos leídos: {receivedParts} de {collector.total}</span>
+                    <progress value={receivedParts} max={collector.total} />
+                  </div>
+                )}
+              </>
+            ) : (
+              <p className="ds-help">
+                Este navegador no puede leer QR con la cámara: copia el código en el otro dispositivo y pégalo aquí.
+              </p>
+            )}
+
+            <label className="ds-label" htmlFor="ds-paste">Pegar código</label>
+            <textarea
+              id="ds-paste"
+              className="ds-code"
+              rows={4}
+              value={pasted}
+              placeholder="PL300SYNC1…"
+              onChange={(e) => setPasted(e.target.value)}
+            />
+            <button className="ds-button" onClick={readPasted} disabled={busy || !pasted.trim()}>
+              Leer código
+            </button>
+
+            {receivedCode && (
+              <div className="ds-ready">
+                <p>✅ Código completo recibido.</p>
+                <div className="ds-actions">
+                  <button className="primary-button" onClick={applyCode} disabled={busy}>
+                    {busy ? 'Sincronizando…' : '🔗 Sincronizar'}
+                  </button>
+                  <button className="ds-link" onClick={resetReceive} disabled={busy}>Descartar</button>
+                </div>
+              </div>
+            )}
+            {receiveError && <p className="ds-error">{receiveError}</p>}
+          </section>
+        </div>
+
+        {result && summary && (
+          <section className="ds-card ds-result">
+            <h3>🔗 Sincronizado con {result.remote.deviceLabel || 'otro dispositivo'}</h3>
+            <ul className="ds-summary">
+              <li><strong>{summary.newQuestions}</strong> preguntas nuevas</li>
+              <li><strong>{summary.updatedQuestions}</strong> preguntas con intentos combinados</li>
+              <li><strong>{summary.attempts >= 0 ? `+${summary.attempts}` : summary.attempts}</strong> intentos</li>
+              <li><strong>{summary.xp >= 0 ? `+${summary.xp}` : summary.xp}</strong> XP</li>
+            </ul>
+            {summary.missions.length > 0 && (
+              <ul className="ds-missions">
+                {summary.missions.map((mission) => (
+                  <li key={mission.id}>
+                    {mission.id}: {MISSION_STATUS_LABELS[mission.current] || '—'} → {MISSION_STATUS_LABELS[mission.incoming] || '—'}
+                  </li>
+                ))}
+              </ul>
+            )}
+            <p className="ds-help">
+              Código generado el {formatDate(result.remote.createdAt)}. Para que el otro dispositivo reciba también
+              tus intentos, genera ahora el código aquí y léelo allí.
+            </p>
+          </section>
+        )}
+
+        <section className="ds-card ds-server">
+          <h3>🌐 Servidor propio</h3>
+          <p className="ds-help">
+            Opcional: con un servidor del equipo (<code>npm run sync:server</code>) cada dispositivo sube y descarga
+            su progreso sin tener que estar juntos. Usa el mismo espacio en todos tus dispositivos.
+          </p>
+          <div className="ds-fields">
+            <label className="ds-label" htmlFor="ds-server-url">URL</label>
+            <input
+              id="ds-server-url"
+              type="url"
+              value={serverUrl}
+              placeholder="http://localhost:8787/api/v1"
+              onChange={(e) => setServerUrl(e.target.value)}
+            />
+            <label className="ds-label" htmlFor="ds-server-space">Espacio</label>
+            <input id="ds-server-space" type="text" value={serverSpace} onChange={(e) => setServerSpace(e.target.value)} />
+            <label className="ds-label" htmlFor="ds-server-token">Token (si el servidor lo pide)</label>
+            <input
+              id="ds-server-token"
+              type="password"
+              value={serverToken}
+              autoComplete="off"
+              onChange={(e) => setServerToken(e.target.value)}
+            />
+          </div>
+          <label className="ds-check">
+            <input type="checkbox" checked={rememberToken} onChange={(e) => setRememberToken(e.target.checked)} />
+            Recordar el token en este dispositivo
+          </label>
+          <p className="ds-help">
+            {rememberToken
+              ? '⚠️ El token se guardará sin cifrar en el almacenamiento local del navegador: actívalo solo en un equipo personal.'
+              : '🔒 El token se guarda solo mientras esta pestaña esté abierta; al volver tendrás que escribirlo de nuevo.'}
+          </p>
+          <div className="ds-actions">
+            <button className="ds-button" onClick={saveServer} disabled={busy || !serverUrl.trim()}>Guardar</button>
+            <button className="primary-button" onClick={syncServer} disabled={busy || !serverConfig?.url}>
+              🔄 Sincronizar ahora
+            </button>
+            {serverConfig && <button className="ds-link" onClick={forgetServer} disabled={busy}>Olvidar servidor</button>}
+          </div>
+          {serverConfig?.syncedAt && (
+            <p className="ds-help">
+              Última sincronización: {formatDate(serverConfig.syncedAt)} · versión {serverConfig.version}
+            </p>
+          )}
+          {serverMessage && <p className="ds-message">{serverMessage}</p>}
+          {serverError && <p className="ds-error">{serverError}</p>}
+        </section>
+
+        {peers.length > 0 && (
+          <section className="ds-card ds-peers">
+            <h3>🕒 Sincronizaciones anteriores</h3>
+            <ul>
+              {peers.map(([id, peer]) => (
+                <li key={id}>
+                  {peer.label || 'Dispositivo'} · {id.slice(-6)} — {formatDate(peer.lastSyncAt)}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
+        <button className="ds-exit-button" onClick={() => onNavigate('home')}>
+          Volver al inicio
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default DeviceSyncScreen;
@@ -0,0 +1,116 @@
+import React, { useState, useMemo } from 'react';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import {
+  MIN_REVIEWS_FOR_OPTIMIZATION,
+  collectReviewHistory,
+  optimizeFSRSParameters
+} from '../utils/fsrsScheduler';
+
+const formatPercent = (value) => `${Math.round((value || 0) * 100)}%`;
+
+const RetentionComparison = ({ before, after }) => (
+  <div className="fsrs-comparison">
+    <div className="fsrs-metric">
+      <span>Retención real</span>
+      <strong>{formatPercent(after.actualRetention)}</strong>
+    </div>
+    <div className="fsrs-metric">
+      <span>Predicción por defecto</span>
+      <strong>{formatPercent(before.predictedRetention)}</strong>
+      <small>error {before.logLoss.toFixed(3)}</small>
+    </div>
+    <div className="fsrs-metric personal">
+      <span>Predicción personal</span>
+      <strong>{formatPercent(after.predictedRetention)}</strong>
+      <small>error {after.logLoss.toFixed(3)}</small>
+    </div>
+  </div>
+);
+
+/**
+ * Ajuste local de los pesos FSRS con el historial de repasos.
+ * Los parámetros personales solo se usan si el usuario los activa.
+ */
+const FSRSOptimizationPanel = () => {
+  const {
+    progress,
+    getAllQuestionsTracking,
+    saveFSRSParameters,
+    setFSRSParametersEnabled
+  } = useCxCProgress();
+  const [candidate, setCandidate] = useState(null);
+  const [message, setMessage] = useState('');
+
+  const questionTracking = getAllQuestionsTracking();
+  const history = useMemo(() => collectReviewHistory(questionTracking), [questionTracking]);
+  const saved = progress?.fsrsParameters;
+  const canOptimize = history.length >= MIN_REVIEWS_FOR_OPTIMIZATION;
+
+  const runOptimization = () => {
+    const result = optimizeFSRSParameters(history);
+    if (!result) {
+      setMessage('Todavía no hay suficientes repasos espaciados para ajustar los parámetros.');
+      return;
+    }
+    setMessage('');
+    setCandidate(result);
+  };
+
+  const acceptCandidate = () => {
+    saveFSRSParameters(candidate, { enabled: true });
+    setCandidate(null);
+    setMessage('✅ Tus próximos repasos usarán los parámetros personales.');
+  };
+
+  return (
+    <div className="fsrs-optimization">
+      <h3>🎛️ Parámetros personales FSRS</h3>
+      <p className="fsrs-help">
+        Ajusta el algoritmo a tu curva de olvido usando tu historial ({history.length} repasos registrados).
+      </p>
+
+      {!canOptimize && (
+        <div className="fsrs-progress">
+          <div className="fsrs-progress-bar">
+            <div style={{ width: `${Math.min(100, (history.length / MIN_REVIEWS_FOR_OPTIMIZATION) * 100)}%` }} />
+          </div>
+          <small>Se necesitan {MIN_REVIEWS_FOR_OPTIMIZATION} repasos para optimizar.</small>
+        </div>
+      )}
+
+      {saved && !candidate && (
+        <div className="fsrs-saved">
+          <p>
+            {saved.enabled ? '🟢 Usando parámetros personales' : '⚪ Usando parámetros por defecto'}
+            {' · '}ajustados con {saved.reviewCount} repasos el{' '}
+            {new Date(saved.optimizedAt).toLocaleDateString('es-ES')}
+          </p>
+          {saved.before && saved.after && <RetentionComparison before={saved.before} after={saved.after} />}
+          <button className="fsrs-button" onClick={() => setFSRSParametersEnabled(!saved.enabled)}>
+            {saved.enabled ? 'Volver a parámetros por defecto' : 'Activar parámetros personales'}
+          </button>
+        </div>
+      )}
+
+      {candidate && (
+        <div className="fsrs-candidate">
+          <RetentionComparison before={candidate.before} after={candidate.after} />
+          <div className="fsrs-actions">
+            <button className="fsrs-button primary" onClick={acceptCandidate}>Usar mis parámetros</button>
+            <button className="fsrs-button" onClick={() => setCandidate(null)}>Descartar</button>
+          </div>
+        </div>
+      )}
+
+      {canOptimize && !candidate && (
+        <button className="fsrs-button" onClick={runOptimization}>
+          {saved ? 'Recalcular con mi historial' : 'Calcular parámetros personales'}
+        </button>
+      )}
+
+      {message && <p className="fsrs-message">{message}</p>}
+    </div>
+  );
+};
+
+export default FSRSOptimizationPanel;
@@ -3,6 +3,9 @@ import { ThemeContext } from '../contexts/ThemeContext';
 import { useCxCProgress } from '../contexts/CxCProgressContext';
 import { useQuizStats, useQuizDuplicateDetection } from '../hooks/useQuizStats';
 import { questionCounter } from '../utils/questionCounter';
+import { DOMINIOS, TAXONOMIA_PL300, formatDomainWeight, getDomainLabel, resolveDomain } from '../data/taxonomy';
+import { preguntasEjemplo } from '../data/preguntas';
+import { getDailyReviewQueue } from '../utils/fsrsScheduler';
 import '../styles/HomeScreen.css';
 
 const CIRCLE_RADIUS = 55;
@@ -11,6 +14,13 @@ const MAX_STREAK_DAYS = 30;
 const MAX_QUIZZES_TRACKED = 20;
 const numberFormatter = new Intl.NumberFormat('es-ES');
 
+// 🗂️ Preguntas por dominio según el banco normalizado
+const DOMAIN_QUESTION_TOTALS = DOMINIOS.reduce((acc, dominio) => {
+  acc[dominio] = Object.values(preguntasEjemplo[dominio] || {})
+    .reduce((sum, bucket) => sum + (Array.isArray(bucket) ? bucket.length : 0), 0);
+  return acc;
+}, {});
+
 const clampValue = (value, min, max) => Math.min(Math.max(value, min), max);
 const toSafeNumber = (value, fallback = 0) => {
   if (typeof value === 'number') {
@@ -31,7 +41,8 @@ const HomeScreen = ({ onNavigate, userProfile, onResetProfile }) => {
   const [lastScrollY, setLastScrollY] = useState(0);
   
   // ✅ ÚNICA FUENTE DE VERDAD: useCxCProgress
-  const { getAnsweredQuestions, state } = useCxCProgress();
+  const { getAnsweredQuestions, getAllQuestionsTracking, state } = useCxCProgress();
+  const dueReviewCount = getDailyReviewQueue(getAllQuestionsTracking()).length;
   
   // ✅ NUEVO: Usar hook personalizado para estadísticas sin duplicación
   const userStats = useQuizStats();
@@ -110,10 +121,11 @@ const HomeScreen = ({ onNavigate, userProfile, onResetProfile }) => {
 
   const domains = [
     { value: 'all', label: 'Todos los Dominios', icon: '🎯' },
-    { value: 'preparar-datos', label: 'Preparar Datos (25-30%)', icon: '📊' },
-    { value: 'modelar-datos', label: 'Modelar Datos (30-35%)', icon: '🔗' },
-    { value: 'visualizar-analizar', label: 'Visualizar y Analizar (25-30%)', icon: '📈' },
-    { value: 'administrar-asegurar', label: 'Administrar y Asegurar (15-20%)', icon: '🔐' }
+    ...DOMINIOS.map((dominio) => ({
+      value: dominio,
+      label: `${TAXONOMIA_PL300[dominio].nombreCorto} (${formatDomainWeight(dominio)})`,
+      icon: TAXONOMIA_PL300[dominio].icono
+    }))
   ];
 
   const levels = [
@@ -131,6 +143,15 @@ const HomeScreen = ({ onNavigate, userProfile, onResetProfile }) => {
     };
     onNavigate('instructions', { config });
   };
+
+  const startAdaptiveExam = () => {
+    const config = {
+      domain: selectedDomain,
+      level: 'all',
+      mode: 'adaptive'
+    };
+    onNavigate('adaptive-exam', { config });
+  };
   
   // Calcular recomendación de estudio
   const getStudyRecommendation = () => {
@@ -144,14 +165,7 @@ const HomeScreen = ({ onNavigate, userProfile, onResetProfile }) => {
       return currAccuracy < minAccuracy ? curr : min;
     });
     
-    const domainNames = {
-      'preparar-datos': 'Preparar Datos',
-      'modelar-datos': 'Modelar Datos',
-      'visualizar-analizar': 'Visualizar y Analizar',
-      'administrar-asegurar': 'Administrar y Asegurar'
-    };
-    
-    return domainNames[weakestDomain[0]] || weakestDomain[0];
+    return getDomainLabel(weakestDomain[0]);
   };
 
   const statCards = React.useMemo(() => {
@@ -380,6 +394,32 @@ const HomeScreen = ({ onNavigate, userProfile, onResetProfile }) => {
                     <small>{theme === 'light' ? 'Modo Oscuro' : 'Modo Claro'}</small>
                   </span>
                 </button>
+                <button 
+                  className="config-menu-item"
+                  onClick={() => {
+                    setShowConfigMenu(false);
+                    onNavigate('progress-backup');
+                  }}
+                >
+                  <span className="icon">💾</span>
+                  <span className="item-text">
+                    <strong>Respaldo del progreso</strong>
+                    <small>Exportar, cifrar e importar</small>
+                  </span>
+                </button>
+                <button 
+                  className="config-menu-item"
+                  onClick={() => {
+                    setShowConfigMenu(false);
+                    onNavigate('device-sync');
+                  }}
+                >
+                  <span className="icon">📱</span>
+                  <span className="item-text">
+                    <strong>Sincronizar dispositivos</strong>
+                    <small>Código o QR, sin servidor</small>
+                  </span>
+                </button>
                 {onResetProfile && (
                   <button 
                     className="config-menu-item"
@@ -440,6 +480,86 @@ const HomeScreen = ({ onNavigate, userProfile, onResetProfile }) => {
                   <small>Nivel avanzado</small>
                 </span>
               </button>
+              <button 
+                className="quick-action-btn mock-exam-mode" 
+                onClick={() => onNavigate('mock-exam', { config: { domain: 'all', level: 'all', mode: 'mock-exam' } })}
+              >
+                <span className="btn-icon">⏳</span>
+                <span className="btn-content">
+                  <strong>Simulacro Oficial</strong>
+                  <small>100 min · ponderado por dominio</small>
+                </span>
+              </button>
+              <button 
+                className="quick-action-btn daily-review-mode" 
+                onClick={() => onNavigate('daily-review')}
+              >
+                <span className="btn-icon">🔁</span>
+                <span className="btn-content">
+                  <strong>Repaso de hoy</strong>
+                  <small>{dueReviewCount > 0 ? `${dueReviewCount} tarjetas pendientes` : 'Al día ✨'}</small>
+                </span>
+              </button>
+              <button 
+                className="quick-action-btn power-query-mode" 
+                onClick={() => onNavigate('power-query')}
+              >
+                <span className="btn-icon">🧪</span>
+                <span className="btn-content">
+                  <strong>Simulador Power Query</strong>
+                  <small>Pasos aplicados paso a paso</small>
+                </span>
+              </button>
+              <button 
+                className="quick-action-btn dax-sandbox-mode" 
+                onClick={() => onNavigate('dax-sandbox')}
+              >
+                <span className="btn-icon">🧮</span>
+                <span className="btn-content">
+                  <strong>Sandbox DAX</strong>
+                  <small>Medidas evaluadas en una matriz</small>
+                </span>
+              </button>
+              <button 
+                className="quick-action-btn model-design-mode" 
+                onClick={() => onNavigate('model-design')}
+              >
+                <span className="btn-icon">🔗</span>
+                <span className="btn-content">
+                  <strong>Constructor de relaciones</strong>
+                  <small>Cardinalidad y dirección de filtro</small>
+                </span>
+              </button>
+              <button 
+                className="quick-action-btn rls-simulator-mode" 
+                onClick={() => onNavigate('rls-simulator')}
+              >
+                <span className="btn-icon">🔐</span>
+                <span className="btn-content">
+                  <strong>Simulador de RLS</strong>
+                  <small>Roles, filtros DAX y "Ver como"</small>
+                </span>
+              </button>
+              <button 
+                className="quick-action-btn report-visual-mode" 
+                onClick={() => onNavigate('report-visual')}
+              >
+                <span className="btn-icon">📊</span>
+                <span className="btn-content">
+                  <strong>Elige el visual</strong>
+                  <small>Tipo de gráfico, ejes y leyenda</small>
+                </span>
+              </button>
+              <button 
+                className="quick-action-btn adaptive-mode" 
+                onClick={startAdaptiveExam}
+              >
+                <span className="btn-icon">🧠</span>
+                <span className="btn-content">
+                  <strong>Examen Adaptativo</strong>
+                  <small>Estima tu nivel real</small>
+                </span>
+              </button>
               {userStats && userStats.quizzesTaken > 0 && (
                 <button 
                   className="quick-action-btn analytics" 
@@ -603,14 +723,13 @@ const HomeScreen = ({ onNavigate, userProfile, onResetProfile }) => {
             <h2 className="section-title">📊 Progreso por Dominio</h2>
             <div className="domain-bars">
               {Object.entries(userStats.domainStats).map(([key, data]) => {
-                const domainInfo = {
-                  'preparar-datos': { name: 'Preparar Datos', icon: '📊', total: 20 },
-                  'modelar-datos': { name: 'Modelar Datos', icon: '🔗', total: 12 },
-                  'visualizar-analizar': { name: 'Visualizar y Analizar', icon: '📈', total: 12 },
-                  'administrar-asegurar': { name: 'Administrar y Asegurar', icon: '🔐', total: 56 }
+                const canonicalKey = resolveDomain(key);
+                if (!canonicalKey) return null;
+                const info = {
+                  name: TAXONOMIA_PL300[canonicalKey].nombreCorto,
+                  icon: TAXONOMIA_PL300[canonicalKey].icono,
+                  total: DOMAIN_QUESTION_TOTALS[canonicalKey]
                 };
-                const info = domainInfo[key];
-                if (!info) return null;
                 
                 // ✅ VALIDACIÓN ROBUSTA: Asegurar que todos los valores sean numéricos válidos
                 const attempted = toSafeNumber(data.attempted, 0);
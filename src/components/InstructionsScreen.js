@@ -1,6 +1,7 @@
 import React from 'react';
 import '../styles/InstructionsScreen.css';
 import { questionCounter } from '../utils/questionCounter';
+import { getDomainLabel as getTaxonomyDomainLabel } from '../data/taxonomy';
 
 const InstructionsScreen = ({ onNavigate, quizConfig }) => {
   // Obtener estadísticas de preguntas disponibles
@@ -17,14 +18,8 @@ const InstructionsScreen = ({ onNavigate, quizConfig }) => {
   );
 
   const getDomainLabel = (domain) => {
-    const labels = {
-      'all': 'Todos los Dominios',
-      'preparar-datos': 'Preparar Datos',
-      'modelar-datos': 'Modelar Datos',
-      'visualizar-analizar': 'Visualizar y Analizar',
-      'administrar-asegurar': 'Administrar y Asegurar'
-    };
-    return labels[domain] || domain;
+    if (domain === 'all') return 'Todos los Dominios';
+    return getTaxonomyDomainLabel(domain);
   };
 
   const getLevelLabel = (level) => {
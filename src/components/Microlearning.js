@@ -1,68 +1,24 @@
 // Sistema de Microlearning y Evaluaciones Formativas Frecuentes
-// Mini-assessments, flashcards con repetición espaciada
+// Mini-assessments, flashcards con repetición espaciada (FSRS)
 
 import React, { useState, useEffect } from 'react';
+import { resolveDomain, resolveSubdomain, getDomainLabel } from '../data/taxonomy';
+import { REVIEW_RATINGS, applyReviewRating, getTrackingCard, getReviewForecast } from '../utils/fsrsScheduler';
 import '../styles/Microlearning.css';
 
 // ============================================================================
-// ALGORITMO DE REPETICIÓN ESPACIADA (SPACED REPETITION)
+// REPETICIÓN ESPACIADA: FSRS compartido con el quiz y el Repaso de hoy
 // ============================================================================
 
+const [AGAIN, HARD, GOOD, EASY] = REVIEW_RATINGS.map(({ rating }) => rating);
+
 /**
- * Implementación del algoritmo SuperMemo SM-2
- * Calcula el siguiente intervalo de revisión basado en el desempeño
+ * Una tarjeta está pendiente si nunca se estudió o si su fecha FSRS ya venció
  */
-export class SpacedRepetitionScheduler {
-  constructor() {
-    // Intervalos iniciales en días
-    this.intervals = [1, 3, 7, 14, 30, 60, 120];
-  }
-  
-  /**
-   * Calcula el siguiente intervalo de revisión
-   * @param {number} currentInterval - Intervalo actual en días
-   * @param {number} easeFactor - Factor de facilidad (1.3 - 2.5)
-   * @param {number} quality - Calidad de la respuesta (0-5)
-   * @returns {object} Nuevo intervalo y factor de facilidad
-   */
-  calculateNextReview(currentInterval = 0, easeFactor = 2.5, quality) {
-    // Actualizar factor de facilidad
-    let newEaseFactor = easeFactor + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02));
-    newEaseFactor = Math.max(1.3, newEaseFactor); // Mínimo 1.3
-    
-    let newInterval;
-    
-    if (quality < 3) {
-      // Respuesta incorrecta o difícil - reiniciar
-      newInterval = 1;
-    } else if (currentInterval === 0) {
-      // Primera revisión
-      newInterval = 1;
-    } else if (currentInterval === 1) {
-      // Segunda revisión
-      newInterval = 6;
-    } else {
-      // Revisiones subsiguientes
-      newInterval = Math.round(currentInterval * newEaseFactor);
-    }
-    
-    return {
-      interval: newInterval,
-      easeFactor: newEaseFactor,
-      nextReviewDate: new Date(Date.now() + newInterval * 24 * 60 * 60 * 1000)
-    };
-  }
-  
-  /**
-   * Determina si una tarjeta debe revisarse hoy
-   */
-  isDueForReview(lastReviewDate, interval) {
-    if (!lastReviewDate) return true;
-    
-    const daysSinceReview = (Date.now() - new Date(lastReviewDate)) / (24 * 60 * 60 * 1000);
-    return daysSinceReview >= interval;
-  }
-}
+const isCardDue = (tracking, now = new Date()) => {
+  if (!tracking) return true;
+  return new Date(getTrackingCard(tracking).due) <= now;
+};
 
 // ============================================================================
 // COMPONENTE DE FLASHCARD INTERACTIVA
@@ -71,7 +27,7 @@ export class SpacedRepetitionScheduler {
 const Flashcard = ({ question, onAnswer, showHint = false }) => {
   const [flipped, setFlipped] = useState(false);
   const [selectedAnswer, setSelectedAnswer] = useState(null);
-  const [confidence, setConfidence] = useState(3);
+  const [rating, setRating] = useState(GOOD);
   
   const handleAnswer = (answerIndex) => {
     setSelectedAnswer(answerIndex);
@@ -81,17 +37,11 @@ const Flashcard = ({ question, onAnswer, showHint = false }) => {
   const handleConfidenceSubmit = () => {
     const isCorrect = selectedAnswer === question.respuestaCorrecta;
     
-    // Calcular quality para el algoritmo SM-2
-    // 0: respuesta totalmente incorrecta
-    // 3: respuesta correcta con dificultad
-    // 5: respuesta correcta fácilmente recordada
-    let quality = isCorrect ? confidence : 0;
-    
+    // Rating FSRS: un error siempre es "Otra vez"
     onAnswer({
       questionId: question.id,
       isCorrect,
-      quality,
-      confidence,
+      rating: isCorrect ? rating : AGAIN,
       timestamp: Date.now()
     });
   };
@@ -103,7 +53,7 @@ const Flashcard = ({ question, onAnswer, showHint = false }) => {
         <div className="flashcard-front">
           <div className="flashcard-header">
             <span className="flashcard-badge">{question.nivel}</span>
-            <span className="flashcard-domain">{question.dominio}</span>
+            <span className="flashcard-domain">{getDomainLabel(question.dominio)}</span>
           </div>
           
           <div className="flashcard-question">
@@ -165,20 +115,20 @@ const Flashcard = ({ question, onAnswer, showHint = false }) => {
               <label>¿Qué tan fácil fue responder?</label>
               <div className="confidence-buttons">
                 <button
-                  className={confidence === 3 ? 'active' : ''}
-                  onClick={() => setConfidence(3)}
+                  className={rating === HARD ? 'active' : ''}
+                  onClick={() => setRating(HARD)}
                 >
                   😓 Difícil
                 </button>
                 <button
-                  className={confidence === 4 ? 'active' : ''}
-                  onClick={() => setConfidence(4)}
+                  className={rating === GOOD ? 'active' : ''}
+                  onClick={() => setRating(GOOD)}
                 >
                   😐 Normal
                 </button>
                 <button
-                  className={confidence === 5 ? 'active' : ''}
-                  onClick={() => setConfidence(5)}
+                  className={rating === EASY ? 'active' : ''}
+                  onClick={() => setRating(EASY)}
                 >
                   😊 Fácil
                 </button>
@@ -263,7 +213,7 @@ const QuickPoll = ({ question, onAnswer }) => {
       onAnswer({
         questionId: question.id,
         isCorrect,
-        quality: isCorrect ? 5 : 0,
+        rating: isCorrect ? GOOD : AGAIN,
         timestamp: Date.now()
       });
     }, 2000);
@@ -324,27 +274,17 @@ const QuickPoll = ({ question, onAnswer }) => {
 const MicrolearningHub = ({ questionBank, userProgress, onProgressUpdate }) => {
   const [mode, setMode] = useState('dashboard');
   const [currentActivity, setCurrentActivity] = useState(null);
-  const [scheduler] = useState(new SpacedRepetitionScheduler());
   const [dueCards, setDueCards] = useState([]);
   
   useEffect(() => {
     // Calcular tarjetas que necesitan revisión
-    const due = questionBank.filter(q => {
-      const progress = userProgress?.[q.id];
-      if (!progress) return true; // Nueva tarjeta
-      
-      return scheduler.isDueForReview(
-        progress.lastReview,
-        progress.interval || 0
-      );
-    });
-    
-    setDueCards(due);
-  }, [questionBank, userProgress, scheduler]);
+    const now = new Date();
+    setDueCards(questionBank.filter(q => isCardDue(userProgress?.[q.id], now)));
+  }, [questionBank, userProgress]);
   
   const startFlashcards = (domain = null) => {
     const cards = domain 
-      ? dueCards.filter(q => q.dominio === domain)
+      ? dueCards.filter(q => resolveDomain(q.dominio) === domain)
       : dueCards;
     
     if (cards.length > 0) {
@@ -359,7 +299,7 @@ const MicrolearningHub = ({ questionBank, userProgress, onProgressUpdate }) => {
   
   const startMicroQuiz = (domain) => {
     const questions = questionBank
-      .filter(q => q.dominio === domain)
+      .filter(q => resolveSubdomain(q.subdominio) === domain || resolveDomain(q.dominio) === domain)
       .sort(() => Math.random() - 0.5)
       .slice(0, 3);
     
@@ -382,22 +322,14 @@ const MicrolearningHub = ({ questionBank, userProgress, onProgressUpdate }) => {
   };
   
   const handleActivityComplete = (results) => {
-    // Actualizar progreso con repetición espaciada
+    // Actualizar progreso con FSRS (misma tarjeta que usa el Repaso de hoy)
     if (results.answers) {
       results.answers.forEach(answer => {
-        const currentProgress = userProgress?.[answer.questionId] || {
-          interval: 0,
-          easeFactor: 2.5
-        };
-        
-        const nextReview = scheduler.calculateNextReview(
-          currentProgress.interval,
-          currentProgress.easeFactor,
-          answer.quality
-        );
+        const currentProgress = userProgress?.[answer.questionId] || {};
         
         onProgressUpdate(answer.questionId, {
-          ...nextReview,
+          ...currentProgress,
+          ...applyReviewRating(currentProgress, answer.rating),
           lastReview: Date.now(),
           totalReviews: (currentProgress.totalReviews || 0) + 1,
           correctReviews: (currentProgress.correctReviews || 0) + (answer.isCorrect ? 1 : 0)
@@ -469,7 +401,7 @@ const MicrolearningHub = ({ questionBank, userProgress, onProgressUpdate }) => {
           <span className="micro-card-time">⏱️ 2-3 min</span>
         </div>
         
-        <div className="micro-card" onClick={() => startMicroQuiz('diseñar-implementar-modelo')}>
+        <div className="micro-card" onClick={() => startMicroQuiz('disenar-modelo')}>
           <div className="micro-card-icon">🗂️</div>
           <h3>Micro-Quiz Modelado</h3>
           <p>3 preguntas enfocadas</p>
@@ -477,7 +409,7 @@ const MicrolearningHub = ({ questionBank, userProgress, onProgressUpdate }) => {
         </div>
       </div>
       
-      <ReviewSchedule userProgress={userProgress} scheduler={scheduler} />
+      <ReviewSchedule userProgress={userProgress} />
     </div>
   );
 };
@@ -523,40 +455,19 @@ const FlashcardSession = ({ questions, onComplete }) => {
 // CALENDARIO DE REVISIÓN
 // ============================================================================
 
-const ReviewSchedule = ({ userProgress, scheduler }) => {
-  const getScheduledReviews = () => {
-    const today = new Date();
-    const schedule = {};
-    
-    Object.entries(userProgress || {}).forEach(([questionId, progress]) => {
-      if (progress.nextReviewDate) {
-        const reviewDate = new Date(progress.nextReviewDate);
-        const daysUntil = Math.ceil((reviewDate - today) / (24 * 60 * 60 * 1000));
-        
-        if (daysUntil >= 0 && daysUntil <= 7) {
-          if (!schedule[daysUntil]) {
-            schedule[daysUntil] = 0;
-          }
-          schedule[daysUntil]++;
-        }
-      }
-    });
-    
-    return schedule;
-  };
-  
-  const schedule = getScheduledReviews();
+const ReviewSchedule = ({ userProgress }) => {
+  const schedule = getReviewForecast(userProgress || {}, { days: 8 });
   
   return (
     <div className="review-schedule">
       <h3>📅 Calendario de Revisión (Próximos 7 días)</h3>
       <div className="schedule-timeline">
-        {[0, 1, 2, 3, 4, 5, 6, 7].map(day => (
-          <div key={day} className="schedule-day">
+        {schedule.map((day, index) => (
+          <div key={day.date} className="schedule-day">
             <div className="day-label">
-              {day === 0 ? 'Hoy' : day === 1 ? 'Mañana' : `+${day}d`}
+              {index < 2 ? day.label : `+${index}d`}
             </div>
-            <div className="day-count">{schedule[day] || 0}</div>
+            <div className="day-count">{day.count}</div>
           </div>
         ))}
       </div>
@@ -0,0 +1,326 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import '../styles/QuizScreen.css';
+import '../styles/MockExamScreen.css';
+import { dominiosInfo } from '../data/preguntas';
+import { MOCK_EXAM_CONFIG, assembleMockExam, scoreMockExam } from '../utils/mockExam';
+import { isAnswerComplete } from '../utils/questionFormats';
+import QuestionFormatRenderer from './QuestionFormatRenderer';
+
+const TOTAL_SECONDS = MOCK_EXAM_CONFIG.durationMinutes * 60;
+
+const formatCountdown = (seconds) => {
+  const safe = Math.max(0, seconds);
+  const hours = Math.floor(safe / 3600);
+  const mins = Math.floor((safe % 3600) / 60);
+  const secs = safe % 60;
+  const pad = (value) => value.toString().padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(mins)}:${pad(secs)}` : `${pad(mins)}:${pad(secs)}`;
+};
+
+/**
+ * Simulacro oficial: formulario ponderado por dominio, cuenta regresiva de
+ * 100 minutos con envío automático, marcado para revisión y pantalla de
+ * revisión antes de enviar.
+ */
+const MockExamScreen = ({ onNavigate, quizConfig }) => {
+  const [exam, setExam] = useState(null);
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
+  const [answers, setAnswers] = useState({});
+  const [flagged, setFlagged] = useState(new Set());
+  const [phase, setPhase] = useState('exam'); // 'exam' | 'review'
+  const [remaining, setRemaining] = useState(TOTAL_SECONDS);
+  const [startTime] = useState(Date.now());
+  const submittedRef = useRef(false);
+
+  useEffect(() => {
+    setExam(assembleMockExam());
+  }, []);
+
+  const submitExam = useCallback((reason = 'manual') => {
+    if (!exam || submittedRef.current) return;
+    submittedRef.current = true;
+
+    const timeElapsed = Math.min(TOTAL_SECONDS, Math.floor((Date.now() - startTime) / 1000));
+    const mockExam = {
+      ...scoreMockExam(exam.questions, answers),
+      blueprint: exam.blueprint,
+      flagged: Array.from(flagged),
+      submittedBy: reason,
+      durationMinutes: MOCK_EXAM_CONFIG.durationMinutes
+    };
+
+    onNavigate('results', {
+      results: {
+        mode: 'mock-exam',
+        questions: exam.questions,
+        answers,
+        timeElapsed,
+        config: { ...quizConfig, domain: 'all', level: 'all', mode: 'mock-exam' },
+        timestamp: Date.now(),
+        mockExam
+      }
+    });
+  }, [exam, answers, flagged, startTime, quizConfig, onNavigate]);
+
+  // Cuenta regresiva basada en el reloj real (no se desincroniza si la pestaña se duerme)
+  useEffect(() => {
+    const timer = setInterval(() => {
+      const elapsed = Math.floor((Date.now() - startTime) / 1000);
+      setRemaining(TOTAL_SECONDS - elapsed);
+    }, 1000);
+    return () => clearInterval(timer);
+  }, [startTime]);
+
+  useEffect(() => {
+    if (remaining <= 0) {
+      submitExam('timeout');
+    }
+  }, [remaining, submitExam]);
+
+  const handleAnswer = (answer) => {
+    setAnswers((prev) => ({ ...prev, [currentQuestionIndex]: answer }));
+  };
+
+  const toggleFlag = (index) => {
+    setFlagged((prev) => {
+      const next = new Set(prev);
+      if (next.has(index)) {
+        next.delete(index);
+      } else {
+        next.add(index);
+      }
+      return next;
+    });
+  };
+
+  const goToQuestion = (index) => {
+    setCurrentQuestionIndex(index);
+    setPhase('exam');
+  };
+
+  if (!exam) {
+    return (
+      <div className="quiz-screen">
+        <div className="loading-container">
+          <div className="spinner"></div>
+          <p>Ensamblando simulacro...</p>
+        </div>
+      </div>
+    );
+  }
+
+  const { questions } = exam;
+
+  if (questions.length < MOCK_EXAM_CONFIG.minQuestions) {
+    return (
+      <div className="quiz-screen">
+        <div className="quiz-container">
+          <div className="no-questions-message">
+            <h2>⚠️ Banco insuficiente</h2>
+            <p>
+              El banco actual no tiene suficientes preguntas por dominio para ensamblar un simulacro
+              representativo (mínimo {MOCK_EXAM_CONFIG.minQuestions}).
+            </p>
+            <button className="primary-button" onClick={() => onNavigate('home')}>
+              ← Volver al Inicio
+            </button>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  const isAnswered = (index) => isAnswerComplete(questions[index], answers[index]);
+  const answeredCount = questions.filter((_, index) => isAnswered(index)).length;
+  const unansweredCount = questions.length - answeredCount;
+  const isLowTime = remaining <= MOCK_EXAM_CONFIG.warningMinutes * 60;
+  const currentQuestion = questions[currentQuestionIndex];
+
+  const header = (
+    <header className="quiz-header mock-exam-header">
+      <div className="header-left">
+        <h1>Simulacro Oficial PL-300</h1>
+        <div className="quiz-stats">
+          <span className={`stat mock-countdown ${isLowTime ? 'low-time' : ''}`}>
+            ⏳ {formatCountdown(remaining)}
+          </span>
+          <span className="stat">📝 {answeredCount}/{questions.length}</span>
+          <span className="stat">🚩 {flagged.size}</span>
+        </div>
+      </div>
+      {phase === 'exam' ? (
+        <button className="finish-button" onClick={() => setPhase('review')}>
+          Revisar y Enviar
+        </button>
+      ) : (
+        <button className="finish-button" onClick={() => setPhase('exam')}>
+          ← Volver al Examen
+        </button>
+      )}
+    </header>
+  );
+
+  if (phase === 'review') {
+    return (
+      <div className="quiz-screen mock-exam-screen">
+        <div className="quiz-container">
+          {header}
+          <div className="mock-review">
+            <h2>Revisión antes de enviar</h2>
+            <div className="mock-review-summary">
+              <div className="review-stat">
+                <span className="review-value">{answeredCount}</span>
+                <span className="review-label">Respondidas</span>
+              </div>
+              <div className="review-stat warning">
+                <span className="review-value">{unansweredCount}</span>
+                <span className="review-label">Sin responder</span>
+              </div>
+              <div className="review-stat flagged">
+                <span className="review-value">{flagged.size}</span>
+                <span className="review-label">Marcadas</span>
+              </div>
+            </div>
+
+            <div className="mock-review-grid">
+              {questions.map((question, index) => {
+                const answered = isAnswered(index);
+                const isFlagged = flagged.has(index);
+                return (
+                  <button
+                    key={`${index}-${question.id}`}
+                    className={`mock-review-item ${answered ? 'answered' : 'unanswered'} ${isFlagged ? 'flagged' : ''}`}
+                    onClick={() => goToQuestion(index)}
+                  >
+                    <span className="review-item-number">{index + 1}</span>
+                    <span className="review-item-status">
+                      {isFlagged ? '🚩' : answered ? '✓' : '—'}
+                    </span>
+                  </button>
+                );
+              })}
+            </div>
+
+            {exam.limitedByBank && (
+              <p className="mock-review-note">
+                ℹ️ El banco actual permite {questions.length} preguntas manteniendo la ponderación oficial
+                por dominio; el examen real tiene entre 50 y 60.
+              </p>
+            )}
+
+            <div className="mock-review-actions">
+              {unansweredCount > 0 && (
+                <p className="mock-review-warning">
+                  ⚠️ Tienes {unansweredCount} pregunta(s) sin responder. Las preguntas sin respuesta cuentan como incorrectas.
+                </p>
+              )}
+              <button className="primary-button" onClick={() => submitExam('manual')}>
+                Enviar Simulacro
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="quiz-screen mock-exam-screen">
+      <div className="quiz-container">
+        {header}
+
+        <div className="quiz-content">
+          <div className="question-sidebar">
+            <h3>Navegación</h3>
+            <div className="question-grid">
+              {questions.map((question, index) => (
+                <button
+                  key={`${index}-${question.id}`}
+                  className={`question-nav-button ${
+                    index === currentQuestionIndex ? 'current' : ''
+                  } ${isAnswered(index) ? 'answered' : ''} ${flagged.has(index) ? 'flagged' : ''}`}
+                  onClick={() => goToQuestion(index)}
+                >
+                  {index + 1}
+                </button>
+              ))}
+            </div>
+            <div className="sidebar-legend">
+              <div className="legend-item">
+                <span className="legend-box answered"></span>
+                <span>Respondida</span>
+              </div>
+              <div className="legend-item">
+                <span className="legend-box flagged"></span>
+                <span>Marcada para revisión</span>
+              </div>
+            </div>
+            <div className="mock-blueprint">
+              <h4>Ponderación</h4>
+              {Object.entries(exam.blueprint).map(([domain, info]) => (
+                <div key={domain} className="blueprint-row">
+                  <span>{dominiosInfo[domain]?.titulo || domain}</span>
+                  <span>{info.selected} ({Math.round(info.weight * 100)}%)</span>
+                </div>
+              ))}
+            </div>
+          </div>
+
+          <div className="question-area">
+            <div className="question-header">
+              <div className="question-meta">
+                <span className="question-number">
+                  Pregunta {currentQuestionIndex + 1} de {questions.length}
+                </span>
+                <button
+                  className={`flag-button ${flagged.has(currentQuestionIndex) ? 'active' : ''}`}
+                  onClick={() => toggleFlag(currentQuestionIndex)}
+                >
+                  🚩 {flagged.has(currentQuestionIndex) ? 'Marcada' : 'Marcar para revisión'}
+                </button>
+              </div>
+            </div>
+
+            <div className="question-body">
+              <QuestionFormatRenderer
+                key={`${currentQuestionIndex}-${currentQuestion.id}`}
+                question={currentQuestion}
+                answer={answers[currentQuestionIndex]}
+                onAnswer={handleAnswer}
+              />
+            </div>
+
+            <div className="question-navigation">
+              <button
+                className="nav-button"
+                onClick={() => setCurrentQuestionIndex(currentQuestionIndex - 1)}
+                disabled={currentQuestionIndex === 0}
+              >
+                ← Anterior
+              </button>
+              <span className="nav-info">
+                {unansweredCount === 0
+                  ? '✅ Todas las preguntas respondidas'
+                  : `${unansweredCount} preguntas sin responder`}
+              </span>
+              {currentQuestionIndex < questions.length - 1 ? (
+                <button
+                  className="nav-button"
+                  onClick={() => setCurrentQuestionIndex(currentQuestionIndex + 1)}
+                >
+                  Siguiente →
+                </button>
+              ) : (
+                <button className="nav-button finish" onClick={() => setPhase('review')}>
+                  Revisar →
+                </button>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default MockExamScreen;
@@ -0,0 +1,416 @@
+import React, { useState, useRef } from 'react';
+import '../styles/QuizScreen.css';
+import '../styles/ModelDesignScreen.css';
+import { MODEL_DESIGN_EXERCISES } from '../data/modelDesignExercises';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import CompetencyVisualization from './CompetencyVisualization';
+import {
+  CARDINALITIES,
+  CROSS_FILTER_DIRECTIONS,
+  parseColumnRef,
+  reverseRelationship,
+  relationshipKey,
+  filterEdges,
+  validateModelDesign
+} from '../utils/modelRelationships';
+
+// 📐 Geometría del diagrama (px)
+const CARD_WIDTH = 190;
+const HEADER_HEIGHT = 34;
+const COLUMN_HEIGHT = 26;
+const X_SPACING = 270;
+const Y_SPACING = 190;
+
+const TABLE_TYPE_LABELS = {
+  hechos: 'Hechos',
+  dimension: 'Dimensión',
+  puente: 'Puente'
+};
+
+const NO_RELATIONSHIPS = [];
+
+const tableBox = (table) => ({
+  left: table.posicion.x * X_SPACING,
+  top: table.posicion.y * Y_SPACING,
+  height: HEADER_HEIGHT + table.columns.length * COLUMN_HEIGHT
+});
+
+// Punto de anclaje de una columna en el borde de su tarjeta más cercano a la otra tabla
+const anchorPoint = (tables, ref, otherRef) => {
+  const { table, column } = parseColumnRef(ref);
+  const { table: otherTable } = parseColumnRef(otherRef);
+  const box = tableBox(tables[table]);
+  const otherBox = tableBox(tables[otherTable]);
+  const rightEdge = box.left < otherBox.left;
+  return {
+    x: box.left + (rightEdge ? CARD_WIDTH : 0),
+    y: box.top + HEADER_HEIGHT + tables[table].columns.indexOf(column) * COLUMN_HEIGHT + COLUMN_HEIGHT / 2
+  };
+};
+
+const pointAlong = (start, end, distance) => {
+  const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+  return {
+    x: start.x + ((end.x - start.x) * distance) / length,
+    y: start.y + ((end.y - start.y) * distance) / length
+  };
+};
+
+// Línea de una relación: cardinalidad en cada extremo y flechas con el sentido del filtro
+const RelationshipLine = ({ tables, relationship, selected, onSelect }) => {
+  const start = anchorPoint(tables, relationship.from, relationship.to);
+  const end = anchorPoint(tables, relationship.to, relationship.from);
+  const points = {
+    [parseColumnRef(relationship.from).table]: start,
+    [parseColumnRef(relationship.to).table]: end
+  };
+  const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const sides = CARDINALITIES[relationship.cardinality];
+  const fromLabel = pointAlong(start, end, 16);
+  const toLabel = pointAlong(end, start, 16);
+  const edges = filterEdges(relationship);
+
+  return (
+    <g
+      className={`md-relationship ${relationship.active ? '' : 'inactive'} ${selected ? 'selected' : ''}`}
+      onClick={onSelect}
+    >
+      <line className="md-relationship-hit" x1={start.x} y1={start.y} x2={end.x} y2={end.y} />
+      <line className="md-relationship-line" x1={start.x} y1={start.y} x2={end.x} y2={end.y} />
+      <text className="md-cardinality" x={fromLabel.x} y={fromLabel.y - 6}>{sides.from}</text>
+      <text className="md-cardinality" x={toLabel.x} y={toLabel.y - 6}>{sides.to}</text>
+      {edges.map(([source, target], index) => {
+        const angle = (Math.atan2(points[target].y - points[source].y, points[target].x - points[source].x) * 180) / Math.PI;
+        const offset = edges.length > 1 ? (index === 0 ? -12 : 12) : 0;
+        const position = pointAlong(middle, end, offset);
+        return (
+          <polygon
+            key={`${source}-${target}`}
+            className="md-direction-arrow"
+            points="-7,-5 7,0 -7,5"
+            transform={`translate(${position.x} ${position.y}) rotate(${angle})`}
+          />
+        );
+      })}
+    </g>
+  );
+};
+
+/**
+ * Constructor de relaciones: el alumno conecta columnas de las tablas del
+ * diagrama, ajusta cardinalidad, dirección de filtro cruzado y si la relación
+ * está activa, y el diseño se compara con el esperado. La primera comprobación
+ * de cada visita cuenta en questionTracking y en las estadísticas de su
+ * subdominio (ver recordPracticeAttempt).
+ */
+const ModelDesignScreen = ({ onNavigate }) => {
+  const { getAllQuestionsTracking, recordPracticeAttempt } = useCxCProgress();
+  const questionTracking = getAllQuestionsTracking();
+
+  const [exerciseId, setExerciseId] = useState(MODEL_DESIGN_EXERCISES[0].id);
+  // Diseños por ejercicio: cambiar de ejercicio no pierde las relaciones creadas
+  const [designs, setDesigns] = useState({});
+  const [pendingColumn, setPendingColumn] = useState(null);
+  const [selectedId, setSelectedId] = useState(null);
+  const [previewTable, setPreviewTable] = useState(null);
+  const [notice, setNotice] = useState(null);
+  const [result, setResult] = useState(null);
+  const [showCompetency, setShowCompetency] = useState(false);
+  const startRef = useRef(Date.now());
+  const nextIdRef = useRef(1);
+
+  const exercise = MODEL_DESIGN_EXERCISES.find(item => item.id === exerciseId);
+  const tables = exercise.tablas;
+  const relationships = designs[exerciseId] || NO_RELATIONSHIPS;
+
+  const boxes = Object.values(tables).map(tableBox);
+  const canvasWidth = Math.max(...boxes.map(box => box.left)) + CARD_WIDTH;
+  const canvasHeight = Math.max(...boxes.map(box => box.top + box.height));
+
+  const selectExercise = (item) => {
+    setExerciseId(item.id);
+    setPendingColumn(null);
+    setSelectedId(null);
+    setPreviewTable(null);
+    setNotice(null);
+    setResult(null);
+    startRef.current = Date.now();
+  };
+
+  const updateRelationships = (updater) => {
+    setDesigns(prev => ({ ...prev, [exerciseId]: updater(prev[exerciseId] || NO_RELATIONSHIPS) }));
+    setResult(null);
+  };
+
+  const updateRelationship = (id, changes) => {
+    updateRelationships(list => list.map(relationship => {
+      if (relationship.id !== id) return relationship;
+      const updated = { ...relationship, ...changes };
+      // Una relación 1:1 siempre filtra en ambas direcciones
+      return updated.cardinality === '1:1' ? { ...updated, crossFilter: 'both' } : updated;
+    }));
+  };
+
+  const swapRelationship = (relationship) => {
+    updateRelationship(relationship.id, reverseRelationship(relationship));
+  };
+
+  const removeRelationship = (id) => {
+    updateRelationships(list => list.filter(relationship => relationship.id !== id));
+    if (selectedId === id) setSelectedId(null);
+  };
+
+  // Primer clic elige una columna; el segundo, en otra tabla, crea la relación
+  const handleColumnClick = (ref) => {
+    setNotice(null);
+    if (!pendingColumn || pendingColumn === ref) {
+      setPendingColumn(pendingColumn === ref ? null : ref);
+      return;
+    }
+    if (parseColumnRef(pendingColumn).table === parseColumnRef(ref).table) {
+      setPendingColumn(ref);
+      return;
+    }
+
+    const draft = { from: pendingColumn, to: ref };
+    const existing = relationships.find(relationship => relationshipKey(relationship) === relationshipKey(draft));
+    setPendingColumn(null);
+    if (existing) {
+      setSelectedId(existing.id);
+      setNotice(`La relación ${relationshipKey(draft)} ya existe.`);
+      return;
+    }
+
+    const id = nextIdRef.current++;
+    updateRelationships(list => [...list, { id, ...draft, cardinality: '1:*', crossFilter: 'single', active: true }]);
+    setSelectedId(id);
+  };
+
+  const checkDesign = () => {
+    const validation = validateModelDesign(tables, relationships, exercise.esperadas);
+    setResult(validation);
+
+    recordPracticeAttempt(exercise, {
+      correct: validation.correct,
+      score: validation.score,
+      startedAt: startRef.current,
+      format: 'model-design',
+      relationships: relationships.length,
+      source: 'model-designer'
+    });
+  };
+
+  const solvedCount = MODEL_DESIGN_EXERCISES.filter(item => questionTracking[item.id]?.correctAttempts > 0).length;
+  const errors = result ? result.issues.filter(issue => issue.severity === 'error') : [];
+  const warnings = result ? result.issues.filter(issue => issue.severity === 'warning') : [];
+
+  return (
+    <div className="quiz-screen">
+      <div className="quiz-container model-design">
+        <header className="quiz-header">
+          <h2>🔗 Constructor de relaciones</h2>
+          <div className="quiz-stats">
+            <span>Modelos correctos: {solvedCount} / {MODEL_DESIGN_EXERCISES.length}</span>
+          </div>
+        </header>
+
+        <div className="md-layout">
+          <aside className="md-exercises">
+            <h3>Ejercicios</h3>
+            {MODEL_DESIGN_EXERCISES.map(item => {
+              const tracking = questionTracking[item.id];
+              return (
+                <button
+                  key={item.id}
+                  className={`md-exercise-button ${item.id === exerciseId ? 'active' : ''}`}
+                  onClick={() => selectExercise(item)}
+                >
+                  <strong>{tracking?.correctAttempts > 0 ? '✅' : '⬜'} {item.titulo}</strong>
+                  <small>{item.nivel} · {tracking ? `${tracking.totalAttempts} intento(s)` : 'sin intentos'}</small>
+                </button>
+              );
+            })}
+          </aside>
+
+          <main className="md-workspace">
+            <section className="md-card">
+              <h3>{exercise.titulo}</h3>
+              <p className="md-statement">{exercise.enunciado}</p>
+              <p className="md-statement">
+                Haz clic en una columna y después en la columna de otra tabla para relacionarlas.
+                Pulsa el nombre de una tabla para ver sus datos de ejemplo.
+              </p>
+              <details className="md-hints">
+                <summary>💡 Pistas</summary>
+                <ul>
+                  {exercise.pistas.map(hint => <li key={hint}>{hint}</li>)}
+                </ul>
+              </details>
+            </section>
+
+            <section className="md-card">
+              <div className="md-diagram-wrapper">
+                <div className="md-diagram" style={{ width: canvasWidth, height: canvasHeight }}>
+                  <svg className="md-lines" width={canvasWidth} height={canvasHeight}>
+                    {relationships.map(relationship => (
+                      <RelationshipLine
+                        key={relationship.id}
+                        tables={tables}
+                        relationship={relationship}
+                        selected={relationship.id === selectedId}
+                        onSelect={() => setSelectedId(relationship.id)}
+                      />
+                    ))}
+                  </svg>
+                  {Object.entries(tables).map(([name, table]) => {
+                    const box = tableBox(table);
+                    return (
+                      <div
+                        key={name}
+                        className={`md-table md-table-${table.tipo}`}
+                        style={{ left: box.left, top: box.top, width: CARD_WIDTH }}
+                      >
+                        <button
+                          className={`md-table-header ${previewTable === name ? 'active' : ''}`}
+                          style={{ height: HEADER_HEIGHT }}
+                          onClick={() => setPreviewTable(previewTable === name ? null : name)}
+                        >
+                          <strong>{name}</strong>
+                          <small>{TABLE_TYPE_LABELS[table.tipo]}</small>
+                        </button>
+                        {table.columns.map(column => {
+                          const ref = `${name}[${column}]`;
+                          return (
+                            <button
+                              key={column}
+                              className={`md-column ${pendingColumn === ref ? 'pending' : ''}`}
+                              style={{ height: COLUMN_HEIGHT }}
+                              onClick={() => handleColumnClick(ref)}
+                            >
+                              {column}
+                            </button>
+                          );
+                        })}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+              {pendingColumn && <p className="md-notice">Columna elegida: <code>{pendingColumn}</code>. Ahora elige la columna de otra tabla.</p>}
+              {notice && <p className="md-notice">{notice}</p>}
+            </section>
+
+            {previewTable && (
+              <section className="md-card">
+                <h3>Datos de ejemplo: {previewTable}</h3>
+                <div className="md-table-wrapper">
+                  <table className="md-data">
+                    <thead>
+                      <tr>{tables[previewTable].columns.map(column => <th key={column}>{column}</th>)}</tr>
+                    </thead>
+                    <tbody>
+                      {tables[previewTable].rows.map((row, index) => (
+                        <tr key={index}>{row.map((value, cell) => <td key={cell}>{String(value)}</td>)}</tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </section>
+            )}
+
+            <section className="md-card">
+              <h3>Relaciones ({relationships.length})</h3>
+              {relationships.length === 0 ? (
+                <p className="md-statement">Todavía no hay relaciones en el modelo.</p>
+              ) : (
+                <ul className="md-relationship-list">
+                  {relationships.map(relationship => (
+                    <li
+                      key={relationship.id}
+                      className={relationship.id === selectedId ? 'selected' : ''}
+                      onClick={() => setSelectedId(relationship.id)}
+                    >
+                      <span className="md-relationship-ends">
+                        <code>{relationship.from}</code>
+                        <button className="md-swap" title="Invertir extremos" onClick={() => swapRelationship(relationship)}>⇄</button>
+                        <code>{relationship.to}</code>
+                      </span>
+                      <label>
+                        <span>Cardinalidad</span>
+                        <select
+                          value={relationship.cardinality}
+                          onChange={(e) => updateRelationship(relationship.id, { cardinality: e.target.value })}
+                        >
+                          {Object.entries(CARDINALITIES).map(([value, { label }]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label>
+                        <span>Filtro cruzado</span>
+                        <select
+                          value={relationship.crossFilter}
+                          disabled={relationship.cardinality === '1:1'}
+                          onChange={(e) => updateRelationship(relationship.id, { crossFilter: e.target.value })}
+                        >
+                          {Object.entries(CROSS_FILTER_DIRECTIONS).map(([value, { label }]) => (
+                            <option key={value} value={value}>{label}</option>
+                          ))}
+                        </select>
+                      </label>
+                      <label className="md-checkbox">
+                        <input
+                          type="checkbox"
+                          checked={relationship.active}
+                          onChange={(e) => updateRelationship(relationship.id, { active: e.target.checked })}
+                        />
+                        Activa
+                      </label>
+                      <button className="md-remove" title="Eliminar relación" onClick={() => removeRelationship(relationship.id)}>✕</button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+              {relationships.some(relationship => relationship.cardinality === '*:*' && relationship.crossFilter === 'single') && (
+                <p className="md-notice">En *:* con dirección única el filtro va de la primera tabla a la segunda; usa ⇄ para invertirlo.</p>
+              )}
+            </section>
+
+            <button className="primary-button" onClick={checkDesign} disabled={relationships.length === 0}>
+              Comprobar modelo
+            </button>
+
+            {result && (
+              <div className="md-result">
+                <div className={`md-verdict ${result.correct ? 'correct' : 'incorrect'}`}>
+                  {result.correct ? '✅ ¡El modelo coincide con el diseño esperado!' : `❌ Todavía hay problemas (${result.score}%)`}
+                </div>
+                {errors.length > 0 && (
+                  <ul className="md-feedback">
+                    {errors.map(issue => <li key={issue.message}>{issue.message}</li>)}
+                  </ul>
+                )}
+                {warnings.length > 0 && (
+                  <ul className="md-feedback md-warnings">
+                    {warnings.map(issue => <li key={issue.message}>⚠️ {issue.message}</li>)}
+                  </ul>
+                )}
+              </div>
+            )}
+
+            <button className="md-secondary-button" onClick={() => setShowCompetency(prev => !prev)}>
+              {showCompetency ? 'Ocultar competencias' : '📊 Ver mis competencias'}
+            </button>
+            {showCompetency && <CompetencyVisualization practiceTracking={questionTracking} />}
+          </main>
+        </div>
+
+        <button className="md-secondary-button" onClick={() => onNavigate('home')}>
+          Salir del constructor
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ModelDesignScreen;
@@ -0,0 +1,376 @@
+import React, { useState, useRef, useMemo } from 'react';
+import '../styles/QuizScreen.css';
+import '../styles/PowerQuerySimulatorScreen.css';
+import { POWER_QUERY_EXERCISES } from '../data/powerQueryExercises';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import {
+  QUERY_STEP_TYPES,
+  FILTER_OPERATORS,
+  isCellError,
+  toTable,
+  runQuerySteps,
+  isStepComplete,
+  describeQueryStep,
+  toMCode,
+  compareTables
+} from '../utils/powerQuerySimulator';
+
+const EMPTY_FORM = {
+  type: 'filter_rows',
+  column: '',
+  operator: 'equals',
+  value: '',
+  find: '',
+  replaceWith: '',
+  dataType: 'number',
+  columns: [],
+  attributeColumn: 'Atributo',
+  valueColumn: 'Valor',
+  table: '',
+  leftKey: '',
+  rightKey: '',
+  joinKind: 'left_outer',
+  keys: [],
+  op: 'sum',
+  as: ''
+};
+
+const NO_STEPS = [];
+
+const formatCell = (value) => {
+  if (isCellError(value)) return 'Error';
+  if (value === null || value === undefined) return 'null';
+  return String(value);
+};
+
+const buildTables = (exercise) => Object.entries(exercise.tablas).reduce(
+  (acc, [name, table]) => ({ ...acc, [name]: toTable(table) }),
+  {}
+);
+
+// Vista previa de una tabla (como la cuadrícula del editor de Power Query)
+const QueryTable = ({ table, caption }) => (
+  <div className="pq-table-wrapper">
+    {caption && <div className="pq-table-caption">{caption}</div>}
+    <table className="pq-table">
+      <thead>
+        <tr>
+          {table.columns.map(column => {
+            const numeric = table.rows.some(row => typeof row[column] === 'number');
+            return (
+              <th key={column}>
+                <span className="pq-type-badge">{numeric ? '1.2' : 'ABC'}</span> {column}
+              </th>
+            );
+          })}
+        </tr>
+      </thead>
+      <tbody>
+        {table.rows.map((row, index) => (
+          <tr key={index}>
+            {table.columns.map(column => {
+              const value = row[column];
+              let className = typeof value === 'number' ? 'pq-cell-number' : '';
+              if (value === null || value === undefined) className = 'pq-cell-null';
+              if (isCellError(value)) className = 'pq-cell-error';
+              return <td key={column} className={className}>{formatCell(value)}</td>;
+            })}
+          </tr>
+        ))}
+      </tbody>
+    </table>
+    <small className="pq-table-footer">{table.columns.length} columnas · {table.rows.length} filas</small>
+  </div>
+);
+
+/**
+ * Simulador de Power Query: el alumno construye "Pasos aplicados" sobre una
+ * tabla en memoria, ve la vista previa de cada paso y se califica contra la
+ * tabla objetivo. La primera comprobación de cada visita cuenta en
+ * questionTracking y en las estadísticas de su subdominio (ver recordPracticeAttempt).
+ */
+const PowerQuerySimulatorScreen = ({ onNavigate }) => {
+  const { getAllQuestionsTracking, recordPracticeAttempt } = useCxCProgress();
+  const questionTracking = getAllQuestionsTracking();
+
+  const [exerciseId, setExerciseId] = useState(POWER_QUERY_EXERCISES[0].id);
+  // Pasos por ejercicio: cambiar de ejercicio no borra el trabajo
+  const [stepsByExercise, setStepsByExercise] = useState({});
+  const [selectedStep, setSelectedStep] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [result, setResult] = useState(null);
+  const [showSolution, setShowSolution] = useState(false);
+  const startRef = useRef(Date.now());
+
+  const exercise = POWER_QUERY_EXERCISES.find(item => item.id === exerciseId);
+  const steps = stepsByExercise[exerciseId] || NO_STEPS;
+  const tables = useMemo(() => buildTables(exercise), [exercise]);
+  const target = useMemo(() => toTable(exercise.objetivo), [exercise]);
+  const previews = useMemo(() => runQuerySteps(tables, exercise.origen, steps), [tables, exercise, steps]);
+
+  const lastPreview = previews[previews.length - 1];
+  const previewIndex = selectedStep === null ? previews.length - 1 : Math.min(selectedStep, previews.length - 1);
+  const preview = previews[previewIndex];
+  const currentColumns = lastPreview.table?.columns || [];
+  const mergeTable = tables[form.table];
+  const otherTables = Object.keys(tables).filter(name => name !== exercise.origen);
+
+  const definition = QUERY_STEP_TYPES[form.type];
+  const draftStep = definition.fields.reduce((step, field) => ({ ...step, [field.name]: form[field.name] }), { type: form.type });
+  const operatorWithoutValue = form.type === 'filter_rows' && FILTER_OPERATORS[form.operator]?.noValue;
+
+  const setSteps = (updater) => {
+    setStepsByExercise(prev => ({ ...prev, [exerciseId]: updater(prev[exerciseId] || []) }));
+    setSelectedStep(null);
+    setResult(null);
+  };
+
+  const selectExercise = (id) => {
+    setExerciseId(id);
+    setSelectedStep(null);
+    setForm(EMPTY_FORM);
+    setResult(null);
+    setShowSolution(false);
+    startRef.current = Date.now();
+  };
+
+  // Cambiar de transformación reinicia el formulario; cambiar la consulta a
+  // combinar invalida la clave y las columnas a expandir
+  const updateForm = (name, value) => setForm(prev => ({
+    ...(name === 'type' ? EMPTY_FORM : prev),
+    ...(name === 'table' ? { rightKey: '', columns: [] } : {}),
+    [name]: value
+  }));
+
+  const toggleColumn = (name, column) => setForm(prev => ({
+    ...prev,
+    [name]: prev[name].includes(column) ? prev[name].filter(item => item !== column) : [...prev[name], column]
+  }));
+
+  const addStep = () => {
+    setSteps(prev => [...prev, draftStep]);
+    setForm(prev => ({ ...EMPTY_FORM, type: prev.type }));
+  };
+
+  const checkResult = () => {
+    const comparison = compareTables(lastPreview.table, target);
+    setResult(comparison);
+
+    recordPracticeAttempt(exercise, {
+      correct: comparison.match,
+      score: comparison.score,
+      startedAt: startRef.current,
+      format: 'power-query',
+      steps: steps.length,
+      source: 'power-query'
+    });
+  };
+
+  const renderField = (field) => {
+    if (field.name === 'value' && operatorWithoutValue) return null;
+    if (field.name === 'column' && form.type === 'group_by' && form.op === 'count') return null;
+
+    const value = form[field.name];
+    const choose = (options, placeholder) => (
+      <select value={value} onChange={(e) => updateForm(field.name, e.target.value)}>
+        <option value="">{placeholder}</option>
+        {options.map(option => <option key={option} value={option}>{option}</option>)}
+      </select>
+    );
+    const checkboxes = (options) => (
+      <div className="pq-checkbox-list">
+        {options.map(column => (
+          <label key={column} className="pq-checkbox">
+            <input
+              type="checkbox"
+              checked={value.includes(column)}
+              onChange={() => toggleColumn(field.name, column)}
+            />
+            {column}
+          </label>
+        ))}
+      </div>
+    );
+
+    let control;
+    switch (field.kind) {
+      case 'column':
+        control = choose(currentColumns, 'Elige una columna');
+        break;
+      case 'columns':
+        control = checkboxes(currentColumns);
+        break;
+      case 'table':
+        control = choose(otherTables, otherTables.length > 0 ? 'Elige una consulta' : 'No hay otras consultas');
+        break;
+      case 'tableColumn':
+        control = choose(mergeTable?.columns || [], 'Elige una columna');
+        break;
+      case 'tableColumns':
+        control = checkboxes(mergeTable?.columns || []);
+        break;
+      case 'select':
+        control = (
+          <select value={value} onChange={(e) => updateForm(field.name, e.target.value)}>
+            {field.options.map(option => <option key={option.value} value={option.value}>{option.label}</option>)}
+          </select>
+        );
+        break;
+      default:
+        control = <input type="text" value={value} onChange={(e) => updateForm(field.name, e.target.value)} />;
+    }
+
+    return (
+      <div key={field.name} className="pq-field">
+        <span>{field.label}</span>
+        {control}
+      </div>
+    );
+  };
+
+  const solvedCount = POWER_QUERY_EXERCISES.filter(item => questionTracking[item.id]?.correctAttempts > 0).length;
+
+  return (
+    <div className="quiz-screen">
+      <div className="quiz-container power-query">
+        <header className="quiz-header">
+          <h2>🧪 Simulador Power Query</h2>
+          <div className="quiz-stats">
+            <span>Resueltos: {solvedCount} / {POWER_QUERY_EXERCISES.length}</span>
+          </div>
+        </header>
+
+        <div className="pq-layout">
+          <aside className="pq-exercises">
+            <h3>Ejercicios</h3>
+            {POWER_QUERY_EXERCISES.map(item => {
+              const tracking = questionTracking[item.id];
+              return (
+                <button
+                  key={item.id}
+                  className={`pq-exercise-button ${item.id === exerciseId ? 'active' : ''}`}
+                  onClick={() => selectExercise(item.id)}
+                >
+                  <strong>{tracking?.correctAttempts > 0 ? '✅' : '⬜'} {item.titulo}</strong>
+                  <small>{item.nivel} · {tracking ? `${tracking.totalAttempts} intento(s)` : 'sin intentos'}</small>
+                </button>
+              );
+            })}
+          </aside>
+
+          <main className="pq-workspace">
+            <section className="pq-card">
+              <h3>{exercise.titulo}</h3>
+              <p className="pq-statement">{exercise.enunciado}</p>
+              <details className="pq-hints">
+                <summary>💡 Pistas</summary>
+                <ul>
+                  {exercise.pistas.map(hint => <li key={hint}>{hint}</li>)}
+                </ul>
+              </details>
+            </section>
+
+            <div className="pq-editor">
+              <section className="pq-card pq-applied-steps">
+                <h3>Pasos aplicados</h3>
+                <ol>
+                  {previews.map((item, index) => (
+                    <li
+                      key={index}
+                      className={`${index === previewIndex ? 'selected' : ''} ${item.error ? 'has-error' : ''}`}
+                    >
+                      <button className="pq-step-name" onClick={() => setSelectedStep(index)}>
+                        {index === 0 ? `Origen (${exercise.origen})` : describeQueryStep(steps[index - 1])}
+                      </button>
+                      {index > 0 && (
+                        <button
+                          className="pq-step-remove"
+                          title="Eliminar paso"
+                          onClick={() => setSteps(prev => prev.filter((_, stepIndex) => stepIndex !== index - 1))}
+                        >
+                          ✕
+                        </button>
+                      )}
+                    </li>
+                  ))}
+                </ol>
+              </section>
+
+              <section className="pq-card pq-step-builder">
+                <h3>Nuevo paso</h3>
+                <div className="pq-field">
+                  <span>Transformación</span>
+                  <select value={form.type} onChange={(e) => updateForm('type', e.target.value)}>
+                    {Object.entries(QUERY_STEP_TYPES).map(([type, { label, icon }]) => (
+                      <option key={type} value={type}>{icon} {label}</option>
+                    ))}
+                  </select>
+                </div>
+                {definition.fields.map(renderField)}
+                <button
+                  className="primary-button"
+                  onClick={addStep}
+                  disabled={Boolean(lastPreview.error) || !isStepComplete(draftStep)}
+                >
+                  Agregar paso
+                </button>
+              </section>
+            </div>
+
+            <section className="pq-card">
+              <h3>Vista previa · {preview.name}</h3>
+              {preview.error ? (
+                <p className="pq-error">⚠️ {preview.error}</p>
+              ) : (
+                <QueryTable table={preview.table} />
+              )}
+              {otherTables.length > 0 && (
+                <details className="pq-other-tables">
+                  <summary>Otras consultas: {otherTables.join(', ')}</summary>
+                  {otherTables.map(name => <QueryTable key={name} table={tables[name]} caption={name} />)}
+                </details>
+              )}
+            </section>
+
+            <section className="pq-card">
+              <h3>🎯 Tabla objetivo</h3>
+              <QueryTable table={target} />
+            </section>
+
+            <details className="pq-card pq-m-code">
+              <summary>Editor avanzado (código M)</summary>
+              <pre>{toMCode(tables, exercise.origen, steps)}</pre>
+            </details>
+
+            <button className="primary-button" onClick={checkResult} disabled={steps.length === 0}>
+              Comprobar resultado
+            </button>
+
+            {result && (
+              <div className="pq-result">
+                <div className={`pq-verdict ${result.match ? 'correct' : 'incorrect'}`}>
+                  {result.match ? '✅ ¡Llegaste a la tabla objetivo!' : `❌ Todavía no coincide (${result.score}%)`}
+                </div>
+                {result.feedback.length > 0 && (
+                  <ul className="pq-feedback">
+                    {result.feedback.map(message => <li key={message}>{message}</li>)}
+                  </ul>
+                )}
+                <button className="pq-solution-toggle" onClick={() => setShowSolution(prev => !prev)}>
+                  {showSolution ? 'Ocultar solución' : 'Ver una solución en M'}
+                </button>
+                {showSolution && <pre className="pq-solution">{toMCode(tables, exercise.origen, exercise.solucion)}</pre>}
+              </div>
+            )}
+          </main>
+        </div>
+
+        <button className="pq-exit-button" onClick={() => onNavigate('home')}>
+          Salir del simulador
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default PowerQuerySimulatorScreen;
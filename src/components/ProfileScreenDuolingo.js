@@ -2,6 +2,7 @@ import React, { useState, useMemo, useEffect, useCallback, useRef } from 'react'
 import { motion, AnimatePresence, useMotionValue, useTransform, animate } from 'framer-motion';
 import { useCxCProgress, ACHIEVEMENT_TYPES, QUESTION_STATUS, CONFIDENCE_LEVELS } from '../contexts/CxCProgressContext';
 import { preguntasEjemplo } from '../data/preguntas';
+import { DOMINIOS, TAXONOMIA_PL300 } from '../data/taxonomy';
 import '../styles/ProfileScreenDuolingo.css';
 
 // Spring animation configs
@@ -15,12 +16,9 @@ const springConfig = {
 // Check for reduced motion preference
 const prefersReducedMotion = window.matchMedia('(prefers-reduced-motion: reduce)').matches;
 
-const DOMAIN_LABELS = {
-  'preparar-datos': 'Preparar Datos',
-  'modelar-datos': 'Modelar Datos',
-  'visualizar-analizar': 'Visualizar y Analizar',
-  'administrar-asegurar': 'Administrar y Asegurar'
-};
+const DOMAIN_LABELS = Object.fromEntries(
+  DOMINIOS.map((dominio) => [dominio, TAXONOMIA_PL300[dominio].nombreCorto])
+);
 
 const derivedDomainTotals = Object.entries(preguntasEjemplo || {}).reduce((acc, [domain, levels]) => {
   const total = Object.values(levels || {}).reduce((sum, bucket) => sum + (Array.isArray(bucket) ? bucket.length : 0), 0);
@@ -1868,10 +1866,10 @@ const AchievementsTabDuo = ({ progress, stats, expandedAchievement, setExpandedA
 // ===== DOMAINS TAB DUOLINGO =====
 const DomainsTabDuo = ({ stats, animateCharts }) => {
   const domainNames = {
-    'preparar-datos': { name: 'Preparar Datos', icon: '📊', color: '#FF9800' },
-    'modelar-datos': { name: 'Modelar Datos', icon: '🧮', color: '#9C27B0' },
-    'visualizar-analizar': { name: 'Visualizar y Analizar', icon: '📈', color: '#2196F3' },
-    'administrar-asegurar': { name: 'Administrar y Asegurar', icon: '🔐', color: '#4CAF50' }
+    'preparar-datos': { name: DOMAIN_LABELS['preparar-datos'], icon: TAXONOMIA_PL300['preparar-datos'].icono, color: '#FF9800' },
+    'modelar-datos': { name: DOMAIN_LABELS['modelar-datos'], icon: TAXONOMIA_PL300['modelar-datos'].icono, color: '#9C27B0' },
+    'visualizar-analizar': { name: DOMAIN_LABELS['visualizar-analizar'], icon: TAXONOMIA_PL300['visualizar-analizar'].icono, color: '#2196F3' },
+    'administrar-asegurar': { name: DOMAIN_LABELS['administrar-asegurar'], icon: TAXONOMIA_PL300['administrar-asegurar'].icono, color: '#4CAF50' }
   };
 
   const domainData = Object.entries(stats.domainStats || {}).map(([key, data]) => ({
@@ -0,0 +1,363 @@
+import React, { useState, useMemo } from 'react';
+import '../styles/QuizScreen.css';
+import '../styles/ProgressBackupScreen.css';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import { progressService } from '../services/progressService';
+import { progressBackup } from '../services/progressBackup';
+import { getDomainLabel } from '../data/taxonomy';
+
+const MIN_PASSPHRASE_LENGTH = 8;
+
+const QUESTION_KINDS = {
+  new: { label: 'Nueva', description: 'solo está en el respaldo' },
+  ahead: { label: 'Más avanzada', description: 'el respaldo tiene tus intentos y más' },
+  behind: { label: 'Más antigua', description: 'tu progreso ya incluye el del respaldo' },
+  conflict: { label: 'Distinta', description: 'hay intentos distintos en cada lado' }
+};
+
+const QUESTION_CHOICES = [
+  { id: 'merge', label: 'Combinar' },
+  { id: 'local', label: 'Mantener la mía' },
+  { id: 'incoming', label: 'Usar la del respaldo' }
+];
+
+const MISSION_STATUS_LABELS = {
+  locked: 'Bloqueada',
+  available: 'Disponible',
+  in_progress: 'En curso',
+  completed: 'Completada',
+  platinum: 'Platino'
+};
+
+const formatDate = (iso) => (iso ? new Date(iso).toLocaleString('es-ES') : '—');
+
+const formatDelta = (current, incoming) => {
+  const delta = incoming - current;
+  if (delta === 0) return 'igual';
+  return delta > 0 ? `+${delta.toLocaleString('es-ES')}` : delta.toLocaleString('es-ES');
+};
+
+const describeTracking = (summary) => (summary
+  ? `${summary.correct}/${summary.attempts} correctas · ${formatDate(summary.lastAttemptDate)}`
+  : '—');
+
+/**
+ * Respaldo y restauración del progreso: descarga un archivo versionado (opcionalmente
+ * cifrado) y, al importar, lo migra, lo valida y muestra qué cambia antes de
+ * combinarlo pregunta a pregunta con el progreso actual.
+ */
+const ProgressBackupScreen = ({ onNavigate }) => {
+  const { progress, exportBackup, importBackup } = useCxCProgress();
+
+  const [encryptExport, setEncryptExport] = useState(false);
+  const [exportPassphrase, setExportPassphrase] = useState('');
+  const [exportConfirm, setExportConfirm] = useState('');
+  const [exportMessage, setExportMessage] = useState(null);
+
+  const [file, setFile] = useState(null);
+  const [importPassphrase, setImportPassphrase] = useState('');
+  const [needsPassphrase, setNeedsPassphrase] = useState(false);
+  const [prepared, setPrepared] = useState(null);
+  const [importError, setImportError] = useState(null);
+  const [mode, setMode] = useState('merge');
+  const [questionChoices, setQuestionChoices] = useState({});
+  const [importResult, setImportResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+
+  const trackingCount = Object.keys(progress?.questionTracking || {}).length;
+  const missionCount = Object.keys(progress?.missions || {}).length;
+
+  const diff = useMemo(
+    () => (prepared ? progressBackup.diff(progress || {}, prepared.snapshot.progress) : null),
+    [prepared, progress]
+  );
+
+  const exportError = encryptExport && exportPassphrase.length < MIN_PASSPHRASE_LENGTH
+    ? `La frase de paso necesita al menos ${MIN_PASSPHRASE_LENGTH} caracteres.`
+    : encryptExport && exportPassphrase !== exportConfirm
+      ? 'Las frases de paso no coinciden.'
+      : null;
+
+  const handleExport = async () => {
+    setBusy(true);
+    try {
+      await exportBackup({ passphrase: encryptExport ? exportPassphrase : '' });
+      setExportMessage(encryptExport
+        ? '✅ Respaldo cifrado descargado. Sin la frase de paso no se podrá restaurar.'
+        : '✅ Respaldo descargado.');
+    } catch (error) {
+      setExportMessage(`⚠️ ${error.message}`);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const selectFile = (selected) => {
+    setFile(selected);
+    setPrepared(null);
+    setImportError(null);
+    setImportResult(null);
+    setNeedsPassphrase(false);
+    setQuestionChoices({});
+  };
+
+  const readFile = async () => {
+    if (!file) return;
+    setBusy(true);
+    setImportError(null);
+    try {
+      const result = await progressService.readBackupFile(file, { passphrase: importPassphrase });
+      setPrepared(result);
+      setNeedsPassphrase(false);
+    } catch (error) {
+      if (error.code === 'PASSPHRASE_REQUIRED' || error.code === 'DECRYPT_FAILED') {
+        setNeedsPassphrase(true);
+      }
+      setImportError(error.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setAllChoices = (choice) => {
+    setQuestionChoices(Object.fromEntries(diff.questions.map((question) => [question.id, choice])));
+  };
+
+  const applyBackup = async () => {
+    if (mode === 'replace'
+      && !window.confirm('¿Reemplazar todo tu progreso por el del respaldo? Los intentos que no estén en el respaldo se perderán.')) {
+      return;
+    }
+    setBusy(true);
+    try {
+      const result = await importBackup(prepared, { mode, questionChoices });
+      setImportResult({ ok: true, snapshotId: result.snapshotId });
+      setPrepared(null);
+      setFile(null);
+    } catch (error) {
+      setImportResult({ ok: false, message: error.message });
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <div className="quiz-screen">
+      <div className="quiz-container progress-backup">
+        <header className="quiz-header">
+          <h2>💾 Respaldo del progreso</h2>
+          <div className="quiz-stats">
+            <span>{trackingCount} preguntas con seguimiento · {missionCount} misiones</span>
+          </div>
+        </header>
+
+        <div className="pb-layout">
+          <section className="pb-card">
+            <h3>⬇️ Exportar</h3>
+            <p className="pb-help">
+              El archivo incluye tu progreso CxC, el seguimiento de preguntas PL-300 y tu perfil.
+            </p>
+            <label className="pb-check">
+              <input type="checkbox" checked={encryptExport} onChange={(e) => setEncryptExport(e.target.checked)} />
+              Cifrar con una frase de paso
+            </label>
+            {encryptExport && (
+              <div className="pb-fields">
+                <input
+                  type="password"
+                  placeholder="Frase de paso"
+                  value={exportPassphrase}
+                  onChange={(e) => setExportPassphrase(e.target.value)}
+                  autoComplete="new-password"
+                />
+                <input
+                  type="password"
+                  placeholder="Repite la frase de paso"
+                  value={exportConfirm}
+                  onChange={(e) => setExportConfirm(e.target.value)}
+                  autoComplete="new-password"
+                />
+                {exportError && <small className="pb-warning">{exportError}</small>}
+              </div>
+            )}
+            <button className="primary-button" onClick={handleExport} disabled={busy || Boolean(exportError)}>
+              Descargar respaldo
+            </button>
+            {exportMessage && <p className="pb-message">{exportMessage}</p>}
+          </section>
+
+          <section className="pb-card">
+            <h3>⬆️ Importar</h3>
+            <p className="pb-help">
+              Antes de guardar nada verás qué cambia. Por defecto se combinan los intentos de cada pregunta.
+            </p>
+            <div className="pb-fields">
+              <input type="file" accept="application/json,.json" onChange={(e) => selectFile(e.target.files[0] || null)} />
+              {(needsPassphrase || importPassphrase) && (
+                <input
+                  type="password"
+                  placeholder="Frase de paso del respaldo"
+                  value={importPassphrase}
+                  onChange={(e) => setImportPassphrase(e.target.value)}
+                  autoComplete="current-password"
+                />
+              )}
+            </div>
+            <button className="pb-button" onClick={readFile} disabled={!file || busy}>
+              Revisar respaldo
+            </button>
+            {importError && <p className="pb-error">⚠️ {importError}</p>}
+            {importResult && (
+              <p className={importResult.ok ? 'pb-message' : 'pb-error'}>
+                {importResult.ok ? '✅ Respaldo aplicado.' : `⚠️ ${importResult.message}`}
+              </p>
+            )}
+          </section>
+        </div>
+
+        {prepared && diff && (
+          <section className="pb-card pb-review">
+            <h3>🔍 Cambios del respaldo</h3>
+            <ul className="pb-meta">
+              <li>Creado: {formatDate(prepared.createdAt)}</li>
+              <li>{prepared.encrypted ? '🔒 Cifrado' : '🔓 Sin cifrar'}{prepared.legacy ? ' · formato antiguo' : ''}</li>
+              {prepared.migration.migrated && (
+                <li>Migrado de la versión {prepared.migration.fromVersion} a {prepared.migration.toVersion}</li>
+              )}
+              {!prepared.checksumOk && <li className="pb-warning">⚠️ El checksum no coincide: el archivo se modificó después de exportarlo.</li>}
+            </ul>
+
+            <table className="pb-summary">
+              <thead>
+                <tr>
+                  <th />
+                  <th>Actual</th>
+                  <th>Respaldo</th>
+                  <th>Diferencia</th>
+                </tr>
+              </thead>
+              <tbody>
+                {[
+                  ['XP', diff.xp],
+                  ['Puntos', diff.points],
+                  ['Intentos registrados', diff.attempts]
+                ].map(([label, values]) => (
+                  <tr key={label}>
+                    <td>{label}</td>
+                    <td>{values.current.toLocaleString('es-ES')}</td>
+                    <td>{values.incoming.toLocaleString('es-ES')}</td>
+                    <td>{formatDelta(values.current, values.incoming)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            {diff.missions.length > 0 && (
+              <>
+                <h4>Misiones ({diff.missions.length})</h4>
+                <ul className="pb-missions">
+                  {diff.missions.map((mission) => (
+                    <li key={mission.id}>
+                      <strong>{mission.id}</strong>: {MISSION_STATUS_LABELS[mission.current] || 'sin empezar'}
+                      {mission.currentScore !== null && ` (${mission.currentScore})`}
+                      {' → '}
+                      {MISSION_STATUS_LABELS[mission.incoming] || 'sin empezar'}
+                      {mission.incomingScore !== null && ` (${mission.incomingScore})`}
+                    </li>
+                  ))}
+                </ul>
+              </>
+            )}
+
+            <div className="pb-mode">
+              <label>
+                <input type="radio" checked={mode === 'merge'} onChange={() => setMode('merge')} />
+                <strong>Combinar</strong> · conserva lo mejor de cada lado (misiones más avanzadas, XP máximo, logros de ambos); tu perfil actual se conserva
+              </label>
+              <label>
+                <input type="radio" checked={mode === 'replace'} onChange={() => setMode('replace')} />
+                <strong>Reemplazar todo</strong> · tu progreso y tu perfil pasan a ser exactamente los del respaldo
+              </label>
+            </div>
+
+            {mode === 'merge' && (
+              <>
+                <div className="pb-questions-header">
+                  <h4>Preguntas con cambios ({diff.questions.length})</h4>
+                  {diff.questions.length > 0 && (
+                    <div className="pb-bulk">
+                      {QUESTION_CHOICES.map((choice) => (
+                        <button key={choice.id} className="pb-link" onClick={() => setAllChoices(choice.id)}>
+                          {choice.label} todas
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                </div>
+                {diff.localOnlyQuestions > 0 && (
+                  <p className="pb-help">{diff.localOnlyQuestions} pregunta(s) solo están en tu progreso y se conservan.</p>
+                )}
+                {diff.questions.length === 0 ? (
+                  <p className="pb-help">El seguimiento de preguntas del respaldo ya está incluido en tu progreso.</p>
+                ) : (
+                  <div className="pb-table-wrapper">
+                    <table className="pb-questions">
+                      <thead>
+                        <tr>
+                          <th>Pregunta</th>
+                          <th>Actual</th>
+                          <th>Respaldo</th>
+                          <th>Acción</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {diff.questions.map((question) => (
+                          <tr key={question.id}>
+                            <td>
+                              <strong>{question.id}</strong>
+                              <small>
+                                <span className={`pb-kind ${question.kind}`} title={QUESTION_KINDS[question.kind].description}>
+                                  {QUESTION_KINDS[question.kind].label}
+                                </span>
+                                {question.domain && ` ${getDomainLabel(question.domain)}`}
+                              </small>
+                            </td>
+                            <td>{describeTracking(question.current)}</td>
+                            <td>{describeTracking(question.incoming)}</td>
+                            <td>
+                              <select
+                                value={questionChoices[question.id] || 'merge'}
+                                onChange={(e) => setQuestionChoices((prev) => ({ ...prev, [question.id]: e.target.value }))}
+                              >
+                                {QUESTION_CHOICES.map((choice) => (
+                                  <option key={choice.id} value={choice.id}>{choice.label}</option>
+                                ))}
+                              </select>
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                )}
+              </>
+            )}
+
+            <div className="pb-actions">
+              <button className="primary-button" onClick={applyBackup} disabled={busy}>
+                {mode === 'merge' ? 'Combinar con mi progreso' : 'Reemplazar mi progreso'}
+              </button>
+              <button className="pb-button" onClick={() => setPrepared(null)} disabled={busy}>Cancelar</button>
+            </div>
+          </section>
+        )}
+
+        <button className="pb-exit-button" onClick={() => onNavigate('home')}>
+          Volver al inicio
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ProgressBackupScreen;
@@ -0,0 +1,216 @@
+import React, { useState } from 'react';
+import '../styles/QuestionFormats.css';
+import { casosEstudio } from '../data/preguntas';
+import {
+  QUESTION_FORMATS,
+  FORMAT_LABELS,
+  FORMAT_INSTRUCTIONS,
+  getQuestionFormat,
+  getInitialAnswer
+} from '../utils/questionFormats';
+
+/**
+ * Escenario compartido de un estudio de caso
+ */
+const CaseStudyPanel = ({ caseId }) => {
+  const [isOpen, setIsOpen] = useState(true);
+  const caseStudy = casosEstudio[caseId];
+  if (!caseStudy) return null;
+
+  return (
+    <div className={`case-study-panel ${isOpen ? 'open' : ''}`}>
+      <button className="case-study-toggle" onClick={() => setIsOpen(!isOpen)}>
+        <span>📁 Estudio de caso: {caseStudy.titulo}</span>
+        <span>{isOpen ? '▼' : '▶'}</span>
+      </button>
+      {isOpen && (
+        <div className="case-study-body">
+          {caseStudy.escenario.map((section) => (
+            <div key={section.titulo} className="case-study-section">
+              <h4>{section.titulo}</h4>
+              <p>{section.texto}</p>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Renderiza la pregunta según su formato y notifica la respuesta con onAnswer.
+ * La forma de la respuesta depende del formato (ver utils/questionFormats).
+ */
+const QuestionFormatRenderer = ({ question, answer, onAnswer, showFeedback = false }) => {
+  const format = getQuestionFormat(question);
+
+  const renderSingleChoice = () => (
+    <div className="options-container">
+      {question.opciones.map((option, index) => (
+        <button
+          key={index}
+          className={`option-button ${answer === index ? 'selected' : ''} ${showFeedback && answer === index ? 'pulse' : ''}`}
+          onClick={() => onAnswer(index)}
+        >
+          <span className="option-letter">{String.fromCharCode(65 + index)}</span>
+          <span className="option-text">{option}</span>
+          {answer === index && <span className="checkmark">✓</span>}
+        </button>
+      ))}
+    </div>
+  );
+
+  const renderMultiSelect = () => {
+    const selected = Array.isArray(answer) ? answer : [];
+    const limit = question.seleccionesRequeridas || question.opciones.length;
+
+    const toggleOption = (index) => {
+      if (selected.includes(index)) {
+        onAnswer(selected.filter((value) => value !== index));
+      } else if (selected.length < limit) {
+        onAnswer([...selected, index].sort((a, b) => a - b));
+      }
+    };
+
+    return (
+      <div className="options-container">
+        {question.opciones.map((option, index) => (
+          <button
+            key={index}
+            className={`option-button multi ${selected.includes(index) ? 'selected' : ''}`}
+            onClick={() => toggleOption(index)}
+          >
+            <span className="option-letter">{selected.includes(index) ? '☑' : '☐'}</span>
+            <span className="option-text">{option}</span>
+          </button>
+        ))}
+        {question.seleccionesRequeridas && (
+          <p className="format-counter">
+            {selected.length} de {question.seleccionesRequeridas} seleccionadas
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const renderOrdering = () => {
+    const order = Array.isArray(answer) ? answer : getInitialAnswer(question);
+
+    const moveItem = (position, delta) => {
+      const target = position + delta;
+      if (target < 0 || target >= order.length) return;
+      const next = [...order];
+      [next[position], next[target]] = [next[target], next[position]];
+      onAnswer(next);
+    };
+
+    return (
+      <div className="ordering-list">
+        {order.map((optionIndex, position) => (
+          <div key={optionIndex} className="ordering-item">
+            <span className="ordering-position">{position + 1}</span>
+            <span className="ordering-text">{question.opciones[optionIndex]}</span>
+            <div className="ordering-controls">
+              <button onClick={() => moveItem(position, -1)} disabled={position === 0} aria-label="Subir">▲</button>
+              <button onClick={() => moveItem(position, 1)} disabled={position === order.length - 1} aria-label="Bajar">▼</button>
+            </div>
+          </div>
+        ))}
+        {!Array.isArray(answer) && (
+          <button className="ordering-confirm" onClick={() => onAnswer(order)}>
+            Confirmar este orden
+          </button>
+        )}
+      </div>
+    );
+  };
+
+  const renderYesNo = () => {
+    const values = Array.isArray(answer) ? answer : [];
+
+    const setValue = (index, value) => {
+      const next = question.afirmaciones.map((_, i) => (i === index ? value : values[i]));
+      onAnswer(next);
+    };
+
+    return (
+      <div className="yes-no-table">
+        <div className="yes-no-row header">
+          <span>Afirmación</span>
+          <span>Sí</span>
+          <span>No</span>
+        </div>
+        {question.afirmaciones.map((statement, index) => (
+          <div key={index} className="yes-no-row">
+            <span className="yes-no-text">{statement.texto}</span>
+            <button
+              className={`yes-no-button ${values[index] === true ? 'selected' : ''}`}
+              onClick={() => setValue(index, true)}
+            >
+              Sí
+            </button>
+            <button
+              className={`yes-no-button ${values[index] === false ? 'selected' : ''}`}
+              onClick={() => setValue(index, false)}
+            >
+              No
+            </button>
+          </div>
+        ))}
+      </div>
+    );
+  };
+
+  const renderHotArea = () => {
+    const values = Array.isArray(answer) ? answer : [];
+
+    const setValue = (index, value) => {
+      const next = question.segmentos.map((_, i) => (i === index ? value : values[i]));
+      onAnswer(next);
+    };
+
+    return (
+      <div className="hot-area">
+        {question.plantilla && <pre className="hot-area-template">{question.plantilla}</pre>}
+        {question.segmentos.map((segment, index) => (
+          <label key={segment.etiqueta} className="hot-area-segment">
+            <span className="hot-area-label">{segment.etiqueta}</span>
+            <select
+              value={Number.isInteger(values[index]) ? values[index] : ''}
+              onChange={(event) => setValue(index, parseInt(event.target.value, 10))}
+            >
+              <option value="" disabled>Selecciona…</option>
+              {segment.opciones.map((option, optionIndex) => (
+                <option key={optionIndex} value={optionIndex}>{option}</option>
+              ))}
+            </select>
+          </label>
+        ))}
+      </div>
+    );
+  };
+
+  const renderers = {
+    [QUESTION_FORMATS.SINGLE_CHOICE]: renderSingleChoice,
+    [QUESTION_FORMATS.MULTI_SELECT]: renderMultiSelect,
+    [QUESTION_FORMATS.ORDERING]: renderOrdering,
+    [QUESTION_FORMATS.YES_NO]: renderYesNo,
+    [QUESTION_FORMATS.HOT_AREA]: renderHotArea
+  };
+
+  return (
+    <div className={`question-format format-${format}`}>
+      {question.casoEstudio && <CaseStudyPanel caseId={question.casoEstudio} />}
+      <h2 className="question-text">{question.pregunta}</h2>
+      {format !== QUESTION_FORMATS.SINGLE_CHOICE && (
+        <p className="format-instructions">
+          <span className="format-badge">{FORMAT_LABELS[format]}</span>
+          {FORMAT_INSTRUCTIONS[format]}
+        </p>
+      )}
+      {renderers[format]()}
+    </div>
+  );
+};
+
+export default QuestionFormatRenderer;
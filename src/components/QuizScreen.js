@@ -2,6 +2,8 @@ import React, { useState, useEffect } from 'react';
 import '../styles/QuizScreen.css';
 import { getFilteredQuestions } from '../data/preguntas';
 import { useCxCProgress } from '../contexts/CxCProgressContext';
+import QuestionFormatRenderer from './QuestionFormatRenderer';
+import { isAnswerComplete, isAnswerCorrect } from '../utils/questionFormats';
 
 const QuizScreen = ({ onNavigate, quizConfig }) => {
   const [questions, setQuestions] = useState([]);
@@ -89,19 +91,20 @@ const QuizScreen = ({ onNavigate, quizConfig }) => {
     return `${mins.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}`;
   };
 
-  const handleAnswer = (optionIndex) => {
-    // Si ya había respuesta previa, no animar de nuevo
-    const wasAnswered = answers[currentQuestionIndex] !== undefined;
+  const handleAnswer = (answer) => {
+    const currentQuestion = questions[currentQuestionIndex];
+    // Si ya había respuesta completa, no animar de nuevo
+    const wasAnswered = isAnswerComplete(currentQuestion, answers[currentQuestionIndex]);
     
     setAnswers({
       ...answers,
-      [currentQuestionIndex]: optionIndex
+      [currentQuestionIndex]: answer
     });
 
-    // Solo mostrar feedback visual en primera respuesta
-    if (!wasAnswered) {
-      const currentQuestion = questions[currentQuestionIndex];
-      const isCorrect = optionIndex === currentQuestion.respuestaCorrecta;
+    // Solo mostrar feedback visual cuando la respuesta se completa por primera vez
+    // (en formatos compuestos: todas las selecciones, afirmaciones o segmentos)
+    if (!wasAnswered && isAnswerComplete(currentQuestion, answer)) {
+      const isCorrect = isAnswerCorrect(currentQuestion, answer);
       
       setShowFeedback(true);
       setIsCorrectAnswer(isCorrect);
@@ -215,7 +218,8 @@ const QuizScreen = ({ onNavigate, quizConfig }) => {
 
   const currentQuestion = questions[currentQuestionIndex];
   const progress = ((currentQuestionIndex + 1) / questions.length) * 100;
-  const answeredCount = Object.keys(answers).length;
+  const isAnswered = (index) => isAnswerComplete(questions[index], answers[index]);
+  const answeredCount = questions.filter((_, index) => isAnswered(index)).length;
 
   return (
     <div className="quiz-screen">
@@ -277,7 +281,7 @@ const QuizScreen = ({ onNavigate, quizConfig }) => {
                   key={index}
                   className={`question-nav-button ${
                     index === currentQuestionIndex ? 'current' : ''
-                  } ${answers[index] !== undefined ? 'answered' : ''}`}
+                  } ${isAnswered(index) ? 'answered' : ''}`}
                   onClick={() => goToQuestion(index)}
                 >
                   {index + 1}
@@ -317,27 +321,13 @@ const QuizScreen = ({ onNavigate, quizConfig }) => {
             </div>
 
             <div className="question-body">
-              <h2 className="question-text">{currentQuestion.pregunta}</h2>
-
-              <div className="options-container">
-                {currentQuestion.opciones.map((option, index) => (
-                  <button
-                    key={index}
-                    className={`option-button ${
-                      answers[currentQuestionIndex] === index ? 'selected' : ''
-                    } ${showFeedback && answers[currentQuestionIndex] === index ? 'pulse' : ''}`}
-                    onClick={() => handleAnswer(index)}
-                  >
-                    <span className="option-letter">
-                      {String.fromCharCode(65 + index)}
-                    </span>
-                    <span className="option-text">{option}</span>
-                    {answers[currentQuestionIndex] === index && (
-                      <span className="checkmark">✓</span>
-                    )}
-                  </button>
-                ))}
-              </div>
+              <QuestionFormatRenderer
+                key={currentQuestion.id}
+                question={currentQuestion}
+                answer={answers[currentQuestionIndex]}
+                onAnswer={handleAnswer}
+                showFeedback={showFeedback}
+              />
             </div>
 
             <div className="question-navigation">
@@ -0,0 +1,421 @@
+import React, { useState, useRef, useMemo } from 'react';
+import {
+  BarChart, Bar, LineChart, Line, PieChart, Pie, Cell, ScatterChart, Scatter,
+  XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer
+} from 'recharts';
+import '../styles/QuizScreen.css';
+import '../styles/ReportVisualScreen.css';
+import { REPORT_VISUAL_EXERCISES } from '../data/reportVisualExercises';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import {
+  FIELD_KINDS,
+  VISUAL_TYPES,
+  canDropField,
+  dropField,
+  convertWells,
+  buildVisualData,
+  gradeVisualChoice
+} from '../utils/reportVisuals';
+
+// 🎨 Paleta por defecto de Power BI
+const PALETTE = ['#118DFF', '#12239E', '#E66C37', '#6B007B', '#E044A7', '#744EC2', '#D9B300', '#D64550'];
+
+const EMPTY_DRAFT = { type: null, wells: {} };
+
+const formatNumber = (value) => (typeof value === 'number'
+  ? value.toLocaleString('es-MX', { maximumFractionDigits: 2 })
+  : value);
+
+// Render del visual con recharts según el resultado de buildVisualData
+const VisualPreview = ({ type, visual }) => {
+  if (visual.kind === 'card') {
+    return (
+      <div className="rv-card-visual">
+        <strong>{formatNumber(visual.value)}</strong>
+        <span>{visual.label}</span>
+      </div>
+    );
+  }
+
+  if (visual.kind === 'table') {
+    return (
+      <div className="rv-table-wrapper">
+        <table className="rv-table-visual">
+          <thead>
+            <tr>{visual.columns.map(column => <th key={column}>{column}</th>)}</tr>
+          </thead>
+          <tbody>
+            {visual.rows.map(row => (
+              <tr key={row.join('|')}>
+                {row.map((value, index) => (
+                  <td key={visual.columns[index]} className={typeof value === 'number' ? 'rv-number' : ''}>
+                    {formatNumber(value)}
+                  </td>
+                ))}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    );
+  }
+
+  if (visual.kind === 'pie') {
+    return (
+      <ResponsiveContainer width="100%" height={300}>
+        <PieChart>
+          <Pie data={visual.data} dataKey="value" nameKey="name" outerRadius={110} label={({ percent }) => `${Math.round(percent * 100)}%`}>
+            {visual.data.map((entry, index) => <Cell key={entry.name} fill={PALETTE[index % PALETTE.length]} />)}
+          </Pie>
+          <Tooltip formatter={formatNumber} />
+          <Legend />
+        </PieChart>
+      </ResponsiveContainer>
+    );
+  }
+
+  if (visual.kind === 'scatter') {
+    return (
+      <ResponsiveContainer width="100%" height={300}>
+        <ScatterChart margin={{ top: 10, right: 20, bottom: 20, left: 10 }}>
+          <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+          <XAxis type="number" dataKey="x" name={visual.xLabel} label={{ value: visual.xLabel, position: 'insideBottom', offset: -10 }} />
+          <YAxis type="number" dataKey="y" name={visual.yLabel} tickFormatter={formatNumber} />
+          <Tooltip
+            cursor={{ strokeDasharray: '3 3' }}
+            content={({ payload }) => (payload && payload.length > 0 ? (
+              <div className="rv-tooltip">
+                <strong>{payload[0].payload.name}</strong>
+                <div>{visual.xLabel}: {formatNumber(payload[0].payload.x)}</div>
+                <div>{visual.yLabel}: {formatNumber(payload[0].payload.y)}</div>
+              </div>
+            ) : null)}
+          />
+          <Scatter data={visual.data} fill={PALETTE[0]} />
+        </ScatterChart>
+      </ResponsiveContainer>
+    );
+  }
+
+  // column, bar y line comparten los datos { category, ...series }
+  if (type === 'line') {
+    return (
+      <ResponsiveContainer width="100%" height={300}>
+        <LineChart data={visual.data}>
+          <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+          <XAxis dataKey="category" />
+          <YAxis tickFormatter={formatNumber} width={80} />
+          <Tooltip formatter={formatNumber} />
+          <Legend />
+          {visual.series.map((name, index) => (
+            <Line key={name} type="monotone" dataKey={name} stroke={PALETTE[index % PALETTE.length]} strokeWidth={2} />
+          ))}
+        </LineChart>
+      </ResponsiveContainer>
+    );
+  }
+
+  const horizontal = type === 'bar';
+  return (
+    <ResponsiveContainer width="100%" height={300}>
+      <BarChart data={visual.data} layout={horizontal ? 'vertical' : 'horizontal'}>
+        <CartesianGrid strokeDasharray="3 3" opacity={0.3} />
+        {horizontal ? (
+          <>
+            <XAxis type="number" tickFormatter={formatNumber} />
+            <YAxis type="category" dataKey="category" width={100} />
+          </>
+        ) : (
+          <>
+            <XAxis dataKey="category" />
+            <YAxis tickFormatter={formatNumber} width={80} />
+          </>
+        )}
+        <Tooltip formatter={formatNumber} />
+        <Legend />
+        {visual.series.map((name, index) => (
+          <Bar key={name} dataKey={name} fill={PALETTE[index % PALETTE.length]} />
+        ))}
+      </BarChart>
+    </ResponsiveContainer>
+  );
+};
+
+/**
+ * Selector de visuales: a partir de un conjunto de datos y la petición de una
+ * persona del negocio, el alumno elige el tipo de visual, arrastra los campos a
+ * los pozos (eje, leyenda, valores...) y ve el resultado con recharts. La primera
+ * comprobación de cada visita cuenta en questionTracking y en las estadísticas
+ * de su subdominio (ver recordPracticeAttempt).
+ */
+const ReportVisualScreen = ({ onNavigate }) => {
+  const { getAllQuestionsTracking, recordPracticeAttempt } = useCxCProgress();
+  const questionTracking = getAllQuestionsTracking();
+
+  const [exerciseId, setExerciseId] = useState(REPORT_VISUAL_EXERCISES[0].id);
+  // Visual por ejercicio: cambiar de ejercicio no pierde lo construido
+  const [drafts, setDrafts] = useState({});
+  const [draggedField, setDraggedField] = useState(null);
+  const [dropError, setDropError] = useState(null);
+  const [grade, setGrade] = useState(null);
+  const [showSolution, setShowSolution] = useState(false);
+  const startRef = useRef(Date.now());
+
+  const exercise = REPORT_VISUAL_EXERCISES.find(item => item.id === exerciseId);
+  const dataset = exercise.datos;
+  const { type, wells } = drafts[exerciseId] || EMPTY_DRAFT;
+
+  const visual = useMemo(
+    () => (type ? buildVisualData(dataset, type, wells) : null),
+    [dataset, type, wells]
+  );
+
+  const placedFields = Object.values(wells).flat();
+
+  const selectExercise = (item) => {
+    setExerciseId(item.id);
+    setDraggedField(null);
+    setDropError(null);
+    setGrade(null);
+    setShowSolution(false);
+    startRef.current = Date.now();
+  };
+
+  const updateDraft = (changes) => {
+    setDrafts(prev => ({ ...prev, [exerciseId]: { ...(prev[exerciseId] || EMPTY_DRAFT), ...changes } }));
+    setDropError(null);
+    setGrade(null);
+  };
+
+  const selectType = (nextType) => {
+    updateDraft({ type: nextType, wells: convertWells(dataset, wells, nextType) });
+  };
+
+  const placeField = (wellId, fieldName) => {
+    const reason = canDropField(dataset, type, wellId, fieldName);
+    if (reason) {
+      setDropError(reason);
+      return;
+    }
+    updateDraft({ wells: dropField(type, wells, wellId, fieldName) });
+  };
+
+  const removeField = (wellId, fieldName) => {
+    updateDraft({ wells: { ...wells, [wellId]: wells[wellId].filter(name => name !== fieldName) } });
+  };
+
+  const handleDragStart = (e, fieldName) => {
+    setDraggedField(fieldName);
+    e.dataTransfer.effectAllowed = 'move';
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+  };
+
+  const handleDrop = (e, wellId) => {
+    e.preventDefault();
+    if (!draggedField) return;
+    placeField(wellId, draggedField);
+    setDraggedField(null);
+  };
+
+  // Sin ratón (o en táctil): un clic coloca el campo en el primer pozo libre que lo acepta
+  const handleFieldClick = (fieldName) => {
+    if (!type) {
+      setDropError('Primero elige un tipo de visual.');
+      return;
+    }
+    const target = VISUAL_TYPES[type].wells.find(well =>
+      !canDropField(dataset, type, well.id, fieldName) && (wells[well.id] || []).length < well.max
+    );
+    if (!target) {
+      setDropError(`No queda ningún pozo libre de ${VISUAL_TYPES[type].label.toLowerCase()} que acepte ${fieldName}.`);
+      return;
+    }
+    placeField(target.id, fieldName);
+  };
+
+  const checkVisual = () => {
+    const result = gradeVisualChoice(exercise, type, wells);
+    setGrade(result);
+
+    recordPracticeAttempt(exercise, {
+      correct: result.correct,
+      score: result.score,
+      startedAt: startRef.current,
+      format: 'visual',
+      visualType: type,
+      source: 'report-visual'
+    });
+  };
+
+  const solvedCount = REPORT_VISUAL_EXERCISES.filter(item => questionTracking[item.id]?.correctAttempts > 0).length;
+  const canCheck = Boolean(type) && placedFields.length > 0;
+
+  return (
+    <div className="quiz-screen">
+      <div className="quiz-container report-visual">
+        <header className="quiz-header">
+          <h2>📊 Elige el visual</h2>
+          <div className="quiz-stats">
+            <span>Peticiones resueltas: {solvedCount} / {REPORT_VISUAL_EXERCISES.length}</span>
+          </div>
+        </header>
+
+        <div className="rv-layout">
+          <aside className="rv-sidebar">
+            <h3>Peticiones</h3>
+            {REPORT_VISUAL_EXERCISES.map(item => {
+              const tracking = questionTracking[item.id];
+              return (
+                <button
+                  key={item.id}
+                  className={`rv-exercise-button ${item.id === exerciseId ? 'active' : ''}`}
+                  onClick={() => selectExercise(item)}
+                >
+                  <strong>{tracking?.correctAttempts > 0 ? '✅' : '⬜'} {item.titulo}</strong>
+                  <small>{item.nivel} · {tracking ? `${tracking.totalAttempts} intento(s)` : 'sin intentos'}</small>
+                </button>
+              );
+            })}
+          </aside>
+
+          <main className="rv-workspace">
+            <section className="rv-card rv-request">
+              <span className="rv-requester">💬 {exercise.solicitante}</span>
+              <p>“{exercise.peticion}”</p>
+              <small>Datos: {dataset.nombre} ({dataset.filas.length} filas)</small>
+            </section>
+
+            <div className="rv-builder">
+              <section className="rv-card rv-fields">
+                <h3>Campos</h3>
+                {dataset.campos.map(campo => (
+                  <button
+                    key={campo.nombre}
+                    className={`rv-field ${placedFields.includes(campo.nombre) ? 'placed' : ''} ${draggedField === campo.nombre ? 'dragging' : ''}`}
+                    draggable
+                    onDragStart={(e) => handleDragStart(e, campo.nombre)}
+                    onDragEnd={() => setDraggedField(null)}
+                    onClick={() => handleFieldClick(campo.nombre)}
+                    title={FIELD_KINDS[campo.tipo].label}
+                  >
+                    <span className="rv-field-kind">{FIELD_KINDS[campo.tipo].icon}</span>
+                    {campo.nombre}
+                  </button>
+                ))}
+              </section>
+
+              <section className="rv-card rv-visualizations">
+                <h3>Visualizaciones</h3>
+                <div className="rv-type-picker">
+                  {Object.entries(VISUAL_TYPES).map(([key, definition]) => (
+                    <button
+                      key={key}
+                      className={`rv-type ${type === key ? 'active' : ''}`}
+                      onClick={() => selectType(key)}
+                      title={`${definition.label}: ${definition.uso}`}
+                    >
+                      <span>{definition.icon}</span>
+                      <small>{definition.label}</small>
+                    </button>
+                  ))}
+                </div>
+
+                {type ? (
+                  <div className="rv-wells">
+                    {VISUAL_TYPES[type].wells.map(well => (
+                      <div
+                        key={well.id}
+                        className={`rv-well ${draggedField && !canDropField(dataset, type, well.id, draggedField) ? 'droppable' : ''}`}
+                        onDragOver={handleDragOver}
+                        onDrop={(e) => handleDrop(e, well.id)}
+                      >
+                        <span className="rv-well-label">
+                          {well.label}{well.required ? ' *' : ''}
+                          <small>{well.accepts.map(kind => FIELD_KINDS[kind].icon).join(' ')}{well.max > 1 ? ` · hasta ${well.max}` : ''}</small>
+                        </span>
+                        {(wells[well.id] || []).length === 0 ? (
+                          <span className="rv-well-placeholder">Arrastra campos aquí</span>
+                        ) : (
+                          wells[well.id].map(name => (
+                            <span key={name} className="rv-well-field">
+                              {name}
+                              <button title="Quitar campo" onClick={() => removeField(well.id, name)}>✕</button>
+                            </span>
+                          ))
+                        )}
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <p className="rv-hint">Elige un tipo de visual para ver sus pozos de campos.</p>
+                )}
+                {dropError && <p className="rv-error">⚠️ {dropError}</p>}
+              </section>
+            </div>
+
+            <section className="rv-card rv-canvas">
+              {!visual && <p className="rv-hint">El visual aparecerá aquí.</p>}
+              {visual?.error && <p className="rv-hint">{visual.error}</p>}
+              {visual && !visual.error && (
+                <>
+                  <h3>{VISUAL_TYPES[type].icon} {VISUAL_TYPES[type].label}</h3>
+                  <VisualPreview type={type} visual={visual} />
+                </>
+              )}
+            </section>
+
+            <button className="primary-button" onClick={checkVisual} disabled={!canCheck}>
+              Comprobar visual
+            </button>
+
+            {grade && (
+              <div className="rv-result">
+                <div className={`rv-verdict ${grade.correct ? 'correct' : 'incorrect'}`}>
+                  {grade.correct ? '✅ ¡Visual y campos correctos!' : `❌ Todavía no (${grade.score}%)`}
+                </div>
+                <ul className="rv-feedback">
+                  <li>
+                    {grade.visualOk ? '✅' : '❌'} <strong>Tipo de visual:</strong> {grade.visualFeedback}
+                  </li>
+                  {grade.wellChecks.map(check => (
+                    <li key={check.well}>
+                      {check.ok ? '✅' : '❌'} {check.ok ? `${check.label}: ${check.actual.join(', ') || 'vacío'}` : check.message}
+                    </li>
+                  ))}
+                  {grade.fieldFeedback && <li>💡 {grade.fieldFeedback}</li>}
+                </ul>
+                <button className="rv-solution-toggle" onClick={() => setShowSolution(prev => !prev)}>
+                  {showSolution ? 'Ocultar solución' : 'Ver una solución'}
+                </button>
+                {showSolution && (
+                  <ul className="rv-solution">
+                    {Object.entries(exercise.respuestas).map(([key, answer]) => (
+                      <li key={key}>
+                        <strong>{VISUAL_TYPES[key].icon} {VISUAL_TYPES[key].label}</strong>
+                        {' — '}
+                        {Object.entries(answer.wells)
+                          .map(([wellId, fields]) => `${VISUAL_TYPES[key].wells.find(well => well.id === wellId).label}: ${fields.join(', ')}`)
+                          .join(' · ')}
+                        <div>{answer.explicacion}</div>
+                      </li>
+                    ))}
+                  </ul>
+                )}
+              </div>
+            )}
+          </main>
+        </div>
+
+        <button className="rv-exit-button" onClick={() => onNavigate('home')}>
+          Salir del selector
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ReportVisualScreen;
@@ -1,8 +1,19 @@
 import React, { useState, useEffect, useMemo, useRef } from 'react';
 import '../styles/ResultsScreen.css';
+import '../styles/MockExamScreen.css';
+import '../styles/QuestionFormats.css';
+import { dominiosInfo } from '../data/preguntas';
 import { useCxCProgress } from '../contexts/CxCProgressContext';
 import { ProfileImpactCalculator } from '../utils/profileImpact';
 import AchievementUnlocked from './AchievementUnlocked';
+import {
+  QUESTION_FORMATS,
+  getQuestionFormat,
+  scoreAnswer,
+  isAnswerCorrect,
+  describeAnswer,
+  describeCorrectAnswer
+} from '../utils/questionFormats';
 
 const ResultsScreen = ({ onNavigate, results }) => {
   const [expandedQuestions, setExpandedQuestions] = useState(new Set());
@@ -136,7 +147,7 @@ const ResultsScreen = ({ onNavigate, results }) => {
     results.questions.forEach((question, index) => {
       const userAnswer = results.answers[index];
       if (userAnswer !== undefined) {
-        const isCorrect = userAnswer === question.respuestaCorrecta;
+        const { isCorrect, credit } = scoreAnswer(question, userAnswer);
         const timeSpent = results.timeElapsed / results.questions.length; // Promedio
         
         console.log(`📝 Guardando pregunta ${question.id}:`, {
@@ -155,7 +166,8 @@ const ResultsScreen = ({ onNavigate, results }) => {
             domain: question.dominio,
             level: question.nivel,
             subdominio: question.subdominio || 'otros',
-            format: question.formato || 'opcion-multiple',
+            format: getQuestionFormat(question),
+            partialCredit: credit,
             difficulty: question.trampaComun ? 'trick' : 'normal'
           }
         );
@@ -174,7 +186,7 @@ const ResultsScreen = ({ onNavigate, results }) => {
       id: question.id,
       domain: question.dominio,
       level: question.nivel, // ✅ Incluir nivel para cálculo de puntos
-      correct: results.answers[index] === question.respuestaCorrecta,
+      correct: isAnswerCorrect(question, results.answers[index]),
       timeSpent: results.timeElapsed / results.questions.length
     }));
 
@@ -182,7 +194,7 @@ const ResultsScreen = ({ onNavigate, results }) => {
     const quizResultsData = {
       totalQuestions: results.questions.length,
       correctAnswers: Object.keys(results.answers).filter((index) => 
-        results.answers[index] === results.questions[index].respuestaCorrecta
+        isAnswerCorrect(results.questions[index], results.answers[index])
       ).length,
       totalTime: results.timeElapsed,
       domain: results.config?.domain || 'all',
@@ -267,10 +279,13 @@ const ResultsScreen = ({ onNavigate, results }) => {
   const answeredQuestions = Object.keys(answers).length;
   let correctAnswers = 0;
   let incorrectAnswers = 0;
+  let earnedCredit = 0; // Suma de crédito parcial (formatos compuestos)
 
   questions.forEach((question, index) => {
     if (answers[index] !== undefined) {
-      if (answers[index] === question.respuestaCorrecta) {
+      const { isCorrect, credit } = scoreAnswer(question, answers[index]);
+      earnedCredit += credit;
+      if (isCorrect) {
         correctAnswers++;
       } else {
         incorrectAnswers++;
@@ -278,7 +293,7 @@ const ResultsScreen = ({ onNavigate, results }) => {
     }
   });
 
-  const score = ((correctAnswers / totalQuestions) * 100).toFixed(1);
+  const score = ((earnedCredit / totalQuestions) * 100).toFixed(1);
   const unanswered = totalQuestions - answeredQuestions;
 
   // Estadísticas por dominio
@@ -289,7 +304,7 @@ const ResultsScreen = ({ onNavigate, results }) => {
       domainStats[domain] = { total: 0, correct: 0 };
     }
     domainStats[domain].total++;
-    if (answers[index] === question.respuestaCorrecta) {
+    if (isAnswerCorrect(question, answers[index])) {
       domainStats[domain].correct++;
     }
   });
@@ -302,7 +317,7 @@ const ResultsScreen = ({ onNavigate, results }) => {
       levelStats[level] = { total: 0, correct: 0 };
     }
     levelStats[level].total++;
-    if (answers[index] === question.respuestaCorrecta) {
+    if (isAnswerCorrect(question, answers[index])) {
       levelStats[level].correct++;
     }
   });
@@ -330,6 +345,12 @@ const ResultsScreen = ({ onNavigate, results }) => {
   };
 
   const getPassStatus = () => {
+    // En el simulacro oficial manda la puntuación escalada (700/1000)
+    if (results.mockExam) {
+      return results.mockExam.passed
+        ? { text: '¡Aprobado!', icon: '🎉', class: 'pass' }
+        : { text: 'No Aprobado', icon: '📚', class: 'fail' };
+    }
     if (score >= 70) return { text: '¡Aprobado!', icon: '🎉', class: 'pass' };
     return { text: 'No Aprobado', icon: '📚', class: 'fail' };
   };
@@ -344,6 +365,29 @@ const ResultsScreen = ({ onNavigate, results }) => {
           <p className="results-subtitle">Revisa tu desempeño y aprende de tus respuestas</p>
         </header>
 
+        {/* Resultado escalado del simulacro oficial */}
+        {results.mockExam && (
+          <div className={`mock-exam-result ${results.mockExam.passed ? 'pass' : 'fail'}`}>
+            <div className="mock-scaled-score">
+              {results.mockExam.scaledScore}<small>/1000</small>
+            </div>
+            <div className="mock-result-details">
+              <h2>{results.mockExam.passed ? '✅ Simulacro aprobado' : '❌ Simulacro no aprobado'}</h2>
+              <p>
+                Puntuación mínima: {results.mockExam.passingScore}.
+                {results.mockExam.submittedBy === 'timeout' && ' El examen se envió automáticamente al agotarse el tiempo.'}
+              </p>
+              <div className="mock-domain-scores">
+                {Object.entries(results.mockExam.domainBreakdown).map(([domain, stats]) => (
+                  <span key={domain}>
+                    {dominiosInfo[domain]?.titulo || domain}: <strong>{stats.scaledScore}</strong> ({stats.correct}/{stats.total})
+                  </span>
+                ))}
+              </div>
+            </div>
+          </div>
+        )}
+
         {/* Mostrar logros y puntos ganados */}
         {progressUpdate && progressUpdate.pointsEarned > 0 && (
           <div className="achievements-banner">
@@ -596,8 +640,9 @@ const ResultsScreen = ({ onNavigate, results }) => {
           <h2>Revisión de Preguntas</h2>
           {questions.map((question, index) => {
             const userAnswer = answers[index];
-            const isCorrect = userAnswer === question.respuestaCorrecta;
+            const { isCorrect, credit } = scoreAnswer(question, userAnswer);
             const isAnswered = userAnswer !== undefined;
+            const isSingleChoice = getQuestionFormat(question) === QUESTION_FORMATS.SINGLE_CHOICE;
             const isExpanded = expandedQuestions.has(index);
 
             return (
@@ -633,27 +678,43 @@ const ResultsScreen = ({ onNavigate, results }) => {
                       <span className="meta-tag">{question.nivel}</span>
                     </div>
 
-                    <div className="answers-review">
-                      {question.opciones.map((option, optIndex) => (
-                        <div
-                          key={optIndex}
-                          className={`answer-option ${
-                            optIndex === question.respuestaCorrecta ? 'correct-answer' : ''
-                          } ${optIndex === userAnswer ? 'user-answer' : ''}`}
-                        >
-                          <span className="option-letter">
-                            {String.fromCharCode(65 + optIndex)}
-                          </span>
-                          <span className="option-text">{option}</span>
-                          {optIndex === question.respuestaCorrecta && (
-                            <span className="correct-badge">✓ Correcta</span>
-                          )}
-                          {optIndex === userAnswer && optIndex !== question.respuestaCorrecta && (
-                            <span className="incorrect-badge">Tu respuesta</span>
+                    {!isSingleChoice && (
+                      <div className="format-answer-review">
+                        <div className="answer-line user-answer">
+                          <strong>Tu respuesta:</strong> {isAnswered ? describeAnswer(question, userAnswer) : 'Sin responder'}
+                          {isAnswered && !isCorrect && credit > 0 && (
+                            <span className="partial-credit"> · Crédito parcial {Math.round(credit * 100)}%</span>
                           )}
                         </div>
-                      ))}
-                    </div>
+                        <div className="answer-line correct-answer">
+                          <strong>✓ Correcta:</strong> {describeCorrectAnswer(question)}
+                        </div>
+                      </div>
+                    )}
+
+                    {isSingleChoice && (
+                      <div className="answers-review">
+                        {question.opciones.map((option, optIndex) => (
+                          <div
+                            key={optIndex}
+                            className={`answer-option ${
+                              optIndex === question.respuestaCorrecta ? 'correct-answer' : ''
+                            } ${optIndex === userAnswer ? 'user-answer' : ''}`}
+                          >
+                            <span className="option-letter">
+                              {String.fromCharCode(65 + optIndex)}
+                            </span>
+                            <span className="option-text">{option}</span>
+                            {optIndex === question.respuestaCorrecta && (
+                              <span className="correct-badge">✓ Correcta</span>
+                            )}
+                            {optIndex === userAnswer && optIndex !== question.respuestaCorrecta && (
+                              <span className="incorrect-badge">Tu respuesta</span>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    )}
 
                     <div className="explanation-section">
                       <h4>💡 Explicación</h4>
@@ -0,0 +1,349 @@
+import React, { useState, useRef, useMemo } from 'react';
+import '../styles/QuizScreen.css';
+import '../styles/RlsSimulatorScreen.css';
+import {
+  RLS_SAMPLE_MODEL,
+  RLS_VISUAL_MEASURE,
+  RLS_DIMENSIONS,
+  RLS_USERS,
+  RLS_SCENARIOS
+} from '../data/rlsScenarios';
+import { useCxCProgress } from '../contexts/CxCProgressContext';
+import { createDaxModel } from '../utils/daxEngine';
+import { compileRoles, viewAsUser, renderVisual, gradeRlsScenario } from '../utils/rlsSimulator';
+
+const MODEL = createDaxModel(RLS_SAMPLE_MODEL);
+const TABLE_NAMES = Object.keys(RLS_SAMPLE_MODEL.tables);
+
+const createRole = (id) => ({ id, name: `Rol ${id}`, filters: {}, members: [] });
+
+const userLabel = (email) => RLS_USERS.find(user => user.email === email)?.nombre || email;
+
+const formatAmount = (value) => (value === null || value === undefined
+  ? ''
+  : value.toLocaleString('es-MX', { maximumFractionDigits: 2 }));
+
+/**
+ * Simulador de seguridad a nivel de fila: el alumno define roles con filtros
+ * DAX, les asigna usuarios y usa "Ver como" para comprobar qué filas mostraría
+ * un visual. La primera comprobación de cada visita a un escenario cuenta en
+ * questionTracking y en las estadísticas de su subdominio (ver recordPracticeAttempt).
+ */
+const RlsSimulatorScreen = ({ onNavigate }) => {
+  const { getAllQuestionsTracking, recordPracticeAttempt } = useCxCProgress();
+  const questionTracking = getAllQuestionsTracking();
+
+  const [scenarioId, setScenarioId] = useState(RLS_SCENARIOS[0].id);
+  // Roles por escenario: cambiar de escenario no pierde lo definido
+  const [drafts, setDrafts] = useState({});
+  const [viewAs, setViewAs] = useState(RLS_SCENARIOS[0].usuariosPrueba[0]);
+  const [dimension, setDimension] = useState(RLS_SCENARIOS[0].dimension);
+  const [grade, setGrade] = useState(null);
+  const [showSolution, setShowSolution] = useState(false);
+  const startRef = useRef(Date.now());
+  const nextIdRef = useRef(2);
+
+  const scenario = RLS_SCENARIOS.find(item => item.id === scenarioId);
+  const roles = useMemo(() => drafts[scenarioId] || [createRole(1)], [drafts, scenarioId]);
+
+  const preview = useMemo(() => {
+    const { roles: compiled, errors } = compileRoles(roles);
+    if (errors.length > 0) return { errors };
+    const view = viewAsUser(MODEL, compiled, viewAs);
+    if (view.error) return { roles: view.roles, errors: [view.error] };
+    return {
+      roles: view.roles,
+      visual: renderVisual(view.model, RLS_VISUAL_MEASURE, dimension),
+      counts: TABLE_NAMES.map(name => ({
+        name,
+        visible: view.model.tables[name].rows.length,
+        total: MODEL.tables[name].rows.length
+      }))
+    };
+  }, [roles, viewAs, dimension]);
+
+  const selectScenario = (item) => {
+    setScenarioId(item.id);
+    setViewAs(item.usuariosPrueba[0]);
+    setDimension(item.dimension);
+    setGrade(null);
+    setShowSolution(false);
+    startRef.current = Date.now();
+  };
+
+  const updateRoles = (updater) => {
+    setDrafts(prev => ({ ...prev, [scenarioId]: updater(prev[scenarioId] || [createRole(1)]) }));
+    setGrade(null);
+  };
+
+  const updateRole = (id, changes) => {
+    updateRoles(list => list.map(role => (role.id === id ? { ...role, ...changes } : role)));
+  };
+
+  const updateFilter = (role, table, expression) => {
+    updateRole(role.id, { filters: { ...role.filters, [table]: expression } });
+  };
+
+  const toggleMember = (role, email) => {
+    const members = role.members.includes(email)
+      ? role.members.filter(member => member !== email)
+      : [...role.members, email];
+    updateRole(role.id, { members });
+  };
+
+  const addRole = () => {
+    const id = nextIdRef.current++;
+    updateRoles(list => [...list, createRole(id)]);
+  };
+
+  const removeRole = (id) => {
+    updateRoles(list => list.filter(role => role.id !== id));
+  };
+
+  const checkScenario = () => {
+    const result = gradeRlsScenario(MODEL, roles, scenario);
+    if (result.error) {
+      // Un filtro que no compila no se califica (el error ya se muestra en "Ver como")
+      setGrade(result);
+      return;
+    }
+
+    setGrade(result);
+
+    recordPracticeAttempt(scenario, {
+      correct: result.correct,
+      score: result.score,
+      startedAt: startRef.current,
+      format: 'rls',
+      roles: roles.length,
+      source: 'rls-simulator'
+    });
+  };
+
+  const solvedCount = RLS_SCENARIOS.filter(item => questionTracking[item.id]?.correctAttempts > 0).length;
+  const { funciones = [], maxRoles } = scenario.requisitos || {};
+
+  return (
+    <div className="quiz-screen">
+      <div className="quiz-container rls-simulator">
+        <header className="quiz-header">
+          <h2>🔐 Simulador de RLS</h2>
+          <div className="quiz-stats">
+            <span>Escenarios resueltos: {solvedCount} / {RLS_SCENARIOS.length}</span>
+          </div>
+        </header>
+
+        <div className="rls-layout">
+          <aside className="rls-sidebar">
+            <h3>Escenarios</h3>
+            {RLS_SCENARIOS.map(item => {
+              const tracking = questionTracking[item.id];
+              return (
+                <button
+                  key={item.id}
+                  className={`rls-scenario-button ${item.id === scenarioId ? 'active' : ''}`}
+                  onClick={() => selectScenario(item)}
+                >
+                  <strong>{tracking?.correctAttempts > 0 ? '✅' : '⬜'} {item.titulo}</strong>
+                  <small>{item.tipo} · {item.nivel} · {tracking ? `${tracking.totalAttempts} intento(s)` : 'sin intentos'}</small>
+                </button>
+              );
+            })}
+
+            <details className="rls-card rls-model" open>
+              <summary>Modelo</summary>
+              {TABLE_NAMES.map(name => (
+                <div key={name} className="rls-model-table">
+                  <strong>{name}</strong> <small>({MODEL.tables[name].rows.length} filas)</small>
+                  <div className="rls-model-columns">{MODEL.tables[name].columns.join(' · ')}</div>
+                </div>
+              ))}
+              <div className="rls-model-relationships">
+                {MODEL.relationships.map(({ from, to }) => (
+                  <div key={`${from.table}-${to.table}`}>
+                    {to.table}[{to.column}] 1 → * {from.table}[{from.column}]
+                  </div>
+                ))}
+                <div>SeguridadRegion no tiene relaciones.</div>
+              </div>
+            </details>
+          </aside>
+
+          <main className="rls-workspace">
+            <section className="rls-card">
+              <h3>{scenario.titulo} <span className="rls-badge">{scenario.tipo}</span></h3>
+              <p className="rls-statement">{scenario.enunciado}</p>
+              {(funciones.length > 0 || maxRoles) && (
+                <p className="rls-statement">
+                  Requisitos:
+                  {funciones.length > 0 && <> usar <code>{funciones.join(', ')}</code></>}
+                  {funciones.length > 0 && maxRoles && ' ·'}
+                  {maxRoles && ` máximo ${maxRoles} rol(es)`}.
+                </p>
+              )}
+              <details className="rls-hints">
+                <summary>💡 Pistas</summary>
+                <ul>
+                  {scenario.pistas.map(hint => <li key={hint}>{hint}</li>)}
+                </ul>
+              </details>
+            </section>
+
+            <section className="rls-card">
+              <h3>Administrar roles</h3>
+              {roles.map(role => (
+                <div key={role.id} className="rls-role">
+                  <div className="rls-role-header">
+                    <input
+                      type="text"
+                      value={role.name}
+                      onChange={(e) => updateRole(role.id, { name: e.target.value })}
+                      aria-label="Nombre del rol"
+                    />
+                    <button className="rls-remove" title="Eliminar rol" onClick={() => removeRole(role.id)}>✕</button>
+                  </div>
+                  <div className="rls-filters">
+                    {TABLE_NAMES.map(table => (
+                      <label key={table} className="rls-filter">
+                        <span>{table}</span>
+                        <textarea
+                          value={role.filters[table] || ''}
+                          onChange={(e) => updateFilter(role, table, e.target.value)}
+                          placeholder="Sin filtro"
+                          spellCheck={false}
+                          rows={1}
+                        />
+                      </label>
+                    ))}
+                  </div>
+                  <div className="rls-members">
+                    <span>Miembros</span>
+                    <div className="rls-member-list">
+                      {RLS_USERS.map(user => (
+                        <label key={user.email} className="rls-member" title={user.email}>
+                          <input
+                            type="checkbox"
+                            checked={role.members.includes(user.email)}
+                            onChange={() => toggleMember(role, user.email)}
+                          />
+                          {user.nombre}
+                        </label>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              ))}
+              <button className="rls-add-role" onClick={addRole}>+ Nuevo rol</button>
+            </section>
+
+            <section className="rls-card">
+              <h3>👁️ Ver como</h3>
+              <div className="rls-controls">
+                <label>
+                  <span>Usuario</span>
+                  <select value={viewAs} onChange={(e) => setViewAs(e.target.value)}>
+                    {RLS_USERS.map(user => (
+                      <option key={user.email} value={user.email}>{user.nombre} ({user.puesto})</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  <span>Filas del visual</span>
+                  <select value={dimension} onChange={(e) => setDimension(e.target.value)}>
+                    {RLS_DIMENSIONS.map(item => <option key={item} value={item}>{item}</option>)}
+                  </select>
+                </label>
+              </div>
+
+              {preview.errors ? (
+                <p className="rls-error">⚠️ {preview.errors.join(' · ')}</p>
+              ) : (
+                <>
+                  <p className="rls-statement">
+                    {preview.roles.length > 0
+                      ? <>Roles aplicados: <strong>{preview.roles.join(', ')}</strong></>
+                      : 'Este usuario no pertenece a ningún rol: no ve datos del modelo.'}
+                  </p>
+                  <table className="rls-visual">
+                    <thead>
+                      <tr>
+                        <th>{dimension}</th>
+                        <th className="rls-value">Ventas Totales</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {preview.visual.rows.map(row => (
+                        <tr key={row.label}>
+                          <td>{row.label}</td>
+                          <td className="rls-value">{formatAmount(row.total)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                    <tfoot>
+                      <tr>
+                        <td>Total</td>
+                        <td className="rls-value">{formatAmount(preview.visual.total)}</td>
+                      </tr>
+                    </tfoot>
+                  </table>
+                  <div className="rls-counts">
+                    {preview.counts.map(({ name, visible, total }) => (
+                      <span key={name} className={visible < total ? 'filtered' : ''}>{name}: {visible}/{total}</span>
+                    ))}
+                  </div>
+                </>
+              )}
+            </section>
+
+            <button className="primary-button" onClick={checkScenario} disabled={roles.length === 0}>
+              Comprobar escenario
+            </button>
+
+            {grade && (
+              <div className="rls-result">
+                {grade.error ? (
+                  <p className="rls-error">⚠️ {grade.error}</p>
+                ) : (
+                  <>
+                    <div className={`rls-verdict ${grade.correct ? 'correct' : 'incorrect'}`}>
+                      {grade.correct ? '✅ ¡Cada usuario ve exactamente lo que debe!' : `❌ Todavía no (${grade.score}%)`}
+                    </div>
+                    <ul className="rls-feedback">
+                      {grade.checks.map(check => (
+                        <li key={check.email}>
+                          {check.ok ? '✅' : '❌'} Como <strong>{userLabel(check.email)}</strong>
+                          {check.differences.length > 0 && `: ${check.differences.join(' · ')}`}
+                        </li>
+                      ))}
+                      {grade.requirements.map(requirement => <li key={requirement}>⚠️ {requirement}</li>)}
+                    </ul>
+                  </>
+                )}
+                <button className="rls-solution-toggle" onClick={() => setShowSolution(prev => !prev)}>
+                  {showSolution ? 'Ocultar solución' : 'Ver una solución'}
+                </button>
+                {showSolution && (
+                  <pre className="rls-solution">
+                    {scenario.solucion.map(role => [
+                      `Rol "${role.name}"`,
+                      ...(Object.keys(role.filters).length > 0
+                        ? Object.entries(role.filters).map(([table, expression]) => `  ${table}: ${expression}`)
+                        : ['  (sin filtros)']),
+                      `  Miembros: ${role.members.map(userLabel).join(', ')}`
+                    ].join('\n')).join('\n\n')}
+                  </pre>
+                )}
+              </div>
+            )}
+          </main>
+        </div>
+
+        <button className="rls-exit-button" onClick={() => onNavigate('home')}>
+          Salir del simulador
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default RlsSimulatorScreen;
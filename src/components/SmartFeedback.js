@@ -2,6 +2,7 @@
 // Basado en el marco de Hattie & Timperley y hints progresivos
 
 import React, { useState, useEffect } from 'react';
+import { resolveDomain, resolveSubdomain, getDomainLabel } from '../data/taxonomy';
 import '../styles/SmartFeedback.css';
 
 // ============================================================================
@@ -40,7 +41,7 @@ function generateGenericHint(question, isCorrect) {
   
   const hintsByDomain = {
     'preparar-datos': 'Considera las mejores prácticas de ETL y transformación de datos',
-    'diseñar-implementar-modelo': 'Piensa en la estructura star schema y las relaciones entre tablas',
+    'disenar-modelo': 'Piensa en la estructura star schema y las relaciones entre tablas',
     'crear-calculos-dax': 'Recuerda la diferencia entre row context y filter context',
     'crear-reportes': 'Considera los principios de visualización y UX',
     'optimizar-rendimiento': 'Piensa en cómo reducir la carga de procesamiento',
@@ -49,7 +50,7 @@ function generateGenericHint(question, isCorrect) {
   
   return {
     type: 'info',
-    message: hintsByDomain[question.dominio] || 'Revisa los conceptos fundamentales del tema',
+    message: hintsByDomain[resolveSubdomain(question.subdominio)] || hintsByDomain[resolveDomain(question.dominio)] || 'Revisa los conceptos fundamentales del tema',
     icon: '💡'
   };
 }
@@ -114,14 +115,14 @@ function extractConceptualDescription(question) {
   // Extraer conceptos clave del dominio y subdominio
   const concepts = {
     'preparar-datos': 'transformación y limpieza de datos',
-    'diseñar-implementar-modelo': 'modelado dimensional y relaciones',
+    'disenar-modelo': 'modelado dimensional y relaciones',
     'crear-calculos-dax': 'lenguaje DAX y contextos',
     'crear-reportes': 'visualización y diseño de UX',
     'optimizar-rendimiento': 'optimización y mejores prácticas',
     'asegurar-gobernar': 'seguridad y gobierno de datos'
   };
   
-  return `Este problema evalúa tu comprensión de ${concepts[question.dominio] || 'los conceptos fundamentales'}.`;
+  return `Este problema evalúa tu comprensión de ${concepts[resolveSubdomain(question.subdominio)] || concepts[resolveDomain(question.dominio)] || 'los conceptos fundamentales'}.`;
 }
 
 function explainWhyWrong(question, selectedAnswer) {
@@ -283,7 +284,7 @@ const HintLevel4 = ({ hint }) => (
 
 const HattieTimperelyFramework = ({ question, isCorrect, currentLevel }) => {
   // ¿A dónde voy? - Metas de aprendizaje
-  const learningGoal = `Dominar ${question.dominio.replace(/-/g, ' ')} - Nivel ${question.nivel}`;
+  const learningGoal = `Dominar ${getDomainLabel(question.dominio)} - Nivel ${question.nivel}`;
   
   // ¿Cómo voy? - Progreso
   const progressStatus = isCorrect 
@@ -366,10 +367,11 @@ export function analyzeErrorPatterns(quizHistory) {
   quizHistory.forEach(quiz => {
     quiz.questions.forEach((q, idx) => {
       if (quiz.answers[idx] !== q.respuestaCorrecta) {
-        if (!errorPatterns.domainWeakness[q.dominio]) {
-          errorPatterns.domainWeakness[q.dominio] = 0;
+        const dominio = resolveDomain(q.dominio) || q.dominio;
+        if (!errorPatterns.domainWeakness[dominio]) {
+          errorPatterns.domainWeakness[dominio] = 0;
         }
-        errorPatterns.domainWeakness[q.dominio]++;
+        errorPatterns.domainWeakness[dominio]++;
       }
     });
   });
@@ -394,7 +396,7 @@ export function analyzeErrorPatterns(quizHistory) {
 function getDomainRecommendation(domain) {
   const recommendations = {
     'preparar-datos': 'Estudia Power Query y técnicas de ETL',
-    'diseñar-implementar-modelo': 'Refuerza star schema y relaciones',
+    'disenar-modelo': 'Refuerza star schema y relaciones',
     'crear-calculos-dax': 'Practica DAX en DAX Studio',
     'crear-reportes': 'Revisa principios de visualización',
     'optimizar-rendimiento': 'Estudia Performance Analyzer',
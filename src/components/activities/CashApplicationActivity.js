@@ -0,0 +1,311 @@
+/**
+ * CashApplicationActivity.js - Aplicación de efectivo con remesas difusas
+ * Un pago puede cubrir varias facturas, una factura puede quedar parcialmente
+ * pagada y el efectivo que no corresponde a nada se deja sin aplicar.
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import { validatePaymentMatching } from '../../utils/ValidationEngine';
+import './CashApplicationActivity.css';
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+const formatAmount = (value) => `$${roundAmount(value).toLocaleString(undefined, { minimumFractionDigits: 2 })}`;
+
+// Similitud por trigramas (0-1) para sugerir el cliente de una remesa
+const trigrams = (text) => {
+  const normalized = `  ${String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '')} `;
+  const grams = new Set();
+  for (let i = 0; i < normalized.length - 2; i++) grams.add(normalized.slice(i, i + 3));
+  return grams;
+};
+
+const trigramSimilarity = (a, b) => {
+  const gramsA = trigrams(a);
+  const gramsB = trigrams(b);
+  const shared = [...gramsA].filter(gram => gramsB.has(gram)).length;
+  return shared / (gramsA.size + gramsB.size - shared || 1);
+};
+
+// Números de factura mencionados en la referencia o el memo (la "O" capturada como cero)
+const referencedNumbers = (payment) =>
+  [payment.reference, payment.memo].filter(Boolean).join(' ').toUpperCase().replace(/O/g, '0').match(/\d{4,}/g) || [];
+
+const toAllocationList = (allocations) => Object.entries(allocations).flatMap(([paymentId, invoices]) =>
+  Object.entries(invoices)
+    .map(([invoiceId, amount]) => ({ paymentId, invoiceId, amount: roundAmount(Number(amount) || 0) }))
+    .filter(allocation => allocation.amount > 0)
+);
+
+const CashApplicationActivity = ({
+  payments = [],
+  invoices = [],
+  expectedAllocations = [],
+  instructions = '',
+  draft = null,
+  onDraftChange,
+  onComplete,
+  onProgress
+}) => {
+  // allocations: { paymentId: { invoiceId: monto (texto del input) } }
+  const [allocations, setAllocations] = useState(() => draft?.allocations || {});
+  const [selectedPaymentId, setSelectedPaymentId] = useState(() => draft?.selectedPaymentId || payments[0]?.id || null);
+  const [showResults, setShowResults] = useState(false);
+
+  useEffect(() => {
+    if (onDraftChange) onDraftChange({ allocations, selectedPaymentId });
+  }, [allocations, selectedPaymentId, onDraftChange]);
+
+  const allocationList = useMemo(() => toAllocationList(allocations), [allocations]);
+
+  const appliedByPayment = (paymentId) => allocationList
+    .filter(allocation => allocation.paymentId === paymentId)
+    .reduce((sum, allocation) => sum + allocation.amount, 0);
+
+  const appliedByInvoice = (invoiceId) => allocationList
+    .filter(allocation => allocation.invoiceId === invoiceId)
+    .reduce((sum, allocation) => sum + allocation.amount, 0);
+
+  const reviewedPayments = payments.filter(payment => allocations[payment.id]).length;
+
+  useEffect(() => {
+    if (onProgress && payments.length > 0) {
+      onProgress((reviewedPayments / payments.length) * 100);
+    }
+  }, [reviewedPayments, payments.length, onProgress]);
+
+  const selectedPayment = payments.find(payment => payment.id === selectedPaymentId);
+
+  // Facturas ordenadas por parecido con el cliente y la referencia del pago
+  const rankedInvoices = useMemo(() => {
+    if (!selectedPayment) return [];
+    return invoices
+      .map(invoice => ({
+        invoice,
+        similarity: Math.max(
+          trigramSimilarity(selectedPayment.customer_name, invoice.customer_name),
+          ...referencedNumbers(selectedPayment).map(number =>
+            trigramSimilarity(number, String(invoice.invoice_number || invoice.id).replace(/\D/g, ''))
+          )
+        )
+      }))
+      .sort((a, b) => b.similarity - a.similarity);
+  }, [invoices, selectedPayment]);
+
+  const setAmount = (invoiceId, value) => {
+    setAllocations(prev => ({
+      ...prev,
+      [selectedPaymentId]: { ...(prev[selectedPaymentId] || {}), [invoiceId]: value }
+    }));
+  };
+
+  // Aplica lo que quede del pago hasta cubrir el saldo abierto de la factura
+  const fillAmount = (invoice) => {
+    const current = Number(allocations[selectedPaymentId]?.[invoice.id]) || 0;
+    const paymentLeft = selectedPayment.amount - appliedByPayment(selectedPaymentId) + current;
+    const invoiceOpen = invoice.amount - appliedByInvoice(invoice.id) + current;
+    setAmount(invoice.id, String(roundAmount(Math.max(0, Math.min(paymentLeft, invoiceOpen)))));
+  };
+
+  // Marca el pago como revisado sin aplicaciones (queda todo a cuenta)
+  const leaveUnapplied = () => {
+    setAllocations(prev => ({ ...prev, [selectedPaymentId]: {} }));
+  };
+
+  const handleSubmit = () => {
+    setShowResults(true);
+    if (onComplete) {
+      onComplete({ allocations: allocationList, totalPayments: payments.length });
+    }
+  };
+
+  const results = useMemo(
+    () => (showResults
+      ? validatePaymentMatching(allocationList, expectedAllocations, { payments })
+      : null),
+    [showResults, allocationList, expectedAllocations, payments]
+  );
+
+  const paymentStatus = (paymentId) => {
+    if (!results) return null;
+    const pairs = results.results.filter(result => result.paymentId === paymentId);
+    const unapplied = results.unapplied.find(entry => entry.paymentId === paymentId);
+    return pairs.every(result => result.correct) && unapplied?.correct !== false;
+  };
+
+  const hasOverApplied = payments.some(payment => appliedByPayment(payment.id) - payment.amount > 0.01);
+
+  return (
+    <div className="cashapp-activity">
+      {instructions && (
+        <div className="cashapp-instructions">
+          <div className="cashapp-instructions-icon">💵</div>
+          <div className="cashapp-instructions-text">{instructions}</div>
+        </div>
+      )}
+
+      <div className="cashapp-progress-info">
+        <span>Pagos revisados: {reviewedPayments} / {payments.length}</span>
+        <span>Aplicaciones: {allocationList.length}</span>
+      </div>
+
+      <div className="cashapp-container">
+        <div className="cashapp-payments">
+          <h3 className="cashapp-section-title">Remesas del día ({payments.length})</h3>
+          {payments.map(payment => {
+            const unapplied = roundAmount(payment.amount - appliedByPayment(payment.id));
+            const status = paymentStatus(payment.id);
+            let className = 'cashapp-payment';
+            if (payment.id === selectedPaymentId) className += ' cashapp-payment-selected';
+            if (allocations[payment.id]) className += ' cashapp-payment-reviewed';
+            if (status === true) className += ' cashapp-payment-correct';
+            if (status === false) className += ' cashapp-payment-incorrect';
+
+            return (
+              <button
+                key={payment.id}
+                type="button"
+                className={className}
+                onClick={() => setSelectedPaymentId(payment.id)}
+              >
+                <div className="cashapp-payment-header">
+                  <span className="cashapp-payment-id">{payment.payment_number || payment.id}</span>
+                  <span className="cashapp-payment-amount">{formatAmount(payment.amount)}</span>
+                </div>
+                <div className="cashapp-payment-customer">{payment.customer_name}</div>
+                <div className="cashapp-payment-ref">
+                  Ref: {payment.reference || <em>sin referencia</em>}
+                </div>
+                {payment.memo && <div className="cashapp-payment-memo">📝 {payment.memo}</div>}
+                <div className={`cashapp-payment-unapplied ${unapplied < 0 ? 'cashapp-over' : ''}`}>
+                  {unapplied < 0 ? 'Sobreaplicado' : 'Sin aplicar'}: {formatAmount(unapplied)}
+                  {status !== null && <span className="cashapp-result-icon">{status ? '✓' : '✗'}</span>}
+                </div>
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="cashapp-invoices">
+          <h3 className="cashapp-section-title">
+            Facturas abiertas
+            {selectedPayment && <span> · aplicando {selectedPayment.payment_number || selectedPayment.id}</span>}
+          </h3>
+
+          {selectedPayment ? (
+            <>
+              <table className="cashapp-table">
+                <thead>
+                  <tr>
+                    <th>Factura</th>
+                    <th>Cliente</th>
+                    <th>Importe</th>
+                    <th>Saldo abierto</th>
+                    <th>Similitud</th>
+                    <th>Aplicar</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {rankedInvoices.map(({ invoice, similarity }) => {
+                    const openBalance = roundAmount(invoice.amount - appliedByInvoice(invoice.id));
+                    return (
+                      <tr key={invoice.id} className={openBalance < 0 ? 'cashapp-over' : ''}>
+                        <td>{invoice.invoice_number || invoice.id}</td>
+                        <td>{invoice.customer_name}</td>
+                        <td>{formatAmount(invoice.amount)}</td>
+                        <td>{formatAmount(openBalance)}</td>
+                        <td>
+                          <span className="cashapp-similarity" style={{ '--similarity': similarity }}>
+                            {Math.round(similarity * 100)}%
+                          </span>
+                        </td>
+                        <td className="cashapp-apply-cell">
+                          <input
+                            type="number"
+                            min={0}
+                            step="0.01"
+                            value={allocations[selectedPaymentId]?.[invoice.id] ?? ''}
+                            disabled={showResults}
+                            onChange={(e) => setAmount(invoice.id, e.target.value)}
+                          />
+                          {!showResults && (
+                            <button
+                              type="button"
+                              className="cashapp-fill-button"
+                              title="Aplicar el saldo disponible"
+                              onClick={() => fillAmount(invoice)}
+                            >
+                              ⇤
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+
+              {!showResults && (
+                <button type="button" className="cashapp-unapplied-button" onClick={leaveUnapplied}>
+                  Dejar este pago sin aplicar (a cuenta)
+                </button>
+              )}
+            </>
+          ) : (
+            <p className="cashapp-empty">Selecciona un pago para aplicarlo.</p>
+          )}
+        </div>
+      </div>
+
+      {!showResults ? (
+        <div className="cashapp-actions">
+          {hasOverApplied && (
+            <span className="cashapp-warning">⚠️ Hay pagos aplicados por encima de su importe</span>
+          )}
+          <button
+            type="button"
+            className="cashapp-submit-button"
+            onClick={handleSubmit}
+            disabled={reviewedPayments === 0}
+          >
+            Contabilizar aplicación
+          </button>
+        </div>
+      ) : (
+        <div className="cashapp-results">
+          <div className="cashapp-results-title">Resultado de la aplicación</div>
+          <div className="cashapp-results-stats">
+            <div className="cashapp-stat">
+              <div className="cashapp-stat-value">{results.correct} / {results.total}</div>
+              <div className="cashapp-stat-label">Aplicaciones correctas</div>
+            </div>
+            <div className="cashapp-stat">
+              <div className="cashapp-stat-value">{Math.round(results.matchRate * 100)}%</div>
+              <div className="cashapp-stat-label">Match difuso</div>
+            </div>
+            <div className="cashapp-stat cashapp-stat-score">
+              <div className="cashapp-stat-value">{results.score}%</div>
+              <div className="cashapp-stat-label">Puntuación</div>
+            </div>
+          </div>
+          <ul className="cashapp-results-list">
+            {results.results.filter(result => !result.correct).map(result => (
+              <li key={`${result.paymentId}-${result.invoiceId}`}>
+                {result.paymentId} → {result.invoiceId}:{' '}
+                {result.status === 'missing' && `faltó aplicar ${formatAmount(result.amount)}`}
+                {result.status === 'amount_mismatch' && `aplicaste ${formatAmount(result.applied)}, correspondían ${formatAmount(result.amount)}`}
+                {result.status === 'unexpected' && `no corresponde (${formatAmount(result.applied)})`}
+              </li>
+            ))}
+            {results.unapplied.filter(entry => !entry.correct).map(entry => (
+              <li key={`${entry.paymentId}-unapplied`}>
+                {entry.paymentId}: quedaron {formatAmount(entry.actual)} sin aplicar, debían quedar {formatAmount(entry.expected)}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CashApplicationActivity;
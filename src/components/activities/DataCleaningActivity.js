@@ -0,0 +1,288 @@
+/**
+ * DataCleaningActivity.js - Cuadrícula editable para limpiar datasets
+ * Ediciones de celda, borrado de filas y transformaciones masivas estilo
+ * Power Query; todo se guarda como "pasos aplicados" que se pueden deshacer
+ */
+
+import React, { useState, useEffect, useMemo } from 'react';
+import {
+  CLEANING_TRANSFORMS,
+  applyCleaningSteps,
+  describeCleaningStep,
+  profileColumn
+} from '../../utils/dataCleaning';
+import { parseLocaleNumber } from '../../utils/spreadsheet';
+import { validateDataCleaning } from '../../utils/ValidationEngine';
+import './DataCleaningActivity.css';
+
+const PARAM_LABELS = {
+  find: 'Buscar',
+  replaceWith: 'Reemplazar por',
+  value: 'Valor'
+};
+
+const formatCell = (value) => (value === undefined || value === null ? '' : String(value));
+
+const DataCleaningActivity = ({
+  rows: originalRows = [],
+  groundTruth = [],
+  instructions = '',
+  draft = null,
+  onDraftChange,
+  onComplete,
+  onProgress
+}) => {
+  // steps: la tabla actual es siempre originalRows + pasos (deshacer = quitar el último)
+  const [steps, setSteps] = useState(() => draft?.steps || []);
+  const [editingCell, setEditingCell] = useState(null);
+  const [transform, setTransform] = useState({ type: 'trim', column: '', find: '', replaceWith: '', value: '' });
+  const [showResults, setShowResults] = useState(false);
+
+  useEffect(() => {
+    if (onDraftChange) onDraftChange({ steps });
+  }, [steps, onDraftChange]);
+
+  const rows = useMemo(() => applyCleaningSteps(originalRows, steps), [originalRows, steps]);
+
+  const columns = useMemo(() => originalRows.reduce((acc, row) => {
+    Object.keys(row).forEach(key => {
+      if (key !== 'id' && !acc.includes(key)) acc.push(key);
+    });
+    return acc;
+  }, []), [originalRows]);
+
+  const result = useMemo(
+    () => (showResults && groundTruth.length > 0 ? validateDataCleaning(originalRows, rows, groundTruth) : null),
+    [showResults, originalRows, rows, groundTruth]
+  );
+
+  useEffect(() => {
+    if (onProgress) onProgress(Math.min(90, steps.length * 10));
+  }, [steps.length, onProgress]);
+
+  const addStep = (step) => setSteps(prev => [...prev, step]);
+
+  const undoStep = () => setSteps(prev => prev.slice(0, -1));
+
+  const commitEdit = () => {
+    if (!editingCell) return;
+    const { row, column, text } = editingCell;
+    const current = rows[row]?.[column];
+    setEditingCell(null);
+    if (text === formatCell(current)) return;
+
+    // En columnas ya convertidas a número la edición se guarda como número
+    const parsed = parseLocaleNumber(text);
+    const value = typeof current === 'number' && !Number.isNaN(parsed) ? parsed : text;
+    addStep({ type: 'edit_cell', row, column, value });
+  };
+
+  const handleEditKey = (e) => {
+    if (e.key === 'Enter') e.target.blur();
+    if (e.key === 'Escape') setEditingCell(null);
+  };
+
+  const applyTransform = () => {
+    const { type, column } = transform;
+    const params = CLEANING_TRANSFORMS[type].params || [];
+    addStep(params.reduce((step, param) => ({ ...step, [param]: transform[param] }), { type, column }));
+  };
+
+  const handleSubmit = () => {
+    setShowResults(true);
+    if (onComplete) {
+      onComplete({ rows, steps: steps.map(describeCleaningStep) });
+    }
+  };
+
+  const transformParams = CLEANING_TRANSFORMS[transform.type].params || [];
+  const needsColumn = transform.type !== 'remove_duplicates';
+
+  return (
+    <div className="cleaning-activity">
+      {instructions && (
+        <div className="cleaning-instructions">
+          <div className="cleaning-instructions-icon">🧹</div>
+          <div className="cleaning-instructions-text">{instructions}</div>
+        </div>
+      )}
+
+      {!showResults && (
+        <div className="cleaning-toolbar">
+          <label>
+            <span>Transformación</span>
+            <select
+              value={transform.type}
+              onChange={(e) => setTransform(prev => ({ ...prev, type: e.target.value }))}
+            >
+              {Object.entries(CLEANING_TRANSFORMS).map(([type, { label, icon }]) => (
+                <option key={type} value={type}>{icon} {label}</option>
+              ))}
+            </select>
+          </label>
+          <label>
+            <span>Columna</span>
+            <select
+              value={transform.column}
+              onChange={(e) => setTransform(prev => ({ ...prev, column: e.target.value }))}
+            >
+              <option value="">{needsColumn ? 'Elige una columna' : 'Fila completa'}</option>
+              {columns.map(column => <option key={column} value={column}>{column}</option>)}
+            </select>
+          </label>
+          {transformParams.map(param => (
+            <label key={param}>
+              <span>{PARAM_LABELS[param]}</span>
+              <input
+                type="text"
+                value={transform[param]}
+                onChange={(e) => setTransform(prev => ({ ...prev, [param]: e.target.value }))}
+              />
+            </label>
+          ))}
+          <button
+            type="button"
+            className="cleaning-apply-button"
+            disabled={needsColumn && !transform.column}
+            onClick={applyTransform}
+          >
+            Aplicar paso
+          </button>
+        </div>
+      )}
+
+      <div className="cleaning-layout">
+        <div className="cleaning-grid-wrapper">
+          <table className="cleaning-grid">
+            <thead>
+              <tr>
+                <th>#</th>
+                {columns.map(column => {
+                  const profile = profileColumn(rows, column);
+                  const mixed = profile.types.size > 1;
+                  return (
+                    <th key={column}>
+                      <span className="cleaning-column-name">{column}</span>
+                      <span className={`cleaning-column-profile ${profile.empty > 0 || mixed ? 'cleaning-column-warning' : ''}`}>
+                        {mixed ? 'tipos mixtos' : [...profile.types][0] === 'number' ? '123' : 'ABC'}
+                        {profile.empty > 0 && ` · ${profile.empty} vacíos`}
+                      </span>
+                    </th>
+                  );
+                })}
+                {!showResults && <th aria-label="Acciones" />}
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((row, rowIndex) => (
+                <tr key={rowIndex}>
+                  <td className="cleaning-row-number">{rowIndex + 1}</td>
+                  {columns.map(column => {
+                    const value = row[column];
+                    const isEditing = editingCell?.row === rowIndex && editingCell?.column === column;
+                    return (
+                      <td
+                        key={column}
+                        className={typeof value === 'number' ? 'cleaning-cell-number' : ''}
+                        onDoubleClick={() => !showResults && setEditingCell({ row: rowIndex, column, text: formatCell(value) })}
+                      >
+                        {isEditing ? (
+                          <input
+                            autoFocus
+                            value={editingCell.text}
+                            onChange={(e) => setEditingCell(prev => ({ ...prev, text: e.target.value }))}
+                            onBlur={commitEdit}
+                            onKeyDown={handleEditKey}
+                          />
+                        ) : (
+                          <span className="cleaning-cell-value">{formatCell(value)}</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                  {!showResults && (
+                    <td>
+                      <button
+                        type="button"
+                        className="cleaning-delete-row"
+                        title="Eliminar fila"
+                        onClick={() => addStep({ type: 'remove_row', row: rowIndex })}
+                      >
+                        🗑
+                      </button>
+                    </td>
+                  )}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          <p className="cleaning-hint">Doble clic en una celda para editarla · {rows.length} filas</p>
+        </div>
+
+        <aside className="cleaning-steps">
+          <h3>Pasos aplicados</h3>
+          {steps.length === 0 ? (
+            <p className="cleaning-hint">Aún no hay pasos.</p>
+          ) : (
+            <ol>
+              {steps.map((step, index) => (
+                <li key={index}>{describeCleaningStep(step)}</li>
+              ))}
+            </ol>
+          )}
+          {!showResults && (
+            <button type="button" className="cleaning-undo-button" disabled={steps.length === 0} onClick={undoStep}>
+              ↶ Deshacer último paso
+            </button>
+          )}
+        </aside>
+      </div>
+
+      {!showResults ? (
+        <div className="cleaning-actions">
+          <button
+            type="button"
+            className="cleaning-submit-button"
+            disabled={steps.length === 0}
+            onClick={handleSubmit}
+          >
+            Entregar tabla limpia
+          </button>
+        </div>
+      ) : result && (
+        <div className="cleaning-results">
+          <div className="cleaning-results-title">
+            Reducción de errores: {Math.round(result.errorReduction * 100)}%
+          </div>
+          <table className="cleaning-results-table">
+            <thead>
+              <tr>
+                <th>Tipo de error</th>
+                <th>Al inicio</th>
+                <th>Pendientes</th>
+                <th>Reducción</th>
+              </tr>
+            </thead>
+            <tbody>
+              {Object.entries(result.byType).map(([type, entry]) => (
+                <tr key={type} className={entry.remaining > 0 ? 'cleaning-result-pending' : ''}>
+                  <td>{entry.label}</td>
+                  <td>{entry.original}</td>
+                  <td>{entry.remaining}</td>
+                  <td>{Math.round(entry.reduction * 100)}%</td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {result.rowsLost > 0 && (
+            <p className="cleaning-warning">
+              ⚠️ Eliminaste {result.rowsLost} factura(s) válida(s); cuentan como errores nuevos.
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DataCleaningActivity;
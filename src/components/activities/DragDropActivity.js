@@ -3,7 +3,7 @@
  * Basado en FASE_3 - Tipo de actividad: drag_drop
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './DragDropActivity.css';
 
 const DragDropActivity = ({ 
@@ -11,13 +11,20 @@ const DragDropActivity = ({
   targets = [], 
   correctMatches = {},
   instructions = '',
+  draft = null,
+  onDraftChange,
   onComplete,
   onProgress
 }) => {
-  const [matches, setMatches] = useState({});
+  // draft: emparejamientos guardados en el snapshot de la misión
+  const [matches, setMatches] = useState(() => draft?.matches || {});
   const [draggedItem, setDraggedItem] = useState(null);
   const [showResults, setShowResults] = useState(false);
 
+  useEffect(() => {
+    if (onDraftChange) onDraftChange({ matches });
+  }, [matches, onDraftChange]);
+
   const handleDragStart = (e, item) => {
     setDraggedItem(item);
     e.dataTransfer.effectAllowed = 'move';
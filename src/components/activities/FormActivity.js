@@ -3,17 +3,20 @@
  * Basado en FASE_3 - Tipo de actividad: form
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './FormActivity.css';
 
 const FormActivity = ({ 
   fields = [], 
   initialData = {},
   instructions = '',
+  draft = null,
+  onDraftChange,
   onComplete,
   onProgress
 }) => {
-  const [formData, setFormData] = useState(initialData);
+  // draft: estado parcial guardado en el snapshot de la misión
+  const [formData, setFormData] = useState(() => draft?.formData || initialData);
   const [errors, setErrors] = useState({});
   const [touched, setTouched] = useState({});
 
@@ -40,6 +43,10 @@ const FormActivity = ({
     }
   };
 
+  useEffect(() => {
+    if (onDraftChange) onDraftChange({ formData });
+  }, [formData, onDraftChange]);
+
   const handleBlur = (fieldId) => {
     setTouched(prev => ({
       ...prev,
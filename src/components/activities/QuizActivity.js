@@ -8,11 +8,14 @@ import './QuizActivity.css';
 
 const QuizActivity = ({ 
   questions = [], 
+  draft = null,
+  onDraftChange,
   onComplete, 
   onProgress 
 }) => {
-  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(0);
-  const [selectedAnswers, setSelectedAnswers] = useState({});
+  // draft: estado parcial guardado en el snapshot de la misión
+  const [currentQuestionIndex, setCurrentQuestionIndex] = useState(() => draft?.currentQuestionIndex || 0);
+  const [selectedAnswers, setSelectedAnswers] = useState(() => draft?.selectedAnswers || {});
   const [showFeedback, setShowFeedback] = useState(false);
   const [autoCompleted, setAutoCompleted] = useState(false);
 
@@ -30,6 +33,10 @@ const QuizActivity = ({
     }
   }, [totalQuestions, autoCompleted, onComplete]);
 
+  useEffect(() => {
+    if (onDraftChange) onDraftChange({ currentQuestionIndex, selectedAnswers });
+  }, [currentQuestionIndex, selectedAnswers, onDraftChange]);
+
   const handleAnswerSelect = (answerId) => {
     if (showFeedback || !currentQuestion) return; // No cambiar respuesta si ya mostró feedback o no hay pregunta
 
@@ -3,20 +3,27 @@
  * Basado en FASE_3 - Tipo de actividad: validation
  */
 
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import './ValidationActivity.css';
 
 const ValidationActivity = ({ 
   validationChecks = [], 
   dataset = {},
   instructions = '',
+  draft = null,
+  onDraftChange,
   onComplete,
   onProgress
 }) => {
-  const [selectedIssues, setSelectedIssues] = useState([]);
-  const [notes, setNotes] = useState({});
+  // draft: estado parcial guardado en el snapshot de la misión
+  const [selectedIssues, setSelectedIssues] = useState(() => draft?.selectedIssues || []);
+  const [notes, setNotes] = useState(() => draft?.notes || {});
   const [showResults, setShowResults] = useState(false);
 
+  useEffect(() => {
+    if (onDraftChange) onDraftChange({ selectedIssues, notes });
+  }, [selectedIssues, notes, onDraftChange]);
+
   const handleIssueToggle = (issueId) => {
     setSelectedIssues(prev => {
       const newSelected = prev.includes(issueId)
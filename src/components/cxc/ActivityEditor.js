@@ -0,0 +1,423 @@
+import React, { useState } from 'react';
+import { CHARACTERS } from '../../data/cxc/characters';
+import { FIELD_TYPES, getUniqueId } from '../../utils/missionEditor';
+import './ActivityEditor.css';
+
+const updateAt = (list, index, patch) =>
+  list.map((item, i) => (i === index ? { ...item, ...patch } : item));
+
+const removeAt = (list, index) => list.filter((_, i) => i !== index);
+
+// Opciones de un select como "valor | etiqueta" por línea
+const optionsToText = (options = []) =>
+  options.map(option => `${option.value} | ${option.label}`).join('\n');
+
+const textToOptions = (text) => text
+  .split('\n')
+  .filter(line => line.trim() !== '')
+  .map(line => {
+    const [value, ...label] = line.split('|');
+    return { value: value.trim(), label: (label.join('|') || value).trim() };
+  });
+
+/**
+ * Las opciones se editan como texto libre y se aplican al salir del campo
+ */
+const OptionsField = ({ options, onCommit }) => {
+  const [text, setText] = useState(() => optionsToText(options));
+
+  return (
+    <label>
+      <span>Opciones (una por línea: valor | etiqueta)</span>
+      <textarea
+        value={text}
+        rows={4}
+        onChange={(e) => setText(e.target.value)}
+        onBlur={() => onCommit(textToOptions(text))}
+      />
+    </label>
+  );
+};
+
+/**
+ * Preguntas de opción múltiple: texto, respuestas, correcta y explicación
+ */
+const QuizEditor = ({ activity, onChange }) => {
+  const questions = activity.questions || [];
+  const setQuestions = (next) => onChange({ ...activity, questions: next });
+
+  const addQuestion = () => setQuestions([...questions, {
+    id: getUniqueId(`q${questions.length + 1}`, questions.map(q => q.id)),
+    question: 'Nueva pregunta',
+    answers: [{ id: 'a', text: '' }, { id: 'b', text: '' }],
+    correctAnswer: 'a',
+    explanation: ''
+  }]);
+
+  return (
+    <div className="activity-editor-list">
+      {questions.map((question, qIndex) => (
+        <fieldset key={question.id} className="activity-editor-item">
+          <legend>Pregunta {qIndex + 1}</legend>
+          <textarea
+            value={question.question}
+            rows={3}
+            onChange={(e) => setQuestions(updateAt(questions, qIndex, { question: e.target.value }))}
+          />
+
+          {question.answers.map((answer, aIndex) => (
+            <div key={answer.id} className="activity-editor-answer">
+              <input
+                type="radio"
+                name={`correct-${question.id}`}
+                checked={question.correctAnswer === answer.id}
+                title="Respuesta correcta"
+                onChange={() => setQuestions(updateAt(questions, qIndex, { correctAnswer: answer.id }))}
+              />
+              <input
+                type="text"
+                value={answer.text}
+                placeholder={`Respuesta ${answer.id}`}
+                onChange={(e) => setQuestions(updateAt(questions, qIndex, {
+                  answers: updateAt(question.answers, aIndex, { text: e.target.value })
+                }))}
+              />
+              <button
+                type="button"
+                className="activity-editor-remove"
+                disabled={question.answers.length <= 2 || question.correctAnswer === answer.id}
+                onClick={() => setQuestions(updateAt(questions, qIndex, { answers: removeAt(question.answers, aIndex) }))}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+
+          <button
+            type="button"
+            className="activity-editor-add"
+            onClick={() => setQuestions(updateAt(questions, qIndex, {
+              answers: [...question.answers, {
+                id: getUniqueId(String.fromCharCode(97 + question.answers.length), question.answers.map(a => a.id)),
+                text: ''
+              }]
+            }))}
+          >
+            + Respuesta
+          </button>
+
+          <label>
+            <span>Explicación</span>
+            <textarea
+              value={question.explanation || ''}
+              rows={2}
+              onChange={(e) => setQuestions(updateAt(questions, qIndex, { explanation: e.target.value }))}
+            />
+          </label>
+
+          <button
+            type="button"
+            className="activity-editor-remove"
+            disabled={questions.length <= 1}
+            onClick={() => setQuestions(removeAt(questions, qIndex))}
+          >
+            Eliminar pregunta
+          </button>
+        </fieldset>
+      ))}
+      <button type="button" className="activity-editor-add" onClick={addQuestion}>+ Pregunta</button>
+    </div>
+  );
+};
+
+/**
+ * Campos de formulario: etiqueta, tipo, obligatoriedad y opciones
+ */
+const FormEditor = ({ activity, onChange }) => {
+  const fields = activity.fields || [];
+  const setFields = (next) => onChange({ ...activity, fields: next });
+
+  return (
+    <div className="activity-editor-list">
+      {fields.map((field, index) => (
+        <fieldset key={field.id} className="activity-editor-item">
+          <legend>{field.id}</legend>
+          <div className="activity-editor-row">
+            <label>
+              <span>Etiqueta</span>
+              <input
+                type="text"
+                value={field.label}
+                onChange={(e) => setFields(updateAt(fields, index, { label: e.target.value }))}
+              />
+            </label>
+            <label>
+              <span>Tipo</span>
+              <select
+                value={field.type}
+                onChange={(e) => setFields(updateAt(fields, index, { type: e.target.value }))}
+              >
+                {FIELD_TYPES.map(type => <option key={type} value={type}>{type}</option>)}
+              </select>
+            </label>
+            <label className="activity-editor-check">
+              <input
+                type="checkbox"
+                checked={Boolean(field.required)}
+                onChange={(e) => setFields(updateAt(fields, index, { required: e.target.checked }))}
+              />
+              <span>Obligatorio</span>
+            </label>
+          </div>
+
+          {field.type === 'select' && (
+            <OptionsField
+              options={field.options}
+              onCommit={(options) => setFields(updateAt(fields, index, { options }))}
+            />
+          )}
+
+          <button
+            type="button"
+            className="activity-editor-remove"
+            disabled={fields.length <= 1}
+            onClick={() => setFields(removeAt(fields, index))}
+          >
+            Eliminar campo
+          </button>
+        </fieldset>
+      ))}
+      <button
+        type="button"
+        className="activity-editor-add"
+        onClick={() => setFields([...fields, {
+          id: getUniqueId(`campo_${fields.length + 1}`, fields.map(f => f.id)),
+          type: 'text',
+          label: 'Nuevo campo',
+          required: false
+        }])}
+      >
+        + Campo
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Puntos a revisar: descripción, si tiene problema y explicación
+ */
+const ValidationEditor = ({ activity, onChange }) => {
+  const checks = activity.validationChecks || [];
+  const setChecks = (next) => onChange({ ...activity, validationChecks: next });
+
+  return (
+    <div className="activity-editor-list">
+      {checks.map((check, index) => {
+        const textKey = check.description !== undefined ? 'description' : 'title';
+        return (
+          <fieldset key={check.id} className="activity-editor-item">
+            <legend>{check.id}</legend>
+            <textarea
+              value={check[textKey] || ''}
+              rows={2}
+              onChange={(e) => setChecks(updateAt(checks, index, { [textKey]: e.target.value }))}
+            />
+            <label className="activity-editor-check">
+              <input
+                type="checkbox"
+                checked={check.hasIssue === true}
+                onChange={(e) => setChecks(updateAt(checks, index, { hasIssue: e.target.checked }))}
+              />
+              <span>Tiene un problema (el analista debe marcarlo)</span>
+            </label>
+            <label>
+              <span>Explicación</span>
+              <input
+                type="text"
+                value={check.explanation || ''}
+                onChange={(e) => setChecks(updateAt(checks, index, { explanation: e.target.value }))}
+              />
+            </label>
+            <button
+              type="button"
+              className="activity-editor-remove"
+              disabled={checks.length <= 1}
+              onClick={() => setChecks(removeAt(checks, index))}
+            >
+              Eliminar punto
+            </button>
+          </fieldset>
+        );
+      })}
+      <button
+        type="button"
+        className="activity-editor-add"
+        onClick={() => setChecks([...checks, {
+          id: getUniqueId(`check_${checks.length + 1}`, checks.map(c => c.id)),
+          description: '',
+          hasIssue: false,
+          explanation: ''
+        }])}
+      >
+        + Punto a revisar
+      </button>
+    </div>
+  );
+};
+
+/**
+ * Tamaño de la receta que alimenta una actividad con dataset generado
+ */
+const RecipeCountEditor = ({ activity, datasets, onDatasetChange, generator, label, min, max, fallback }) => {
+  const recipe = datasets[activity.datasetName];
+
+  if (recipe?.generator !== generator) {
+    return (
+      <p className="activity-editor-hint">
+        El dataset "{activity.datasetName}" no usa el generador "{generator}"; edítalo en el archivo del paquete.
+      </p>
+    );
+  }
+
+  return (
+    <label className="activity-editor-inline">
+      <span>{label}</span>
+      <input
+        type="number"
+        min={min}
+        max={max}
+        value={recipe.count || fallback}
+        onChange={(e) => onDatasetChange(activity.datasetName, {
+          ...recipe,
+          count: Math.max(min, Math.min(max, parseInt(e.target.value, 10) || min))
+        })}
+      />
+    </label>
+  );
+};
+
+const DragDropEditor = (props) => (
+  <RecipeCountEditor {...props} generator="payments" label="Facturas a conciliar" min={1} max={20} fallback={5} />
+);
+
+const CashApplicationEditor = (props) => (
+  <RecipeCountEditor {...props} generator="remittances" label="Facturas abiertas (5 clientes)" min={5} max={30} fallback={10} />
+);
+
+const DataCleaningEditor = (props) => (
+  <RecipeCountEditor {...props} generator="dirty_invoices" label="Facturas sucias" min={5} max={50} fallback={15} />
+);
+
+/**
+ * Textos del diálogo ramificado (la estructura del grafo se mantiene)
+ */
+const DialogueEditor = ({ activity, onChange }) => {
+  if (!activity.graph) {
+    return (
+      <p className="activity-editor-hint">
+        Este diálogo usa el grafo "{activity.graphId}" del juego y no se edita aquí.
+      </p>
+    );
+  }
+
+  const nodes = activity.graph.nodes;
+  const setNode = (nodeId, patch) => onChange({
+    ...activity,
+    graph: { ...activity.graph, nodes: { ...nodes, [nodeId]: { ...nodes[nodeId], ...patch } } }
+  });
+
+  return (
+    <div className="activity-editor-list">
+      {Object.entries(nodes)
+        .filter(([, node]) => node.text !== undefined)
+        .map(([nodeId, node]) => (
+          <fieldset key={nodeId} className="activity-editor-item">
+            <legend>{nodeId}{node.end && ' · final'}</legend>
+            <div className="activity-editor-row">
+              <label>
+                <span>Personaje</span>
+                <select value={node.speaker || ''} onChange={(e) => setNode(nodeId, { speaker: e.target.value })}>
+                  {Object.entries(CHARACTERS).map(([characterId, character]) => (
+                    <option key={characterId} value={characterId}>{character.name}</option>
+                  ))}
+                </select>
+              </label>
+              {node.end && (
+                <label>
+                  <span>Puntuación</span>
+                  <input
+                    type="number"
+                    min={0}
+                    max={100}
+                    value={Number.isFinite(node.score) ? node.score : 100}
+                    onChange={(e) => setNode(nodeId, { score: Math.max(0, Math.min(100, Number(e.target.value) || 0)) })}
+                  />
+                </label>
+              )}
+            </div>
+            <textarea value={node.text} rows={2} onChange={(e) => setNode(nodeId, { text: e.target.value })} />
+
+            {(node.choices || []).map((choice, index) => (
+              <label key={choice.id} className="activity-editor-choice">
+                <span>↳ {choice.id}</span>
+                <input
+                  type="text"
+                  value={choice.text}
+                  onChange={(e) => setNode(nodeId, { choices: updateAt(node.choices, index, { text: e.target.value }) })}
+                />
+              </label>
+            ))}
+          </fieldset>
+        ))}
+    </div>
+  );
+};
+
+const EDITORS = {
+  quiz: QuizEditor,
+  form: FormEditor,
+  validation: ValidationEditor,
+  drag_drop: DragDropEditor,
+  cash_application: CashApplicationEditor,
+  data_cleaning: DataCleaningEditor,
+  dialogue: DialogueEditor
+};
+
+/**
+ * ActivityEditor - Edición de una actividad de un paquete de misión
+ */
+const ActivityEditor = ({ activity, datasets = {}, onChange, onDatasetChange }) => {
+  const TypeEditor = EDITORS[activity.type];
+
+  return (
+    <div className="activity-editor">
+      <label>
+        <span>Título</span>
+        <input
+          type="text"
+          value={activity.title}
+          onChange={(e) => onChange({ ...activity, title: e.target.value })}
+        />
+      </label>
+      <label>
+        <span>Instrucciones</span>
+        <textarea
+          value={activity.instructions || ''}
+          rows={2}
+          onChange={(e) => onChange({ ...activity, instructions: e.target.value })}
+        />
+      </label>
+
+      {TypeEditor && (
+        <TypeEditor
+          activity={activity}
+          datasets={datasets}
+          onChange={onChange}
+          onDatasetChange={onDatasetChange}
+        />
+      )}
+    </div>
+  );
+};
+
+export default ActivityEditor;
@@ -1,11 +1,143 @@
 import React, { useState, useEffect } from 'react';
+import { CHARACTERS } from '../../data/cxc/characters';
+import {
+  createDialogueState,
+  createDialogueOutcome,
+  applyDialogueEffects,
+  resolveDialogueNode,
+  getAvailableChoices
+} from '../../utils/dialogueGraph';
 import './DialogueBox.css';
 
+const DialogueAvatar = ({ character }) => (
+  <div className="dialogue-avatar">
+    <div className={`avatar-circle ${character?.id || 'default'}`}>
+      {character?.icon || character?.name?.[0] || '👤'}
+    </div>
+    <div className="character-name">{character?.name || 'Narrador'}</div>
+    <div className="character-role">{character?.role || ''}</div>
+  </div>
+);
+
 /**
- * Componente DialogueBox
- * Muestra diálogos secuenciales con personajes
+ * Entra a un nodo: resuelve bifurcaciones y aplica sus efectos
+ */
+const enterNode = (graph, nodeId, scene) => {
+  const resolved = resolveDialogueNode(graph, nodeId, scene.state);
+  if (!resolved) return { ...scene, nodeId: null, node: null };
+
+  const { outcome, state } = applyDialogueEffects(scene.outcome, scene.state, resolved.node.effects);
+  return { ...resolved, outcome, state, step: scene.step + 1 };
+};
+
+/**
+ * Modo grafo: nodos con decisiones, condiciones y efectos
+ * onComplete recibe el resultado ({ endNodeId, score, points, relationships, ... })
  */
-const DialogueBox = ({ 
+const DialogueGraphBox = ({ graph, character, dialogueState, onComplete, onChoice, showAvatar = true }) => {
+  const [scene, setScene] = useState(() => enterNode(graph, graph.start, {
+    state: createDialogueState(dialogueState),
+    outcome: createDialogueOutcome(),
+    step: 0
+  }));
+  const [isTyping, setIsTyping] = useState(false);
+
+  const { node, nodeId, outcome, state, step } = scene;
+
+  useEffect(() => {
+    if (step <= 1) return undefined;
+    setIsTyping(true);
+    const timer = setTimeout(() => setIsTyping(false), 500);
+    return () => clearTimeout(timer);
+  }, [step]);
+
+  if (!node) {
+    return null;
+  }
+
+  const speaker = CHARACTERS[node.speaker] || character;
+  const choices = getAvailableChoices(node, state);
+  const relationshipChanges = Object.entries(outcome.relationships).filter(([, delta]) => delta !== 0);
+
+  const goTo = (nextId, current) => setScene(enterNode(graph, nextId, current));
+
+  const handleChoice = (choice) => {
+    const withChoice = applyDialogueEffects(
+      { ...outcome, choices: { ...outcome.choices, [nodeId]: choice.id } },
+      { ...state, choices: { ...state.choices, [nodeId]: choice.id } },
+      choice.effects
+    );
+    if (onChoice) onChoice(nodeId, choice);
+    goTo(choice.next, { ...scene, ...withChoice });
+  };
+
+  const handleNext = () => {
+    if (node.end) {
+      if (onComplete) onComplete({ ...outcome, endNodeId: nodeId, score: node.score ?? null });
+      return;
+    }
+    goTo(node.next, scene);
+  };
+
+  return (
+    <div className="dialogue-box dialogue-box--graph">
+      {showAvatar && <DialogueAvatar character={speaker} />}
+
+      <div className="dialogue-content">
+        <div className="dialogue-header">
+          {graph.title && <span className="dialogue-scene-title">{graph.title}</span>}
+          <span className="dialogue-progress">Paso {step}</span>
+        </div>
+
+        <div className={`dialogue-text ${isTyping ? 'typing' : ''}`}>
+          {node.text}
+        </div>
+
+        {relationshipChanges.length > 0 && (
+          <div className="dialogue-relationships">
+            {relationshipChanges.map(([characterId, delta]) => (
+              <span
+                key={characterId}
+                className={`relationship-chip ${delta > 0 ? 'positive' : 'negative'}`}
+              >
+                {CHARACTERS[characterId]?.icon || '👤'} {CHARACTERS[characterId]?.name || characterId}
+                {' '}{delta > 0 ? `+${delta}` : delta}
+              </span>
+            ))}
+          </div>
+        )}
+
+        {choices.length > 0 ? (
+          <div className="dialogue-choices">
+            {choices.map(choice => (
+              <button
+                key={choice.id}
+                className="dialogue-choice"
+                onClick={() => handleChoice(choice)}
+              >
+                {choice.text}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="dialogue-controls dialogue-controls--graph">
+            <button
+              className={`dialogue-btn dialogue-btn-next ${node.end ? 'primary' : ''}`}
+              onClick={handleNext}
+            >
+              {node.end ? 'Continuar ✓' : 'Siguiente →'}
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+/**
+ * Modo lineal: arreglo de textos con un solo personaje
+ */
+const LinearDialogueBox = ({ 
   character, 
   dialogues = [], 
   onComplete, 
@@ -56,15 +188,7 @@ const DialogueBox = ({
 
   return (
     <div className="dialogue-box">
-      {showAvatar && (
-        <div className="dialogue-avatar">
-          <div className={`avatar-circle ${character?.id || 'default'}`}>
-            {character?.icon || character?.name?.[0] || '👤'}
-          </div>
-          <div className="character-name">{character?.name || 'Narrador'}</div>
-          <div className="character-role">{character?.role || ''}</div>
-        </div>
-      )}
+      {showAvatar && <DialogueAvatar character={character} />}
       
       <div className="dialogue-content">
         <div className="dialogue-header">
@@ -108,4 +232,13 @@ const DialogueBox = ({
   );
 };
 
+/**
+ * Componente DialogueBox
+ * Muestra diálogos secuenciales con personajes.
+ * Con `graph` muestra un diálogo ramificado (ver utils/dialogueGraph.js)
+ */
+const DialogueBox = ({ graph, ...props }) => (
+  graph ? <DialogueGraphBox graph={graph} {...props} /> : <LinearDialogueBox {...props} />
+);
+
 export default DialogueBox;
@@ -0,0 +1,91 @@
+import React, { useState } from 'react';
+import DialogueBox from './DialogueBox';
+import { CHARACTERS } from '../../data/cxc/characters';
+import { EPILOGUE_ENDINGS, CAMPAIGN_KPIS } from '../../data/cxc/epilogueContent';
+import { CAMPAIGN_ACTS } from '../../utils/campaignEndings';
+import './EndingGallery.css';
+
+/**
+ * EndingGallery - Galería de finales del Epílogo
+ * Los finales bloqueados muestran una pista; desde aquí se rejuega un acto
+ * para perseguir otro final
+ */
+const EndingGallery = ({ endings = {}, finalPath = null, onReplay }) => {
+  const [sceneEndingId, setSceneEndingId] = useState(null);
+  const unlockedCount = EPILOGUE_ENDINGS.filter(ending => endings[ending.id]).length;
+  const sceneEnding = EPILOGUE_ENDINGS.find(ending => ending.id === sceneEndingId);
+
+  const handleReplay = (act) => {
+    if (window.confirm(`¿Rejugar desde el Acto ${act}? Las misiones de ese acto en adelante volverán a estar disponibles.`)) {
+      onReplay(act);
+    }
+  };
+
+  return (
+    <div className="ending-gallery">
+      <p className="ending-gallery-count">
+        {unlockedCount} de {EPILOGUE_ENDINGS.length} finales descubiertos
+      </p>
+
+      <div className="ending-gallery-grid">
+        {EPILOGUE_ENDINGS.map(ending => {
+          const unlocked = endings[ending.id];
+          return (
+            <div
+              key={ending.id}
+              className={`ending-gallery-card ${unlocked ? 'unlocked' : 'locked'} ${finalPath === ending.id ? 'current' : ''}`}
+            >
+              <span className="ending-gallery-icon">{unlocked ? ending.icon : '🔒'}</span>
+              <h4>{unlocked ? ending.title : '???'}</h4>
+              <p>{unlocked ? ending.summary : ending.hint}</p>
+
+              {unlocked && (
+                <>
+                  <div className="ending-gallery-kpis">
+                    {Object.entries(CAMPAIGN_KPIS).map(([kpiId, config]) => (
+                      unlocked.kpis?.[kpiId] !== undefined && (
+                        <span key={kpiId}>{config.label}: {unlocked.kpis[kpiId]} {config.unit}</span>
+                      )
+                    ))}
+                  </div>
+                  <span className="ending-gallery-date">
+                    {new Date(unlocked.unlockedAt).toLocaleDateString('es-ES')}
+                    {finalPath === ending.id && ' · Final actual'}
+                  </span>
+                  <button
+                    className="ending-gallery-scene"
+                    onClick={() => setSceneEndingId(sceneEndingId === ending.id ? null : ending.id)}
+                  >
+                    {sceneEndingId === ending.id ? 'Ocultar escena' : '🎬 Ver escena'}
+                  </button>
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {sceneEnding && (
+        <DialogueBox
+          key={sceneEnding.id}
+          character={CHARACTERS[sceneEnding.speaker]}
+          dialogues={sceneEnding.scene}
+          onComplete={() => setSceneEndingId(null)}
+        />
+      )}
+
+      {onReplay && (
+        <div className="ending-gallery-replay">
+          <span>🔁 Rejugar para buscar otro final:</span>
+          {CAMPAIGN_ACTS.map(act => (
+            <button key={act} onClick={() => handleReplay(act)}>
+              Desde Acto {act}
+            </button>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default EndingGallery;
@@ -0,0 +1,52 @@
+import React, { useMemo, useState } from 'react';
+import {
+  buildMissionExportSheets,
+  exportMissionXLSX,
+  exportMissionCSV
+} from '../../utils/missionExport';
+import './MissionExportPanel.css';
+
+/**
+ * MissionExportPanel - Descarga dataset, respuestas y puntuación de una misión
+ * para rehacer el análisis en Power BI Desktop
+ */
+const MissionExportPanel = ({ missionId, missionProgress, compact = false }) => {
+  const [open, setOpen] = useState(!compact);
+  const params = useMemo(
+    () => ({ missionId, missionProgress: missionProgress || {} }),
+    [missionId, missionProgress]
+  );
+  const sheetNames = useMemo(
+    () => (open ? buildMissionExportSheets(params).map(sheet => sheet.name) : []),
+    [open, params]
+  );
+
+  if (compact && !open) {
+    return (
+      <button className="mission-export-toggle" onClick={() => setOpen(true)}>
+        📥 Exportar
+      </button>
+    );
+  }
+
+  return (
+    <div className="mission-export-panel">
+      <div className="mission-export-header">
+        <h4>📥 Exportar para Power BI</h4>
+        <button className="mission-export-xlsx" onClick={() => exportMissionXLSX(params)}>
+          Libro XLSX completo
+        </button>
+      </div>
+      <div className="mission-export-csv">
+        <span>CSV por tabla:</span>
+        {sheetNames.map(name => (
+          <button key={name} onClick={() => exportMissionCSV(params, name)}>
+            {name}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default MissionExportPanel;
@@ -1,5 +1,10 @@
 import React, { createContext, useContext, useState, useEffect, useCallback, useMemo, useRef } from 'react';
 import { progressService } from '../services/progressService';
+import { progressMigrator } from '../services/progressMigrator';
+import { addDomainStats, resolveDomain, resolveStatsKey, resolveSubdomain } from '../data/taxonomy';
+import { applyReviewRating, resolveRating, createSchedulerFromProfile } from '../utils/fsrsScheduler';
+import { mergeDialogueOutcome } from '../utils/dialogueGraph';
+import { buildReplayProgress } from '../utils/campaignEndings';
 import { telemetryService } from '../services/telemetryService';
 import { useAutosave } from '../hooks/useAutosave';
 
@@ -418,41 +423,13 @@ const calculatePersonalDifficulty = (tracking) => {
 };
 
 /**
- * Calcula la próxima fecha de revisión usando repetición espaciada
+ * Calcula la próxima fecha de revisión con FSRS.
+ * La tarjeta se guarda en tracking.fsrs para que el repaso diario y el quiz
+ * compartan el mismo estado; sin tarjeta previa se estima desde el tracking
+ * anterior al intento actual.
  */
-const calculateNextReviewDate = (tracking) => {
-  const { status, consecutiveCorrect, lastAttemptDate } = tracking;
-
-  if (status === QUESTION_STATUS.NEW || !lastAttemptDate) {
-    tracking.nextReviewDate = null;
-    return tracking;
-  }
-
-  const lastAttempt = new Date(lastAttemptDate);
-  let daysToAdd = 0;
-
-  switch (status) {
-    case QUESTION_STATUS.LEARNING:
-      daysToAdd = 1;
-      break;
-    case QUESTION_STATUS.REVIEWING:
-      daysToAdd = Math.min(3 * consecutiveCorrect, 14);
-      break;
-    case QUESTION_STATUS.MASTERED:
-      daysToAdd = MASTERY_CONFIG.REVIEW_INTERVAL_DAYS;
-      break;
-    case QUESTION_STATUS.RETIRED:
-      daysToAdd = 30;
-      break;
-    default:
-      daysToAdd = 0;
-  }
-
-  const nextDate = new Date(lastAttempt);
-  nextDate.setDate(nextDate.getDate() + daysToAdd);
-  tracking.nextReviewDate = nextDate.toISOString();
-  
-  return tracking;
+const calculateNextReviewDate = (tracking, rating, previousTracking = tracking, scheduler) => {
+  return { ...tracking, ...applyReviewRating(previousTracking, rating, { scheduler }) };
 };
 
 /**
@@ -594,7 +571,7 @@ const calculateAvgRetention = (questionTracking) => {
     const successRate = q.totalAttempts > 0 
       ? q.correctAttempts / q.totalAttempts 
       : 0;
-    const stability = q.stability || 7;
+    const stability = q.fsrs?.stability || q.stability || 7;
     const daysSince = q.lastAttemptDate 
       ? Math.floor((Date.now() - new Date(q.lastAttemptDate)) / (1000 * 60 * 60 * 24))
       : 999;
@@ -613,7 +590,7 @@ const calculateAvgStability = (questionTracking) => {
   const questions = Object.values(questionTracking);
   if (questions.length === 0) return 0;
   
-  const total = questions.reduce((sum, q) => sum + (q.stability || 0), 0);
+  const total = questions.reduce((sum, q) => sum + (q.fsrs?.stability || q.stability || 0), 0);
   return Math.round(total / questions.length);
 };
 
@@ -770,6 +747,28 @@ const sanitizeMissions = (missions = {}) =>
     return acc;
   }, {});
 
+// Snapshot persistible a partir del estado del contexto (guardado y respaldos)
+const buildSnapshot = (userId, progress) => ({
+  version: progressMigrator.LATEST_VERSION,
+  user: {
+    id: userId,
+    name: progress.userName || 'Usuario',
+    preferences: progress.preferences || { language: 'es', darkMode: true }
+  },
+  progress: {
+    ...progress,
+    missions: sanitizeMissions(progress.missions || {}),
+    // Sanitizar puntos para asegurar que sean enteros
+    points: {
+      total: Math.max(0, Math.floor(progress.points?.total || 0)),
+      available: Math.max(0, Math.floor(progress.points?.available || 0)),
+      spentOnHelps: Math.max(0, Math.floor(progress.points?.spentOnHelps || 0)),
+      currentRank: progress.points?.currentRank || 'Bronce'
+    },
+    updatedAt: new Date().toISOString()
+  }
+});
+
 export const useCxCProgress = () => {
   const context = useContext(CxCProgressContext);
   if (!context) {
@@ -804,6 +803,8 @@ export const CxCProgressProvider = ({ children }) => {
   const retryTimerRef = useRef(null);
   const internalSaveRef = useRef(() => Promise.resolve(null));
   const lastProcessedQuizzesRef = useRef(new Set());
+  // Visitas a ejercicios de práctica ya registradas: id → inicio de la visita
+  const practiceVisitsRef = useRef({});
 
   // ✅ NUEVOS: Sistema de deduplicación y cola de actualizaciones
   // Eliminar o comentar estas variables no utilizadas
@@ -1012,28 +1013,7 @@ export const CxCProgressProvider = ({ children }) => {
     clearRetryTimer();
     setSaving(true);
 
-    // Sanitizar puntos para asegurar que sean enteros
-    const sanitizedPoints = {
-      total: Math.max(0, Math.floor(progress.points?.total || 0)),
-      available: Math.max(0, Math.floor(progress.points?.available || 0)),
-      spentOnHelps: Math.max(0, Math.floor(progress.points?.spentOnHelps || 0)),
-      currentRank: progress.points?.currentRank || 'Bronce'
-    };
-
-    const payload = {
-      version: '1.0.0',
-      user: {
-        id: userId,
-        name: progress.userName || 'Usuario',
-        preferences: progress.preferences || { language: 'es', darkMode: true }
-      },
-      progress: {
-        ...progress,
-        missions: sanitizeMissions(progress.missions || {}),
-        points: sanitizedPoints,
-        updatedAt: new Date().toISOString()
-      }
-    };
+    const payload = buildSnapshot(userId, progress);
 
     try {
       const snapshot = await progressService.saveProgress(payload, { source: reason });
@@ -1142,7 +1122,8 @@ export const CxCProgressProvider = ({ children }) => {
       const normalizedScore = Number.isFinite(score)
         ? Math.max(0, Math.floor(score))
         : previousScore;
-      const wasCompleted = currentMission.status === 'completed';
+      // 🔁 Una misión rejugada solo suma puntos si mejora su mejor puntuación
+      const wasCompleted = currentMission.status === 'completed' || currentMission.replay === true;
       const scoreDiff = normalizedScore - previousScore;
       const pointsEarnedRaw = wasCompleted ? Math.max(0, scoreDiff) : normalizedScore;
       const pointsEarned = Number.isFinite(pointsEarnedRaw) ? pointsEarnedRaw : 0;
@@ -1150,8 +1131,9 @@ export const CxCProgressProvider = ({ children }) => {
         ? grade
         : (VALID_GRADES.has(currentMission.grade) ? currentMission.grade : undefined);
 
+      const { replay, ...missionWithoutReplay } = currentMission;
       const missionPayload = sanitizeMissionEntry({
-        ...currentMission,
+        ...missionWithoutReplay,
         status: 'completed',
         score: normalizedScore,
         grade: normalizedGrade,
@@ -1263,10 +1245,24 @@ export const CxCProgressProvider = ({ children }) => {
     }));
   }, [applyProgressUpdate]);
 
-  const setFinalPath = useCallback((path) => {
+  /**
+   * Registra el final alcanzado y lo desbloquea en la galería de finales
+   * @param {string|null} path - id del final (EPILOGUE_ENDINGS)
+   * @param {Object} [details] - KPIs de campaña con los que se obtuvo
+   */
+  const setFinalPath = useCallback((path, details = {}) => {
     applyProgressUpdate((prev) => ({
       ...prev,
-      finalPath: path
+      finalPath: path,
+      endings: path
+        ? {
+            ...(prev.endings || {}),
+            [path]: {
+              unlockedAt: prev.endings?.[path]?.unlockedAt || new Date().toISOString(),
+              kpis: details.kpis || prev.endings?.[path]?.kpis || {}
+            }
+          }
+        : prev.endings
     }));
 
     telemetryService.emit('ending_chosen', {
@@ -1275,8 +1271,89 @@ export const CxCProgressProvider = ({ children }) => {
     });
   }, [applyProgressUpdate, userId]);
 
+  /**
+   * Rejuega la campaña desde un acto para buscar otros finales
+   */
+  const replayFromAct = useCallback((actNumber) => {
+    applyProgressUpdate((prev) => buildReplayProgress(prev, actNumber));
+
+    telemetryService.emit('campaign_replay', {
+      userId,
+      fromAct: actNumber
+    });
+  }, [applyProgressUpdate, userId]);
+
+  /**
+   * Guarda decisiones, final y medidores de relación de un diálogo ramificado.
+   * Los puntos del resultado se suman (o restan) al total.
+   */
+  const recordDialogueOutcome = useCallback((graphId, outcome) => {
+    const pointsDelta = Math.floor(Number(outcome?.points) || 0);
+
+    applyProgressUpdate((prev) => {
+      const newTotalPoints = Math.max(0, Math.floor((prev.totalPoints || 0) + pointsDelta));
+
+      return {
+        ...prev,
+        story: mergeDialogueOutcome(prev.story, graphId, outcome),
+        totalPoints: newTotalPoints,
+        points: {
+          ...prev.points,
+          total: newTotalPoints,
+          available: Math.max(0, Math.floor((prev.points?.available || 0) + pointsDelta)),
+          spentOnHelps: Math.floor(prev.points?.spentOnHelps || 0),
+          currentRank: prev.points?.currentRank || 'Bronce'
+        }
+      };
+    });
+
+    telemetryService.emit('dialogue_completed', {
+      userId,
+      graphId,
+      endNodeId: outcome?.endNodeId,
+      points: pointsDelta
+    });
+  }, [applyProgressUpdate, userId]);
+
   const saveProgress = useCallback(() => internalSave({ reason: 'manual' }), [internalSave]);
 
+  /**
+   * Guarda parámetros FSRS personales (resultado de optimizeFSRSParameters)
+   */
+  const saveFSRSParameters = useCallback((optimization, { enabled = true } = {}) => {
+    applyProgressUpdate((prev) => ({
+      ...prev,
+      fsrsParameters: {
+        enabled,
+        weights: optimization.weights,
+        reviewCount: optimization.reviewCount,
+        before: optimization.before,
+        after: optimization.after,
+        optimizedAt: new Date().toISOString()
+      }
+    }));
+
+    telemetryService.emit('fsrs_parameters_saved', {
+      userId,
+      reviewCount: optimization.reviewCount,
+      enabled
+    });
+  }, [applyProgressUpdate, userId]);
+
+  /**
+   * Activa o desactiva los parámetros FSRS personales (opt-in)
+   */
+  const setFSRSParametersEnabled = useCallback((enabled) => {
+    applyProgressUpdate((prev) => (prev.fsrsParameters
+      ? { ...prev, fsrsParameters: { ...prev.fsrsParameters, enabled } }
+      : prev));
+  }, [applyProgressUpdate]);
+
+  const fsrsScheduler = useMemo(
+    () => createSchedulerFromProfile(progress?.fsrsParameters),
+    [progress?.fsrsParameters]
+  );
+
   // ============================================================================
   // FUNCIONES INTEGRADAS DE PROGRESSMANAGER
   // ============================================================================
@@ -1376,33 +1453,14 @@ export const CxCProgressProvider = ({ children }) => {
   }, [applyProgressUpdate, userId]);
 
   /**
-   * Actualiza estadísticas por dominio
+   * Actualiza estadísticas por dominio (o por subdominio si se pasa un subdominio)
    */
-  const updateDomainStats = useCallback((domain, stats) => {
-    applyProgressUpdate((prev) => {
-      const domainStats = prev.domainStats || {};
-      const currentDomainStats = domainStats[domain] || {
-        attempted: 0,
-        correct: 0,
-        timeSpent: 0,
-        total: 0,
-        avgTime: 0
-      };
-
-      return {
-        ...prev,
-        domainStats: {
-          ...domainStats,
-          [domain]: {
-            attempted: currentDomainStats.attempted + (stats.attempted || 0),
-            correct: currentDomainStats.correct + (stats.correct || 0),
-            timeSpent: currentDomainStats.timeSpent + (stats.timeSpent || 0),
-            total: currentDomainStats.total + (stats.total || 0),
-            avgTime: stats.avgTime !== undefined ? stats.avgTime : currentDomainStats.avgTime
-          }
-        }
-      };
-    });
+  const updateDomainStats = useCallback((rawDomain, stats) => {
+    const domain = resolveStatsKey(rawDomain) || rawDomain;
+    applyProgressUpdate((prev) => ({
+      ...prev,
+      domainStats: addDomainStats(prev.domainStats, rawDomain, stats)
+    }));
 
     telemetryService.emit('domain_stats_updated', { userId, domain, stats });
   }, [applyProgressUpdate, userId]);
@@ -1556,6 +1614,7 @@ export const CxCProgressProvider = ({ children }) => {
     applyProgressUpdate((prev) => {
       const questionTracking = prev.questionTracking || {};
       let tracking = questionTracking[questionId] || createNewQuestionTracking(questionId);
+      const previousTracking = tracking;
       const now = new Date().toISOString();
 
       console.log('🔍 Estado previo del tracking:', {
@@ -1606,12 +1665,17 @@ export const CxCProgressProvider = ({ children }) => {
       // Actualizar estado y confianza
       tracking = updateQuestionStatusAndConfidence(tracking);
       tracking = calculatePersonalDifficulty(tracking);
-      tracking = calculateNextReviewDate(tracking);
+      tracking = calculateNextReviewDate(
+        tracking,
+        resolveRating(isCorrect, timeSpent, metadata.rating),
+        previousTracking,
+        createSchedulerFromProfile(prev.fsrsParameters)
+      );
 
       // Agregar metadata del dominio y nivel si existen
-      if (metadata.domain) tracking.domain = metadata.domain;
+      if (metadata.domain) tracking.domain = resolveDomain(metadata.domain) || metadata.domain;
       if (metadata.level) tracking.level = metadata.level;
-      if (metadata.subDomain) tracking.subDomain = metadata.subDomain;
+      if (metadata.subDomain) tracking.subDomain = resolveSubdomain(metadata.subDomain) || metadata.subDomain;
 
       // ✅ SOLO devolver las propiedades que se modifican
       // NO hacer spread de prev para evitar sobrescribir otras actualizaciones
@@ -1634,6 +1698,34 @@ export const CxCProgressProvider = ({ children }) => {
     });
   }, [applyProgressUpdate, userId]);
 
+  /**
+   * Registra la comprobación de un ejercicio de práctica (DAX, Power Query, modelo,
+   * RLS, visuales): intento en questionTracking y estadísticas en el bucket de su
+   * subdominio. Solo cuenta la primera comprobación de cada visita (startedAt): volver
+   * a comprobar tras ver la corrección califica en pantalla pero no suma intentos.
+   * Devuelve true si el intento se registró.
+   */
+  const recordPracticeAttempt = useCallback((item, { correct, score, startedAt, ...metadata }) => {
+    if (practiceVisitsRef.current[item.id] === startedAt) return false;
+    practiceVisitsRef.current[item.id] = startedAt;
+
+    const timeSpent = Math.round((Date.now() - startedAt) / 1000);
+    recordQuestionAttempt(item.id, correct, timeSpent, {
+      domain: item.dominio,
+      level: item.nivel,
+      subDomain: item.subdominio,
+      partialCredit: score / 100,
+      ...metadata
+    });
+    updateDomainStats(item.subdominio, {
+      attempted: 1,
+      correct: correct ? 1 : 0,
+      total: 1,
+      timeSpent
+    });
+    return true;
+  }, [recordQuestionAttempt, updateDomainStats]);
+
   /**
    * Obtiene el tracking de una pregunta específica
    */
@@ -1828,7 +1920,7 @@ export const CxCProgressProvider = ({ children }) => {
       // ✅ FIX 1: Actualizar domainStats con campo `incorrect` calculado
       const domainStats = { ...prev.domainStats };
       questionDetails.forEach(detail => {
-        const domain = detail.domain;
+        const domain = resolveDomain(detail.domain) || detail.domain;
         if (!domainStats[domain]) {
           domainStats[domain] = { attempted: 0, correct: 0, incorrect: 0, timeSpent: 0, total: 0, avgTime: 0 };
         }
@@ -2378,6 +2470,95 @@ export const CxCProgressProvider = ({ children }) => {
     telemetryService.emit('progress_reset', { userId });
   }, [userId]);
 
+  /**
+   * Descarga un respaldo del estado actual (cifrado si se indica frase de paso)
+   */
+  const exportBackup = useCallback(async ({ passphrase = '' } = {}) => {
+    if (!progress || !userId) return null;
+    const bundle = await progressService.exportProgress({
+      passphrase,
+      snapshot: buildSnapshot(userId, progress)
+    });
+    telemetryService.emit('progress_exported', { userId, encrypted: Boolean(passphrase) });
+    return bundle;
+  }, [progress, userId]);
+
+  /**
+   * Aplica un respaldo leído con progressService.readBackupFile.
+   * @param {object} prepared Respaldo migrado y validado
+   * @param {{ mode: 'merge' | 'replace', questionChoices: object }} options
+   */
+  const importBackup = useCallback(async (prepared, { mode = 'merge', questionChoices = {} } = {}) => {
+    if (!progress || !userId) return null;
+    clearRetryTimer();
+    const result = await progressService.importProgress(prepared, {
+      current: buildSnapshot(userId, progress),
+      mode,
+      questionChoices
+    });
+
+    setProgress(result.snapshot.progress);
+    setLastSaved(new Date(result.timestamp));
+    setDirty(false);
+    telemetryService.emit('progress_imported', {
+      userId,
+      mode,
+      snapshotId: result.snapshotId,
+      fromVersion: prepared.migration?.fromVersion
+    });
+    return result;
+  }, [progress, userId, clearRetryTimer]);
+
+  // Código de sincronización de este dispositivo (ver deviceSync)
+  const createDeviceSyncCode = useCallback(async () => {
+    if (!progress || !userId) return null;
+    const result = await progressService.createDeviceSyncCode(buildSnapshot(userId, progress));
+    telemetryService.emit('device_sync_code_created', { userId, chunks: result.chunks.length });
+    return result;
+  }, [progress, userId]);
+
+  /**
+   * Combina el código de otro dispositivo con el progreso actual y lo guarda.
+   * @param {string} code Código completo (pegado o reconstruido a partir de los QR)
+   */
+  const applyDeviceSyncCode = useCallback(async (code) => {
+    if (!progress || !userId) return null;
+    clearRetryTimer();
+    const result = await progressService.applyDeviceSyncCode(code, {
+      current: buildSnapshot(userId, progress)
+    });
+
+    setProgress(result.snapshot.progress);
+    setLastSaved(new Date(result.timestamp));
+    setDirty(false);
+    telemetryService.emit('device_sync_applied', {
+      userId,
+      remoteDeviceId: result.remote.deviceId,
+      snapshotId: result.snapshotId
+    });
+    return result;
+  }, [progress, userId, clearRetryTimer]);
+
+  // Sincronización con el servidor configurado (adaptador de progressService)
+  const syncWithServer = useCallback(async () => {
+    if (!progress || !userId) return null;
+    clearRetryTimer();
+    const result = await progressService.syncRemote({
+      current: buildSnapshot(userId, progress)
+    });
+
+    setProgress(result.snapshot.progress);
+    setLastSaved(new Date(result.timestamp));
+    setDirty(false);
+    telemetryService.emit('remote_sync_completed', {
+      userId,
+      version: result.version,
+      pulled: result.pulled,
+      conflicts: result.conflicts
+    });
+    return result;
+  }, [progress, userId, clearRetryTimer]);
+
   // Computed values
   const completedMissions = useMemo(() => {
     if (!progress?.missions) return [];
@@ -2408,6 +2589,8 @@ export const CxCProgressProvider = ({ children }) => {
     checkAchievements,
     setCurrentAct,
     setFinalPath,
+    replayFromAct,
+    recordDialogueOutcome,
     saveProgress,
     
     // Funciones de progressManager (integradas)
@@ -2424,13 +2607,24 @@ export const CxCProgressProvider = ({ children }) => {
     updateProgressAfterQuiz,
     getStats,
     resetProgress,
+    exportBackup,
+    importBackup,
+    createDeviceSyncCode,
+    applyDeviceSyncCode,
+    syncWithServer,
     
     // Funciones de questionTracker (integradas)
     recordQuestionAttempt,
+    recordPracticeAttempt,
     getQuestionTracking,
     getAllQuestionsTracking,
     getQuestionTrackingStats,
     
+    // Parámetros FSRS personales
+    fsrsScheduler,
+    saveFSRSParameters,
+    setFSRSParametersEnabled,
+    
     // Constantes exportadas para compatibilidad
     ACHIEVEMENT_TYPES,
     LEVEL_THRESHOLDS,
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useCallback, useEffect } from 'react';
 import { useCxCProgress } from './CxCProgressContext';
+import { getPackageBadges, checkPackageBadge } from '../utils/missionPackages';
 
 export const GameStateContext = createContext();
 
@@ -71,6 +72,10 @@ const BADGES = {
   }
 };
 
+// 📦 Insignias declaradas en paquetes de misión (las del juego tienen prioridad)
+const PACKAGE_BADGES = getPackageBadges();
+const ALL_BADGES = { ...PACKAGE_BADGES, ...BADGES };
+
 export const GameStateProvider = ({ children }) => {
   const { progress, unlockBadge, unlockAchievement } = useCxCProgress();
   const [helpStock, setHelpStock] = useState(3);
@@ -109,6 +114,20 @@ export const GameStateProvider = ({ children }) => {
       unlockBadge('factura_impecable');
     }
 
+    // Conciliador ninja (match difuso ≥80% en la misión 2.2)
+    const m22 = progress.missions['acto2_m2_fuzzy'];
+    const fuzzyMatch = m22?.results?.find(result => result.type === 'cash_application');
+    if (m22?.status === 'completed' && fuzzyMatch?.matchRate >= 0.80) {
+      unlockBadge('conciliador_ninja');
+    }
+
+    // Maestro de datasets (limpieza de la misión 2.1 con ≥90% reducción de errores)
+    const m21 = progress.missions['acto2_m1_cleaning'];
+    const cleaning = m21?.results?.find(result => result.type === 'data_cleaning');
+    if (m21?.status === 'completed' && cleaning?.errorReduction >= 0.90) {
+      unlockBadge('maestro_datasets');
+    }
+
     // Auto-gestor (Acto 1 sin ayudas)
     const acto1Missions = ['acto1_m1_factura', 'acto1_m2_cash', 'acto1_m3_aging'];
     const acto1Complete = acto1Missions.every(mId => {
@@ -132,6 +151,14 @@ export const GameStateProvider = ({ children }) => {
     if (actosWithCollab.size >= 3) {
       unlockBadge('ayuda_colaborativa');
     }
+
+    // Insignias de paquetes de misión
+    Object.values(PACKAGE_BADGES).forEach(badge => {
+      if (BADGES[badge.id] || progress.badges?.includes(badge.id)) return;
+      if (checkPackageBadge(badge.criteria, progress.missions[badge.missionId])) {
+        unlockBadge(badge.id);
+      }
+    });
   }, [progress, unlockBadge, unlockAchievement]);
 
   // Verificar logros al cambiar progreso
@@ -229,7 +256,7 @@ export const GameStateProvider = ({ children }) => {
     helpCooldown,
     collabCredits,
     currentRank: getCurrentRank(progress?.points?.total || 0),
-    badges: BADGES,
+    badges: ALL_BADGES,
     ranks: RANKS,
     
     // Métodos
@@ -318,6 +318,43 @@ Pero Gustavo te advierte que este cliente es estratégico para el Q4.
   ]
 };
 
+// Actividad opcional: se desbloquea al elegir el plan de pagos en el dilema
+export const ACTO1_M3_PAYMENT_PLAN_FIELDS = [
+  {
+    id: 'first_payment',
+    type: 'number',
+    label: 'Primer pago inmediato ($)',
+    placeholder: '17900',
+    required: true,
+    min: 0,
+    max: 35800,
+    hint: '50% del total adeudado ($35,800)'
+  },
+  {
+    id: 'installments',
+    type: 'select',
+    label: 'Pagos restantes',
+    required: true,
+    hint: 'Número de pagos para liquidar el saldo',
+    options: [
+      { value: '2', label: '2 pagos quincenales' },
+      { value: '3', label: '3 pagos quincenales' },
+      { value: '4', label: '4 pagos mensuales' }
+    ]
+  },
+  {
+    id: 'guarantee',
+    type: 'textarea',
+    label: 'Garantías y seguimiento',
+    placeholder: 'Pagarés, fechas de compromiso, responsable del seguimiento...',
+    required: true,
+    rows: 3,
+    minLength: 20,
+    maxLength: 300,
+    hint: 'Cómo asegurarás el cumplimiento de los pagos restantes'
+  }
+];
+
 export const ACTO1_M3_SUCCESS_CRITERIA = {
   calculation_accuracy: {
     weight: 20,
@@ -0,0 +1,67 @@
+/**
+ * acto2FuzzyMatchingContent.js - Contenido para "Duelos de Conciliación"
+ * Misión: Aplicar remesas difusas (pagos parciales, short-pays, varias
+ * facturas por pago y efectivo sin identificar)
+ */
+
+export const ACTO2_FUZZY_INSTRUCTIONS = `
+El banco envió las remesas del día y ninguna viene limpia: referencias con errores
+de captura, nombres de cliente abreviados y pagos que no cuadran con una sola factura.
+
+**Tu misión:**
+- Aplicar cada pago a una o varias facturas, con el monto exacto de cada aplicación
+- Registrar los abonos parciales y los short-pays por el importe realmente recibido
+- Dejar sin aplicar (a cuenta) el efectivo que no corresponde a ninguna factura
+
+**Pistas para el matching difuso:**
+1. Una referencia "INV 00003" o "FAC-100003" probablemente es INV-100003
+2. "FRESHFRUITS INC" y "FreshFruits Inc." son el mismo cliente
+3. Si el monto es la suma de dos facturas del cliente, el pago cubre ambas
+4. El memo de la remesa explica deducciones y abonos
+`;
+
+export const ACTO2_FUZZY_RULES_FIELDS = [
+  {
+    id: 'matching_rules',
+    label: 'Reglas de matching aplicadas',
+    type: 'textarea',
+    required: true,
+    placeholder: 'Ej: 1) referencia normalizada, 2) cliente + monto exacto, 3) suma de facturas...',
+    hint: 'Documenta el orden de reglas para que otro analista pueda repetir la conciliación'
+  },
+  {
+    id: 'short_pay_treatment',
+    label: '¿Qué haces con la diferencia de un short-pay?',
+    type: 'select',
+    required: true,
+    options: [
+      { value: 'dispute', label: 'Dejarla abierta en la factura y abrir una disputa' },
+      { value: 'write_off', label: 'Cancelarla contra gastos de inmediato' },
+      { value: 'unapplied', label: 'Registrarla como efectivo sin aplicar' }
+    ]
+  },
+  {
+    id: 'unapplied_treatment',
+    label: '¿Qué haces con el efectivo sin identificar?',
+    type: 'select',
+    required: true,
+    options: [
+      { value: 'on_account', label: 'Registrarlo a cuenta y pedir la remesa al banco/cliente' },
+      { value: 'oldest_invoice', label: 'Aplicarlo a la factura más antigua' },
+      { value: 'return', label: 'Devolverlo sin investigar' }
+    ]
+  }
+];
+
+export const ACTO2_FUZZY_PROBLEM_SOLVING = {
+  id: 'fuzzy_threshold_decision',
+  question: 'Gustavo propone auto-aplicar todo match con similitud de nombre ≥60% para cerrar hoy. ¿Qué respondes?',
+  answers: [
+    { id: 'a', text: 'Aceptar: más velocidad compensa algunos errores' },
+    { id: 'b', text: 'Auto-aplicar solo con referencia normalizada + monto exacto; el resto a revisión manual' },
+    { id: 'c', text: 'Rechazar cualquier automatización y aplicar todo a mano' },
+    { id: 'd', text: 'Aplicar todo el efectivo a la factura más antigua de cada cliente' }
+  ],
+  correctAnswer: 'b',
+  explanation: 'Un umbral bajo genera aplicaciones erróneas que luego cuestan disputas y reversos. Combinar reglas fuertes (referencia + monto) con revisión manual de los casos difusos mantiene la velocidad sin perder control.'
+};
@@ -59,6 +59,16 @@ Tu tarea es realizar una auditoría completa de calidad de datos.
   }
 };
 
+export const ACTO2_M1_GRID_INSTRUCTIONS = `
+Ahora limpia la tabla de verdad. Cada cambio queda registrado como un paso
+aplicado, igual que en Power Query, y puedes deshacerlo.
+
+- Quita las filas duplicadas sin borrar facturas válidas
+- Convierte las fechas a YYYY-MM-DD y los montos a número
+- Recorta espacios y estandariza los nombres de cliente
+- Rellena los términos de pago que faltan (todas las facturas son Net 30)
+`;
+
 export const ACTO2_M1_VALIDATION_CHECKS = [
   {
     id: 'check_duplicates',
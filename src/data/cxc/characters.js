@@ -197,10 +197,146 @@ export const EMAILS = {
   }
 };
 
+/**
+ * Diálogos ramificados (ver src/utils/dialogueGraph.js para el formato)
+ * Las decisiones cambian puntos, medidores de relación y actividades opcionales
+ */
+export const DIALOGUE_GRAPHS = {
+  acto1_collection_dilemma: {
+    id: 'acto1_collection_dilemma',
+    act: 1,
+    title: 'Dilema: Cliente vs Cash Flow',
+    start: 'cfo_pressure',
+    nodes: {
+      cfo_pressure: {
+        speaker: 'cfo',
+        text: 'Necesito el efectivo de TechSupply esta semana. La nómina no espera: $35,800 vencidos son demasiados.',
+        next: 'gustavo_warning'
+      },
+      gustavo_warning: {
+        speaker: 'gustavo',
+        text: 'Cuidado. TechSupply es el 8% de las ventas anuales y el Q4 depende de ellos. Si los presionamos de más, se van.',
+        next: 'tess_check'
+      },
+      tess_check: {
+        branches: [
+          { condition: { maxScore: 59 }, next: 'tess_hint' },
+          { condition: { minScore: 80, maxHelps: 0 }, next: 'tess_confident' }
+        ],
+        next: 'decision'
+      },
+      tess_hint: {
+        speaker: 'tess',
+        text: 'Antes de decidir, repasa el aging: INV-2024-001 lleva 65 días vencida y el cliente siempre pagaba a tiempo. Algo cambió en su flujo.',
+        next: 'decision'
+      },
+      tess_confident: {
+        speaker: 'tess',
+        text: 'Tu análisis está sólido y no necesitaste ayudas. Confío en tu criterio.',
+        effects: { relationships: { tess: 1 } },
+        next: 'decision'
+      },
+      decision: {
+        speaker: 'alex',
+        text: 'Ambos me miran esperando una propuesta. ¿Qué hago?',
+        choices: [
+          {
+            id: 'demand_full',
+            text: 'Exigir el pago inmediato del total aunque arriesgue la relación',
+            effects: { relationships: { cfo: 1, gustavo: -2 } },
+            next: 'end_demand'
+          },
+          {
+            id: 'payment_plan',
+            text: 'Ofrecer un plan de pagos: 50% inmediato y el resto en 2 pagos',
+            effects: { points: 50, relationships: { cfo: 1, gustavo: 1 }, unlockActivities: ['payment_plan_proposal'] },
+            next: 'plan_negotiation'
+          },
+          {
+            id: 'early_payment_discount',
+            text: 'Ofrecer 2% de descuento si liquidan el total en 5 días',
+            condition: { minScore: 85, maxHelps: 0 },
+            effects: { points: 80, relationships: { cfo: 1, gustavo: 1, tess: 1 } },
+            next: 'end_discount'
+          },
+          {
+            id: 'extend_term',
+            text: 'Extender el plazo 30 días más sin condiciones',
+            effects: { relationships: { cfo: -2, gustavo: 1 } },
+            next: 'end_extend'
+          },
+          {
+            id: 'escalate',
+            text: 'Transferir la decisión a Gustavo para evitar responsabilidad',
+            effects: { relationships: { gustavo: -1, tess: -1 } },
+            next: 'end_escalate'
+          }
+        ]
+      },
+      plan_negotiation: {
+        speaker: 'gustavo',
+        text: 'Me gusta el balance. Pero TechSupply ya incumplió un acuerdo en 2023. ¿Cómo aseguramos los pagos restantes?',
+        choices: [
+          {
+            id: 'signed_promissory_notes',
+            text: 'Pedir pagarés firmados por los dos pagos restantes',
+            effects: { points: 30, relationships: { gustavo: 1 } },
+            next: 'end_plan'
+          },
+          {
+            id: 'trust_relationship',
+            text: 'Confiar en la relación: dos años pagando puntual',
+            condition: { relationship: { gustavo: { min: 1 } } },
+            effects: { relationships: { cfo: -1 } },
+            next: 'end_plan_risky'
+          }
+        ]
+      },
+      end_demand: {
+        speaker: 'gustavo',
+        text: 'TechSupply pagó... y canceló su contrato del Q4. Recuperamos $35,800 y perdimos un cliente de 8% de ventas.',
+        end: true,
+        score: 40
+      },
+      end_discount: {
+        speaker: 'cfo',
+        text: 'Liquidaron en 4 días. El descuento costó $716 y cubrimos la nómina sin tensar la relación. Excelente lectura del cliente.',
+        end: true,
+        score: 100
+      },
+      end_extend: {
+        speaker: 'cfo',
+        text: '¿Y la nómina? Sin condiciones, el próximo mes tendremos la misma conversación con un saldo mayor.',
+        end: true,
+        score: 40
+      },
+      end_escalate: {
+        speaker: 'tess',
+        text: 'Gustavo resolvió, pero notó que evitaste la decisión. En CxC el criterio propio es parte del trabajo.',
+        end: true,
+        score: 20
+      },
+      end_plan: {
+        speaker: 'cfo',
+        text: 'Recibimos $17,900 hoy y el resto está respaldado. Nómina cubierta y cliente retenido. Buen trabajo.',
+        end: true,
+        score: 100
+      },
+      end_plan_risky: {
+        speaker: 'tess',
+        text: 'El primer pago llegó, pero sin garantías el resto queda expuesto. Documenta el acuerdo por escrito la próxima vez.',
+        end: true,
+        score: 75
+      }
+    }
+  }
+};
+
 const charactersData = {
   CHARACTERS,
   VENDORS,
   DIALOGUES,
+  DIALOGUE_GRAPHS,
   EMAILS
 };
 
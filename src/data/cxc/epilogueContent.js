@@ -4,6 +4,8 @@
  * Basado en FASE_3, FASE_4 y entregables de FASE_5
  */
 
+import { DIALOGUES } from './characters';
+
 export const EPILOGUE_INSTRUCTIONS = `
 Has llegado al momento decisivo. Después de meses de implementación, el comité
 executivo exige un cierre impecable: resultados, decisiones estratégicas y un plan
@@ -459,3 +461,119 @@ export const EPILOGUE_ACTION_MATRIX = [
     timeline: 'Cohorte 1 (90 días), Cohorte 2 (180 días)'
   }
 ];
+
+/**
+ * KPIs de campaña: se proyectan entre baseline y meta según el desempeño
+ * acumulado en los Actos 1-3 (mismos valores que EPILOGUE_SCORECARD)
+ */
+export const CAMPAIGN_KPIS = {
+  dso: {
+    label: 'DSO',
+    unit: 'días',
+    baseline: 45,
+    target: 35,
+    lowerIsBetter: true,
+    acts: [1, 3],
+    checkId: 'check_dso_improvement'
+  },
+  badDebt: {
+    label: 'Bad debt',
+    unit: '%',
+    baseline: 2.5,
+    target: 1.8,
+    lowerIsBetter: true,
+    acts: [1, 2],
+    checkId: 'check_bad_debt'
+  },
+  customerSat: {
+    label: 'Customer SAT',
+    unit: 'pts',
+    baseline: 78,
+    target: 85,
+    lowerIsBetter: false,
+    acts: [2, 3],
+    checkId: 'check_customer_sat'
+  }
+};
+
+/**
+ * Impacto de las decisiones de diálogo en el desempeño de cada KPI (-1 a 1)
+ * Clave: 'grafo.nodo' → decisión → ajuste por KPI
+ */
+export const CAMPAIGN_DECISION_IMPACTS = {
+  'acto1_collection_dilemma.decision': {
+    demand_full: { badDebt: 0.1, customerSat: -0.25 },
+    payment_plan: { badDebt: 0.1, customerSat: 0.1 },
+    early_payment_discount: { dso: 0.1, badDebt: 0.15, customerSat: 0.1 },
+    extend_term: { dso: -0.15, badDebt: -0.2, customerSat: 0.05 },
+    escalate: { badDebt: -0.05, customerSat: -0.05 }
+  },
+  'acto1_collection_dilemma.plan_negotiation': {
+    signed_promissory_notes: { badDebt: 0.1 },
+    trust_relationship: { badDebt: -0.1, customerSat: 0.05 }
+  },
+  // Respuesta del Epílogo a la pregunta final de la junta
+  'epilogo.board_final_question': {
+    option_a: { badDebt: 0.05, customerSat: -0.05 },
+    option_b: { dso: 0.05, badDebt: -0.05 },
+    option_c: { dso: 0.05, badDebt: 0.1, customerSat: 0.05 },
+    option_d: { customerSat: 0.1, badDebt: -0.1 }
+  }
+};
+
+/**
+ * Finales del Epílogo, evaluados en orden (el primero que se cumple gana).
+ * requirements: maxDSO, maxBadDebt, minCustomerSat, minAverageScore,
+ * minTechnicalScore (Actos 2-3), minRelationship (Tess + Gustavo)
+ */
+export const EPILOGUE_ENDINGS = [
+  {
+    id: 'DirectorCxC',
+    title: 'Director/a de Cuentas por Cobrar',
+    icon: '🏆',
+    speaker: 'cfo',
+    summary: 'Superaste las metas de liquidez, riesgo y experiencia cliente. La junta te entrega la dirección del área.',
+    hint: 'DSO ≤ 37, bad debt ≤ 2.0% y SAT ≥ 83 con un promedio de campaña ≥ 85.',
+    requirements: { maxDSO: 37, maxBadDebt: 2.0, minCustomerSat: 83, minAverageScore: 85 },
+    scene: [
+      'La junta revisó tu scorecard tres veces. No encontró un solo número que discutir.',
+      'DSO, bad debt y satisfacción del cliente mejoraron a la vez. Eso casi nunca pasa.',
+      'Queremos que dirijas Cuentas por Cobrar en las seis regiones, con presupuesto propio para FY26.',
+      'Bienvenido/a al comité ejecutivo.'
+    ]
+  },
+  {
+    id: 'Supervisor',
+    title: 'Supervisor/a de CxC',
+    icon: '🧭',
+    speaker: 'gustavo',
+    summary: 'Tus decisiones cuidaron a clientes y equipo. Gustavo te propone liderar la estrategia de cobranza.',
+    hint: 'SAT ≥ 80 y una relación de confianza con Tess y Gustavo (≥ 2).',
+    requirements: { minCustomerSat: 80, minRelationship: 2 },
+    scene: DIALOGUES.finale_supervisor
+  },
+  {
+    id: 'AnalistaSenior',
+    title: 'Analista Senior de BI',
+    icon: '📈',
+    speaker: 'priya',
+    summary: 'Tu dominio de datos en los Actos 2 y 3 redujo el DSO. Priya te quiere en automatización y BI.',
+    hint: 'DSO ≤ 40 y promedio ≥ 75 en las misiones de datos de los Actos 2 y 3.',
+    requirements: { maxDSO: 40, minTechnicalScore: 75 },
+    scene: DIALOGUES.finale_analyst
+  },
+  {
+    id: 'NuevoComienzo',
+    title: 'Nuevo Comienzo',
+    icon: '🌱',
+    speaker: 'tess',
+    summary: 'Los indicadores no alcanzaron la meta, pero aprendiste dónde fallaste. Tess te invita a intentarlo de nuevo.',
+    hint: 'Final por defecto cuando los KPIs de campaña no alcanzan ninguna meta.',
+    requirements: {},
+    scene: [
+      'La junta aprobó el plan, pero no la estructura que propusiste. Los números no acompañaron.',
+      'No lo tomes como un fracaso: ahora sabes qué decisiones movieron el DSO y cuáles lo frenaron.',
+      'Puedes rejugar desde cualquier acto y probar otro camino. Yo sigo aquí para ayudarte.'
+    ]
+  }
+];
@@ -0,0 +1,208 @@
+// Modelo estrella del sandbox DAX y retos calificados de "Crear cálculos DAX"
+// Ventas (hechos) se relaciona con Producto, Tienda y Calendario (1:* de dimensión
+// a hechos, filtro en una sola dirección). Los retos se califican comparando la
+// matriz de la medida del alumno con la de la solución de referencia.
+
+// 📅 Tabla de calendario continua (como CALENDAR(...) marcada como tabla de fechas)
+const buildCalendar = (start, end) => {
+  const rows = [];
+  for (let time = Date.parse(`${start}T00:00:00Z`); time <= Date.parse(`${end}T00:00:00Z`); time += 86400000) {
+    const date = new Date(time);
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth() + 1;
+    rows.push([
+      date.toISOString().slice(0, 10),
+      year,
+      month,
+      `${year}-${String(month).padStart(2, '0')}`,
+      `T${Math.ceil(month / 3)}`
+    ]);
+  }
+  return rows;
+};
+
+export const DAX_SANDBOX_MODEL = {
+  tables: {
+    Ventas: {
+      columns: ['VentaID', 'Fecha', 'ProductoID', 'TiendaID', 'Cantidad', 'PrecioUnitario'],
+      rows: [
+        [1001, '2024-01-02', 'P01', 'T2', 1, 20],
+        [1002, '2024-01-22', 'P01', 'T3', 7, 20],
+        [1003, '2024-01-26', 'P04', 'T2', 3, 800],
+        [1004, '2024-02-04', 'P03', 'T3', 3, 180],
+        [1005, '2024-02-17', 'P04', 'T1', 3, 800],
+        [1006, '2024-02-17', 'P05', 'T3', 2, 30],
+        [1007, '2024-03-07', 'P02', 'T2', 4, 35],
+        [1008, '2024-03-12', 'P02', 'T1', 8, 35],
+        [1009, '2024-03-13', 'P01', 'T3', 8, 20],
+        [1010, '2024-04-10', 'P01', 'T2', 8, 20],
+        [1011, '2024-04-17', 'P05', 'T1', 8, 30],
+        [1012, '2024-05-05', 'P05', 'T2', 6, 30],
+        [1013, '2024-05-19', 'P04', 'T3', 1, 800],
+        [1014, '2024-06-09', 'P01', 'T1', 2, 20],
+        [1015, '2024-06-20', 'P01', 'T2', 7, 20],
+        [1016, '2024-07-04', 'P04', 'T1', 3, 800],
+        [1017, '2024-07-09', 'P03', 'T1', 8, 180],
+        [1018, '2024-08-11', 'P03', 'T2', 7, 180],
+        [1019, '2024-08-14', 'P03', 'T3', 3, 180],
+        [1020, '2024-09-09', 'P04', 'T2', 2, 800],
+        [1021, '2024-09-27', 'P03', 'T3', 1, 180],
+        [1022, '2024-10-04', 'P01', 'T1', 5, 20],
+        [1023, '2024-10-25', 'P04', 'T1', 2, 800],
+        [1024, '2024-11-10', 'P01', 'T2', 8, 20],
+        [1025, '2024-11-11', 'P01', 'T1', 7, 20],
+        [1026, '2024-12-01', 'P03', 'T1', 2, 180],
+        [1027, '2024-12-19', 'P02', 'T1', 7, 35],
+        [1028, '2025-01-03', 'P03', 'T2', 2, 180],
+        [1029, '2025-01-07', 'P02', 'T3', 8, 35],
+        [1030, '2025-01-07', 'P01', 'T2', 3, 20],
+        [1031, '2025-01-20', 'P01', 'T2', 5, 20],
+        [1032, '2025-02-04', 'P01', 'T3', 6, 20],
+        [1033, '2025-02-13', 'P03', 'T1', 5, 180],
+        [1034, '2025-02-15', 'P05', 'T2', 1, 30],
+        [1035, '2025-02-18', 'P01', 'T2', 4, 20],
+        [1036, '2025-03-03', 'P01', 'T1', 5, 20],
+        [1037, '2025-03-24', 'P05', 'T2', 3, 30],
+        [1038, '2025-03-26', 'P03', 'T3', 5, 180],
+        [1039, '2025-03-28', 'P05', 'T3', 5, 30]
+      ]
+    },
+    Producto: {
+      columns: ['ProductoID', 'Producto', 'Categoría', 'Costo'],
+      rows: [
+        ['P01', 'Mouse', 'Accesorios', 8],
+        ['P02', 'Teclado', 'Accesorios', 15],
+        ['P03', 'Monitor', 'Pantallas', 90],
+        ['P04', 'Portátil', 'Equipos', 450],
+        ['P05', 'Auriculares', 'Accesorios', 12]
+      ]
+    },
+    Tienda: {
+      columns: ['TiendaID', 'Tienda', 'Región'],
+      rows: [
+        ['T1', 'CDMX Centro', 'Centro'],
+        ['T2', 'Monterrey', 'Norte'],
+        ['T3', 'Guadalajara', 'Occidente']
+      ]
+    },
+    Calendario: {
+      columns: ['Fecha', 'Año', 'Mes', 'AñoMes', 'Trimestre'],
+      rows: buildCalendar('2024-01-01', '2025-03-31')
+    }
+  },
+  relationships: [
+    { from: { table: 'Ventas', column: 'ProductoID' }, to: { table: 'Producto', column: 'ProductoID' } },
+    { from: { table: 'Ventas', column: 'TiendaID' }, to: { table: 'Tienda', column: 'TiendaID' } },
+    { from: { table: 'Ventas', column: 'Fecha' }, to: { table: 'Calendario', column: 'Fecha' } }
+  ],
+  dateTable: { table: 'Calendario', column: 'Fecha' },
+  // Medidas ya definidas en el modelo (se pueden referenciar como [Ventas Totales])
+  measures: {
+    'Ventas Totales': 'SUMX(Ventas, Ventas[Cantidad] * Ventas[PrecioUnitario])'
+  }
+};
+
+// Columnas disponibles para las filas y columnas de la matriz
+export const DAX_DIMENSIONS = [
+  'Producto[Categoría]',
+  'Producto[Producto]',
+  'Tienda[Región]',
+  'Tienda[Tienda]',
+  'Calendario[Año]',
+  'Calendario[Trimestre]',
+  'Calendario[AñoMes]'
+];
+
+export const DAX_CHALLENGES = [
+  {
+    id: 'model_dax_001',
+    titulo: 'Unidades vendidas',
+    enunciado: 'Crea una medida que sume las unidades vendidas (Ventas[Cantidad]) por categoría de producto.',
+    nivel: 'principiante',
+    dimension: 'Producto[Categoría]',
+    solucion: 'Unidades = SUM(Ventas[Cantidad])',
+    pistas: ['SUM recibe una sola columna y respeta el filtro de cada celda de la matriz.']
+  },
+  {
+    id: 'model_dax_002',
+    titulo: 'Costo de lo vendido',
+    enunciado: 'El costo unitario está en Producto[Costo]. Calcula el costo total de lo vendido (cantidad × costo) por categoría.',
+    nivel: 'principiante',
+    dimension: 'Producto[Categoría]',
+    solucion: 'Costo = SUMX(Ventas, Ventas[Cantidad] * RELATED(Producto[Costo]))',
+    funcionesRequeridas: ['SUMX', 'RELATED'],
+    pistas: [
+      'Necesitas un iterador: la multiplicación es fila por fila.',
+      'Desde una fila de Ventas, RELATED trae el valor de la tabla del lado "uno".'
+    ]
+  },
+  {
+    id: 'model_dax_003',
+    titulo: 'Ventas de accesorios',
+    enunciado: 'Muestra por región las ventas de la categoría "Accesorios", aunque la matriz no filtre por categoría.',
+    nivel: 'intermedio',
+    dimension: 'Tienda[Región]',
+    solucion: 'Ventas Accesorios = CALCULATE([Ventas Totales], Producto[Categoría] = "Accesorios")',
+    funcionesRequeridas: ['CALCULATE'],
+    pistas: ['CALCULATE acepta condiciones booleanas sobre una columna como filtro.']
+  },
+  {
+    id: 'model_dax_004',
+    titulo: 'Participación sobre el total',
+    enunciado: 'Calcula qué porcentaje de las ventas totales aporta cada categoría (el total de la matriz debe dar 100%).',
+    nivel: 'intermedio',
+    dimension: 'Producto[Categoría]',
+    formato: 'porcentaje',
+    solucion: '% Ventas = DIVIDE([Ventas Totales], CALCULATE([Ventas Totales], ALL(Producto)))',
+    funcionesRequeridas: ['DIVIDE'],
+    pistas: [
+      'El denominador debe ignorar el filtro de la categoría: ALL quita filtros.',
+      'DIVIDE evita errores cuando el denominador es 0 o BLANK.'
+    ]
+  },
+  {
+    id: 'model_dax_005',
+    titulo: 'Pedidos grandes',
+    enunciado: 'Por región, suma solo las ventas de las líneas con 5 o más unidades.',
+    nivel: 'intermedio',
+    dimension: 'Tienda[Región]',
+    solucion: 'Ventas Pedidos Grandes = CALCULATE([Ventas Totales], FILTER(Ventas, Ventas[Cantidad] >= 5))',
+    funcionesRequeridas: ['CALCULATE', 'FILTER'],
+    pistas: ['FILTER recorre Ventas en el contexto actual y devuelve solo las filas que cumplen la condición.']
+  },
+  {
+    id: 'model_dax_006',
+    titulo: 'Mejor tienda de cada categoría',
+    enunciado: 'Para cada categoría, muestra las ventas de la tienda que más vendió esa categoría.',
+    nivel: 'avanzado',
+    dimension: 'Producto[Categoría]',
+    solucion: 'Mejor Tienda = MAXX(VALUES(Tienda[Tienda]), [Ventas Totales])',
+    funcionesRequeridas: ['MAXX'],
+    pistas: [
+      'Itera las tiendas con VALUES y evalúa las ventas de cada una.',
+      'Referenciar una medida dentro de un iterador produce transición de contexto; una expresión sin CALCULATE no filtra por la tienda de la fila.'
+    ]
+  },
+  {
+    id: 'model_dax_007',
+    titulo: 'Ventas acumuladas del año',
+    enunciado: 'Muestra por mes (Calendario[AñoMes]) las ventas acumuladas desde el 1 de enero de cada año.',
+    nivel: 'avanzado',
+    dimension: 'Calendario[AñoMes]',
+    solucion: 'Ventas YTD = TOTALYTD([Ventas Totales], Calendario[Fecha])',
+    pistas: [
+      'Las funciones de inteligencia de tiempo reciben la columna de fecha del calendario.',
+      'TOTALYTD equivale a CALCULATE con DATESYTD.'
+    ]
+  },
+  {
+    id: 'model_dax_008',
+    titulo: 'Ventas del mismo periodo del año anterior',
+    enunciado: 'Por mes, muestra las ventas del mismo mes del año anterior para poder comparar 2025 contra 2024.',
+    nivel: 'avanzado',
+    dimension: 'Calendario[AñoMes]',
+    solucion: 'Ventas AA = CALCULATE([Ventas Totales], SAMEPERIODLASTYEAR(Calendario[Fecha]))',
+    funcionesRequeridas: ['CALCULATE'],
+    pistas: ['SAMEPERIODLASTYEAR desplaza un año las fechas visibles del filtro actual.']
+  }
+].map(challenge => ({ dominio: 'modelar-datos', subdominio: 'crear-calculos-dax', ...challenge }));
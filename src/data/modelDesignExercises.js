@@ -0,0 +1,385 @@
+// Ejercicios del constructor de relaciones (dominio "Modelar los Datos")
+// Cada ejercicio trae las tablas con datos de ejemplo (de ellos se deduce qué lado
+// repite valores), su posición en el diagrama y las relaciones esperadas con la
+// misma forma que las que crea el alumno: { from, to, cardinality, crossFilter, active }.
+
+export const MODEL_DESIGN_EXERCISES = [
+  {
+    id: 'model_rel_001',
+    titulo: 'Estrella básica de ventas',
+    enunciado: 'Conecta la tabla de hechos Ventas con sus dos dimensiones para poder analizar el importe por producto y por cliente.',
+    nivel: 'principiante',
+    tablas: {
+      Producto: {
+        tipo: 'dimension',
+        posicion: { x: 0, y: 0 },
+        columns: ['ProductoID', 'Producto', 'Categoría'],
+        rows: [
+          ['P1', 'Teclado', 'Accesorios'],
+          ['P2', 'Mouse', 'Accesorios'],
+          ['P3', 'Monitor', 'Pantallas']
+        ]
+      },
+      Ventas: {
+        tipo: 'hechos',
+        posicion: { x: 1, y: 0 },
+        columns: ['VentaID', 'ProductoID', 'ClienteID', 'Importe'],
+        rows: [
+          [1, 'P1', 'C1', 120],
+          [2, 'P2', 'C1', 80],
+          [3, 'P1', 'C2', 120],
+          [4, 'P3', 'C3', 2400],
+          [5, 'P2', 'C9', 80]
+        ]
+      },
+      Cliente: {
+        tipo: 'dimension',
+        posicion: { x: 2, y: 0 },
+        columns: ['ClienteID', 'Cliente', 'Ciudad'],
+        rows: [
+          ['C1', 'Ferretería Norte', 'Monterrey'],
+          ['C2', 'Papelería Sol', 'Puebla'],
+          ['C3', 'Oficinas Centro', 'CDMX']
+        ]
+      }
+    },
+    esperadas: [
+      {
+        from: 'Producto[ProductoID]',
+        to: 'Ventas[ProductoID]',
+        cardinality: '1:*',
+        crossFilter: 'single',
+        active: true,
+        motivo: 'Cada producto aparece una vez en su dimensión y muchas veces en Ventas.'
+      },
+      {
+        from: 'Cliente[ClienteID]',
+        to: 'Ventas[ClienteID]',
+        cardinality: '1:*',
+        crossFilter: 'single',
+        active: true,
+        motivo: 'La dimensión filtra a los hechos: dirección única del cliente a las ventas.'
+      }
+    ],
+    pistas: [
+      'En un esquema estrella las dimensiones (lado 1) filtran a la tabla de hechos (lado varios).',
+      'Revisa los datos: una clave que se repite no puede estar en el lado 1.'
+    ]
+  },
+  {
+    id: 'model_rel_002',
+    titulo: 'Calendario con dos fechas',
+    enunciado: 'Ventas tiene fecha de pedido y fecha de envío. Relaciona ambas con Calendario: los informes usan la fecha de pedido y algunas medidas la de envío.',
+    nivel: 'intermedio',
+    tablas: {
+      Calendario: {
+        tipo: 'dimension',
+        posicion: { x: 0, y: 0 },
+        columns: ['Fecha', 'Año', 'Mes'],
+        rows: [
+          ['2024-03-01', 2024, 'Marzo'],
+          ['2024-03-02', 2024, 'Marzo'],
+          ['2024-03-03', 2024, 'Marzo'],
+          ['2024-03-04', 2024, 'Marzo'],
+          ['2024-03-05', 2024, 'Marzo'],
+          ['2024-03-06', 2024, 'Marzo']
+        ]
+      },
+      Ventas: {
+        tipo: 'hechos',
+        posicion: { x: 1, y: 0 },
+        columns: ['PedidoID', 'FechaPedido', 'FechaEnvio', 'Importe'],
+        rows: [
+          [1, '2024-03-01', '2024-03-03', 250],
+          [2, '2024-03-01', '2024-03-04', 90],
+          [3, '2024-03-02', '2024-03-04', 130],
+          [4, '2024-03-04', '2024-03-06', 60]
+        ]
+      }
+    },
+    esperadas: [
+      {
+        from: 'Calendario[Fecha]',
+        to: 'Ventas[FechaPedido]',
+        cardinality: '1:*',
+        crossFilter: 'single',
+        active: true,
+        motivo: 'La fecha de pedido es la que usan los informes por defecto.'
+      },
+      {
+        from: 'Calendario[Fecha]',
+        to: 'Ventas[FechaEnvio]',
+        cardinality: '1:*',
+        crossFilter: 'single',
+        active: false,
+        motivo: 'Las medidas por fecha de envío la activan con CALCULATE(..., USERELATIONSHIP(Ventas[FechaEnvio], Calendario[Fecha])).'
+      }
+    ],
+    pistas: [
+      'Entre dos tablas solo puede haber una relación activa.',
+      'Una relación inactiva sigue en el modelo y se usa desde DAX con USERELATIONSHIP.'
+    ]
+  },
+  {
+    id: 'model_rel_003',
+    titulo: 'Ficha técnica uno a uno',
+    enunciado: 'ProductoFicha guarda datos técnicos con una fila por producto. Conéctala a Producto y relaciona Producto con Ventas.',
+    nivel: 'intermedio',
+    tablas: {
+      ProductoFicha: {
+        tipo: 'dimension',
+        posicion: { x: 0, y: 0 },
+        columns: ['ProductoID', 'PesoKg', 'GarantíaMeses'],
+        rows: [
+          ['P1', 0.8, 12],
+          ['P2', 0.1, 6],
+          ['P3', 4.5, 24]
+        ]
+      },
+      Producto: {
+        tipo: 'dimension',
+        posicion: { x: 1, y: 0 },
+        columns: ['ProductoID', 'Producto', 'Categoría'],
+        rows: [
+          ['P1', 'Teclado', 'Accesorios'],
+          ['P2', 'Mouse', 'Accesorios'],
+          ['P3', 'Monitor', 'Pantallas']
+        ]
+      },
+      Ventas: {
+        tipo: 'hechos',
+        posicion: { x: 2, y: 0 },
+        columns: ['VentaID', 'ProductoID', 'Cantidad'],
+        rows: [
+          [1, 'P1', 2],
+          [2, 'P3', 1],
+          [3, 'P1', 5],
+          [4, 'P2', 3]
+        ]
+      }
+    },
+    esperadas: [
+      {
+        from: 'Producto[ProductoID]',
+        to: 'ProductoFicha[ProductoID]',
+        cardinality: '1:1',
+        crossFilter: 'both',
+        active: true,
+        motivo: 'Ambas tablas tienen una fila por producto; una 1:1 filtra siempre en las dos direcciones (también podrías combinarlas en Power Query).'
+      },
+      {
+        from: 'Producto[ProductoID]',
+        to: 'Ventas[ProductoID]',
+        cardinality: '1:*',
+        crossFilter: 'single',
+        active: true,
+        motivo: 'Producto es el lado 1 frente a las ventas.'
+      }
+    ],
+    pistas: ['Si ninguna de las dos columnas repite valores, la cardinalidad es uno a uno.']
+  },
+  {
+    id: 'model_rel_004',
+    titulo: 'Presupuesto por categoría',
+    enunciado: 'El presupuesto está por categoría y mes, no por producto. Relaciónalo para que filtrar una categoría o un producto muestre su presupuesto, sin que el presupuesto filtre a Producto.',
+    nivel: 'avanzado',
+    tablas: {
+      Presupuesto: {
+        tipo: 'hechos',
+        posicion: { x: 0, y: 0 },
+        columns: ['Categoría', 'Mes', 'Monto'],
+        rows: [
+          ['Accesorios', '2024-01', 5000],
+          ['Accesorios', '2024-02', 5500],
+          ['Pantallas', '2024-01', 9000],
+          ['Pantallas', '2024-02', 8000]
+        ]
+      },
+      Producto: {
+        tipo: 'dimension',
+        posicion: { x: 1, y: 0 },
+        columns: ['ProductoID', 'Producto', 'Categoría'],
+        rows: [
+          ['P1', 'Teclado', 'Accesorios'],
+          ['P2', 'Mouse', 'Accesorios'],
+          ['P3', 'Monitor', 'Pantallas']
+        ]
+      },
+      Ventas: {
+        tipo: 'hechos',
+        posicion: { x: 2, y: 0 },
+        columns: ['VentaID', 'ProductoID', 'Importe'],
+        rows: [
+          [1, 'P1', 120],
+          [2, 'P2', 80],
+          [3, 'P3', 2400],
+          [4, 'P1', 240]
+        ]
+      }
+    },
+    esperadas: [
+      {
+        from: 'Producto[Categoría]',
+        to: 'Presupuesto[Categoría]',
+        cardinality: '*:*',
+        crossFilter: 'single',
+        active: true,
+        motivo: 'Categoría se repite en ambas tablas (granularidades distintas); con dirección única Producto filtra al presupuesto y no al revés.'
+      },
+      {
+        from: 'Producto[ProductoID]',
+        to: 'Ventas[ProductoID]',
+        cardinality: '1:*',
+        crossFilter: 'single',
+        active: true,
+        motivo: 'Las ventas sí están al nivel de producto.'
+      }
+    ],
+    pistas: [
+      'Compara los valores de Categoría en las dos tablas: ¿alguna es única?',
+      'En una relación varios a varios con dirección única eliges qué tabla filtra a la otra.'
+    ]
+  },
+  {
+    id: 'model_rel_005',
+    titulo: 'Dos tablas de hechos sin ambigüedad',
+    enunciado: 'Ventas y Devoluciones comparten Producto y Calendario. Diseña el modelo para comparar ambas por producto y por fecha sin rutas de filtro ambiguas.',
+    nivel: 'avanzado',
+    tablas: {
+      Ventas: {
+        tipo: 'hechos',
+        posicion: { x: 0, y: 1 },
+        columns: ['VentaID', 'Fecha', 'ProductoID', 'Importe'],
+        rows: [
+          [1, '2024-05-01', 'P1', 120],
+          [2, '2024-05-01', 'P2', 80],
+          [3, '2024-05-02', 'P1', 120]
+        ]
+      },
+      Producto: {
+        tipo: 'dimension',
+        posicion: { x: 1, y: 0 },
+        columns: ['ProductoID', 'Producto'],
+        rows: [
+          ['P1', 'Teclado'],
+          ['P2', 'Mouse']
+        ]
+      },
+      Calendario: {
+        tipo: 'dimension',
+        posicion: { x: 1, y: 2 },
+        columns: ['Fecha', 'Mes'],
+        rows: [
+          ['2024-05-01', 'Mayo'],
+          ['2024-05-02', 'Mayo'],
+          ['2024-05-03', 'Mayo']
+        ]
+      },
+      Devoluciones: {
+        tipo: 'hechos',
+        posicion: { x: 2, y: 1 },
+        columns: ['DevolucionID', 'Fecha', 'ProductoID', 'Importe'],
+        rows: [
+          [1, '2024-05-02', 'P1', 120],
+          [2, '2024-05-03', 'P1', 120],
+          [3, '2024-05-03', 'P2', 80]
+        ]
+      }
+    },
+    esperadas: [
+      { from: 'Producto[ProductoID]', to: 'Ventas[ProductoID]', cardinality: '1:*', crossFilter: 'single', active: true },
+      { from: 'Producto[ProductoID]', to: 'Devoluciones[ProductoID]', cardinality: '1:*', crossFilter: 'single', active: true },
+      { from: 'Calendario[Fecha]', to: 'Ventas[Fecha]', cardinality: '1:*', crossFilter: 'single', active: true },
+      { from: 'Calendario[Fecha]', to: 'Devoluciones[Fecha]', cardinality: '1:*', crossFilter: 'single', active: true }
+    ].map(relationship => ({
+      ...relationship,
+      motivo: 'Las dimensiones compartidas filtran a cada tabla de hechos; los hechos no se relacionan entre sí.'
+    })),
+    pistas: [
+      'No relaciones Ventas con Devoluciones: se comparan a través de las dimensiones comunes.',
+      'Un filtro bidireccional entre Producto y una tabla de hechos crea un segundo camino desde Calendario.'
+    ]
+  },
+  {
+    id: 'model_rel_006',
+    titulo: 'Cuentas compartidas con tabla puente',
+    enunciado: 'Un cliente puede tener varias cuentas y una cuenta varios titulares. Usa ClienteCuenta como puente para que filtrar un cliente muestre los movimientos de sus cuentas.',
+    nivel: 'avanzado',
+    tablas: {
+      Cliente: {
+        tipo: 'dimension',
+        posicion: { x: 0, y: 0 },
+        columns: ['ClienteID', 'Cliente'],
+        rows: [
+          ['C1', 'Ana'],
+          ['C2', 'Luis'],
+          ['C3', 'Marta']
+        ]
+      },
+      ClienteCuenta: {
+        tipo: 'puente',
+        posicion: { x: 1, y: 0 },
+        columns: ['ClienteID', 'CuentaID'],
+        rows: [
+          ['C1', 'A1'],
+          ['C2', 'A1'],
+          ['C2', 'A2'],
+          ['C3', 'A3']
+        ]
+      },
+      Cuenta: {
+        tipo: 'dimension',
+        posicion: { x: 2, y: 0 },
+        columns: ['CuentaID', 'Tipo'],
+        rows: [
+          ['A1', 'Ahorro'],
+          ['A2', 'Nómina'],
+          ['A3', 'Inversión']
+        ]
+      },
+      Movimientos: {
+        tipo: 'hechos',
+        posicion: { x: 3, y: 0 },
+        columns: ['MovimientoID', 'CuentaID', 'Monto'],
+        rows: [
+          [1, 'A1', 500],
+          [2, 'A1', -120],
+          [3, 'A2', 1500],
+          [4, 'A3', 3000]
+        ]
+      }
+    },
+    esperadas: [
+      {
+        from: 'Cliente[ClienteID]',
+        to: 'ClienteCuenta[ClienteID]',
+        cardinality: '1:*',
+        crossFilter: 'single',
+        active: true,
+        motivo: 'El cliente filtra al puente.'
+      },
+      {
+        from: 'Cuenta[CuentaID]',
+        to: 'ClienteCuenta[CuentaID]',
+        cardinality: '1:*',
+        crossFilter: 'both',
+        active: true,
+        motivo: 'Solo esta relación es bidireccional: deja que el filtro del puente suba a Cuenta y de ahí a Movimientos.'
+      },
+      {
+        from: 'Cuenta[CuentaID]',
+        to: 'Movimientos[CuentaID]',
+        cardinality: '1:*',
+        crossFilter: 'single',
+        active: true,
+        motivo: 'Cuenta es el lado 1 de los movimientos.'
+      }
+    ],
+    pistas: [
+      'La tabla puente es el lado "varios" de sus dos relaciones.',
+      'El filtro tiene que ir Cliente → ClienteCuenta → Cuenta → Movimientos: ¿qué relación debe dejarlo pasar "hacia arriba"?'
+    ]
+  }
+].map(exercise => ({ dominio: 'modelar-datos', subdominio: 'disenar-modelo', ...exercise }));
+
+export const getModelDesignExercise = (id) => MODEL_DESIGN_EXERCISES.find(exercise => exercise.id === id) || null;
@@ -0,0 +1,252 @@
+// Ejercicios del simulador de Power Query (dominio "Preparar los Datos")
+// Cada ejercicio define las consultas de origen, la tabla objetivo y una solución
+// de referencia en pasos; el simulador compara el resultado sin importar el orden.
+// Los ids usan el prefijo del dominio para convivir con el banco en questionTracking.
+
+export const POWER_QUERY_EXERCISES = [
+  {
+    id: 'prep_pq_001',
+    titulo: 'NULL en la columna Cantidad',
+    enunciado: 'La consulta Ventas trae valores null en Cantidad. Reemplázalos por 0 para que las agregaciones no ignoren esas filas.',
+    dominio: 'preparar-datos',
+    subdominio: 'perfilar-limpiar-datos',
+    nivel: 'principiante',
+    origen: 'Ventas',
+    tablas: {
+      Ventas: {
+        columns: ['PedidoID', 'Producto', 'Cantidad'],
+        rows: [
+          [1001, 'Teclado', 3],
+          [1002, 'Mouse', null],
+          [1003, 'Monitor', 1],
+          [1004, 'Mouse', null],
+          [1005, 'Cable HDMI', 5]
+        ]
+      }
+    },
+    objetivo: {
+      columns: ['PedidoID', 'Producto', 'Cantidad'],
+      rows: [
+        [1001, 'Teclado', 3],
+        [1002, 'Mouse', 0],
+        [1003, 'Monitor', 1],
+        [1004, 'Mouse', 0],
+        [1005, 'Cable HDMI', 5]
+      ]
+    },
+    pistas: [
+      'En Power Query, "Reemplazar valores" acepta null como valor a buscar.',
+      'No elimines filas: la cantidad desconocida se registra como 0.'
+    ],
+    solucion: [
+      { type: 'replace_values', column: 'Cantidad', find: 'null', replaceWith: '0' }
+    ]
+  },
+  {
+    id: 'prep_pq_002',
+    titulo: 'Importes como texto',
+    enunciado: 'El CSV de facturas llegó con los importes como texto en formato europeo. Conviértelos a número decimal y conserva solo las facturas de más de 1000.',
+    dominio: 'preparar-datos',
+    subdominio: 'transformar-cargar-datos',
+    nivel: 'principiante',
+    origen: 'Facturas',
+    tablas: {
+      Facturas: {
+        columns: ['Factura', 'Cliente', 'Importe'],
+        rows: [
+          ['F-201', 'Contoso', '1.250,50'],
+          ['F-202', 'Fabrikam', '980,00'],
+          ['F-203', 'Northwind', '3.400,00'],
+          ['F-204', 'Contoso', '450,75'],
+          ['F-205', 'Litware', '1.020,10']
+        ]
+      }
+    },
+    objetivo: {
+      columns: ['Factura', 'Cliente', 'Importe'],
+      rows: [
+        ['F-201', 'Contoso', 1250.5],
+        ['F-203', 'Northwind', 3400],
+        ['F-205', 'Litware', 1020.1]
+      ]
+    },
+    pistas: [
+      'Filtrar "mayor que" sobre texto compara letras, no cantidades.',
+      'Cambia el tipo antes de filtrar: el orden de los pasos aplicados importa.'
+    ],
+    solucion: [
+      { type: 'change_type', column: 'Importe', dataType: 'number' },
+      { type: 'filter_rows', column: 'Importe', operator: 'greater', value: '1000' }
+    ]
+  },
+  {
+    id: 'prep_pq_003',
+    titulo: 'Presupuesto con un mes por columna',
+    enunciado: 'Finanzas envía el presupuesto con una columna por mes. Convierte la tabla a formato largo (Región, Mes, Importe) para poder relacionarla con un calendario.',
+    dominio: 'preparar-datos',
+    subdominio: 'transformar-cargar-datos',
+    nivel: 'intermedio',
+    origen: 'Presupuesto',
+    tablas: {
+      Presupuesto: {
+        columns: ['Región', 'Ene', 'Feb', 'Mar'],
+        rows: [
+          ['Norte', 12000, 13500, 12800],
+          ['Sur', 9800, null, 10100],
+          ['Centro', 15000, 15200, 16000]
+        ]
+      }
+    },
+    objetivo: {
+      columns: ['Región', 'Mes', 'Importe'],
+      rows: [
+        ['Norte', 'Ene', 12000],
+        ['Norte', 'Feb', 13500],
+        ['Norte', 'Mar', 12800],
+        ['Sur', 'Ene', 9800],
+        ['Sur', 'Mar', 10100],
+        ['Centro', 'Ene', 15000],
+        ['Centro', 'Feb', 15200],
+        ['Centro', 'Mar', 16000]
+      ]
+    },
+    pistas: [
+      'Selecciona las columnas de meses y usa "Anular dinamización de columnas".',
+      'Las celdas null no generan fila al anular la dinamización.'
+    ],
+    solucion: [
+      { type: 'unpivot', columns: ['Ene', 'Feb', 'Mar'], attributeColumn: 'Mes', valueColumn: 'Importe' }
+    ]
+  },
+  {
+    id: 'prep_pq_004',
+    titulo: 'Segmento del cliente en cada pedido',
+    enunciado: 'Agrega el Segmento de la consulta Clientes a cada pedido sin perder los pedidos de clientes que aún no están dados de alta.',
+    dominio: 'preparar-datos',
+    subdominio: 'transformar-cargar-datos',
+    nivel: 'intermedio',
+    origen: 'Pedidos',
+    tablas: {
+      Pedidos: {
+        columns: ['PedidoID', 'ClienteID', 'Importe'],
+        rows: [
+          [5001, 'C01', 820],
+          [5002, 'C02', 1340],
+          [5003, 'C01', 410],
+          [5004, 'C09', 275]
+        ]
+      },
+      Clientes: {
+        columns: ['ClienteID', 'Nombre', 'Segmento'],
+        rows: [
+          ['C01', 'Contoso', 'Corporativo'],
+          ['C02', 'Fabrikam', 'PyME'],
+          ['C03', 'Northwind', 'Gobierno']
+        ]
+      }
+    },
+    objetivo: {
+      columns: ['PedidoID', 'ClienteID', 'Importe', 'Segmento'],
+      rows: [
+        [5001, 'C01', 820, 'Corporativo'],
+        [5002, 'C02', 1340, 'PyME'],
+        [5003, 'C01', 410, 'Corporativo'],
+        [5004, 'C09', 275, null]
+      ]
+    },
+    pistas: [
+      'Una combinación interna descartaría el pedido del cliente C09.',
+      'Al expandir, elige solo la columna que necesitas.'
+    ],
+    solucion: [
+      { type: 'merge', table: 'Clientes', leftKey: 'ClienteID', rightKey: 'ClienteID', joinKind: 'left_outer', columns: ['Segmento'] }
+    ]
+  },
+  {
+    id: 'prep_pq_005',
+    titulo: 'Ventas totales por región',
+    enunciado: 'Resume la consulta Ventas en una fila por región con la suma de Importe en una columna llamada Total.',
+    dominio: 'preparar-datos',
+    subdominio: 'transformar-cargar-datos',
+    nivel: 'intermedio',
+    origen: 'Ventas',
+    tablas: {
+      Ventas: {
+        columns: ['Fecha', 'Región', 'Vendedor', 'Importe'],
+        rows: [
+          ['2025-01-03', 'Norte', 'Ana', 1200],
+          ['2025-01-03', 'Sur', 'Luis', 800],
+          ['2025-01-04', 'Norte', 'Ana', 450],
+          ['2025-01-05', 'Centro', 'Marta', 2300],
+          ['2025-01-05', 'Sur', 'Pedro', 650],
+          ['2025-01-06', 'Norte', 'Jorge', 975]
+        ]
+      }
+    },
+    objetivo: {
+      columns: ['Región', 'Total'],
+      rows: [
+        ['Norte', 2625],
+        ['Sur', 1450],
+        ['Centro', 2300]
+      ]
+    },
+    pistas: [
+      '"Agrupar por" deja solo las columnas de agrupación y las agregaciones.',
+      'La operación es Suma sobre Importe.'
+    ],
+    solucion: [
+      { type: 'group_by', keys: ['Región'], op: 'sum', column: 'Importe', as: 'Total' }
+    ]
+  },
+  {
+    id: 'prep_pq_006',
+    titulo: 'Ventas por categoría desde un extracto sucio',
+    enunciado: 'El extracto del ERP trae importes como texto y filas sin producto. Descarta las filas sin ProductoID, obtén la Categoría de la consulta Productos y calcula las Ventas por categoría.',
+    dominio: 'preparar-datos',
+    subdominio: 'transformar-cargar-datos',
+    nivel: 'avanzado',
+    origen: 'Extracto',
+    tablas: {
+      Extracto: {
+        columns: ['Linea', 'ProductoID', 'Importe'],
+        rows: [
+          [1, 'P-10', '150,00'],
+          [2, 'P-20', '1.200,00'],
+          [3, null, '75,00'],
+          [4, 'P-10', '300,50'],
+          [5, 'P-30', '980,00'],
+          [6, 'P-20', '400,00']
+        ]
+      },
+      Productos: {
+        columns: ['ProductoID', 'Producto', 'Categoría'],
+        rows: [
+          ['P-10', 'Mouse', 'Accesorios'],
+          ['P-20', 'Monitor', 'Pantallas'],
+          ['P-30', 'Teclado', 'Accesorios']
+        ]
+      }
+    },
+    objetivo: {
+      columns: ['Categoría', 'Ventas'],
+      rows: [
+        ['Accesorios', 1430.5],
+        ['Pantallas', 1600]
+      ]
+    },
+    pistas: [
+      'Agrupar una columna de texto produce Error: cambia el tipo de Importe primero.',
+      'Filtra los null de ProductoID antes de combinar con Productos.',
+      'Son cuatro pasos: filtrar, cambiar tipo, combinar y agrupar.'
+    ],
+    solucion: [
+      { type: 'filter_rows', column: 'ProductoID', operator: 'is_not_null' },
+      { type: 'change_type', column: 'Importe', dataType: 'number' },
+      { type: 'merge', table: 'Productos', leftKey: 'ProductoID', rightKey: 'ProductoID', joinKind: 'left_outer', columns: ['Categoría'] },
+      { type: 'group_by', keys: ['Categoría'], op: 'sum', column: 'Importe', as: 'Ventas' }
+    ]
+  }
+];
+
+export const getPowerQueryExercise = (id) => POWER_QUERY_EXERCISES.find(exercise => exercise.id === id) || null;
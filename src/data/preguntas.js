@@ -1,7 +1,15 @@
 // Datos alineados con la guía oficial del examen PL-300
 // Distribución basada en documentación Microsoft Learn (abril 2025)
 
-export const preguntasEjemplo = {
+import {
+  TAXONOMIA_PL300,
+  normalizeQuestionBank,
+  formatDomainWeight
+} from './taxonomy';
+import { shuffleOrderingOptions } from '../utils/questionFormats';
+
+// Banco tal como está escrito (lo usa scripts/validate-questions.js para reportar inconsistencias)
+export const preguntasFuente = {
   'preparar-datos': {
     principiante: [
       {
@@ -507,6 +515,103 @@ export const preguntasEjemplo = {
         formato: 'opcion-multiple',
         trampaComun: 'Intentar convertir directamente texto con formato no estándar a fecha',
         referencias: ['https://learn.microsoft.com/en-us/power-query/split-columns']
+      },
+      {
+        id: 'prep_avanz_006',
+        pregunta: 'Recibes un archivo CSV mensual de ventas en una carpeta de SharePoint y necesitas consolidarlos en una sola tabla que se actualice automáticamente cuando llegue un nuevo mes. Ordena los pasos en Power Query.',
+        opciones: [
+          'Filtrar la columna Folder Path y Extension para quedarse solo con los CSV de ventas',
+          'Establecer los tipos de datos de la tabla combinada',
+          'Conectarse con el conector "Carpeta de SharePoint" usando la URL del sitio',
+          'Expandir el contenido binario con "Combinar archivos"'
+        ],
+        respuestaCorrecta: [2, 0, 3, 1],
+        explicacion: {
+          correcta: 'Primero te conectas a la carpeta de SharePoint, filtras por ruta y extensión para no mezclar otros archivos, combinas los binarios (Power Query genera la función de ejemplo) y al final fijas los tipos de datos sobre la tabla consolidada. Así cada archivo nuevo se incorpora en la siguiente actualización.',
+          incorrectas: [
+            'Combinar antes de filtrar puede fallar si en la carpeta hay archivos con otra estructura',
+            'Tipar columnas antes de combinar se pierde, ya que la combinación genera una tabla nueva'
+          ]
+        },
+        dominio: 'preparar-datos',
+        subdominio: 'obtener-datos',
+        nivel: 'avanzado',
+        formato: 'ordenamiento',
+        trampaComun: 'Combinar todos los archivos de la carpeta sin filtrar primero por extensión',
+        referencias: ['https://learn.microsoft.com/en-us/power-query/combine-files-overview']
+      },
+      {
+        id: 'prep_avanz_007',
+        pregunta: 'Trabajas con una consulta sobre SQL Server que aprovecha el plegado de consultas (query folding). ¿Qué DOS transformaciones suelen romper el plegado si se aplican al inicio de la consulta?',
+        opciones: [
+          'Filtrar filas por una columna de fecha',
+          'Agregar una columna de índice',
+          'Quitar columnas',
+          'Agregar una columna personalizada con Text.Proper sobre un campo de texto',
+          'Agrupar por cliente sumando el importe'
+        ],
+        respuestaCorrecta: [1, 3],
+        seleccionesRequeridas: 2,
+        explicacion: {
+          correcta: 'La columna de índice y muchas funciones M sin equivalente en SQL (como Text.Proper) no se pueden traducir al origen, por lo que el motor de Power Query deja de plegar y procesa localmente todos los pasos posteriores.',
+          incorrectas: [
+            'Los filtros de filas se traducen a una cláusula WHERE',
+            'Quitar columnas se traduce a la lista del SELECT',
+            'Agrupar se traduce a GROUP BY'
+          ]
+        },
+        dominio: 'preparar-datos',
+        subdominio: 'transformar-cargar-datos',
+        nivel: 'avanzado',
+        formato: 'seleccion-multiple',
+        trampaComun: 'Pensar que cualquier transformación de la interfaz se pliega al origen',
+        referencias: ['https://learn.microsoft.com/en-us/power-query/query-folding-basics']
+      },
+      {
+        id: 'prep_avanz_008',
+        pregunta: 'Activas "Calidad de columnas", "Distribución de columnas" y "Perfil de columnas" en el Editor de Power Query. Indica si cada afirmación es verdadera.',
+        afirmaciones: [
+          { texto: 'Por defecto, la generación de perfiles se calcula solo sobre las primeras 1000 filas.', respuesta: true },
+          { texto: 'El porcentaje de "Error" en Calidad de columnas incluye los valores vacíos.', respuesta: false },
+          { texto: 'La Distribución de columnas muestra el número de valores distintos y únicos.', respuesta: true },
+          { texto: 'Las estadísticas de perfil se guardan en el modelo y se pueden usar en medidas DAX.', respuesta: false }
+        ],
+        explicacion: {
+          correcta: 'El perfilado usa las primeras 1000 filas salvo que cambies a "basado en todo el conjunto de datos". Calidad de columnas separa Válido, Error y Vacío, y Distribución muestra distintos y únicos. Es solo una ayuda del editor: no se carga al modelo.',
+          incorrectas: [
+            'Vacío y Error son categorías distintas en Calidad de columnas',
+            'El perfilado no forma parte del modelo semántico'
+          ]
+        },
+        dominio: 'preparar-datos',
+        subdominio: 'perfilar-limpiar-datos',
+        nivel: 'avanzado',
+        formato: 'si-no',
+        trampaComun: 'Olvidar que el perfil se basa en las primeras 1000 filas',
+        referencias: ['https://learn.microsoft.com/en-us/power-query/data-profiling-tools']
+      },
+      {
+        id: 'prep_avanz_009',
+        pregunta: 'Necesitas completar el siguiente paso de Power Query para convertir la columna Fecha a tipo fecha usando la configuración regional de España y la columna Importe a número decimal. Selecciona el valor correcto para cada sección.',
+        plantilla: '= Table.TransformColumnTypes(\n    #"Encabezados promovidos",\n    {{"Fecha", [1]}, {"Importe", [2]}},\n    [3]\n)',
+        segmentos: [
+          { etiqueta: '[1]', opciones: ['type text', 'type date', 'type datetimezone'], respuestaCorrecta: 1 },
+          { etiqueta: '[2]', opciones: ['Int64.Type', 'Currency.Type', 'type number'], respuestaCorrecta: 2 },
+          { etiqueta: '[3]', opciones: ['"es-ES"', '"en-US"', 'Culture.Current'], respuestaCorrecta: 0 }
+        ],
+        explicacion: {
+          correcta: 'type date convierte la fecha, type number es el decimal general y el tercer argumento opcional de Table.TransformColumnTypes es la referencia cultural ("es-ES") que indica cómo interpretar el texto de origen.',
+          incorrectas: [
+            'Int64.Type truncaría los decimales del importe',
+            'Sin la cultura correcta, "03/04/2024" se interpretaría como 4 de marzo'
+          ]
+        },
+        dominio: 'preparar-datos',
+        subdominio: 'transformar-cargar-datos',
+        nivel: 'avanzado',
+        formato: 'area-activa',
+        trampaComun: 'Ignorar la configuración regional al convertir texto a fecha',
+        referencias: ['https://learn.microsoft.com/en-us/powerquery-m/table-transformcolumntypes']
       }
     ]
   },
@@ -531,7 +636,7 @@ export const preguntasEjemplo = {
           ]
         },
         dominio: 'modelar-datos',
-        subdominio: 'diseñar-implementar-modelo',
+        subdominio: 'disenar-modelo',
         nivel: 'principiante',
         formato: 'opcion-multiple',
         trampaComun: 'Confusión #1 del examen: contexto y almacenamiento de columnas vs medidas',
@@ -556,7 +661,7 @@ export const preguntasEjemplo = {
           ]
         },
         dominio: 'modelar-datos',
-        subdominio: 'diseñar-implementar-modelo',
+        subdominio: 'disenar-modelo',
         nivel: 'principiante',
         formato: 'opcion-multiple',
         trampaComun: 'Usar filtros bidireccionales innecesariamente',
@@ -581,7 +686,7 @@ export const preguntasEjemplo = {
           ]
         },
         dominio: 'modelar-datos',
-        subdominio: 'diseñar-implementar-modelo',
+        subdominio: 'disenar-modelo',
         nivel: 'principiante',
         formato: 'opcion-multiple',
         trampaComun: 'Pensar que tener tablas juntas ya crea un modelo relacional',
@@ -606,7 +711,7 @@ export const preguntasEjemplo = {
           ]
         },
         dominio: 'modelar-datos',
-        subdominio: 'diseñar-implementar-modelo',
+        subdominio: 'disenar-modelo',
         nivel: 'principiante',
         formato: 'opcion-multiple',
         trampaComun: 'Confundir atributos descriptivos con métricas de hechos',
@@ -631,7 +736,7 @@ export const preguntasEjemplo = {
           ]
         },
         dominio: 'modelar-datos',
-        subdominio: 'diseñar-implementar-modelo',
+        subdominio: 'disenar-modelo',
         nivel: 'principiante',
         formato: 'opcion-multiple',
         trampaComun: 'Confundir Primary Key con Foreign Key',
@@ -683,7 +788,7 @@ export const preguntasEjemplo = {
           ]
         },
         dominio: 'modelar-datos',
-        subdominio: 'diseñar-implementar-modelo',
+        subdominio: 'disenar-modelo',
         nivel: 'intermedio',
         formato: 'opcion-multiple',
         trampaComun: 'No entender las ventajas de desnormalizar dimensiones en Power BI',
@@ -815,6 +920,106 @@ export const preguntasEjemplo = {
         formato: 'opcion-multiple',
         trampaComun: 'No usar CALCULATE para filtros simples, preferir iteración innecesaria',
         referencias: ['https://learn.microsoft.com/en-us/dax/best-practices/']
+      },
+      {
+        id: 'model_avanz_005',
+        pregunta: 'Necesitas una medida que calcule las ventas del mismo período del año anterior ignorando cualquier filtro aplicado sobre la tabla Producto. Completa la expresión DAX.',
+        plantilla: 'Ventas AA =\n[1](\n    [Ventas Totales],\n    [2]( \'Calendario\'[Fecha] ),\n    [3]( \'Producto\' )\n)',
+        segmentos: [
+          { etiqueta: '[1]', opciones: ['SUMX', 'CALCULATE', 'FILTER'], respuestaCorrecta: 1 },
+          { etiqueta: '[2]', opciones: ['SAMEPERIODLASTYEAR', 'DATESYTD', 'PREVIOUSMONTH'], respuestaCorrecta: 0 },
+          { etiqueta: '[3]', opciones: ['ALLEXCEPT', 'VALUES', 'REMOVEFILTERS'], respuestaCorrecta: 2 }
+        ],
+        explicacion: {
+          correcta: 'CALCULATE modifica el contexto de filtro; SAMEPERIODLASTYEAR desplaza las fechas visibles un año hacia atrás y REMOVEFILTERS(\'Producto\') elimina los filtros sobre la tabla Producto.',
+          incorrectas: [
+            'SUMX y FILTER no aceptan modificadores de filtro como argumentos',
+            'DATESYTD acumula el año actual, no el anterior',
+            'VALUES respetaría los filtros de Producto en lugar de quitarlos'
+          ]
+        },
+        dominio: 'modelar-datos',
+        subdominio: 'crear-calculos-dax',
+        nivel: 'avanzado',
+        formato: 'area-activa',
+        trampaComun: 'Usar FILTER en lugar de CALCULATE para modificar el contexto de filtro',
+        referencias: ['https://learn.microsoft.com/en-us/dax/sameperiodlastyear-function-dax']
+      },
+      {
+        id: 'model_avanz_006',
+        pregunta: 'Estás rediseñando un modelo que hoy es una única tabla plana de 40 columnas. ¿Qué TRES cambios lo acercan a un esquema de estrella optimizado para Power BI?',
+        opciones: [
+          'Separar atributos descriptivos de cliente y producto en tablas de dimensión',
+          'Mantener las claves de texto largas como relación entre tablas',
+          'Crear una tabla de calendario marcada como tabla de fechas',
+          'Usar relaciones bidireccionales entre todas las tablas',
+          'Dejar en la tabla de hechos solo claves y columnas numéricas a agregar'
+        ],
+        respuestaCorrecta: [0, 2, 4],
+        seleccionesRequeridas: 3,
+        explicacion: {
+          correcta: 'Un esquema de estrella separa dimensiones descriptivas, usa una tabla de fechas dedicada y deja la tabla de hechos estrecha (claves + métricas), lo que mejora la compresión de VertiPaq y simplifica el DAX.',
+          incorrectas: [
+            'Las claves enteras comprimen mejor que las de texto largo',
+            'Las relaciones bidireccionales generalizadas causan ambigüedad y peor rendimiento'
+          ]
+        },
+        dominio: 'modelar-datos',
+        subdominio: 'disenar-modelo',
+        nivel: 'avanzado',
+        formato: 'seleccion-multiple',
+        trampaComun: 'Activar filtrado bidireccional por defecto para "que todo funcione"',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/guidance/star-schema']
+      },
+      {
+        id: 'model_avanz_007',
+        pregunta: 'Con base en el estudio de caso de Contoso Retail, indica si cada afirmación sobre el modelo propuesto es correcta.',
+        casoEstudio: 'contoso-retail',
+        afirmaciones: [
+          { texto: 'La relación entre Ventas y Presupuesto debe crearse directamente sobre la columna Fecha de ambas tablas.', respuesta: false },
+          { texto: 'Para comparar ventas contra presupuesto mensual se necesita una tabla Calendario compartida con granularidad de día.', respuesta: true },
+          { texto: 'La tabla Tiendas puede filtrar a Ventas y a Presupuesto mediante relaciones uno a muchos.', respuesta: true }
+        ],
+        explicacion: {
+          correcta: 'Ventas (diaria) y Presupuesto (mensual) tienen granularidades distintas, así que ambas deben relacionarse con dimensiones compartidas: un Calendario diario (el presupuesto se relaciona con el primer día del mes) y la dimensión Tiendas.',
+          incorrectas: [
+            'Relacionar dos tablas de hechos directamente genera relaciones muchos a muchos y resultados incorrectos'
+          ]
+        },
+        dominio: 'modelar-datos',
+        subdominio: 'disenar-modelo',
+        nivel: 'avanzado',
+        formato: 'si-no',
+        trampaComun: 'Relacionar tablas de hechos entre sí en lugar de usar dimensiones compartidas',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/guidance/model-relationships-relative-date-filtering']
+      },
+      {
+        id: 'model_avanz_008',
+        pregunta: 'Con base en el estudio de caso de Contoso Retail, ¿qué DOS acciones reducen el tamaño del modelo para cumplir el límite de la capacidad compartida?',
+        casoEstudio: 'contoso-retail',
+        opciones: [
+          'Quitar la columna NumeroTicket de la tabla Ventas',
+          'Convertir la columna Importe a tipo texto',
+          'Importar Ventas con DirectQuery y el resto en modo Importar',
+          'Dividir la columna FechaHora en Fecha y Hora',
+          'Crear una columna calculada con el margen por fila'
+        ],
+        respuestaCorrecta: [0, 3],
+        seleccionesRequeridas: 2,
+        explicacion: {
+          correcta: 'NumeroTicket es de alta cardinalidad y nadie lo usa en los informes; eliminarlo ahorra mucho espacio. Dividir FechaHora reduce drásticamente los valores distintos de cada columna, mejorando la compresión.',
+          incorrectas: [
+            'El texto comprime peor que los números',
+            'El caso exige que los informes respondan con datos importados',
+            'Las columnas calculadas aumentan el tamaño del modelo'
+          ]
+        },
+        dominio: 'modelar-datos',
+        subdominio: 'optimizar-rendimiento',
+        nivel: 'avanzado',
+        formato: 'seleccion-multiple',
+        trampaComun: 'Olvidar que la cardinalidad es el principal factor del tamaño en VertiPaq',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/guidance/import-modeling-data-reduction']
       }
     ]
   },
@@ -1123,6 +1328,77 @@ export const preguntasEjemplo = {
         formato: 'opcion-multiple',
         trampaComun: 'No aprovechar las capacidades de generación automática de narrativas',
         referencias: ['https://learn.microsoft.com/en-us/power-bi/visuals/power-bi-visualization-smart-narrative']
+      },
+      {
+        id: 'viz_avanz_008',
+        pregunta: 'Quieres que los usuarios hagan clic derecho en un producto de cualquier página y abran una página de detalle filtrada por ese producto. Ordena los pasos para configurar la obtención de detalles (drillthrough).',
+        opciones: [
+          'Publicar y probar con clic derecho > Obtener detalles',
+          'Crear una nueva página para el detalle del producto',
+          'Agregar los visuales de detalle a la página de destino',
+          'Arrastrar el campo Producto al área "Obtener detalles" de la página nueva'
+        ],
+        respuestaCorrecta: [1, 3, 2, 0],
+        explicacion: {
+          correcta: 'Primero creas la página de destino, luego defines el campo de obtención de detalles (Producto) en el panel de visualizaciones, diseñas los visuales de detalle y, por último, pruebas la navegación desde cualquier visual que use ese campo.',
+          incorrectas: [
+            'Sin el campo en "Obtener detalles" la opción no aparece en el menú contextual'
+          ]
+        },
+        dominio: 'visualizar-analizar',
+        subdominio: 'mejorar-usabilidad',
+        nivel: 'avanzado',
+        formato: 'ordenamiento',
+        trampaComun: 'Colocar el campo de obtención de detalles en la página de origen en lugar de la de destino',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/create-reports/desktop-drillthrough']
+      },
+      {
+        id: 'viz_avanz_009',
+        pregunta: 'Estás diseñando una navegación con marcadores (bookmarks) para alternar entre un gráfico y una tabla. Indica si cada afirmación es verdadera.',
+        afirmaciones: [
+          { texto: 'Si desactivas la opción "Datos" del marcador, al aplicarlo se conservan los filtros actuales del usuario.', respuesta: true },
+          { texto: 'Un marcador puede aplicarse solo a los visuales seleccionados.', respuesta: true },
+          { texto: 'Los marcadores personales creados en el servicio modifican el informe para todos los usuarios.', respuesta: false },
+          { texto: 'El panel de selección permite ocultar visuales cuyo estado se guarda en el marcador.', respuesta: true }
+        ],
+        explicacion: {
+          correcta: 'Cada marcador puede capturar Datos, Presentación y Página actual, y aplicarse a todos o solo a los visuales seleccionados. El panel de selección controla la visibilidad que se guarda. Los marcadores personales solo los ve quien los crea.',
+          incorrectas: [
+            'Los marcadores personales no cambian el informe publicado'
+          ]
+        },
+        dominio: 'visualizar-analizar',
+        subdominio: 'mejorar-usabilidad',
+        nivel: 'avanzado',
+        formato: 'si-no',
+        trampaComun: 'No desmarcar "Datos" y sobrescribir los filtros del usuario al cambiar de vista',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/create-reports/desktop-bookmarks']
+      },
+      {
+        id: 'viz_avanz_010',
+        pregunta: 'Con base en el estudio de caso de Contoso Retail, los gerentes regionales quieren ver qué tiendas están por debajo del presupuesto y, desde ahí, el detalle diario. ¿Qué diseño cumple el requisito?',
+        casoEstudio: 'contoso-retail',
+        opciones: [
+          'Un gráfico de anillos por tienda con el porcentaje de cumplimiento',
+          'Una matriz por región y tienda con formato condicional sobre Ventas vs Presupuesto y una página de obtención de detalles por tienda',
+          'Una tarjeta con el total de ventas y una segmentación por tienda',
+          'Un mapa de formas coloreado por ventas totales'
+        ],
+        respuestaCorrecta: 1,
+        explicacion: {
+          correcta: 'La matriz permite comparar muchas tiendas agrupadas por región, el formato condicional resalta las que incumplen el presupuesto y la obtención de detalles lleva al análisis diario filtrado por la tienda seleccionada.',
+          incorrectas: [
+            'Un gráfico de anillos con más de 40 tiendas es ilegible',
+            'La tarjeta no compara contra presupuesto ni permite ver detalle',
+            'El mapa muestra ventas absolutas, no el cumplimiento del presupuesto'
+          ]
+        },
+        dominio: 'visualizar-analizar',
+        subdominio: 'crear-reportes',
+        nivel: 'avanzado',
+        formato: 'opcion-multiple',
+        trampaComun: 'Elegir visuales atractivos que no permiten comparar contra un objetivo',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/create-reports/desktop-conditional-table-formatting']
       }
     ]
   },
@@ -1379,6 +1655,100 @@ export const preguntasEjemplo = {
         formato: 'opcion-multiple',
         trampaComun: 'No conocer la función de suscripciones por email',
         referencias: ['https://learn.microsoft.com/en-us/power-bi/collaborate-share/end-user-subscribe']
+      },
+      {
+        id: 'admin_inter_009',
+        pregunta: 'Necesitas que cada gerente regional vea solo las ventas de su región en el informe publicado. Ordena los pasos para implementar seguridad de nivel de fila (RLS).',
+        opciones: [
+          'Asignar usuarios o grupos de seguridad al rol en la configuración de seguridad del modelo semántico',
+          'Validar el rol con "Ver como" en Power BI Desktop',
+          'Crear el rol en Power BI Desktop con un filtro DAX sobre la tabla Región',
+          'Publicar el modelo semántico en el área de trabajo'
+        ],
+        respuestaCorrecta: [2, 1, 3, 0],
+        explicacion: {
+          correcta: 'Los roles y sus filtros DAX se definen en Desktop, se validan con "Ver como", se publica el modelo y, en el servicio, se asignan miembros a cada rol desde la seguridad del modelo semántico.',
+          incorrectas: [
+            'Los miembros no pueden asignarse antes de publicar el modelo',
+            'Los roles no se crean en el servicio para modelos importados desde Desktop'
+          ]
+        },
+        dominio: 'administrar-asegurar',
+        subdominio: 'asegurar-gobernar',
+        nivel: 'intermedio',
+        formato: 'ordenamiento',
+        trampaComun: 'Intentar asignar miembros al rol desde Power BI Desktop',
+        referencias: ['https://learn.microsoft.com/en-us/fabric/security/service-admin-row-level-security']
+      },
+      {
+        id: 'admin_inter_010',
+        pregunta: 'Sobre los roles de un área de trabajo de Power BI, indica si cada afirmación es verdadera.',
+        afirmaciones: [
+          { texto: 'Un Colaborador puede publicar y actualizar contenido en el área de trabajo.', respuesta: true },
+          { texto: 'Un Visor puede volver a compartir informes si el área de trabajo está en capacidad Premium.', respuesta: false },
+          { texto: 'Solo un Administrador puede eliminar el área de trabajo.', respuesta: true },
+          { texto: 'Un Miembro puede agregar usuarios con rol Colaborador.', respuesta: true }
+        ],
+        explicacion: {
+          correcta: 'Colaborador crea y edita contenido; Miembro además comparte y agrega Colaboradores o Visores; Administrador gestiona todo, incluida la eliminación del área de trabajo. El Visor solo consume contenido.',
+          incorrectas: [
+            'La capacidad Premium permite a usuarios gratuitos ver contenido, pero no otorga permisos de compartir al Visor'
+          ]
+        },
+        dominio: 'administrar-asegurar',
+        subdominio: 'crear-gestionar-workspaces',
+        nivel: 'intermedio',
+        formato: 'si-no',
+        trampaComun: 'Confundir los permisos de Miembro y Colaborador',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/collaborate-share/service-roles-new-workspaces']
+      },
+      {
+        id: 'admin_inter_011',
+        pregunta: 'Tu modelo semántico combina un SQL Server local, un archivo Excel en OneDrive para la Empresa y una API pública. ¿Qué DOS afirmaciones sobre la actualización programada son correctas?',
+        opciones: [
+          'El SQL Server local requiere una puerta de enlace de datos local',
+          'El Excel en OneDrive requiere una puerta de enlace',
+          'Las credenciales de cada origen se configuran en el servicio, en la configuración del modelo semántico',
+          'La API pública debe pasar obligatoriamente por la puerta de enlace',
+          'La actualización programada solo admite un origen por modelo'
+        ],
+        respuestaCorrecta: [0, 2],
+        seleccionesRequeridas: 2,
+        explicacion: {
+          correcta: 'Los orígenes locales necesitan una puerta de enlace; los orígenes en la nube (OneDrive, APIs públicas) se actualizan directamente desde el servicio. Las credenciales de todos los orígenes se administran en la configuración del modelo semántico.',
+          incorrectas: [
+            'OneDrive para la Empresa es un origen en la nube',
+            'Una API pública accesible desde Internet no necesita gateway',
+            'Un modelo puede combinar varios orígenes en la misma actualización'
+          ]
+        },
+        dominio: 'administrar-asegurar',
+        subdominio: 'crear-gestionar-workspaces',
+        nivel: 'intermedio',
+        formato: 'seleccion-multiple',
+        trampaComun: 'Asumir que todos los orígenes requieren gateway cuando uno de ellos es local',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/connect-data/refresh-data']
+      },
+      {
+        id: 'admin_inter_012',
+        pregunta: 'Asigna el rol mínimo del área de trabajo que cumple cada requisito (principio de privilegio mínimo).',
+        segmentos: [
+          { etiqueta: 'Analista que publica informes desde Desktop', opciones: ['Visor', 'Colaborador', 'Miembro', 'Administrador'], respuestaCorrecta: 1 },
+          { etiqueta: 'Jefe de equipo que publica la aplicación y agrega Colaboradores', opciones: ['Visor', 'Colaborador', 'Miembro', 'Administrador'], respuestaCorrecta: 2 },
+          { etiqueta: 'Director que solo consulta los informes', opciones: ['Visor', 'Colaborador', 'Miembro', 'Administrador'], respuestaCorrecta: 0 }
+        ],
+        explicacion: {
+          correcta: 'Colaborador basta para publicar contenido; Miembro añade la capacidad de publicar/actualizar la aplicación y agregar usuarios con roles inferiores; Visor es suficiente para consumir.',
+          incorrectas: [
+            'Asignar Administrador o Miembro de más viola el principio de privilegio mínimo'
+          ]
+        },
+        dominio: 'administrar-asegurar',
+        subdominio: 'crear-gestionar-workspaces',
+        nivel: 'intermedio',
+        formato: 'area-activa',
+        trampaComun: 'Dar rol de Administrador a quien solo necesita publicar',
+        referencias: ['https://learn.microsoft.com/en-us/power-bi/collaborate-share/service-roles-new-workspaces']
       }
     ],
     avanzado: [
@@ -2536,58 +2906,83 @@ export const preguntasEjemplo = {
   }
 };
 
+// ============================================================================
+// ESTUDIOS DE CASO (escenario compartido por varias preguntas)
+// ============================================================================
+
+export const casosEstudio = {
+  'contoso-retail': {
+    titulo: 'Contoso Retail',
+    escenario: [
+      {
+        titulo: 'Panorama general',
+        texto: 'Contoso Retail opera 42 tiendas agrupadas en 5 regiones. El equipo de finanzas quiere reemplazar los informes mensuales en Excel por un modelo de Power BI publicado en una capacidad compartida (Pro).'
+      },
+      {
+        titulo: 'Orígenes de datos',
+        texto: 'Las ventas se registran por ticket en un SQL Server local: 180 millones de filas con las columnas FechaHora, NumeroTicket, IdTienda, IdProducto, Cantidad e Importe. El presupuesto se mantiene en un Excel en SharePoint con una fila por tienda y mes.'
+      },
+      {
+        titulo: 'Requisitos técnicos',
+        texto: 'El modelo debe usar modo Importar y no superar 1 GB. Ningún informe analiza tickets individuales. Las comparaciones de ventas contra presupuesto deben poder filtrarse por región, tienda y mes.'
+      },
+      {
+        titulo: 'Requisitos de negocio',
+        texto: 'Los gerentes regionales deben identificar rápidamente las tiendas por debajo del presupuesto y analizar su comportamiento diario.'
+      }
+    ]
+  }
+};
+
+// ✅ Banco normalizado con la taxonomía canónica: dominio/subdominio/nivel resueltos
+// y cada pregunta ubicada en el bloque que indican sus metadatos. Las opciones de
+// ordenamiento se barajan por pregunta para que la secuencia correcta no se repita
+export const preguntasEjemplo = Object.fromEntries(
+  Object.entries(normalizeQuestionBank(preguntasFuente)).map(([dominio, niveles]) => [
+    dominio,
+    Object.fromEntries(Object.entries(niveles).map(([nivel, preguntas]) => [nivel, preguntas.map(shuffleOrderingOptions)]))
+  ])
+);
+
+const subdominiosDe = (dominio) => Object.values(TAXONOMIA_PL300[dominio].subdominios).map((sub) => sub.titulo);
+
 export const dominiosInfo = {
   'preparar-datos': {
-    titulo: 'Preparar los Datos',
+    titulo: TAXONOMIA_PL300['preparar-datos'].titulo,
     descripcion: 'Conectar, perfilar, limpiar y transformar datos',
-    color: '#2196F3',
-    peso: '25-30%',
+    color: TAXONOMIA_PL300['preparar-datos'].color,
+    peso: formatDomainWeight('preparar-datos'),
     preguntasExamen: '13-18',
     preguntasBanco: 96,
-    subdominios: [
-      'Obtener/conectar datos',
-      'Perfilar/limpiar datos', 
-      'Transformar/cargar datos'
-    ]
+    subdominios: subdominiosDe('preparar-datos')
   },
   'modelar-datos': {
-    titulo: 'Modelar los Datos',
+    titulo: TAXONOMIA_PL300['modelar-datos'].titulo,
     descripcion: 'Diseño de modelo, DAX y optimización (DOMINIO MÁS PESADO)', 
-    color: '#FF5722',
-    peso: '30-35%',
+    color: TAXONOMIA_PL300['modelar-datos'].color,
+    peso: formatDomainWeight('modelar-datos'),
     preguntasExamen: '15-21',
     preguntasBanco: 111,
-    subdominios: [
-      'Diseñar/implementar modelo',
-      'Crear cálculos DAX',
-      'Optimizar rendimiento'
-    ],
+    subdominios: subdominiosDe('modelar-datos'),
     esElMasPesado: true
   },
   'visualizar-analizar': {
-    titulo: 'Visualizar y Analizar',
+    titulo: TAXONOMIA_PL300['visualizar-analizar'].titulo,
     descripcion: 'Reportes, storytelling y análisis de patrones',
-    color: '#9C27B0',
-    peso: '25-30%',
+    color: TAXONOMIA_PL300['visualizar-analizar'].color,
+    peso: formatDomainWeight('visualizar-analizar'),
     preguntasExamen: '13-18', 
     preguntasBanco: 96,
-    subdominios: [
-      'Crear reportes',
-      'Mejorar usabilidad/storytelling',
-      'Identificar patrones/tendencias'
-    ]
+    subdominios: subdominiosDe('visualizar-analizar')
   },
   'administrar-asegurar': {
-    titulo: 'Administrar y Asegurar',
+    titulo: TAXONOMIA_PL300['administrar-asegurar'].titulo,
     descripcion: 'Workspaces, seguridad y gobierno (MUY frecuente en examen)',
-    color: '#4CAF50',
-    peso: '15-20%',
+    color: TAXONOMIA_PL300['administrar-asegurar'].color,
+    peso: formatDomainWeight('administrar-asegurar'),
     preguntasExamen: '8-12',
     preguntasBanco: 59,
-    subdominios: [
-      'Crear/gestionar workspaces',
-      'Asegurar/gobernar items'
-    ],
+    subdominios: subdominiosDe('administrar-asegurar'),
     sorpresaComun: true
   }
 };
@@ -2650,7 +3045,8 @@ const MAPEO_BLOOM = {
   'prep_inter_013': 'aplicar', 'prep_inter_014': 'aplicar', 'prep_inter_015': 'aplicar',
   'prep_inter_016': 'aplicar',
   'prep_avanz_001': 'analizar', 'prep_avanz_002': 'aplicar', 'prep_avanz_003': 'comprender',
-  'prep_avanz_004': 'aplicar', 'prep_avanz_005': 'comprender',
+  'prep_avanz_004': 'aplicar', 'prep_avanz_005': 'comprender', 'prep_avanz_006': 'aplicar',
+  'prep_avanz_007': 'analizar', 'prep_avanz_008': 'comprender', 'prep_avanz_009': 'aplicar',
   
   // Modelar Datos
   'model_prin_001': 'comprender', 'model_prin_002': 'aplicar', 'model_prin_003': 'comprender',
@@ -2662,7 +3058,8 @@ const MAPEO_BLOOM = {
   'model_inter_007': 'aplicar', 'model_inter_008': 'analizar', 'model_inter_009': 'recordar',
   'model_inter_010': 'comprender', 'model_inter_011': 'aplicar', 'model_inter_012': 'aplicar',
   'model_avan_001': 'analizar', 'model_avanz_002': 'aplicar', 'model_avanz_003': 'analizar',
-  'model_avanz_004': 'analizar',
+  'model_avanz_004': 'analizar', 'model_avanz_005': 'aplicar', 'model_avanz_006': 'analizar',
+  'model_avanz_007': 'analizar', 'model_avanz_008': 'analizar',
   
   // Visualizar y Analizar
   'viz_prin_001': 'recordar', 'viz_prin_002': 'recordar', 'viz_prin_003': 'recordar',
@@ -2673,7 +3070,8 @@ const MAPEO_BLOOM = {
   'viz_inter_007': 'comprender', 'viz_inter_008': 'aplicar', 'viz_inter_009': 'aplicar',
   'viz_avanz_001': 'comprender', 'viz_avanz_002': 'comprender', 'viz_avanz_003': 'comprender',
   'viz_avanz_004': 'comprender', 'viz_avanz_005': 'recordar', 'viz_avanz_006': 'aplicar',
-  'viz_avanz_007': 'aplicar',
+  'viz_avanz_007': 'aplicar', 'viz_avanz_008': 'aplicar', 'viz_avanz_009': 'comprender',
+  'viz_avanz_010': 'analizar',
   
   // Administrar y Asegurar
   'admin_prin_001': 'aplicar', 'admin_prin_002': 'comprender', 'admin_prin_003': 'aplicar',
@@ -2682,6 +3080,8 @@ const MAPEO_BLOOM = {
   'admin_inter_001': 'recordar', 'admin_inter_002': 'aplicar',
   'admin_inter_003': 'aplicar', 'admin_inter_004': 'comprender', 'admin_inter_005': 'aplicar',
   'admin_inter_006': 'comprender', 'admin_inter_007': 'aplicar', 'admin_inter_008': 'comprender',
+  'admin_inter_009': 'aplicar', 'admin_inter_010': 'comprender', 'admin_inter_011': 'comprender',
+  'admin_inter_012': 'aplicar',
   'admin_avanz_001': 'aplicar', 'admin_avanz_002': 'aplicar', 'admin_avanz_003': 'comprender',
   'admin_avanz_004': 'comprender', 'admin_avanz_005': 'aplicar', 'admin_avanz_006': 'comprender',
   'admin_avanz_007': 'comprender'
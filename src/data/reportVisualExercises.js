@@ -0,0 +1,215 @@
+// Ejercicios del selector de visuales (dominio "Visualizar y Analizar")
+// Cada ejercicio trae un conjunto de datos, la petición de una persona del negocio,
+// los visuales aceptados con los campos esperados en cada pozo y explicaciones
+// para los visuales que no encajan.
+
+const MESES = ['2024-01', '2024-02', '2024-03', '2024-04', '2024-05', '2024-06'];
+const CRECIMIENTO = [1, 0.95, 1.08, 1.12, 1.2, 1.31];
+const REGIONES = { Norte: 120000, Centro: 150000, Occidente: 90000, Sur: 60000, 'Bajío': 75000 };
+// En línea gana participación cada mes; Mayorista se queda con el resto
+const CUOTA_EN_LINEA = [0.2, 0.22, 0.25, 0.28, 0.31, 0.35];
+
+const ventasSemestre = {
+  nombre: 'Ventas 2024 (semestre)',
+  campos: [
+    { nombre: 'Mes', tipo: 'fecha' },
+    { nombre: 'Región', tipo: 'categoria' },
+    { nombre: 'Canal', tipo: 'categoria' },
+    { nombre: 'Ventas', tipo: 'numero' },
+    { nombre: 'Unidades', tipo: 'numero' }
+  ],
+  filas: MESES.flatMap((mes, index) => Object.entries(REGIONES).flatMap(([region, base]) => {
+    const total = base * CRECIMIENTO[index];
+    const cuotas = { Tienda: 0.5, 'En línea': CUOTA_EN_LINEA[index], Mayorista: 0.5 - CUOTA_EN_LINEA[index] };
+    return Object.entries(cuotas).map(([canal, cuota]) => {
+      const ventas = Math.round(total * cuota);
+      return [mes, region, canal, ventas, Math.round(ventas / 250)];
+    });
+  }))
+};
+
+const productosDescuento = {
+  nombre: 'Productos y descuentos',
+  campos: [
+    { nombre: 'Producto', tipo: 'categoria' },
+    { nombre: 'Categoría', tipo: 'categoria' },
+    { nombre: 'Descuento %', tipo: 'numero' },
+    { nombre: 'Unidades', tipo: 'numero' }
+  ],
+  filas: [
+    ['Teclado', 'Accesorios', 5, 320],
+    ['Mouse', 'Accesorios', 10, 610],
+    ['Auriculares', 'Accesorios', 15, 780],
+    ['Webcam', 'Accesorios', 0, 150],
+    ['Monitor 24"', 'Pantallas', 8, 240],
+    ['Monitor 27"', 'Pantallas', 12, 310],
+    ['Portátil básico', 'Equipos', 20, 520],
+    ['Portátil pro', 'Equipos', 3, 90],
+    ['Tableta', 'Equipos', 25, 160],
+    ['Impresora', 'Equipos', 18, 430]
+  ]
+};
+
+const facturas = {
+  nombre: 'Facturas de marzo',
+  campos: [
+    { nombre: 'Factura', tipo: 'categoria' },
+    { nombre: 'Cliente', tipo: 'categoria' },
+    { nombre: 'Fecha', tipo: 'fecha' },
+    { nombre: 'Importe', tipo: 'numero' },
+    { nombre: 'Vendedor', tipo: 'categoria' }
+  ],
+  filas: [
+    ['F-1001', 'Ferretería Norte', '2024-03-02', 15400.5, 'Diego'],
+    ['F-1002', 'Papelería Sol', '2024-03-04', 2890, 'Elena'],
+    ['F-1003', 'Oficinas Centro', '2024-03-07', 48210.75, 'Diego'],
+    ['F-1004', 'Ferretería Norte', '2024-03-11', 7300, 'Fernando'],
+    ['F-1005', 'Comercial Bajío', '2024-03-15', 12999.99, 'Elena'],
+    ['F-1006', 'Papelería Sol', '2024-03-21', 610.4, 'Fernando'],
+    ['F-1007', 'Oficinas Centro', '2024-03-28', 33500, 'Diego']
+  ]
+};
+
+const COMPARAR_REGIONES = { axis: ['Región'], values: ['Ventas'] };
+
+export const REPORT_VISUAL_EXERCISES = [
+  {
+    id: 'viz_visual_001',
+    titulo: 'Tendencia del semestre',
+    solicitante: 'Directora comercial',
+    peticion: '¿Nuestras ventas totales van al alza o a la baja de enero a junio?',
+    nivel: 'principiante',
+    subdominio: 'identificar-patrones',
+    datos: ventasSemestre,
+    respuestas: {
+      line: {
+        wells: { axis: ['Mes'], values: ['Ventas'] },
+        explicacion: 'La línea une los meses en orden y deja ver la tendencia de un vistazo.'
+      }
+    },
+    distractores: {
+      column: 'Las columnas comparan meses sueltos; para leer una tendencia continua la línea es más clara.',
+      pie: 'Un circular pierde el orden temporal: no se puede ver si las ventas suben o bajan.'
+    },
+    explicacionCampos: 'El tiempo va en el eje X y la medida en el eje Y; sin leyenda se ve una sola serie con el total.'
+  },
+  {
+    id: 'viz_visual_002',
+    titulo: 'Ranking de regiones',
+    solicitante: 'Gerente de ventas',
+    peticion: 'Necesito comparar cuánto vendió cada región en el semestre y ver cuál va primero.',
+    nivel: 'principiante',
+    subdominio: 'crear-reportes',
+    datos: ventasSemestre,
+    respuestas: {
+      bar: { wells: COMPARAR_REGIONES, explicacion: 'Las barras ordenadas de mayor a menor facilitan comparar longitudes y leer el ranking.' },
+      column: { wells: COMPARAR_REGIONES, explicacion: 'Las columnas ordenadas también comparan bien cinco categorías.' }
+    },
+    distractores: {
+      pie: 'Con cinco regiones de tamaño parecido es difícil comparar ángulos; las barras muestran el ranking con precisión.',
+      line: 'Las regiones no tienen orden temporal: unirlas con una línea sugiere una tendencia que no existe.'
+    },
+    explicacionCampos: 'La categoría que se compara (Región) va en el eje y la medida en los valores.'
+  },
+  {
+    id: 'viz_visual_003',
+    titulo: 'Mezcla de canales',
+    solicitante: 'Directora de marketing',
+    peticion: '¿Qué parte de las ventas totales viene de cada canal (Tienda, En línea, Mayorista)?',
+    nivel: 'principiante',
+    subdominio: 'crear-reportes',
+    datos: ventasSemestre,
+    respuestas: {
+      pie: {
+        wells: { legend: ['Canal'], values: ['Ventas'] },
+        explicacion: 'Con tres canales, el circular comunica bien la proporción de cada uno sobre el total.'
+      }
+    },
+    distractores: {
+      column: 'Las columnas comparan los importes, pero no transmiten que cada canal es una parte del 100%.',
+      bar: 'Las barras comparan los importes, pero no transmiten que cada canal es una parte del 100%.'
+    },
+    explicacionCampos: 'En un circular la categoría va en Leyenda (una porción por canal) y la medida en Valores.'
+  },
+  {
+    id: 'viz_visual_004',
+    titulo: 'Descuento y unidades',
+    solicitante: 'Analista de precios',
+    peticion: '¿Los productos con más descuento venden más unidades? Quiero ver si hay relación y detectar casos raros.',
+    nivel: 'intermedio',
+    subdominio: 'identificar-patrones',
+    datos: productosDescuento,
+    respuestas: {
+      scatter: {
+        wells: { details: ['Producto'], x: ['Descuento %'], y: ['Unidades'] },
+        explicacion: 'La dispersión coloca cada producto según sus dos medidas y revela correlación y atípicos (como Tableta).'
+      }
+    },
+    distractores: {
+      column: 'Las columnas muestran una sola medida por producto; la relación entre dos medidas se ve en una dispersión.',
+      line: 'Una línea supone un orden entre productos que no existe.',
+      table: 'La tabla da los números exactos, pero no deja ver la relación entre descuento y unidades.'
+    },
+    explicacionCampos: 'La causa supuesta (descuento) va en el eje X, el efecto (unidades) en el eje Y y cada punto es un producto.'
+  },
+  {
+    id: 'viz_visual_005',
+    titulo: 'Cifra del semestre',
+    solicitante: 'Director general',
+    peticion: 'En la portada del informe solo quiero ver, en grande, cuánto vendimos en el semestre.',
+    nivel: 'principiante',
+    subdominio: 'crear-reportes',
+    datos: ventasSemestre,
+    respuestas: {
+      card: {
+        wells: { fields: ['Ventas'] },
+        explicacion: 'Una tarjeta destaca un único KPI sin distracciones.'
+      }
+    },
+    distractores: {
+      table: 'Una tabla obliga a buscar el dato; para un único número la tarjeta es directa.',
+      pie: 'Un circular reparte el total en partes; aquí solo se pide el total.'
+    },
+    explicacionCampos: 'La tarjeta solo necesita la medida en Campos.'
+  },
+  {
+    id: 'viz_visual_006',
+    titulo: 'Evolución por canal',
+    solicitante: 'Responsable de comercio electrónico',
+    peticion: 'Quiero demostrar que el canal En línea crece mes a mes frente a los demás canales.',
+    nivel: 'intermedio',
+    subdominio: 'identificar-patrones',
+    datos: ventasSemestre,
+    respuestas: {
+      line: {
+        wells: { axis: ['Mes'], legend: ['Canal'], values: ['Ventas'] },
+        explicacion: 'Una línea por canal compara la tendencia de cada uno en el tiempo.'
+      }
+    },
+    distractores: {
+      column: 'Con tres columnas por mes es difícil seguir la evolución de un canal; las líneas la muestran directamente.',
+      pie: 'Un circular no muestra la evolución mensual.'
+    },
+    explicacionCampos: 'El mes va en el eje X, el canal en Leyenda (una serie por canal) y las ventas en el eje Y.'
+  },
+  {
+    id: 'viz_visual_007',
+    titulo: 'Detalle para auditoría',
+    solicitante: 'Auditor interno',
+    peticion: 'Necesito el importe exacto de cada factura de marzo con su cliente y fecha para cotejarlo.',
+    nivel: 'intermedio',
+    subdominio: 'crear-reportes',
+    datos: facturas,
+    respuestas: {
+      table: {
+        wells: { columns: ['Factura', 'Cliente', 'Fecha', 'Importe'] },
+        explicacion: 'Una tabla muestra los valores exactos fila por fila, que es lo que se necesita para cotejar.'
+      }
+    },
+    distractores: {
+      column: 'Un gráfico resume y redondea visualmente; para cotejar importes exactos hace falta una tabla.',
+      card: 'Una tarjeta solo muestra el total, no cada factura.'
+    },
+    explicacionCampos: 'La tabla lleva las columnas pedidas: factura, cliente, fecha e importe (el vendedor sobra).'
+  }
+].map(exercise => ({ dominio: 'visualizar-analizar', ...exercise }));
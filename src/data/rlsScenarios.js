@@ -0,0 +1,188 @@
+// Modelo y escenarios del simulador de seguridad a nivel de fila (dominio
+// "Administrar y Asegurar"). Ventas se relaciona con Tienda y Empleado (1:*);
+// SeguridadRegion es una tabla de permisos sin relaciones que se consulta desde
+// los filtros DAX. Cada escenario se califica comparando lo que ve cada usuario
+// de prueba con los roles de la solución de referencia.
+
+export const RLS_SAMPLE_MODEL = {
+  tables: {
+    Ventas: {
+      columns: ['VentaID', 'TiendaID', 'EmpleadoID', 'Importe'],
+      rows: [
+        [1, 'T1', 'E4', 1200],
+        [2, 'T1', 'E5', 800],
+        [3, 'T2', 'E4', 450],
+        [4, 'T2', 'E5', 950],
+        [5, 'T3', 'E6', 700],
+        [6, 'T4', 'E6', 300],
+        [7, 'T3', 'E3', 1500],
+        [8, 'T5', 'E7', 2000],
+        [9, 'T5', 'E7', 650],
+        [10, 'T1', 'E2', 1100],
+        [11, 'T4', 'E6', 400],
+        [12, 'T2', 'E5', 500]
+      ]
+    },
+    Tienda: {
+      columns: ['TiendaID', 'Tienda', 'Región'],
+      rows: [
+        ['T1', 'Monterrey', 'Norte'],
+        ['T2', 'Chihuahua', 'Norte'],
+        ['T3', 'Mérida', 'Sur'],
+        ['T4', 'Oaxaca', 'Sur'],
+        ['T5', 'CDMX Centro', 'Centro']
+      ]
+    },
+    Empleado: {
+      columns: ['EmpleadoID', 'Nombre', 'Email', 'Puesto', 'JefeID'],
+      rows: [
+        ['E1', 'Ana Torres', 'ana.torres@contoso.com', 'Directora comercial', null],
+        ['E2', 'Bruno Díaz', 'bruno.diaz@contoso.com', 'Gerente Norte', 'E1'],
+        ['E3', 'Carla Ruiz', 'carla.ruiz@contoso.com', 'Gerente Sur', 'E1'],
+        ['E4', 'Diego Mora', 'diego.mora@contoso.com', 'Vendedor', 'E2'],
+        ['E5', 'Elena Vega', 'elena.vega@contoso.com', 'Vendedora', 'E2'],
+        ['E6', 'Fernando Gil', 'fernando.gil@contoso.com', 'Vendedor', 'E3'],
+        ['E7', 'Gabriela Luna', 'gabriela.luna@contoso.com', 'Gerente Centro', 'E1']
+      ]
+    },
+    SeguridadRegion: {
+      columns: ['Email', 'Región'],
+      rows: [
+        ['bruno.diaz@contoso.com', 'Norte'],
+        ['carla.ruiz@contoso.com', 'Sur'],
+        ['gabriela.luna@contoso.com', 'Centro'],
+        ['auditoria@contoso.com', 'Norte'],
+        ['auditoria@contoso.com', 'Sur']
+      ]
+    }
+  },
+  relationships: [
+    { from: { table: 'Ventas', column: 'TiendaID' }, to: { table: 'Tienda', column: 'TiendaID' } },
+    { from: { table: 'Ventas', column: 'EmpleadoID' }, to: { table: 'Empleado', column: 'EmpleadoID' } }
+  ],
+  measures: {
+    'Ventas Totales': 'SUM(Ventas[Importe])'
+  }
+};
+
+// Medida del visual de "Ver como"
+export const RLS_VISUAL_MEASURE = '[Ventas Totales]';
+
+export const RLS_DIMENSIONS = ['Tienda[Región]', 'Tienda[Tienda]', 'Empleado[Nombre]'];
+
+// Usuarios del tenant que se pueden asignar a roles
+export const RLS_USERS = [
+  ...RLS_SAMPLE_MODEL.tables.Empleado.rows.map(([, nombre, email, puesto]) => ({ email, nombre, puesto })),
+  { email: 'auditoria@contoso.com', nombre: 'Auditoría interna', puesto: 'Auditoría' }
+];
+
+const REGION_FILTER = 'COUNTROWS(FILTER(SeguridadRegion, SeguridadRegion[Email] = USERPRINCIPALNAME() && SeguridadRegion[Región] = Tienda[Región])) > 0';
+const HIERARCHY_FILTER = 'PATHCONTAINS(PATH(Empleado[EmpleadoID], Empleado[JefeID]), LOOKUPVALUE(Empleado[EmpleadoID], Empleado[Email], USERPRINCIPALNAME()))';
+
+export const RLS_SCENARIOS = [
+  {
+    id: 'admin_rls_001',
+    titulo: 'Roles estáticos por región',
+    tipo: 'RLS estática',
+    enunciado: 'Crea un rol "Norte" y un rol "Sur" que filtren las tiendas por región. Asigna a Bruno al rol Norte y a Carla al rol Sur. Diego todavía no tiene acceso.',
+    nivel: 'principiante',
+    dimension: 'Tienda[Región]',
+    usuariosPrueba: ['bruno.diaz@contoso.com', 'carla.ruiz@contoso.com', 'diego.mora@contoso.com'],
+    tablasRevisadas: ['Ventas', 'Tienda'],
+    solucion: [
+      { name: 'Norte', filters: { Tienda: 'Tienda[Región] = "Norte"' }, members: ['bruno.diaz@contoso.com'] },
+      { name: 'Sur', filters: { Tienda: 'Tienda[Región] = "Sur"' }, members: ['carla.ruiz@contoso.com'] }
+    ],
+    pistas: [
+      'El filtro de un rol es una expresión DAX que se evalúa fila por fila y devuelve VERDADERO o FALSO.',
+      'Filtrar la dimensión Tienda basta: el filtro llega a Ventas por la relación.',
+      'Un usuario sin ningún rol no ve datos del modelo.'
+    ]
+  },
+  {
+    id: 'admin_rls_002',
+    titulo: 'Varios roles por usuario',
+    tipo: 'RLS estática',
+    enunciado: 'Mantén los roles Norte (Bruno) y Sur (Carla). Ana, la directora, debe ver todas las regiones con un rol "Dirección" sin filtros, y Auditoría interna necesita ver Norte y Sur pero no Centro.',
+    nivel: 'intermedio',
+    dimension: 'Tienda[Región]',
+    usuariosPrueba: ['ana.torres@contoso.com', 'auditoria@contoso.com', 'bruno.diaz@contoso.com', 'carla.ruiz@contoso.com'],
+    tablasRevisadas: ['Ventas', 'Tienda'],
+    solucion: [
+      { name: 'Norte', filters: { Tienda: 'Tienda[Región] = "Norte"' }, members: ['bruno.diaz@contoso.com', 'auditoria@contoso.com'] },
+      { name: 'Sur', filters: { Tienda: 'Tienda[Región] = "Sur"' }, members: ['carla.ruiz@contoso.com', 'auditoria@contoso.com'] },
+      { name: 'Dirección', filters: {}, members: ['ana.torres@contoso.com'] }
+    ],
+    pistas: [
+      'Si un usuario pertenece a varios roles ve la unión de lo que permite cada uno.',
+      'Un rol sin filtros da acceso a todas las filas.'
+    ]
+  },
+  {
+    id: 'admin_rls_003',
+    titulo: 'Cada vendedor ve sus ventas',
+    tipo: 'RLS dinámica',
+    enunciado: 'Con un único rol "Vendedores", haz que Diego, Elena y Fernando vean solo sus propias ventas usando el correo con el que inician sesión.',
+    nivel: 'intermedio',
+    dimension: 'Empleado[Nombre]',
+    usuariosPrueba: ['diego.mora@contoso.com', 'elena.vega@contoso.com', 'fernando.gil@contoso.com'],
+    tablasRevisadas: ['Ventas', 'Empleado'],
+    requisitos: { funciones: ['USERPRINCIPALNAME'], maxRoles: 1 },
+    solucion: [
+      {
+        name: 'Vendedores',
+        filters: { Empleado: 'Empleado[Email] = USERPRINCIPALNAME()' },
+        members: ['diego.mora@contoso.com', 'elena.vega@contoso.com', 'fernando.gil@contoso.com']
+      }
+    ],
+    pistas: [
+      'USERPRINCIPALNAME() devuelve el correo del usuario que abre el informe.',
+      'Compara ese valor con la columna de correo de la tabla Empleado.'
+    ]
+  },
+  {
+    id: 'admin_rls_004',
+    titulo: 'Tabla de permisos por región',
+    tipo: 'RLS dinámica',
+    enunciado: 'La tabla SeguridadRegion indica qué regiones puede ver cada correo (Auditoría tiene dos). Con un solo rol "Regional" asignado a Bruno, Carla, Gabriela y Auditoría, filtra Tienda según esa tabla.',
+    nivel: 'avanzado',
+    dimension: 'Tienda[Región]',
+    usuariosPrueba: ['bruno.diaz@contoso.com', 'carla.ruiz@contoso.com', 'gabriela.luna@contoso.com', 'auditoria@contoso.com'],
+    tablasRevisadas: ['Ventas', 'Tienda'],
+    requisitos: { funciones: ['USERPRINCIPALNAME'], maxRoles: 1 },
+    solucion: [
+      {
+        name: 'Regional',
+        filters: { Tienda: REGION_FILTER },
+        members: ['bruno.diaz@contoso.com', 'carla.ruiz@contoso.com', 'gabriela.luna@contoso.com', 'auditoria@contoso.com']
+      }
+    ],
+    pistas: [
+      'LOOKUPVALUE falla si el correo tiene varias regiones: prueba "Ver como" Auditoría.',
+      'Cuenta las filas de SeguridadRegion que coinciden con el usuario y con la región de la tienda: FILTER puede leer Tienda[Región] de la fila que se está evaluando.'
+    ]
+  },
+  {
+    id: 'admin_rls_005',
+    titulo: 'Jerarquía de responsables',
+    tipo: 'Jerarquía',
+    enunciado: 'Cada persona debe ver sus ventas y las de todo su equipo, directo o indirecto (Ana ve todo, Bruno ve las de Diego y Elena). Usa un solo rol "Jerarquía" asignado a toda la plantilla.',
+    nivel: 'avanzado',
+    dimension: 'Empleado[Nombre]',
+    usuariosPrueba: ['ana.torres@contoso.com', 'bruno.diaz@contoso.com', 'carla.ruiz@contoso.com', 'diego.mora@contoso.com'],
+    tablasRevisadas: ['Ventas', 'Empleado'],
+    requisitos: { funciones: ['PATHCONTAINS', 'USERPRINCIPALNAME'], maxRoles: 1 },
+    solucion: [
+      {
+        name: 'Jerarquía',
+        filters: { Empleado: HIERARCHY_FILTER },
+        members: RLS_SAMPLE_MODEL.tables.Empleado.rows.map(row => row[2])
+      }
+    ],
+    pistas: [
+      'PATH(Empleado[EmpleadoID], Empleado[JefeID]) devuelve la cadena de jefes de cada fila, por ejemplo "E1|E2|E4".',
+      'Una fila debe quedar visible si el ID del usuario aparece en su ruta: PATHCONTAINS.',
+      'Obtén el ID del usuario con LOOKUPVALUE a partir de USERPRINCIPALNAME().'
+    ]
+  }
+].map(scenario => ({ dominio: 'administrar-asegurar', subdominio: 'asegurar-gobernar', ...scenario }));
@@ -0,0 +1,380 @@
+// Taxonomía canónica PL-300: dominios y subdominios compartidos por todos los motores
+// (banco de preguntas, estadísticas de progreso, habilidades, diagnóstico y visualizaciones).
+// Cualquier alias histórico se resuelve aquí para que las estadísticas no se dividan.
+// ⚠️ Módulo sin dependencias: también lo carga scripts/validate-questions.js desde Node.
+
+// ============================================================================
+// 1. DOMINIOS Y SUBDOMINIOS CANÓNICOS
+// ============================================================================
+
+export const NIVELES = ['principiante', 'intermedio', 'avanzado'];
+
+export const TAXONOMIA_PL300 = {
+  'preparar-datos': {
+    titulo: 'Preparar los Datos',
+    nombreCorto: 'Preparar Datos',
+    icono: '📊',
+    color: '#2196F3',
+    peso: { min: 0.25, max: 0.30 },
+    prefijoId: 'prep',
+    alias: ['preparar', 'prepare-data', 'preparacion-datos', 'preparar-los-datos'],
+    subdominios: {
+      'obtener-datos': {
+        titulo: 'Obtener/conectar datos',
+        categoria: 'Conexión y Obtención de Datos',
+        alias: ['conectar-datos', 'obtener-conectar-datos']
+      },
+      'perfilar-limpiar-datos': {
+        titulo: 'Perfilar/limpiar datos',
+        categoria: 'Limpieza y Perfilado de Datos',
+        alias: ['perfilar-datos', 'limpiar-datos']
+      },
+      'transformar-cargar-datos': {
+        titulo: 'Transformar/cargar datos',
+        categoria: 'Transformación de Datos',
+        alias: ['transformar-datos', 'cargar-datos']
+      }
+    }
+  },
+  'modelar-datos': {
+    titulo: 'Modelar los Datos',
+    nombreCorto: 'Modelar Datos',
+    icono: '🔗',
+    color: '#FF5722',
+    peso: { min: 0.30, max: 0.35 },
+    prefijoId: 'model',
+    alias: ['modelar', 'model-data', 'modelado', 'modelar-los-datos'],
+    subdominios: {
+      'disenar-modelo': {
+        titulo: 'Diseñar/implementar modelo',
+        categoria: 'Diseño de Modelo de Datos',
+        alias: ['disenar-implementar-modelo', 'implementar-modelo']
+      },
+      'crear-calculos-dax': {
+        titulo: 'Crear cálculos DAX',
+        categoria: 'DAX y Cálculos',
+        alias: ['crear-calculos', 'dax', 'calculos-dax']
+      },
+      'optimizar-rendimiento': {
+        titulo: 'Optimizar rendimiento',
+        categoria: 'Optimización y Rendimiento',
+        alias: ['optimizar-modelo', 'rendimiento']
+      }
+    }
+  },
+  'visualizar-analizar': {
+    titulo: 'Visualizar y Analizar',
+    nombreCorto: 'Visualizar y Analizar',
+    icono: '📈',
+    color: '#9C27B0',
+    peso: { min: 0.25, max: 0.30 },
+    prefijoId: 'viz',
+    alias: ['visualizar', 'visualize-analyze', 'visualizar-y-analizar'],
+    subdominios: {
+      'crear-reportes': {
+        titulo: 'Crear reportes',
+        categoria: 'Creación de Visualizaciones',
+        alias: ['crear-dashboards', 'reportes']
+      },
+      'mejorar-usabilidad': {
+        titulo: 'Mejorar usabilidad/storytelling',
+        categoria: 'UX y Storytelling',
+        alias: ['usabilidad', 'storytelling']
+      },
+      'identificar-patrones': {
+        titulo: 'Identificar patrones/tendencias',
+        categoria: 'Análisis de Patrones',
+        alias: ['enriquecer-reportes', 'analizar-patrones']
+      }
+    }
+  },
+  'administrar-asegurar': {
+    titulo: 'Administrar y Asegurar',
+    nombreCorto: 'Administrar y Asegurar',
+    icono: '🔐',
+    color: '#4CAF50',
+    peso: { min: 0.15, max: 0.20 },
+    prefijoId: 'admin',
+    alias: ['administrar', 'implementar-mantener', 'desplegar-mantener', 'administrar-y-asegurar'],
+    subdominios: {
+      'crear-gestionar-workspaces': {
+        titulo: 'Crear/gestionar workspaces',
+        categoria: 'Workspaces y Colaboración',
+        alias: ['administrar-datasets', 'proporcionar-acceso', 'workspaces']
+      },
+      'asegurar-gobernar': {
+        titulo: 'Asegurar/gobernar items',
+        categoria: 'Seguridad y Gobierno',
+        alias: ['implementar-rls', 'seguridad', 'gobernanza']
+      }
+    }
+  }
+};
+
+export const DOMINIOS = Object.keys(TAXONOMIA_PL300);
+
+// ============================================================================
+// 2. RESOLUCIÓN DE ALIAS
+// ============================================================================
+
+/**
+ * Normaliza un identificador: minúsculas, sin acentos, separado por guiones
+ * ('Diseñar_Implementar Modelo' → 'disenar-implementar-modelo')
+ */
+export function slugTaxonomia(value) {
+  if (typeof value !== 'string') return '';
+  return value
+    .trim()
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[\s_/]+/g, '-')
+    .replace(/[^a-z0-9-]/g, '')
+    .replace(/-+/g, '-');
+}
+
+const DOMINIO_POR_ALIAS = {};
+const SUBDOMINIO_POR_ALIAS = {};
+
+Object.entries(TAXONOMIA_PL300).forEach(([dominio, info]) => {
+  [dominio, ...info.alias].forEach((alias) => {
+    DOMINIO_POR_ALIAS[slugTaxonomia(alias)] = dominio;
+  });
+  Object.entries(info.subdominios).forEach(([subdominio, subInfo]) => {
+    [subdominio, ...subInfo.alias].forEach((alias) => {
+      SUBDOMINIO_POR_ALIAS[slugTaxonomia(alias)] = { dominio, subdominio };
+    });
+  });
+});
+
+/**
+ * Dominio canónico para un valor (dominio o alias de dominio). null si no se reconoce.
+ * Un subdominio NO se sube a su dominio: quien lo necesite usa getSubdomainParent.
+ */
+export function resolveDomain(value) {
+  const slug = slugTaxonomia(value);
+  if (!slug) return null;
+  return DOMINIO_POR_ALIAS[slug] || null;
+}
+
+/**
+ * Subdominio canónico para un valor (subdominio o alias). null si no se reconoce.
+ */
+export function resolveSubdomain(value) {
+  const slug = slugTaxonomia(value);
+  if (!slug) return null;
+  return SUBDOMINIO_POR_ALIAS[slug]?.subdominio || null;
+}
+
+/**
+ * Dominio al que pertenece un subdominio canónico o alias
+ */
+export function getSubdomainParent(value) {
+  return SUBDOMINIO_POR_ALIAS[slugTaxonomia(value)]?.dominio || null;
+}
+
+/**
+ * Clave canónica de domainStats. Los dominios (y sus alias) van a su dominio y los
+ * subdominios a su propio bucket: las prácticas (DAX, modelo, RLS...) se registran por
+ * subdominio y no deben mezclarse con las estadísticas del dominio padre.
+ * null si no se reconoce.
+ */
+export function resolveStatsKey(value) {
+  return resolveDomain(value) || resolveSubdomain(value);
+}
+
+// ============================================================================
+// 3. NOMBRES Y PESOS
+// ============================================================================
+
+export function getDomainInfo(value) {
+  const dominio = resolveDomain(value);
+  return dominio ? TAXONOMIA_PL300[dominio] : null;
+}
+
+export function getDomainLabel(value, { corto = true } = {}) {
+  const info = getDomainInfo(value);
+  // Los buckets de subdominio de domainStats se muestran con su propio título
+  if (!info) return getSubdomainLabel(value);
+  return corto ? info.nombreCorto : info.titulo;
+}
+
+export function getDomainIcon(value) {
+  return getDomainInfo(value)?.icono || '📚';
+}
+
+export function getSubdomainLabel(value) {
+  const subdominio = resolveSubdomain(value);
+  if (!subdominio) return value;
+  return TAXONOMIA_PL300[getSubdomainParent(subdominio)].subdominios[subdominio].titulo;
+}
+
+export function getSubdomainCategory(value) {
+  const subdominio = resolveSubdomain(value);
+  if (!subdominio) return value;
+  return TAXONOMIA_PL300[getSubdomainParent(subdominio)].subdominios[subdominio].categoria;
+}
+
+/**
+ * Rango oficial como texto ('25-30%')
+ */
+export function formatDomainWeight(value) {
+  const info = getDomainInfo(value);
+  if (!info) return '';
+  return `${Math.round(info.peso.min * 100)}-${Math.round(info.peso.max * 100)}%`;
+}
+
+/**
+ * Pesos por dominio (punto medio del rango oficial) normalizados para sumar 1
+ */
+export function getDomainWeights() {
+  const midpoints = DOMINIOS.map((dominio) => {
+    const { min, max } = TAXONOMIA_PL300[dominio].peso;
+    return [dominio, (min + max) / 2];
+  });
+  const total = midpoints.reduce((sum, [, weight]) => sum + weight, 0);
+  return Object.fromEntries(midpoints.map(([dominio, weight]) => [dominio, weight / total]));
+}
+
+// ============================================================================
+// 4. NORMALIZACIÓN DE PREGUNTAS
+// ============================================================================
+
+/**
+ * Devuelve la pregunta con dominio/subdominio/nivel canónicos.
+ * Orden de confianza: dominio declarado → subdominio declarado → bloque donde está escrita.
+ */
+export function normalizeQuestionTaxonomy(question, { dominio: bloqueDominio, nivel: bloqueNivel } = {}) {
+  const subdominio = resolveSubdomain(question.subdominio) || resolveSubdomain(question.dominio);
+  const dominio = resolveDomain(question.dominio)
+    || getSubdomainParent(question.dominio)
+    || getSubdomainParent(question.subdominio)
+    || resolveDomain(bloqueDominio);
+  const nivel = NIVELES.includes(question.nivel) ? question.nivel : bloqueNivel;
+
+  return {
+    ...question,
+    dominio: dominio || question.dominio,
+    subdominio: subdominio || question.subdominio,
+    nivel
+  };
+}
+
+/**
+ * Normaliza todo el banco y reubica cada pregunta en el bloque {dominio: {nivel: []}}
+ * que indican sus propios metadatos (el orden relativo se conserva).
+ */
+export function normalizeQuestionBank(bank) {
+  const normalized = {};
+  DOMINIOS.forEach((dominio) => {
+    normalized[dominio] = Object.fromEntries(NIVELES.map((nivel) => [nivel, []]));
+  });
+
+  Object.entries(bank || {}).forEach(([bloqueDominio, niveles]) => {
+    Object.entries(niveles || {}).forEach(([bloqueNivel, preguntas]) => {
+      (preguntas || []).forEach((pregunta) => {
+        const normalizada = normalizeQuestionTaxonomy(pregunta, { dominio: bloqueDominio, nivel: bloqueNivel });
+        if (!normalized[normalizada.dominio]) {
+          normalized[normalizada.dominio] = {};
+        }
+        if (!normalized[normalizada.dominio][normalizada.nivel]) {
+          normalized[normalizada.dominio][normalizada.nivel] = [];
+        }
+        normalized[normalizada.dominio][normalizada.nivel].push(normalizada);
+      });
+    });
+  });
+
+  return normalized;
+}
+
+// ============================================================================
+// 5. ESTADÍSTICAS GUARDADAS (claves canónicas y migración)
+// ============================================================================
+
+const DOMAIN_STAT_COUNTERS = ['attempted', 'correct', 'incorrect', 'timeSpent', 'total'];
+
+/**
+ * Fusiona domainStats guardados bajo alias en su clave canónica (ver resolveStatsKey):
+ * los alias de dominio en el dominio y los de subdominio en el subdominio.
+ * Las claves que no se reconocen se conservan tal cual.
+ */
+export function canonicalizeDomainStats(domainStats = {}) {
+  const merged = {};
+
+  Object.entries(domainStats || {}).forEach(([key, stats]) => {
+    const dominio = resolveStatsKey(key) || key;
+    const current = merged[dominio];
+    if (!current) {
+      merged[dominio] = { ...stats };
+      return;
+    }
+    DOMAIN_STAT_COUNTERS.forEach((counter) => {
+      if (typeof stats?.[counter] === 'number' || typeof current[counter] === 'number') {
+        current[counter] = (current[counter] || 0) + (stats?.[counter] || 0);
+      }
+    });
+  });
+
+  Object.values(merged).forEach((stats) => {
+    if (typeof stats.timeSpent === 'number' && stats.attempted > 0) {
+      stats.avgTime = stats.timeSpent / stats.attempted;
+    }
+  });
+
+  return merged;
+}
+
+/**
+ * Suma stats a domainStats bajo su clave canónica: el dominio, o el propio subdominio
+ * si se pasa un subdominio (ver resolveStatsKey). Las claves desconocidas se usan tal cual.
+ */
+export function addDomainStats(domainStats = {}, rawDomain, stats) {
+  const domain = resolveStatsKey(rawDomain) || rawDomain;
+  const current = domainStats?.[domain] || {
+    attempted: 0,
+    correct: 0,
+    timeSpent: 0,
+    total: 0,
+    avgTime: 0
+  };
+
+  return {
+    ...domainStats,
+    [domain]: {
+      attempted: current.attempted + (stats.attempted || 0),
+      correct: current.correct + (stats.correct || 0),
+      timeSpent: current.timeSpent + (stats.timeSpent || 0),
+      total: current.total + (stats.total || 0),
+      avgTime: stats.avgTime !== undefined ? stats.avgTime : current.avgTime
+    }
+  };
+}
+
+/**
+ * Reescribe domain/subDomain de cada tracking (y de sus intentos) con claves canónicas
+ */
+export function canonicalizeQuestionTracking(questionTracking = {}) {
+  const canonicalizeEntry = (entry) => {
+    if (!entry || typeof entry !== 'object') return entry;
+    const next = { ...entry };
+    // Los registros antiguos guardaban el subdominio en `domain`: se sube a su dominio padre
+    const dominio = resolveDomain(entry.domain) || getSubdomainParent(entry.domain);
+    if (dominio) next.domain = dominio;
+    const subDomain = resolveSubdomain(entry.subDomain) || (entry.subDomain ? null : resolveSubdomain(entry.domain));
+    if (subDomain) next.subDomain = subDomain;
+    const subdominio = resolveSubdomain(entry.subdominio);
+    if (subdominio) next.subdominio = subdominio;
+    return next;
+  };
+
+  return Object.fromEntries(
+    Object.entries(questionTracking || {}).map(([questionId, tracking]) => {
+      const next = canonicalizeEntry(tracking);
+      if (Array.isArray(tracking?.timestamps)) {
+        next.timestamps = tracking.timestamps.map(canonicalizeEntry);
+      }
+      return [questionId, next];
+    })
+  );
+}
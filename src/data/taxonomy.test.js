@@ -0,0 +1,156 @@
+import {
+  addDomainStats,
+  canonicalizeDomainStats,
+  canonicalizeQuestionTracking,
+  getDomainLabel,
+  normalizeQuestionTaxonomy,
+  resolveDomain,
+  resolveStatsKey,
+  resolveSubdomain
+} from './taxonomy';
+import { progressMigrator } from '../services/progressMigrator';
+import { DAX_CHALLENGES } from './daxSandboxModel';
+
+describe('resolución de dominios y subdominios', () => {
+  test('resolveDomain solo reconoce dominios y sus alias', () => {
+    expect(resolveDomain('Modelado')).toBe('modelar-datos');
+    expect(resolveDomain('model_data')).toBe('modelar-datos');
+    expect(resolveDomain('crear-calculos-dax')).toBeNull();
+    expect(resolveDomain('dax')).toBeNull();
+  });
+
+  test('resolveStatsKey deja los subdominios en su propio bucket', () => {
+    expect(resolveStatsKey('modelado')).toBe('modelar-datos');
+    expect(resolveStatsKey('crear-calculos-dax')).toBe('crear-calculos-dax');
+    expect(resolveStatsKey('calculos_dax')).toBe('crear-calculos-dax');
+    expect(resolveStatsKey('implementar-rls')).toBe('asegurar-gobernar');
+    expect(resolveStatsKey('general')).toBeNull();
+  });
+
+  test('una pregunta con un subdominio en `dominio` se ubica en el dominio padre', () => {
+    const question = normalizeQuestionTaxonomy({ id: 'q1', dominio: 'dax', nivel: 'avanzado' });
+    expect(question.dominio).toBe('modelar-datos');
+    expect(question.subdominio).toBe(resolveSubdomain('dax'));
+  });
+
+  test('getDomainLabel también nombra los buckets de subdominio', () => {
+    expect(getDomainLabel('crear-calculos-dax')).toBe('Crear cálculos DAX');
+    expect(getDomainLabel('desconocido')).toBe('desconocido');
+  });
+});
+
+describe('addDomainStats', () => {
+  test('un reto del sandbox DAX cuenta en domainStats["crear-calculos-dax"]', () => {
+    const [challenge] = DAX_CHALLENGES;
+    const domainStats = addDomainStats(
+      { 'modelar-datos': { attempted: 3, correct: 2, timeSpent: 90, total: 3, avgTime: 30 } },
+      challenge.subdominio,
+      { attempted: 1, correct: 1, total: 1, timeSpent: 40 }
+    );
+
+    expect(Object.keys(domainStats).sort()).toEqual(['crear-calculos-dax', 'modelar-datos']);
+    expect(domainStats['crear-calculos-dax']).toEqual({ attempted: 1, correct: 1, timeSpent: 40, total: 1, avgTime: 0 });
+    expect(domainStats['modelar-datos']).toEqual({ attempted: 3, correct: 2, timeSpent: 90, total: 3, avgTime: 30 });
+  });
+
+  test('los alias se acumulan en la misma clave canónica', () => {
+    let domainStats = addDomainStats(undefined, 'dax', { attempted: 1, correct: 0, total: 1 });
+    domainStats = addDomainStats(domainStats, 'crear-calculos-dax', { attempted: 1, correct: 1, total: 1 });
+    domainStats = addDomainStats(domainStats, 'modelado', { attempted: 1, correct: 1, total: 1 });
+
+    expect(domainStats['crear-calculos-dax']).toMatchObject({ attempted: 2, correct: 1, total: 2 });
+    expect(domainStats['modelar-datos']).toMatchObject({ attempted: 1, correct: 1, total: 1 });
+    expect(domainStats.dax).toBeUndefined();
+  });
+
+  test('las claves que la taxonomía no reconoce se usan tal cual', () => {
+    expect(addDomainStats({}, 'general', { attempted: 1 })).toHaveProperty('general.attempted', 1);
+  });
+});
+
+describe('canonicalizeDomainStats', () => {
+  test('fusiona los alias de un dominio sumando contadores y recalculando avgTime', () => {
+    const merged = canonicalizeDomainStats({
+      modelado: { attempted: 4, correct: 3, incorrect: 1, timeSpent: 40, total: 4, avgTime: 10 },
+      'modelar-datos': { attempted: 6, correct: 2, incorrect: 4, timeSpent: 120, total: 6, avgTime: 20 }
+    });
+
+    expect(Object.keys(merged)).toEqual(['modelar-datos']);
+    expect(merged['modelar-datos']).toMatchObject({ attempted: 10, correct: 5, incorrect: 5, timeSpent: 160, total: 10, avgTime: 16 });
+  });
+
+  test('los subdominios se canonicalizan sin mezclarse con el dominio padre', () => {
+    const merged = canonicalizeDomainStats({
+      'modelar-datos': { attempted: 5, correct: 4, timeSpent: 50, total: 5 },
+      dax: { attempted: 1, correct: 0, timeSpent: 10, total: 1 },
+      'crear-calculos-dax': { attempted: 2, correct: 2, timeSpent: 30, total: 2 }
+    });
+
+    expect(merged['modelar-datos']).toMatchObject({ attempted: 5, correct: 4 });
+    expect(merged['crear-calculos-dax']).toMatchObject({ attempted: 3, correct: 2, timeSpent: 40, total: 3 });
+    expect(merged.dax).toBeUndefined();
+  });
+
+  test('conserva tal cual las claves que no reconoce', () => {
+    const stats = { attempted: 1, correct: 1 };
+    expect(canonicalizeDomainStats({ general: stats })).toEqual({ general: stats });
+    expect(canonicalizeDomainStats(undefined)).toEqual({});
+  });
+});
+
+describe('canonicalizeQuestionTracking', () => {
+  test('reescribe domain/subDomain del tracking y de cada intento', () => {
+    const tracking = canonicalizeQuestionTracking({
+      q1: {
+        domain: 'modelado',
+        subDomain: 'dax',
+        totalAttempts: 2,
+        timestamps: [{ date: '2026-10-01T10:00:00.000Z', correct: true, domain: 'preparar', subdominio: 'limpiar-datos' }]
+      }
+    });
+
+    expect(tracking.q1).toMatchObject({ domain: 'modelar-datos', subDomain: 'crear-calculos-dax', totalAttempts: 2 });
+    expect(tracking.q1.timestamps[0]).toMatchObject({ domain: 'preparar-datos', subdominio: 'perfilar-limpiar-datos', correct: true });
+  });
+
+  test('un registro antiguo con el subdominio en `domain` se reparte en domain y subDomain', () => {
+    const tracking = canonicalizeQuestionTracking({ q1: { domain: 'implementar-rls' } });
+    expect(tracking.q1).toEqual({ domain: 'administrar-asegurar', subDomain: 'asegurar-gobernar' });
+  });
+
+  test('no inventa subDomain si ya había uno que no se reconoce', () => {
+    const tracking = canonicalizeQuestionTracking({ q1: { domain: 'dax', subDomain: 'otra-cosa' } });
+    expect(tracking.q1).toEqual({ domain: 'modelar-datos', subDomain: 'otra-cosa' });
+  });
+});
+
+describe('migración 1.1.0', () => {
+  test('canonicaliza questionTracking y domainStats de un snapshot 1.0.0', () => {
+    const { snapshot, migrated, toVersion } = progressMigrator.migrate({
+      version: '1.0.0',
+      progress: {
+        questionTracking: { q1: { domain: 'visualizar', subDomain: 'reportes', totalAttempts: 1 } },
+        domainStats: {
+          visualizar: { attempted: 2, correct: 1, total: 2 },
+          'visualizar-analizar': { attempted: 3, correct: 3, total: 3 },
+          'crear-calculos-dax': { attempted: 1, correct: 1, total: 1 }
+        }
+      }
+    });
+
+    expect(migrated).toBe(true);
+    expect(toVersion).toBe('1.1.0');
+    expect(snapshot.progress.questionTracking.q1).toMatchObject({ domain: 'visualizar-analizar', subDomain: 'crear-reportes' });
+    expect(snapshot.progress.domainStats).toEqual({
+      'visualizar-analizar': { attempted: 5, correct: 4, total: 5 },
+      'crear-calculos-dax': { attempted: 1, correct: 1, total: 1 }
+    });
+  });
+
+  test('un snapshot ya en 1.1.0 no se vuelve a fusionar', () => {
+    const progress = { domainStats: { modelado: { attempted: 1, correct: 1 } } };
+    const { snapshot, migrated } = progressMigrator.migrate({ version: '1.1.0', progress });
+    expect(migrated).toBe(false);
+    expect(snapshot.progress).toEqual(progress);
+  });
+});
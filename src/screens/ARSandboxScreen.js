@@ -0,0 +1,357 @@
+import React, { useState, useMemo } from 'react';
+import DragDropActivity from '../components/activities/DragDropActivity';
+import { readSpreadsheetFile } from '../utils/spreadsheet';
+import {
+  INVOICE_FIELDS,
+  PAYMENT_FIELDS,
+  suggestColumnMapping,
+  getMissingRequiredFields,
+  mapInvoiceRows,
+  mapPaymentRows,
+  buildSandboxDataset
+} from '../utils/arImport';
+import {
+  validateAgingBuckets,
+  validateDSOCalculation,
+  validatePaymentMatching
+} from '../utils/ValidationEngine';
+import { getReferenceDate } from '../utils/DatasetLoader';
+import '../styles/ARSandboxScreen.css';
+
+const AGING_RANGES = ['0-30', '31-60', '61-90', '90+'];
+
+const formatMoney = (value) =>
+  `$${(Number(value) || 0).toLocaleString('es-ES', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Selector de archivo + mapeo de columnas para un tipo de registro
+ */
+const FileMapper = ({ title, fields, table, mapping, onFile, onMappingChange, error }) => (
+  <section className="sandbox-card">
+    <h3>{title}</h3>
+    <input
+      type="file"
+      accept=".csv,.xlsx,.txt,.tsv"
+      onChange={(e) => e.target.files[0] && onFile(e.target.files[0])}
+    />
+    {error && <p className="sandbox-error">⚠️ {error}</p>}
+
+    {table && (
+      <>
+        <p className="sandbox-hint">{table.rows.length} filas · {table.headers.length} columnas</p>
+        <div className="sandbox-mapping">
+          {fields.map(field => (
+            <label
+              key={field.key}
+              className={`sandbox-mapping-row ${field.required && !mapping[field.key] ? 'missing' : ''}`}
+            >
+              <span>{field.label}{field.required && ' *'}</span>
+              <select
+                value={mapping[field.key] || ''}
+                onChange={(e) => onMappingChange({ ...mapping, [field.key]: e.target.value })}
+              >
+                <option value="">— Sin asignar —</option>
+                {table.headers.map(header => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+        </div>
+      </>
+    )}
+  </section>
+);
+
+/**
+ * Ejercicio de aging: el usuario reparte la cartera vencida en buckets
+ */
+const AgingExercise = ({ dataset }) => {
+  const [buckets, setBuckets] = useState({});
+  const [result, setResult] = useState(null);
+  const asOfDate = new Date(`${dataset.referenceDate}T12:00:00Z`);
+
+  const check = () => {
+    const userBuckets = AGING_RANGES.reduce((acc, range) => {
+      acc[range] = parseFloat(buckets[range]) || 0;
+      return acc;
+    }, {});
+    setResult(validateAgingBuckets(userBuckets, dataset.invoices, asOfDate));
+  };
+
+  return (
+    <div className="sandbox-exercise">
+      <p>
+        Calcula el saldo pendiente por días de vencimiento al <strong>{dataset.referenceDate}</strong>.
+        Las facturas pagadas no cuentan.
+      </p>
+      <div className="sandbox-inputs">
+        {AGING_RANGES.map(range => (
+          <label key={range}>
+            <span>{range} días</span>
+            <input
+              type="number"
+              step="0.01"
+              value={buckets[range] || ''}
+              onChange={(e) => setBuckets(prev => ({ ...prev, [range]: e.target.value }))}
+            />
+            {result && (
+              <small className={Math.abs((result.userBuckets[range] || 0) - result.correctBuckets[range]) <= result.correctBuckets[range] * 0.1 ? 'ok' : 'wrong'}>
+                Correcto: {formatMoney(result.correctBuckets[range])}
+              </small>
+            )}
+          </label>
+        ))}
+      </div>
+      <button className="sandbox-button primary" onClick={check}>Comprobar aging</button>
+      {result && <p className="sandbox-score">Puntuación: {result.score}%</p>}
+    </div>
+  );
+};
+
+/**
+ * Ejercicio de DSO con la cartera y ventas del archivo
+ */
+const DSOExercise = ({ dataset }) => {
+  const [answer, setAnswer] = useState('');
+  const [result, setResult] = useState(null);
+  const { totalAR, totalRevenue, days } = dataset.metrics;
+
+  return (
+    <div className="sandbox-exercise">
+      <p>
+        Cartera pendiente: <strong>{formatMoney(totalAR)}</strong> · Ventas facturadas del periodo:{' '}
+        <strong>{formatMoney(totalRevenue)}</strong> · Periodo: <strong>{days} días</strong>
+      </p>
+      <p className="sandbox-hint">DSO = Cartera ÷ (Ventas ÷ días del periodo)</p>
+      <div className="sandbox-inputs">
+        <label>
+          <span>Tu DSO (días)</span>
+          <input type="number" step="0.1" value={answer} onChange={(e) => setAnswer(e.target.value)} />
+        </label>
+      </div>
+      <button
+        className="sandbox-button primary"
+        disabled={answer === '' || totalRevenue <= 0}
+        onClick={() => setResult(validateDSOCalculation(parseFloat(answer), totalAR, totalRevenue, days))}
+      >
+        Comprobar DSO
+      </button>
+      {result && (
+        <p className={`sandbox-score ${result.valid ? 'ok' : 'wrong'}`}>
+          {result.valid ? '✅' : '❌'} DSO correcto: {result.correctDSO} días · Puntuación: {Math.round(result.score)}%
+        </p>
+      )}
+    </div>
+  );
+};
+
+/**
+ * Ejercicio de Cash Application con los pagos importados
+ */
+const MatchingExercise = ({ dataset }) => {
+  const [result, setResult] = useState(null);
+
+  if (dataset.matchTargets.length === 0 || Object.keys(dataset.correctMatches).length === 0) {
+    return (
+      <div className="sandbox-exercise">
+        <p>Importa un archivo de pagos con clientes que coincidan con facturas pendientes para practicar la aplicación de cobros.</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="sandbox-exercise">
+      <DragDropActivity
+        items={dataset.payments}
+        targets={dataset.matchTargets}
+        correctMatches={dataset.correctMatches}
+        instructions="Aplica cada pago a la factura que liquida. Revisa referencia, cliente y monto."
+        onComplete={({ matches }) => setResult(validatePaymentMatching(matches, dataset.correctMatches))}
+      />
+      {result && (
+        <p className={`sandbox-score ${result.valid ? 'ok' : 'wrong'}`}>
+          {result.correct} de {result.total} pagos aplicados correctamente ({result.score}%)
+        </p>
+      )}
+    </div>
+  );
+};
+
+const EXERCISES = [
+  { id: 'aging', label: '📅 Aging', Component: AgingExercise },
+  { id: 'dso', label: '⏱️ DSO', Component: DSOExercise },
+  { id: 'matching', label: '🔄 Cash Application', Component: MatchingExercise }
+];
+
+/**
+ * ARSandboxScreen - Práctica con cartera real (CSV/XLSX)
+ * Los archivos se leen en el navegador y solo viven en memoria:
+ * no se guardan en el progreso ni se envían a ningún servidor.
+ */
+const ARSandboxScreen = ({ onNavigate }) => {
+  const [invoiceTable, setInvoiceTable] = useState(null);
+  const [paymentTable, setPaymentTable] = useState(null);
+  const [invoiceMapping, setInvoiceMapping] = useState({});
+  const [paymentMapping, setPaymentMapping] = useState({});
+  const [fileErrors, setFileErrors] = useState({});
+  const [referenceDate, setReferenceDate] = useState(() => getReferenceDate());
+  const [dataset, setDataset] = useState(null);
+  const [importReport, setImportReport] = useState(null);
+  const [activeExercise, setActiveExercise] = useState(EXERCISES[0].id);
+
+  const loadFile = async (file, kind) => {
+    try {
+      const table = await readSpreadsheetFile(file);
+      if (table.rows.length === 0) {
+        throw new Error('El archivo no tiene filas de datos');
+      }
+      setFileErrors(prev => ({ ...prev, [kind]: null }));
+      if (kind === 'invoices') {
+        setInvoiceTable(table);
+        setInvoiceMapping(suggestColumnMapping(table.headers, INVOICE_FIELDS));
+      } else {
+        setPaymentTable(table);
+        setPaymentMapping(suggestColumnMapping(table.headers, PAYMENT_FIELDS));
+      }
+    } catch (error) {
+      setFileErrors(prev => ({ ...prev, [kind]: error.message }));
+    }
+  };
+
+  const missingInvoiceFields = useMemo(
+    () => (invoiceTable ? getMissingRequiredFields(invoiceMapping, INVOICE_FIELDS) : []),
+    [invoiceTable, invoiceMapping]
+  );
+  const missingPaymentFields = useMemo(
+    () => (paymentTable ? getMissingRequiredFields(paymentMapping, PAYMENT_FIELDS) : []),
+    [paymentTable, paymentMapping]
+  );
+  const canBuild = invoiceTable && missingInvoiceFields.length === 0 && missingPaymentFields.length === 0;
+
+  const buildDataset = () => {
+    const { invoices, rejected, warnings } = mapInvoiceRows(invoiceTable.rows, invoiceMapping);
+    const paymentResult = paymentTable
+      ? mapPaymentRows(paymentTable.rows, paymentMapping)
+      : { payments: [], rejected: [], warnings: [] };
+    const { payments } = paymentResult;
+
+    setImportReport({
+      imported: invoices.length,
+      rejected,
+      warnings: [...warnings, ...paymentResult.warnings],
+      payments: payments.length,
+      rejectedPayments: paymentResult.rejected.length
+    });
+    setDataset(invoices.length > 0 ? buildSandboxDataset({ invoices, payments, referenceDate }) : null);
+  };
+
+  const ActiveExercise = EXERCISES.find(exercise => exercise.id === activeExercise).Component;
+
+  return (
+    <div className="ar-sandbox-screen">
+      <header className="sandbox-header">
+        <div className="container sandbox-header-content">
+          <button className="sandbox-back-button" onClick={() => onNavigate('/cxc/menu')}>
+            <span>←</span>
+          </button>
+          <div>
+            <h1>🧪 Sandbox con datos reales</h1>
+            <p>Practica aging, DSO y aplicación de cobros con un extracto anonimizado de tu cartera.</p>
+          </div>
+        </div>
+      </header>
+
+      <main className="container sandbox-main">
+        {!dataset ? (
+          <>
+            <p className="sandbox-privacy">
+              🔒 Los archivos se procesan en tu navegador y no se guardan. Usa extractos anonimizados.
+            </p>
+
+            <div className="sandbox-grid">
+              <FileMapper
+                title="1. Facturas (obligatorio)"
+                fields={INVOICE_FIELDS}
+                table={invoiceTable}
+                mapping={invoiceMapping}
+                onFile={(file) => loadFile(file, 'invoices')}
+                onMappingChange={setInvoiceMapping}
+                error={fileErrors.invoices}
+              />
+              <FileMapper
+                title="2. Pagos (opcional)"
+                fields={PAYMENT_FIELDS}
+                table={paymentTable}
+                mapping={paymentMapping}
+                onFile={(file) => loadFile(file, 'payments')}
+                onMappingChange={setPaymentMapping}
+                error={fileErrors.payments}
+              />
+            </div>
+
+            <div className="sandbox-card sandbox-build">
+              <label>
+                <span>Fecha de corte</span>
+                <input type="date" value={referenceDate} onChange={(e) => setReferenceDate(e.target.value)} />
+              </label>
+              {[...missingInvoiceFields, ...missingPaymentFields].length > 0 && (
+                <p className="sandbox-error">
+                  Asigna las columnas obligatorias: {[...missingInvoiceFields, ...missingPaymentFields].map(f => f.label).join(', ')}
+                </p>
+              )}
+              <button className="sandbox-button primary" disabled={!canBuild} onClick={buildDataset}>
+                Cargar datos en el sandbox
+              </button>
+              {importReport && importReport.imported === 0 && (
+                <p className="sandbox-error">Ninguna fila tiene cliente, monto y vencimiento válidos. Revisa el mapeo.</p>
+              )}
+            </div>
+          </>
+        ) : (
+          <>
+            <div className="sandbox-card sandbox-report">
+              <div className="sandbox-report-stats">
+                <span><strong>{importReport.imported}</strong> facturas importadas</span>
+                <span><strong>{importReport.rejected.length}</strong> filas descartadas</span>
+                <span>
+                  <strong>{importReport.payments}</strong> pagos
+                  {importReport.rejectedPayments > 0 && ` (${importReport.rejectedPayments} descartados)`}
+                </span>
+                <span>Corte: <strong>{dataset.referenceDate}</strong></span>
+              </div>
+              {importReport.warnings.length > 0 && (
+                <ul className="sandbox-warnings">
+                  {importReport.warnings.map(warning => (
+                    <li key={warning.message}>{warning.message} ({warning.count})</li>
+                  ))}
+                </ul>
+              )}
+              <button className="sandbox-button" onClick={() => setDataset(null)}>
+                Cambiar archivos
+              </button>
+            </div>
+
+            <div className="sandbox-tabs">
+              {EXERCISES.map(exercise => (
+                <button
+                  key={exercise.id}
+                  className={`sandbox-tab ${activeExercise === exercise.id ? 'active' : ''}`}
+                  onClick={() => setActiveExercise(exercise.id)}
+                >
+                  {exercise.label}
+                </button>
+              ))}
+            </div>
+
+            <div className="sandbox-card">
+              <ActiveExercise key={activeExercise} dataset={dataset} />
+            </div>
+          </>
+        )}
+      </main>
+    </div>
+  );
+};
+
+export default ARSandboxScreen;
@@ -1,18 +1,57 @@
-import React, { useContext, useState, useMemo } from 'react';
+import React, { useContext, useState, useMemo, useEffect } from 'react';
 import { CxCProgressContext } from '../contexts/CxCProgressContext';
 import MissionCard from '../components/cxc/MissionCard';
 import ProgressRing from '../components/cxc/ProgressRing';
 import { MISSIONS, getMissionsByAct, isMissionUnlocked } from '../data/cxc/missions';
+import { progressService } from '../services/progressService';
+import '../utils/missionPackages'; // 📦 Registra en MISSIONS las misiones de paquetes JSON
 import '../styles/CxCMenuScreen.css';
 
+// ⏱️ "hace 5 min", "hace 2 h", "hace 3 días"
+const formatTimeAgo = (isoDate) => {
+  const minutes = Math.max(0, Math.round((Date.now() - new Date(isoDate).getTime()) / 60000));
+  if (minutes < 1) return 'hace un momento';
+  if (minutes < 60) return `hace ${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `hace ${hours} h`;
+  const days = Math.round(hours / 24);
+  return `hace ${days} ${days === 1 ? 'día' : 'días'}`;
+};
+
+const TRAINER_MODE_KEY = 'cxc_trainer_mode';
+
 /**
  * CxCMenuScreen - Menú principal con grid de misiones
  * Basado en FASE_2 wireframes - Pantalla hub central
  * Versión simplificada sin navegación de rutas
  */
 const CxCMenuScreen = ({ onNavigate }) => {
-  const { progress } = useContext(CxCProgressContext);
+  const { progress, userId } = useContext(CxCProgressContext);
   const [selectedAct, setSelectedAct] = useState('all');
+  const [resumeSnapshot, setResumeSnapshot] = useState(null);
+  // 🧑‍🏫 Modo formador: muestra el acceso al editor de misiones
+  const [trainerMode, setTrainerMode] = useState(() => localStorage.getItem(TRAINER_MODE_KEY) === 'true');
+
+  // ⏯️ Última misión a medias guardada en IndexedDB
+  useEffect(() => {
+    if (!userId) return undefined;
+    let cancelled = false;
+    const completed = progress?.completedMissions || [];
+
+    progressService.listMissionSnapshots(userId)
+      .then(snapshots => {
+        if (cancelled) return;
+        const latest = snapshots.find(snapshot =>
+          MISSIONS[snapshot.missionId] && !completed.includes(snapshot.missionId)
+        );
+        setResumeSnapshot(latest || null);
+      })
+      .catch(error => console.warn('No se pudieron cargar las misiones en curso:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, progress?.completedMissions]);
 
   // Calcular progreso global
   const globalProgress = useMemo(() => {
@@ -99,6 +138,39 @@ const CxCMenuScreen = ({ onNavigate }) => {
     }
   };
 
+  const handleSandboxClick = () => {
+    if (onNavigate) {
+      onNavigate('/cxc/sandbox');
+    }
+  };
+
+  const handleEditorClick = () => {
+    if (onNavigate) {
+      onNavigate('/cxc/editor');
+    }
+  };
+
+  const handleTrainerModeChange = (enabled) => {
+    localStorage.setItem(TRAINER_MODE_KEY, String(enabled));
+    setTrainerMode(enabled);
+  };
+
+  const handleResumeClick = () => {
+    if (onNavigate && resumeSnapshot) {
+      onNavigate(`/cxc/mission/${resumeSnapshot.missionId}`, { resumeSnapshot });
+    }
+  };
+
+  const handleDiscardResume = async () => {
+    const { missionId } = resumeSnapshot;
+    setResumeSnapshot(null);
+    try {
+      await progressService.clearMissionSnapshot(userId, missionId);
+    } catch (error) {
+      console.warn('No se pudo descartar la misión en curso:', error);
+    }
+  };
+
   // Actos disponibles
   const acts = [
     { id: 'all', label: 'Todas', icon: '🎯' },
@@ -146,11 +218,62 @@ const CxCMenuScreen = ({ onNavigate }) => {
                 <span className="profile-icon">👤</span>
                 <span>Mi Perfil</span>
               </button>
+
+              <button className="profile-button sandbox-link-button" onClick={handleSandboxClick}>
+                <span className="profile-icon">🧪</span>
+                <span>Datos reales</span>
+              </button>
+
+              {trainerMode && (
+                <button className="profile-button editor-link-button" onClick={handleEditorClick}>
+                  <span className="profile-icon">🛠️</span>
+                  <span>Editor</span>
+                </button>
+              )}
+
+              <label className="trainer-toggle">
+                <input
+                  type="checkbox"
+                  checked={trainerMode}
+                  onChange={(e) => handleTrainerModeChange(e.target.checked)}
+                />
+                <span>🧑‍🏫 Modo formador</span>
+              </label>
             </div>
           </div>
         </div>
       </header>
 
+      {/* Continuar misión a medias */}
+      {resumeSnapshot && (
+        <div className="cxc-resume-banner">
+          <div className="container">
+            <div className="resume-card">
+              <span className="resume-icon">⏯️</span>
+              <div className="resume-info">
+                <strong>Continuar donde lo dejaste</strong>
+                <span className="resume-mission">
+                  {MISSIONS[resumeSnapshot.missionId].icon} {MISSIONS[resumeSnapshot.missionId].title}
+                </span>
+                <span className="resume-meta">
+                  Actividad {(resumeSnapshot.currentActivityIndex || 0) + 1} de {resumeSnapshot.activityCount || 1}
+                  {' · '}
+                  {formatTimeAgo(resumeSnapshot.updatedAt)}
+                </span>
+              </div>
+              <div className="resume-actions">
+                <button className="resume-button" onClick={handleResumeClick}>
+                  Continuar
+                </button>
+                <button className="resume-discard-button" onClick={handleDiscardResume}>
+                  Descartar
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Filtros por acto */}
       <div className="cxc-menu-filters">
         <div className="container">
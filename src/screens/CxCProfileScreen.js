@@ -4,6 +4,8 @@ import { useQuizStats } from '../hooks/useQuizStats';
 import BadgeDisplay from '../components/cxc/BadgeDisplay';
 import ProgressRing from '../components/cxc/ProgressRing';
 import { MISSIONS } from '../data/cxc/missions';
+import MissionExportPanel from '../components/cxc/MissionExportPanel';
+import EndingGallery from '../components/cxc/EndingGallery';
 import { RANKS } from '../services/scoringService';
 import '../styles/CxCProfileScreen.css';
 
@@ -13,7 +15,7 @@ import '../styles/CxCProfileScreen.css';
  */
 const CxCProfileScreen = ({ onNavigate }) => {
   const navigate = React.useMemo(() => onNavigate || (() => {}), [onNavigate]);
-  const { progress } = useContext(CxCProgressContext);
+  const { progress, replayFromAct } = useContext(CxCProgressContext);
   
   // ✅ Usar hook personalizado para estadísticas de quizzes sin duplicación
   const quizStats = useQuizStats();
@@ -83,10 +85,19 @@ const CxCProfileScreen = ({ onNavigate }) => {
     return breakdown;
   }, [progress]);
 
+  const completedMissionIds = Object.keys(progress.missions || {}).filter(
+    missionId => MISSIONS[missionId] && progress.missions[missionId]?.status === 'completed'
+  );
+
   const handleBackClick = () => {
     navigate('/cxc/menu');
   };
 
+  const handleReplay = (act) => {
+    replayFromAct(act);
+    navigate('/cxc/menu');
+  };
+
   return (
     <div className="cxc-profile-screen">
       {/* Header */}
@@ -215,6 +226,37 @@ const CxCProfileScreen = ({ onNavigate }) => {
             </div>
           </section>
 
+          {/* Galería de finales */}
+          <section className="endings-section">
+            <h2 className="section-title">Finales del Epílogo</h2>
+            <EndingGallery
+              endings={progress.endings || {}}
+              finalPath={progress.finalPath}
+              onReplay={handleReplay}
+            />
+          </section>
+
+          {/* Exportar resultados */}
+          {completedMissionIds.length > 0 && (
+            <section className="exports-section">
+              <h2 className="section-title">Exportar Resultados</h2>
+              <div className="exports-list">
+                {completedMissionIds.map(missionId => (
+                  <div key={missionId} className="export-item">
+                    <span className="export-item-title">
+                      {MISSIONS[missionId].icon} {MISSIONS[missionId].title}
+                    </span>
+                    <MissionExportPanel
+                      missionId={missionId}
+                      missionProgress={progress.missions[missionId]}
+                      compact
+                    />
+                  </div>
+                ))}
+              </div>
+            </section>
+          )}
+
           {/* Badges */}
           <section className="badges-section">
             <h2 className="section-title">Mis Insignias</h2>
@@ -0,0 +1,499 @@
+import React, { useState, useMemo } from 'react';
+import { MISSIONS } from '../data/cxc/missions';
+import { CHARACTERS } from '../data/cxc/characters';
+import MissionEngine from '../utils/MissionEngine';
+import { generateDatasetSeed, getReferenceDate } from '../utils/DatasetLoader';
+import {
+  validateMissionPackage,
+  getTrainerPackageIds,
+  saveTrainerPackage,
+  removeTrainerPackage
+} from '../utils/missionPackages';
+import {
+  ACTIVITY_TYPES,
+  missionToPackage,
+  createEmptyPackage,
+  addActivity,
+  exportMissionPackage,
+  readMissionPackageFile
+} from '../utils/missionEditor';
+import ActivityEditor from '../components/cxc/ActivityEditor';
+import DialogueBox from '../components/cxc/DialogueBox';
+import QuizActivity from '../components/activities/QuizActivity';
+import FormActivity from '../components/activities/FormActivity';
+import ValidationActivity from '../components/activities/ValidationActivity';
+import DragDropActivity from '../components/activities/DragDropActivity';
+import CashApplicationActivity from '../components/activities/CashApplicationActivity';
+import DataCleaningActivity from '../components/activities/DataCleaningActivity';
+import '../styles/MissionEditorScreen.css';
+
+const DIFFICULTIES = ['tutorial', 'facil', 'medio', 'dificil', 'experto'];
+
+const sortedMissions = () => Object.values(MISSIONS).sort((a, b) => {
+  if (a.acto !== b.acto) return a.acto - b.acto;
+  return a.orden - b.orden;
+});
+
+const linesToList = (text) => text.split('\n').map(line => line.trim()).filter(Boolean);
+
+const parseOptionalNumber = (value) => (value === '' ? undefined : Number(value));
+
+/**
+ * Vista previa con los componentes reales de actividad
+ */
+const ActivityPreview = ({ activity, engine, onResult }) => {
+  const dataset = engine.loadActivityDataset(activity);
+  const complete = (data) => onResult(engine.validateActivity(activity.id, data));
+
+  switch (activity.type) {
+    case 'quiz':
+      return <QuizActivity questions={activity.questions} onComplete={complete} />;
+    case 'form':
+      return (
+        <FormActivity
+          fields={activity.fields}
+          initialData={{}}
+          instructions={activity.instructions}
+          onComplete={complete}
+        />
+      );
+    case 'validation':
+      return (
+        <ValidationActivity
+          validationChecks={activity.validationChecks}
+          dataset={dataset}
+          instructions={activity.instructions}
+          onComplete={complete}
+        />
+      );
+    case 'drag_drop':
+      return (
+        <DragDropActivity
+          items={dataset.payments || []}
+          targets={dataset.invoices || []}
+          correctMatches={dataset.correctMatches || {}}
+          instructions={activity.instructions}
+          onComplete={complete}
+        />
+      );
+    case 'cash_application':
+      return (
+        <CashApplicationActivity
+          payments={dataset.payments || []}
+          invoices={dataset.invoices || []}
+          expectedAllocations={dataset.expectedAllocations || []}
+          instructions={activity.instructions}
+          onComplete={complete}
+        />
+      );
+    case 'data_cleaning':
+      return (
+        <DataCleaningActivity
+          rows={dataset.invoices || []}
+          groundTruth={dataset.cleanInvoices || []}
+          instructions={activity.instructions}
+          onComplete={complete}
+        />
+      );
+    case 'dialogue': {
+      const graph = engine.getDialogueGraph(activity);
+      return graph
+        ? <DialogueBox graph={graph} character={CHARACTERS.tess} onComplete={complete} />
+        : <p className="editor-hint">Diálogo no encontrado: {activity.graphId}</p>;
+    }
+    default:
+      return null;
+  }
+};
+
+/**
+ * MissionEditorScreen - Editor de misiones para formadores
+ * Edita preguntas, KPIs y diálogos de una misión como paquete JSON,
+ * con vista previa real, guardado en el navegador y exportación a archivo
+ */
+const MissionEditorScreen = ({ onNavigate }) => {
+  const [missions, setMissions] = useState(sortedMissions);
+  const [trainerIds, setTrainerIds] = useState(getTrainerPackageIds);
+  const [draft, setDraft] = useState(null);
+  const [draftVersion, setDraftVersion] = useState(0);
+  const [activityIndex, setActivityIndex] = useState(0);
+  const [newActivityType, setNewActivityType] = useState('quiz');
+  const [previewResult, setPreviewResult] = useState(null);
+  const [previewRun, setPreviewRun] = useState(0);
+  const [message, setMessage] = useState(null);
+  const [previewDataset] = useState(() => ({ seed: generateDatasetSeed(), referenceDate: getReferenceDate() }));
+
+  const validation = useMemo(() => (draft ? validateMissionPackage(draft) : null), [draft]);
+
+  // Motor sin registrar: la vista previa usa el borrador tal cual
+  const previewEngine = useMemo(() => (draft
+    ? new MissionEngine(draft.id, {}, {
+        missionPackage: draft,
+        dataset: previewDataset,
+        unlockedActivities: draft.activities.map(activity => activity.id)
+      })
+    : null), [draft, previewDataset]);
+
+  const activity = draft?.activities[activityIndex] || null;
+
+  const openDraft = (pkg) => {
+    setDraft(pkg);
+    setDraftVersion(version => version + 1);
+    setActivityIndex(0);
+    setPreviewResult(null);
+    setMessage(null);
+  };
+
+  const refreshLists = () => {
+    setMissions(sortedMissions());
+    setTrainerIds(getTrainerPackageIds());
+  };
+
+  const updateDraft = (patch) => {
+    setDraft(prev => ({ ...prev, ...patch }));
+    setPreviewResult(null);
+  };
+
+  const updateMetadata = (patch) => updateDraft({ metadata: { ...draft.metadata, ...patch } });
+
+  const updateKpi = (kpiId, patch) => {
+    const kpi = { ...draft.kpis[kpiId], ...patch };
+    Object.keys(kpi).forEach(key => kpi[key] === undefined && delete kpi[key]);
+    updateDraft({ kpis: { ...draft.kpis, [kpiId]: kpi } });
+  };
+
+  const updateActivity = (nextActivity) => updateDraft({
+    activities: draft.activities.map((item, i) => (i === activityIndex ? nextActivity : item))
+  });
+
+  const moveActivity = (index, offset) => {
+    const target = index + offset;
+    if (target < 0 || target >= draft.activities.length) return;
+    const activities = [...draft.activities];
+    [activities[index], activities[target]] = [activities[target], activities[index]];
+    updateDraft({ activities });
+    setActivityIndex(target);
+  };
+
+  const removeActivity = (index) => {
+    if (!window.confirm('¿Eliminar esta actividad?')) return;
+    updateDraft({ activities: draft.activities.filter((_, i) => i !== index) });
+    setActivityIndex(Math.max(0, index - 1));
+  };
+
+  const handleAddActivity = () => {
+    setDraft(addActivity(draft, newActivityType));
+    setActivityIndex(draft.activities.length);
+    setPreviewResult(null);
+  };
+
+  const handleSave = () => {
+    const result = saveTrainerPackage(draft);
+    if (result.valid) {
+      refreshLists();
+      setMessage({ type: 'success', text: '💾 Misión guardada en este navegador. Ya se puede jugar con los cambios.' });
+    } else {
+      setMessage({ type: 'error', text: result.errors.join('; ') });
+    }
+  };
+
+  const handleRestore = () => {
+    if (!window.confirm('¿Descartar los cambios guardados y volver a la versión original?')) return;
+    removeTrainerPackage(draft.id);
+    refreshLists();
+    if (MISSIONS[draft.id]) {
+      openDraft(missionToPackage(draft.id));
+    } else {
+      setDraft(null);
+    }
+  };
+
+  const handleImport = async (file) => {
+    try {
+      openDraft(await readMissionPackageFile(file));
+      setMessage({ type: 'success', text: `📥 ${file.name} importado. Revísalo y guárdalo para activarlo.` });
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+    }
+  };
+
+  const isSaved = draft && trainerIds.includes(draft.id);
+
+  return (
+    <div className="mission-editor-screen">
+      <header className="editor-header">
+        <div className="container editor-header-content">
+          <button className="editor-back-button" onClick={() => onNavigate('/cxc/menu')}>
+            <span>←</span>
+          </button>
+          <div>
+            <h1>🛠️ Editor de misiones</h1>
+            <p>Ajusta preguntas, umbrales de KPIs y diálogos sin tocar código.</p>
+          </div>
+        </div>
+      </header>
+
+      <main className="container editor-main">
+        <aside className="editor-card editor-sidebar">
+          <h3>Misiones</h3>
+          <ul className="editor-mission-list">
+            {missions.map(mission => (
+              <li key={mission.id}>
+                <button
+                  className={draft?.id === mission.id ? 'active' : ''}
+                  onClick={() => openDraft(missionToPackage(mission.id))}
+                >
+                  <span>{mission.icon} {mission.title}</span>
+                  {trainerIds.includes(mission.id) && <span className="editor-tag">✏️ editada</span>}
+                </button>
+              </li>
+            ))}
+          </ul>
+          <button className="editor-button" onClick={() => openDraft(createEmptyPackage())}>
+            + Nueva misión
+          </button>
+          <label className="editor-button editor-file">
+            📥 Importar archivo
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                if (e.target.files[0]) handleImport(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+        </aside>
+
+        <section className="editor-workspace">
+          {message && <p className={`editor-message ${message.type}`}>{message.text}</p>}
+
+          {!draft ? (
+            <div className="editor-card editor-empty">
+              <p>Elige una misión para editarla, crea una nueva o importa un paquete .json.</p>
+            </div>
+          ) : (
+            <>
+              <div className="editor-card editor-toolbar">
+                <div>
+                  <strong>{draft.metadata.icon} {draft.metadata.title}</strong>
+                  <span className="editor-hint"> · {draft.id}</span>
+                </div>
+                <div className="editor-toolbar-actions">
+                  <button className="editor-button primary" disabled={!validation.valid} onClick={handleSave}>
+                    💾 Guardar
+                  </button>
+                  <button className="editor-button" onClick={() => exportMissionPackage(draft)}>
+                    📤 Exportar
+                  </button>
+                  {isSaved && (
+                    <>
+                      <button className="editor-button" onClick={() => onNavigate(`/cxc/mission/${draft.id}`)}>
+                        ▶️ Jugar
+                      </button>
+                      <button className="editor-button danger" onClick={handleRestore}>
+                        ↩️ Restaurar original
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {!validation.valid && (
+                <ul className="editor-card editor-errors">
+                  {validation.errors.map(error => <li key={error}>⚠️ {error}</li>)}
+                </ul>
+              )}
+
+              <div className="editor-card editor-form">
+                <h3>Datos de la misión</h3>
+                <div className="editor-grid">
+                  <label>
+                    <span>Título</span>
+                    <input type="text" value={draft.metadata.title} onChange={(e) => updateMetadata({ title: e.target.value })} />
+                  </label>
+                  <label>
+                    <span>Subtítulo</span>
+                    <input type="text" value={draft.metadata.subtitle || ''} onChange={(e) => updateMetadata({ subtitle: e.target.value })} />
+                  </label>
+                  <label>
+                    <span>Icono</span>
+                    <input type="text" value={draft.metadata.icon} onChange={(e) => updateMetadata({ icon: e.target.value })} />
+                  </label>
+                  <label>
+                    <span>Acto</span>
+                    <select value={draft.metadata.acto} onChange={(e) => updateMetadata({ acto: Number(e.target.value) })}>
+                      {[0, 1, 2, 3, 4].map(acto => <option key={acto} value={acto}>{acto}</option>)}
+                    </select>
+                  </label>
+                  <label>
+                    <span>Orden</span>
+                    <input type="number" min={1} value={draft.metadata.orden} onChange={(e) => updateMetadata({ orden: Number(e.target.value) || 1 })} />
+                  </label>
+                  <label>
+                    <span>Duración (min)</span>
+                    <input type="number" min={1} value={draft.metadata.duration} onChange={(e) => updateMetadata({ duration: Number(e.target.value) || 1 })} />
+                  </label>
+                  <label>
+                    <span>Dificultad</span>
+                    <select value={draft.metadata.dificultad} onChange={(e) => updateMetadata({ dificultad: e.target.value })}>
+                      {DIFFICULTIES.map(level => <option key={level} value={level}>{level}</option>)}
+                    </select>
+                  </label>
+                  <label>
+                    <span>Requisito previo</span>
+                    <select
+                      value={draft.metadata.prerequisite || ''}
+                      onChange={(e) => updateMetadata({ prerequisite: e.target.value || null })}
+                    >
+                      <option value="">— Ninguno —</option>
+                      {missions.filter(mission => mission.id !== draft.id).map(mission => (
+                        <option key={mission.id} value={mission.id}>{mission.title}</option>
+                      ))}
+                    </select>
+                  </label>
+                </div>
+                <label>
+                  <span>Descripción</span>
+                  <textarea rows={2} value={draft.metadata.description} onChange={(e) => updateMetadata({ description: e.target.value })} />
+                </label>
+                <label>
+                  <span>Objetivos (uno por línea)</span>
+                  <textarea
+                    rows={3}
+                    defaultValue={draft.metadata.objectives.join('\n')}
+                    key={`objectives-${draftVersion}`}
+                    onBlur={(e) => updateMetadata({ objectives: linesToList(e.target.value) })}
+                  />
+                </label>
+              </div>
+
+              <div className="editor-card editor-form">
+                <h3>KPIs</h3>
+                {Object.keys(draft.kpis || {}).length === 0 && (
+                  <p className="editor-hint">Esta misión no tiene KPIs.</p>
+                )}
+                {Object.entries(draft.kpis || {}).map(([kpiId, kpi]) => (
+                  <div key={kpiId} className="editor-kpi-row">
+                    <strong>{kpiId}</strong>
+                    <input
+                      type="text"
+                      value={kpi.description}
+                      onChange={(e) => updateKpi(kpiId, { description: e.target.value })}
+                    />
+                    <label>
+                      <span>Mín.</span>
+                      <input
+                        type="number"
+                        step="any"
+                        value={kpi.min ?? ''}
+                        onChange={(e) => updateKpi(kpiId, { min: parseOptionalNumber(e.target.value) })}
+                      />
+                    </label>
+                    <label>
+                      <span>Máx.</span>
+                      <input
+                        type="number"
+                        step="any"
+                        value={kpi.max ?? ''}
+                        onChange={(e) => updateKpi(kpiId, { max: parseOptionalNumber(e.target.value) })}
+                      />
+                    </label>
+                  </div>
+                ))}
+              </div>
+
+              <div className="editor-card editor-form">
+                <h3>Diálogo de introducción</h3>
+                <label>
+                  <span>Personaje</span>
+                  <select
+                    value={draft.dialogues?.character || 'tess'}
+                    onChange={(e) => updateDraft({ dialogues: { ...draft.dialogues, character: e.target.value } })}
+                  >
+                    {Object.entries(CHARACTERS).map(([characterId, character]) => (
+                      <option key={characterId} value={characterId}>{character.name}</option>
+                    ))}
+                  </select>
+                </label>
+                <label>
+                  <span>Líneas (una por línea; vacío = bienvenida estándar)</span>
+                  <textarea
+                    rows={3}
+                    defaultValue={(draft.dialogues?.intro || []).join('\n')}
+                    key={`intro-${draftVersion}`}
+                    onBlur={(e) => updateDraft({ dialogues: { ...draft.dialogues, intro: linesToList(e.target.value) } })}
+                  />
+                </label>
+              </div>
+
+              <div className="editor-activities">
+                <div className="editor-card">
+                  <h3>Actividades</h3>
+                  <ol className="editor-activity-list">
+                    {draft.activities.map((item, index) => (
+                      <li key={item.id} className={index === activityIndex ? 'active' : ''}>
+                        <button className="editor-activity-select" onClick={() => { setActivityIndex(index); setPreviewResult(null); }}>
+                          {ACTIVITY_TYPES[item.type]?.icon} {item.title}
+                          {item.optional && <span className="editor-tag">opcional</span>}
+                        </button>
+                        <button onClick={() => moveActivity(index, -1)} disabled={index === 0} title="Subir">↑</button>
+                        <button onClick={() => moveActivity(index, 1)} disabled={index === draft.activities.length - 1} title="Bajar">↓</button>
+                        <button onClick={() => removeActivity(index)} title="Eliminar">✕</button>
+                      </li>
+                    ))}
+                  </ol>
+                  <div className="editor-add-activity">
+                    <select value={newActivityType} onChange={(e) => setNewActivityType(e.target.value)}>
+                      {Object.entries(ACTIVITY_TYPES).map(([type, config]) => (
+                        <option key={type} value={type}>{config.icon} {config.label}</option>
+                      ))}
+                    </select>
+                    <button className="editor-button" onClick={handleAddActivity}>+ Añadir actividad</button>
+                  </div>
+                </div>
+
+                {activity && (
+                  <div className="editor-activity-panes">
+                    <div className="editor-card">
+                      <h3>{ACTIVITY_TYPES[activity.type]?.icon} Editar actividad</h3>
+                      <ActivityEditor
+                        key={`${draft.id}-${activity.id}`}
+                        activity={activity}
+                        datasets={draft.datasets || {}}
+                        onChange={updateActivity}
+                        onDatasetChange={(name, recipe) => updateDraft({ datasets: { ...draft.datasets, [name]: recipe } })}
+                      />
+                    </div>
+
+                    <div className="editor-card editor-preview">
+                      <div className="editor-preview-header">
+                        <h3>👁️ Vista previa</h3>
+                        <button className="editor-button" onClick={() => { setPreviewRun(run => run + 1); setPreviewResult(null); }}>
+                          🔄 Reiniciar
+                        </button>
+                      </div>
+                      {previewResult && (
+                        <p className={`editor-message ${previewResult.valid ? 'success' : 'error'}`}>
+                          Puntuación: {Math.round(previewResult.score)}% · {previewResult.feedback}
+                        </p>
+                      )}
+                      <ActivityPreview
+                        key={`${activity.id}-${previewRun}-${JSON.stringify([activity, draft.datasets?.[activity.datasetName]])}`}
+                        activity={activity}
+                        engine={previewEngine}
+                        onResult={setPreviewResult}
+                      />
+                    </div>
+                  </div>
+                )}
+              </div>
+            </>
+          )}
+        </section>
+      </main>
+    </div>
+  );
+};
+
+export default MissionEditorScreen;
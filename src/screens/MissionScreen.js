@@ -1,46 +1,83 @@
-import React, { useState, useEffect, useContext } from 'react';
+import React, { useState, useEffect, useContext, useRef, useCallback } from 'react';
 import { CxCProgressContext } from '../contexts/CxCProgressContext';
 import { GameStateContext } from '../contexts/GameStateContext';
 import DialogueBox from '../components/cxc/DialogueBox';
 import { MISSIONS } from '../data/cxc/missions';
 import { CHARACTERS } from '../data/cxc/characters';
 import MissionEngine from '../utils/MissionEngine';
-import DatasetLoader from '../utils/DatasetLoader';
 import QuizActivity from '../components/activities/QuizActivity';
 import FormActivity from '../components/activities/FormActivity';
 import ValidationActivity from '../components/activities/ValidationActivity';
 import DragDropActivity from '../components/activities/DragDropActivity';
+import CashApplicationActivity from '../components/activities/CashApplicationActivity';
+import DataCleaningActivity from '../components/activities/DataCleaningActivity';
+import MissionExportPanel from '../components/cxc/MissionExportPanel';
+import { summarizeActivityResult } from '../utils/missionExport';
+import { getStoryDialogueState } from '../utils/dialogueGraph';
+import { determineEnding, EPILOGUE_MISSION_ID } from '../utils/campaignEndings';
+import { CAMPAIGN_KPIS } from '../data/cxc/epilogueContent';
+import { progressService } from '../services/progressService';
 import '../styles/MissionScreen.css';
 
+const SNAPSHOT_DEBOUNCE_MS = 1000;
+
 /**
  * MissionScreen - Pantalla de misión individual
  * Basado en FASE_2 wireframes y FASE_3 arquitectura de misiones
  * Adaptado para usar props en lugar de react-router-dom
  */
-const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
+const MissionScreen = ({ missionId: propMissionId, onNavigate, resumeSnapshot = null }) => {
   const missionId = propMissionId;
   const navigate = React.useMemo(() => onNavigate || (() => {}), [onNavigate]);
-  const { progress, updateMissionProgress, completeMission } = useContext(CxCProgressContext);
+  const {
+    progress,
+    userId,
+    updateMissionProgress,
+    completeMission,
+    recordDialogueOutcome,
+    setFinalPath
+  } = useContext(CxCProgressContext);
   const gameState = useContext(GameStateContext);
   const { getGradeFromScore } = gameState || {};
 
   const mission = MISSIONS[missionId];
-  const [phase, setPhase] = useState('intro'); // 'intro', 'work', 'feedback', 'completed'
-  const [workProgress, setWorkProgress] = useState(0);
-  const [startTime] = useState(Date.now());
+  // ⏯️ Una instantánea válida reanuda directamente en la fase de trabajo
+  const resume = resumeSnapshot?.missionId === missionId && resumeSnapshot?.phase === 'work'
+    ? resumeSnapshot
+    : null;
+  const [phase, setPhase] = useState(resume ? 'work' : 'intro'); // 'intro', 'work', 'feedback', 'completed'
+  const [workProgress, setWorkProgress] = useState(resume?.workProgress || 0);
+  const [startTime] = useState(() => Date.now() - (Number(resume?.elapsedSeconds) || 0) * 1000);
   
   // Mission Engine state
-  const [missionEngine] = useState(() => 
-    new MissionEngine(missionId, {
+  // 🎲 Un intento sin completar reutiliza su semilla para ver los mismos datos
+  const [missionEngine] = useState(() => {
+    const savedMission = progress?.missions?.[missionId];
+    const resumeDataset = savedMission?.status !== 'completed' ? savedMission?.dataset : null;
+
+    return new MissionEngine(missionId, {
       onActivityComplete: handleActivityComplete,
       onProgressUpdate: setWorkProgress
-    })
+    }, {
+      dataset: resume?.dataset || resumeDataset,
+      unlockedActivities: resume?.unlockedActivities
+    });
+  });
+  // 📦 Las misiones de paquetes JSON traen su propia intro
+  const missionPackage = missionEngine.getMissionPackage();
+  const [activities, setActivities] = useState(() =>
+    resume ? missionEngine.getActivities() : []
+  );
+  const [currentActivityIndex, setCurrentActivityIndex] = useState(() =>
+    resume ? Math.min(Number(resume.currentActivityIndex) || 0, Math.max(activities.length - 1, 0)) : 0
+  );
+  const [activityResults, setActivityResults] = useState(() =>
+    Array.isArray(resume?.activityResults) ? resume.activityResults : []
   );
-  const [activities, setActivities] = useState([]);
-  const [currentActivityIndex, setCurrentActivityIndex] = useState(0);
-  const [activityResults, setActivityResults] = useState([]);
+  const [resumedDraft] = useState(() => resume?.draft || null);
   const [finalScore, setFinalScore] = useState(null);
   const [finalGrade, setFinalGrade] = useState(null);
+  const [campaignEnding, setCampaignEnding] = useState(null);
 
   const safeGetGrade = typeof getGradeFromScore === 'function'
     ? getGradeFromScore
@@ -55,8 +92,83 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
   const scoreForGrade = Number.isFinite(finalScore) ? finalScore : 0;
   const displayGrade = finalGrade || safeGetGrade(scoreForGrade);
 
+  // 💾 Instantánea de la actividad en curso (respuestas parciales incluidas)
+  const draftRef = useRef(resumedDraft);
+  const snapshotTimerRef = useRef(null);
+  const snapshotStateRef = useRef(null);
+  snapshotStateRef.current = {
+    phase,
+    activities,
+    currentActivityIndex,
+    activityResults,
+    workProgress,
+    helpUsed: progress?.missions?.[missionId]?.helpUsed || []
+  };
+
+  const flushSnapshot = useCallback(() => {
+    clearTimeout(snapshotTimerRef.current);
+    snapshotTimerRef.current = null;
+
+    const current = snapshotStateRef.current;
+    if (!userId || current.phase !== 'work' || current.activities.length === 0) return;
+
+    progressService.saveMissionSnapshot(userId, missionId, {
+      phase: current.phase,
+      currentActivityIndex: current.currentActivityIndex,
+      activityCount: current.activities.length,
+      activityResults: current.activityResults,
+      workProgress: current.workProgress,
+      elapsedSeconds: Math.round((Date.now() - startTime) / 1000),
+      dataset: missionEngine.getDatasetAttempt(),
+      unlockedActivities: missionEngine.getUnlockedActivities(),
+      helpUsed: current.helpUsed,
+      draft: draftRef.current
+    }).catch(error => console.warn('No se pudo guardar la instantánea de la misión:', error));
+  }, [userId, missionId, missionEngine, startTime]);
+
+  const scheduleSnapshot = useCallback(() => {
+    clearTimeout(snapshotTimerRef.current);
+    snapshotTimerRef.current = setTimeout(flushSnapshot, SNAPSHOT_DEBOUNCE_MS);
+  }, [flushSnapshot]);
+
+  const handleDraftChange = useCallback((state) => {
+    const { activities: currentActivities, currentActivityIndex: index } = snapshotStateRef.current;
+    const activity = currentActivities[index];
+    draftRef.current = activity ? { activityId: activity.id, state } : null;
+    scheduleSnapshot();
+  }, [scheduleSnapshot]);
+
+  // Guardar al cambiar de actividad; limpiar al terminar todas
+  useEffect(() => {
+    if (phase === 'work') {
+      flushSnapshot();
+    } else if (phase === 'feedback' && userId) {
+      progressService.clearMissionSnapshot(userId, missionId)
+        .catch(error => console.warn('No se pudo limpiar la instantánea de la misión:', error));
+    }
+  }, [phase, currentActivityIndex, activityResults, flushSnapshot, userId, missionId]);
+
+  // Guardar lo pendiente al salir de la pantalla o cerrar la pestaña
+  useEffect(() => {
+    const handlePageHide = () => {
+      if (snapshotTimerRef.current) flushSnapshot();
+    };
+
+    window.addEventListener('pagehide', handlePageHide);
+    window.addEventListener('beforeunload', handlePageHide);
+    return () => {
+      window.removeEventListener('pagehide', handlePageHide);
+      window.removeEventListener('beforeunload', handlePageHide);
+      handlePageHide();
+    };
+  }, [flushSnapshot]);
+
+  const getActivityDraft = (activity) =>
+    resumedDraft?.activityId === activity.id ? resumedDraft.state : null;
+
   // Activity handlers
-  function handleActivityComplete(result) {
+  // activityList: lista vigente si la actividad desbloqueó opcionales
+  function handleActivityComplete(result, activityList = activities) {
     const newResults = [...activityResults, result];
     setActivityResults(newResults);
 
@@ -65,7 +177,7 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
     updateMissionProgress(missionId, { percentage: progress });
 
     // Move to next activity or finish
-    if (currentActivityIndex < activities.length - 1) {
+    if (currentActivityIndex < activityList.length - 1) {
       setCurrentActivityIndex(prev => prev + 1);
     } else {
       // All activities completed
@@ -80,7 +192,9 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
         percentage: 100,
         score,
         grade,
-        timeSpent: Math.round(timeSpent)
+        timeSpent: Math.round(timeSpent),
+        // 📥 Respuestas guardadas para exportar el intento más tarde
+        results: newResults.map(r => r.summary).filter(Boolean)
       });
 
       setPhase('feedback');
@@ -123,12 +237,42 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
 
   const handleIntroComplete = () => {
     // Generate activities when starting work phase
-    const generatedActivities = missionEngine.generateActivitiesForMission();
+    const generatedActivities = missionEngine.getActivities();
     setActivities(generatedActivities);
     setPhase('work');
-    updateMissionProgress(missionId, { percentage: 10 });
+    updateMissionProgress(missionId, {
+      percentage: 10,
+      dataset: missionEngine.getDatasetAttempt()
+    });
+  };
+
+  const completeActivity = (
+    activity,
+    data,
+    result = missionEngine.validateActivity(activity.id, data),
+    activityList = activities
+  ) => {
+    handleActivityComplete({
+      ...result,
+      summary: summarizeActivityResult(activity, result, data)
+    }, activityList);
   };
 
+  // 🔀 Diálogo ramificado: guarda decisiones y desbloquea actividades opcionales
+  const completeDialogue = (activity, graph, outcome) => {
+    recordDialogueOutcome(graph.id, outcome);
+    missionEngine.unlockActivities(outcome.unlockedActivities);
+    const nextActivities = missionEngine.getActivities();
+    setActivities(nextActivities);
+    completeActivity(activity, outcome, missionEngine.validateActivity(activity.id, outcome), nextActivities);
+  };
+
+  const getDialogueState = () => ({
+    ...getStoryDialogueState(progress?.story),
+    score: activityAccuracy,
+    helpsUsed: progress?.missions?.[missionId]?.helpUsed?.length || 0
+  });
+
   const renderActivity = () => {
     if (!activities || activities.length === 0) {
       return (
@@ -141,66 +285,113 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
     const activity = activities[currentActivityIndex];
     if (!activity) return null;
 
-    const dataset = activity.datasetName 
-      ? DatasetLoader.loadDataset(activity.datasetName) 
-      : {};
+    const dataset = missionEngine.loadActivityDataset(activity);
 
     switch (activity.type) {
       case 'quiz':
         return (
           <QuizActivity
+            key={activity.id}
             questions={activity.questions}
-            onComplete={(data) => {
-              const result = missionEngine.validateActivity(activity.id, data);
-              handleActivityComplete(result);
-            }}
+            onComplete={(data) => completeActivity(activity, data)}
             onProgress={setWorkProgress}
+            draft={getActivityDraft(activity)}
+            onDraftChange={handleDraftChange}
           />
         );
 
       case 'form':
         return (
           <FormActivity
+            key={activity.id}
             fields={activity.fields}
             initialData={activity.initialData || {}}
             instructions={activity.instructions}
-            onComplete={(data) => {
-              const result = missionEngine.validateActivity(activity.id, data);
-              handleActivityComplete(result);
-            }}
+            onComplete={(data) => completeActivity(activity, data)}
             onProgress={setWorkProgress}
+            draft={getActivityDraft(activity)}
+            onDraftChange={handleDraftChange}
           />
         );
 
       case 'validation':
         return (
           <ValidationActivity
+            key={activity.id}
             validationChecks={activity.validationChecks || activity.checks || []}
             dataset={dataset}
             instructions={activity.instructions}
-            onComplete={(data) => {
-              const result = missionEngine.validateActivity(activity.id, data);
-              handleActivityComplete(result);
-            }}
+            onComplete={(data) => completeActivity(activity, data)}
             onProgress={setWorkProgress}
+            draft={getActivityDraft(activity)}
+            onDraftChange={handleDraftChange}
           />
         );
 
       case 'drag_drop':
         return (
           <DragDropActivity
+            key={activity.id}
             items={dataset.payments || []}
             targets={dataset.invoices || []}
             correctMatches={dataset.correctMatches || {}}
             instructions={activity.instructions}
-            onComplete={(data) => {
-              const result = missionEngine.validateActivity(activity.id, data);
-              handleActivityComplete(result);
-            }}
+            onComplete={(data) => completeActivity(activity, data)}
+            onProgress={setWorkProgress}
+            draft={getActivityDraft(activity)}
+            onDraftChange={handleDraftChange}
+          />
+        );
+
+      case 'cash_application':
+        return (
+          <CashApplicationActivity
+            key={activity.id}
+            payments={dataset.payments || []}
+            invoices={dataset.invoices || []}
+            expectedAllocations={dataset.expectedAllocations || []}
+            instructions={activity.instructions}
+            onComplete={(data) => completeActivity(activity, data)}
             onProgress={setWorkProgress}
+            draft={getActivityDraft(activity)}
+            onDraftChange={handleDraftChange}
           />
         );
 
+      case 'data_cleaning':
+        return (
+          <DataCleaningActivity
+            key={activity.id}
+            rows={dataset.invoices || []}
+            groundTruth={dataset.cleanInvoices || []}
+            instructions={activity.instructions}
+            onComplete={(data) => completeActivity(activity, data)}
+            onProgress={setWorkProgress}
+            draft={getActivityDraft(activity)}
+            onDraftChange={handleDraftChange}
+          />
+        );
+
+      case 'dialogue': {
+        const graph = missionEngine.getDialogueGraph(activity);
+        if (!graph) {
+          return (
+            <div className="activity-error">
+              <p>Diálogo no encontrado: {activity.graphId}</p>
+            </div>
+          );
+        }
+        return (
+          <DialogueBox
+            key={activity.id}
+            graph={graph}
+            character={CHARACTERS.tess}
+            dialogueState={getDialogueState()}
+            onComplete={(outcome) => completeDialogue(activity, graph, outcome)}
+          />
+        );
+      }
+
       case 'problem_solving':
       case 'data_quality':
         return (
@@ -213,7 +404,7 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
               <button 
                 className="btn-primary"
                 onClick={() => {
-                  handleActivityComplete({ score: 85, valid: true });
+                  completeActivity(activity, {}, { score: 85, valid: true });
                 }}
               >
                 Completar (demo)
@@ -235,6 +426,13 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
     const safeScore = Number.isFinite(finalScore) ? finalScore : 0;
   const grade = displayGrade;
     await completeMission(missionId, safeScore, grade);
+
+    // 🎬 El Epílogo elige el final con las decisiones y KPIs de toda la campaña
+    if (missionId === EPILOGUE_MISSION_ID) {
+      const result = determineEnding(progress);
+      setFinalPath(result.ending.id, { kpis: result.profile.kpis });
+      setCampaignEnding(result);
+    }
     setPhase('completed');
   };
 
@@ -304,8 +502,8 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
                 )}
 
                 <DialogueBox
-                  character={CHARACTERS.tess}
-                  dialogues={[
+                  character={CHARACTERS[missionPackage?.dialogues?.character] || CHARACTERS.tess}
+                  dialogues={missionPackage?.dialogues?.intro?.length ? missionPackage.dialogues.intro : [
                     `¡Hola! Bienvenido a la misión "${mission.title}".`,
                     mission.description,
                     'Cuando estés listo, haz clic en "Comenzar" para empezar. ¡Buena suerte!'
@@ -423,12 +621,46 @@ const MissionScreen = ({ missionId: propMissionId, onNavigate }) => {
           )}
 
           {/* Completed phase */}
-          {phase === 'completed' && (
+          {phase === 'completed' && campaignEnding && (
+            <div className="mission-phase mission-phase--ending">
+              <div className="ending-card">
+                <span className="ending-icon">{campaignEnding.ending.icon}</span>
+                <h2>Final: {campaignEnding.ending.title}</h2>
+                <p className="ending-summary">{campaignEnding.ending.summary}</p>
+
+                <div className="ending-kpis">
+                  {Object.entries(CAMPAIGN_KPIS).map(([kpiId, config]) => (
+                    <div key={kpiId} className="ending-kpi">
+                      <span className="ending-kpi-label">{config.label}</span>
+                      <span className="ending-kpi-value">
+                        {campaignEnding.profile.kpis[kpiId]} {config.unit}
+                      </span>
+                      <span className="ending-kpi-baseline">
+                        Baseline {config.baseline} · Meta {config.target}
+                      </span>
+                    </div>
+                  ))}
+                </div>
+
+                <DialogueBox
+                  character={CHARACTERS[campaignEnding.ending.speaker]}
+                  dialogues={campaignEnding.ending.scene}
+                  onComplete={() => setCampaignEnding(null)}
+                />
+              </div>
+            </div>
+          )}
+
+          {phase === 'completed' && !campaignEnding && (
             <div className="mission-phase mission-phase--completed">
               <div className="completion-card">
                 <span className="completion-icon">✅</span>
                 <h2>Misión Registrada</h2>
                 <p>Tu progreso ha sido guardado exitosamente.</p>
+                <MissionExportPanel
+                  missionId={missionId}
+                  missionProgress={progress?.missions?.[missionId]}
+                />
                 <div className="completion-actions">
                   <button className="btn-primary" onClick={handleBackToMenu}>
                     Volver al Menú
@@ -0,0 +1,450 @@
+/**
+ * Sincronización entre dispositivos sin servidor.
+ * Un dispositivo genera un código de sincronización (progreso comprimido y en
+ * base64url, troceado en fragmentos para mostrarlos como QR) y el otro lo
+ * escanea o lo pega. La combinación es de estilo CRDT: conmutativa, asociativa
+ * e idempotente, así que da igual el orden o cuántas veces se sincronice.
+ *  - Intentos de preguntas: conjunto que solo crece (clave fecha|resultado) y
+ *    contadores por dispositivo (G-Counter) para los intentos ya recortados.
+ *  - Misiones: gana el estado más avanzado, luego la mejor puntuación.
+ *  - XP, puntos, cuestionarios y estadísticas: un contador por dispositivo.
+ */
+
+const SYNC_PREFIX = 'PL300SYNC';
+const SYNC_VERSION = 1;
+const CHUNK_PREFIX = 'PL300S';
+const CHUNK_SIZE = 200;
+const MAX_TIMESTAMPS = 20;
+const MAX_HISTORY = 50;
+
+const MISSION_STATUS_RANK = ['locked', 'available', 'in_progress', 'completed', 'platinum'];
+const RANKS = ['Bronce', 'Plata', 'Oro', 'Platino'];
+const STAT_COUNTER_FIELDS = ['attempted', 'correct', 'incorrect', 'timeSpent', 'total'];
+
+// Contadores globales: clave del contador → lectura del valor local
+const PROGRESS_COUNTERS = {
+  xp: (progress) => progress.totalXP || 0,
+  points: (progress) => progress.totalPoints ?? progress.points?.total ?? 0,
+  spent: (progress) => progress.points?.spentOnHelps || 0,
+  quizzes: (progress) => progress.quizzesTaken || 0
+};
+
+// --------- Utilidades deterministas ---------
+
+const sumSlots = (slots = {}, exclude = null) =>
+  Object.entries(slots).reduce((sum, [deviceId, value]) => (deviceId === exclude ? sum : sum + (Number(value) || 0)), 0);
+
+const mergeSlots = (a = {}, b = {}) =>
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].sort().reduce((acc, deviceId) => {
+    acc[deviceId] = Math.max(Number(a[deviceId]) || 0, Number(b[deviceId]) || 0);
+    return acc;
+  }, {});
+
+// Orden total para desempatar: nunca depende de qué lado es el local
+const pickByJson = (a, b) => (JSON.stringify(a) >= JSON.stringify(b) ? a : b);
+
+const attemptKey = (entry) => `${entry.date}|${entry.correct}`;
+
+const sortedUnion = (a = [], b = []) => [...new Set([...a, ...b])].sort();
+
+// Reserva para el dispositivo lo que aún no está atribuido a ningún otro
+const claimSlot = (slots = {}, deviceId, localValue) => {
+  const value = Math.max(Number(slots[deviceId]) || 0, Math.round(localValue - sumSlots(slots, deviceId)));
+  return value > 0 || deviceId in slots ? { ...slots, [deviceId]: value } : slots;
+};
+
+// --------- Sellado: atribuye al dispositivo su parte de cada contador ---------
+
+const stampTracking = (tracking, deviceId) => {
+  const counts = tracking.deviceCounts || {};
+  const own = counts[deviceId] || {};
+  const others = Object.entries(counts).filter(([id]) => id !== deviceId).map(([, value]) => value);
+  const sumOthers = (field) => others.reduce((sum, value) => sum + (value[field] || 0), 0);
+  const localTime = (tracking.averageTimeSpent || 0) * (tracking.totalAttempts || 0);
+  const total = Math.max(own.total || 0, (tracking.totalAttempts || 0) - sumOthers('total'));
+  if (total === 0 && !counts[deviceId]) return tracking;
+
+  return {
+    ...tracking,
+    deviceCounts: {
+      ...counts,
+      [deviceId]: {
+        total,
+        correct: Math.max(own.correct || 0, (tracking.correctAttempts || 0) - sumOthers('correct')),
+        time: Math.max(own.time || 0, Math.round(localTime - sumOthers('time')))
+      }
+    }
+  };
+};
+
+const statsCounterKey = (group, key, field) => `${group}:${key}:${field}`;
+
+/**
+ * Atribuye al dispositivo la parte de cada contador que no viene de otros.
+ * Debe aplicarse al progreso local antes de exportarlo o combinarlo.
+ */
+const stampDevice = (progress = {}, deviceId) => {
+  const sync = progress.sync || {};
+  const counters = { ...(sync.counters || {}) };
+
+  Object.entries(PROGRESS_COUNTERS).forEach(([key, read]) => {
+    counters[key] = claimSlot(counters[key], deviceId, read(progress));
+  });
+  ['domainStats', 'levelStats'].forEach((group) => {
+    Object.entries(progress[group] || {}).forEach(([key, stats]) => {
+      STAT_COUNTER_FIELDS.forEach((field) => {
+        if (typeof stats?.[field] !== 'number') return;
+        const counterKey = statsCounterKey(group, key, field);
+        counters[counterKey] = claimSlot(counters[counterKey], deviceId, stats[field]);
+      });
+    });
+  });
+
+  const questionTracking = Object.entries(progress.questionTracking || {}).reduce((acc, [id, tracking]) => {
+    acc[id] = stampTracking(tracking, deviceId);
+    return acc;
+  }, {});
+
+  return { ...progress, questionTracking, sync: { ...sync, counters } };
+};
+
+// --------- Combinación ---------
+
+const mergeTracking = (a, b) => {
+  // Con un solo lado se normaliza igual, para que volver a combinar no cambie nada
+  if (!a || !b) return mergeTracking(a || b, a || b);
+
+  const deviceCounts = [...new Set([...Object.keys(a.deviceCounts || {}), ...Object.keys(b.deviceCounts || {})])]
+    .sort()
+    .reduce((acc, deviceId) => {
+      const left = a.deviceCounts?.[deviceId] || {};
+      const right = b.deviceCounts?.[deviceId] || {};
+      acc[deviceId] = {
+        total: Math.max(left.total || 0, right.total || 0),
+        correct: Math.max(left.correct || 0, right.correct || 0),
+        time: Math.max(left.time || 0, right.time || 0)
+      };
+      return acc;
+    }, {});
+  const counts = Object.values(deviceCounts);
+  const totalAttempts = counts.reduce((sum, value) => sum + value.total, 0);
+  const correctAttempts = counts.reduce((sum, value) => sum + value.correct, 0);
+  const totalTime = counts.reduce((sum, value) => sum + value.time, 0);
+
+  const attempts = new Map();
+  [...(a.timestamps || []), ...(b.timestamps || [])].forEach((entry) => {
+    const key = attemptKey(entry);
+    attempts.set(key, attempts.has(key) ? pickByJson(attempts.get(key), entry) : entry);
+  });
+  const timestamps = [...attempts.entries()]
+    .sort(([keyA], [keyB]) => keyA.localeCompare(keyB))
+    .map(([, entry]) => entry)
+    .slice(-MAX_TIMESTAMPS);
+
+  // Estado FSRS, confianza y rachas: el del intento más reciente
+  const dateA = a.lastAttemptDate || '';
+  const dateB = b.lastAttemptDate || '';
+  const newer = dateA === dateB ? pickByJson(a, b) : (dateA > dateB ? a : b);
+  const firstDates = [a.firstAttemptDate, b.firstAttemptDate].filter(Boolean).sort();
+  const masteredDates = [a.masteredDate, b.masteredDate].filter(Boolean).sort();
+
+  return {
+    ...newer,
+    totalAttempts,
+    correctAttempts,
+    incorrectAttempts: totalAttempts - correctAttempts,
+    averageTimeSpent: totalAttempts > 0 ? totalTime / totalAttempts : 0,
+    firstAttemptDate: firstDates[0] || null,
+    masteredDate: masteredDates[0] || null,
+    tags: sortedUnion(a.tags, b.tags),
+    timestamps,
+    deviceCounts
+  };
+};
+
+const missionRank = (mission) => MISSION_STATUS_RANK.indexOf(mission?.status);
+
+const mergeMission = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  if (missionRank(a) !== missionRank(b)) return missionRank(a) > missionRank(b) ? a : b;
+  if ((a.score || 0) !== (b.score || 0)) return (a.score || 0) > (b.score || 0) ? a : b;
+  if ((a.updatedAt || '') !== (b.updatedAt || '')) return (a.updatedAt || '') > (b.updatedAt || '') ? a : b;
+  return pickByJson(a, b);
+};
+
+const mergeByKey = (a = {}, b = {}, mergeEntry) =>
+  [...new Set([...Object.keys(a), ...Object.keys(b)])].sort().reduce((acc, key) => {
+    acc[key] = mergeEntry(a[key], b[key]);
+    return acc;
+  }, {});
+
+const historyKey = (entry) => `${entry?.type || ''}|${entry?.completedAt || entry?.timestamp || ''}`;
+
+// Entre dos copias de la misma entrada se queda la que conserva el detalle de preguntas
+const pickHistoryEntry = (a, b) => {
+  if (Boolean(a.questionsData) !== Boolean(b.questionsData)) return a.questionsData ? a : b;
+  return pickByJson(a, b);
+};
+
+// Estadísticas por dominio/nivel: los campos acumulados salen de los contadores por dispositivo
+const mergeStats = (a = {}, b = {}) =>
+  mergeByKey(a, b, (left, right) => (left && right ? pickByJson(left, right) : left || right));
+
+const applyStatCounters = (group, stats, counters) =>
+  Object.entries(stats).reduce((acc, [key, entry]) => {
+    const next = { ...entry };
+    STAT_COUNTER_FIELDS.forEach((field) => {
+      const slots = counters[statsCounterKey(group, key, field)];
+      if (slots) next[field] = sumSlots(slots);
+    });
+    if (typeof next.avgTime === 'number' && next.attempted > 0) {
+      next.avgTime = next.timeSpent / next.attempted;
+    }
+    acc[key] = next;
+    return acc;
+  }, {});
+
+/**
+ * Combina dos progresos ya sellados (stampDevice). merge(a, b) y merge(b, a)
+ * dan el mismo estado sincronizado; aplicar dos veces el mismo código no cambia nada.
+ */
+const mergeSynced = (a = {}, b = {}) => {
+  const counterKeys = [...new Set([
+    ...Object.keys(a.sync?.counters || {}),
+    ...Object.keys(b.sync?.counters || {})
+  ])].sort();
+  const counters = counterKeys.reduce((acc, key) => {
+    acc[key] = mergeSlots(a.sync?.counters?.[key], b.sync?.counters?.[key]);
+    return acc;
+  }, {});
+  const peers = mergeByKey(a.sync?.peers, b.sync?.peers, (left, right) => {
+    if (!left) return right;
+    if (!right) return left;
+    return (left.lastSyncAt || '') >= (right.lastSyncAt || '') ? left : right;
+  });
+
+  const history = new Map();
+  [...(a.history || []), ...(b.history || [])].forEach((entry) => {
+    const key = historyKey(entry);
+    history.set(key, history.has(key) ? pickHistoryEntry(history.get(key), entry) : entry);
+  });
+
+  const dateA = a.lastQuizDate || '';
+  const dateB = b.lastQuizDate || '';
+  const newerQuiz = dateA === dateB
+    ? ((a.currentStreak || 0) >= (b.currentStreak || 0) ? a : b)
+    : (dateA > dateB ? a : b);
+  const currentRank = [a.points?.currentRank, b.points?.currentRank]
+    .filter((rank) => RANKS.includes(rank))
+    .sort((x, y) => RANKS.indexOf(y) - RANKS.indexOf(x))[0] || 'Bronce';
+
+  const totalPoints = sumSlots(counters.points);
+  const spentOnHelps = sumSlots(counters.spent);
+
+  return {
+    ...b,
+    ...a,
+    questionTracking: mergeByKey(a.questionTracking, b.questionTracking, mergeTracking),
+    missions: mergeByKey(a.missions, b.missions, mergeMission),
+    answeredQuestions: sortedUnion(a.answeredQuestions, b.answeredQuestions),
+    badges: sortedUnion(a.badges, b.badges),
+    achievements: sortedUnion(a.achievements, b.achievements),
+    history: [...history.entries()]
+      .sort(([keyA, entryA], [keyB, entryB]) =>
+        String(entryB?.completedAt || '').localeCompare(String(entryA?.completedAt || '')) || keyA.localeCompare(keyB))
+      .map(([, entry]) => entry)
+      .slice(0, MAX_HISTORY),
+    domainStats: applyStatCounters('domainStats', mergeStats(a.domainStats, b.domainStats), counters),
+    levelStats: applyStatCounters('levelStats', mergeStats(a.levelStats, b.levelStats), counters),
+    totalXP: sumSlots(counters.xp),
+    totalPoints,
+    quizzesTaken: sumSlots(counters.quizzes),
+    currentLevel: Math.max(a.currentLevel || 1, b.currentLevel || 1),
+    currentAct: Math.max(a.currentAct || 0, b.currentAct || 0),
+    longestStreak: Math.max(a.longestStreak || 0, b.longestStreak || 0),
+    currentStreak: newerQuiz.currentStreak || 0,
+    lastQuizDate: newerQuiz.lastQuizDate || null,
+    points: {
+      ...(b.points || {}),
+      ...(a.points || {}),
+      total: totalPoints,
+      available: Math.max(0, totalPoints - spentOnHelps),
+      spentOnHelps,
+      currentRank
+    },
+    sync: { counters, peers }
+  };
+};
+
+// --------- Código de sincronización ---------
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  bytes.forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4)), (char) => char.charCodeAt(0));
+};
+
+const canCompress = () => typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+const pipeBytes = async (bytes, transform) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(transform);
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+const shortHash = (text) => {
+  let hash = 0;
+  for (let i = 0; i < text.length; i += 1) {
+    hash = ((hash << 5) - hash) + text.charCodeAt(i);
+    hash |= 0;
+  }
+  return Math.abs(hash).toString(36).padStart(6, '0').slice(-6);
+};
+
+// Solo viaja lo que se combina; el detalle de preguntas de cada cuestionario se queda en local
+const compactProgress = (progress) => ({
+  questionTracking: progress.questionTracking || {},
+  missions: progress.missions || {},
+  answeredQuestions: progress.answeredQuestions || [],
+  badges: progress.badges || [],
+  achievements: progress.achievements || [],
+  history: (progress.history || []).map(({ questionsData, ...entry }) => entry),
+  domainStats: progress.domainStats || {},
+  levelStats: progress.levelStats || {},
+  totalXP: progress.totalXP || 0,
+  totalPoints: progress.totalPoints ?? progress.points?.total ?? 0,
+  quizzesTaken: progress.quizzesTaken || 0,
+  currentLevel: progress.currentLevel || 1,
+  currentAct: progress.currentAct || 0,
+  currentStreak: progress.currentStreak || 0,
+  longestStreak: progress.longestStreak || 0,
+  lastQuizDate: progress.lastQuizDate || null,
+  points: {
+    spentOnHelps: progress.points?.spentOnHelps || 0,
+    currentRank: progress.points?.currentRank || 'Bronce'
+  },
+  sync: progress.sync || {}
+});
+
+/**
+ * Genera el código de sincronización de un progreso ya sellado.
+ * @returns {Promise<{ code: string, chunks: string[], compressed: boolean }>}
+ */
+const encodePayload = async (progress, { deviceId, deviceLabel = '' }) => {
+  const payload = {
+    v: SYNC_VERSION,
+    deviceId,
+    deviceLabel,
+    createdAt: new Date().toISOString(),
+    progress: compactProgress(progress)
+  };
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+  const compressed = canCompress();
+  const body = compressed ? await pipeBytes(bytes, new CompressionStream('deflate-raw')) : bytes;
+  const code = `${SYNC_PREFIX}${SYNC_VERSION}.${compressed ? 'z' : 'j'}.${toBase64Url(body)}`;
+  return { code, chunks: splitCode(code), compressed };
+};
+
+const decodePayload = async (code) => {
+  const [header, mode, body] = code.trim().split('.');
+  if (!header?.startsWith(SYNC_PREFIX) || !body) {
+    throw new Error('No es un código de sincronización PL-300.');
+  }
+  if (Number(header.slice(SYNC_PREFIX.length)) !== SYNC_VERSION) {
+    throw new Error('El código viene de otra versión de la aplicación: actualiza ambos dispositivos.');
+  }
+  if (mode === 'z' && !canCompress()) {
+    throw new Error('Este navegador no puede descomprimir el código; genera uno nuevo desde un navegador actualizado.');
+  }
+
+  let payload;
+  try {
+    const bytes = fromBase64Url(body);
+    const raw = mode === 'z' ? await pipeBytes(bytes, new DecompressionStream('deflate-raw')) : bytes;
+    payload = JSON.parse(new TextDecoder().decode(raw));
+  } catch (error) {
+    throw new Error('El código está incompleto o dañado: vuelve a copiarlo o escanearlo.');
+  }
+  if (typeof payload?.deviceId !== 'string' || !payload.progress || typeof payload.progress !== 'object') {
+    throw new Error('El código no contiene progreso sincronizable.');
+  }
+  return payload;
+};
+
+// --------- Fragmentos (QR) ---------
+
+/**
+ * Trocea el código en fragmentos `PL300S|id|n|total|datos` que caben en un QR pequeño.
+ */
+const splitCode = (code, size = CHUNK_SIZE) => {
+  const id = shortHash(code);
+  const total = Math.ceil(code.length / size);
+  return Array.from({ length: total }, (_, index) =>
+    `${CHUNK_PREFIX}|${id}|${index + 1}|${total}|${code.slice(index * size, (index + 1) * size)}`);
+};
+
+const createCollector = () => ({ id: null, total: 0, parts: {} });
+
+/**
+ * Añade un texto leído (fragmento o código completo) al recolector.
+ * @returns {{ collector: object, code: string|null, accepted: boolean }}
+ */
+const collectChunk = (collector, text) => {
+  const value = (text || '').trim();
+  if (value.startsWith(SYNC_PREFIX)) {
+    return { collector, code: value, accepted: true };
+  }
+  const [prefix, id, index, total, ...rest] = value.split('|');
+  const part = rest.join('|');
+  if (prefix !== CHUNK_PREFIX || !id || !(Number(index) >= 1) || !(Number(total) >= Number(index)) || !part) {
+    return { collector, code: null, accepted: false };
+  }
+
+  // Un fragmento de otro código empieza una recogida nueva
+  const base = collector.id === id ? collector : { id, total: Number(total), parts: {} };
+  const next = { ...base, parts: { ...base.parts, [index]: part } };
+  if (Object.keys(next.parts).length < next.total) {
+    return { collector: next, code: null, accepted: true };
+  }
+
+  const code = Array.from({ length: next.total }, (_, i) => next.parts[i + 1]).join('');
+  if (shortHash(code) !== id) {
+    return { collector: createCollector(), code: null, accepted: false };
+  }
+  return { collector: next, code, accepted: true };
+};
+
+// Pegado de varias líneas: fragmentos en cualquier orden o el código completo
+const parsePastedText = (text) => {
+  let collector = createCollector();
+  let code = null;
+  (text || '').split(/\s+/).filter(Boolean).forEach((line) => {
+    if (code) return;
+    const result = collectChunk(collector, line);
+    collector = result.collector;
+    code = result.code;
+  });
+  return { code, collector };
+};
+
+export const deviceSync = {
+  VERSION: SYNC_VERSION,
+  CHUNK_SIZE,
+  stampDevice,
+  merge: mergeSynced,
+  mergeTracking,
+  encode: encodePayload,
+  decode: decodePayload,
+  split: splitCode,
+  createCollector,
+  collectChunk,
+  parsePastedText,
+  canCompress
+};
@@ -0,0 +1,127 @@
+/**
+ * @jest-environment node
+ */
+import { deviceSync } from './deviceSync';
+
+const attempt = (day, correct) => ({ date: `2026-10-${day}T10:00:00.000Z`, correct, timeSpent: 30 });
+
+// Simula una respuesta en un dispositivo: intento, XP y puntos locales
+const answer = (progress, questionId, day, correct, xp) => {
+  const tracking = progress.questionTracking?.[questionId]
+    || { totalAttempts: 0, correctAttempts: 0, incorrectAttempts: 0, averageTimeSpent: 0, timestamps: [] };
+  const totalAttempts = tracking.totalAttempts + 1;
+  return {
+    ...progress,
+    totalXP: (progress.totalXP || 0) + xp,
+    totalPoints: (progress.totalPoints || 0) + xp,
+    points: { ...progress.points, total: (progress.totalPoints || 0) + xp },
+    questionTracking: {
+      ...progress.questionTracking,
+      [questionId]: {
+        ...tracking,
+        totalAttempts,
+        correctAttempts: tracking.correctAttempts + (correct ? 1 : 0),
+        incorrectAttempts: tracking.incorrectAttempts + (correct ? 0 : 1),
+        averageTimeSpent: (tracking.averageTimeSpent * tracking.totalAttempts + 30) / totalAttempts,
+        lastAttemptDate: attempt(day, correct).date,
+        timestamps: [...tracking.timestamps, attempt(day, correct)].slice(-20)
+      }
+    }
+  };
+};
+
+const shared = deviceSync.stampDevice(answer({
+  totalXP: 100,
+  totalPoints: 50,
+  points: { total: 50, spentOnHelps: 10, currentRank: 'Bronce' },
+  quizzesTaken: 2,
+  missions: { m1: { status: 'completed', score: 80 }, m2: { status: 'available' } },
+  domainStats: { d1: { attempted: 2, correct: 1, timeSpent: 60, total: 2, avgTime: 30 } },
+  badges: ['b1'],
+  history: [{ type: 'quiz', completedAt: '2026-10-01' }]
+}, 'q1', '01', true, 0), 'devA');
+
+// Tres dispositivos que parten del mismo progreso y divergen sin sincronizar
+const deviceA = deviceSync.stampDevice({
+  ...answer(shared, 'q1', '05', true, 10),
+  missions: { ...shared.missions, m2: { status: 'in_progress', score: 10 } }
+}, 'devA');
+const deviceB = deviceSync.stampDevice({
+  ...answer(answer(deviceSync.merge(deviceSync.stampDevice({}, 'devB'), shared), 'q1', '06', false, 20), 'q2', '07', true, 5),
+  badges: ['b2', 'b1']
+}, 'devB');
+const deviceC = deviceSync.stampDevice({
+  ...answer(deviceSync.merge(deviceSync.stampDevice({}, 'devC'), shared), 'q3', '08', true, 7),
+  missions: { ...shared.missions, m2: { status: 'completed', score: 5 } },
+  history: [...shared.history, { type: 'quiz', completedAt: '2026-10-08' }]
+}, 'devC');
+
+describe('deviceSync.merge', () => {
+  test('es conmutativa', () => {
+    expect(deviceSync.merge(deviceA, deviceB)).toEqual(deviceSync.merge(deviceB, deviceA));
+    expect(deviceSync.merge(deviceA, deviceC)).toEqual(deviceSync.merge(deviceC, deviceA));
+  });
+
+  test('es asociativa', () => {
+    const left = deviceSync.merge(deviceSync.merge(deviceA, deviceB), deviceC);
+    const right = deviceSync.merge(deviceA, deviceSync.merge(deviceB, deviceC));
+    expect(left).toEqual(right);
+  });
+
+  test('es idempotente', () => {
+    const merged = deviceSync.merge(deviceA, deviceB);
+    expect(deviceSync.merge(merged, merged)).toEqual(merged);
+    expect(deviceSync.merge(merged, deviceB)).toEqual(merged);
+    expect(deviceSync.merge(deviceSync.stampDevice(merged, 'devA'), deviceB)).toEqual(merged);
+  });
+
+  test('suma el trabajo de cada dispositivo sin contarlo dos veces', () => {
+    const merged = deviceSync.merge(deviceSync.merge(deviceA, deviceB), deviceC);
+
+    expect(merged.totalXP).toBe(142);
+    expect(merged.questionTracking.q1).toMatchObject({ totalAttempts: 3, correctAttempts: 2 });
+    expect(merged.questionTracking.q2.totalAttempts).toBe(1);
+    expect(merged.questionTracking.q3.totalAttempts).toBe(1);
+    expect(merged.missions.m2.status).toBe('completed');
+    expect(merged.badges).toEqual(['b1', 'b2']);
+    expect(merged.history).toHaveLength(2);
+
+    const later = deviceSync.stampDevice(answer(merged, 'q1', '09', true, 1), 'devA');
+    const again = deviceSync.merge(later, deviceB);
+    expect(again.questionTracking.q1.totalAttempts).toBe(4);
+    expect(again.totalXP).toBe(143);
+  });
+});
+
+describe('código de sincronización', () => {
+  test('decode recupera el progreso codificado', async () => {
+    const { code, compressed } = await deviceSync.encode(deviceA, { deviceId: 'devA', deviceLabel: 'Portátil' });
+    const payload = await deviceSync.decode(code);
+
+    expect(code.startsWith(`PL300SYNC1.${compressed ? 'z' : 'j'}.`)).toBe(true);
+    expect(payload).toMatchObject({ deviceId: 'devA', deviceLabel: 'Portátil' });
+    expect(payload.progress.questionTracking).toEqual(deviceA.questionTracking);
+    expect(deviceSync.merge(deviceB, payload.progress)).toEqual(deviceSync.merge(deviceB, deviceA));
+  });
+
+  test('los fragmentos se recomponen en cualquier orden', async () => {
+    const { code, chunks } = await deviceSync.encode(deviceB, { deviceId: 'devB' });
+    let collector = deviceSync.createCollector();
+    let collected = null;
+    [...chunks].reverse().forEach((chunk) => {
+      const result = deviceSync.collectChunk(collector, chunk);
+      collector = result.collector;
+      collected = result.code || collected;
+    });
+
+    expect(chunks.length).toBeGreaterThan(1);
+    expect(collected).toBe(code);
+    expect(deviceSync.parsePastedText(chunks.join('\n')).code).toBe(code);
+  });
+
+  test('rechaza un código dañado', async () => {
+    const { code } = await deviceSync.encode(deviceC, { deviceId: 'devC' });
+    await expect(deviceSync.decode(code.slice(0, -10))).rejects.toThrow('incompleto o dañado');
+    await expect(deviceSync.decode('hola')).rejects.toThrow('No es un código');
+  });
+});
@@ -0,0 +1,434 @@
+/**
+ * Respaldos versionados del progreso.
+ * Un respaldo agrupa el snapshot CxC (con el tracking de preguntas PL-300) y el
+ * perfil PL-300; puede cifrarse con una frase de paso (PBKDF2 + AES-GCM vía
+ * WebCrypto). Al importar se migra y valida el snapshot, se calcula la
+ * diferencia con el progreso actual y se combina pregunta a pregunta.
+ */
+
+import { progressValidator } from './progressValidator';
+import { progressMigrator } from './progressMigrator';
+
+const BACKUP_FORMAT = 'cxc-progress-backup';
+const BACKUP_FORMAT_VERSION = 1;
+const PBKDF2_ITERATIONS = 250000;
+// Rango aceptado al descifrar: el sobre no puede debilitar la clave ni bloquear la pestaña
+const MIN_PBKDF2_ITERATIONS = 100000;
+const MAX_PBKDF2_ITERATIONS = 1000000;
+const MAX_TIMESTAMPS = 20;
+const MAX_HISTORY = 50;
+
+const MISSION_STATUS_RANK = ['locked', 'available', 'in_progress', 'completed', 'platinum'];
+
+// --------- Cifrado (WebCrypto) ---------
+
+const getSubtle = () => {
+  const subtle = typeof window !== 'undefined' ? window.crypto?.subtle : undefined;
+  if (!subtle) {
+    throw new Error('El cifrado necesita WebCrypto: abre la aplicación en https o en localhost.');
+  }
+  return subtle;
+};
+
+const toBase64 = (bytes) => {
+  let binary = '';
+  new Uint8Array(bytes).forEach((byte) => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+};
+
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+const deriveKey = async (passphrase, salt, iterations) => {
+  const subtle = getSubtle();
+  const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+const clampIterations = (value) => (Number.isInteger(value)
+  ? Math.min(Math.max(value, MIN_PBKDF2_ITERATIONS), MAX_PBKDF2_ITERATIONS)
+  : PBKDF2_ITERATIONS);
+
+const isEncrypted = (data) => data?.format === BACKUP_FORMAT && data.encrypted === true;
+
+/**
+ * Cifra un respaldo. El sobre solo deja a la vista el formato y la fecha.
+ * @param {object} bundle Respaldo sin cifrar
+ * @param {string} passphrase
+ */
+const encryptBackup = async (bundle, passphrase) => {
+  if (!passphrase) throw new Error('Escribe una frase de paso para cifrar el respaldo.');
+
+  const salt = window.crypto.getRandomValues(new Uint8Array(16));
+  const iv = window.crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS);
+  const ciphertext = await getSubtle().encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(bundle))
+  );
+
+  return {
+    format: BACKUP_FORMAT,
+    formatVersion: bundle.formatVersion,
+    createdAt: bundle.createdAt,
+    encrypted: true,
+    encryption: {
+      algorithm: 'AES-GCM',
+      kdf: 'PBKDF2',
+      hash: 'SHA-256',
+      iterations: PBKDF2_ITERATIONS,
+      salt: toBase64(salt),
+      iv: toBase64(iv)
+    },
+    payload: toBase64(ciphertext)
+  };
+};
+
+const decryptBackup = async (envelope, passphrase) => {
+  if (!passphrase) {
+    const error = new Error('Este respaldo está cifrado: escribe su frase de paso.');
+    error.code = 'PASSPHRASE_REQUIRED';
+    throw error;
+  }
+
+  const subtle = getSubtle();
+  const { salt, iv, iterations } = envelope.encryption || {};
+  try {
+    // Un salt/iv que no es base64 válido también cuenta como respaldo dañado
+    const key = await deriveKey(passphrase, fromBase64(salt), clampIterations(iterations));
+    const plaintext = await subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(envelope.payload));
+    return JSON.parse(new TextDecoder().decode(plaintext));
+  } catch (error) {
+    const wrapped = new Error('Frase de paso incorrecta o respaldo dañado.');
+    wrapped.code = 'DECRYPT_FAILED';
+    throw wrapped;
+  }
+};
+
+// --------- Lectura y preparación ---------
+
+/**
+ * Crea el respaldo sin cifrar. El checksum lo calcula quien llama
+ * (progressService.generateChecksum) sobre `contents`.
+ */
+const createBundle = ({ snapshot, profile = null, checksum = null, createdAt = new Date().toISOString() }) => ({
+  format: BACKUP_FORMAT,
+  formatVersion: BACKUP_FORMAT_VERSION,
+  createdAt,
+  encrypted: false,
+  contents: { snapshot, profile },
+  checksum
+});
+
+/**
+ * Interpreta el texto de un archivo de respaldo: cifrado, sin cifrar o el JSON
+ * en bruto que generaba exportProgress antes de existir el formato versionado.
+ */
+const parseBackupText = async (text, passphrase) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('El archivo no es un respaldo JSON válido.');
+  }
+
+  const encrypted = isEncrypted(data);
+  if (encrypted) {
+    data = await decryptBackup(data, passphrase);
+  }
+
+  if (data?.format === BACKUP_FORMAT) {
+    if ((data.formatVersion || 0) > BACKUP_FORMAT_VERSION) {
+      throw new Error('El respaldo se creó con una versión más reciente de la aplicación.');
+    }
+    if (!data.contents?.snapshot) {
+      throw new Error('El respaldo no contiene progreso.');
+    }
+    // `encrypted` indica cómo venía el archivo, no el contenido ya descifrado
+    return { ...data, encrypted };
+  }
+
+  if (data?.user && data?.progress) {
+    return { ...createBundle({ snapshot: data, createdAt: data.progress.updatedAt || null }), legacy: true };
+  }
+
+  throw new Error('El archivo no es un respaldo de progreso.');
+};
+
+/**
+ * Migra y valida el snapshot del respaldo antes de compararlo o guardarlo.
+ * @returns {{ snapshot, profile, createdAt, legacy, encrypted, migration: { migrated, fromVersion, toVersion } }}
+ */
+const prepareImport = (bundle) => {
+  const { snapshot, migrated, fromVersion, toVersion } = progressMigrator.migrate(bundle.contents.snapshot);
+  progressValidator.assertValid(snapshot);
+
+  return {
+    snapshot,
+    profile: bundle.contents.profile || null,
+    createdAt: bundle.createdAt,
+    legacy: Boolean(bundle.legacy),
+    encrypted: Boolean(bundle.encrypted),
+    migration: { migrated, fromVersion, toVersion }
+  };
+};
+
+// --------- Diferencias ---------
+
+const attemptKey = (entry) => `${entry.date}|${entry.correct}`;
+
+const laterDate = (a, b) => ((a || '') >= (b || '') ? a : b);
+
+const summarizeTracking = (tracking) => (tracking ? {
+  attempts: tracking.totalAttempts || 0,
+  correct: tracking.correctAttempts || 0,
+  lastAttemptDate: tracking.lastAttemptDate || null
+} : null);
+
+/**
+ * Clasifica una pregunta: 'new' (solo en el respaldo), 'local-only', 'same',
+ * 'ahead' (el respaldo contiene lo local y más), 'behind' o 'conflict'.
+ */
+const classifyQuestion = (local, incoming) => {
+  if (!local) return 'new';
+  if (!incoming) return 'local-only';
+
+  const localKeys = new Set((local.timestamps || []).map(attemptKey));
+  const incomingKeys = new Set((incoming.timestamps || []).map(attemptKey));
+  const incomingHasLocal = [...localKeys].every((key) => incomingKeys.has(key));
+  const localHasIncoming = [...incomingKeys].every((key) => localKeys.has(key));
+
+  if (incomingHasLocal && localHasIncoming && local.totalAttempts === incoming.totalAttempts) return 'same';
+  if (incomingHasLocal && incoming.totalAttempts >= local.totalAttempts) return 'ahead';
+  if (localHasIncoming && local.totalAttempts >= incoming.totalAttempts) return 'behind';
+  return 'conflict';
+};
+
+const missionRank = (mission) => MISSION_STATUS_RANK.indexOf(mission?.status);
+
+/**
+ * Diferencia entre el progreso actual y el del respaldo (objetos `progress`).
+ */
+const diffProgress = (current = {}, incoming = {}) => {
+  const currentTracking = current.questionTracking || {};
+  const incomingTracking = incoming.questionTracking || {};
+
+  const questions = [...new Set([...Object.keys(currentTracking), ...Object.keys(incomingTracking)])]
+    .map((id) => ({
+      id,
+      domain: (incomingTracking[id] || currentTracking[id]).domain || null,
+      kind: classifyQuestion(currentTracking[id], incomingTracking[id]),
+      current: summarizeTracking(currentTracking[id]),
+      incoming: summarizeTracking(incomingTracking[id])
+    }))
+    .filter((question) => question.kind !== 'same' && question.kind !== 'local-only');
+
+  const currentMissions = current.missions || {};
+  const incomingMissions = incoming.missions || {};
+  const missions = [...new Set([...Object.keys(currentMissions), ...Object.keys(incomingMissions)])]
+    .filter((id) => currentMissions[id]?.status !== incomingMissions[id]?.status
+      || currentMissions[id]?.score !== incomingMissions[id]?.score)
+    .map((id) => ({
+      id,
+      current: currentMissions[id]?.status || null,
+      incoming: incomingMissions[id]?.status || null,
+      currentScore: currentMissions[id]?.score ?? null,
+      incomingScore: incomingMissions[id]?.score ?? null
+    }));
+
+  const countAttempts = (tracking) => Object.values(tracking).reduce((sum, entry) => sum + (entry.totalAttempts || 0), 0);
+
+  return {
+    xp: { current: current.totalXP || 0, incoming: incoming.totalXP || 0 },
+    points: {
+      current: current.totalPoints ?? current.points?.total ?? 0,
+      incoming: incoming.totalPoints ?? incoming.points?.total ?? 0
+    },
+    attempts: { current: countAttempts(currentTracking), incoming: countAttempts(incomingTracking) },
+    missions,
+    questions,
+    localOnlyQuestions: Object.keys(currentTracking).filter((id) => !incomingTracking[id]).length
+  };
+};
+
+// --------- Combinación ---------
+
+// Intentos de `other` que no están en `base`; si `base` ya recortó su historial
+// se ignoran los anteriores a su intento más antiguo (ya están en sus contadores)
+const missingAttempts = (base, other) => {
+  const baseTimestamps = base.timestamps || [];
+  const keys = new Set(baseTimestamps.map(attemptKey));
+  const truncated = (base.totalAttempts || 0) > baseTimestamps.length;
+  const oldest = baseTimestamps[0]?.date || '';
+  return (other.timestamps || []).filter((entry) => !keys.has(attemptKey(entry)) && (!truncated || entry.date >= oldest));
+};
+
+/**
+ * Combina el tracking de una pregunta de dos orígenes sin contar dos veces los
+ * intentos compartidos. El estado FSRS y la confianza vienen del lado con el
+ * intento más reciente; los contadores, de la unión de intentos.
+ */
+const mergeQuestionTracking = (local, incoming) => {
+  if (!local) return incoming;
+  if (!incoming) return local;
+
+  const fromIncoming = missingAttempts(local, incoming);
+  const fromLocal = missingAttempts(incoming, local);
+  const localTotal = (local.totalAttempts || 0) + fromIncoming.length;
+  const incomingTotal = (incoming.totalAttempts || 0) + fromLocal.length;
+  const [base, extra] = localTotal >= incomingTotal ? [local, fromIncoming] : [incoming, fromLocal];
+
+  const newer = (incoming.lastAttemptDate || '') > (local.lastAttemptDate || '') ? incoming : local;
+  const older = newer === local ? incoming : local;
+
+  const timestamps = [...(local.timestamps || []), ...fromIncoming]
+    .sort((a, b) => (a.date || '').localeCompare(b.date || ''))
+    .slice(-MAX_TIMESTAMPS);
+  const last = timestamps[timestamps.length - 1];
+
+  const totalAttempts = (base.totalAttempts || 0) + extra.length;
+  const extraCorrect = extra.filter((entry) => entry.correct).length;
+  const extraTime = extra.reduce((sum, entry) => sum + (entry.timeSpent || 0), 0);
+  const firstDates = [local.firstAttemptDate, incoming.firstAttemptDate].filter(Boolean).sort();
+
+  return {
+    ...older,
+    ...newer,
+    totalAttempts,
+    correctAttempts: (base.correctAttempts || 0) + extraCorrect,
+    incorrectAttempts: (base.incorrectAttempts || 0) + (extra.length - extraCorrect),
+    averageTimeSpent: totalAttempts > 0
+      ? ((base.averageTimeSpent || 0) * (base.totalAttempts || 0) + extraTime) / totalAttempts
+      : 0,
+    firstAttemptDate: firstDates[0] || null,
+    lastAttemptDate: laterDate(newer.lastAttemptDate, last?.date) || null,
+    lastAttemptCorrect: last ? last.correct : newer.lastAttemptCorrect,
+    masteredDate: [local.masteredDate, incoming.masteredDate].filter(Boolean).sort()[0] || null,
+    tags: [...new Set([...(local.tags || []), ...(incoming.tags || [])])],
+    timestamps
+  };
+};
+
+const mergeMission = (local, incoming) => {
+  if (!local) return incoming;
+  if (!incoming) return local;
+  if (missionRank(incoming) !== missionRank(local)) {
+    return missionRank(incoming) > missionRank(local) ? incoming : local;
+  }
+  if ((incoming.score || 0) !== (local.score || 0)) {
+    return (incoming.score || 0) > (local.score || 0) ? incoming : local;
+  }
+  return (incoming.updatedAt || '') > (local.updatedAt || '') ? incoming : local;
+};
+
+// Contadores agregados (domainStats, levelStats): se conserva el mayor de cada campo
+const mergeCounters = (local = {}, incoming = {}) =>
+  [...new Set([...Object.keys(local), ...Object.keys(incoming)])].reduce((acc, key) => {
+    const a = local[key] || {};
+    const b = incoming[key] || {};
+    acc[key] = [...new Set([...Object.keys(a), ...Object.keys(b)])].reduce((entry, field) => {
+      entry[field] = typeof a[field] === 'number' || typeof b[field] === 'number'
+        ? Math.max(Number(a[field]) || 0, Number(b[field]) || 0)
+        : (b[field] ?? a[field]);
+      return entry;
+    }, {});
+    return acc;
+  }, {});
+
+const union = (a = [], b = []) => [...new Set([...a, ...b])];
+
+const historyKey = (entry) => `${entry?.type || ''}|${entry?.completedAt || entry?.timestamp || JSON.stringify(entry)}`;
+
+/**
+ * Combina el progreso actual con el del respaldo.
+ * @param {object} current progress actual
+ * @param {object} incoming progress del respaldo
+ * @param {object} questionChoices { [questionId]: 'merge' | 'local' | 'incoming' } (por defecto 'merge')
+ */
+const mergeProgress = (current = {}, incoming = {}, questionChoices = {}) => {
+  const currentTracking = current.questionTracking || {};
+  const incomingTracking = incoming.questionTracking || {};
+  const questionTracking = [...new Set([...Object.keys(currentTracking), ...Object.keys(incomingTracking)])]
+    .reduce((acc, id) => {
+      const choice = questionChoices[id] || 'merge';
+      const merged = choice === 'local'
+        ? currentTracking[id]
+        : choice === 'incoming'
+          ? incomingTracking[id] || currentTracking[id]
+          : mergeQuestionTracking(currentTracking[id], incomingTracking[id]);
+      if (merged) acc[id] = merged;
+      return acc;
+    }, {});
+
+  const currentMissions = current.missions || {};
+  const incomingMissions = incoming.missions || {};
+  const missions = [...new Set([...Object.keys(currentMissions), ...Object.keys(incomingMissions)])]
+    .reduce((acc, id) => ({ ...acc, [id]: mergeMission(currentMissions[id], incomingMissions[id]) }), {});
+
+  const historyByKey = new Map();
+  [...(current.history || []), ...(incoming.history || [])].forEach((entry) => {
+    historyByKey.set(historyKey(entry), entry);
+  });
+
+  const totalPoints = Math.max(current.totalPoints ?? current.points?.total ?? 0, incoming.totalPoints ?? incoming.points?.total ?? 0);
+  const ranks = ['Bronce', 'Plata', 'Oro', 'Platino'];
+  const currentRank = [current.points?.currentRank, incoming.points?.currentRank]
+    .filter((rank) => ranks.includes(rank))
+    .sort((a, b) => ranks.indexOf(b) - ranks.indexOf(a))[0] || 'Bronce';
+  const newerQuiz = (incoming.lastQuizDate || '') > (current.lastQuizDate || '') ? incoming : current;
+
+  return {
+    ...incoming,
+    ...current,
+    questionTracking,
+    missions,
+    answeredQuestions: union(current.answeredQuestions, incoming.answeredQuestions),
+    badges: union(current.badges, incoming.badges),
+    achievements: union(current.achievements, incoming.achievements),
+    // Igual que updateProgressAfterQuiz: lo más reciente primero y como máximo 50 entradas
+    history: [...historyByKey.values()]
+      .sort((a, b) => String(b?.completedAt || '').localeCompare(String(a?.completedAt || '')))
+      .slice(0, MAX_HISTORY),
+    domainStats: mergeCounters(current.domainStats, incoming.domainStats),
+    levelStats: mergeCounters(current.levelStats, incoming.levelStats),
+    totalXP: Math.max(current.totalXP || 0, incoming.totalXP || 0),
+    totalPoints,
+    currentLevel: Math.max(current.currentLevel || 1, incoming.currentLevel || 1),
+    currentAct: Math.max(current.currentAct || 0, incoming.currentAct || 0),
+    quizzesTaken: Math.max(current.quizzesTaken || 0, incoming.quizzesTaken || 0),
+    longestStreak: Math.max(current.longestStreak || 0, incoming.longestStreak || 0),
+    currentStreak: newerQuiz.currentStreak || 0,
+    lastQuizDate: newerQuiz.lastQuizDate || null,
+    points: {
+      total: totalPoints,
+      available: Math.max(current.points?.available || 0, incoming.points?.available || 0),
+      spentOnHelps: Math.max(current.points?.spentOnHelps || 0, incoming.points?.spentOnHelps || 0),
+      currentRank
+    },
+    updatedAt: new Date().toISOString()
+  };
+};
+
+export const progressBackup = {
+  FORMAT: BACKUP_FORMAT,
+  FORMAT_VERSION: BACKUP_FORMAT_VERSION,
+  createBundle,
+  isEncrypted,
+  encrypt: encryptBackup,
+  decrypt: decryptBackup,
+  parse: parseBackupText,
+  prepareImport,
+  diff: diffProgress,
+  classifyQuestion,
+  missingAttempts,
+  mergeQuestionTracking,
+  mergeProgress
+};
@@ -0,0 +1,87 @@
+/**
+ * @jest-environment node
+ */
+import { webcrypto } from 'crypto';
+import { progressBackup } from './progressBackup';
+
+// progressBackup usa window.crypto como en el navegador
+global.window = { crypto: webcrypto };
+
+const attempt = (day, correct = true) => ({ date: `2026-10-${day}T10:00:00.000Z`, correct, timeSpent: 20 });
+const tracking = (timestamps, totalAttempts = timestamps.length) => ({
+  totalAttempts,
+  correctAttempts: timestamps.filter(entry => entry.correct).length,
+  timestamps
+});
+
+describe('classifyQuestion', () => {
+  test('distingue preguntas nuevas y solo locales', () => {
+    expect(progressBackup.classifyQuestion(undefined, tracking([attempt(10)]))).toBe('new');
+    expect(progressBackup.classifyQuestion(tracking([attempt(10)]), undefined)).toBe('local-only');
+  });
+
+  test('same, ahead, behind y conflict según los intentos de cada lado', () => {
+    const local = tracking([attempt(10), attempt(11, false)]);
+
+    expect(progressBackup.classifyQuestion(local, tracking([attempt(10), attempt(11, false)]))).toBe('same');
+    expect(progressBackup.classifyQuestion(local, tracking([attempt(10), attempt(11, false), attempt(12)]))).toBe('ahead');
+    expect(progressBackup.classifyQuestion(local, tracking([attempt(10)]))).toBe('behind');
+    expect(progressBackup.classifyQuestion(local, tracking([attempt(10), attempt(13)]))).toBe('conflict');
+  });
+
+  test('mismos intentos guardados pero más contados en el respaldo: ahead', () => {
+    const local = tracking([attempt(10)]);
+    expect(progressBackup.classifyQuestion(local, tracking([attempt(10)], 5))).toBe('ahead');
+  });
+});
+
+describe('missingAttempts', () => {
+  test('devuelve los intentos del otro lado que faltan en la base', () => {
+    const base = tracking([attempt(10), attempt(11)]);
+    const other = tracking([attempt(10), attempt(11), attempt(12, false), attempt(13)]);
+    expect(progressBackup.missingAttempts(base, other)).toEqual([attempt(12, false), attempt(13)]);
+  });
+
+  test('un intento del mismo instante con otro resultado cuenta como distinto', () => {
+    expect(progressBackup.missingAttempts(tracking([attempt(10)]), tracking([attempt(10, false)]))).toEqual([attempt(10, false)]);
+  });
+
+  test('si la base recortó su historial ignora los intentos anteriores a su recorte', () => {
+    const base = tracking([attempt(15), attempt(16)], 30);
+    const other = tracking([attempt(12), attempt(15), attempt(17)]);
+    expect(progressBackup.missingAttempts(base, other)).toEqual([attempt(17)]);
+  });
+});
+
+describe('cifrado', () => {
+  const bundle = progressBackup.createBundle({ snapshot: { version: '1.1.0', progress: { totalXP: 40 } }, createdAt: '2026-10-19T08:00:00.000Z' });
+
+  test('ida y vuelta con la frase correcta', async () => {
+    const envelope = await progressBackup.encrypt(bundle, 'frase larga');
+    expect(envelope.payload).not.toContain('totalXP');
+    await expect(progressBackup.decrypt(envelope, 'frase larga')).resolves.toEqual(bundle);
+    await expect(progressBackup.decrypt(envelope, 'otra frase')).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+  });
+
+  test('un salt o iv dañado da DECRYPT_FAILED en vez de un error de base64', async () => {
+    const envelope = await progressBackup.encrypt(bundle, 'frase');
+    const broken = (changes) => ({ ...envelope, encryption: { ...envelope.encryption, ...changes } });
+
+    await expect(progressBackup.decrypt(broken({ salt: '%%%' }), 'frase')).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+    await expect(progressBackup.decrypt(broken({ iv: undefined }), 'frase')).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+  });
+
+  test('las iteraciones fuera de rango se acotan: no debilitan ni bloquean el descifrado', async () => {
+    const envelope = await progressBackup.encrypt(bundle, 'frase');
+    const withIterations = (iterations) => ({ ...envelope, encryption: { ...envelope.encryption, iterations } });
+
+    await expect(progressBackup.decrypt(withIterations(1), 'frase')).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+    await expect(progressBackup.decrypt(withIterations(1e12), 'frase')).rejects.toMatchObject({ code: 'DECRYPT_FAILED' });
+    await expect(progressBackup.decrypt(withIterations('250000'), 'frase')).resolves.toEqual(bundle);
+  });
+
+  test('sin frase de paso pide la frase', async () => {
+    const envelope = await progressBackup.encrypt(bundle, 'frase');
+    await expect(progressBackup.decrypt(envelope, '')).rejects.toMatchObject({ code: 'PASSPHRASE_REQUIRED' });
+  });
+});
@@ -3,7 +3,9 @@
  * Permite evolucionar el esquema manteniendo compatibilidad con versiones previas.
  */
 
-const LATEST_VERSION = '1.0.0';
+import { canonicalizeDomainStats, canonicalizeQuestionTracking } from '../data/taxonomy';
+
+const LATEST_VERSION = '1.1.0';
 const BASELINE_VERSION = '0.0.0';
 
 const ensureObject = (value, fallback = {}) => (value && typeof value === 'object' ? value : fallback);
@@ -72,6 +74,24 @@ const migrations = [
         };
       });
 
+      return migrated;
+    }
+  },
+  {
+    // 1.1.0: dominios y subdominios con claves canónicas de la taxonomía PL-300
+    version: '1.1.0',
+    up: (snapshot) => {
+      const migrated = { ...snapshot, version: '1.1.0' };
+      const progress = ensureObject(migrated.progress, {});
+
+      migrated.progress = { ...progress };
+      if (progress.questionTracking && typeof progress.questionTracking === 'object') {
+        migrated.progress.questionTracking = canonicalizeQuestionTracking(progress.questionTracking);
+      }
+      if (progress.domainStats && typeof progress.domainStats === 'object') {
+        migrated.progress.domainStats = canonicalizeDomainStats(progress.domainStats);
+      }
+
       return migrated;
     }
   }
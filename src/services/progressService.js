@@ -5,11 +5,17 @@
 
 import { progressValidator } from './progressValidator';
 import { progressMigrator } from './progressMigrator';
+import { progressBackup } from './progressBackup';
+import { deviceSync } from './deviceSync';
+import { syncAdapters } from './syncAdapters';
 
 const STORAGE_KEYS = {
   PROFILE: 'cxcc_profile',
   PROGRESS_HEAD: 'cxcc_progress_head',
   TELEMETRY_QUEUE: 'cxcc_telemetry_queue',
+  DEVICE_ID: 'cxcc_device_id',
+  REMOTE_SYNC: 'cxcc_remote_sync',
+  REMOTE_SYNC_TOKEN: 'cxcc_remote_sync_token', // sessionStorage salvo que se pida recordarlo
   PL300_PROFILE: 'pl300_user_profile_v2'
 };
 
@@ -21,6 +27,7 @@ const LEADER_TTL = 8000; // ms
 const HEARTBEAT_INTERVAL = 3000; // ms
 const LEADER_CHECK_INTERVAL = 4000; // ms
 const REQUEST_TIMEOUT = 4500; // ms
+const MAX_PUSH_ATTEMPTS = 3;
 
 const generateId = (prefix) => `${prefix}_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
@@ -37,6 +44,7 @@ class ProgressService {
     this.leaderCheckTimer = null;
     this.pendingSaveRequests = new Map();
     this.eventListeners = new Map();
+    this.syncAdapter = null;
 
     // ✅ NUEVO: Sistema de cola y deduplicación
     this.saveQueue = [];
@@ -646,7 +654,7 @@ class ProgressService {
       });
     }
 
-    const meta = { snapshotId, timestamp: nowIso, source: options.source };
+    const meta = { snapshotId, checksum, timestamp: nowIso, source: options.source };
 
     if (options.broadcast !== false && this.channel) {
       this.channel.postMessage({
@@ -947,6 +955,84 @@ class ProgressService {
     });
   }
 
+  // --------- Snapshots de misión en curso ---------
+  // Comparten el store MissionSnapshots con los snapshots de progreso,
+  // pero con id estable por usuario+misión y kind 'mission-activity'.
+
+  getMissionSnapshotId(userId, missionId) {
+    return `mission_${userId || 'anon'}_${missionId}`;
+  }
+
+  async saveMissionSnapshot(userId, missionId, state) {
+    const db = await this.ensureDB();
+    if (!db) return null;
+
+    const record = {
+      ...state,
+      snapshotId: this.getMissionSnapshotId(userId, missionId),
+      kind: 'mission-activity',
+      userId,
+      missionId,
+      updatedAt: new Date().toISOString()
+    };
+    await this.saveToIndexedDB('MissionSnapshots', record);
+    this.emit('mission-snapshot', { missionId, snapshot: record });
+    return record;
+  }
+
+  async loadMissionSnapshot(userId, missionId) {
+    const db = await this.ensureDB();
+    if (!db) return null;
+
+    const record = await this.loadFromIndexedDB(
+      'MissionSnapshots',
+      this.getMissionSnapshotId(userId, missionId)
+    );
+    return record?.kind === 'mission-activity' ? record : null;
+  }
+
+  async listMissionSnapshots(userId) {
+    const db = await this.ensureDB();
+    if (!db) return [];
+
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction(['MissionSnapshots'], 'readonly');
+      const index = transaction.objectStore('MissionSnapshots').index('missionId');
+      const request = index.openCursor();
+      const results = [];
+
+      request.onsuccess = (event) => {
+        const cursor = event.target.result;
+        if (cursor) {
+          if (cursor.value.kind === 'mission-activity' && cursor.value.userId === userId) {
+            results.push(cursor.value);
+          }
+          cursor.continue();
+        } else {
+          resolve(results.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)));
+        }
+      };
+
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  async clearMissionSnapshot(userId, missionId) {
+    const db = await this.ensureDB();
+    if (!db) return;
+
+    await new Promise((resolve, reject) => {
+      const transaction = db.transaction(['MissionSnapshots'], 'readwrite');
+      const request = transaction
+        .objectStore('MissionSnapshots')
+        .delete(this.getMissionSnapshotId(userId, missionId));
+
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+    });
+    this.emit('mission-snapshot', { missionId, snapshot: null });
+  }
+
   async getProgressHistory(userId, limit = 10) {
     const db = await this.ensureDB();
     if (!db) throw new Error('IndexedDB no inicializada');
@@ -1000,37 +1086,312 @@ class ProgressService {
     };
   }
 
-  async exportProgress() {
-    const progress = await this.loadProgress();
-    if (!progress) return null;
+  // --------- Respaldos ---------
+
+  /**
+   * Respaldo versionado con el snapshot CxC (incluye questionTracking) y el perfil PL-300.
+   * @param {object} [snapshot] Snapshot a respaldar; por defecto el último guardado
+   */
+  async createBackup(snapshot = null) {
+    const source = snapshot || await this.loadProgress();
+    if (!source) return null;
 
-    const blob = new Blob([JSON.stringify(progress, null, 2)], {
+    const { snapshot: normalized } = progressMigrator.migrate(source);
+    const profile = await this.loadUserProfileState();
+    const contents = { snapshot: normalized, profile };
+    return progressBackup.createBundle({ ...contents, checksum: this.generateChecksum(contents) });
+  }
+
+  /**
+   * Descarga el respaldo; con `passphrase` se cifra con WebCrypto.
+   * @param {{ passphrase?: string, snapshot?: object }} options
+   */
+  async exportProgress({ passphrase = '', snapshot = null } = {}) {
+    const bundle = await this.createBackup(snapshot);
+    if (!bundle) return null;
+
+    const output = passphrase ? await progressBackup.encrypt(bundle, passphrase) : bundle;
+    const blob = new Blob([JSON.stringify(output, null, 2)], {
       type: 'application/json'
     });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `cxc_progress_${Date.now()}.json`;
+    a.download = `cxc_backup_${bundle.createdAt.slice(0, 10)}${passphrase ? '_cifrado' : ''}.json`;
     a.click();
     URL.revokeObjectURL(url);
-    return progress;
+    return bundle;
   }
 
-  async importProgress(file) {
-    return new Promise((resolve, reject) => {
+  /**
+   * Lee un archivo de respaldo (cifrado, versionado o JSON antiguo), lo migra y valida.
+   * No guarda nada: devuelve el respaldo preparado para comparar con importProgress.
+   */
+  async readBackupFile(file, { passphrase = '' } = {}) {
+    const text = await new Promise((resolve, reject) => {
       const reader = new FileReader();
-      reader.onload = async (e) => {
-        try {
-          const data = JSON.parse(e.target.result);
-          const result = await this.performSave(data, { broadcast: true, source: 'import' });
-          resolve(result);
-        } catch (error) {
-          reject(error);
-        }
-      };
+      reader.onload = (e) => resolve(e.target.result);
       reader.onerror = () => reject(reader.error);
       reader.readAsText(file);
     });
+
+    const bundle = await progressBackup.parse(text, passphrase);
+    const prepared = progressBackup.prepareImport(bundle);
+    return {
+      ...prepared,
+      checksumOk: !bundle.checksum || bundle.checksum === this.generateChecksum(bundle.contents)
+    };
+  }
+
+  /**
+   * Aplica un respaldo preparado sobre el progreso actual.
+   * mode 'merge' combina pregunta a pregunta según `questionChoices`;
+   * mode 'replace' sustituye el progreso y el perfil. El id de usuario actual se conserva.
+   */
+  async importProgress(prepared, { current = null, mode = 'merge', questionChoices = {} } = {}) {
+    const base = current || await this.loadProgress() || this.createInitialProgress();
+    const progress = mode === 'replace'
+      ? { ...prepared.snapshot.progress, updatedAt: new Date().toISOString() }
+      : progressBackup.mergeProgress(base.progress, prepared.snapshot.progress, questionChoices);
+
+    const snapshot = {
+      ...base,
+      version: progressMigrator.LATEST_VERSION,
+      user: mode === 'replace'
+        ? { ...prepared.snapshot.user, id: base.user.id }
+        : base.user,
+      progress
+    };
+
+    const meta = await this.performSave(snapshot, { broadcast: true, source: 'import' });
+    // Al combinar se conserva el perfil local; solo el reemplazo lo sobrescribe
+    if (mode === 'replace' && prepared.profile) {
+      await this.saveUserProfileState(prepared.profile, { source: 'import' });
+    }
+    return { ...meta, snapshot };
+  }
+
+  // --------- Sincronización entre dispositivos ---------
+
+  getDeviceId() {
+    let deviceId = localStorage.getItem(STORAGE_KEYS.DEVICE_ID);
+    if (!deviceId) {
+      deviceId = generateId('device');
+      localStorage.setItem(STORAGE_KEYS.DEVICE_ID, deviceId);
+    }
+    return deviceId;
+  }
+
+  getDeviceLabel() {
+    const agent = typeof navigator !== 'undefined' ? navigator.userAgent : '';
+    return /Mobi|Android|iPhone|iPad/i.test(agent) ? 'Móvil' : 'Ordenador';
+  }
+
+  /**
+   * Código de sincronización (y sus fragmentos QR) del snapshot indicado.
+   * @param {object} snapshot Snapshot actual del contexto
+   */
+  async createDeviceSyncCode(snapshot) {
+    const deviceId = this.getDeviceId();
+    const progress = deviceSync.stampDevice(snapshot.progress, deviceId);
+    return deviceSync.encode(progress, { deviceId, deviceLabel: this.getDeviceLabel() });
+  }
+
+  /**
+   * Combina el código leído de otro dispositivo con el progreso actual y lo guarda.
+   * Devuelve además la diferencia respecto al progreso anterior.
+   */
+  async applyDeviceSyncCode(code, { current = null } = {}) {
+    const payload = await deviceSync.decode(code);
+    const deviceId = this.getDeviceId();
+    if (payload.deviceId === deviceId) {
+      throw new Error('Este código se generó en este mismo dispositivo: léelo desde el otro.');
+    }
+
+    const base = current || await this.loadProgress() || this.createInitialProgress();
+    const merged = deviceSync.merge(deviceSync.stampDevice(base.progress, deviceId), payload.progress);
+    const now = new Date().toISOString();
+    const progress = {
+      ...merged,
+      sync: {
+        ...merged.sync,
+        peers: {
+          ...merged.sync.peers,
+          [payload.deviceId]: { label: payload.deviceLabel, lastSyncAt: now, codeCreatedAt: payload.createdAt }
+        }
+      },
+      updatedAt: now
+    };
+
+    const snapshot = { ...base, version: progressMigrator.LATEST_VERSION, progress };
+    const meta = await this.performSave(snapshot, { broadcast: true, source: 'device-sync' });
+    return {
+      ...meta,
+      snapshot,
+      remote: { deviceId: payload.deviceId, deviceLabel: payload.deviceLabel, createdAt: payload.createdAt },
+      diff: progressBackup.diff(base.progress, progress)
+    };
+  }
+
+  // --------- Sincronización remota (adaptadores) ---------
+
+  /**
+   * Registra un adaptador propio (ver syncAdapters). Con null se vuelve al
+   * adaptador REST de la configuración guardada.
+   */
+  setSyncAdapter(adapter) {
+    this.syncAdapter = adapter ? syncAdapters.assert(adapter) : null;
+  }
+
+  getRemoteSyncConfig() {
+    try {
+      const config = JSON.parse(localStorage.getItem(STORAGE_KEYS.REMOTE_SYNC));
+      if (!config) return null;
+      if (config.rememberToken) return config;
+      return { ...config, token: sessionStorage.getItem(STORAGE_KEYS.REMOTE_SYNC_TOKEN) || config.token || '' };
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * El token solo se escribe en localStorage (sin cifrar, persiste al cerrar el
+   * navegador) si el usuario pidió recordarlo; si no, vive en sessionStorage.
+   */
+  setRemoteSyncConfig(config) {
+    if (!config) {
+      localStorage.removeItem(STORAGE_KEYS.REMOTE_SYNC);
+      sessionStorage.removeItem(STORAGE_KEYS.REMOTE_SYNC_TOKEN);
+      return;
+    }
+
+    const { token = '', ...rest } = config;
+    if (rest.rememberToken) {
+      localStorage.setItem(STORAGE_KEYS.REMOTE_SYNC, JSON.stringify({ ...rest, token }));
+      sessionStorage.removeItem(STORAGE_KEYS.REMOTE_SYNC_TOKEN);
+    } else {
+      localStorage.setItem(STORAGE_KEYS.REMOTE_SYNC, JSON.stringify(rest));
+      if (token) sessionStorage.setItem(STORAGE_KEYS.REMOTE_SYNC_TOKEN, token);
+      else sessionStorage.removeItem(STORAGE_KEYS.REMOTE_SYNC_TOKEN);
+    }
+  }
+
+  /**
+   * Guarda la URL, el token y el espacio compartido del servidor REST.
+   * Cambiar de servidor o de espacio olvida la última versión conocida.
+   */
+  configureRemoteSync({ url, token = '', space, rememberToken = false }) {
+    const previous = this.getRemoteSyncConfig() || {};
+    const sameTarget = previous.url === url && previous.space === space;
+    const config = {
+      url: url.trim(),
+      token,
+      rememberToken,
+      space: space.trim(),
+      version: sameTarget ? previous.version || 0 : 0,
+      snapshotId: sameTarget ? previous.snapshotId || null : null,
+      contentChecksum: sameTarget ? previous.contentChecksum || null : null,
+      syncedAt: sameTarget ? previous.syncedAt || null : null
+    };
+    this.setRemoteSyncConfig(config);
+    return config;
+  }
+
+  // Huella del contenido sin updatedAt ni checksum: no cambia al volver a guardar lo mismo
+  getContentChecksum(progress) {
+    return this.generateChecksum({ ...progress, updatedAt: null, checksum: null });
+  }
+
+  getSyncAdapter(config) {
+    if (this.syncAdapter) return this.syncAdapter;
+    if (!config?.url) {
+      throw new Error('Configura primero el servidor de sincronización.');
+    }
+    return syncAdapters.rest({ baseUrl: config.url, token: config.token });
+  }
+
+  /**
+   * Trae la cabeza remota si hay una versión nueva, la combina (deviceSync.merge),
+   * guarda y sube el resultado. Si otro dispositivo subió entre medias, el
+   * servidor responde con conflicto y se combina su cabeza antes de reintentar.
+   * Si no hay versión remota nueva y el contenido es el de la última subida, no
+   * se guarda ni se sube nada (resultado con `unchanged: true`).
+   */
+  async syncRemote({ current = null } = {}) {
+    const config = this.getRemoteSyncConfig();
+    const adapter = this.getSyncAdapter(config);
+    const base = current || await this.loadProgress();
+    if (!base) throw new Error('No hay progreso que sincronizar.');
+
+    const space = config?.space || base.user.id;
+    const deviceId = this.getDeviceId();
+    let progress = deviceSync.stampDevice(base.progress, deviceId);
+    let baseSnapshotId = config?.snapshotId || null;
+    let pulled = false;
+    let conflicts = 0;
+
+    const remote = await adapter.pull(space, config?.version || 0);
+    if (remote.status === 'ok') {
+      // Los adaptadores propios no pasan por la validación del adaptador REST
+      if (!syncAdapters.isRemoteHead(remote)) {
+        throw new Error(`El adaptador "${adapter.id}" devolvió una descarga sin snapshot.`);
+      }
+      progress = deviceSync.merge(progress, remote.snapshot.progress);
+      baseSnapshotId = remote.snapshotId;
+      pulled = true;
+    }
+
+    const contentChecksum = this.getContentChecksum(progress);
+    if (remote.status === 'not-modified' && config?.contentChecksum === contentChecksum) {
+      return {
+        snapshotId: config.snapshotId,
+        timestamp: config.syncedAt,
+        snapshot: { ...base, progress },
+        version: config.version,
+        pulled,
+        conflicts,
+        unchanged: true
+      };
+    }
+
+    for (let attempt = 0; attempt < MAX_PUSH_ATTEMPTS; attempt += 1) {
+      const snapshot = {
+        ...base,
+        version: progressMigrator.LATEST_VERSION,
+        progress: { ...progress, updatedAt: new Date().toISOString() }
+      };
+      const meta = await this.performSave(snapshot, { broadcast: true, source: 'remote-sync' });
+      const result = await adapter.push({
+        space,
+        snapshotId: meta.snapshotId,
+        checksum: meta.checksum,
+        baseSnapshotId,
+        snapshot: { ...snapshot, progress: { ...snapshot.progress, checksum: meta.checksum } }
+      });
+
+      if (result.status === 'ok') {
+        this.setRemoteSyncConfig({
+          ...(config || {}),
+          space,
+          version: result.version,
+          // Si el servidor ya tenía este mismo contenido devuelve el id de su cabeza
+          snapshotId: result.snapshotId,
+          contentChecksum: this.getContentChecksum(snapshot.progress),
+          syncedAt: meta.timestamp
+        });
+        return { ...meta, snapshot, version: result.version, pulled, conflicts };
+      }
+
+      if (result.status !== 'conflict' || !syncAdapters.isRemoteHead(result.remote)) {
+        throw new Error(`El adaptador "${adapter.id}" devolvió un conflicto sin la versión remota.`);
+      }
+      conflicts += 1;
+      progress = deviceSync.merge(progress, result.remote.snapshot.progress);
+      baseSnapshotId = result.remote.snapshotId;
+      pulled = true;
+    }
+
+    throw new Error('Otro dispositivo está subiendo cambios a la vez; vuelve a intentarlo en unos segundos.');
   }
 }
 
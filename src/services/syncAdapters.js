@@ -0,0 +1,111 @@
+/**
+ * Adaptadores de sincronización remota del progreso.
+ *
+ * Un adaptador es un objeto con:
+ *  - id: nombre corto del adaptador
+ *  - pull(space, sinceVersion) → { status: 'ok', version, snapshotId, checksum, snapshot }
+ *                               | { status: 'not-modified', version } | { status: 'empty' }
+ *  - push({ space, snapshotId, checksum, baseSnapshotId, snapshot })
+ *      → { status: 'ok', version, snapshotId, checksum }
+ *      | { status: 'conflict', remote: { version, snapshotId, checksum, snapshot } }
+ *
+ * `snapshotId` y `checksum` son los que genera progressService al guardar; el
+ * servidor rechaza una subida cuyo `baseSnapshotId` ya no es su cabeza (salvo
+ * que el checksum coincida) y devuelve la cabeza remota para combinarla.
+ */
+
+const REQUIRED_METHODS = ['pull', 'push'];
+
+const assertAdapter = (adapter) => {
+  const missing = REQUIRED_METHODS.filter((method) => typeof adapter?.[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`El adaptador de sincronización no implementa: ${missing.join(', ')}.`);
+  }
+  return adapter;
+};
+
+const readJson = async (response) => {
+  try {
+    return await response.json();
+  } catch (error) {
+    return {};
+  }
+};
+
+/**
+ * Cabeza remota utilizable: { snapshotId, snapshot: { progress } } como mínimo
+ */
+const isRemoteHead = (value) => Boolean(
+  value
+  && typeof value === 'object'
+  && typeof value.snapshotId === 'string'
+  && value.snapshot
+  && typeof value.snapshot.progress === 'object'
+  && value.snapshot.progress !== null
+);
+
+const invalidResponse = (status, detail) => {
+  const error = new Error(`Respuesta de sincronización no válida: ${detail}.`);
+  error.status = status;
+  return error;
+};
+
+const requestError = async (response) => {
+  const body = await readJson(response);
+  const error = new Error(body.error || `El servidor de sincronización respondió ${response.status}.`);
+  error.status = response.status;
+  return error;
+};
+
+/**
+ * Adaptador REST genérico (ver scripts/sync-server.js):
+ *   GET {baseUrl}/progress/:space?since=N → 200 cabeza | 204 sin cambios | 404 vacío
+ *   PUT {baseUrl}/progress/:space         → 200 nueva versión | 409 { remote }
+ * @param {{ baseUrl: string, token?: string, fetchImpl?: Function }} options
+ */
+const createRestAdapter = ({ baseUrl, token = '', fetchImpl } = {}) => {
+  if (!baseUrl) throw new Error('Indica la URL del servidor de sincronización.');
+  const root = baseUrl.replace(/\/+$/, '');
+  const doFetch = fetchImpl || ((...args) => fetch(...args));
+  const headers = {
+    'Content-Type': 'application/json',
+    ...(token ? { Authorization: `Bearer ${token}` } : {})
+  };
+  const resource = (space) => `${root}/progress/${encodeURIComponent(space)}`;
+
+  return {
+    id: 'rest',
+
+    async pull(space, sinceVersion = 0) {
+      const response = await doFetch(`${resource(space)}?since=${Number(sinceVersion) || 0}`, { headers });
+      if (response.status === 204) return { status: 'not-modified', version: Number(sinceVersion) || 0 };
+      if (response.status === 404) return { status: 'empty' };
+      if (!response.ok) throw await requestError(response);
+      const body = await readJson(response);
+      if (!isRemoteHead(body)) throw invalidResponse(response.status, 'falta la cabeza remota');
+      return { status: 'ok', ...body };
+    },
+
+    async push({ space, snapshotId, checksum, baseSnapshotId = null, snapshot }) {
+      const response = await doFetch(resource(space), {
+        method: 'PUT',
+        headers,
+        body: JSON.stringify({ snapshotId, checksum, baseSnapshotId, snapshot })
+      });
+      if (response.status === 409) {
+        const body = await readJson(response);
+        // Un 409 sin cabeza remota no se puede combinar: es un error del servidor
+        if (!isRemoteHead(body.remote)) throw invalidResponse(409, 'el conflicto no incluye la versión remota');
+        return { status: 'conflict', remote: body.remote };
+      }
+      if (!response.ok) throw await requestError(response);
+      return { status: 'ok', ...(await response.json()) };
+    }
+  };
+};
+
+export const syncAdapters = {
+  assert: assertAdapter,
+  isRemoteHead,
+  rest: createRestAdapter
+};
@@ -0,0 +1,66 @@
+import { syncAdapters } from './syncAdapters';
+
+const head = {
+  version: 3,
+  snapshotId: 'snap-3',
+  checksum: 'abc',
+  snapshot: { progress: { totalXP: 120 } }
+};
+
+// fetch mínimo: cada llamada devuelve la siguiente respuesta { status, body }
+const fakeFetch = (...responses) => jest.fn(async () => {
+  const { status, body } = responses.shift();
+  return {
+    status,
+    ok: status >= 200 && status < 300,
+    json: async () => {
+      if (body === undefined) throw new SyntaxError('Unexpected end of JSON input');
+      return body;
+    }
+  };
+});
+
+const push = (adapter) => adapter.push({ space: 'ana', snapshotId: 'snap-4', checksum: 'def', baseSnapshotId: 'snap-2', snapshot: {} });
+
+describe('adaptador REST', () => {
+  test('un 409 con cabeza remota se devuelve como conflicto', async () => {
+    const adapter = syncAdapters.rest({ baseUrl: 'https://sync.test/', fetchImpl: fakeFetch({ status: 409, body: { error: 'conflict', remote: head } }) });
+    await expect(push(adapter)).resolves.toEqual({ status: 'conflict', remote: head });
+  });
+
+  test.each([
+    ['sin cuerpo', undefined],
+    ['sin remote', { error: 'conflict' }],
+    ['remote sin snapshot', { remote: { version: 3, snapshotId: 'snap-3' } }],
+    ['remote sin snapshotId', { remote: { version: 3, snapshot: { progress: {} } } }]
+  ])('un 409 %s es un error de sincronización con status', async (_, body) => {
+    const adapter = syncAdapters.rest({ baseUrl: 'https://sync.test', fetchImpl: fakeFetch({ status: 409, body }) });
+    await expect(push(adapter)).rejects.toMatchObject({
+      status: 409,
+      message: expect.stringContaining('el conflicto no incluye la versión remota')
+    });
+  });
+
+  test('una descarga 200 sin snapshot es un error', async () => {
+    const adapter = syncAdapters.rest({ baseUrl: 'https://sync.test', fetchImpl: fakeFetch({ status: 200, body: { version: 3 } }) });
+    await expect(adapter.pull('ana', 2)).rejects.toMatchObject({ status: 200 });
+  });
+
+  test('una descarga válida incluye la cabeza remota', async () => {
+    const fetchImpl = fakeFetch({ status: 200, body: head });
+    const adapter = syncAdapters.rest({ baseUrl: 'https://sync.test', token: 't0k', fetchImpl });
+
+    await expect(adapter.pull('ana', 2)).resolves.toEqual({ status: 'ok', ...head });
+    expect(fetchImpl).toHaveBeenCalledWith('https://sync.test/progress/ana?since=2', {
+      headers: { 'Content-Type': 'application/json', Authorization: 'Bearer t0k' }
+    });
+  });
+});
+
+describe('isRemoteHead', () => {
+  test('exige snapshotId y snapshot.progress', () => {
+    expect(syncAdapters.isRemoteHead(head)).toBe(true);
+    expect(syncAdapters.isRemoteHead(undefined)).toBe(false);
+    expect(syncAdapters.isRemoteHead({ snapshotId: 'x', snapshot: { progress: null } })).toBe(false);
+  });
+});
@@ -2,12 +2,56 @@
  * DatasetLoader.js - Cargador de datasets sintéticos
  * Genera y carga datos para las misiones
  * Basado en FASE_4_DATOS_POWERBI.md
+ *
+ * Todos los generadores aceptan un contexto opcional { random, today }.
+ * Sin contexto usan Math.random y la fecha actual; con una semilla
+ * (ver createDatasetContext) producen siempre los mismos datos.
  */
 
+import { createSeededRandom } from './random';
+
+// Fecha ancla cuando se pide una semilla sin fecha de referencia
+const DEFAULT_REFERENCE_DATE = '2024-01-31';
+
+/**
+ * Genera una semilla nueva para un intento de misión
+ */
+export const generateDatasetSeed = () => Math.floor(Math.random() * 0xFFFFFFFF) >>> 0;
+
+/**
+ * Fecha del día (YYYY-MM-DD) que se guarda junto a la semilla del intento
+ */
+export const getReferenceDate = (date = new Date()) => date.toISOString().split('T')[0];
+
+/**
+ * Construye el contexto de generación { random, today }.
+ * Con semilla, "hoy" se fija a referenceDate (mediodía UTC para evitar
+ * saltos de día por zona horaria).
+ */
+export const createDatasetContext = ({ seed, referenceDate } = {}) => {
+  if (seed === undefined || seed === null) {
+    return {
+      random: Math.random,
+      today: referenceDate ? new Date(`${referenceDate}T12:00:00Z`) : new Date()
+    };
+  }
+
+  return {
+    random: createSeededRandom(seed),
+    today: new Date(`${referenceDate || DEFAULT_REFERENCE_DATE}T12:00:00Z`)
+  };
+};
+
+const resolveContext = (context) => ({
+  random: context?.random || Math.random,
+  today: context?.today ? new Date(context.today) : new Date()
+});
+
 /**
  * Genera facturas de ejemplo (clean dataset)
  */
-export const generateCleanInvoices = (count = 10) => {
+export const generateCleanInvoices = (count = 10, context) => {
+  const { random, today } = resolveContext(context);
   const customers = [
     'FreshFruits Inc.',
     'EcoPackaging Ltd.',
@@ -17,11 +61,10 @@ export const generateCleanInvoices = (count = 10) => {
   ];
 
   const invoices = [];
-  const today = new Date();
 
   for (let i = 0; i < count; i++) {
     const issueDate = new Date(today);
-    issueDate.setDate(issueDate.getDate() - Math.floor(Math.random() * 90));
+    issueDate.setDate(issueDate.getDate() - Math.floor(random() * 90));
     
     const dueDate = new Date(issueDate);
     dueDate.setDate(dueDate.getDate() + 30);
@@ -33,9 +76,9 @@ export const generateCleanInvoices = (count = 10) => {
       customer_id: `CUST-${String(1000 + (i % customers.length)).padStart(4, '0')}`,
       issue_date: issueDate.toISOString().split('T')[0],
       due_date: dueDate.toISOString().split('T')[0],
-      amount: Math.round((Math.random() * 9000 + 1000) * 100) / 100,
+      amount: Math.round((random() * 9000 + 1000) * 100) / 100,
       tax: 0.16,
-      status: Math.random() > 0.3 ? 'pending' : 'paid',
+      status: random() > 0.3 ? 'pending' : 'paid',
       payment_terms: 'Net 30',
       currency: 'USD'
     });
@@ -44,50 +87,67 @@ export const generateCleanInvoices = (count = 10) => {
   return invoices;
 };
 
+const toDayMonthYear = (isoDate) => isoDate.split('-').reverse().join('/');
+
 /**
- * Genera facturas con errores (dirty dataset)
+ * Introduce errores recuperables sobre una copia de facturas limpias:
+ * cada error puede deshacerse sin perder información (ver generateCleaningDataset)
  */
-export const generateDirtyInvoices = (count = 15) => {
-  const invoices = generateCleanInvoices(count);
+const applyDirtyErrors = (cleanInvoices) => cleanInvoices.flatMap((clean, index) => {
+  const invoice = { ...clean };
 
-  // Introducir errores intencionalmente
-  invoices.forEach((invoice, index) => {
-    // 20% duplicados
-    if (index % 5 === 0 && index > 0) {
-      invoice.id = invoices[index - 1].id;
-    }
+  // 30% fechas en formato DD/MM/YYYY
+  if (index % 3 === 0) {
+    invoice.due_date = toDayMonthYear(invoice.due_date);
+  }
 
-    // 30% fechas incorrectas
-    if (index % 3 === 0) {
-      invoice.due_date = '15/12/2024'; // Formato incorrecto
-    }
+  // 20% montos como texto con coma decimal
+  if (index % 5 === 1) {
+    invoice.amount = String(invoice.amount).replace('.', ',');
+  }
 
-    // 20% montos sin formato
-    if (index % 5 === 1) {
-      invoice.amount = String(invoice.amount).replace('.', ',');
-    }
+  // 15% nombres inconsistentes
+  if (index % 7 === 0) {
+    invoice.customer_name = invoice.customer_name.toUpperCase();
+  }
 
-    // 15% nombres inconsistentes
-    if (index % 7 === 0) {
-      invoice.customer_name = invoice.customer_name.toUpperCase();
-    }
+  // Espacios sobrantes al capturar
+  if (index % 4 === 2) {
+    invoice.customer_name = `  ${invoice.customer_name} `;
+  }
 
-    // 10% valores faltantes
-    if (index % 10 === 0) {
-      delete invoice.payment_terms;
-    }
-  });
+  // 10% valores faltantes
+  if (index % 10 === 0) {
+    delete invoice.payment_terms;
+  }
 
-  return invoices;
+  // 20% filas duplicadas (copia exacta de la fila anterior)
+  return index % 5 === 0 && index > 0 ? [invoice, { ...invoice }] : [invoice];
+});
+
+/**
+ * Genera facturas con errores (dirty dataset)
+ */
+export const generateDirtyInvoices = (count = 15, context) =>
+  applyDirtyErrors(generateCleanInvoices(count, context));
+
+/**
+ * Dataset de limpieza con su resultado esperado: facturas sucias y las
+ * mismas facturas limpias (ground truth para validateDataCleaning)
+ */
+export const generateCleaningDataset = (count = 15, context) => {
+  const cleanInvoices = generateCleanInvoices(count, context);
+  return { invoices: applyDirtyErrors(cleanInvoices), cleanInvoices };
 };
 
 /**
  * Genera pagos para Cash Application
  */
-export const generatePayments = (invoices) => {
+export const generatePayments = (invoices, context) => {
+  const { random, today } = resolveContext(context);
   const payments = invoices.slice(0, 5).map((invoice, index) => {
     // 80% pagos exactos, 20% parciales
-    const isPartial = Math.random() > 0.8;
+    const isPartial = random() > 0.8;
     const amount = isPartial 
       ? Math.round(invoice.amount * 0.5 * 100) / 100
       : invoice.amount;
@@ -97,21 +157,138 @@ export const generatePayments = (invoices) => {
       payment_number: `PAY-${String(20000 + index).padStart(6, '0')}`,
       customer_name: invoice.customer_name,
       amount,
-      payment_date: new Date().toISOString().split('T')[0],
-      reference: Math.random() > 0.5 ? invoice.invoice_number : '', // 50% sin referencia
-      method: ['Bank Transfer', 'Check', 'Credit Card'][Math.floor(Math.random() * 3)]
+      payment_date: today.toISOString().split('T')[0],
+      reference: random() > 0.5 ? invoice.invoice_number : '', // 50% sin referencia
+      method: ['Bank Transfer', 'Check', 'Credit Card'][Math.floor(random() * 3)]
     };
   });
 
   return payments;
 };
 
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+// Errores típicos de una remesa capturada a mano
+const REFERENCE_TYPOS = [
+  (ref) => ref.replace(/0/, 'O'),                               // INV-1O0002
+  (ref) => ref.replace(/(\d)(\d)$/, '$2$1'),                    // dígitos invertidos
+  (ref) => ref.replace(/^INV-(\d)(\d+)$/, 'INV $2'),            // dígito perdido
+  (ref) => ref.replace('INV-', 'FAC ')                          // prefijo del cliente
+];
+
+const NAME_TYPOS = [
+  (name) => name.toUpperCase().replace(/[.,]/g, ''),
+  (name) => name.replace(/\s+(Inc|Ltd|Co|LLC|Int)\.?$/, ''),
+  (name) => name.replace(/([a-z])([a-z])/, '$2$1')
+];
+
+const pickTypo = (typos, value, random) => typos[Math.floor(random() * typos.length)](value);
+
+/**
+ * Genera remesas "difusas" para Cash Application avanzado:
+ * pagos que cubren varias facturas, abonos parciales, short-pays con
+ * deducción, referencias con errores o vacías y efectivo sin aplicar.
+ * Cada cliente recibe un escenario distinto (ciclo de 5) y se añade un
+ * pago de un ordenante desconocido que debe quedar sin aplicar.
+ * @returns {{payments: Object[], expectedAllocations: Array<{paymentId, invoiceId, amount}>}}
+ */
+export const generateRemittances = (invoices, context) => {
+  const { random, today } = resolveContext(context);
+  const paymentDate = today.toISOString().split('T')[0];
+  const methods = ['Bank Transfer', 'Check', 'ACH'];
+  const payments = [];
+  const expectedAllocations = [];
+
+  const byCustomer = invoices.reduce((acc, invoice) => {
+    (acc[invoice.customer_name] = acc[invoice.customer_name] || []).push(invoice);
+    return acc;
+  }, {});
+
+  const addPayment = (fields, allocations) => {
+    const id = `PAY-${String(30000 + payments.length).padStart(6, '0')}`;
+    payments.push({
+      id,
+      payment_number: id,
+      payment_date: paymentDate,
+      method: methods[Math.floor(random() * methods.length)],
+      memo: '',
+      ...fields,
+      amount: roundAmount(fields.amount)
+    });
+    allocations.forEach(([invoice, amount]) => {
+      expectedAllocations.push({ paymentId: id, invoiceId: invoice.id, amount: roundAmount(amount) });
+    });
+  };
+
+  const scenarios = [
+    // Pago exacto de una factura con su referencia
+    ([first]) => addPayment({
+      customer_name: first.customer_name,
+      amount: first.amount,
+      reference: first.invoice_number
+    }, [[first, first.amount]]),
+
+    // Un pago para dos facturas; referencias juntas o ninguna
+    ([first, second = first]) => addPayment({
+      customer_name: pickTypo(NAME_TYPOS, first.customer_name, random),
+      amount: first.amount + (second === first ? 0 : second.amount),
+      reference: random() > 0.5 ? `${first.invoice_number} / ${second.invoice_number}` : ''
+    }, second === first ? [[first, first.amount]] : [[first, first.amount], [second, second.amount]]),
+
+    // Short-pay: deducción por mercancía dañada; la diferencia queda abierta en la factura
+    ([first]) => {
+      const deduction = roundAmount(first.amount * (0.02 + random() * 0.03));
+      addPayment({
+        customer_name: first.customer_name,
+        amount: first.amount - deduction,
+        reference: pickTypo(REFERENCE_TYPOS, first.invoice_number, random),
+        memo: `Deducción ${deduction.toFixed(2)} por producto dañado`
+      }, [[first, first.amount - deduction]]);
+    },
+
+    // Abono parcial sin referencia; el cliente avisa en el memo
+    ([first]) => {
+      const amount = roundAmount(first.amount * 0.5);
+      addPayment({
+        customer_name: pickTypo(NAME_TYPOS, first.customer_name, random),
+        amount,
+        reference: '',
+        memo: `Abono 50% factura ${pickTypo(REFERENCE_TYPOS, first.invoice_number, random)}`
+      }, [[first, amount]]);
+    },
+
+    // Sobrepago: liquida todo y el excedente se deja sin aplicar (a cuenta)
+    (customerInvoices) => {
+      const overpayment = roundAmount(100 + random() * 400);
+      const total = customerInvoices.reduce((sum, invoice) => sum + invoice.amount, 0);
+      addPayment({
+        customer_name: customerInvoices[0].customer_name,
+        amount: total + overpayment,
+        reference: customerInvoices.map(invoice => invoice.invoice_number).join(', ')
+      }, customerInvoices.map(invoice => [invoice, invoice.amount]));
+    }
+  ];
+
+  Object.values(byCustomer).forEach((customerInvoices, index) => {
+    scenarios[index % scenarios.length](customerInvoices);
+  });
+
+  // Ordenante desconocido: nada que aplicar
+  addPayment({
+    customer_name: 'TRANSFERENCIA SPEI 4471',
+    amount: 1000 + random() * 2000,
+    reference: ''
+  }, []);
+
+  return { payments, expectedAllocations };
+};
+
 /**
  * Genera dataset de aging report
  */
-export const generateAgingData = () => {
-  const invoices = generateCleanInvoices(20);
-  const today = new Date();
+export const generateAgingData = (context) => {
+  const { random, today } = resolveContext(context);
+  const invoices = generateCleanInvoices(20, { random, today });
 
   // Ajustar fechas para tener distribución en buckets
   invoices.forEach((invoice, index) => {
@@ -119,16 +296,16 @@ export const generateAgingData = () => {
     
     if (index < 5) {
       // 0-30 días
-      dueDate.setDate(dueDate.getDate() - Math.floor(Math.random() * 30));
+      dueDate.setDate(dueDate.getDate() - Math.floor(random() * 30));
     } else if (index < 10) {
       // 31-60 días
-      dueDate.setDate(dueDate.getDate() - (31 + Math.floor(Math.random() * 30)));
+      dueDate.setDate(dueDate.getDate() - (31 + Math.floor(random() * 30)));
     } else if (index < 15) {
       // 61-90 días
-      dueDate.setDate(dueDate.getDate() - (61 + Math.floor(Math.random() * 30)));
+      dueDate.setDate(dueDate.getDate() - (61 + Math.floor(random() * 30)));
     } else {
       // 90+ días
-      dueDate.setDate(dueDate.getDate() - (91 + Math.floor(Math.random() * 60)));
+      dueDate.setDate(dueDate.getDate() - (91 + Math.floor(random() * 60)));
     }
 
     invoice.due_date = dueDate.toISOString().split('T')[0];
@@ -141,9 +318,9 @@ export const generateAgingData = () => {
 /**
  * Genera dataset multicurrency
  */
-export const generateMultiCurrencyData = () => {
+export const generateMultiCurrencyData = (context) => {
   const currencies = ['USD', 'EUR', 'GBP', 'MXN', 'CAD'];
-  const invoices = generateCleanInvoices(15);
+  const invoices = generateCleanInvoices(15, context);
 
   invoices.forEach((invoice, index) => {
     invoice.currency = currencies[index % currencies.length];
@@ -179,8 +356,8 @@ export const generateMultiCurrencyData = () => {
 /**
  * Genera KPIs dashboard data
  */
-export const generateKPIData = () => {
-  const invoices = generateCleanInvoices(50);
+export const generateKPIData = (context) => {
+  const invoices = generateCleanInvoices(50, context);
   
   const totalAR = invoices
     .filter(i => i.status === 'pending')
@@ -225,36 +402,57 @@ export const generateCorrectMatches = (invoices, payments) => {
   return matches;
 };
 
+/**
+ * Facturas abiertas + remesas difusas (Cash Application avanzado)
+ */
+const generateCashApplicationData = (count, context) => {
+  const invoices = generateCleanInvoices(count, context).map(invoice => ({ ...invoice, status: 'pending' }));
+  return { invoices, ...generateRemittances(invoices, context) };
+};
+
 /**
  * Carga dataset según el nombre
+ * @param {string} datasetName
+ * @param {Object} [options]
+ * @param {number} [options.seed] - Semilla del intento; misma semilla = mismos datos
+ * @param {string} [options.referenceDate] - Día (YYYY-MM-DD) usado como "hoy"
  */
-export const loadDataset = (datasetName) => {
+export const loadDataset = (datasetName, options = {}) => {
+  const context = createDatasetContext(options);
+
   switch (datasetName) {
     case 'demo_clean':
     case 'invoices_clean_v1':
-      return { invoices: generateCleanInvoices(10) };
+      return { invoices: generateCleanInvoices(10, context) };
     
     case 'invoices_dirty_v2':
     case 'dirty_invoices':
-      return { invoices: generateDirtyInvoices(15) };
+      return generateCleaningDataset(15, context);
     
     case 'payments_clear_v1':
     case 'payments_invoices': {
-      const invoices = generateCleanInvoices(5);
-      const payments = generatePayments(invoices);
+      const invoices = generateCleanInvoices(5, context);
+      const payments = generatePayments(invoices, context);
       const correctMatches = generateCorrectMatches(invoices, payments);
       return { invoices, payments, correctMatches };
     }
+
+    case 'payments_fuzzy_v2':
+    case 'fuzzy_remittances':
+      return generateCashApplicationData(10, context);
     
     case 'aging_clean_v1':
-      return { invoices: generateAgingData() };
+    case 'aging_data':
+    case 'customer_aging':
+      return { invoices: generateAgingData(context) };
     
     case 'global_currency_v3':
-      return generateMultiCurrencyData();
+    case 'multi_currency':
+      return generateMultiCurrencyData(context);
     
     case 'global_kpi_v3':
     case 'dashboard_proto_v2':
-      return generateKPIData();
+      return generateKPIData(context);
     
     case 'incomplete_invoice':
       return {
@@ -272,7 +470,94 @@ export const loadDataset = (datasetName) => {
       };
     
     default:
-      return { invoices: generateCleanInvoices(10) };
+      return { invoices: generateCleanInvoices(10, context) };
+  }
+};
+
+/**
+ * Receta equivalente a un dataset con nombre (para exportar misiones como paquete)
+ * @param {string} datasetName
+ */
+export const getDatasetRecipe = (datasetName) => {
+  switch (datasetName) {
+    case 'demo_clean':
+    case 'invoices_clean_v1':
+      return { generator: 'clean_invoices', count: 10 };
+
+    case 'invoices_dirty_v2':
+    case 'dirty_invoices':
+      return { generator: 'dirty_invoices', count: 15 };
+
+    case 'payments_clear_v1':
+    case 'payments_invoices':
+      return { generator: 'payments', count: 5 };
+
+    case 'payments_fuzzy_v2':
+    case 'fuzzy_remittances':
+      return { generator: 'remittances', count: 10 };
+
+    case 'aging_clean_v1':
+    case 'aging_data':
+    case 'customer_aging':
+      return { generator: 'aging' };
+
+    case 'global_currency_v3':
+    case 'multi_currency':
+      return { generator: 'currency' };
+
+    case 'global_kpi_v3':
+    case 'dashboard_proto_v2':
+      return { generator: 'kpi' };
+
+    case 'incomplete_invoice':
+      return { generator: 'static', data: loadDataset(datasetName) };
+
+    default:
+      return { generator: 'clean_invoices', count: 10 };
+  }
+};
+
+/**
+ * Carga el dataset descrito por la receta de un paquete de misión
+ * @param {{generator: string, count?: number, data?: Object}} recipe
+ * @param {Object} [options] - Misma semilla/fecha que loadDataset
+ */
+export const loadDatasetRecipe = (recipe, options = {}) => {
+  const context = createDatasetContext(options);
+  const { generator, count, data } = recipe || {};
+
+  switch (generator) {
+    case 'clean_invoices':
+      return { invoices: generateCleanInvoices(count || 10, context) };
+
+    case 'dirty_invoices':
+      return generateCleaningDataset(count || 15, context);
+
+    case 'payments': {
+      const invoices = generateCleanInvoices(count || 5, context);
+      const payments = generatePayments(invoices, context);
+      const correctMatches = generateCorrectMatches(invoices, payments);
+      return { invoices, payments, correctMatches };
+    }
+
+    case 'remittances':
+      return generateCashApplicationData(count || 10, context);
+
+    case 'aging':
+      return { invoices: generateAgingData(context) };
+
+    case 'currency':
+      return generateMultiCurrencyData(context);
+
+    case 'kpi':
+      return generateKPIData(context);
+
+    case 'static':
+      return JSON.parse(JSON.stringify(data || {}));
+
+    default:
+      console.warn(`Generador de dataset desconocido: ${generator}`);
+      return {};
   }
 };
 
@@ -299,14 +584,22 @@ export const getDatasetStats = (dataset) => {
 };
 
 const DatasetLoader = {
+  createSeededRandom,
+  generateDatasetSeed,
+  getReferenceDate,
+  createDatasetContext,
   generateCleanInvoices,
   generateDirtyInvoices,
+  generateCleaningDataset,
   generatePayments,
+  generateRemittances,
   generateAgingData,
   generateMultiCurrencyData,
   generateKPIData,
   generateCorrectMatches,
   loadDataset,
+  getDatasetRecipe,
+  loadDatasetRecipe,
   getDatasetStats
 };
 
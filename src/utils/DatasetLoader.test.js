@@ -0,0 +1,40 @@
+import { loadDataset } from './DatasetLoader';
+import { MissionEngine } from './MissionEngine';
+
+const DATASETS = ['invoices_clean_v1', 'invoices_dirty_v2', 'payments_clear_v1', 'payments_fuzzy_v2', 'aging_clean_v1', 'global_currency_v3', 'global_kpi_v3'];
+const referenceDate = '2026-03-31';
+
+describe('loadDataset con semilla', () => {
+  test.each(DATASETS)('%s: misma semilla y fecha dan el mismo dataset', (name) => {
+    expect(loadDataset(name, { seed: 1234, referenceDate })).toEqual(loadDataset(name, { seed: 1234, referenceDate }));
+  });
+
+  test.each(DATASETS)('%s: otra semilla da otro dataset', (name) => {
+    expect(loadDataset(name, { seed: 1234, referenceDate })).not.toEqual(loadDataset(name, { seed: 98765, referenceDate }));
+  });
+
+  test('la fecha de referencia mueve vencimientos pero no montos', () => {
+    const march = loadDataset('aging_clean_v1', { seed: 7, referenceDate });
+    const april = loadDataset('aging_clean_v1', { seed: 7, referenceDate: '2026-04-30' });
+
+    expect(april.invoices.map(invoice => invoice.amount)).toEqual(march.invoices.map(invoice => invoice.amount));
+    expect(april.invoices.map(invoice => invoice.due_date)).not.toEqual(march.invoices.map(invoice => invoice.due_date));
+  });
+});
+
+describe('MissionEngine.createDatasetAttempt', () => {
+  test('reutiliza la semilla guardada: el intento reanudado ve los mismos datos', () => {
+    const saved = { seed: 424242, referenceDate };
+    const attempt = MissionEngine.createDatasetAttempt(saved);
+
+    expect(attempt).toEqual(saved);
+    expect(loadDataset('payments_fuzzy_v2', attempt)).toEqual(loadDataset('payments_fuzzy_v2', saved));
+  });
+
+  test('sin semilla guardada crea un intento nuevo con semilla entera', () => {
+    const attempt = MissionEngine.createDatasetAttempt(null);
+    expect(Number.isInteger(attempt.seed)).toBe(true);
+    expect(attempt.referenceDate).toMatch(/^\d{4}-\d{2}-\d{2}$/);
+    expect(MissionEngine.createDatasetAttempt({ seed: 'x' }).seed).not.toBe('x');
+  });
+});
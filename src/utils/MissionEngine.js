@@ -5,7 +5,10 @@
  */
 
 import { MISSIONS } from '../data/cxc/missions';
-import { DIALOGUES } from '../data/cxc/characters';
+import { DIALOGUES, DIALOGUE_GRAPHS } from '../data/cxc/characters';
+import { loadDataset, loadDatasetRecipe, generateDatasetSeed, getReferenceDate } from './DatasetLoader';
+import { getMissionPackage, packageToActivities, packageToMission } from './missionPackages';
+import { validatePaymentMatching, validateDataCleaning } from './ValidationEngine';
 import { TUTORIAL_QUIZ, TUTORIAL_FORM_FIELDS, TUTORIAL_FORM_INSTRUCTIONS } from '../data/cxc/tutorialContent';
 import { 
   ACTO1_M1_VALIDATION_CHECKS, 
@@ -22,12 +25,13 @@ import {
   ACTO1_M3_FORM_FIELDS, 
   ACTO1_M3_INSTRUCTIONS,
   ACTO1_M3_EMAIL_TEMPLATE,
-  ACTO1_M3_PROBLEM_SOLVING 
+  ACTO1_M3_PAYMENT_PLAN_FIELDS
 } from '../data/cxc/acto1Mission3Content';
 import {
   ACTO2_M1_VALIDATION_CHECKS,
   ACTO2_M1_FORM_FIELDS,
   ACTO2_M1_INSTRUCTIONS,
+  ACTO2_M1_GRID_INSTRUCTIONS,
   ACTO2_M1_PROBLEM_SOLVING
 } from '../data/cxc/acto2Mission1Content';
 import {
@@ -36,6 +40,11 @@ import {
   ACTO2_M2_INSTRUCTIONS,
   ACTO2_M2_PROBLEM_SOLVING
 } from '../data/cxc/acto2Mission2Content';
+import {
+  ACTO2_FUZZY_INSTRUCTIONS,
+  ACTO2_FUZZY_RULES_FIELDS,
+  ACTO2_FUZZY_PROBLEM_SOLVING
+} from '../data/cxc/acto2FuzzyMatchingContent';
 import {
   ACTO2_M3_VALIDATION_CHECKS,
   ACTO2_M3_FORM_FIELDS,
@@ -71,20 +80,102 @@ import {
  * Clase principal del motor de misiones
  */
 export class MissionEngine {
-  constructor(missionId, callbacks = {}) {
+  /**
+   * @param {string} missionId
+   * @param {Object} callbacks
+   * @param {Object} [options]
+   * @param {{seed: number, referenceDate: string}} [options.dataset] - Semilla guardada
+   *   del intento; si no se pasa se genera una nueva
+   * @param {string[]} [options.unlockedActivities] - Actividades opcionales ya desbloqueadas
+   * @param {Object} [options.missionPackage] - Paquete sin registrar (vista previa del editor)
+   */
+  constructor(missionId, callbacks = {}, options = {}) {
     this.missionId = missionId;
-    this.mission = MISSIONS[missionId];
+    this.missionPackage = options.missionPackage || getMissionPackage(missionId);
+    this.mission = options.missionPackage
+      ? packageToMission(options.missionPackage)
+      : MISSIONS[missionId];
     this.callbacks = callbacks;
     this.currentStep = 0;
     this.userData = {};
     this.validationResults = {};
     this.startTime = Date.now();
+    this.datasetAttempt = MissionEngine.createDatasetAttempt(options.dataset);
+    this.datasetCache = {};
+    this.unlockedActivities = new Set(options.unlockedActivities || []);
     
     if (!this.mission) {
       throw new Error(`Mission ${missionId} not found`);
     }
   }
 
+  /**
+   * Reutiliza la semilla guardada o crea una nueva para el intento
+   */
+  static createDatasetAttempt(savedDataset) {
+    if (savedDataset && Number.isInteger(savedDataset.seed)) {
+      return {
+        seed: savedDataset.seed,
+        referenceDate: savedDataset.referenceDate || getReferenceDate()
+      };
+    }
+
+    return {
+      seed: generateDatasetSeed(),
+      referenceDate: getReferenceDate()
+    };
+  }
+
+  /**
+   * Semilla y fecha de referencia del intento (se guardan en el progreso)
+   */
+  getDatasetAttempt() {
+    return { ...this.datasetAttempt };
+  }
+
+  /**
+   * Carga el dataset de una actividad con la semilla del intento.
+   * Se cachea para que los re-renders no regeneren datos.
+   */
+  loadActivityDataset(activity) {
+    const datasetName = activity?.datasetName;
+    if (!datasetName) return {};
+
+    if (!this.datasetCache[datasetName]) {
+      // 📦 Los paquetes JSON describen sus datasets con recetas
+      const recipe = this.missionPackage?.datasets?.[datasetName];
+      this.datasetCache[datasetName] = recipe
+        ? loadDatasetRecipe(recipe, this.datasetAttempt)
+        : loadDataset(datasetName, this.datasetAttempt);
+    }
+    return this.datasetCache[datasetName];
+  }
+
+  /**
+   * Desbloquea actividades opcionales (efectos de diálogos ramificados)
+   */
+  unlockActivities(activityIds = []) {
+    activityIds.forEach(activityId => this.unlockedActivities.add(activityId));
+  }
+
+  getUnlockedActivities() {
+    return [...this.unlockedActivities];
+  }
+
+  /**
+   * Grafo de diálogo de una actividad tipo 'dialogue'
+   */
+  getDialogueGraph(activity) {
+    return activity?.graph || DIALOGUE_GRAPHS[activity?.graphId] || null;
+  }
+
+  /**
+   * Paquete JSON de la misión (null para las misiones del juego base)
+   */
+  getMissionPackage() {
+    return this.missionPackage;
+  }
+
   /**
    * Obtiene la configuración de la misión
    */
@@ -106,6 +197,10 @@ export class MissionEngine {
    * Obtiene los diálogos intro según el acto
    */
   getIntroDialogues() {
+    if (this.missionPackage?.dialogues?.intro?.length) {
+      return this.missionPackage.dialogues.intro;
+    }
+
     // Mapeo de misiones a diálogos
     const dialogueMap = {
       'acto0_tutorial': DIALOGUES.tutorial_welcome,
@@ -155,13 +250,23 @@ export class MissionEngine {
     // Por ahora, generamos actividades base según el tipo de misión
     
     const baseActivities = this.generateActivitiesForMission();
-    return Array.isArray(baseActivities) ? baseActivities : [];
+    if (!Array.isArray(baseActivities)) return [];
+
+    // Las opcionales solo aparecen cuando un diálogo las desbloquea
+    return baseActivities.filter(activity =>
+      !activity.optional || this.unlockedActivities.has(activity.id)
+    );
   }
 
   /**
    * Genera actividades según el tipo de misión
    */
   generateActivitiesForMission() {
+    // 📦 Misión definida como paquete JSON
+    if (this.missionPackage) {
+      return packageToActivities(this.missionPackage);
+    }
+
     const { acto } = this.mission;
 
     // Tutorial
@@ -232,8 +337,8 @@ export class MissionEngine {
       ];
     }
 
-    // Acto 1 - Cobro Efectivo
-    if (this.missionId === 'acto1_m3_cobro') {
+    // Acto 1 - Cobro Efectivo (en MISSIONS es acto1_m3_aging)
+    if (this.missionId === 'acto1_m3_cobro' || this.missionId === 'acto1_m3_aging') {
       return [
         {
           id: 'validate_collection',
@@ -255,9 +360,18 @@ export class MissionEngine {
         },
         {
           id: 'collection_dilemma',
-          type: 'quiz',
+          type: 'dialogue',
           title: 'Resolver Dilema Estratégico',
-          questions: [ACTO1_M3_PROBLEM_SOLVING]
+          graphId: 'acto1_collection_dilemma'
+        },
+        {
+          id: 'payment_plan_proposal',
+          type: 'form',
+          title: 'Formalizar Plan de Pagos',
+          fields: ACTO1_M3_PAYMENT_PLAN_FIELDS,
+          instructions: 'Define el primer pago, el calendario restante y las garantías del acuerdo con TechSupply.',
+          initialData: {},
+          optional: true
         }
       ];
     }
@@ -273,6 +387,13 @@ export class MissionEngine {
           instructions: ACTO2_M1_INSTRUCTIONS,
           datasetName: 'dirty_invoices'
         },
+        {
+          id: 'clean_dataset',
+          type: 'data_cleaning',
+          title: 'Limpiar el Dataset',
+          instructions: ACTO2_M1_GRID_INSTRUCTIONS,
+          datasetName: 'dirty_invoices'
+        },
         {
           id: 'calculate_metrics',
           type: 'form',
@@ -291,6 +412,33 @@ export class MissionEngine {
       ];
     }
 
+    // Acto 2 - Duelos de Conciliación (matching difuso)
+    if (this.missionId === 'acto2_m2_fuzzy') {
+      return [
+        {
+          id: 'apply_remittances',
+          type: 'cash_application',
+          title: 'Aplicar Remesas Difusas',
+          instructions: ACTO2_FUZZY_INSTRUCTIONS,
+          datasetName: 'payments_fuzzy_v2'
+        },
+        {
+          id: 'document_rules',
+          type: 'form',
+          title: 'Documentar Reglas de Matching',
+          fields: ACTO2_FUZZY_RULES_FIELDS,
+          instructions: 'Deja por escrito las reglas que usaste para que la conciliación sea repetible',
+          initialData: {}
+        },
+        {
+          id: 'fuzzy_threshold',
+          type: 'quiz',
+          title: 'Decisión: Umbral de Auto-aplicación',
+          questions: [ACTO2_FUZZY_PROBLEM_SOLVING]
+        }
+      ];
+    }
+
     // Acto 2 - Aging Report
     if (this.missionId === 'acto2_m2_aging') {
       return [
@@ -500,6 +648,15 @@ export class MissionEngine {
       case 'drag_drop':
         result = this.validateDragDrop(activity, userData);
         break;
+      case 'cash_application':
+        result = this.validateCashApplication(activity, userData);
+        break;
+      case 'data_cleaning':
+        result = this.validateDataCleaningTask(activity, userData);
+        break;
+      case 'dialogue':
+        result = this.validateDialogue(activity, userData);
+        break;
       default:
         result = { valid: true, score: 100 };
         break;
@@ -517,7 +674,9 @@ export class MissionEngine {
    */
   validateQuiz(activity, userData) {
     const quizQuestions = Array.isArray(activity.questions) ? activity.questions : [];
-    const responses = userData && typeof userData === 'object' ? userData : {};
+    // QuizActivity entrega { answers, totalQuestions }
+    const rawResponses = userData?.answers && typeof userData.answers === 'object' ? userData.answers : userData;
+    const responses = rawResponses && typeof rawResponses === 'object' ? rawResponses : {};
 
     if (quizQuestions.length === 0) {
       return {
@@ -684,6 +843,44 @@ export class MissionEngine {
     };
   }
 
+  /**
+   * Valida una aplicación de efectivo contra las aplicaciones esperadas del dataset
+   */
+  validateCashApplication(activity, userData) {
+    const dataset = this.loadActivityDataset(activity);
+    return validatePaymentMatching(userData?.allocations || [], dataset.expectedAllocations || [], {
+      payments: dataset.payments || []
+    });
+  }
+
+  /**
+   * Valida la tabla limpia contra las facturas limpias del dataset
+   */
+  validateDataCleaningTask(activity, userData) {
+    const dataset = this.loadActivityDataset(activity);
+    return validateDataCleaning(dataset.invoices || [], userData?.rows || [], dataset.cleanInvoices || []);
+  }
+
+  /**
+   * Valida el final alcanzado en un diálogo ramificado
+   */
+  validateDialogue(activity, outcome) {
+    const graph = this.getDialogueGraph(activity);
+    const endNode = graph?.nodes?.[outcome?.endNodeId];
+
+    if (!endNode) {
+      return { valid: false, score: 0, feedback: 'El diálogo no llegó a un final' };
+    }
+
+    const score = Number.isFinite(endNode.score) ? endNode.score : 100;
+    return {
+      valid: score >= 60,
+      score,
+      endNodeId: outcome.endNodeId,
+      feedback: endNode.text
+    };
+  }
+
   /**
    * Calcula el progreso total de la misión
    */
@@ -44,10 +44,117 @@ export const validateInvoiceData = (invoice) => {
   };
 };
 
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Normaliza aplicaciones de efectivo a [{ paymentId, invoiceId, amount }].
+ * Acepta un array de aplicaciones o { paymentId: { invoiceId: monto } }.
+ */
+const toAllocations = (matches) => {
+  if (Array.isArray(matches)) {
+    return matches
+      .filter(allocation => allocation?.paymentId && allocation?.invoiceId)
+      .map(({ paymentId, invoiceId, amount }) => ({ paymentId, invoiceId, amount: Number(amount) || 0 }));
+  }
+
+  return Object.entries(matches || {}).flatMap(([paymentId, invoices]) =>
+    Object.entries(invoices || {}).map(([invoiceId, amount]) => ({ paymentId, invoiceId, amount: Number(amount) || 0 }))
+  );
+};
+
+const sumByKey = (allocations, getKey) => allocations.reduce((acc, allocation) => {
+  const key = getKey(allocation);
+  acc[key] = roundAmount((acc[key] || 0) + allocation.amount);
+  return acc;
+}, {});
+
 /**
- * Valida emparejamiento de pagos
+ * Valida una aplicación de efectivo muchos-a-muchos (pagos parciales,
+ * short-pays, un pago para varias facturas y efectivo sin aplicar).
+ * Cada aplicación esperada vale 1 punto (0.5 si el par es correcto pero el
+ * monto no); cada pago que debe dejar saldo sin aplicar vale 1 punto más y
+ * cada aplicación que no debía existir resta 0.5.
  */
-export const validatePaymentMatching = (matches, correctMatches) => {
+const validateCashApplication = (matches, expectedAllocations, { payments = [], tolerance = 0.01 } = {}) => {
+  const expected = toAllocations(expectedAllocations);
+  const applied = toAllocations(matches).filter(allocation => allocation.amount > 0);
+  const pairKey = ({ paymentId, invoiceId }) => `${paymentId}|${invoiceId}`;
+  const appliedByPair = sumByKey(applied, pairKey);
+  const expectedByPair = sumByKey(expected, pairKey);
+  const appliedByPayment = sumByKey(applied, allocation => allocation.paymentId);
+  const expectedByPayment = sumByKey(expected, allocation => allocation.paymentId);
+
+  const results = expected.map(allocation => {
+    const amountApplied = appliedByPair[pairKey(allocation)];
+    let status = 'missing';
+    if (amountApplied !== undefined) {
+      status = Math.abs(amountApplied - allocation.amount) <= tolerance ? 'correct' : 'amount_mismatch';
+    }
+    return { ...allocation, applied: amountApplied || 0, status, correct: status === 'correct' };
+  });
+
+  const unexpected = Object.keys(appliedByPair)
+    .filter(key => expectedByPair[key] === undefined)
+    .map(key => {
+      const [paymentId, invoiceId] = key.split('|');
+      return { paymentId, invoiceId, amount: 0, applied: appliedByPair[key], status: 'unexpected', correct: false };
+    });
+
+  // 💵 Saldo sin aplicar por pago (negativo = sobreaplicado)
+  const unapplied = payments.map(payment => {
+    const expectedUnapplied = roundAmount(payment.amount - (expectedByPayment[payment.id] || 0));
+    const actualUnapplied = roundAmount(payment.amount - (appliedByPayment[payment.id] || 0));
+    return {
+      paymentId: payment.id,
+      expected: expectedUnapplied,
+      actual: actualUnapplied,
+      correct: Math.abs(expectedUnapplied - actualUnapplied) <= tolerance
+    };
+  });
+  const unappliedCases = unapplied.filter(entry => entry.expected > tolerance);
+  const overApplied = unapplied.filter(entry => entry.actual < -tolerance);
+
+  const correctCount = results.filter(result => result.status === 'correct').length;
+  const amountMismatches = results.filter(result => result.status === 'amount_mismatch').length;
+  const points = correctCount
+    + amountMismatches * 0.5
+    + unappliedCases.filter(entry => entry.correct).length
+    - unexpected.length * 0.5;
+  const total = expected.length + unappliedCases.length;
+  const score = total > 0 ? Math.max(0, points / total) * 100 : 100;
+  const matchRate = expected.length > 0 ? correctCount / expected.length : 1;
+
+  return {
+    valid: score >= 70 && overApplied.length === 0,
+    score: Math.round(score),
+    correct: correctCount,
+    total: expected.length,
+    results: [...results, ...unexpected],
+    unapplied,
+    overApplied,
+    matchRate,
+    feedback: overApplied.length > 0
+      ? `${overApplied.length} pago(s) aplicados por encima de su importe`
+      : `${correctCount} de ${expected.length} aplicaciones correctas`
+  };
+};
+
+/**
+ * Valida emparejamiento de pagos.
+ * Con correctMatches { paymentId: invoiceId } compara pares 1:1; con un array
+ * de aplicaciones esperadas [{ paymentId, invoiceId, amount }] valida montos,
+ * aplicaciones muchos-a-muchos y efectivo sin aplicar (ver options.payments).
+ * @param {Object|Array} matches
+ * @param {Object|Array} correctMatches
+ * @param {Object} [options]
+ * @param {Object[]} [options.payments] - Pagos de la remesa (para el saldo sin aplicar)
+ * @param {number} [options.tolerance=0.01] - Diferencia de monto aceptada
+ */
+export const validatePaymentMatching = (matches, correctMatches, options = {}) => {
+  if (Array.isArray(correctMatches)) {
+    return validateCashApplication(matches, correctMatches, options);
+  }
+
   let correctCount = 0;
   const results = [];
 
@@ -75,10 +182,104 @@ export const validatePaymentMatching = (matches, correctMatches) => {
   };
 };
 
+export const CLEANING_ERROR_TYPES = {
+  duplicates: 'Filas duplicadas',
+  dates: 'Fechas con formato incorrecto',
+  amounts: 'Montos no numéricos o incorrectos',
+  names: 'Nombres no estandarizados',
+  missing: 'Valores faltantes'
+};
+
+const CLEANING_DATE_FIELDS = ['issue_date', 'due_date'];
+
+/**
+ * Cuenta errores por tipo comparando cada fila (por invoice_number) con la
+ * fila limpia esperada. Las facturas esperadas que ya no están se cuentan aparte.
+ */
+const countCleaningErrors = (rows, groundTruth) => {
+  const truthByNumber = new Map(groundTruth.map(row => [row.invoice_number, row]));
+  const counts = { duplicates: 0, dates: 0, amounts: 0, names: 0, missing: 0 };
+  const seen = new Set();
+
+  rows.forEach(row => {
+    const key = String(row.invoice_number ?? '').trim();
+    if (seen.has(key)) {
+      counts.duplicates++;
+      return;
+    }
+    seen.add(key);
+
+    const truth = truthByNumber.get(key);
+    if (!truth) return;
+
+    CLEANING_DATE_FIELDS.forEach(field => {
+      if (row[field] !== truth[field]) counts.dates++;
+    });
+    if (typeof row.amount !== 'number' || Math.abs(row.amount - truth.amount) > 0.005) counts.amounts++;
+    if (row.customer_name !== truth.customer_name) counts.names++;
+    Object.keys(truth)
+      .filter(field => ![...CLEANING_DATE_FIELDS, 'amount', 'customer_name'].includes(field))
+      .forEach(field => {
+        if (row[field] === undefined || row[field] === null || String(row[field]).trim() === '') counts.missing++;
+      });
+  });
+
+  const rowsLost = groundTruth.filter(row => !seen.has(row.invoice_number)).length;
+  return { counts, rowsLost };
+};
+
+/**
+ * Limpieza contra el resultado esperado: reducción de errores por tipo.
+ * Borrar una factura válida cuenta como error nuevo.
+ */
+const validateCleaningAgainstTruth = (originalData, cleanedData, groundTruth) => {
+  const before = countCleaningErrors(originalData, groundTruth);
+  const after = countCleaningErrors(cleanedData, groundTruth);
+
+  const byType = Object.keys(CLEANING_ERROR_TYPES).reduce((acc, type) => {
+    const original = before.counts[type];
+    const remaining = after.counts[type];
+    acc[type] = {
+      label: CLEANING_ERROR_TYPES[type],
+      original,
+      remaining,
+      reduction: original > 0 ? Math.max(0, (original - remaining) / original) : (remaining === 0 ? 1 : 0)
+    };
+    return acc;
+  }, {});
+
+  const totalErrors = Object.values(before.counts).reduce((sum, count) => sum + count, 0) + before.rowsLost;
+  const errorsRemaining = Object.values(after.counts).reduce((sum, count) => sum + count, 0) + after.rowsLost;
+  const errorReduction = totalErrors > 0 ? Math.max(0, (totalErrors - errorsRemaining) / totalErrors) : 1;
+
+  return {
+    valid: errorReduction >= 0.80 && after.counts.duplicates === 0,
+    score: Math.round(errorReduction * 100),
+    metrics: {
+      duplicatesRemoved: before.counts.duplicates - after.counts.duplicates,
+      datesFixed: before.counts.dates - after.counts.dates,
+      formatsStandardized: (before.counts.amounts + before.counts.names) - (after.counts.amounts + after.counts.names),
+      missingValuesFilled: before.counts.missing - after.counts.missing
+    },
+    byType,
+    rowsLost: after.rowsLost,
+    errorReduction,
+    totalErrors,
+    errorsRemaining,
+    feedback: `Errores reducidos ${Math.round(errorReduction * 100)}% (${errorsRemaining} de ${totalErrors} pendientes)`
+  };
+};
+
 /**
- * Valida limpieza de datos
+ * Valida limpieza de datos.
+ * Con groundTruth (tabla limpia esperada) compara celda a celda y reporta la
+ * reducción por tipo de error; sin ella usa la heurística de formatos.
  */
-export const validateDataCleaning = (originalData, cleanedData) => {
+export const validateDataCleaning = (originalData, cleanedData, groundTruth) => {
+  if (Array.isArray(groundTruth)) {
+    return validateCleaningAgainstTruth(originalData, cleanedData, groundTruth);
+  }
+
   const metrics = {
     duplicatesRemoved: 0,
     datesFixed: 0,
@@ -140,8 +341,8 @@ export const validateDSOCalculation = (userDSO, accountsReceivable, revenue, day
 /**
  * Valida buckets de aging
  */
-export const validateAgingBuckets = (userBuckets, invoices) => {
-  const correctBuckets = calculateAgingBuckets(invoices);
+export const validateAgingBuckets = (userBuckets, invoices, asOfDate) => {
+  const correctBuckets = calculateAgingBuckets(invoices, asOfDate);
   let errors = 0;
 
   const bucketRanges = ['0-30', '31-60', '61-90', '90+'];
@@ -167,8 +368,10 @@ export const validateAgingBuckets = (userBuckets, invoices) => {
 
 /**
  * Calcula buckets de aging correctamente
+ * @param {Array} invoices
+ * @param {Date} [asOfDate] - Fecha de corte (por defecto hoy)
  */
-export const calculateAgingBuckets = (invoices) => {
+export const calculateAgingBuckets = (invoices, asOfDate = new Date()) => {
   const buckets = {
     '0-30': 0,
     '31-60': 0,
@@ -176,7 +379,7 @@ export const calculateAgingBuckets = (invoices) => {
     '90+': 0
   };
 
-  const today = new Date();
+  const today = asOfDate;
 
   invoices.forEach(invoice => {
     if (invoice.status === 'paid') return;
@@ -311,6 +514,7 @@ export const validateDataFormat = (data, schema) => {
 const ValidationEngine = {
   validateInvoiceData,
   validatePaymentMatching,
+  CLEANING_ERROR_TYPES,
   validateDataCleaning,
   validateDSOCalculation,
   validateAgingBuckets,
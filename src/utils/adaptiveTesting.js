@@ -1,6 +1,8 @@
 // Sistema de Evaluación Adaptativa (Computerized Adaptive Testing - CAT)
 // Basado en Item Response Theory (IRT) y algoritmos de búsqueda binaria
 
+import { isAnswerCorrect } from './questionFormats';
+
 // ============================================================================
 // 1. CONFIGURACIÓN DEL MOTOR ADAPTATIVO
 // ============================================================================
@@ -10,10 +12,10 @@ export const CAT_CONFIG = {
   discriminationParam: 1.5, // Qué tan bien discrimina la pregunta entre niveles
   guessingParam: 0.25,      // Probabilidad de adivinar (25% para 4 opciones)
   
-  // Umbrales de confianza
+  // Regla de parada (ver canTerminateTest)
   minQuestions: 10,         // Mínimo de preguntas antes de poder terminar
   maxQuestions: 30,         // Máximo de preguntas
-  confidenceThreshold: 0.85, // 85% de confianza para terminar anticipadamente
+  maxStandardError: 0.4,    // Error estándar objetivo para terminar anticipadamente
   
   // Niveles de habilidad (theta)
   initialTheta: 0,          // Nivel inicial (0 = promedio)
@@ -79,16 +81,13 @@ export function estimateAbility(responses, questions) {
       const q = 1 - p;
       const pMinusC = p - c;
       const oneMinusC = 1 - c;
+      const observed = response.isCorrect ? 1 : 0;
       
-      // Primera derivada (información)
-      if (response.isCorrect) {
-        firstDerivative += (a * oneMinusC * q) / p;
-      } else {
-        firstDerivative -= (a * oneMinusC * pMinusC) / (c * q);
-      }
+      // Primera derivada de la log-verosimilitud (score 3PL)
+      firstDerivative += (a * (observed - p) * pMinusC) / (p * oneMinusC);
       
-      // Segunda derivativa
-      const w = (a * a * oneMinusC * pMinusC * q) / (p * p);
+      // Segunda derivada aproximada por la información de Fisher (Fisher scoring)
+      const w = (a * a * q * (pMinusC / oneMinusC) ** 2) / p;
       secondDerivative -= w;
     }
   const safeDenominator = Math.abs(secondDerivative) > 0 ? Math.abs(secondDerivative) : 1;
@@ -182,7 +181,9 @@ export function calculateStandardError(responses, questions, theta) {
 }
 
 /**
- * Determina si se puede terminar el test adaptativo
+ * Determina si se puede terminar el test adaptativo. Regla única de parada:
+ * nunca antes de minQuestions; después, al llegar a maxQuestions o cuando el
+ * error estándar de theta baja de maxStandardError (precisión suficiente).
  */
 export function canTerminateTest(responses, questions, theta) {
   const numQuestions = responses.length;
@@ -193,11 +194,8 @@ export function canTerminateTest(responses, questions, theta) {
   // Máximo de preguntas alcanzado
   if (numQuestions >= CAT_CONFIG.maxQuestions) return true;
   
-  // Calcular confianza
-  const se = calculateStandardError(responses, questions, theta);
-  const confidence = 1 - (2 * se); // Aproximación simple
-  
-  return confidence >= CAT_CONFIG.confidenceThreshold;
+  // Error estándar suficientemente bajo
+  return calculateStandardError(responses, questions, theta) <= CAT_CONFIG.maxStandardError;
 }
 
 // ============================================================================
@@ -303,6 +301,7 @@ export class AdaptiveTestController {
     this.answeredIds = new Set();
     this.currentTheta = CAT_CONFIG.initialTheta;
     this.domainPerformance = {};
+    this.trajectory = [];
   }
   
   /**
@@ -341,7 +340,8 @@ export class AdaptiveTestController {
     if (!question) {
       return;
     }
-    const isCorrect = selectedAnswer === question.respuestaCorrecta;
+    // El modelo IRT es dicotómico: solo la respuesta completamente correcta cuenta
+    const isCorrect = isAnswerCorrect(question, selectedAnswer);
     
     this.responses.push({
       questionId: question.id,
@@ -368,6 +368,20 @@ export class AdaptiveTestController {
     this.domainPerformance[question.dominio].accuracy = 
       this.domainPerformance[question.dominio].correct / 
       this.domainPerformance[question.dominio].total;
+    
+    // Re-estimar habilidad tras cada ítem para registrar la trayectoria
+    this.currentTheta = estimateAbility(this.responses, this.questions);
+    this.trajectory.push({
+      item: this.responses.length,
+      questionId: question.id,
+      dominio: question.dominio,
+      nivel: question.nivel,
+      isCorrect,
+      theta: this.currentTheta,
+      standardError: calculateStandardError(this.responses, this.questions, this.currentTheta)
+    });
+    
+    return isCorrect;
   }
   
   /**
@@ -392,6 +406,7 @@ export class AdaptiveTestController {
       confidence: 1 - (2 * se),
       questionsAnswered: this.responses.length,
       domainPerformance: this.domainPerformance,
+      trajectory: this.trajectory,
       recommendations: getRecommendations(this.currentTheta, this.domainPerformance)
     };
   }
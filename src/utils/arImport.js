@@ -0,0 +1,333 @@
+/**
+ * arImport.js - Importación de cartera real (CSV/XLSX) para el sandbox de CxC
+ * Mapea columnas a los campos que espera ValidationEngine.validateInvoiceData
+ * y arma un dataset con la misma forma que DatasetLoader
+ */
+
+import { validateInvoiceData, calculateAgingBuckets } from './ValidationEngine';
+import { analyzeLocaleNumber } from './spreadsheet';
+
+/**
+ * Campos de factura que entienden las actividades de CxC
+ */
+export const INVOICE_FIELDS = [
+  { key: 'invoice_number', label: 'Número de factura', required: true, aliases: ['factura', 'invoice', 'folio', 'documento', 'invoice no', 'num factura'] },
+  { key: 'customer_name', label: 'Cliente', required: true, aliases: ['cliente', 'customer', 'razon social', 'nombre cliente', 'deudor'] },
+  { key: 'customer_id', label: 'ID de cliente', aliases: ['id cliente', 'customer id', 'codigo cliente', 'rfc', 'nit'] },
+  { key: 'issue_date', label: 'Fecha de emisión', aliases: ['fecha emision', 'fecha factura', 'issue date', 'invoice date', 'fecha'] },
+  { key: 'due_date', label: 'Fecha de vencimiento', required: true, aliases: ['vencimiento', 'fecha vencimiento', 'due date', 'due'] },
+  { key: 'amount', label: 'Monto', required: true, aliases: ['monto', 'importe', 'amount', 'total', 'saldo', 'balance'] },
+  { key: 'status', label: 'Estado', aliases: ['estado', 'status', 'estatus'] },
+  { key: 'currency', label: 'Moneda', aliases: ['moneda', 'currency', 'divisa'] },
+  { key: 'payment_terms', label: 'Términos de pago', aliases: ['terminos', 'condiciones', 'payment terms', 'plazo'] }
+];
+
+/**
+ * Campos de pago para la aplicación de cobros (Cash Application)
+ */
+export const PAYMENT_FIELDS = [
+  { key: 'payment_number', label: 'Número de pago', required: true, aliases: ['pago', 'payment', 'recibo', 'referencia pago', 'payment id'] },
+  { key: 'customer_name', label: 'Cliente', required: true, aliases: ['cliente', 'customer', 'ordenante', 'pagador'] },
+  { key: 'amount', label: 'Monto', required: true, aliases: ['monto', 'importe', 'amount', 'abono'] },
+  { key: 'payment_date', label: 'Fecha de pago', aliases: ['fecha pago', 'payment date', 'fecha'] },
+  { key: 'reference', label: 'Referencia (factura)', aliases: ['referencia', 'reference', 'concepto', 'factura', 'invoice'] },
+  { key: 'method', label: 'Método', aliases: ['metodo', 'method', 'forma de pago', 'medio'] }
+];
+
+const PAID_STATUSES = ['paid', 'pagada', 'pagado', 'cobrada', 'cerrada', 'closed'];
+const AMBIGUOUS_AMOUNT_WARNING = 'Montos con separadores de miles/decimales ambiguos (filas rechazadas, revisa el formato)';
+const AMBIGUOUS_PAYMENT_WARNING = 'Pagos con separadores de miles/decimales ambiguos en el monto (filas rechazadas, revisa el formato)';
+
+// Días entre el 1899-12-30 (época de Excel) y el 1970-01-01
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+const MS_PER_DAY = 1000 * 60 * 60 * 24;
+
+const normalizeHeader = (value) => String(value || '')
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[_\-.#]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const sameCustomerName = (a, b) => normalizeHeader(a) === normalizeHeader(b);
+
+/**
+ * Propone un mapeo campo → columna comparando encabezados con los alias.
+ * Primero asigna coincidencias exactas y después parciales, para que
+ * "Fecha vencimiento" no se tome como fecha de emisión.
+ * @returns {Object} { [fieldKey]: header | '' }
+ */
+export const suggestColumnMapping = (headers, fields = INVOICE_FIELDS) => {
+  const normalized = headers.map(header => ({ header, value: normalizeHeader(header) }));
+  const used = new Set();
+  const mapping = fields.reduce((acc, field) => ({ ...acc, [field.key]: '' }), {});
+  const candidatesOf = (field) => [field.key.replace(/_/g, ' '), ...field.aliases];
+
+  const assign = (matches) => fields.forEach(field => {
+    if (mapping[field.key]) return;
+    const found = normalized.find(({ header, value }) => !used.has(header) && matches(value, candidatesOf(field)));
+    if (found) {
+      mapping[field.key] = found.header;
+      used.add(found.header);
+    }
+  });
+
+  assign((value, candidates) => candidates.includes(value));
+  assign((value, candidates) => candidates.some(alias => value.includes(alias)));
+
+  return mapping;
+};
+
+/**
+ * Campos obligatorios sin columna asignada
+ */
+export const getMissingRequiredFields = (mapping, fields = INVOICE_FIELDS) =>
+  fields.filter(field => field.required && !mapping[field.key]);
+
+/**
+ * Interpreta fechas ISO, dd/mm/aaaa o número de serie de Excel → 'YYYY-MM-DD'
+ */
+export const parseDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return '';
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const serial = Number(text);
+    if (serial > 0 && serial < 100000) {
+      return new Date(Math.round((serial - EXCEL_EPOCH_OFFSET_DAYS) * MS_PER_DAY)).toISOString().split('T')[0];
+    }
+  }
+
+  const iso = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (iso) {
+    return `${iso[1]}-${iso[2].padStart(2, '0')}-${iso[3].padStart(2, '0')}`;
+  }
+
+  const dayFirst = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})$/);
+  if (dayFirst) {
+    const year = dayFirst[3].length === 2 ? `20${dayFirst[3]}` : dayFirst[3];
+    // dd/mm salvo que el segundo número no pueda ser mes (formato mm/dd)
+    const [day, month] = Number(dayFirst[2]) > 12
+      ? [dayFirst[2], dayFirst[1]]
+      : [dayFirst[1], dayFirst[2]];
+    return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+  }
+
+  const parsed = new Date(text);
+  return Number.isNaN(parsed.getTime()) ? '' : parsed.toISOString().split('T')[0];
+};
+
+const normalizeStatus = (value) => {
+  const status = normalizeHeader(value);
+  return PAID_STATUSES.includes(status) ? 'paid' : 'pending';
+};
+
+/**
+ * Convierte filas crudas en facturas y las valida con validateInvoiceData.
+ * Las facturas sin cliente, monto o vencimiento se descartan; los avisos
+ * de formato (p. ej. folio distinto de INV-XXXXXX) solo se reportan.
+ */
+export const mapInvoiceRows = (rows, mapping) => {
+  const invoices = [];
+  const rejected = [];
+  const warnings = {};
+  const seenIds = new Set();
+
+  rows.forEach((row, index) => {
+    const get = (key) => (mapping[key] ? row[mapping[key]] : '');
+    const invoiceNumber = String(get('invoice_number') || '').trim();
+    const issueDate = parseDate(get('issue_date'));
+    const amountInfo = analyzeLocaleNumber(get('amount'));
+    // Los folios repetidos conservan su número pero necesitan un id único
+    const baseId = invoiceNumber || `ROW-${index + 2}`;
+    const id = seenIds.has(baseId) ? `${baseId}-${index + 2}` : baseId;
+    seenIds.add(id);
+
+    const invoice = {
+      id,
+      invoice_number: invoiceNumber,
+      customer_name: String(get('customer_name') || '').trim(),
+      customer_id: String(get('customer_id') || '').trim(),
+      issue_date: issueDate,
+      due_date: parseDate(get('due_date')) || issueDate,
+      amount: Math.round(amountInfo.value * 100) / 100,
+      status: mapping.status ? normalizeStatus(get('status')) : 'pending',
+      currency: String(get('currency') || 'USD').trim().toUpperCase(),
+      payment_terms: String(get('payment_terms') || '').trim()
+    };
+
+    const validation = validateInvoiceData(invoice);
+
+    if (amountInfo.ambiguous) {
+      // No se adivina la escala: la fila se rechaza y se avisa del formato
+      const message = `Monto con separadores ambiguos: "${get('amount')}"`;
+      warnings[AMBIGUOUS_AMOUNT_WARNING] = (warnings[AMBIGUOUS_AMOUNT_WARNING] || 0) + 1;
+      rejected.push({ row: index + 2, invoice, errors: [{ message }, ...validation.errors] });
+      return;
+    }
+
+    if (!invoice.customer_name || !(invoice.amount > 0) || !invoice.due_date) {
+      rejected.push({ row: index + 2, invoice, errors: validation.errors });
+      return;
+    }
+
+    validation.errors.forEach(error => {
+      warnings[error.message] = (warnings[error.message] || 0) + 1;
+    });
+    invoices.push(invoice);
+  });
+
+  return {
+    invoices,
+    rejected,
+    warnings: Object.entries(warnings).map(([message, count]) => ({ message, count }))
+  };
+};
+
+/**
+ * Convierte filas crudas en pagos (montos positivos). Como en las facturas,
+ * las filas sin cliente o monto válido se rechazan y los montos ambiguos
+ * además se avisan.
+ */
+export const mapPaymentRows = (rows, mapping) => {
+  const payments = [];
+  const rejected = [];
+  const warnings = {};
+
+  rows.forEach((row, index) => {
+    const get = (key) => (mapping[key] ? row[mapping[key]] : '');
+    const paymentNumber = String(get('payment_number') || '').trim() || `PAY-ROW-${index + 2}`;
+    const amountInfo = analyzeLocaleNumber(get('amount'));
+
+    const payment = {
+      id: paymentNumber,
+      payment_number: paymentNumber,
+      customer_name: String(get('customer_name') || '').trim(),
+      amount: Math.round(Math.abs(amountInfo.value) * 100) / 100,
+      payment_date: parseDate(get('payment_date')),
+      reference: String(get('reference') || '').trim(),
+      method: String(get('method') || '').trim()
+    };
+
+    if (amountInfo.ambiguous) {
+      warnings[AMBIGUOUS_PAYMENT_WARNING] = (warnings[AMBIGUOUS_PAYMENT_WARNING] || 0) + 1;
+      rejected.push({ row: index + 2, payment, errors: [{ message: `Monto con separadores ambiguos: "${get('amount')}"` }] });
+      return;
+    }
+
+    const errors = [
+      ...(payment.customer_name ? [] : [{ message: 'Falta el cliente del pago' }]),
+      ...(payment.amount > 0 ? [] : [{ message: `Monto de pago inválido: "${get('amount')}"` }])
+    ];
+    if (errors.length > 0) {
+      rejected.push({ row: index + 2, payment, errors });
+      return;
+    }
+
+    payments.push(payment);
+  });
+
+  return {
+    payments,
+    rejected,
+    warnings: Object.entries(warnings).map(([message, count]) => ({ message, count }))
+  };
+};
+
+/**
+ * Emparejamiento esperado factura → pago: primero por referencia,
+ * después por cliente + monto exacto. Mismo formato que DragDropActivity.
+ */
+export const inferCorrectMatches = (invoices, payments) => {
+  const matches = {};
+  const usedPayments = new Set();
+
+  invoices.forEach(invoice => {
+    const byReference = payments.find(payment =>
+      !usedPayments.has(payment.id) &&
+      invoice.invoice_number &&
+      payment.reference.toUpperCase().includes(invoice.invoice_number.toUpperCase())
+    );
+    const match = byReference || payments.find(payment =>
+      !usedPayments.has(payment.id) &&
+      sameCustomerName(payment.customer_name, invoice.customer_name) &&
+      Math.abs(payment.amount - invoice.amount) < 0.01
+    );
+
+    if (match) {
+      matches[invoice.id] = match.id;
+      usedPayments.add(match.id);
+    }
+  });
+
+  return matches;
+};
+
+/**
+ * DSO con la misma fórmula que DatasetLoader.generateKPIData
+ */
+export const calculateSandboxMetrics = (invoices, days = 30) => {
+  const totalRevenue = invoices.reduce((sum, invoice) => sum + invoice.amount, 0);
+  const totalAR = invoices
+    .filter(invoice => invoice.status !== 'paid')
+    .reduce((sum, invoice) => sum + invoice.amount, 0);
+
+  return {
+    totalAR: Math.round(totalAR * 100) / 100,
+    totalRevenue: Math.round(totalRevenue * 100) / 100,
+    dso: totalRevenue > 0 ? Math.round((totalAR / (totalRevenue / days)) * 10) / 10 : 0,
+    days,
+    invoiceCount: invoices.length,
+    pendingCount: invoices.filter(invoice => invoice.status !== 'paid').length
+  };
+};
+
+// Tope de tarjetas para que la actividad de arrastrar siga siendo manejable
+const MAX_MATCH_TARGETS = 10;
+
+/**
+ * Arma el dataset del sandbox con la forma de DatasetLoader.loadDataset
+ * @param {Object} params
+ * @param {Array} params.invoices
+ * @param {Array} [params.payments]
+ * @param {string} [params.referenceDate] - Fecha de corte (YYYY-MM-DD) para el aging
+ */
+export const buildSandboxDataset = ({ invoices, payments = [], referenceDate }) => {
+  const asOfDate = referenceDate ? new Date(`${referenceDate}T12:00:00Z`) : new Date();
+  const pendingInvoices = invoices.filter(invoice => invoice.status !== 'paid');
+
+  // Cash Application: facturas pendientes de clientes que tienen pagos
+  const matchTargets = pendingInvoices
+    .filter(invoice => payments.some(payment => sameCustomerName(payment.customer_name, invoice.customer_name)))
+    .slice(0, MAX_MATCH_TARGETS);
+  const matchItems = payments
+    .filter(payment => matchTargets.some(invoice => sameCustomerName(payment.customer_name, invoice.customer_name)))
+    .slice(0, MAX_MATCH_TARGETS * 2);
+
+  return {
+    source: 'sandbox',
+    referenceDate: asOfDate.toISOString().split('T')[0],
+    invoices,
+    payments: matchItems,
+    matchTargets,
+    correctMatches: inferCorrectMatches(matchTargets, matchItems),
+    agingBuckets: calculateAgingBuckets(invoices, asOfDate),
+    metrics: calculateSandboxMetrics(invoices)
+  };
+};
+
+const ARImport = {
+  INVOICE_FIELDS,
+  PAYMENT_FIELDS,
+  suggestColumnMapping,
+  getMissingRequiredFields,
+  parseDate,
+  mapInvoiceRows,
+  mapPaymentRows,
+  inferCorrectMatches,
+  calculateSandboxMetrics,
+  buildSandboxDataset
+};
+
+export default ARImport;
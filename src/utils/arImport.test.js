@@ -0,0 +1,40 @@
+import { mapInvoiceRows, mapPaymentRows } from './arImport';
+
+describe('mapInvoiceRows', () => {
+  const mapping = { invoice_number: 'Folio', customer_name: 'Cliente', due_date: 'Vence', amount: 'Monto' };
+
+  test('conserva los miles y rechaza con aviso los montos ambiguos', () => {
+    const rows = [
+      { Folio: 'INV-000001', Cliente: 'Acme', Vence: '2026-01-31', Monto: '1,234' },
+      { Folio: 'INV-000002', Cliente: 'Acme', Vence: '2026-01-31', Monto: '1,23,456' }
+    ];
+    const { invoices, rejected, warnings } = mapInvoiceRows(rows, mapping);
+
+    expect(invoices.map(invoice => invoice.amount)).toEqual([1234]);
+    expect(rejected).toHaveLength(1);
+    expect(rejected[0].row).toBe(3);
+    expect(warnings.some(warning => /ambiguos/.test(warning.message))).toBe(true);
+  });
+});
+
+describe('mapPaymentRows', () => {
+  const mapping = { payment_number: 'Pago', customer_name: 'Cliente', amount: 'Monto', reference: 'Referencia' };
+
+  test('rechaza con aviso los montos ambiguos y reporta las filas inválidas', () => {
+    const rows = [
+      { Pago: 'PAY-1', Cliente: 'Acme', Monto: '-1.234,50', Referencia: 'INV-000001' },
+      { Pago: 'PAY-2', Cliente: 'Acme', Monto: '1,23,456' },
+      { Pago: 'PAY-3', Cliente: '', Monto: '500' },
+      { Pago: 'PAY-4', Cliente: 'Beta', Monto: 'n/d' }
+    ];
+    const { payments, rejected, warnings } = mapPaymentRows(rows, mapping);
+
+    expect(payments).toHaveLength(1);
+    expect(payments[0]).toMatchObject({ id: 'PAY-1', amount: 1234.5, reference: 'INV-000001' });
+    expect(rejected.map(item => item.row)).toEqual([3, 4, 5]);
+    expect(rejected[0].errors[0].message).toMatch(/ambiguos: "1,23,456"/);
+    expect(rejected[1].errors.map(error => error.message)).toEqual(['Falta el cliente del pago']);
+    expect(rejected[2].errors[0].message).toMatch(/inválido: "n\/d"/);
+    expect(warnings).toEqual([{ message: expect.stringMatching(/^Pagos con separadores/), count: 1 }]);
+  });
+});
@@ -1,6 +1,8 @@
 // Sistema de Calificación Diagnóstica Moderno
 // Basado en mejores prácticas de evaluación formativa y taxonomía de Bloom
 
+import { TAXONOMIA_PL300, getSubdomainCategory } from '../data/taxonomy';
+
 // ============================================================================
 // 1. CONFIGURACIÓN DE PESOS Y NIVELES
 // ============================================================================
@@ -24,20 +26,12 @@ export const UMBRALES_NIVEL = {
   avanzado: { min: 81, max: 100 }
 };
 
-// Mapeo de subdominios a categorías temáticas principales
-export const CATEGORIAS_TEMATICAS = {
-  'obtener-datos': 'Conexión y Obtención de Datos',
-  'perfilar-limpiar-datos': 'Limpieza y Perfilado de Datos',
-  'transformar-cargar-datos': 'Transformación de Datos',
-  'diseñar-implementar-modelo': 'Diseño de Modelo de Datos',
-  'crear-calculos-dax': 'DAX y Cálculos',
-  'optimizar-rendimiento': 'Optimización y Rendimiento',
-  'crear-reportes': 'Creación de Visualizaciones',
-  'mejorar-usabilidad': 'UX y Storytelling',
-  'identificar-patrones': 'Análisis de Patrones',
-  'crear-gestionar-workspaces': 'Workspaces y Colaboración',
-  'asegurar-gobernar': 'Seguridad y Gobierno'
-};
+// Mapeo de subdominios canónicos a categorías temáticas principales (desde la taxonomía)
+export const CATEGORIAS_TEMATICAS = Object.fromEntries(
+  Object.values(TAXONOMIA_PL300).flatMap((dominio) =>
+    Object.entries(dominio.subdominios).map(([subdominio, info]) => [subdominio, info.categoria])
+  )
+);
 
 // ============================================================================
 // 2. FUNCIÓN PRINCIPAL: CALCULAR PUNTUACIÓN GLOBAL PONDERADA
@@ -91,7 +85,7 @@ export function analizarPorCategorias(respuestas) {
   const resultadosPorCategoria = {};
 
   respuestas.forEach(respuesta => {
-    const categoria = CATEGORIAS_TEMATICAS[respuesta.subdominio] || respuesta.subdominio;
+    const categoria = getSubdomainCategory(respuesta.subdominio);
     
     if (!resultadosPorCategoria[categoria]) {
       resultadosPorCategoria[categoria] = {
@@ -138,7 +132,7 @@ export function evaluarNivelBloomPorCategoria(respuestas) {
   const bloomPorCategoria = {};
 
   respuestas.forEach(respuesta => {
-    const categoria = CATEGORIAS_TEMATICAS[respuesta.subdominio] || respuesta.subdominio;
+    const categoria = getSubdomainCategory(respuesta.subdominio);
     const nivelBloom = respuesta.nivelBloom || 'recordar';
     
     if (!bloomPorCategoria[categoria]) {
@@ -0,0 +1,182 @@
+/**
+ * campaignEndings.js - Final del Epílogo calculado con toda la campaña
+ * Proyecta los KPIs de campaña (DSO, bad debt, satisfacción) a partir de las
+ * puntuaciones de los Actos 1-3 y las decisiones de diálogo, y elige el final
+ */
+
+import { MISSIONS } from '../data/cxc/missions';
+import { DIALOGUE_GRAPHS } from '../data/cxc/characters';
+import {
+  CAMPAIGN_KPIS,
+  CAMPAIGN_DECISION_IMPACTS,
+  EPILOGUE_ENDINGS
+} from '../data/cxc/epilogueContent';
+import { getStoryDialogueState, removeStoryGraphs } from './dialogueGraph';
+
+export const CAMPAIGN_ACTS = [1, 2, 3];
+export const EPILOGUE_MISSION_ID = 'epilogo_plan';
+
+const TECHNICAL_ACTS = [2, 3];
+const BOARD_ACTIVITY_ID = 'epilogue_board_decision';
+const BOARD_QUESTION_ID = 'board_final_question';
+const HELP_PENALTY_PER_USE = 0.01;
+const MAX_HELP_PENALTY = 0.1;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const average = (values) => values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : 0;
+
+// Las misiones extra (campaign: false) no cuentan para la campaña
+const isCampaignMission = (mission) => mission.campaign !== false;
+
+const missionsOfAct = (act) => Object.values(MISSIONS)
+  .filter(mission => mission.acto === act && isCampaignMission(mission));
+
+/**
+ * Puntuación promedio por acto (las misiones sin jugar cuentan como 0)
+ */
+export const getActScores = (missions = {}) => CAMPAIGN_ACTS.reduce((acc, act) => {
+  const scores = missionsOfAct(act).map(mission => Number(missions[mission.id]?.score) || 0);
+  acc[act] = Math.round(average(scores));
+  return acc;
+}, {});
+
+/**
+ * Decisiones de la campaña: diálogos ramificados + respuesta a la junta del Epílogo
+ */
+export const getCampaignDecisions = (progress) => {
+  const { choices } = getStoryDialogueState(progress?.story);
+  const boardResult = (progress?.missions?.[EPILOGUE_MISSION_ID]?.results || [])
+    .find(result => result.activityId === BOARD_ACTIVITY_ID);
+  const boardAnswer = boardResult?.answers?.[BOARD_QUESTION_ID];
+
+  return boardAnswer
+    ? { ...choices, [`epilogo.${BOARD_QUESTION_ID}`]: boardAnswer }
+    : choices;
+};
+
+const countCampaignHelps = (missions = {}) => CAMPAIGN_ACTS
+  .flatMap(missionsOfAct)
+  .reduce((sum, mission) => sum + (missions[mission.id]?.helpUsed?.length || 0), 0);
+
+/**
+ * KPIs proyectados entre baseline y meta según el desempeño (0-1) de cada KPI
+ */
+export const computeCampaignKPIs = (progress) => {
+  const actScores = getActScores(progress?.missions);
+  const decisions = getCampaignDecisions(progress);
+  const helpPenalty = Math.min(MAX_HELP_PENALTY, countCampaignHelps(progress?.missions) * HELP_PENALTY_PER_USE);
+
+  return Object.entries(CAMPAIGN_KPIS).reduce((acc, [kpiId, config]) => {
+    const basePerformance = average(config.acts.map(act => actScores[act])) / 100;
+    const adjustment = Object.entries(decisions).reduce(
+      (sum, [decisionKey, choiceId]) => sum + (CAMPAIGN_DECISION_IMPACTS[decisionKey]?.[choiceId]?.[kpiId] || 0),
+      0
+    );
+    const performance = clamp(basePerformance + adjustment - helpPenalty, 0, 1);
+    const value = config.baseline + (config.target - config.baseline) * performance;
+
+    acc[kpiId] = Math.round(value * 10) / 10;
+    return acc;
+  }, {});
+};
+
+/**
+ * Todo lo que pueden exigir los requisitos de un final
+ */
+export const buildCampaignProfile = (progress) => {
+  const actScores = getActScores(progress?.missions);
+  const relationships = progress?.story?.relationships || {};
+
+  return {
+    actScores,
+    averageScore: Math.round(average(CAMPAIGN_ACTS.map(act => actScores[act]))),
+    technicalScore: Math.round(average(TECHNICAL_ACTS.map(act => actScores[act]))),
+    relationship: (relationships.tess || 0) + (relationships.gustavo || 0),
+    kpis: computeCampaignKPIs(progress),
+    decisions: getCampaignDecisions(progress)
+  };
+};
+
+/**
+ * Verifica los requisitos de un final contra el perfil de campaña
+ */
+export const meetsEndingRequirements = (requirements = {}, profile) => {
+  const checks = {
+    maxDSO: (max) => profile.kpis.dso <= max,
+    maxBadDebt: (max) => profile.kpis.badDebt <= max,
+    minCustomerSat: (min) => profile.kpis.customerSat >= min,
+    minAverageScore: (min) => profile.averageScore >= min,
+    minTechnicalScore: (min) => profile.technicalScore >= min,
+    minRelationship: (min) => profile.relationship >= min
+  };
+
+  return Object.entries(requirements).every(([key, value]) => checks[key]?.(value) ?? false);
+};
+
+/**
+ * Elige el primer final cuyos requisitos se cumplen
+ * @returns {{ending: Object, profile: Object}}
+ */
+export const determineEnding = (progress) => {
+  const profile = buildCampaignProfile(progress);
+  const ending = EPILOGUE_ENDINGS.find(item => meetsEndingRequirements(item.requirements, profile))
+    || EPILOGUE_ENDINGS[EPILOGUE_ENDINGS.length - 1];
+
+  return { ending, profile };
+};
+
+export const getEndingById = (endingId) =>
+  EPILOGUE_ENDINGS.find(ending => ending.id === endingId) || null;
+
+/**
+ * Progreso para rejugar desde un acto: las misiones de ese acto en adelante
+ * vuelven a estar disponibles (conservan su mejor puntuación) y se borran las
+ * decisiones de sus diálogos. La galería de finales se conserva.
+ */
+export const buildReplayProgress = (progress, fromAct) => {
+  const missions = { ...(progress.missions || {}) };
+
+  Object.values(MISSIONS)
+    .filter(mission => mission.acto >= fromAct && isCampaignMission(mission) && missions[mission.id])
+    .forEach(mission => {
+      const {
+        dataset,
+        results,
+        helpUsed,
+        percentage,
+        ...kept
+      } = missions[mission.id];
+      missions[mission.id] = { ...kept, status: 'available', replay: true };
+    });
+
+  const replayedGraphs = Object.values(DIALOGUE_GRAPHS)
+    .filter(graph => graph.act >= fromAct)
+    .map(graph => graph.id);
+
+  return {
+    ...progress,
+    missions,
+    story: removeStoryGraphs(progress.story, replayedGraphs),
+    currentAct: fromAct,
+    currentMission: null,
+    finalPath: null
+  };
+};
+
+const CampaignEndings = {
+  CAMPAIGN_ACTS,
+  EPILOGUE_MISSION_ID,
+  getActScores,
+  getCampaignDecisions,
+  computeCampaignKPIs,
+  buildCampaignProfile,
+  meetsEndingRequirements,
+  determineEnding,
+  getEndingById,
+  buildReplayProgress
+};
+
+export default CampaignEndings;
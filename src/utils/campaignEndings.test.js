@@ -0,0 +1,108 @@
+import { MISSIONS } from '../data/cxc/missions';
+import { buildCampaignProfile, buildReplayProgress, determineEnding } from './campaignEndings';
+
+const campaignMissions = Object.values(MISSIONS).filter(mission => [1, 2, 3].includes(mission.acto) && mission.campaign !== false);
+
+// Todas las misiones de la campaña con la misma puntuación
+const progressWith = (score, { relationships = {}, choices = {}, helps = 0 } = {}) => ({
+  missions: Object.fromEntries(campaignMissions.map((mission, index) => [mission.id, {
+    status: 'completed',
+    score,
+    helpUsed: index === 0 ? Array.from({ length: helps }, () => ({ type: 'hint', cost: 5 })) : []
+  }])),
+  story: { relationships, choices }
+});
+
+const endingFor = (score, options) => determineEnding(progressWith(score, options)).ending.id;
+
+describe('determineEnding', () => {
+  test('los KPIs se proyectan entre baseline y meta según la puntuación', () => {
+    expect(buildCampaignProfile(progressWith(100)).kpis).toEqual({ dso: 35, badDebt: 1.8, customerSat: 85 });
+    expect(buildCampaignProfile(progressWith(0)).kpis).toEqual({ dso: 45, badDebt: 2.5, customerSat: 78 });
+  });
+
+  test('DirectorCxC exige un promedio de al menos 85', () => {
+    expect(endingFor(85)).toBe('DirectorCxC');
+    expect(endingFor(84)).toBe('AnalistaSenior');
+  });
+
+  test('una decisión que baja la satisfacción por debajo de 83 cierra DirectorCxC', () => {
+    const choices = { acto1_collection_dilemma: { decision: 'demand_full' } };
+    expect(buildCampaignProfile(progressWith(85, { choices })).kpis.customerSat).toBeLessThan(83);
+    expect(endingFor(85, { choices })).not.toBe('DirectorCxC');
+  });
+
+  test('Supervisor exige relación 2 con Tess + Gustavo', () => {
+    expect(endingFor(84, { relationships: { tess: 1, gustavo: 1 } })).toBe('Supervisor');
+    expect(endingFor(84, { relationships: { tess: 1 } })).toBe('AnalistaSenior');
+  });
+
+  test('AnalistaSenior exige puntuación técnica de al menos 75; si no, NuevoComienzo', () => {
+    expect(endingFor(75)).toBe('AnalistaSenior');
+    expect(endingFor(74)).toBe('NuevoComienzo');
+    expect(endingFor(0)).toBe('NuevoComienzo');
+  });
+
+  test('las ayudas penalizan los KPIs', () => {
+    const clean = buildCampaignProfile(progressWith(80)).kpis;
+    const helped = buildCampaignProfile(progressWith(80, { helps: 5 })).kpis;
+    expect(helped.dso).toBeGreaterThan(clean.dso);
+    expect(helped.customerSat).toBeLessThan(clean.customerSat);
+  });
+});
+
+describe('buildReplayProgress', () => {
+  const played = () => ({
+    ...progressWith(90),
+    missions: Object.fromEntries(campaignMissions.map(mission => [mission.id, {
+      status: 'completed',
+      score: 90,
+      grade: 'A',
+      dataset: { seed: 1, referenceDate: '2026-03-31' },
+      results: [{ activityId: 'x' }],
+      helpUsed: [{ type: 'hint' }],
+      percentage: 90
+    }])),
+    story: {
+      choices: { acto1_collection_dilemma: { decision: 'payment_plan' } },
+      endings: { acto1_collection_dilemma: 'acuerdo' },
+      relationshipDeltas: { acto1_collection_dilemma: { tess: 1 }, otro_grafo: { gustavo: 1 } },
+      relationships: { tess: 1, gustavo: 1 }
+    },
+    endings: ['DirectorCxC'],
+    currentAct: 4,
+    finalPath: 'DirectorCxC'
+  });
+
+  test('desde el Acto 2 reabre los actos 2-3 con su mejor puntuación y deja intacto el 1', () => {
+    const replay = buildReplayProgress(played(), 2);
+
+    campaignMissions.forEach(mission => {
+      const entry = replay.missions[mission.id];
+      if (mission.acto >= 2) {
+        expect(entry).toEqual({ status: 'available', score: 90, grade: 'A', replay: true });
+      } else {
+        expect(entry).toEqual(played().missions[mission.id]);
+      }
+    });
+    expect(replay.story.choices).toEqual(played().story.choices);
+    expect(replay).toMatchObject({ currentAct: 2, currentMission: null, finalPath: null, endings: ['DirectorCxC'] });
+  });
+
+  test('desde el Acto 1 borra las decisiones y recalcula la relación de sus diálogos', () => {
+    const replay = buildReplayProgress(played(), 1);
+
+    expect(replay.story.choices).toEqual({});
+    expect(replay.story.endings).toEqual({});
+    expect(replay.story.relationshipDeltas).toEqual({ otro_grafo: { gustavo: 1 } });
+    expect(replay.story.relationships).toEqual({ gustavo: 1 });
+    expect(campaignMissions.every(mission => replay.missions[mission.id].status === 'available')).toBe(true);
+    expect(replay.endings).toEqual(['DirectorCxC']);
+  });
+
+  test('no crea entradas para misiones que nunca se jugaron', () => {
+    const [first] = campaignMissions;
+    const replay = buildReplayProgress({ missions: { [first.id]: { status: 'completed', score: 70 } } }, 1);
+    expect(Object.keys(replay.missions)).toEqual([first.id]);
+  });
+});
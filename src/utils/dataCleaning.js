@@ -0,0 +1,125 @@
+/**
+ * dataCleaning.js - Transformaciones de limpieza estilo Power Query
+ * Cada paso es un objeto serializable { type, column, ...params } que se
+ * aplica sobre una tabla (array de filas) y devuelve una tabla nueva
+ */
+
+import { parseLocaleNumber } from './spreadsheet';
+
+export const CLEANING_TRANSFORMS = {
+  trim: { label: 'Recortar espacios', icon: '✂️' },
+  to_number: { label: 'Cambiar tipo: número decimal', icon: '🔢' },
+  to_date: { label: 'Cambiar tipo: fecha (YYYY-MM-DD)', icon: '📅' },
+  replace: { label: 'Reemplazar valores', icon: '🔁', params: ['find', 'replaceWith'] },
+  fill_empty: { label: 'Rellenar vacíos', icon: '🧩', params: ['value'] },
+  remove_duplicates: { label: 'Quitar duplicados', icon: '🧹' }
+};
+
+export const isEmptyValue = (value) => value === undefined || value === null || String(value).trim() === '';
+
+/**
+ * Normaliza "DD/MM/YYYY", "DD-MM-YYYY" o "YYYY/MM/DD" a "YYYY-MM-DD"; null si no es fecha
+ */
+export const parseFlexibleDate = (value) => {
+  const text = String(value ?? '').trim();
+  let match = text.match(/^(\d{4})[-/](\d{1,2})[-/](\d{1,2})$/);
+  if (match) return `${match[1]}-${match[2].padStart(2, '0')}-${match[3].padStart(2, '0')}`;
+
+  match = text.match(/^(\d{1,2})[-/](\d{1,2})[-/](\d{4})$/);
+  if (match) return `${match[3]}-${match[2].padStart(2, '0')}-${match[1].padStart(2, '0')}`;
+
+  return null;
+};
+
+const mapColumn = (rows, column, transform) =>
+  rows.map(row => ({ ...row, [column]: transform(row[column]) }));
+
+/**
+ * Aplica un paso de limpieza. Los valores que no se pueden convertir se
+ * dejan como estaban (igual que una columna con errores en Power Query).
+ */
+export const applyCleaningStep = (rows, step) => {
+  const { type, column } = step;
+
+  switch (type) {
+    case 'trim':
+      return mapColumn(rows, column, value => (typeof value === 'string' ? value.trim().replace(/\s+/g, ' ') : value));
+
+    case 'to_number':
+      return mapColumn(rows, column, value => {
+        const parsed = parseLocaleNumber(value);
+        return Number.isNaN(parsed) ? value : parsed;
+      });
+
+    case 'to_date':
+      return mapColumn(rows, column, value => parseFlexibleDate(value) || value);
+
+    case 'replace':
+      return mapColumn(rows, column, value => (String(value ?? '') === String(step.find ?? '') ? step.replaceWith : value));
+
+    case 'fill_empty':
+      return mapColumn(rows, column, value => (isEmptyValue(value) ? step.value : value));
+
+    // Ediciones manuales de la cuadrícula (por posición en la tabla actual)
+    case 'edit_cell':
+      return rows.map((row, index) => (index === step.row ? { ...row, [column]: step.value } : row));
+
+    case 'remove_row':
+      return rows.filter((_, index) => index !== step.row);
+
+    case 'remove_duplicates': {
+      const seen = new Set();
+      return rows.filter(row => {
+        const key = column ? String(row[column] ?? '').trim() : JSON.stringify(row);
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      });
+    }
+
+    default:
+      return rows;
+  }
+};
+
+/**
+ * Aplica una lista de pasos en orden
+ */
+export const applyCleaningSteps = (rows, steps = []) => steps.reduce(applyCleaningStep, rows);
+
+/**
+ * Texto legible de un paso ("Reemplazar valores en customer_name: A → B")
+ */
+export const describeCleaningStep = (step) => {
+  const { column } = step;
+  if (step.type === 'edit_cell') return `Editar fila ${step.row + 1}, ${column}: "${step.value}"`;
+  if (step.type === 'remove_row') return `Eliminar fila ${step.row + 1}`;
+
+  const transform = CLEANING_TRANSFORMS[step.type];
+  const base = `${transform?.label || step.type}${column ? ` en ${column}` : ''}`;
+  if (step.type === 'replace') return `${base}: "${step.find}" → "${step.replaceWith}"`;
+  if (step.type === 'fill_empty') return `${base}: "${step.value}"`;
+  return base;
+};
+
+/**
+ * Perfil de columna: vacíos y tipos presentes (como "Calidad de columna")
+ */
+export const profileColumn = (rows, column) => rows.reduce((profile, row) => {
+  const value = row[column];
+  if (isEmptyValue(value)) profile.empty++;
+  else profile.types.add(typeof value);
+  return profile;
+}, { empty: 0, types: new Set() });
+
+const DataCleaning = {
+  CLEANING_TRANSFORMS,
+  isEmptyValue,
+  parseFlexibleDate,
+  applyCleaningStep,
+  applyCleaningSteps,
+  describeCleaningStep,
+  profileColumn
+};
+
+export default DataCleaning;
@@ -0,0 +1,990 @@
+/**
+ * daxEngine.js - Intérprete de un subconjunto de DAX para el sandbox
+ * Analiza medidas y las evalúa sobre un modelo estrella en memoria con
+ * contexto de filtro, contexto de fila y transición de contexto
+ */
+
+export const DAX_FUNCTIONS = {
+  SUM: { group: 'Agregación', syntax: 'SUM(Tabla[Columna])' },
+  AVERAGE: { group: 'Agregación', syntax: 'AVERAGE(Tabla[Columna])' },
+  MIN: { group: 'Agregación', syntax: 'MIN(Tabla[Columna])' },
+  MAX: { group: 'Agregación', syntax: 'MAX(Tabla[Columna])' },
+  COUNTROWS: { group: 'Agregación', syntax: 'COUNTROWS(Tabla)' },
+  DISTINCTCOUNT: { group: 'Agregación', syntax: 'DISTINCTCOUNT(Tabla[Columna])' },
+  SUMX: { group: 'Iteradores', syntax: 'SUMX(Tabla, Expresión)' },
+  AVERAGEX: { group: 'Iteradores', syntax: 'AVERAGEX(Tabla, Expresión)' },
+  MINX: { group: 'Iteradores', syntax: 'MINX(Tabla, Expresión)' },
+  MAXX: { group: 'Iteradores', syntax: 'MAXX(Tabla, Expresión)' },
+  CALCULATE: { group: 'Filtros', syntax: 'CALCULATE(Expresión, Filtro1, ...)' },
+  FILTER: { group: 'Filtros', syntax: 'FILTER(Tabla, Condición)' },
+  ALL: { group: 'Filtros', syntax: 'ALL(Tabla | Tabla[Columna], ...)' },
+  REMOVEFILTERS: { group: 'Filtros', syntax: 'REMOVEFILTERS(Tabla | Tabla[Columna], ...)' },
+  VALUES: { group: 'Filtros', syntax: 'VALUES(Tabla[Columna])' },
+  RELATED: { group: 'Relaciones', syntax: 'RELATED(Tabla[Columna])' },
+  LOOKUPVALUE: { group: 'Relaciones', syntax: 'LOOKUPVALUE(Tabla[Resultado], Tabla[Búsqueda], Valor, ...)' },
+  PATH: { group: 'Jerarquías', syntax: 'PATH(Tabla[ID], Tabla[IDPadre])' },
+  PATHCONTAINS: { group: 'Jerarquías', syntax: 'PATHCONTAINS(Ruta, Elemento)' },
+  USERPRINCIPALNAME: { group: 'Seguridad', syntax: 'USERPRINCIPALNAME()' },
+  USERNAME: { group: 'Seguridad', syntax: 'USERNAME()' },
+  DIVIDE: { group: 'Lógicas y matemáticas', syntax: 'DIVIDE(Numerador, Denominador [, Alternativo])' },
+  IF: { group: 'Lógicas y matemáticas', syntax: 'IF(Condición, SiVerdadero [, SiFalso])' },
+  NOT: { group: 'Lógicas y matemáticas', syntax: 'NOT(Condición)' },
+  BLANK: { group: 'Lógicas y matemáticas', syntax: 'BLANK()' },
+  TOTALYTD: { group: 'Inteligencia de tiempo', syntax: 'TOTALYTD(Expresión, Calendario[Fecha])' },
+  DATESYTD: { group: 'Inteligencia de tiempo', syntax: 'DATESYTD(Calendario[Fecha])' },
+  SAMEPERIODLASTYEAR: { group: 'Inteligencia de tiempo', syntax: 'SAMEPERIODLASTYEAR(Calendario[Fecha])' },
+  DATEADD: { group: 'Inteligencia de tiempo', syntax: 'DATEADD(Calendario[Fecha], -1, MONTH)' }
+};
+
+const isBlank = (value) => value === null || value === undefined;
+
+const columnKey = (table, column) => `${table}[${column}]`;
+
+/**
+ * "Tabla[Columna]" → { table, column }
+ */
+export const parseColumnKey = (key) => {
+  const match = String(key).match(/^'?([^'[]+)'?\[([^\]]+)\]$/);
+  return match ? { table: match[1].trim(), column: match[2] } : null;
+};
+
+// ============================================================================
+// 1. ANÁLISIS (tokens → árbol)
+// ============================================================================
+
+const OPERATORS = ['<=', '>=', '<>', '&&', '||', '+', '-', '*', '/', '&', '=', '<', '>', '(', ')', ','];
+const IDENTIFIER = /[A-Za-z_À-ɏ][\wÀ-ɏ.]*/y;
+const NUMBER = /\d*\.?\d+(?:[eE][+-]?\d+)?/y;
+
+const matchOperator = (text, index) => OPERATORS.find(operator => text.startsWith(operator, index));
+
+const tokenize = (text) => {
+  const tokens = [];
+  let index = 0;
+
+  const readUntil = (closing, start, kind) => {
+    const end = text.indexOf(closing, start);
+    if (end === -1) throw new Error(`Falta cerrar ${kind} que empieza en la posición ${start}.`);
+    return end;
+  };
+
+  while (index < text.length) {
+    const char = text[index];
+
+    if (/\s/.test(char)) {
+      index++;
+    } else if (text.startsWith('--', index) || text.startsWith('//', index)) {
+      while (index < text.length && text[index] !== '\n') index++;
+    } else if (char === '"') {
+      let value = '';
+      let cursor = index + 1;
+      for (;;) {
+        const end = readUntil('"', cursor, 'un texto');
+        value += text.slice(cursor, end);
+        if (text[end + 1] !== '"') {
+          index = end + 1;
+          break;
+        }
+        value += '"';
+        cursor = end + 2;
+      }
+      tokens.push({ type: 'string', value });
+    } else if (char === "'") {
+      const end = readUntil("'", index + 1, 'un nombre de tabla');
+      tokens.push({ type: 'name', value: text.slice(index + 1, end), quoted: true });
+      index = end + 1;
+    } else if (char === '[') {
+      const end = readUntil(']', index + 1, 'una referencia [ ]');
+      tokens.push({ type: 'bracket', value: text.slice(index + 1, end) });
+      index = end + 1;
+    } else if (/[\d.]/.test(char)) {
+      NUMBER.lastIndex = index;
+      const match = NUMBER.exec(text);
+      if (!match) throw new Error(`Número no válido en la posición ${index + 1}.`);
+      tokens.push({ type: 'number', value: Number(match[0]) });
+      index += match[0].length;
+    } else {
+      const operator = matchOperator(text, index);
+      if (operator) {
+        tokens.push({ type: 'op', value: operator });
+        index += operator.length;
+        continue;
+      }
+      IDENTIFIER.lastIndex = index;
+      const match = IDENTIFIER.exec(text);
+      if (!match) throw new Error(`Carácter inesperado "${char}" en la posición ${index + 1}.`);
+      tokens.push({ type: 'name', value: match[0] });
+      index += match[0].length;
+    }
+  }
+
+  return tokens;
+};
+
+const COMPARISON_OPERATORS = ['=', '<>', '<', '>', '<=', '>='];
+
+const parseTokens = (tokens) => {
+  let position = 0;
+
+  const peek = (offset = 0) => tokens[position + offset];
+  const isOp = (value, token = peek()) => token?.type === 'op' && token.value === value;
+  const isKeyword = (value, token = peek()) => token?.type === 'name' && !token.quoted && token.value.toUpperCase() === value;
+  const expectOp = (value) => {
+    if (!isOp(value)) {
+      const found = peek() ? `"${peek().value}"` : 'el final de la expresión';
+      throw new Error(`Se esperaba "${value}" y se encontró ${found}.`);
+    }
+    position++;
+  };
+
+  const binaryLevel = (operators, next) => () => {
+    let left = next();
+    while (peek()?.type === 'op' && operators.includes(peek().value)) {
+      const operator = tokens[position++].value;
+      left = { type: 'binary', operator, left, right: next() };
+    }
+    return left;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('La expresión está incompleta.');
+    position++;
+
+    if (token.type === 'number' || token.type === 'string') return { type: 'literal', value: token.value };
+    if (token.type === 'bracket') return { type: 'measure', name: token.value };
+    if (isOp('(', token)) {
+      const expression = parseExpression();
+      expectOp(')');
+      return expression;
+    }
+    if (isOp('-', token)) return { type: 'unary', operator: '-', operand: parsePrimary() };
+    if (token.type !== 'name') throw new Error(`No se esperaba "${token.value}".`);
+
+    if (peek()?.type === 'bracket') {
+      return { type: 'column', table: token.value, column: tokens[position++].value };
+    }
+    if (!token.quoted && isOp('(')) {
+      position++;
+      const args = [];
+      if (!isOp(')')) {
+        args.push(parseExpression());
+        while (isOp(',')) {
+          position++;
+          args.push(parseExpression());
+        }
+      }
+      expectOp(')');
+      return { type: 'call', name: token.value.toUpperCase(), args };
+    }
+    if (isKeyword('TRUE', token) || isKeyword('FALSE', token)) {
+      return { type: 'literal', value: token.value.toUpperCase() === 'TRUE' };
+    }
+    return { type: 'name', name: token.value };
+  };
+
+  const parseMultiplicative = binaryLevel(['*', '/'], parsePrimary);
+  const parseAdditive = binaryLevel(['+', '-'], parseMultiplicative);
+  const parseConcat = binaryLevel(['&'], parseAdditive);
+  const parseComparison = binaryLevel(COMPARISON_OPERATORS, parseConcat);
+  const parseAnd = binaryLevel(['&&'], parseComparison);
+  const parseOr = binaryLevel(['||'], parseAnd);
+
+  // VAR nombre = expresión ... RETURN expresión
+  function parseExpression() {
+    if (!isKeyword('VAR')) return parseOr();
+    const bindings = [];
+    while (isKeyword('VAR')) {
+      position++;
+      const name = peek();
+      if (name?.type !== 'name') throw new Error('Después de VAR va el nombre de la variable.');
+      position++;
+      expectOp('=');
+      bindings.push({ name: name.value, expression: parseExpression() });
+    }
+    if (!isKeyword('RETURN')) throw new Error('Falta RETURN después de las variables.');
+    position++;
+    return { type: 'var', bindings, body: parseExpression() };
+  }
+
+  const expression = parseExpression();
+  if (position < tokens.length) throw new Error(`Sobra "${peek().value}" al final de la expresión.`);
+  return expression;
+};
+
+/**
+ * Analiza "Nombre = expresión" (o solo la expresión). Lanza Error con un
+ * mensaje en español si la sintaxis no es válida.
+ */
+export const parseMeasure = (text) => {
+  const source = String(text || '').trim();
+  const header = source.match(/^([^=()[\]"'<>]+?)\s*:?=(?![=<>])/);
+  const name = header && !/^VAR\b/i.test(header[1]) ? header[1].trim() : null;
+  const body = name ? source.slice(header[0].length) : source;
+  if (!body.trim()) throw new Error('Escribe la expresión de la medida.');
+  return { name: name || 'Medida', ast: parseTokens(tokenize(body)) };
+};
+
+/**
+ * Nombres de las funciones usadas en un árbol (para exigir funciones en los retos)
+ */
+export const collectFunctions = (node, found = new Set()) => {
+  if (!node || typeof node !== 'object') return found;
+  if (node.type === 'call') found.add(node.name);
+  Object.values(node).forEach(child => {
+    if (Array.isArray(child)) child.forEach(item => collectFunctions(item, found));
+    else if (child && typeof child === 'object') collectFunctions(child, found);
+  });
+  return found;
+};
+
+// ============================================================================
+// 2. MODELO
+// ============================================================================
+
+/**
+ * Prepara el modelo: filas-objeto, índice fila → posición y medidas analizadas
+ */
+export const createDaxModel = (definition) => {
+  const tables = Object.entries(definition.tables).reduce((acc, [name, { columns, rows }]) => {
+    const objects = rows.map(row => (Array.isArray(row)
+      ? columns.reduce((item, column, index) => ({ ...item, [column]: row[index] ?? null }), {})
+      : row));
+    acc[name] = { name, columns, rows: objects, positions: new Map(objects.map((row, index) => [row, index])) };
+    return acc;
+  }, {});
+
+  const measures = Object.entries(definition.measures || {}).reduce((acc, [name, expression]) => ({
+    ...acc,
+    [name.toLowerCase()]: { name, ast: parseMeasure(expression).ast }
+  }), {});
+
+  return {
+    tables,
+    relationships: definition.relationships || [],
+    dateTable: definition.dateTable || null,
+    measures
+  };
+};
+
+const getTable = (model, name) => {
+  const table = model.tables[name] || Object.values(model.tables).find(item => item.name.toLowerCase() === String(name).toLowerCase());
+  if (!table) throw new Error(`No existe la tabla "${name}" en el modelo.`);
+  return table;
+};
+
+const resolveColumn = (model, node) => {
+  const table = getTable(model, node.table);
+  const column = table.columns.find(item => item.toLowerCase() === node.column.toLowerCase());
+  if (!column) throw new Error(`La columna ${columnKey(table.name, node.column)} no existe.`);
+  return { table: table.name, column };
+};
+
+// Tabla expandida: la tabla más las del lado "uno" alcanzables por relaciones
+const expandedTables = (model, tableName, seen = new Set()) => {
+  if (seen.has(tableName)) return seen;
+  seen.add(tableName);
+  model.relationships
+    .filter(relationship => relationship.from.table === tableName)
+    .forEach(relationship => expandedTables(model, relationship.to.table, seen));
+  return seen;
+};
+
+// Sigue las relaciones varios → uno desde una fila hasta la tabla pedida:
+// undefined si no hay camino, null si no existe la fila relacionada
+const followRelationships = (model, { table, row }, target) => {
+  if (table === target) return row;
+  const relationship = model.relationships.find(item =>
+    item.from.table === table && item.from.column in row && expandedTables(model, item.to.table).has(target));
+  if (!relationship) return undefined;
+  const related = model.tables[relationship.to.table].rows
+    .find(candidate => candidate[relationship.to.column] === row[relationship.from.column]);
+  return related ? followRelationships(model, { table: relationship.to.table, row: related }, target) : null;
+};
+
+// ============================================================================
+// 3. CONTEXTO DE FILTRO
+// ============================================================================
+
+// filters: { Tabla: { Columna: Set(valores) } } · rows: { Tabla: Set(posiciones) }
+const EMPTY_CONTEXT = Object.freeze({ filters: {}, rows: {} });
+
+const withoutTables = (context, tableNames) => ({
+  filters: Object.fromEntries(Object.entries(context.filters).filter(([table]) => !tableNames.has(table))),
+  rows: Object.fromEntries(Object.entries(context.rows).filter(([table]) => !tableNames.has(table)))
+});
+
+const withoutColumn = (context, table, column) => {
+  const { [column]: removed, ...rest } = context.filters[table] || {};
+  return { ...context, filters: { ...context.filters, [table]: rest } };
+};
+
+const withColumnFilter = (context, table, column, values) => ({
+  ...context,
+  filters: { ...context.filters, [table]: { ...(context.filters[table] || {}), [column]: values } }
+});
+
+const visibilityCache = new WeakMap();
+
+const isFiltered = (model, context, tableName) =>
+  Object.keys(context.filters[tableName] || {}).length > 0
+  || Boolean(context.rows[tableName])
+  || model.relationships.some(relationship =>
+    relationship.from.table === tableName && isFiltered(model, context, relationship.to.table));
+
+/**
+ * Filas visibles de una tabla: sus filtros propios más los que llegan desde
+ * las dimensiones relacionadas (filtro en una sola dirección: uno → varios)
+ */
+const visibleRows = (model, context, tableName) => {
+  // Caché por modelo y contexto: el modelo con seguridad aplicada comparte los contextos
+  if (!visibilityCache.has(model)) visibilityCache.set(model, new WeakMap());
+  const modelCache = visibilityCache.get(model);
+  if (!modelCache.has(context)) modelCache.set(context, new Map());
+  const cache = modelCache.get(context);
+  if (cache.has(tableName)) return cache.get(tableName);
+
+  const table = model.tables[tableName];
+  const columnFilters = Object.entries(context.filters[tableName] || {});
+  const rowFilter = context.rows[tableName];
+  const parentFilters = model.relationships
+    .filter(relationship => relationship.from.table === tableName && isFiltered(model, context, relationship.to.table))
+    .map(relationship => ({
+      column: relationship.from.column,
+      keys: new Set(visibleRows(model, context, relationship.to.table).map(row => row[relationship.to.column]))
+    }));
+
+  const rows = table.rows.filter((row, index) =>
+    (!rowFilter || rowFilter.has(index))
+    && columnFilters.every(([column, values]) => values.has(row[column]))
+    && parentFilters.every(({ column, keys }) => keys.has(row[column])));
+
+  cache.set(tableName, rows);
+  return rows;
+};
+
+// Contexto de fila → contexto de filtro (cada columna de la fila pasa a ser un filtro)
+const contextTransition = (model, context, rowContexts) => rowContexts.reduce(
+  (current, { table, row }) => Object.keys(row).reduce(
+    (next, column) => withColumnFilter(next, table, column, new Set([row[column]])),
+    current
+  ),
+  context
+);
+
+// ============================================================================
+// 4. EVALUACIÓN
+// ============================================================================
+
+const tableValue = (table, rows, columns, base = false) => ({ kind: 'table', table, rows, columns, base });
+const isTable = (value) => value?.kind === 'table';
+
+const distinctValues = (rows, column) => [...new Set(rows.map(row => row[column]))];
+
+const typeName = (value) => (typeof value === 'string' ? 'Texto' : typeof value === 'boolean' ? 'Verdadero/Falso' : 'Número');
+
+const compareScalars = (operator, left, right) => {
+  const a = isBlank(left) ? (typeof right === 'string' ? '' : 0) : left;
+  const b = isBlank(right) ? (typeof left === 'string' ? '' : 0) : right;
+  if (typeof a !== typeof b) {
+    throw new Error(`No se puede comparar un valor de tipo ${typeName(a)} con uno de tipo ${typeName(b)}.`);
+  }
+  // DAX compara el texto sin distinguir mayúsculas y minúsculas
+  const equal = typeof a === 'string' ? a.toLowerCase() === b.toLowerCase() : a === b;
+  switch (operator) {
+    case '=': return equal;
+    case '<>': return !equal;
+    case '<': return a < b;
+    case '>': return a > b;
+    case '<=': return a <= b;
+    default: return a >= b;
+  }
+};
+
+const toNumber = (value) => {
+  if (isBlank(value)) return 0;
+  if (typeof value === 'boolean') return value ? 1 : 0;
+  if (typeof value !== 'number') throw new Error(`No se puede convertir el texto "${value}" a número.`);
+  return value;
+};
+
+const aggregateNumbers = (values, reducer) => {
+  const numbers = values.filter(value => !isBlank(value)).map(toNumber);
+  return numbers.length === 0 ? null : reducer(numbers);
+};
+
+const AGGREGATORS = {
+  SUM: numbers => numbers.reduce((sum, value) => sum + value, 0),
+  AVERAGE: numbers => numbers.reduce((sum, value) => sum + value, 0) / numbers.length,
+  MIN: numbers => Math.min(...numbers),
+  MAX: numbers => Math.max(...numbers)
+};
+
+const shiftDate = (isoDate, amount, interval) => {
+  const [year, month, day] = isoDate.split('-').map(Number);
+  if (interval === 'DAY') return new Date(Date.UTC(year, month - 1, day + amount)).toISOString().slice(0, 10);
+  const months = amount * ({ MONTH: 1, QUARTER: 3, YEAR: 12 }[interval] || 0);
+  const target = new Date(Date.UTC(year, month - 1 + months, 1));
+  const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+  target.setUTCDate(Math.min(day, lastDay));
+  return target.toISOString().slice(0, 10);
+};
+
+// options.user: identidad que devuelven USERPRINCIPALNAME/USERNAME (seguridad a nivel de fila)
+const createEvaluator = (model, options = {}) => {
+  const { measures } = model;
+
+  const requireArgs = (name, args, min, max = min) => {
+    if (args.length < min || args.length > max) {
+      const expected = min === max ? min : `entre ${min} y ${max}`;
+      throw new Error(`${name} espera ${expected} argumento(s) y recibió ${args.length}.`);
+    }
+  };
+
+  const requireColumnNode = (name, node) => {
+    if (node?.type !== 'column') throw new Error(`${name} necesita una referencia de columna (Tabla[Columna]).`);
+    return resolveColumn(model, node);
+  };
+
+  const requireDateColumn = (name, node) => {
+    const { table, column } = requireColumnNode(name, node);
+    if (!model.dateTable || model.dateTable.table !== table || model.dateTable.column !== column) {
+      const expected = model.dateTable ? columnKey(model.dateTable.table, model.dateTable.column) : 'una tabla de fechas';
+      throw new Error(`${name} necesita la columna de fecha del calendario: ${expected}.`);
+    }
+    return { table, column };
+  };
+
+  const evaluateTable = (node, env) => {
+    const value = evaluate(node, env);
+    if (!isTable(value)) throw new Error('Se esperaba una tabla (por ejemplo Ventas, FILTER(...) o VALUES(...)).');
+    return value;
+  };
+
+  const iterate = (tableNode, expression, env) => {
+    const table = evaluateTable(tableNode, env);
+    return table.rows.map(row => evaluate(expression, {
+      ...env,
+      rowContexts: [...env.rowContexts, { table: table.table, row }]
+    }));
+  };
+
+  const visibleDates = (node, env) => {
+    const { table, column } = requireDateColumn('La inteligencia de tiempo', node);
+    return { table, column, dates: distinctValues(visibleRows(model, env.ctx, table), column).sort() };
+  };
+
+  const datesTable = (table, column, dates) => {
+    const existing = new Set(model.tables[table].rows.map(row => row[column]));
+    const values = [...new Set(dates)].filter(date => existing.has(date)).sort();
+    return tableValue(table, values.map(value => ({ [column]: value })), [column]);
+  };
+
+  // Convierte un argumento de CALCULATE en un modificador del contexto
+  const evaluateFilterArgument = (node, env) => {
+    if (node.type === 'call' && (node.name === 'ALL' || node.name === 'REMOVEFILTERS')) {
+      if (node.args.length === 0) return { kind: 'remove-all' };
+      return {
+        kind: 'remove',
+        targets: node.args.map(arg => {
+          if (arg.type === 'column') return resolveColumn(model, arg);
+          if (arg.type !== 'name') throw new Error(`${node.name} necesita tablas o columnas como argumentos.`);
+          return { table: getTable(model, arg.name).name };
+        })
+      };
+    }
+
+    const isPredicate = (node.type === 'binary' && (COMPARISON_OPERATORS.includes(node.operator) || ['&&', '||'].includes(node.operator)))
+      || (node.type === 'call' && node.name === 'NOT');
+    if (isPredicate) {
+      const columns = [...new Set(collectColumns(node).map(item => columnKey(item.table, item.column)))];
+      if (columns.length !== 1) {
+        throw new Error('En CALCULATE, una condición booleana debe usar exactamente una columna; usa FILTER para condiciones más complejas.');
+      }
+      const { table, column } = parseColumnKey(columns[0]);
+      const values = distinctValues(model.tables[table].rows, column).filter(value =>
+        evaluate(node, { ...env, rowContexts: [...env.rowContexts, { table, row: { [column]: value } }] }));
+      return { kind: 'set', table, column, values: new Set(values) };
+    }
+
+    const value = evaluateTable(node, env);
+    if (value.base) {
+      const { positions } = model.tables[value.table];
+      return { kind: 'rows', table: value.table, rows: new Set(value.rows.map(row => positions.get(row))) };
+    }
+    if (value.columns.length !== 1) throw new Error('Los filtros de tabla deben tener una sola columna.');
+    return { kind: 'set', table: value.table, column: value.columns[0], values: new Set(value.rows.map(row => row[value.columns[0]])) };
+  };
+
+  const collectColumns = (node, found = []) => {
+    if (!node || typeof node !== 'object') return found;
+    if (node.type === 'column') {
+      found.push(resolveColumn(model, node));
+      return found;
+    }
+    if (node.type === 'measure') return found;
+    Object.values(node).forEach(child => {
+      if (Array.isArray(child)) child.forEach(item => collectColumns(item, found));
+      else if (child && typeof child === 'object') collectColumns(child, found);
+    });
+    return found;
+  };
+
+  const applyFilter = (context, filter) => {
+    switch (filter.kind) {
+      case 'remove-all':
+        return EMPTY_CONTEXT;
+      case 'remove':
+        return filter.targets.reduce((current, target) => (target.column
+          ? withoutColumn(current, target.table, target.column)
+          : withoutTables(current, expandedTables(model, target.table))), context);
+      case 'rows': {
+        const cleared = withoutTables(context, expandedTables(model, filter.table));
+        return { ...cleared, rows: { ...cleared.rows, [filter.table]: filter.rows } };
+      }
+      default: {
+        // Filtrar la columna de fecha de una tabla de fechas quita los demás filtros del calendario
+        const isDateKey = model.dateTable?.table === filter.table && model.dateTable?.column === filter.column;
+        const base = isDateKey ? withoutTables(context, new Set([filter.table])) : withoutColumn(context, filter.table, filter.column);
+        return withColumnFilter(base, filter.table, filter.column, filter.values);
+      }
+    }
+  };
+
+  const calculate = (expression, filterArgs, env) => {
+    // Los filtros se evalúan en el contexto original; después se aplican ALL/REMOVEFILTERS y al final el resto
+    const filters = filterArgs.map(arg => evaluateFilterArgument(arg, env));
+    const ordered = [
+      ...filters.filter(filter => filter.kind === 'remove-all' || filter.kind === 'remove'),
+      ...filters.filter(filter => filter.kind !== 'remove-all' && filter.kind !== 'remove')
+    ];
+    const ctx = ordered.reduce(applyFilter, contextTransition(model, env.ctx, env.rowContexts));
+    return evaluate(expression, { ...env, ctx, rowContexts: [] });
+  };
+
+  const FUNCTIONS = {
+    SUM: (args, env) => {
+      requireArgs('SUM', args, 1);
+      const { table, column } = requireColumnNode('SUM', args[0]);
+      return aggregateNumbers(visibleRows(model, env.ctx, table).map(row => row[column]), AGGREGATORS.SUM);
+    },
+    AVERAGE: (args, env) => {
+      requireArgs('AVERAGE', args, 1);
+      const { table, column } = requireColumnNode('AVERAGE', args[0]);
+      return aggregateNumbers(visibleRows(model, env.ctx, table).map(row => row[column]), AGGREGATORS.AVERAGE);
+    },
+    MIN: (args, env) => {
+      requireArgs('MIN', args, 1);
+      const { table, column } = requireColumnNode('MIN', args[0]);
+      return aggregateNumbers(visibleRows(model, env.ctx, table).map(row => row[column]), AGGREGATORS.MIN);
+    },
+    MAX: (args, env) => {
+      requireArgs('MAX', args, 1);
+      const { table, column } = requireColumnNode('MAX', args[0]);
+      return aggregateNumbers(visibleRows(model, env.ctx, table).map(row => row[column]), AGGREGATORS.MAX);
+    },
+    COUNTROWS: (args, env) => {
+      requireArgs('COUNTROWS', args, 1);
+      const count = evaluateTable(args[0], env).rows.length;
+      return count === 0 ? null : count;
+    },
+    DISTINCTCOUNT: (args, env) => {
+      requireArgs('DISTINCTCOUNT', args, 1);
+      const { table, column } = requireColumnNode('DISTINCTCOUNT', args[0]);
+      const count = distinctValues(visibleRows(model, env.ctx, table), column).length;
+      return count === 0 ? null : count;
+    },
+    SUMX: (args, env) => {
+      requireArgs('SUMX', args, 2);
+      return aggregateNumbers(iterate(args[0], args[1], env), AGGREGATORS.SUM);
+    },
+    AVERAGEX: (args, env) => {
+      requireArgs('AVERAGEX', args, 2);
+      return aggregateNumbers(iterate(args[0], args[1], env), AGGREGATORS.AVERAGE);
+    },
+    MINX: (args, env) => {
+      requireArgs('MINX', args, 2);
+      return aggregateNumbers(iterate(args[0], args[1], env), AGGREGATORS.MIN);
+    },
+    MAXX: (args, env) => {
+      requireArgs('MAXX', args, 2);
+      return aggregateNumbers(iterate(args[0], args[1], env), AGGREGATORS.MAX);
+    },
+    FILTER: (args, env) => {
+      requireArgs('FILTER', args, 2);
+      const table = evaluateTable(args[0], env);
+      const rows = table.rows.filter(row => Boolean(evaluate(args[1], {
+        ...env,
+        rowContexts: [...env.rowContexts, { table: table.table, row }]
+      })));
+      return { ...table, rows };
+    },
+    ALL: (args) => {
+      requireArgs('ALL', args, 1);
+      if (args[0].type === 'column') {
+        const { table, column } = resolveColumn(model, args[0]);
+        return tableValue(table, distinctValues(model.tables[table].rows, column).map(value => ({ [column]: value })), [column]);
+      }
+      if (args[0].type !== 'name') throw new Error('ALL necesita una tabla o una columna.');
+      const table = getTable(model, args[0].name);
+      return tableValue(table.name, table.rows, table.columns, true);
+    },
+    REMOVEFILTERS: () => {
+      throw new Error('REMOVEFILTERS solo se puede usar como filtro de CALCULATE.');
+    },
+    VALUES: (args, env) => {
+      requireArgs('VALUES', args, 1);
+      if (args[0].type === 'column') {
+        const { table, column } = resolveColumn(model, args[0]);
+        return tableValue(table, distinctValues(visibleRows(model, env.ctx, table), column).map(value => ({ [column]: value })), [column]);
+      }
+      return evaluateTable(args[0], env);
+    },
+    RELATED: (args, env) => {
+      requireArgs('RELATED', args, 1);
+      const { table, column } = requireColumnNode('RELATED', args[0]);
+      for (const rowContext of [...env.rowContexts].reverse()) {
+        const related = followRelationships(model, rowContext, table);
+        if (related !== undefined) return related?.[column] ?? null;
+      }
+      throw new Error(`RELATED(${columnKey(table, column)}) necesita un contexto de fila de una tabla relacionada (por ejemplo dentro de SUMX(Ventas, ...)).`);
+    },
+    LOOKUPVALUE: (args, env) => {
+      if (args.length < 3 || args.length % 2 === 0) {
+        throw new Error('LOOKUPVALUE espera la columna de resultado y pares columna de búsqueda, valor.');
+      }
+      const result = requireColumnNode('LOOKUPVALUE', args[0]);
+      const searches = [];
+      for (let index = 1; index < args.length; index += 2) {
+        const search = requireColumnNode('LOOKUPVALUE', args[index]);
+        if (search.table !== result.table) throw new Error('Las columnas de búsqueda de LOOKUPVALUE deben ser de la misma tabla que el resultado.');
+        searches.push({ column: search.column, value: evaluate(args[index + 1], env) });
+      }
+      // Recorre la tabla completa: LOOKUPVALUE no depende de los filtros de la visualización
+      const values = distinctValues(model.tables[result.table].rows.filter(row =>
+        searches.every(({ column, value }) => !isBlank(value) && compareScalars('=', row[column], value))), result.column);
+      if (values.length > 1) throw new Error(`LOOKUPVALUE encontró varios valores distintos para ${columnKey(result.table, result.column)}.`);
+      return values.length === 1 ? values[0] : null;
+    },
+    PATH: (args, env) => {
+      requireArgs('PATH', args, 2);
+      const id = requireColumnNode('PATH', args[0]);
+      const parent = requireColumnNode('PATH', args[1]);
+      const rowContext = [...env.rowContexts].reverse().find(item => item.table === id.table && id.column in item.row);
+      if (!rowContext || parent.table !== id.table) {
+        throw new Error('PATH necesita un contexto de fila de la tabla que tiene el ID y el ID del padre.');
+      }
+      const byId = new Map(model.tables[id.table].rows.map(row => [row[id.column], row]));
+      const path = [];
+      let current = rowContext.row;
+      while (current) {
+        if (path.includes(current[id.column])) throw new Error(`PATH encontró un ciclo en ${columnKey(id.table, parent.column)}.`);
+        path.unshift(current[id.column]);
+        current = isBlank(current[parent.column]) ? null : byId.get(current[parent.column]);
+      }
+      return path.join('|');
+    },
+    PATHCONTAINS: (args, env) => {
+      requireArgs('PATHCONTAINS', args, 2);
+      const path = evaluate(args[0], env);
+      const item = evaluate(args[1], env);
+      return !isBlank(path) && !isBlank(item) && String(path).split('|').includes(String(item));
+    },
+    USERPRINCIPALNAME: (args) => {
+      requireArgs('USERPRINCIPALNAME', args, 0);
+      return options.user ?? null;
+    },
+    USERNAME: (args) => {
+      requireArgs('USERNAME', args, 0);
+      return options.user ?? null;
+    },
+    DIVIDE: (args, env) => {
+      requireArgs('DIVIDE', args, 2, 3);
+      const numerator = evaluate(args[0], env);
+      const denominator = evaluate(args[1], env);
+      if (isBlank(denominator) || toNumber(denominator) === 0) return args[2] ? evaluate(args[2], env) : null;
+      return isBlank(numerator) ? null : toNumber(numerator) / toNumber(denominator);
+    },
+    IF: (args, env) => {
+      requireArgs('IF', args, 2, 3);
+      if (evaluate(args[0], env)) return evaluate(args[1], env);
+      return args[2] ? evaluate(args[2], env) : null;
+    },
+    NOT: (args, env) => {
+      requireArgs('NOT', args, 1);
+      return !evaluate(args[0], env);
+    },
+    BLANK: (args) => {
+      requireArgs('BLANK', args, 0);
+      return null;
+    },
+    TRUE: () => true,
+    FALSE: () => false,
+    CALCULATE: (args, env) => {
+      if (args.length === 0) throw new Error('CALCULATE necesita al menos la expresión a evaluar.');
+      return calculate(args[0], args.slice(1), env);
+    },
+    TOTALYTD: (args, env) => {
+      requireArgs('TOTALYTD', args, 2);
+      return calculate(args[0], [{ type: 'call', name: 'DATESYTD', args: [args[1]] }], env);
+    },
+    DATESYTD: (args, env) => {
+      requireArgs('DATESYTD', args, 1);
+      const { table, column, dates } = visibleDates(args[0], env);
+      if (dates.length === 0) return datesTable(table, column, []);
+      const last = dates[dates.length - 1];
+      const yearStart = `${last.slice(0, 4)}-01-01`;
+      return datesTable(table, column, model.tables[table].rows
+        .map(row => row[column])
+        .filter(date => date >= yearStart && date <= last));
+    },
+    SAMEPERIODLASTYEAR: (args, env) => {
+      requireArgs('SAMEPERIODLASTYEAR', args, 1);
+      const { table, column, dates } = visibleDates(args[0], env);
+      return datesTable(table, column, dates.map(date => shiftDate(date, -1, 'YEAR')));
+    },
+    DATEADD: (args, env) => {
+      requireArgs('DATEADD', args, 3);
+      const { table, column, dates } = visibleDates(args[0], env);
+      const amount = toNumber(evaluate(args[1], env));
+      const interval = args[2].type === 'name' ? args[2].name.toUpperCase() : '';
+      if (!['DAY', 'MONTH', 'QUARTER', 'YEAR'].includes(interval)) {
+        throw new Error('El intervalo de DATEADD debe ser DAY, MONTH, QUARTER o YEAR.');
+      }
+      return datesTable(table, column, dates.map(date => shiftDate(date, amount, interval)));
+    }
+  };
+
+  function evaluate(node, env) {
+    switch (node.type) {
+      case 'literal':
+        return node.value;
+
+      case 'var': {
+        const vars = node.bindings.reduce(
+          (acc, binding) => ({ ...acc, [binding.name.toLowerCase()]: evaluate(binding.expression, { ...env, vars: acc }) }),
+          env.vars
+        );
+        return evaluate(node.body, { ...env, vars });
+      }
+
+      case 'name': {
+        const key = node.name.toLowerCase();
+        if (key in env.vars) return env.vars[key];
+        const table = getTable(model, node.name);
+        return tableValue(table.name, visibleRows(model, env.ctx, table.name), table.columns, true);
+      }
+
+      case 'column': {
+        const { table, column } = resolveColumn(model, node);
+        const rowContext = [...env.rowContexts].reverse().find(item => item.table === table && column in item.row);
+        if (!rowContext) {
+          throw new Error(`No se puede determinar un único valor para ${columnKey(table, column)}: usa una agregación (SUM, MAX...) o un iterador como SUMX.`);
+        }
+        return rowContext.row[column];
+      }
+
+      case 'measure': {
+        const measure = measures[node.name.toLowerCase()];
+        if (!measure) throw new Error(`No existe la medida [${node.name}].`);
+        if (env.measureStack.includes(measure.name)) throw new Error(`Referencia circular en la medida [${measure.name}].`);
+        // Una referencia a medida lleva un CALCULATE implícito: transición de contexto
+        return evaluate(measure.ast, {
+          ctx: contextTransition(model, env.ctx, env.rowContexts),
+          rowContexts: [],
+          vars: {},
+          measureStack: [...env.measureStack, measure.name]
+        });
+      }
+
+      case 'unary': {
+        const operand = evaluate(node.operand, env);
+        return isBlank(operand) ? null : -toNumber(operand);
+      }
+
+      case 'call': {
+        const fn = FUNCTIONS[node.name];
+        if (!fn) throw new Error(`La función ${node.name} no está disponible en este sandbox.`);
+        return fn(node.args, env);
+      }
+
+      case 'binary': {
+        const { operator } = node;
+        if (operator === '&&') return Boolean(evaluate(node.left, env)) && Boolean(evaluate(node.right, env));
+        if (operator === '||') return Boolean(evaluate(node.left, env)) || Boolean(evaluate(node.right, env));
+
+        const left = evaluate(node.left, env);
+        const right = evaluate(node.right, env);
+        if (isTable(left) || isTable(right)) throw new Error(`El operador ${operator} necesita valores, no tablas.`);
+        if (COMPARISON_OPERATORS.includes(operator)) return compareScalars(operator, left, right);
+        if (operator === '&') return `${left ?? ''}${right ?? ''}`;
+        if (operator === '+' || operator === '-') {
+          if (isBlank(left) && isBlank(right)) return null;
+          return operator === '+' ? toNumber(left) + toNumber(right) : toNumber(left) - toNumber(right);
+        }
+        if (isBlank(left) || isBlank(right)) return operator === '/' && !isBlank(left) ? Infinity : null;
+        return operator === '*' ? toNumber(left) * toNumber(right) : toNumber(left) / toNumber(right);
+      }
+
+      default:
+        throw new Error('Expresión no reconocida.');
+    }
+  }
+
+  return (ast, ctx = EMPTY_CONTEXT, rowContexts = []) => {
+    const value = evaluate(ast, { ctx, rowContexts, vars: {}, measureStack: [] });
+    if (isTable(value)) throw new Error('Una medida debe devolver un valor escalar, no una tabla.');
+    return value;
+  };
+};
+
+// ============================================================================
+// 5. MATRIZ Y CALIFICACIÓN
+// ============================================================================
+
+const sortValues = (values) => [...values].sort((a, b) =>
+  (typeof a === 'number' && typeof b === 'number' ? a - b : String(a).localeCompare(String(b), 'es')));
+
+/**
+ * Evalúa una medida en una matriz: filas (y opcionalmente columnas) por una
+ * dimensión, con totales. Las filas en blanco se ocultan como en Power BI.
+ */
+export const evaluateMatrix = (model, ast, rowDimension, columnDimension = null) => {
+  const evaluateMeasure = createEvaluator(model);
+  const rowKey = parseColumnKey(rowDimension);
+  const columnKeyRef = columnDimension ? parseColumnKey(columnDimension) : null;
+
+  const filterFor = (rowValue, columnValue) => {
+    let ctx = EMPTY_CONTEXT;
+    if (rowValue !== undefined) ctx = withColumnFilter(ctx, rowKey.table, rowKey.column, new Set([rowValue]));
+    if (columnValue !== undefined) ctx = withColumnFilter(ctx, columnKeyRef.table, columnKeyRef.column, new Set([columnValue]));
+    return ctx;
+  };
+
+  const rowValues = sortValues(distinctValues(getTable(model, rowKey.table).rows, rowKey.column));
+  const columnValues = columnKeyRef ? sortValues(distinctValues(getTable(model, columnKeyRef.table).rows, columnKeyRef.column)) : [];
+
+  const rows = rowValues
+    .map(value => ({
+      label: value,
+      cells: columnValues.map(columnValue => evaluateMeasure(ast, filterFor(value, columnValue))),
+      total: evaluateMeasure(ast, filterFor(value))
+    }))
+    .filter(row => !isBlank(row.total) || row.cells.some(cell => !isBlank(cell)));
+
+  const columnTotals = columnValues.map(columnValue => evaluateMeasure(ast, filterFor(undefined, columnValue)));
+  const visibleColumns = columnValues
+    .map((label, index) => ({ label, index }))
+    .filter(({ index }) => !isBlank(columnTotals[index]) || rows.some(row => !isBlank(row.cells[index])));
+
+  return {
+    columns: visibleColumns.map(({ label }) => label),
+    rows: rows.map(row => ({ ...row, cells: visibleColumns.map(({ index }) => row.cells[index]) })),
+    columnTotals: visibleColumns.map(({ index }) => columnTotals[index]),
+    total: evaluateMeasure(ast, EMPTY_CONTEXT)
+  };
+};
+
+const sameValue = (actual, expected) => {
+  if (isBlank(actual) || isBlank(expected)) return isBlank(actual) && isBlank(expected);
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return Math.abs(actual - expected) <= 1e-6 * Math.max(1, Math.abs(expected));
+  }
+  return actual === expected;
+};
+
+/**
+ * Califica la medida del alumno contra la solución por la dimensión del reto
+ * (cada fila visible más el total). score 0-100; correct solo si todo coincide.
+ */
+export const gradeDaxChallenge = (model, learnerAst, solutionAst, dimension, { requiredFunctions = [] } = {}) => {
+  const expected = evaluateMatrix(model, solutionAst, dimension);
+  const actual = evaluateMatrix(model, learnerAst, dimension);
+  const actualByLabel = new Map(actual.rows.map(row => [row.label, row.total]));
+
+  const checks = [
+    ...expected.rows.map(row => ({ label: row.label, expected: row.total, actual: actualByLabel.get(row.label) ?? null })),
+    ...actual.rows
+      .filter(row => !expected.rows.some(item => item.label === row.label))
+      .map(row => ({ label: row.label, expected: null, actual: row.total })),
+    { label: 'Total', expected: expected.total, actual: actual.total }
+  ].map(check => ({ ...check, correct: sameValue(check.actual, check.expected) }));
+
+  const used = collectFunctions(learnerAst);
+  const missingFunctions = requiredFunctions.filter(name => !used.has(name));
+  const matched = checks.filter(check => check.correct).length;
+  const correct = matched === checks.length && missingFunctions.length === 0;
+
+  return {
+    correct,
+    score: Math.round((matched / checks.length) * (missingFunctions.length > 0 ? 80 : 100)),
+    checks,
+    mismatches: checks.filter(check => !check.correct),
+    missingFunctions
+  };
+};
+
+// ============================================================================
+// 6. SEGURIDAD A NIVEL DE FILA (RLS)
+// ============================================================================
+
+/**
+ * Evalúa el filtro DAX de un rol sobre cada fila de una tabla (contexto de fila,
+ * sin filtros) y devuelve las posiciones de las filas que quedan visibles
+ */
+export const evaluateRowFilter = (model, ast, tableName, user) => {
+  const evaluateFilter = createEvaluator(model, { user });
+  const table = getTable(model, tableName);
+  return new Set(table.rows
+    .map((row, index) => {
+      const value = evaluateFilter(ast, EMPTY_CONTEXT, [{ table: table.name, row }]);
+      if (typeof value !== 'boolean') {
+        throw new Error(`El filtro de ${table.name} debe devolver VERDADERO o FALSO.`);
+      }
+      return value ? index : -1;
+    })
+    .filter(index => index !== -1));
+};
+
+/**
+ * Modelo tal como lo ve un usuario: cada rol filtra sus tablas y el filtro se
+ * propaga por las relaciones (uno → varios); con varios roles se une lo que
+ * ve cada uno. roleFilters: [{ Tabla: ast }] de los roles del usuario.
+ */
+export const secureModel = (model, roleFilters, user) => {
+  const visibleByTable = Object.keys(model.tables).reduce((acc, name) => ({ ...acc, [name]: new Set() }), {});
+
+  roleFilters.forEach(filters => {
+    const context = {
+      filters: {},
+      rows: Object.entries(filters).reduce((acc, [tableName, ast]) => ({
+        ...acc,
+        [getTable(model, tableName).name]: evaluateRowFilter(model, ast, tableName, user)
+      }), {})
+    };
+    Object.keys(model.tables).forEach(name => {
+      visibleRows(model, context, name).forEach(row => visibleByTable[name].add(row));
+    });
+  });
+
+  const tables = Object.entries(model.tables).reduce((acc, [name, table]) => {
+    const rows = table.rows.filter(row => visibleByTable[name].has(row));
+    acc[name] = { ...table, rows, positions: new Map(rows.map((row, index) => [row, index])) };
+    return acc;
+  }, {});
+  return { ...model, tables };
+};
+
+const DaxEngine = {
+  DAX_FUNCTIONS,
+  parseColumnKey,
+  parseMeasure,
+  collectFunctions,
+  createDaxModel,
+  evaluateMatrix,
+  gradeDaxChallenge,
+  evaluateRowFilter,
+  secureModel
+};
+
+export default DaxEngine;
@@ -0,0 +1,92 @@
+import { DAX_SANDBOX_MODEL, DAX_CHALLENGES } from '../data/daxSandboxModel';
+import { RLS_SAMPLE_MODEL } from '../data/rlsScenarios';
+import { createDaxModel, parseMeasure, gradeDaxChallenge, evaluateMatrix, evaluateRowFilter, secureModel } from './daxEngine';
+
+const model = createDaxModel(DAX_SANDBOX_MODEL);
+const challenge = (id) => DAX_CHALLENGES.find(item => item.id === id);
+
+const grade = (item, expression) => gradeDaxChallenge(
+  model,
+  parseMeasure(expression).ast,
+  parseMeasure(item.solucion).ast,
+  item.dimension,
+  { requiredFunctions: item.funcionesRequeridas }
+);
+
+describe('retos del sandbox DAX', () => {
+  test.each(DAX_CHALLENGES.map(item => [item.id, item]))('la solución de %s se califica como correcta', (_, item) => {
+    const result = grade(item, item.solucion);
+    expect(result).toMatchObject({ correct: true, score: 100, mismatches: [], missingFunctions: [] });
+  });
+
+  test.each([
+    ['model_dax_001', 'COUNTROWS(Ventas)', 'cuenta filas en vez de sumar unidades'],
+    ['model_dax_003', '[Ventas Totales]', 'falta CALCULATE'],
+    ['model_dax_003', 'CALCULATE([Ventas Totales], Producto[Categoría] = "Pantallas")', 'filtra otra categoría'],
+    ['model_dax_004', 'DIVIDE([Ventas Totales], [Ventas Totales])', 'el denominador no quita el filtro'],
+    ['model_dax_004', 'DIVIDE([Ventas Totales], CALCULATE([Ventas Totales], ALL(Tienda)))', 'ALL sobre la tabla equivocada'],
+    ['model_dax_005', 'CALCULATE([Ventas Totales], FILTER(Ventas, Ventas[Cantidad] > 5))', 'umbral del filtro equivocado'],
+    ['model_dax_005', 'SUMX(FILTER(Ventas, Ventas[Cantidad] >= 5), Ventas[Cantidad] * Ventas[PrecioUnitario])', 'mismo resultado sin CALCULATE'],
+    ['model_dax_006', 'SUMX(VALUES(Tienda[Tienda]), [Ventas Totales])', 'suma en vez de máximo'],
+    ['model_dax_007', '[Ventas Totales]', 'no acumula el año'],
+    ['model_dax_008', 'CALCULATE([Ventas Totales], DATEADD(Calendario[Fecha], -1, MONTH))', 'desplaza un mes en vez de un año']
+  ])('%s: "%s" no es correcta (%s)', (id, expression) => {
+    const result = grade(challenge(id), expression);
+    expect(result.correct).toBe(false);
+    expect(result.score).toBeLessThan(100);
+  });
+
+  test('sin RELATED no se puede leer el costo desde Ventas', () => {
+    expect(() => grade(challenge('model_dax_002'), 'SUMX(Ventas, Ventas[Cantidad] * Producto[Costo])'))
+      .toThrow('No se puede determinar un único valor para Producto[Costo]');
+  });
+
+  test('el total de la matriz coincide con la suma de las filas en una medida aditiva', () => {
+    const matrix = evaluateMatrix(model, parseMeasure('[Ventas Totales]').ast, 'Producto[Categoría]');
+    const sum = matrix.rows.reduce((acc, row) => acc + row.total, 0);
+    expect(matrix.total).toBeCloseTo(sum, 6);
+  });
+});
+
+describe('seguridad a nivel de fila', () => {
+  const rlsModel = createDaxModel(RLS_SAMPLE_MODEL);
+  const visibleIds = (secured, table, column) => secured.tables[table].rows.map(row => row[column]);
+
+  test('PATH recorre la cadena de jefes de cada empleado', () => {
+    const filter = parseMeasure('PATH(Empleado[EmpleadoID], Empleado[JefeID]) = "E1|E2|E4"').ast;
+    const rows = evaluateRowFilter(rlsModel, filter, 'Empleado', null);
+    expect([...rows]).toEqual([3]);
+  });
+
+  test('evaluateRowFilter usa el usuario de USERPRINCIPALNAME', () => {
+    const filter = parseMeasure('Empleado[Email] = USERPRINCIPALNAME()').ast;
+    expect([...evaluateRowFilter(rlsModel, filter, 'Empleado', 'elena.vega@contoso.com')]).toEqual([4]);
+    expect([...evaluateRowFilter(rlsModel, filter, 'Empleado', 'nadie@contoso.com')]).toEqual([]);
+  });
+
+  test('evaluateRowFilter exige un resultado VERDADERO o FALSO', () => {
+    expect(() => evaluateRowFilter(rlsModel, parseMeasure('Tienda[Región]').ast, 'Tienda', null))
+      .toThrow('debe devolver VERDADERO o FALSO');
+  });
+
+  test('secureModel propaga el filtro del rol por las relaciones', () => {
+    const secured = secureModel(rlsModel, [{ Tienda: parseMeasure('Tienda[Región] = "Sur"').ast }], null);
+    expect(visibleIds(secured, 'Tienda', 'TiendaID')).toEqual(['T3', 'T4']);
+    expect(visibleIds(secured, 'Ventas', 'VentaID')).toEqual([5, 6, 7, 11]);
+  });
+
+  test('secureModel une lo que ve cada rol del usuario', () => {
+    const secured = secureModel(rlsModel, [
+      { Tienda: parseMeasure('Tienda[Región] = "Norte"').ast },
+      { Tienda: parseMeasure('Tienda[Región] = "Centro"').ast }
+    ], null);
+    expect(visibleIds(secured, 'Tienda', 'TiendaID')).toEqual(['T1', 'T2', 'T5']);
+  });
+
+  test('la jerarquía con PATHCONTAINS deja ver el equipo completo', () => {
+    const filter = parseMeasure('PATHCONTAINS(PATH(Empleado[EmpleadoID], Empleado[JefeID]), LOOKUPVALUE(Empleado[EmpleadoID], Empleado[Email], USERPRINCIPALNAME()))').ast;
+    const secured = secureModel(rlsModel, [{ Empleado: filter }], 'bruno.diaz@contoso.com');
+    expect(visibleIds(secured, 'Empleado', 'EmpleadoID')).toEqual(['E2', 'E4', 'E5']);
+    expect(visibleIds(secured, 'Ventas', 'VentaID')).toEqual([1, 2, 3, 4, 10, 12]);
+  });
+});
@@ -0,0 +1,272 @@
+/**
+ * dialogueGraph.js - Diálogos ramificados para escenas de misión CxC
+ *
+ * Formato del grafo:
+ * {
+ *   id: 'acto1_collection_dilemma',
+ *   act: 1, // acto al que pertenece (rejugar un acto borra sus decisiones)
+ *   start: 'nodo_inicial',
+ *   nodes: {
+ *     nodo: { speaker: 'tess', text: '...', next: 'otro_nodo', effects },
+ *     decision: { speaker, text, choices: [{ id, text, next, condition, effects }] },
+ *     bifurcacion: { branches: [{ condition, next }], next: 'por_defecto' },
+ *     final: { speaker, text, end: true, score: 100, effects }
+ *   }
+ * }
+ *
+ * Condiciones (todas las claves deben cumplirse):
+ *   minScore / maxScore, minHelps / maxHelps, choice / notChoice,
+ *   relationship: { gustavo: { min, max } }, all: [...], any: [...], not: {...}
+ *
+ * Efectos: { points, relationships: { tess: +1 }, unlockActivities: ['id'] }
+ */
+
+export const RELATIONSHIP_RANGE = { min: -5, max: 5 };
+
+const MAX_BRANCH_HOPS = 50;
+
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Estado que las condiciones pueden consultar
+ * @param {Object} params
+ * @param {number} [params.score] - Puntuación promedio de la misión hasta ahora
+ * @param {number} [params.helpsUsed] - Ayudas usadas en la misión
+ * @param {Object} [params.choices] - Decisiones previas { nodeId: choiceId }
+ * @param {Object} [params.relationships] - Medidores { characterId: valor }
+ */
+export const createDialogueState = ({ score = 0, helpsUsed = 0, choices = {}, relationships = {} } = {}) => ({
+  score: Number(score) || 0,
+  helpsUsed: Number(helpsUsed) || 0,
+  choices: { ...choices },
+  relationships: { ...relationships }
+});
+
+/**
+ * Decisiones y relaciones guardadas en progress.story, listas para createDialogueState
+ * Las decisiones se indexan como 'grafo.nodo' para no mezclar escenas
+ */
+export const getStoryDialogueState = (story = {}) => ({
+  choices: Object.entries(story.choices || {}).reduce((acc, [graphId, graphChoices]) => {
+    Object.entries(graphChoices).forEach(([nodeId, choiceId]) => {
+      acc[`${graphId}.${nodeId}`] = choiceId;
+    });
+    return acc;
+  }, {}),
+  relationships: { ...(story.relationships || {}) }
+});
+
+/**
+ * Suma los efectos de relación de cada escena (acotados a RELATIONSHIP_RANGE)
+ */
+const sumRelationships = (deltasByGraph = {}) => {
+  const totals = {};
+  Object.values(deltasByGraph).forEach(deltas => {
+    Object.entries(deltas || {}).forEach(([characterId, delta]) => {
+      totals[characterId] = (totals[characterId] || 0) + delta;
+    });
+  });
+
+  return Object.entries(totals).reduce((acc, [characterId, value]) => {
+    acc[characterId] = clamp(value, RELATIONSHIP_RANGE.min, RELATIONSHIP_RANGE.max);
+    return acc;
+  }, {});
+};
+
+/**
+ * Fusiona el resultado de una escena en progress.story.
+ * Repetir una escena reemplaza sus efectos en lugar de acumularlos.
+ */
+export const mergeDialogueOutcome = (story = {}, graphId, outcome) => {
+  const relationshipDeltas = {
+    ...(story.relationshipDeltas || {}),
+    [graphId]: { ...(outcome.relationships || {}) }
+  };
+
+  return {
+    ...story,
+    choices: { ...(story.choices || {}), [graphId]: { ...(outcome.choices || {}) } },
+    endings: { ...(story.endings || {}), [graphId]: outcome.endNodeId },
+    relationshipDeltas,
+    relationships: sumRelationships(relationshipDeltas)
+  };
+};
+
+/**
+ * Quita de progress.story las escenas indicadas (p. ej. al rejugar un acto)
+ */
+export const removeStoryGraphs = (story = {}, graphIds = []) => {
+  const omit = (record = {}) => Object.fromEntries(
+    Object.entries(record).filter(([graphId]) => !graphIds.includes(graphId))
+  );
+  const relationshipDeltas = omit(story.relationshipDeltas);
+
+  return {
+    ...story,
+    choices: omit(story.choices),
+    endings: omit(story.endings),
+    relationshipDeltas,
+    relationships: sumRelationships(relationshipDeltas)
+  };
+};
+
+/**
+ * Resultado acumulado de una escena
+ */
+export const createDialogueOutcome = () => ({
+  points: 0,
+  relationships: {},
+  unlockedActivities: [],
+  choices: {},
+  endNodeId: null,
+  score: null
+});
+
+const hasChoice = (state, choiceId) => Object.values(state.choices || {}).includes(choiceId);
+
+const inRange = (value, { min, max } = {}) =>
+  (min === undefined || value >= min) && (max === undefined || value <= max);
+
+/**
+ * Evalúa una condición sobre el estado de la misión
+ */
+export const evaluateCondition = (condition, state) => {
+  if (!condition) return true;
+
+  const checks = {
+    minScore: (min) => state.score >= min,
+    maxScore: (max) => state.score <= max,
+    minHelps: (min) => state.helpsUsed >= min,
+    maxHelps: (max) => state.helpsUsed <= max,
+    choice: (choiceId) => hasChoice(state, choiceId),
+    notChoice: (choiceId) => !hasChoice(state, choiceId),
+    relationship: (meters) => Object.entries(meters).every(([characterId, range]) =>
+      inRange(state.relationships?.[characterId] || 0, range)
+    ),
+    all: (conditions) => conditions.every(item => evaluateCondition(item, state)),
+    any: (conditions) => conditions.some(item => evaluateCondition(item, state)),
+    not: (inner) => !evaluateCondition(inner, state)
+  };
+
+  return Object.entries(condition).every(([key, value]) => {
+    const check = checks[key];
+    if (!check) {
+      console.warn(`Condición de diálogo desconocida: ${key}`);
+      return false;
+    }
+    return check(value);
+  });
+};
+
+/**
+ * Aplica los efectos de un nodo o decisión al resultado y al estado
+ * @returns {{outcome: Object, state: Object}}
+ */
+export const applyDialogueEffects = (outcome, state, effects) => {
+  if (!effects) return { outcome, state };
+
+  const nextOutcome = {
+    ...outcome,
+    points: outcome.points + (Number(effects.points) || 0),
+    relationships: { ...outcome.relationships },
+    unlockedActivities: [...outcome.unlockedActivities]
+  };
+  const nextState = { ...state, relationships: { ...state.relationships } };
+
+  Object.entries(effects.relationships || {}).forEach(([characterId, delta]) => {
+    nextOutcome.relationships[characterId] = (nextOutcome.relationships[characterId] || 0) + delta;
+    nextState.relationships[characterId] = clamp(
+      (nextState.relationships[characterId] || 0) + delta,
+      RELATIONSHIP_RANGE.min,
+      RELATIONSHIP_RANGE.max
+    );
+  });
+
+  (effects.unlockActivities || []).forEach(activityId => {
+    if (!nextOutcome.unlockedActivities.includes(activityId)) {
+      nextOutcome.unlockedActivities.push(activityId);
+    }
+  });
+
+  return { outcome: nextOutcome, state: nextState };
+};
+
+/**
+ * Resuelve nodos de bifurcación hasta llegar a uno con texto
+ * @returns {{nodeId: string, node: Object}|null}
+ */
+export const resolveDialogueNode = (graph, nodeId, state) => {
+  let currentId = nodeId;
+
+  for (let hops = 0; hops < MAX_BRANCH_HOPS; hops++) {
+    const node = graph?.nodes?.[currentId];
+    if (!node) return null;
+    if (!Array.isArray(node.branches)) return { nodeId: currentId, node };
+
+    const branch = node.branches.find(item => evaluateCondition(item.condition, state));
+    currentId = branch ? branch.next : node.next;
+  }
+
+  console.warn(`Bifurcaciones en ciclo en el diálogo ${graph?.id}`);
+  return null;
+};
+
+/**
+ * Decisiones visibles en un nodo según el estado
+ */
+export const getAvailableChoices = (node, state) =>
+  (node?.choices || []).filter(choice => evaluateCondition(choice.condition, state));
+
+/**
+ * Revisa que el grafo no tenga nodos colgantes ni escenas sin final
+ * @returns {string[]} Errores encontrados
+ */
+export const validateDialogueGraph = (graph) => {
+  const errors = [];
+  const nodes = graph?.nodes || {};
+
+  if (!nodes[graph?.start]) {
+    errors.push(`Nodo inicial inexistente: ${graph?.start}`);
+  }
+
+  Object.entries(nodes).forEach(([nodeId, node]) => {
+    const targets = [
+      node.next,
+      ...(node.choices || []).map(choice => choice.next),
+      ...(node.branches || []).map(branch => branch.next)
+    ].filter(Boolean);
+
+    targets.forEach(target => {
+      if (!nodes[target]) errors.push(`${nodeId} apunta a un nodo inexistente: ${target}`);
+    });
+
+    if (!node.end && targets.length === 0) {
+      errors.push(`${nodeId} no tiene salida ni está marcado como final`);
+    }
+    if (node.choices && node.choices.some(choice => !choice.id)) {
+      errors.push(`${nodeId} tiene decisiones sin id`);
+    }
+  });
+
+  if (!Object.values(nodes).some(node => node.end)) {
+    errors.push('El diálogo no tiene ningún nodo final');
+  }
+
+  return errors;
+};
+
+const DialogueGraph = {
+  RELATIONSHIP_RANGE,
+  createDialogueState,
+  getStoryDialogueState,
+  mergeDialogueOutcome,
+  removeStoryGraphs,
+  createDialogueOutcome,
+  evaluateCondition,
+  applyDialogueEffects,
+  resolveDialogueNode,
+  getAvailableChoices,
+  validateDialogueGraph
+};
+
+export default DialogueGraph;
@@ -13,7 +13,17 @@
  * - Retrievability: probabilidad de recordar
  */
 
-import { fsrs, createEmptyCard, Rating, generatorParameters, State } from 'ts-fsrs';
+import {
+  fsrs,
+  createEmptyCard,
+  Rating,
+  generatorParameters,
+  State,
+  FSRSAlgorithm,
+  clipParameters,
+  default_w,
+  default_relearning_steps
+} from 'ts-fsrs';
 
 /**
  * Inicializa el scheduler FSRS con parámetros optimizados
@@ -39,13 +49,32 @@ export function createFSRSScheduler(userParams = {}) {
   return fsrs(params);
 }
 
+/**
+ * Scheduler para los parámetros guardados en el progreso
+ * (personales solo si el usuario los activó)
+ * @param {Object} fsrsParameters - progress.fsrsParameters
+ */
+let profileSchedulerCache = { key: null, scheduler: null };
+
+export function createSchedulerFromProfile(fsrsParameters) {
+  if (!fsrsParameters?.enabled || !Array.isArray(fsrsParameters.weights)) {
+    return defaultScheduler;
+  }
+  const key = fsrsParameters.weights.join(',');
+  if (profileSchedulerCache.key !== key) {
+    profileSchedulerCache = { key, scheduler: createFSRSScheduler({ weights: fsrsParameters.weights }) };
+  }
+  return profileSchedulerCache.scheduler;
+}
+
 /**
  * Convierte tracking de pregunta al formato FSRS Card
  * @param {Object} questionTracking - Datos de tracking existentes
  * @returns {Object} FSRS Card
  */
-export function convertToFSRSCard(questionTracking) {
-  if (!questionTracking || questionTracking.attempts === 0) {
+export function convertToFSRSCard(rawTracking) {
+  const questionTracking = normalizeTrackingShape(rawTracking);
+  if (!questionTracking || !questionTracking.attempts) {
     return createEmptyCard();
   }
 
@@ -67,6 +96,7 @@ export function convertToFSRSCard(questionTracking) {
     
     // Intervalo actual
     scheduled_days: questionTracking.reviewInterval || 0,
+    learning_steps: 0,
     
     // Contadores
     reps: questionTracking.attempts,
@@ -75,6 +105,21 @@ export function convertToFSRSCard(questionTracking) {
   };
 }
 
+/**
+ * Acepta tanto el tracking del perfil (attempts/correct) como el de
+ * CxCProgressContext (totalAttempts/correctAttempts/lastAttemptDate)
+ */
+function normalizeTrackingShape(tracking) {
+  if (!tracking) return null;
+  return {
+    ...tracking,
+    attempts: tracking.attempts ?? tracking.totalAttempts ?? 0,
+    correct: tracking.correct ?? tracking.correctAttempts ?? 0,
+    lastAttempt: tracking.lastAttempt ?? tracking.lastAttemptDate ?? null,
+    averageTime: tracking.averageTime ?? tracking.averageTimeSpent
+  };
+}
+
 /**
  * Determina el estado de la tarjeta FSRS
  */
@@ -209,25 +254,124 @@ export function calculateRetrievability(card) {
   return Math.max(0, Math.min(1, retrievability));
 }
 
+// Mínimo de repasos registrados para que la optimización sea confiable
+export const MIN_REVIEWS_FOR_OPTIMIZATION = 100;
+
+// Solo se ajustan los pesos de memoria a largo plazo (w0-w16); el resto queda por defecto
+const OPTIMIZABLE_WEIGHTS = 17;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
 /**
- * Optimiza parámetros FSRS con datos del usuario
- * Requiere al menos 100 reviews para ser efectivo
- * @param {Array} reviewHistory - Historial de reviews [{card, rating, timestamp}]
- * @returns {Array} Pesos optimizados (19 parámetros)
+ * Aplana el historial FSRS guardado en questionTracking. Usa el historial
+ * compacto (completo desde el primer repaso) y, en progresos anteriores a él,
+ * el log detallado.
+ * @returns {Array} [{ cardId, rating, review }]
  */
-export function optimizeFSRSParameters(reviewHistory) {
-  // TODO: Implementar optimización con gradient descent
-  // Por ahora retorna parámetros por defecto
-  // Requiere mínimo 100 reviews para ser efectivo
-  
-  if (reviewHistory.length < 100) {
-    console.log('FSRS: Necesitas al menos 100 reviews para optimización');
+export function collectReviewHistory(questionTracking = {}) {
+  return Object.entries(questionTracking).flatMap(([cardId, tracking]) => {
+    if (Array.isArray(tracking?.fsrs?.history)) {
+      return tracking.fsrs.history
+        .filter(([seconds]) => Number.isFinite(seconds))
+        .map(([seconds, rating]) => ({ cardId, rating, review: new Date(seconds * 1000).toISOString() }));
+    }
+    return (tracking?.fsrs?.log || []).map((entry) => ({ cardId, rating: entry.rating, review: entry.review }));
+  });
+}
+
+/**
+ * Reproduce el historial con unos pesos y mide qué tan bien predicen el recuerdo.
+ * Solo cuentan los repasos con al menos un día desde el anterior.
+ */
+function evaluateWeights(weights, cards) {
+  const algorithm = new FSRSAlgorithm({ w: weights });
+  let loss = 0;
+  let predicted = 0;
+  let recalled = 0;
+  let count = 0;
+
+  cards.forEach((reviews) => {
+    let memory = null;
+    let lastReview = null;
+
+    reviews.forEach(({ rating, review }) => {
+      const elapsed = lastReview ? Math.max(0, Math.floor((review - lastReview) / DAY_MS)) : 0;
+
+      if (memory && elapsed >= 1) {
+        const retrievability = Math.min(Math.max(algorithm.forgetting_curve(elapsed, memory.stability), 1e-4), 1 - 1e-4);
+        const outcome = rating > Rating.Again ? 1 : 0;
+        loss -= outcome * Math.log(retrievability) + (1 - outcome) * Math.log(1 - retrievability);
+        predicted += retrievability;
+        recalled += outcome;
+        count += 1;
+      }
+
+      memory = algorithm.next_state(memory, elapsed, rating);
+      lastReview = review;
+    });
+  });
+
+  return {
+    logLoss: count > 0 ? loss / count : 0,
+    predictedRetention: count > 0 ? predicted / count : 0,
+    actualRetention: count > 0 ? recalled / count : 0,
+    samples: count
+  };
+}
+
+/**
+ * Optimiza parámetros FSRS con datos del usuario (descenso por coordenadas
+ * sobre la pérdida logarítmica del recuerdo predicho vs. real).
+ * Requiere al menos 100 reviews para ser efectivo.
+ * @param {Array} reviewHistory - Historial de reviews [{cardId, rating, review}]
+ * @param {Object} options - { iterations, initialWeights }
+ * @returns {Object|null} { weights, reviewCount, before, after } o null si no hay datos suficientes
+ */
+export function optimizeFSRSParameters(reviewHistory = [], { iterations = 6, initialWeights = default_w } = {}) {
+  const valid = reviewHistory.filter((entry) =>
+    entry?.cardId && entry.rating >= Rating.Again && entry.rating <= Rating.Easy && !Number.isNaN(new Date(entry.review).getTime())
+  );
+
+  if (valid.length < MIN_REVIEWS_FOR_OPTIMIZATION) {
+    console.log(`FSRS: Necesitas al menos ${MIN_REVIEWS_FOR_OPTIMIZATION} reviews para optimización`);
     return null;
   }
-  
-  // Aquí iría el algoritmo de optimización
-  // Por ahora usamos defaults
-  return null;
+
+  const byCard = valid.reduce((acc, entry) => {
+    (acc[entry.cardId] = acc[entry.cardId] || []).push({ rating: entry.rating, review: new Date(entry.review).getTime() });
+    return acc;
+  }, {});
+  const cards = Object.values(byCard).map((reviews) => reviews.sort((a, b) => a.review - b.review));
+
+  const clip = (weights) => clipParameters(weights, default_relearning_steps.length);
+  const before = evaluateWeights([...initialWeights], cards);
+  if (before.samples === 0) return null;
+
+  let best = clip([...initialWeights]);
+  let bestLoss = evaluateWeights(best, cards).logLoss;
+  let step = 0.2;
+
+  for (let iteration = 0; iteration < iterations; iteration++) {
+    for (let index = 0; index < OPTIMIZABLE_WEIGHTS; index++) {
+      for (const factor of [1 + step, 1 - step]) {
+        const candidate = [...best];
+        candidate[index] = best[index] === 0 ? step * factor : best[index] * factor;
+        const clipped = clip(candidate);
+        const { logLoss } = evaluateWeights(clipped, cards);
+        if (logLoss < bestLoss) {
+          best = clipped;
+          bestLoss = logLoss;
+        }
+      }
+    }
+    step /= 2;
+  }
+
+  return {
+    weights: best.map((value) => Math.round(value * 10000) / 10000),
+    reviewCount: valid.length,
+    before,
+    after: evaluateWeights(best, cards)
+  };
 }
 
 /**
@@ -266,6 +410,167 @@ export function getQuestionsForReview(questionTracking, scheduler) {
  */
 export const defaultScheduler = createFSRSScheduler();
 
+/**
+ * Botones de calificación del repaso (Again/Hard/Good/Easy)
+ */
+export const REVIEW_RATINGS = [
+  { rating: Rating.Again, key: 'again', label: 'Otra vez', icon: '🔁' },
+  { rating: Rating.Hard, key: 'hard', label: 'Difícil', icon: '😓' },
+  { rating: Rating.Good, key: 'good', label: 'Bien', icon: '🙂' },
+  { rating: Rating.Easy, key: 'easy', label: 'Fácil', icon: '😎' }
+];
+
+// Máximo de entradas de historial FSRS detallado guardadas por pregunta
+const MAX_REVIEW_LOG = 30;
+// El optimizador necesita cada tarjeta desde su primer repaso: guarda aparte un
+// historial compacto [segundos, rating] mucho más largo que el log detallado
+const MAX_OPTIMIZER_HISTORY = 500;
+
+const toCompactReview = (entry) => [Math.round(new Date(entry.review).getTime() / 1000), entry.rating];
+
+/**
+ * Tarjeta FSRS de un tracking: la guardada si existe, si no una estimada
+ * a partir del historial de intentos
+ */
+export function getTrackingCard(tracking) {
+  if (tracking?.fsrs?.card) return tracking.fsrs.card;
+  return convertToFSRSCard(tracking);
+}
+
+/**
+ * Tarjeta serializable (fechas ISO) para guardarla en el progreso
+ */
+function serializeCard(card) {
+  return {
+    ...card,
+    due: new Date(card.due).toISOString(),
+    last_review: card.last_review ? new Date(card.last_review).toISOString() : null
+  };
+}
+
+/**
+ * Rating sugerido para un intento: el elegido por el usuario o
+ * el inferido por acierto y tiempo
+ */
+export function resolveRating(isCorrect, timeSpent, rating) {
+  if (REVIEW_RATINGS.some((option) => option.rating === rating)) return rating;
+  return determineRating(isCorrect, timeSpent);
+}
+
+/**
+ * Aplica una calificación al tracking y devuelve el bloque `fsrs`
+ * listo para guardar junto con la próxima fecha de repaso
+ * @param {Object} tracking - Tracking de la pregunta (CxCProgressContext)
+ * @param {number} rating - Rating FSRS (1-4)
+ * @param {Object} options - { now, scheduler }
+ */
+export function applyReviewRating(tracking, rating, { now = new Date(), scheduler = defaultScheduler } = {}) {
+  const card = getTrackingCard(tracking);
+  const { card: nextCard, log } = scheduler.next(card, now, rating);
+  const entry = {
+    rating,
+    state: log.state,
+    review: now.toISOString(),
+    elapsedDays: log.elapsed_days,
+    scheduledDays: log.scheduled_days
+  };
+  const history = [...(tracking?.fsrs?.log || []), entry];
+  // Sin historial compacto (progreso anterior) se parte del log detallado
+  const compact = [
+    ...(tracking?.fsrs?.history || (tracking?.fsrs?.log || []).map(toCompactReview)),
+    toCompactReview(entry)
+  ];
+
+  return {
+    nextReviewDate: new Date(nextCard.due).toISOString(),
+    reviewInterval: nextCard.scheduled_days,
+    fsrs: {
+      card: serializeCard(nextCard),
+      difficulty: nextCard.difficulty,
+      stability: nextCard.stability,
+      state: nextCard.state,
+      log: history.length > MAX_REVIEW_LOG ? history.slice(-MAX_REVIEW_LOG) : history,
+      history: compact.length > MAX_OPTIMIZER_HISTORY ? compact.slice(-MAX_OPTIMIZER_HISTORY) : compact
+    }
+  };
+}
+
+/**
+ * Intervalo que resultaría de cada calificación (para mostrar en los botones)
+ */
+export function previewReviewIntervals(tracking, { now = new Date(), scheduler = defaultScheduler } = {}) {
+  const preview = scheduler.repeat(getTrackingCard(tracking), now);
+  return REVIEW_RATINGS.reduce((acc, { rating }) => {
+    acc[rating] = formatInterval(new Date(preview[rating].card.due) - now);
+    return acc;
+  }, {});
+}
+
+function formatInterval(ms) {
+  const minutes = Math.max(1, Math.round(ms / 60000));
+  if (minutes < 60) return `${minutes} min`;
+  const hours = Math.round(minutes / 60);
+  if (hours < 24) return `${hours} h`;
+  const days = Math.round(hours / 24);
+  if (days < 30) return `${days} d`;
+  return `${Math.round(days / 30)} m`;
+}
+
+/**
+ * Cola de repaso del día: preguntas ya vistas cuya tarjeta vence hoy
+ * (incluye atrasadas), las más atrasadas primero
+ * @param {Object} questionTracking - Tracking de todas las preguntas
+ * @returns {Array} [{ questionId, due, overdueDays, state }]
+ */
+export function getDailyReviewQueue(questionTracking = {}, { now = new Date() } = {}) {
+  const endOfDay = new Date(now);
+  endOfDay.setHours(23, 59, 59, 999);
+
+  return Object.entries(questionTracking)
+    .filter(([, tracking]) => tracking?.fsrs?.card || tracking?.nextReviewDate)
+    .map(([questionId, tracking]) => {
+      const due = new Date(tracking.fsrs?.card?.due || tracking.nextReviewDate);
+      return {
+        questionId,
+        due,
+        overdueDays: Math.max(0, Math.floor((now - due) / (1000 * 60 * 60 * 24))),
+        state: tracking.fsrs?.state ?? getTrackingCard(tracking).state
+      };
+    })
+    .filter((item) => !Number.isNaN(item.due.getTime()) && item.due <= endOfDay)
+    .sort((a, b) => a.due - b.due);
+}
+
+/**
+ * Pronóstico de repasos por día (hoy incluye los atrasados)
+ * @returns {Array} [{ date, label, count }]
+ */
+export function getReviewForecast(questionTracking = {}, { days = 7, now = new Date() } = {}) {
+  const startOfToday = new Date(now);
+  startOfToday.setHours(0, 0, 0, 0);
+  const dayMs = 1000 * 60 * 60 * 24;
+
+  const forecast = Array.from({ length: days }, (_, offset) => {
+    const date = new Date(startOfToday.getTime() + offset * dayMs);
+    return {
+      date: date.toISOString().slice(0, 10),
+      label: offset === 0 ? 'Hoy' : offset === 1 ? 'Mañana' : date.toLocaleDateString('es-ES', { weekday: 'short', day: 'numeric' }),
+      count: 0
+    };
+  });
+
+  Object.values(questionTracking).forEach((tracking) => {
+    const dueValue = tracking?.fsrs?.card?.due || tracking?.nextReviewDate;
+    if (!dueValue) return;
+    const due = new Date(dueValue);
+    if (Number.isNaN(due.getTime())) return;
+    const offset = Math.max(0, Math.floor((due - startOfToday) / dayMs));
+    if (offset < days) forecast[offset].count += 1;
+  });
+
+  return forecast;
+}
+
 /**
  * Helper para integración con sistema existente
  */
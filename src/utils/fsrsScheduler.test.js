@@ -0,0 +1,133 @@
+import { FSRSAlgorithm, Rating, clipParameters, default_relearning_steps, default_w } from 'ts-fsrs';
+import {
+  MIN_REVIEWS_FOR_OPTIMIZATION,
+  applyReviewRating,
+  collectReviewHistory,
+  createSchedulerFromProfile,
+  defaultScheduler,
+  getDailyReviewQueue,
+  getReviewForecast,
+  optimizeFSRSParameters
+} from './fsrsScheduler';
+import { createSeededRandom } from './random';
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const START = new Date('2026-01-05T09:00:00.000Z');
+const INTERVALS = [1, 1, 2, 3, 5, 8, 8, 13, 13, 21];
+
+// Historial sintético fijo: un alumno que olvida bastante más rápido de lo que
+// suponen los pesos por defecto. El recuerdo se sortea con el PRNG sembrado.
+const syntheticHistory = () => {
+  const learner = new FSRSAlgorithm({ w: default_w.map((value, index) => (index < 4 ? value * 0.2 : value)) });
+  const random = createSeededRandom(2026);
+  const history = [];
+
+  for (let card = 0; card < 20; card += 1) {
+    let memory = learner.next_state(null, 0, Rating.Good);
+    let day = card % 3;
+    history.push({ cardId: `q${card}`, rating: Rating.Good, review: new Date(START.getTime() + day * DAY_MS).toISOString() });
+
+    INTERVALS.forEach((interval) => {
+      day += interval;
+      const recalled = random() < learner.forgetting_curve(interval, memory.stability);
+      const rating = recalled ? Rating.Good : Rating.Again;
+      memory = learner.next_state(memory, interval, rating);
+      history.push({ cardId: `q${card}`, rating, review: new Date(START.getTime() + day * DAY_MS).toISOString() });
+    });
+  }
+
+  return history;
+};
+
+const review = (tracking, rating, day) => ({
+  ...tracking,
+  ...applyReviewRating(tracking, rating, { now: new Date(START.getTime() + day * DAY_MS) })
+});
+
+describe('applyReviewRating', () => {
+  test('guarda tarjeta, log detallado acotado y un historial compacto completo', () => {
+    let tracking = {};
+    for (let day = 0; day < 40; day += 1) tracking = review(tracking, Rating.Good, day);
+
+    expect(tracking.fsrs.card.reps).toBe(40);
+    expect(tracking.fsrs.log).toHaveLength(30);
+    expect(tracking.fsrs.history).toHaveLength(40);
+    expect(tracking.fsrs.history[0]).toEqual([START.getTime() / 1000, Rating.Good]);
+    expect(new Date(tracking.nextReviewDate).getTime()).toBe(new Date(tracking.fsrs.card.due).getTime());
+  });
+
+  test('un progreso sin historial compacto lo inicia con el log detallado', () => {
+    const legacy = { fsrs: { log: [{ rating: Rating.Hard, review: START.toISOString() }] } };
+    const next = review(legacy, Rating.Good, 2);
+    expect(next.fsrs.history).toEqual([
+      [START.getTime() / 1000, Rating.Hard],
+      [START.getTime() / 1000 + 2 * 86400, Rating.Good]
+    ]);
+  });
+
+  test('collectReviewHistory lee el historial compacto y cae al log en progresos antiguos', () => {
+    let tracked = {};
+    for (let day = 0; day < 35; day += 1) tracked = review(tracked, Rating.Good, day);
+    const legacy = { fsrs: { log: [{ rating: Rating.Again, review: START.toISOString() }] } };
+
+    const history = collectReviewHistory({ q1: tracked, q2: legacy, q3: {} });
+    expect(history.filter(entry => entry.cardId === 'q1')).toHaveLength(35);
+    expect(history.filter(entry => entry.cardId === 'q2')).toEqual([{ cardId: 'q2', rating: Rating.Again, review: START.toISOString() }]);
+  });
+});
+
+describe('cola y pronóstico de repaso', () => {
+  const now = new Date('2026-03-10T12:00:00');
+  const at = (days) => new Date(now.getTime() + days * DAY_MS).toISOString();
+  const questionTracking = {
+    atrasada: { fsrs: { card: { due: at(-3) }, state: 2 } },
+    hoy: { fsrs: { card: { due: at(0.1) }, state: 2 } },
+    manana: { fsrs: { card: { due: at(1) }, state: 2 } },
+    antigua: { nextReviewDate: at(-1), totalAttempts: 2, correctAttempts: 2, timestamps: [] },
+    nueva: { totalAttempts: 0 }
+  };
+
+  test('la cola del día incluye atrasadas y de hoy, las más atrasadas primero', () => {
+    const queue = getDailyReviewQueue(questionTracking, { now });
+    expect(queue.map(item => item.questionId)).toEqual(['atrasada', 'antigua', 'hoy']);
+    expect(queue[0].overdueDays).toBe(3);
+  });
+
+  test('el pronóstico suma las atrasadas a hoy', () => {
+    const forecast = getReviewForecast(questionTracking, { days: 3, now });
+    expect(forecast.map(day => day.count)).toEqual([3, 1, 0]);
+    expect(forecast[0].label).toBe('Hoy');
+  });
+});
+
+describe('optimizeFSRSParameters', () => {
+  test('sin historial suficiente no propone pesos', () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    expect(optimizeFSRSParameters(syntheticHistory().slice(0, MIN_REVIEWS_FOR_OPTIMIZATION - 1))).toBeNull();
+    log.mockRestore();
+  });
+
+  test('reduce la pérdida logarítmica de un historial fijo y deja los pesos en rango', () => {
+    const history = syntheticHistory();
+    const result = optimizeFSRSParameters(history, { iterations: 3 });
+
+    expect(result.reviewCount).toBe(history.length);
+    expect(result.after.samples).toBe(result.before.samples);
+    expect(result.after.logLoss).toBeLessThan(result.before.logLoss);
+    // El alumno olvida más de lo previsto: la retención predicha baja hacia la real
+    expect(Math.abs(result.after.predictedRetention - result.after.actualRetention))
+      .toBeLessThan(Math.abs(result.before.predictedRetention - result.before.actualRetention));
+
+    const clipped = clipParameters(result.weights, default_relearning_steps.length);
+    result.weights.forEach((value, index) => expect(value).toBeCloseTo(clipped[index], 3));
+    expect(optimizeFSRSParameters(history, { iterations: 3 }).weights).toEqual(result.weights);
+  });
+
+  test('solo usa los pesos personales si el usuario los activó', () => {
+    const weights = [...default_w];
+    weights[0] = 0.1;
+    expect(createSchedulerFromProfile({ enabled: false, weights })).toBe(defaultScheduler);
+    expect(createSchedulerFromProfile({ enabled: true, weights })).not.toBe(defaultScheduler);
+    expect(createSchedulerFromProfile({ enabled: true, weights }).parameters.w[0]).toBeCloseTo(0.1);
+  });
+});
@@ -1,6 +1,8 @@
 // Sistema de Gamificación Avanzado
 // Inspirado en Codewars, CodinGame y TopCoder
 
+import { resolveSubdomain } from '../data/taxonomy';
+
 // ============================================================================
 // 1. SISTEMA DE RANGOS ESTILO ARTES MARCIALES
 // ============================================================================
@@ -124,8 +126,8 @@ export const ACHIEVEMENTS = {
     name: 'Modelador de Datos',
     description: 'Logra 90%+ en preguntas de modelado (mínimo 20 preguntas)',
     icon: '🗂️',
-    condition: (stats) => stats.domainStats?.['diseñar-implementar-modelo']?.accuracy >= 0.9 && 
-                          stats.domainStats?.['diseñar-implementar-modelo']?.total >= 20,
+    condition: (stats) => stats.domainStats?.['modelar-datos']?.accuracy >= 0.9 && 
+                          stats.domainStats?.['modelar-datos']?.total >= 20,
     xpReward: 600
   },
   
@@ -200,8 +202,8 @@ export function calculateQuestionXP(question, isCorrect, timeTaken, currentStrea
   const domainMultiplier = {
     'crear-calculos-dax': 1.2,
     'optimizar-rendimiento': 1.3,
-    'diseñar-implementar-modelo': 1.15
-  }[question.dominio] || 1.0;
+    'disenar-modelo': 1.15
+  }[resolveSubdomain(question.subdominio)] || 1.0;
   
   const total = Math.floor((baseXP + speedBonus + streakBonus) * domainMultiplier);
   
@@ -0,0 +1,255 @@
+/**
+ * missionEditor.js - Utilidades del editor de misiones para formadores
+ * Convierte cualquier misión en un paquete JSON editable, crea actividades
+ * nuevas y exporta/importa paquetes como archivo
+ */
+
+import { MISSIONS } from '../data/cxc/missions';
+import { DIALOGUE_GRAPHS } from '../data/cxc/characters';
+import MissionEngine from './MissionEngine';
+import { getDatasetRecipe } from './DatasetLoader';
+import { getMissionPackage, validateMissionPackage } from './missionPackages';
+import { downloadFile } from './spreadsheet';
+
+export const ACTIVITY_TYPES = {
+  quiz: { label: 'Quiz', icon: '❓' },
+  form: { label: 'Formulario', icon: '📝' },
+  validation: { label: 'Validación', icon: '✅' },
+  drag_drop: { label: 'Emparejar (drag & drop)', icon: '🔗' },
+  cash_application: { label: 'Aplicación de efectivo', icon: '💵' },
+  data_cleaning: { label: 'Limpieza de datos', icon: '🧹' },
+  dialogue: { label: 'Diálogo ramificado', icon: '💬' }
+};
+
+export const FIELD_TYPES = ['text', 'number', 'email', 'date', 'select', 'textarea', 'checkbox'];
+
+// Claves de actividad que admite el formato de paquete
+const ACTIVITY_KEYS = [
+  'id', 'type', 'title', 'instructions', 'datasetName', 'optional',
+  'questions', 'fields', 'validationChecks', 'graph', 'graphId'
+];
+const METADATA_KEYS = [
+  'acto', 'orden', 'title', 'subtitle', 'icon', 'duration',
+  'dificultad', 'description', 'objectives', 'prerequisite', 'campaign'
+];
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+const pick = (source, keys) => keys.reduce((acc, key) => {
+  if (source[key] !== undefined) acc[key] = source[key];
+  return acc;
+}, {});
+
+/**
+ * Las preguntas de "problem solving" del contenido base (title, description,
+ * options[].correct) se convierten al formato de quiz del paquete
+ */
+const normalizeQuestion = (question) => {
+  if (question.answers) return question;
+
+  const options = question.options || [];
+  const correct = options.find(option => option.correct) || options[0] || {};
+  return {
+    id: question.id,
+    question: [question.title, question.description?.trim()].filter(Boolean).join('\n\n'),
+    answers: options.map(option => ({ id: option.id, text: option.text })),
+    correctAnswer: correct.id,
+    explanation: correct.feedback || ''
+  };
+};
+
+// Algunos formularios base usan "name" en lugar de "id"
+const normalizeField = ({ name, ...field }) => ({ id: field.id || name, ...field });
+
+/**
+ * Id libre a partir de una base ('pregunta' -> 'pregunta_2')
+ */
+export const getUniqueId = (base, existingIds = []) => {
+  if (!existingIds.includes(base)) return base;
+  let suffix = 2;
+  while (existingIds.includes(`${base}_${suffix}`)) suffix++;
+  return `${base}_${suffix}`;
+};
+
+/**
+ * Paquete editable de una misión: copia del paquete si ya lo es, o conversión
+ * de la misión del juego (los diálogos de campaña se copian con su id)
+ */
+export const missionToPackage = (missionId) => {
+  const existing = getMissionPackage(missionId);
+  if (existing) return clone(existing);
+
+  const mission = MISSIONS[missionId];
+  if (!mission) throw new Error(`Misión ${missionId} no encontrada`);
+
+  const activities = new MissionEngine(missionId).generateActivitiesForMission()
+    .filter(activity => ACTIVITY_TYPES[activity.type])
+    .map(activity => {
+      const converted = pick(clone(activity), ACTIVITY_KEYS);
+      if (converted.questions) converted.questions = converted.questions.map(normalizeQuestion);
+      if (converted.fields) converted.fields = converted.fields.map(normalizeField);
+      if (converted.type === 'dialogue' && converted.graphId && DIALOGUE_GRAPHS[converted.graphId]) {
+        converted.graph = clone(DIALOGUE_GRAPHS[converted.graphId]);
+        delete converted.graphId;
+      }
+      return converted;
+    });
+
+  const datasets = activities.reduce((acc, activity) => {
+    if (activity.datasetName && !acc[activity.datasetName]) {
+      acc[activity.datasetName] = getDatasetRecipe(activity.datasetName);
+    }
+    return acc;
+  }, {});
+
+  return {
+    formatVersion: 1,
+    id: missionId,
+    metadata: pick(clone(mission), METADATA_KEYS),
+    dialogues: { character: 'tess', intro: [] },
+    datasets,
+    activities,
+    kpis: clone(mission.kpis || {}),
+    badges: []
+  };
+};
+
+/**
+ * Misión nueva de formador (extra: no cuenta para los finales de campaña)
+ */
+export const createEmptyPackage = () => ({
+  formatVersion: 1,
+  id: getUniqueId(`formador_${Date.now().toString(36)}`, Object.keys(MISSIONS)),
+  metadata: {
+    acto: 1,
+    orden: 9,
+    title: 'Nueva misión',
+    subtitle: '',
+    icon: '📘',
+    duration: 20,
+    dificultad: 'facil',
+    description: 'Describe el caso que resolverá el analista.',
+    objectives: ['Objetivo principal de la misión'],
+    prerequisite: null,
+    campaign: false
+  },
+  dialogues: { character: 'tess', intro: [] },
+  datasets: {},
+  activities: [],
+  kpis: {},
+  badges: []
+});
+
+/**
+ * Actividad nueva con contenido mínimo válido.
+ * Las actividades con dataset (drag_drop, cash_application, data_cleaning)
+ * añaden su receta al paquete si hace falta.
+ * @returns {Object} Paquete actualizado
+ */
+export const addActivity = (pkg, type) => {
+  const id = getUniqueId(`${type}_${pkg.activities.length + 1}`, pkg.activities.map(a => a.id));
+  const base = { id, type, title: `Nueva actividad: ${ACTIVITY_TYPES[type].label}`, instructions: '' };
+  const datasets = { ...pkg.datasets };
+
+  const templates = {
+    quiz: () => ({
+      questions: [{
+        id: 'q1',
+        question: 'Escribe la pregunta',
+        answers: [{ id: 'a', text: 'Respuesta correcta' }, { id: 'b', text: 'Distractor' }],
+        correctAnswer: 'a',
+        explanation: ''
+      }]
+    }),
+    form: () => ({
+      fields: [{ id: 'campo_1', type: 'text', label: 'Nuevo campo', required: true }]
+    }),
+    validation: () => ({
+      validationChecks: [{ id: 'check_1', description: 'Describe lo que se revisa', hasIssue: false, explanation: '' }]
+    }),
+    drag_drop: () => {
+      const datasetName = Object.keys(datasets).find(name => datasets[name].generator === 'payments')
+        || getUniqueId('conciliacion', Object.keys(datasets));
+      datasets[datasetName] = datasets[datasetName] || { generator: 'payments', count: 5 };
+      return { datasetName };
+    },
+    cash_application: () => {
+      const datasetName = Object.keys(datasets).find(name => datasets[name].generator === 'remittances')
+        || getUniqueId('remesas', Object.keys(datasets));
+      datasets[datasetName] = datasets[datasetName] || { generator: 'remittances', count: 10 };
+      return { datasetName };
+    },
+    data_cleaning: () => {
+      const datasetName = Object.keys(datasets).find(name => datasets[name].generator === 'dirty_invoices')
+        || getUniqueId('datos_sucios', Object.keys(datasets));
+      datasets[datasetName] = datasets[datasetName] || { generator: 'dirty_invoices', count: 15 };
+      return { datasetName };
+    },
+    dialogue: () => ({
+      graph: {
+        start: 'inicio',
+        nodes: {
+          inicio: {
+            speaker: 'tess',
+            text: 'Plantea la situación',
+            choices: [
+              { id: 'opcion_a', text: 'Opción A', next: 'final_a' },
+              { id: 'opcion_b', text: 'Opción B', next: 'final_b' }
+            ]
+          },
+          final_a: { speaker: 'tess', text: 'Resultado de la opción A', end: true, score: 100 },
+          final_b: { speaker: 'tess', text: 'Resultado de la opción B', end: true, score: 60 }
+        }
+      }
+    })
+  };
+
+  return {
+    ...pkg,
+    datasets,
+    activities: [...pkg.activities, { ...base, ...templates[type]() }]
+  };
+};
+
+/**
+ * Descarga el paquete como archivo .json
+ */
+export const exportMissionPackage = (pkg) => {
+  const blob = new Blob([JSON.stringify(pkg, null, 2)], { type: 'application/json' });
+  downloadFile(blob, `${pkg.id}.json`);
+};
+
+/**
+ * Lee y valida un paquete desde un archivo
+ * @param {File} file
+ * @returns {Promise<Object>}
+ */
+export const readMissionPackageFile = async (file) => {
+  let pkg;
+  try {
+    pkg = JSON.parse((await file.text()).replace(/^\uFEFF/, ''));
+  } catch (error) {
+    throw new Error('El archivo no es un JSON válido');
+  }
+
+  const { valid, errors } = validateMissionPackage(pkg);
+  if (!valid) {
+    const error = new Error(`El paquete tiene errores: ${errors.join('; ')}`);
+    error.validationErrors = errors;
+    throw error;
+  }
+  return pkg;
+};
+
+const MissionEditor = {
+  ACTIVITY_TYPES,
+  FIELD_TYPES,
+  getUniqueId,
+  missionToPackage,
+  createEmptyPackage,
+  addActivity,
+  exportMissionPackage,
+  readMissionPackageFile
+};
+
+export default MissionEditor;
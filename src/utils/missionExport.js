@@ -0,0 +1,231 @@
+/**
+ * missionExport.js - Exportación de resultados de misiones CxC a CSV/XLSX
+ * Reúne el dataset del intento (reproducible por su semilla), las respuestas
+ * del usuario y el desglose de scoringService para rehacer el análisis en Power BI
+ */
+
+import { MISSIONS } from '../data/cxc/missions';
+import MissionEngine from './MissionEngine';
+import { calculateAgingBuckets } from './ValidationEngine';
+import { calculateSandboxMetrics } from './arImport';
+import { scoringService } from '../services/scoringService';
+import { toCSV, buildXLSX, downloadFile } from './spreadsheet';
+
+const BREAKDOWN_LABELS = {
+  base: 'Puntos base',
+  accuracy: 'Bonus por precisión',
+  timeBonus: 'Bonus por tiempo',
+  noHelpBonus: 'Bonus sin ayudas',
+  helpPenalty: 'Penalización por ayudas',
+  partialResolutionPenalty: 'Penalización por resolución parcial',
+  final: 'Puntuación final'
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isTable = (value) => Array.isArray(value) && value.length > 0 && value.every(isPlainObject);
+
+/**
+ * Aplana un registro para que cada celda sea un valor simple
+ */
+const flattenRecord = (record) => Object.entries(record).reduce((acc, [key, value]) => {
+  acc[key] = isPlainObject(value) || Array.isArray(value) ? JSON.stringify(value) : value;
+  return acc;
+}, {});
+
+/**
+ * Resumen serializable de un resultado de actividad (se guarda en el progreso)
+ */
+export const summarizeActivityResult = (activity, result, answers) => ({
+  activityId: activity.id,
+  type: activity.type,
+  title: activity.title || activity.id,
+  score: Math.round(Number(result?.score) || 0),
+  valid: Boolean(result?.valid),
+  feedback: typeof result?.feedback === 'string' ? result.feedback : '',
+  answers: answers && typeof answers === 'object' ? answers : {},
+  ...(Number.isFinite(result?.matchRate) && { matchRate: result.matchRate }),
+  ...(Number.isFinite(result?.errorReduction) && { errorReduction: result.errorReduction })
+});
+
+/**
+ * Datasets que vio el usuario en el intento, regenerados con la semilla guardada.
+ * Si ninguna actividad declara datasetName se usa el dataset de la misión.
+ */
+export const collectMissionDatasets = (missionId, datasetAttempt) => {
+  const engine = new MissionEngine(missionId, {}, { dataset: datasetAttempt });
+  const activities = engine.getActivities().filter(activity => activity.datasetName);
+  const sources = activities.length > 0
+    ? activities
+    : [{ datasetName: engine.getMissionConfig().dataset }].filter(activity => activity.datasetName);
+
+  return sources.reduce((acc, activity) => {
+    if (!acc[activity.datasetName]) {
+      acc[activity.datasetName] = engine.loadActivityDataset(activity);
+    }
+    return acc;
+  }, {});
+};
+
+const answerRows = (results) => results.flatMap(result =>
+  Object.entries(result.answers || {})
+    .filter(([, value]) => !isTable(value))
+    .flatMap(([field, value]) => {
+      if (isPlainObject(value)) {
+        return Object.entries(value).map(([key, nested]) => ({
+          Actividad: result.title,
+          Campo: `${field}.${key}`,
+          Respuesta: isPlainObject(nested) || Array.isArray(nested) ? JSON.stringify(nested) : nested
+        }));
+      }
+      return [{
+        Actividad: result.title,
+        Campo: field,
+        Respuesta: Array.isArray(value) ? value.join(', ') : value
+      }];
+    })
+);
+
+const datasetSheets = (datasets) => Object.entries(datasets).flatMap(([name, dataset]) => {
+  const sheets = [];
+  if (isTable(dataset.invoices)) sheets.push({ name: `Facturas ${name}`, rows: dataset.invoices.map(flattenRecord) });
+  if (isTable(dataset.payments)) sheets.push({ name: `Pagos ${name}`, rows: dataset.payments.map(flattenRecord) });
+  if (isPlainObject(dataset.invoice)) sheets.push({ name: `Factura ${name}`, rows: [flattenRecord(dataset.invoice)] });
+  if (isPlainObject(dataset.exchangeRates)) {
+    sheets.push({
+      name: `Tipos de cambio ${name}`,
+      rows: Object.entries(dataset.exchangeRates).map(([pair, rate]) => ({ Par: pair, Tasa: rate }))
+    });
+  }
+  return sheets;
+});
+
+/**
+ * Construye las hojas de la exportación de una misión
+ * @param {Object} params
+ * @param {string} params.missionId
+ * @param {Object} params.missionProgress - progress.missions[missionId]
+ * @param {Array} [params.results] - Resultados de actividades (por defecto los guardados)
+ * @returns {Array<{name: string, rows: Object[]}>}
+ */
+export const buildMissionExportSheets = ({ missionId, missionProgress = {}, results }) => {
+  const mission = MISSIONS[missionId];
+  const activityResults = results || missionProgress.results || [];
+  const datasetAttempt = missionProgress.dataset;
+  const referenceDate = datasetAttempt?.referenceDate;
+  const datasets = collectMissionDatasets(missionId, datasetAttempt);
+
+  const accuracy = activityResults.length > 0
+    ? activityResults.reduce((sum, result) => sum + (Number(result.score) || 0), 0) / activityResults.length / 100
+    : 0;
+  const timeSpentMinutes = Math.round((Number(missionProgress.timeSpent) || 0) / 60);
+  const scoring = scoringService.calculateMissionScore(
+    missionId,
+    { accuracy },
+    missionProgress.helpUsed || [],
+    timeSpentMinutes
+  );
+
+  const sheets = [
+    {
+      name: 'Resumen',
+      rows: [
+        { Campo: 'Misión', Valor: mission?.title || missionId },
+        { Campo: 'ID', Valor: missionId },
+        { Campo: 'Estado', Valor: missionProgress.status || 'available' },
+        { Campo: 'Puntuación', Valor: Number.isFinite(missionProgress.score) ? missionProgress.score : '' },
+        { Campo: 'Calificación', Valor: missionProgress.grade || '' },
+        { Campo: 'Tiempo (min)', Valor: timeSpentMinutes },
+        { Campo: 'Fecha', Valor: missionProgress.updatedAt || '' },
+        { Campo: 'Semilla del dataset', Valor: datasetAttempt?.seed ?? '' },
+        { Campo: 'Fecha de referencia', Valor: referenceDate || '' }
+      ]
+    },
+    {
+      name: 'Puntuación',
+      rows: Object.entries(scoring.breakdown).map(([key, points]) => ({
+        Concepto: BREAKDOWN_LABELS[key] || key,
+        Puntos: points
+      }))
+    },
+    {
+      name: 'Actividades',
+      rows: activityResults.map(result => ({
+        Actividad: result.title,
+        Tipo: result.type,
+        Puntuación: result.score,
+        Aprobada: result.valid ? 'Sí' : 'No',
+        Retroalimentación: result.feedback
+      }))
+    },
+    {
+      name: 'Respuestas',
+      headers: ['Actividad', 'Campo', 'Respuesta'],
+      rows: answerRows(activityResults)
+    }
+  ];
+
+  // Tablas devueltas por el usuario (p. ej. facturas limpias) van en su propia hoja
+  activityResults.forEach(result => {
+    Object.entries(result.answers || {}).forEach(([field, value]) => {
+      if (isTable(value)) sheets.push({ name: `${field} ${result.activityId}`, rows: value.map(flattenRecord) });
+    });
+  });
+
+  sheets.push(...datasetSheets(datasets));
+
+  const invoiceDataset = Object.values(datasets).find(dataset => isTable(dataset.invoices));
+  if (invoiceDataset) {
+    const asOfDate = referenceDate ? new Date(`${referenceDate}T12:00:00Z`) : new Date();
+    const numericInvoices = invoiceDataset.invoices.filter(invoice => typeof invoice.amount === 'number');
+    const buckets = calculateAgingBuckets(numericInvoices, asOfDate);
+    const metrics = { ...calculateSandboxMetrics(numericInvoices), ...(invoiceDataset.metrics || {}) };
+
+    sheets.push({
+      name: 'Aging',
+      rows: Object.entries(buckets).map(([bucket, amount]) => ({
+        Bucket: bucket,
+        Monto: Math.round(amount * 100) / 100
+      }))
+    });
+    sheets.push({
+      name: 'KPIs',
+      rows: Object.entries(metrics).map(([kpi, value]) => ({ KPI: kpi, Valor: value }))
+    });
+  }
+
+  return sheets;
+};
+
+const fileSlug = (value) => String(value)
+  .toLowerCase()
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9]+/g, '_')
+  .replace(/^_|_$/g, '');
+
+/**
+ * Descarga todas las hojas en un libro XLSX
+ */
+export const exportMissionXLSX = (params) => {
+  const sheets = buildMissionExportSheets(params);
+  downloadFile(buildXLSX(sheets), `${params.missionId}_resultados.xlsx`);
+};
+
+/**
+ * Descarga una hoja como CSV
+ */
+export const exportMissionCSV = (params, sheetName) => {
+  const sheets = buildMissionExportSheets(params);
+  const sheet = sheets.find(item => item.name === sheetName) || sheets[0];
+  downloadFile(toCSV(sheet.rows, sheet.headers), `${params.missionId}_${fileSlug(sheet.name)}.csv`);
+};
+
+const MissionExport = {
+  summarizeActivityResult,
+  collectMissionDatasets,
+  buildMissionExportSheets,
+  exportMissionXLSX,
+  exportMissionCSV
+};
+
+export default MissionExport;
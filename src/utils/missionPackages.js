@@ -0,0 +1,280 @@
+/**
+ * missionPackages.js - Misiones CxC definidas como paquetes JSON
+ *
+ * Un paquete (src/schemas/mission-package.schema.json) reúne metadatos,
+ * diálogos, actividades, recetas de dataset, KPIs e insignias. Basta con
+ * dejar el archivo en src/data/cxc/missionPackages/ para que la misión
+ * aparezca en el menú y MissionEngine la ejecute sin tocar código.
+ * El editor de formadores guarda versiones editadas en este navegador.
+ */
+
+import Ajv from 'ajv';
+import schema from '../schemas/mission-package.schema.json';
+import { MISSIONS } from '../data/cxc/missions';
+import { CHARACTERS } from '../data/cxc/characters';
+import { validateDialogueGraph } from './dialogueGraph';
+
+const GRADE_ORDER = ['Bronce', 'Plata', 'Oro', 'Platino'];
+
+const ajv = new Ajv({ allErrors: true, strict: false });
+const validateSchema = ajv.compile(schema);
+
+const TRAINER_PACKAGES_KEY = 'cxc_trainer_packages';
+
+const packages = {};
+// Versiones de respaldo para deshacer los cambios de un formador
+const bundledPackages = {};
+const builtInMissions = {};
+
+/**
+ * Id del grafo de un diálogo en línea (se usa como clave en progress.story)
+ */
+export const getPackageGraphId = (packageId, activityId) => `${packageId}_${activityId}`;
+
+/**
+ * Reglas que el JSON Schema no puede expresar: referencias entre secciones
+ */
+const validateReferences = (pkg) => {
+  const errors = [];
+  const datasets = pkg.datasets || {};
+  const activityIds = new Set();
+
+  pkg.activities.forEach(activity => {
+    if (activityIds.has(activity.id)) {
+      errors.push(`Actividad duplicada: ${activity.id}`);
+    }
+    activityIds.add(activity.id);
+
+    if (activity.datasetName && !datasets[activity.datasetName]) {
+      errors.push(`${activity.id} usa un dataset sin receta: ${activity.datasetName}`);
+    }
+
+    if (activity.type === 'quiz') {
+      activity.questions.forEach(question => {
+        if (!question.answers.some(answer => answer.id === question.correctAnswer)) {
+          errors.push(`${activity.id}/${question.id}: correctAnswer no coincide con ninguna respuesta`);
+        }
+      });
+    }
+
+    if (activity.type === 'dialogue' && activity.graph) {
+      validateDialogueGraph(activity.graph).forEach(error => errors.push(`${activity.id}: ${error}`));
+      Object.entries(activity.graph.nodes).forEach(([nodeId, node]) => {
+        if (node.speaker && !CHARACTERS[node.speaker]) {
+          errors.push(`${activity.id}/${nodeId}: personaje desconocido ${node.speaker}`);
+        }
+      });
+    }
+  });
+
+  if (pkg.defaultDataset && !datasets[pkg.defaultDataset]) {
+    errors.push(`defaultDataset sin receta: ${pkg.defaultDataset}`);
+  }
+  if (pkg.dialogues?.character && !CHARACTERS[pkg.dialogues.character]) {
+    errors.push(`Personaje de la intro desconocido: ${pkg.dialogues.character}`);
+  }
+
+  return errors;
+};
+
+/**
+ * Valida un paquete de misión
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const validateMissionPackage = (pkg) => {
+  if (!validateSchema(pkg)) {
+    return {
+      valid: false,
+      errors: validateSchema.errors.map(error => `${error.instancePath || '(raíz)'} ${error.message}`)
+    };
+  }
+
+  const errors = validateReferences(pkg);
+  return { valid: errors.length === 0, errors };
+};
+
+/**
+ * Entrada de MISSIONS generada a partir de los metadatos del paquete
+ */
+export const packageToMission = (pkg) => ({
+  ...pkg.metadata,
+  id: pkg.id,
+  subtitle: pkg.metadata.subtitle || '',
+  dataset: pkg.defaultDataset || null,
+  kpis: pkg.kpis || {},
+  prerequisite: pkg.metadata.prerequisite || null,
+  source: 'package'
+});
+
+/**
+ * Registra un paquete: lo valida y añade su misión a MISSIONS
+ * @param {Object} pkg
+ * @param {Object} [options]
+ * @param {boolean} [options.override] - Permite reemplazar una misión del juego (editor de formadores)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const registerMissionPackage = (pkg, { override = false } = {}) => {
+  const result = validateMissionPackage(pkg);
+  if (!result.valid) {
+    console.warn(`Paquete de misión inválido (${pkg?.id || 'sin id'}):`, result.errors);
+    return result;
+  }
+
+  const current = MISSIONS[pkg.id];
+  if (current && current.source !== 'package') {
+    if (!override) {
+      const error = `El id ${pkg.id} ya pertenece a una misión del juego`;
+      console.warn(error);
+      return { valid: false, errors: [error] };
+    }
+    builtInMissions[pkg.id] = current;
+  }
+
+  packages[pkg.id] = pkg;
+  MISSIONS[pkg.id] = packageToMission(pkg);
+  return result;
+};
+
+/**
+ * Quita un paquete y restaura lo que había antes: el paquete incluido en el
+ * build, la misión original del juego o nada (misión nueva de un formador)
+ */
+export const unregisterMissionPackage = (missionId) => {
+  delete packages[missionId];
+
+  if (bundledPackages[missionId]) {
+    packages[missionId] = bundledPackages[missionId];
+    MISSIONS[missionId] = packageToMission(bundledPackages[missionId]);
+  } else if (builtInMissions[missionId]) {
+    MISSIONS[missionId] = builtInMissions[missionId];
+    delete builtInMissions[missionId];
+  } else {
+    delete MISSIONS[missionId];
+  }
+};
+
+export const getMissionPackage = (missionId) => packages[missionId] || null;
+
+export const getMissionPackages = () => Object.values(packages);
+
+/**
+ * Actividades listas para MissionEngine (los diálogos en línea reciben id y acto)
+ */
+export const packageToActivities = (pkg) => pkg.activities.map(activity => {
+  if (activity.type !== 'dialogue' || !activity.graph) {
+    return { initialData: {}, ...activity };
+  }
+
+  return {
+    ...activity,
+    graph: {
+      ...activity.graph,
+      // Un grafo copiado de la campaña conserva su id para no perder sus decisiones
+      id: activity.graph.id || getPackageGraphId(pkg.id, activity.id),
+      act: activity.graph.act ?? pkg.metadata.acto
+    }
+  };
+});
+
+/**
+ * Insignias de todos los paquetes, con la misión que las otorga
+ */
+export const getPackageBadges = () => getMissionPackages().reduce((acc, pkg) => {
+  (pkg.badges || []).forEach(badge => {
+    acc[badge.id] = { ...badge, missionId: pkg.id };
+  });
+  return acc;
+}, {});
+
+/**
+ * Verifica los criterios de una insignia contra la entrada de progreso de su misión
+ */
+export const checkPackageBadge = (criteria = {}, missionEntry) => {
+  if (missionEntry?.status !== 'completed') return false;
+
+  const checks = {
+    minScore: (min) => (Number(missionEntry.score) || 0) >= min,
+    grade: (grade) => GRADE_ORDER.indexOf(missionEntry.grade) >= GRADE_ORDER.indexOf(grade),
+    maxHelps: (max) => (missionEntry.helpUsed?.length || 0) <= max,
+    maxTimeMinutes: (max) => Number.isFinite(missionEntry.timeSpent) && missionEntry.timeSpent / 60 <= max
+  };
+
+  return Object.entries(criteria).every(([key, value]) => checks[key]?.(value) ?? false);
+};
+
+/**
+ * Paquetes incluidos en el build (webpack resuelve require.context)
+ */
+const loadBundledPackages = () => {
+  if (typeof require.context !== 'function') return [];
+
+  const context = require.context('../data/cxc/missionPackages', false, /\.json$/);
+  return context.keys().map(key => context(key));
+};
+
+// ============================================================================
+// PAQUETES DE FORMADORES (guardados en este navegador)
+// ============================================================================
+
+const readTrainerPackages = () => {
+  if (typeof localStorage === 'undefined') return {};
+  try {
+    return JSON.parse(localStorage.getItem(TRAINER_PACKAGES_KEY)) || {};
+  } catch (error) {
+    console.warn('No se pudieron leer las misiones editadas:', error);
+    return {};
+  }
+};
+
+const writeTrainerPackages = (trainerPackages) => {
+  localStorage.setItem(TRAINER_PACKAGES_KEY, JSON.stringify(trainerPackages));
+};
+
+export const getTrainerPackageIds = () => Object.keys(readTrainerPackages());
+
+/**
+ * Guarda y activa la versión editada de una misión
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export const saveTrainerPackage = (pkg) => {
+  const result = registerMissionPackage(pkg, { override: true });
+  if (result.valid) {
+    writeTrainerPackages({ ...readTrainerPackages(), [pkg.id]: pkg });
+  }
+  return result;
+};
+
+/**
+ * Descarta la versión editada y vuelve a la original
+ */
+export const removeTrainerPackage = (missionId) => {
+  const { [missionId]: removed, ...rest } = readTrainerPackages();
+  writeTrainerPackages(rest);
+  unregisterMissionPackage(missionId);
+};
+
+loadBundledPackages().forEach(pkg => {
+  if (registerMissionPackage(pkg).valid) {
+    bundledPackages[pkg.id] = pkg;
+  }
+});
+
+Object.values(readTrainerPackages()).forEach(pkg => registerMissionPackage(pkg, { override: true }));
+
+const MissionPackages = {
+  getPackageGraphId,
+  validateMissionPackage,
+  packageToMission,
+  registerMissionPackage,
+  unregisterMissionPackage,
+  getMissionPackage,
+  getMissionPackages,
+  packageToActivities,
+  getPackageBadges,
+  checkPackageBadge,
+  getTrainerPackageIds,
+  saveTrainerPackage,
+  removeTrainerPackage
+};
+
+export default MissionPackages;
@@ -0,0 +1,188 @@
+// Simulacro oficial PL-300
+// Ensambla un formulario con la ponderación publicada por dominio y
+// calcula una puntuación escalada 0-1000 (aprobado: 700).
+
+import { preguntasEjemplo } from '../data/preguntas';
+import { getDomainWeights as getTaxonomyDomainWeights } from '../data/taxonomy';
+import { scoreAnswer } from './questionFormats';
+
+// ============================================================================
+// 1. CONFIGURACIÓN DEL SIMULACRO
+// ============================================================================
+
+export const MOCK_EXAM_CONFIG = {
+  durationMinutes: 100,     // Duración oficial
+  targetQuestions: 55,      // Punto medio del rango oficial (50-60)
+  minQuestions: 20,         // Por debajo de esto el blueprint no es representativo
+  passingScore: 700,        // Puntuación mínima aprobatoria (escalada)
+  maxScore: 1000,
+  warningMinutes: 10,       // Aviso visual cuando queda poco tiempo
+
+  // Peso relativo de cada ítem según dificultad (la escala oficial pondera dificultad)
+  levelWeights: {
+    principiante: 1,
+    intermedio: 1.5,
+    avanzado: 2
+  }
+};
+
+// ============================================================================
+// 2. BLUEPRINT POR DOMINIO
+// ============================================================================
+
+/**
+ * Pesos normalizados (suman 1) a partir de la taxonomía oficial
+ */
+export function getDomainWeights() {
+  return getTaxonomyDomainWeights();
+}
+
+/**
+ * Reparte `total` ítems entre dominios por el método del mayor residuo
+ */
+function allocateByWeight(total, weights) {
+  const entries = Object.entries(weights);
+  const exact = entries.map(([domain, weight]) => ({
+    domain,
+    floor: Math.floor(total * weight),
+    remainder: (total * weight) % 1
+  }));
+
+  let assigned = exact.reduce((sum, entry) => sum + entry.floor, 0);
+  exact
+    .sort((a, b) => b.remainder - a.remainder)
+    .forEach((entry) => {
+      if (assigned < total) {
+        entry.floor += 1;
+        assigned += 1;
+      }
+    });
+
+  return exact.reduce((acc, entry) => {
+    acc[entry.domain] = entry.floor;
+    return acc;
+  }, {});
+}
+
+function shuffle(array) {
+  const shuffled = [...array];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+/**
+ * Ensambla un formulario respetando la ponderación oficial.
+ * Si el banco no tiene suficientes ítems en algún dominio, reduce el largo
+ * total del formulario para conservar las proporciones del blueprint.
+ *
+ * @param {Object} options
+ * @param {number} options.targetQuestions - Largo deseado del formulario
+ * @param {Object} options.bank - Banco agrupado por dominio y nivel (default: preguntasEjemplo)
+ * @returns {{ questions: Array, blueprint: Object, limitedByBank: boolean }}
+ */
+export function assembleMockExam({ targetQuestions = MOCK_EXAM_CONFIG.targetQuestions, bank = preguntasEjemplo } = {}) {
+  const weights = getDomainWeights();
+  // Un id repetido en el banco solo entra una vez: el formulario y el seguimiento usan el id como clave
+  const seenIds = new Set();
+  const pools = Object.keys(weights).reduce((acc, domain) => {
+    const byLevel = bank[domain] || {};
+    acc[domain] = Object.values(byLevel).flat().filter((question) => {
+      if (!question || seenIds.has(question.id)) return false;
+      seenIds.add(question.id);
+      return true;
+    });
+    return acc;
+  }, {});
+
+  // Largo máximo que el banco soporta sin romper las proporciones
+  const supported = Object.entries(weights).reduce((max, [domain, weight]) => {
+    if (weight <= 0) return max;
+    return Math.min(max, Math.floor(pools[domain].length / weight));
+  }, Infinity);
+  const total = Math.max(0, Math.min(targetQuestions, supported));
+  const allocation = allocateByWeight(total, weights);
+
+  const blueprint = {};
+  const questions = [];
+
+  Object.entries(allocation).forEach(([domain, count]) => {
+    const selected = shuffle(pools[domain]).slice(0, count);
+    blueprint[domain] = {
+      weight: weights[domain],
+      planned: count,
+      selected: selected.length
+    };
+    selected.forEach((question) => questions.push({ ...question, blueprintDomain: domain }));
+  });
+
+  return {
+    questions: shuffle(questions),
+    blueprint,
+    limitedByBank: total < targetQuestions
+  };
+}
+
+// ============================================================================
+// 3. PUNTUACIÓN ESCALADA
+// ============================================================================
+
+/**
+ * Califica el simulacro: cada ítem aporta según su dificultad y el resultado
+ * se lleva a la escala 0-1000 del examen real.
+ *
+ * @param {Array} questions - Preguntas del formulario (con blueprintDomain)
+ * @param {Object} answers - Respuestas indexadas por posición
+ */
+export function scoreMockExam(questions, answers) {
+  const safeQuestions = Array.isArray(questions) ? questions : [];
+  const safeAnswers = answers || {};
+  const domainBreakdown = {};
+  let earned = 0;
+  let possible = 0;
+  let correct = 0;
+
+  safeQuestions.forEach((question, index) => {
+    const weight = MOCK_EXAM_CONFIG.levelWeights[question.nivel] || 1;
+    const domain = question.blueprintDomain || question.dominio;
+    const { isCorrect, credit } = scoreAnswer(question, safeAnswers[index]);
+
+    if (!domainBreakdown[domain]) {
+      domainBreakdown[domain] = { total: 0, correct: 0, earned: 0, possible: 0 };
+    }
+
+    possible += weight;
+    domainBreakdown[domain].total += 1;
+    domainBreakdown[domain].possible += weight;
+
+    // Crédito parcial en formatos compuestos (selección múltiple, ordenamiento, etc.)
+    earned += weight * credit;
+    domainBreakdown[domain].earned += weight * credit;
+
+    if (isCorrect) {
+      correct += 1;
+      domainBreakdown[domain].correct += 1;
+    }
+  });
+
+  Object.values(domainBreakdown).forEach((stats) => {
+    stats.scaledScore = stats.possible > 0
+      ? Math.round((stats.earned / stats.possible) * MOCK_EXAM_CONFIG.maxScore)
+      : 0;
+  });
+
+  const scaledScore = possible > 0
+    ? Math.round((earned / possible) * MOCK_EXAM_CONFIG.maxScore)
+    : 0;
+
+  return {
+    scaledScore,
+    passingScore: MOCK_EXAM_CONFIG.passingScore,
+    passed: scaledScore >= MOCK_EXAM_CONFIG.passingScore,
+    correct,
+    total: safeQuestions.length,
+    domainBreakdown
+  };
+}
@@ -0,0 +1,20 @@
+import { assembleMockExam, getDomainWeights } from './mockExam';
+
+// Banco mínimo: 10 preguntas por dominio y un id repetido en el primero
+const buildBank = () => Object.keys(getDomainWeights()).reduce((bank, domain, domainIndex) => {
+  const questions = Array.from({ length: 10 }, (_, i) => ({ id: `${domain}_${i}`, nivel: 'principiante', dominio: domain }));
+  if (domainIndex === 0) questions.push({ ...questions[0], pregunta: 'Otra pregunta con el mismo id' });
+  bank[domain] = { principiante: questions };
+  return bank;
+}, {});
+
+describe('assembleMockExam', () => {
+  test('no repite ids aunque el banco tenga duplicados', () => {
+    const bank = buildBank();
+    for (let i = 0; i < 20; i += 1) {
+      const { questions } = assembleMockExam({ targetQuestions: 40, bank });
+      const ids = questions.map(question => question.id);
+      expect(new Set(ids).size).toBe(ids.length);
+    }
+  });
+});
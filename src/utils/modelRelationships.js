@@ -0,0 +1,301 @@
+/**
+ * modelRelationships.js - Validación de relaciones de un modelo estrella
+ * Cada relación es un objeto serializable { from, to, cardinality, crossFilter, active }
+ * donde from/to son referencias "Tabla[Columna]". Se compara contra las relaciones
+ * esperadas del ejercicio y se detectan rutas de filtro ambiguas.
+ */
+
+export const CARDINALITIES = {
+  '1:*': { label: 'Uno a varios (1:*)', from: '1', to: '*' },
+  '*:1': { label: 'Varios a uno (*:1)', from: '*', to: '1' },
+  '1:1': { label: 'Uno a uno (1:1)', from: '1', to: '1' },
+  '*:*': { label: 'Varios a varios (*:*)', from: '*', to: '*' }
+};
+
+export const CROSS_FILTER_DIRECTIONS = {
+  single: { label: 'Única' },
+  both: { label: 'Ambas' }
+};
+
+const FLIPPED_CARDINALITY = { '1:*': '*:1', '*:1': '1:*', '1:1': '1:1', '*:*': '*:*' };
+
+export const parseColumnRef = (ref = '') => {
+  const match = /^(.+)\[(.+)\]$/.exec(ref);
+  return match ? { table: match[1], column: match[2] } : null;
+};
+
+// Misma relación con los extremos invertidos; en *:* de dirección única también invierte el filtro
+export const reverseRelationship = (relationship) => ({
+  ...relationship,
+  from: relationship.to,
+  to: relationship.from,
+  cardinality: FLIPPED_CARDINALITY[relationship.cardinality]
+});
+
+// Clave sin orientación: A–B y B–A son la misma relación
+export const relationshipKey = ({ from, to }) => [from, to].sort().join(' — ');
+
+const columnValues = (tables, ref) => {
+  const parsed = parseColumnRef(ref);
+  const table = parsed && tables[parsed.table];
+  const index = table ? table.columns.indexOf(parsed.column) : -1;
+  if (index === -1) return null;
+  return table.rows.map(row => row[index]).filter(value => value !== null && value !== '');
+};
+
+export const isColumnUnique = (tables, ref) => {
+  const values = columnValues(tables, ref);
+  return values !== null && new Set(values).size === values.length;
+};
+
+// Cardinalidad que dictan los datos: el lado "1" no puede repetir valores
+export const inferCardinality = (tables, from, to) => {
+  const fromUnique = isColumnUnique(tables, from);
+  const toUnique = isColumnUnique(tables, to);
+  if (fromUnique && toUnique) return '1:1';
+  if (fromUnique) return '1:*';
+  if (toUnique) return '*:1';
+  return '*:*';
+};
+
+/**
+ * Sentidos en los que fluye el filtro de una relación, como pares [origen, destino]
+ * de tablas. En 1:* el filtro va del lado 1 al lado varios; 1:1 siempre filtra en
+ * ambas direcciones; en *:* con dirección única el filtro va de "from" a "to".
+ */
+export const filterEdges = ({ from, to, cardinality, crossFilter }) => {
+  const fromTable = parseColumnRef(from)?.table;
+  const toTable = parseColumnRef(to)?.table;
+  if (!fromTable || !toTable) return [];
+
+  const forward = cardinality === '*:1' ? [toTable, fromTable] : [fromTable, toTable];
+  if (crossFilter === 'both' || cardinality === '1:1') {
+    return [forward, [forward[1], forward[0]]];
+  }
+  return [forward];
+};
+
+export const describeRelationship = ({ from, to, cardinality, crossFilter, active }) => {
+  const { from: fromSide, to: toSide } = CARDINALITIES[cardinality] || CARDINALITIES['1:*'];
+  const arrow = crossFilter === 'both' || cardinality === '1:1' ? '⇄' : '→';
+  return `${from} (${fromSide}) ${arrow} (${toSide}) ${to}${active === false ? ' · inactiva' : ''}`;
+};
+
+/**
+ * Busca pares de tablas a los que un filtro llega por más de un camino de
+ * relaciones activas. Power BI no permite activar una relación que cree esa
+ * ambigüedad porque no sabría qué ruta usar.
+ */
+export const findAmbiguousPaths = (relationships = []) => {
+  const adjacency = {};
+  relationships
+    .filter(relationship => relationship.active !== false)
+    .flatMap(filterEdges)
+    .forEach(([source, target]) => {
+      adjacency[source] = adjacency[source] || new Set();
+      adjacency[source].add(target);
+    });
+
+  const ambiguities = [];
+  Object.keys(adjacency).sort().forEach(source => {
+    const pathsByTarget = {};
+    const walk = (table, path) => {
+      (adjacency[table] || new Set()).forEach(next => {
+        if (path.includes(next)) return;
+        const nextPath = [...path, next];
+        pathsByTarget[next] = [...(pathsByTarget[next] || []), nextPath];
+        walk(next, nextPath);
+      });
+    };
+    walk(source, [source]);
+
+    Object.entries(pathsByTarget)
+      .filter(([, paths]) => paths.length > 1)
+      .forEach(([target, paths]) => {
+        ambiguities.push({ source, target, paths: [...paths].sort((a, b) => a.length - b.length) });
+      });
+  });
+  return ambiguities;
+};
+
+// Mismo flujo de filtro sin importar cómo se orientó la relación
+const sameFilterFlow = (actual, expected) => {
+  const serialize = (relationship) => filterEdges(relationship).map(edge => edge.join('→')).sort().join('|');
+  return serialize(actual) === serialize(expected);
+};
+
+const directionFeedback = (actual, expected) => {
+  const actualBoth = filterEdges(actual).length === 2;
+  const expectedBoth = filterEdges(expected).length === 2;
+  const label = relationshipKey(expected);
+  if (actualBoth && !expectedBoth) {
+    return `Filtro bidireccional innecesario en ${label}: deja que la tabla del lado "varios" filtre a la otra, lo que abre rutas ambiguas y hace el modelo más lento. Reserva "Ambas" para casos como una tabla puente.`;
+  }
+  if (!actualBoth && expectedBoth) {
+    return `Con dirección única en ${label} el filtro no llega a todas las tablas que lo necesitan.`;
+  }
+  const [[source, target]] = filterEdges(expected);
+  return `En ${label} el filtro debe ir de ${source} hacia ${target}.`;
+};
+
+const cardinalityFeedback = (tables, actual, expectedCardinality, expected) => {
+  const label = relationshipKey(expected);
+  const uniqueness = [expected.from, expected.to]
+    .map(ref => `${ref} ${isColumnUnique(tables, ref) ? 'no repite valores' : 'repite valores'}`)
+    .join(' y ');
+  const manyToManyNote = actual === '*:*' && expectedCardinality !== '*:*'
+    ? ' Usar *:* cuando uno de los lados es único oculta errores de clave y filtra de forma menos predecible.'
+    : '';
+  return `La cardinalidad de ${label} debería ser ${expectedCardinality}: ${uniqueness}.${manyToManyNote}`;
+};
+
+// Claves del lado "varios" sin fila en el lado "1": aparecerán como (En blanco)
+const orphanKeys = (tables, relationship) => {
+  if (relationship.cardinality === '*:*') return [];
+  const [oneRef, manyRef] = relationship.cardinality === '*:1'
+    ? [relationship.to, relationship.from]
+    : [relationship.from, relationship.to];
+  const oneValues = new Set(columnValues(tables, oneRef) || []);
+  return [...new Set(columnValues(tables, manyRef) || [])].filter(value => !oneValues.has(value));
+};
+
+/**
+ * Compara el diseño del alumno con las relaciones esperadas.
+ * Devuelve { correct, score, checks, issues }: cada relación esperada aporta
+ * cuatro comprobaciones (existe, cardinalidad, dirección y activa) y las
+ * relaciones de más o las rutas ambiguas suman comprobaciones fallidas.
+ */
+export const validateModelDesign = (tables, relationships = [], expectedRelationships = []) => {
+  const checks = [];
+  const issues = [];
+  const pending = [...relationships];
+
+  relationships.forEach(relationship => {
+    const fromRef = parseColumnRef(relationship.from);
+    const toRef = parseColumnRef(relationship.to);
+    if (!fromRef || !toRef || columnValues(tables, relationship.from) === null || columnValues(tables, relationship.to) === null) {
+      issues.push({ severity: 'error', code: 'invalid-column', message: `La relación ${relationship.from} — ${relationship.to} usa una columna que no existe.` });
+    } else if (fromRef.table === toRef.table) {
+      issues.push({ severity: 'error', code: 'same-table', message: `${relationship.from} y ${relationship.to} están en la misma tabla.` });
+    }
+  });
+
+  expectedRelationships.forEach(expected => {
+    const key = relationshipKey(expected);
+    const index = pending.findIndex(relationship => relationshipKey(relationship) === key);
+    const actual = index === -1 ? null : pending.splice(index, 1)[0];
+
+    if (!actual) {
+      checks.push(
+        { label: `${key}: existe`, ok: false },
+        { label: `${key}: cardinalidad`, ok: false },
+        { label: `${key}: dirección`, ok: false },
+        { label: `${key}: activa`, ok: false }
+      );
+      issues.push({ severity: 'error', code: 'missing', message: `Falta la relación ${key}. ${expected.motivo || ''}`.trim() });
+      return;
+    }
+
+    const reversed = actual.from !== expected.from;
+    const actualCardinality = reversed ? FLIPPED_CARDINALITY[actual.cardinality] : actual.cardinality;
+    const cardinalityOk = actualCardinality === expected.cardinality;
+    const directionOk = sameFilterFlow(actual, expected);
+    const activeOk = (actual.active !== false) === (expected.active !== false);
+
+    checks.push(
+      { label: `${key}: existe`, ok: true },
+      { label: `${key}: cardinalidad`, ok: cardinalityOk },
+      { label: `${key}: dirección`, ok: directionOk },
+      { label: `${key}: activa`, ok: activeOk }
+    );
+
+    if (!cardinalityOk) {
+      issues.push({ severity: 'error', code: 'cardinality', message: cardinalityFeedback(tables, actualCardinality, expected.cardinality, expected) });
+    } else if (!directionOk) {
+      issues.push({ severity: 'error', code: 'direction', message: directionFeedback(actual, expected) });
+    }
+    if (!activeOk) {
+      const message = expected.active === false
+        ? `${key} debe quedar inactiva: ya hay otra relación activa entre esas tablas y esta se usa solo con USERELATIONSHIP.`
+        : `${key} debe estar activa para que los filtros la usen por defecto.`;
+      issues.push({ severity: 'error', code: 'active', message: `${message} ${expected.motivo || ''}`.trim() });
+    }
+
+    if (cardinalityOk) {
+      const orphans = orphanKeys(tables, actual);
+      if (orphans.length > 0) {
+        issues.push({
+          severity: 'warning',
+          code: 'orphan-keys',
+          message: `${key}: ${orphans.join(', ')} no existe en la tabla del lado 1; esas filas se agruparán como (En blanco).`
+        });
+      }
+    }
+  });
+
+  pending.forEach(relationship => {
+    const key = relationshipKey(relationship);
+    const tablesOf = (rel) => [parseColumnRef(rel.from)?.table, parseColumnRef(rel.to)?.table].sort().join('|');
+    const sameTables = expectedRelationships.some(expected => tablesOf(expected) === tablesOf(relationship));
+    checks.push({ label: `${key}: no debería existir`, ok: false });
+    issues.push({
+      severity: 'error',
+      code: 'extra',
+      message: sameTables
+        ? `${key} une las tablas correctas pero con columnas distintas a las esperadas.`
+        : `${key} no forma parte del diseño: relacionar esas tablas directamente crea caminos de filtro que el modelo no necesita.`
+    });
+  });
+
+  // Dos relaciones activas entre el mismo par de tablas
+  const activeByTables = {};
+  relationships.filter(relationship => relationship.active !== false).forEach(relationship => {
+    const pair = [parseColumnRef(relationship.from)?.table, parseColumnRef(relationship.to)?.table].sort().join(' y ');
+    activeByTables[pair] = (activeByTables[pair] || 0) + 1;
+  });
+  Object.entries(activeByTables)
+    .filter(([, count]) => count > 1)
+    .forEach(([pair]) => {
+      issues.push({
+        severity: 'error',
+        code: 'duplicate-active',
+        message: `Entre ${pair} solo puede haber una relación activa; marca las demás como inactivas y actívalas en una medida con USERELATIONSHIP.`
+      });
+    });
+
+  findAmbiguousPaths(relationships).forEach(({ source, target, paths }) => {
+    checks.push({ label: `Ruta única de ${source} a ${target}`, ok: false });
+    issues.push({
+      severity: 'error',
+      code: 'ambiguity',
+      message: `Ambigüedad: el filtro de ${source} llega a ${target} por ${paths.length} caminos (${paths.map(path => path.join(' → ')).join(' | ')}). Suele deberse a un filtro bidireccional; Power BI no sabría qué ruta aplicar.`
+    });
+  });
+
+  const passed = checks.filter(check => check.ok).length;
+  const score = checks.length > 0 ? Math.round((passed / checks.length) * 100) : 0;
+  const blocking = issues.some(issue => issue.severity === 'error');
+
+  return {
+    correct: checks.length > 0 && passed === checks.length && !blocking,
+    score,
+    checks,
+    issues
+  };
+};
+
+const ModelRelationships = {
+  CARDINALITIES,
+  CROSS_FILTER_DIRECTIONS,
+  parseColumnRef,
+  reverseRelationship,
+  relationshipKey,
+  isColumnUnique,
+  inferCardinality,
+  filterEdges,
+  describeRelationship,
+  findAmbiguousPaths,
+  validateModelDesign
+};
+
+export default ModelRelationships;
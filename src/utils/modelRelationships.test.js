@@ -0,0 +1,87 @@
+import { MODEL_DESIGN_EXERCISES, getModelDesignExercise } from '../data/modelDesignExercises';
+import { reverseRelationship, validateModelDesign } from './modelRelationships';
+
+// Relaciones tal como las crea el alumno (sin el motivo del ejercicio)
+const solutionOf = (exercise) => exercise.esperadas.map(({ motivo, ...relationship }) => relationship);
+
+const validate = (id, change) => {
+  const exercise = getModelDesignExercise(id);
+  return validateModelDesign(exercise.tablas, change(solutionOf(exercise)), exercise.esperadas);
+};
+
+const codesOf = (result) => result.issues.map(issue => issue.code);
+
+describe('validateModelDesign', () => {
+  test.each(MODEL_DESIGN_EXERCISES.map(exercise => [exercise.id, exercise]))('%s: las relaciones esperadas son correctas', (_, exercise) => {
+    const result = validateModelDesign(exercise.tablas, solutionOf(exercise), exercise.esperadas);
+    expect(result).toMatchObject({ correct: true, score: 100 });
+    expect(result.issues.filter(issue => issue.severity === 'error')).toEqual([]);
+  });
+
+  test('crear la relación desde el otro extremo también es correcto', () => {
+    const result = validate('model_rel_003', relationships => relationships.map(reverseRelationship));
+    expect(result).toMatchObject({ correct: true, score: 100 });
+  });
+
+  test('claves huérfanas avisan sin quitar puntos', () => {
+    const result = validate('model_rel_001', relationships => relationships);
+    expect(result.correct).toBe(true);
+    expect(result.issues).toEqual([expect.objectContaining({ severity: 'warning', code: 'orphan-keys' })]);
+    expect(result.issues[0].message).toContain('C9');
+  });
+
+  test('parcial: falta una relación, puntúan las comprobaciones de la otra', () => {
+    const result = validate('model_rel_001', ([producto]) => [producto]);
+    expect(result).toMatchObject({ correct: false, score: 50 });
+    expect(codesOf(result)).toContain('missing');
+  });
+
+  test('parcial: cardinalidad equivocada explica qué lado repite valores', () => {
+    const result = validate('model_rel_001', ([producto, cliente]) => [{ ...producto, cardinality: '*:*' }, cliente]);
+    expect(result.correct).toBe(false);
+    expect(result.score).toBe(88);
+    const issue = result.issues.find(item => item.code === 'cardinality');
+    expect(issue.message).toContain('Producto[ProductoID] no repite valores y Ventas[ProductoID] repite valores');
+    expect(issue.message).toContain('*:*');
+  });
+
+  test('parcial: filtro bidireccional innecesario', () => {
+    const result = validate('model_rel_001', ([producto, cliente]) => [{ ...producto, crossFilter: 'both' }, cliente]);
+    expect(result).toMatchObject({ correct: false, score: 88 });
+    expect(result.issues.find(item => item.code === 'direction').message).toMatch(/^Filtro bidireccional innecesario/);
+  });
+
+  test('incorrecto: dos relaciones activas entre las mismas tablas', () => {
+    const result = validate('model_rel_002', relationships => relationships.map(relationship => ({ ...relationship, active: true })));
+    expect(result.correct).toBe(false);
+    expect(codesOf(result)).toEqual(expect.arrayContaining(['active', 'duplicate-active']));
+  });
+
+  test('incorrecto: un filtro bidireccional hacia un hecho crea una ruta ambigua', () => {
+    const result = validate('model_rel_005', ([producto, ...rest]) => [{ ...producto, crossFilter: 'both' }, ...rest]);
+    const ambiguity = result.issues.find(item => item.code === 'ambiguity');
+
+    expect(result.correct).toBe(false);
+    expect(ambiguity.message).toContain('Calendario');
+    expect(result.checks).toEqual(expect.arrayContaining([{ label: 'Ruta única de Calendario a Devoluciones', ok: false }]));
+  });
+
+  test('incorrecto: relacionar dos tablas de hechos entre sí', () => {
+    const result = validate('model_rel_005', relationships => [
+      ...relationships,
+      { from: 'Ventas[ProductoID]', to: 'Devoluciones[ProductoID]', cardinality: '*:*', crossFilter: 'single', active: true }
+    ]);
+    expect(result.correct).toBe(false);
+    expect(result.issues.find(item => item.code === 'extra').message).toContain('no forma parte del diseño');
+  });
+
+  test('una columna que no existe es un error', () => {
+    const result = validate('model_rel_001', ([producto, cliente]) => [{ ...producto, to: 'Ventas[Producto]' }, cliente]);
+    expect(result.correct).toBe(false);
+    expect(codesOf(result)).toEqual(expect.arrayContaining(['invalid-column', 'missing', 'extra']));
+  });
+
+  test('sin relaciones esperadas ni creadas no hay nada que aprobar', () => {
+    expect(validateModelDesign({}, [], [])).toMatchObject({ correct: false, score: 0 });
+  });
+});
@@ -0,0 +1,580 @@
+/**
+ * powerQuerySimulator.js - Motor de "Pasos aplicados" estilo Power Query
+ * Cada paso es un objeto serializable { type, ...params } que transforma una
+ * tabla en memoria ({ columns, rows }) y tiene su equivalente en código M
+ */
+
+import { parseFlexibleDate } from './dataCleaning';
+import { parseLocaleNumber } from './spreadsheet';
+
+// Valor de celda que no se pudo convertir (como "Error" en el editor de Power Query)
+export const CELL_ERROR = Object.freeze({ error: 'DataFormat.Error' });
+
+export const isCellError = (value) => value === CELL_ERROR;
+
+export const FILTER_OPERATORS = {
+  equals: { label: 'es igual a', m: '=' },
+  not_equals: { label: 'no es igual a', m: '<>' },
+  greater: { label: 'es mayor que', m: '>' },
+  greater_equal: { label: 'es mayor o igual que', m: '>=' },
+  less: { label: 'es menor que', m: '<' },
+  less_equal: { label: 'es menor o igual que', m: '<=' },
+  contains: { label: 'contiene' },
+  is_null: { label: 'es null', noValue: true },
+  is_not_null: { label: 'no es null', noValue: true }
+};
+
+export const DATA_TYPES = {
+  number: { label: 'Número decimal', m: 'type number' },
+  integer: { label: 'Número entero', m: 'Int64.Type' },
+  text: { label: 'Texto', m: 'type text' },
+  date: { label: 'Fecha', m: 'type date' }
+};
+
+export const JOIN_KINDS = {
+  left_outer: { label: 'Externa izquierda', m: 'JoinKind.LeftOuter' },
+  inner: { label: 'Interna', m: 'JoinKind.Inner' },
+  left_anti: { label: 'Anti izquierda', m: 'JoinKind.LeftAnti' }
+};
+
+export const AGGREGATIONS = {
+  sum: { label: 'Suma', m: 'List.Sum' },
+  count: { label: 'Recuento de filas' },
+  avg: { label: 'Promedio', m: 'List.Average' },
+  min: { label: 'Mínimo', m: 'List.Min' },
+  max: { label: 'Máximo', m: 'List.Max' }
+};
+
+const toOptions = (catalog) => Object.entries(catalog).map(([value, { label }]) => ({ value, label }));
+
+/**
+ * Catálogo de pasos: "fields" describe el formulario del constructor de pasos
+ * (kind: column | columns | text | select | table | tableColumn | tableColumns)
+ */
+export const QUERY_STEP_TYPES = {
+  filter_rows: {
+    label: 'Filtrar filas',
+    icon: '🔽',
+    stepName: 'Filas filtradas',
+    fields: [
+      { name: 'column', label: 'Columna', kind: 'column' },
+      { name: 'operator', label: 'Condición', kind: 'select', options: toOptions(FILTER_OPERATORS) },
+      { name: 'value', label: 'Valor', kind: 'text', optional: true }
+    ]
+  },
+  replace_values: {
+    label: 'Reemplazar valores',
+    icon: '🔁',
+    stepName: 'Valor reemplazado',
+    fields: [
+      { name: 'column', label: 'Columna', kind: 'column' },
+      { name: 'find', label: 'Valor que buscar (null = vacío)', kind: 'text' },
+      { name: 'replaceWith', label: 'Reemplazar con', kind: 'text', optional: true }
+    ]
+  },
+  change_type: {
+    label: 'Cambiar tipo',
+    icon: '🔢',
+    stepName: 'Tipo cambiado',
+    fields: [
+      { name: 'column', label: 'Columna', kind: 'column' },
+      { name: 'dataType', label: 'Tipo de datos', kind: 'select', options: toOptions(DATA_TYPES) }
+    ]
+  },
+  unpivot: {
+    label: 'Anular dinamización de columnas',
+    icon: '↕️',
+    stepName: 'Columnas con anulación de dinamización',
+    fields: [
+      { name: 'columns', label: 'Columnas a anular', kind: 'columns' },
+      { name: 'attributeColumn', label: 'Nombre de la columna atributo', kind: 'text' },
+      { name: 'valueColumn', label: 'Nombre de la columna valor', kind: 'text' }
+    ]
+  },
+  merge: {
+    label: 'Combinar consultas',
+    icon: '🔗',
+    stepName: 'Consultas combinadas',
+    fields: [
+      { name: 'table', label: 'Tabla a combinar', kind: 'table' },
+      { name: 'leftKey', label: 'Columna clave (esta consulta)', kind: 'column' },
+      { name: 'rightKey', label: 'Columna clave (otra tabla)', kind: 'tableColumn' },
+      { name: 'joinKind', label: 'Tipo de combinación', kind: 'select', options: toOptions(JOIN_KINDS) },
+      { name: 'columns', label: 'Columnas a expandir', kind: 'tableColumns', optional: true }
+    ]
+  },
+  group_by: {
+    label: 'Agrupar por',
+    icon: '🧮',
+    stepName: 'Filas agrupadas',
+    fields: [
+      { name: 'keys', label: 'Agrupar por', kind: 'columns' },
+      { name: 'op', label: 'Operación', kind: 'select', options: toOptions(AGGREGATIONS) },
+      { name: 'column', label: 'Columna', kind: 'column', optional: true },
+      { name: 'as', label: 'Nombre de la nueva columna', kind: 'text' }
+    ]
+  },
+  remove_columns: {
+    label: 'Quitar columnas',
+    icon: '✂️',
+    stepName: 'Columnas quitadas',
+    fields: [
+      { name: 'columns', label: 'Columnas a quitar', kind: 'columns' }
+    ]
+  }
+};
+
+// ============================================================================
+// TABLAS
+// ============================================================================
+
+/**
+ * Normaliza una tabla escrita como { columns, rows: [[...], ...] } a filas-objeto
+ */
+export const toTable = ({ columns = [], rows = [] } = {}) => ({
+  columns: [...columns],
+  rows: rows.map(row => (Array.isArray(row)
+    ? columns.reduce((acc, column, index) => ({ ...acc, [column]: row[index] ?? null }), {})
+    : columns.reduce((acc, column) => ({ ...acc, [column]: row[column] ?? null }), {})))
+});
+
+const assertColumns = (table, columns) => {
+  const missing = columns.filter(column => !table.columns.includes(column));
+  if (missing.length > 0) {
+    throw new Error(`Expression.Error: no se encontró la columna "${missing[0]}" de la tabla.`);
+  }
+};
+
+const isNullValue = (value) => value === null || value === undefined;
+
+// Convierte el texto escrito en el formulario al tipo que ya tiene la columna
+export const coerceLiteral = (rows, column, text) => {
+  if (text === null || text === undefined) return null;
+  const trimmed = String(text).trim();
+  if (trimmed.toLowerCase() === 'null') return null;
+
+  const isNumericColumn = rows.some(row => typeof row[column] === 'number');
+  const parsed = parseLocaleNumber(trimmed);
+  return isNumericColumn && !Number.isNaN(parsed) ? parsed : String(text);
+};
+
+const compareValues = (a, b) => {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), 'es');
+};
+
+const convertValue = (value, dataType) => {
+  if (isNullValue(value) || isCellError(value)) return value;
+
+  switch (dataType) {
+    case 'number': {
+      const parsed = parseLocaleNumber(value);
+      return Number.isNaN(parsed) ? CELL_ERROR : parsed;
+    }
+    case 'integer': {
+      const parsed = parseLocaleNumber(value);
+      return Number.isNaN(parsed) ? CELL_ERROR : Math.round(parsed);
+    }
+    case 'date':
+      return parseFlexibleDate(value) || CELL_ERROR;
+    case 'text':
+      return String(value);
+    default:
+      return value;
+  }
+};
+
+const roundAmount = (value) => Math.round(value * 100) / 100;
+
+const aggregate = (rows, op, column) => {
+  if (op === 'count') return rows.length;
+
+  const values = rows.map(row => row[column]).filter(value => !isNullValue(value));
+  // Como en Power Query: agregar texto sin cambiar el tipo produce un error
+  if (values.some(value => typeof value !== 'number')) return CELL_ERROR;
+  if (values.length === 0) return null;
+
+  switch (op) {
+    case 'sum': return roundAmount(values.reduce((sum, value) => sum + value, 0));
+    case 'avg': return roundAmount(values.reduce((sum, value) => sum + value, 0) / values.length);
+    case 'min': return Math.min(...values);
+    case 'max': return Math.max(...values);
+    default: return null;
+  }
+};
+
+// ============================================================================
+// PASOS
+// ============================================================================
+
+/**
+ * Aplica un paso a una tabla. Lanza Error (mensaje estilo Power Query) si el
+ * paso hace referencia a columnas o tablas que no existen.
+ */
+export const applyQueryStep = (table, step, tables = {}) => {
+  switch (step.type) {
+    case 'filter_rows': {
+      assertColumns(table, [step.column]);
+      const operator = step.operator || 'equals';
+      const target = coerceLiteral(table.rows, step.column, step.value);
+      const matches = (value) => {
+        switch (operator) {
+          case 'is_null': return isNullValue(value);
+          case 'is_not_null': return !isNullValue(value);
+          case 'contains': return !isNullValue(value) && String(value).toLowerCase().includes(String(target ?? '').toLowerCase());
+          case 'equals': return value === target;
+          case 'not_equals': return value !== target;
+          default: {
+            if (isNullValue(value) || isNullValue(target)) return false;
+            const diff = compareValues(value, target);
+            if (operator === 'greater') return diff > 0;
+            if (operator === 'greater_equal') return diff >= 0;
+            if (operator === 'less') return diff < 0;
+            return diff <= 0;
+          }
+        }
+      };
+      return { ...table, rows: table.rows.filter(row => matches(row[step.column])) };
+    }
+
+    case 'replace_values': {
+      assertColumns(table, [step.column]);
+      const find = coerceLiteral(table.rows, step.column, step.find);
+      const replaceWith = coerceLiteral(table.rows, step.column, step.replaceWith ?? '');
+      return {
+        ...table,
+        rows: table.rows.map(row => (row[step.column] === find ? { ...row, [step.column]: replaceWith } : row))
+      };
+    }
+
+    case 'change_type':
+      assertColumns(table, [step.column]);
+      return {
+        ...table,
+        rows: table.rows.map(row => ({ ...row, [step.column]: convertValue(row[step.column], step.dataType) }))
+      };
+
+    case 'unpivot': {
+      const columns = step.columns || [];
+      assertColumns(table, columns);
+      const attributeColumn = step.attributeColumn || 'Atributo';
+      const valueColumn = step.valueColumn || 'Valor';
+      const kept = table.columns.filter(column => !columns.includes(column));
+      return {
+        columns: [...kept, attributeColumn, valueColumn],
+        // Table.Unpivot omite las celdas null
+        rows: table.rows.flatMap(row => columns
+          .filter(column => !isNullValue(row[column]))
+          .map(column => ({
+            ...kept.reduce((acc, key) => ({ ...acc, [key]: row[key] }), {}),
+            [attributeColumn]: column,
+            [valueColumn]: row[column]
+          })))
+      };
+    }
+
+    case 'merge': {
+      const other = tables[step.table];
+      if (!other) throw new Error(`Expression.Error: no se encontró la consulta "${step.table}".`);
+      assertColumns(table, [step.leftKey]);
+      assertColumns(other, [step.rightKey]);
+      const joinKind = step.joinKind || 'left_outer';
+      const expand = joinKind === 'left_anti' ? [] : (step.columns || []);
+      assertColumns(other, expand);
+
+      // Si el nombre ya existe se antepone el de la tabla, como al expandir en Power Query
+      const expandedNames = expand.map(column => (table.columns.includes(column) ? `${step.table}.${column}` : column));
+      const rows = table.rows.flatMap(row => {
+        const matches = other.rows.filter(candidate =>
+          !isNullValue(row[step.leftKey]) && candidate[step.rightKey] === row[step.leftKey]);
+        if (joinKind === 'left_anti') return matches.length === 0 ? [row] : [];
+        if (matches.length === 0) {
+          return joinKind === 'inner'
+            ? []
+            : [expandedNames.reduce((acc, name) => ({ ...acc, [name]: null }), { ...row })];
+        }
+        return matches.map(match => expand.reduce(
+          (acc, column, index) => ({ ...acc, [expandedNames[index]]: match[column] }),
+          { ...row }
+        ));
+      });
+      return { columns: [...table.columns, ...expandedNames], rows };
+    }
+
+    case 'group_by': {
+      const keys = step.keys || [];
+      assertColumns(table, step.op === 'count' ? keys : [...keys, step.column]);
+      const groups = new Map();
+      table.rows.forEach(row => {
+        const key = JSON.stringify(keys.map(column => row[column]));
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(row);
+      });
+      const as = step.as || 'Recuento';
+      return {
+        columns: [...keys, as],
+        rows: [...groups.values()].map(groupRows => ({
+          ...keys.reduce((acc, column) => ({ ...acc, [column]: groupRows[0][column] }), {}),
+          [as]: aggregate(groupRows, step.op, step.column)
+        }))
+      };
+    }
+
+    case 'remove_columns': {
+      const columns = step.columns || [];
+      assertColumns(table, columns);
+      const kept = table.columns.filter(column => !columns.includes(column));
+      return {
+        columns: kept,
+        rows: table.rows.map(row => kept.reduce((acc, column) => ({ ...acc, [column]: row[column] }), {}))
+      };
+    }
+
+    default:
+      throw new Error(`Paso desconocido: ${step.type}`);
+  }
+};
+
+/**
+ * Ejecuta la consulta paso a paso. Devuelve una vista previa por paso
+ * (índice 0 = Origen); a partir del primer error los pasos no se evalúan.
+ */
+export const runQuerySteps = (tables, source, steps = []) => {
+  const origin = { name: 'Origen', table: tables[source] || { columns: [], rows: [] }, error: null };
+  return steps.reduce((previews, step) => {
+    const previous = previews[previews.length - 1];
+    const name = QUERY_STEP_TYPES[step.type]?.stepName || step.type;
+    if (previous.error || !previous.table) {
+      return [...previews, { name, table: null, error: previous.error }];
+    }
+    try {
+      return [...previews, { name, table: applyQueryStep(previous.table, step, tables), error: null }];
+    } catch (error) {
+      return [...previews, { name, table: null, error: error.message }];
+    }
+  }, [origin]);
+};
+
+/**
+ * Un paso está listo para aplicarse cuando tiene todos sus campos obligatorios
+ */
+export const isStepComplete = (step) => {
+  const definition = QUERY_STEP_TYPES[step?.type];
+  if (!definition) return false;
+  if (step.type === 'group_by' && step.op !== 'count' && !step.column) return false;
+  return definition.fields.every(field => {
+    if (field.optional) return true;
+    const value = step[field.name];
+    return Array.isArray(value) ? value.length > 0 : !isNullValue(value) && String(value).trim() !== '';
+  });
+};
+
+/**
+ * Texto legible de un paso para la lista de "Pasos aplicados"
+ */
+export const describeQueryStep = (step) => {
+  const label = QUERY_STEP_TYPES[step.type]?.label || step.type;
+  switch (step.type) {
+    case 'filter_rows': {
+      const operator = FILTER_OPERATORS[step.operator] || FILTER_OPERATORS.equals;
+      return `${label}: ${step.column} ${operator.label}${operator.noValue ? '' : ` "${step.value}"`}`;
+    }
+    case 'replace_values':
+      return `${label} en ${step.column}: "${step.find}" → "${step.replaceWith ?? ''}"`;
+    case 'change_type':
+      return `${label}: ${step.column} → ${DATA_TYPES[step.dataType]?.label || step.dataType}`;
+    case 'unpivot':
+      return `${label}: ${(step.columns || []).join(', ')}`;
+    case 'merge':
+      return `${label} con ${step.table} (${step.leftKey} = ${step.rightKey})`;
+    case 'group_by':
+      return `${label} ${(step.keys || []).join(', ')}: ${AGGREGATIONS[step.op]?.label || step.op}${step.column && step.op !== 'count' ? ` de ${step.column}` : ''}`;
+    case 'remove_columns':
+      return `${label}: ${(step.columns || []).join(', ')}`;
+    default:
+      return label;
+  }
+};
+
+// ============================================================================
+// CÓDIGO M
+// ============================================================================
+
+const mIdentifier = (name) => (/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) ? name : `#"${name}"`);
+const mText = (value) => `"${String(value).replace(/"/g, '""')}"`;
+const mList = (values) => `{${values.map(mText).join(', ')}}`;
+
+const mLiteral = (value) => {
+  if (isNullValue(value)) return 'null';
+  if (typeof value === 'number') return String(value);
+  return mText(value);
+};
+
+const mStepExpression = (step, previous, rows) => {
+  switch (step.type) {
+    case 'filter_rows': {
+      const field = `[${step.column}]`;
+      const literal = mLiteral(coerceLiteral(rows, step.column, step.value));
+      if (step.operator === 'is_null') return `Table.SelectRows(${previous}, each ${field} = null)`;
+      if (step.operator === 'is_not_null') return `Table.SelectRows(${previous}, each ${field} <> null)`;
+      if (step.operator === 'contains') return `Table.SelectRows(${previous}, each Text.Contains(${field}, ${literal}))`;
+      return `Table.SelectRows(${previous}, each ${field} ${(FILTER_OPERATORS[step.operator] || FILTER_OPERATORS.equals).m} ${literal})`;
+    }
+    case 'replace_values':
+      return `Table.ReplaceValue(${previous}, ${mLiteral(coerceLiteral(rows, step.column, step.find))}, ${mLiteral(coerceLiteral(rows, step.column, step.replaceWith ?? ''))}, Replacer.ReplaceValue, {"${step.column}"})`;
+    case 'change_type':
+      return `Table.TransformColumnTypes(${previous}, {{"${step.column}", ${DATA_TYPES[step.dataType]?.m || 'type any'}}})`;
+    case 'unpivot':
+      return `Table.Unpivot(${previous}, ${mList(step.columns || [])}, ${mText(step.attributeColumn || 'Atributo')}, ${mText(step.valueColumn || 'Valor')})`;
+    case 'merge':
+      return `Table.NestedJoin(${previous}, {"${step.leftKey}"}, ${mIdentifier(step.table)}, {"${step.rightKey}"}, "${step.table}", ${(JOIN_KINDS[step.joinKind] || JOIN_KINDS.left_outer).m})`;
+    case 'group_by': {
+      const aggregation = step.op === 'count'
+        ? `each Table.RowCount(_), Int64.Type`
+        : `each ${(AGGREGATIONS[step.op] || AGGREGATIONS.sum).m}([${step.column}]), type nullable number`;
+      return `Table.Group(${previous}, ${mList(step.keys || [])}, {{${mText(step.as || 'Recuento')}, ${aggregation}}})`;
+    }
+    case 'remove_columns':
+      return `Table.RemoveColumns(${previous}, ${mList(step.columns || [])})`;
+    default:
+      return previous;
+  }
+};
+
+/**
+ * Genera la consulta M equivalente (let ... in) a la lista de pasos
+ */
+export const toMCode = (tables, source, steps = []) => {
+  const previews = runQuerySteps(tables, source, steps);
+  const usedNames = new Set(['Origen']);
+  const uniqueName = (base) => {
+    let name = base;
+    for (let suffix = 1; usedNames.has(name); suffix++) name = `${base} ${suffix}`;
+    usedNames.add(name);
+    return name;
+  };
+
+  const lines = [`    Origen = ${mIdentifier(source)}`];
+  let previous = 'Origen';
+  steps.forEach((step, index) => {
+    const rows = previews[index].table?.rows || [];
+    const name = uniqueName(QUERY_STEP_TYPES[step.type]?.stepName || step.type);
+    lines.push(`    ${mIdentifier(name)} = ${mStepExpression(step, mIdentifier(previous), rows)}`);
+    previous = name;
+
+    // La combinación son dos pasos en Power Query: NestedJoin + expandir la columna de tabla
+    if (step.type === 'merge' && step.joinKind !== 'left_anti') {
+      const expandName = uniqueName(`Se expandió ${step.table}`);
+      const expand = step.columns || [];
+      lines.push(`    ${mIdentifier(expandName)} = Table.ExpandTableColumn(${mIdentifier(previous)}, "${step.table}", ${mList(expand)}, ${mList(expand)})`);
+      previous = expandName;
+    } else if (step.type === 'merge') {
+      const removeName = uniqueName('Columnas quitadas');
+      lines.push(`    ${mIdentifier(removeName)} = Table.RemoveColumns(${mIdentifier(previous)}, {"${step.table}"})`);
+      previous = removeName;
+    }
+  });
+
+  return `let\n${lines.join(',\n')}\nin\n    ${mIdentifier(previous)}`;
+};
+
+// ============================================================================
+// CALIFICACIÓN
+// ============================================================================
+
+const normalizeCell = (value) => {
+  if (isCellError(value)) return '#error';
+  if (typeof value === 'number') return roundAmount(value);
+  return isNullValue(value) ? null : value;
+};
+
+// La clave "suelta" ignora el tipo: sirve para detectar que solo falta Cambiar tipo
+const looseCell = (value) => {
+  const normalized = normalizeCell(value);
+  if (normalized === null) return '';
+  const parsed = parseLocaleNumber(normalized);
+  return Number.isNaN(parsed) ? String(normalized).trim().toLowerCase() : String(roundAmount(parsed));
+};
+
+const countMatches = (actualRows, targetRows, toKey) => {
+  const pool = actualRows.reduce((acc, row) => {
+    const key = toKey(row);
+    acc.set(key, (acc.get(key) || 0) + 1);
+    return acc;
+  }, new Map());
+  return targetRows.reduce((matched, row) => {
+    const key = toKey(row);
+    if (!pool.get(key)) return matched;
+    pool.set(key, pool.get(key) - 1);
+    return matched + 1;
+  }, 0);
+};
+
+/**
+ * Compara la tabla obtenida con la tabla objetivo (sin importar el orden de
+ * filas ni de columnas). score 0-100; match solo si son idénticas.
+ */
+export const compareTables = (actual, target) => {
+  if (!actual) {
+    return { match: false, score: 0, missingColumns: target.columns, extraColumns: [], matchedRows: 0, typeMismatches: 0, feedback: ['La consulta tiene un error: corrígelo antes de comprobar.'] };
+  }
+
+  const missingColumns = target.columns.filter(column => !actual.columns.includes(column));
+  const extraColumns = actual.columns.filter(column => !target.columns.includes(column));
+  const shared = target.columns.filter(column => actual.columns.includes(column));
+
+  const strictKey = (row) => JSON.stringify(shared.map(column => normalizeCell(row[column])));
+  const looseKey = (row) => JSON.stringify(shared.map(column => looseCell(row[column])));
+  const matchedRows = countMatches(actual.rows, target.rows, strictKey);
+  const typeMismatches = countMatches(actual.rows, target.rows, looseKey) - matchedRows;
+
+  const columnScore = shared.length / (target.columns.length + extraColumns.length || 1);
+  const rowScore = matchedRows / (Math.max(actual.rows.length, target.rows.length) || 1);
+  const match = missingColumns.length === 0
+    && extraColumns.length === 0
+    && actual.rows.length === target.rows.length
+    && matchedRows === target.rows.length;
+
+  const feedback = [];
+  if (missingColumns.length > 0) feedback.push(`Faltan columnas: ${missingColumns.join(', ')}.`);
+  if (extraColumns.length > 0) feedback.push(`Sobran columnas: ${extraColumns.join(', ')}.`);
+  if (actual.rows.length !== target.rows.length) {
+    feedback.push(`Tu tabla tiene ${actual.rows.length} filas y el objetivo ${target.rows.length}.`);
+  }
+  if (typeMismatches > 0) {
+    feedback.push(`${typeMismatches} fila(s) tienen los valores correctos pero con otro tipo de datos: ¿falta un paso "Cambiar tipo"?`);
+  }
+  if (actual.rows.some(row => actual.columns.some(column => isCellError(row[column])))) {
+    feedback.push('Hay celdas con Error: revisa los cambios de tipo y las agregaciones sobre texto.');
+  }
+
+  return {
+    match,
+    score: match ? 100 : Math.round((columnScore * 0.3 + rowScore * 0.7) * 100),
+    missingColumns,
+    extraColumns,
+    matchedRows,
+    typeMismatches,
+    feedback
+  };
+};
+
+const PowerQuerySimulator = {
+  CELL_ERROR,
+  FILTER_OPERATORS,
+  DATA_TYPES,
+  JOIN_KINDS,
+  AGGREGATIONS,
+  QUERY_STEP_TYPES,
+  isCellError,
+  toTable,
+  coerceLiteral,
+  applyQueryStep,
+  runQuerySteps,
+  isStepComplete,
+  describeQueryStep,
+  toMCode,
+  compareTables
+};
+
+export default PowerQuerySimulator;
@@ -0,0 +1,64 @@
+import { POWER_QUERY_EXERCISES } from '../data/powerQueryExercises';
+import { compareTables, runQuerySteps, toTable } from './powerQuerySimulator';
+
+const exercise = (id) => POWER_QUERY_EXERCISES.find(item => item.id === id);
+
+const grade = (item, steps) => {
+  const tables = Object.fromEntries(Object.entries(item.tablas).map(([name, table]) => [name, toTable(table)]));
+  const previews = runQuerySteps(tables, item.origen, steps);
+  return compareTables(previews[previews.length - 1].table, toTable(item.objetivo));
+};
+
+describe('compareTables', () => {
+  test.each(POWER_QUERY_EXERCISES.map(item => [item.id, item]))('%s: la solución de referencia llega a la tabla objetivo', (_, item) => {
+    expect(grade(item, item.solucion)).toMatchObject({ match: true, score: 100, feedback: [] });
+  });
+
+  test('parcial: tipo cambiado pero sin filtrar, puntúa las filas correctas y avisa del recuento', () => {
+    const item = exercise('prep_pq_002');
+    const result = grade(item, [item.solucion[0]]);
+
+    expect(result).toMatchObject({ match: false, matchedRows: 3, missingColumns: [], extraColumns: [] });
+    expect(result.score).toBeGreaterThan(50);
+    expect(result.score).toBeLessThan(100);
+    expect(result.feedback).toEqual(['Tu tabla tiene 5 filas y el objetivo 3.']);
+  });
+
+  test('parcial: una columna de menos se reporta y resta puntuación de columnas', () => {
+    const item = exercise('prep_pq_002');
+    const result = grade(item, [...item.solucion, { type: 'remove_columns', columns: ['Cliente'] }]);
+
+    expect(result.match).toBe(false);
+    expect(result.missingColumns).toEqual(['Cliente']);
+    expect(result.feedback).toContain('Faltan columnas: Cliente.');
+  });
+
+  test('incorrecto: filtrar el texto antes de cambiar el tipo deja filas equivocadas', () => {
+    const item = exercise('prep_pq_002');
+    const inOrder = grade(item, item.solucion);
+    const reversed = grade(item, [...item.solucion].reverse());
+
+    expect(reversed.match).toBe(false);
+    expect(reversed.matchedRows).toBeLessThan(inOrder.matchedRows);
+    expect(reversed.score).toBeLessThan(inOrder.score);
+  });
+
+  test('incorrecto: mismos valores con otro tipo de datos sugiere "Cambiar tipo"', () => {
+    const item = exercise('prep_pq_001');
+    const result = grade(item, [
+      { type: 'change_type', column: 'Cantidad', dataType: 'text' },
+      ...item.solucion
+    ]);
+
+    expect(result).toMatchObject({ match: false, matchedRows: 0, typeMismatches: 5 });
+    expect(result.feedback.some(message => /Cambiar tipo/.test(message))).toBe(true);
+  });
+
+  test('una consulta con error no se califica', () => {
+    const item = exercise('prep_pq_001');
+    const result = grade(item, [{ type: 'merge', table: 'NoExiste', leftKey: 'PedidoID', rightKey: 'PedidoID', joinKind: 'left', columns: [] }]);
+
+    expect(result).toMatchObject({ match: false, score: 0 });
+    expect(result.feedback[0]).toMatch(/error/);
+  });
+});
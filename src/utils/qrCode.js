@@ -0,0 +1,375 @@
+/**
+ * qrCode.js - Codificador QR (modo byte) sin dependencias
+ * Genera la matriz de módulos de un código QR (versiones 1-40, niveles L y M)
+ * para mostrar en SVG los fragmentos de la sincronización entre dispositivos.
+ * Sigue la norma ISO/IEC 18004: Reed-Solomon sobre GF(256), bloques
+ * intercalados y la máscara de menor penalización.
+ */
+
+// Índice = versión (la posición 0 no se usa)
+const ECC_CODEWORDS_PER_BLOCK = {
+  L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28]
+};
+
+const NUM_ERROR_CORRECTION_BLOCKS = {
+  L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49]
+};
+
+const FORMAT_BITS = { L: 1, M: 0 };
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// --------- Capacidad ---------
+
+const getNumRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) result -= 36;
+  }
+  return result;
+};
+
+export const getNumDataCodewords = (version, ecc) =>
+  Math.floor(getNumRawDataModules(version) / 8)
+  - ECC_CODEWORDS_PER_BLOCK[ecc][version] * NUM_ERROR_CORRECTION_BLOCKS[ecc][version];
+
+// --------- Reed-Solomon sobre GF(2^8) con polinomio 0x11D ---------
+
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i -= 1) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree - 1).fill(0).concat([1]);
+  let root = 1;
+  for (let i = 0; i < degree; i += 1) {
+    for (let j = 0; j < result.length; j += 1) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) result[j] ^= result[j + 1];
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+export const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  data.forEach((byte) => {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, index) => {
+      result[index] ^= gfMultiply(coefficient, factor);
+    });
+  });
+  return result;
+};
+
+// --------- Codewords ---------
+
+const buildDataCodewords = (bytes, version, ecc) => {
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i -= 1) bits.push((value >>> i) & 1);
+  };
+
+  append(0x4, 4); // modo byte
+  append(bytes.length, version < 10 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+
+  const capacityBits = getNumDataCodewords(version, ecc) * 8;
+  append(0, Math.min(4, capacityBits - bits.length));
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) append(pad, 8);
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((acc, bit) => (acc << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+const addEccAndInterleave = (data, version, ecc) => {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[ecc][version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[ecc][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i += 1) {
+    const block = data.slice(offset, offset + shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1));
+    offset += block.length;
+    const eccBytes = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) block.push(0);
+    blocks.push(block.concat(eccBytes));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i += 1) {
+    blocks.forEach((block, j) => {
+      // El byte de relleno de los bloques cortos no se transmite
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) result.push(block[i]);
+    });
+  }
+  return result;
+};
+
+// --------- Matriz ---------
+
+const getAlignmentPositions = (version, size) => {
+  if (version === 1) return [];
+  const numAlign = Math.floor(version / 7) + 2;
+  const step = version === 32 ? 26 : Math.ceil((version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+  const result = [6];
+  for (let position = size - 7; result.length < numAlign; position -= step) {
+    result.splice(1, 0, position);
+  }
+  return result;
+};
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+const createMatrix = (version) => {
+  const size = version * 4 + 17;
+  const modules = Array.from({ length: size }, () => new Array(size).fill(false));
+  const isFunction = Array.from({ length: size }, () => new Array(size).fill(false));
+  const setFunction = (x, y, dark) => {
+    modules[y][x] = dark;
+    isFunction[y][x] = true;
+  };
+  return { version, size, modules, isFunction, setFunction };
+};
+
+const drawFormatBits = (matrix, ecc, mask) => {
+  const { size, setFunction } = matrix;
+  const data = (FORMAT_BITS[ecc] << 3) | mask;
+  let remainder = data;
+  for (let i = 0; i < 10; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+  const bits = ((data << 10) | remainder) ^ 0x5412;
+
+  for (let i = 0; i <= 5; i += 1) setFunction(8, i, getBit(bits, i));
+  setFunction(8, 7, getBit(bits, 6));
+  setFunction(8, 8, getBit(bits, 7));
+  setFunction(7, 8, getBit(bits, 8));
+  for (let i = 9; i < 15; i += 1) setFunction(14 - i, 8, getBit(bits, i));
+
+  for (let i = 0; i < 8; i += 1) setFunction(size - 1 - i, 8, getBit(bits, i));
+  for (let i = 8; i < 15; i += 1) setFunction(8, size - 15 + i, getBit(bits, i));
+  setFunction(8, size - 8, true); // módulo oscuro fijo
+};
+
+const drawFunctionPatterns = (matrix, ecc) => {
+  const { version, size, setFunction } = matrix;
+
+  for (let i = 0; i < size; i += 1) {
+    setFunction(6, i, i % 2 === 0);
+    setFunction(i, 6, i % 2 === 0);
+  }
+
+  [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([cx, cy]) => {
+    for (let dy = -4; dy <= 4; dy += 1) {
+      for (let dx = -4; dx <= 4; dx += 1) {
+        const distance = Math.max(Math.abs(dx), Math.abs(dy));
+        const x = cx + dx;
+        const y = cy + dy;
+        if (x >= 0 && x < size && y >= 0 && y < size) setFunction(x, y, distance !== 2 && distance !== 4);
+      }
+    }
+  });
+
+  const positions = getAlignmentPositions(version, size);
+  const last = positions.length - 1;
+  positions.forEach((px, i) => {
+    positions.forEach((py, j) => {
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+      for (let dy = -2; dy <= 2; dy += 1) {
+        for (let dx = -2; dx <= 2; dx += 1) {
+          setFunction(px + dx, py + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    });
+  });
+
+  // Se reservan las zonas de formato; los bits reales se escriben con la máscara elegida
+  drawFormatBits(matrix, ecc, 0);
+
+  if (version >= 7) {
+    let remainder = version;
+    for (let i = 0; i < 12; i += 1) remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    const bits = (version << 12) | remainder;
+    for (let i = 0; i < 18; i += 1) {
+      const bit = getBit(bits, i);
+      const a = size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      setFunction(a, b, bit);
+      setFunction(b, a, bit);
+    }
+  }
+};
+
+const drawCodewords = (matrix, codewords) => {
+  const { size, modules, isFunction } = matrix;
+  let bitIndex = 0;
+  for (let right = size - 1; right >= 1; right -= 2) {
+    if (right === 6) right = 5;
+    for (let vertical = 0; vertical < size; vertical += 1) {
+      for (let j = 0; j < 2; j += 1) {
+        const x = right - j;
+        const upward = ((right + 1) & 2) === 0;
+        const y = upward ? size - 1 - vertical : vertical;
+        if (!isFunction[y][x] && bitIndex < codewords.length * 8) {
+          modules[y][x] = getBit(codewords[bitIndex >>> 3], 7 - (bitIndex & 7));
+          bitIndex += 1;
+        }
+      }
+    }
+  }
+};
+
+const applyMask = (matrix, mask) => {
+  const { size, modules, isFunction } = matrix;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (!isFunction[y][x] && MASKS[mask](x, y)) modules[y][x] = !modules[y][x];
+    }
+  }
+};
+
+// Pesos de penalización de la norma (N1 rachas, N2 bloques 2x2, N3 patrones tipo buscador, N4 equilibrio)
+const PENALTY_N1 = 3;
+const PENALTY_N2 = 3;
+const PENALTY_N3 = 40;
+const PENALTY_N4 = 10;
+
+// Penalización N1 y N3 de una fila o columna; el borde exterior cuenta como claro
+const linePenalty = (line) => {
+  const size = line.length;
+  const history = [0, 0, 0, 0, 0, 0, 0];
+  const addHistory = (length) => {
+    history.pop();
+    history.unshift(history[0] === 0 ? length + size : length);
+  };
+  // Patrón 1:1:3:1:1 con 4 módulos claros a uno de los lados
+  const countFinderPatterns = () => {
+    const n = history[1];
+    const core = n > 0 && history[2] === n && history[3] === n * 3 && history[4] === n && history[5] === n;
+    return (core && history[0] >= n * 4 && history[6] >= n ? 1 : 0)
+      + (core && history[6] >= n * 4 && history[0] >= n ? 1 : 0);
+  };
+
+  let penalty = 0;
+  let runColor = false;
+  let run = 0;
+  line.forEach((dark) => {
+    if (dark === runColor) {
+      run += 1;
+      if (run === 5) penalty += PENALTY_N1;
+      else if (run > 5) penalty += 1;
+    } else {
+      addHistory(run);
+      if (!runColor) penalty += countFinderPatterns() * PENALTY_N3;
+      runColor = dark;
+      run = 1;
+    }
+  });
+  if (runColor) {
+    addHistory(run);
+    run = 0;
+  }
+  addHistory(run + size);
+  return penalty + countFinderPatterns() * PENALTY_N3;
+};
+
+const maskPenalty = ({ size, modules }) => {
+  let penalty = 0;
+  for (let i = 0; i < size; i += 1) {
+    penalty += linePenalty(modules[i]);
+    penalty += linePenalty(modules.map(row => row[i]));
+  }
+
+  let dark = 0;
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) dark += 1;
+      if (x < size - 1 && y < size - 1) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) penalty += PENALTY_N2;
+      }
+    }
+  }
+  const total = size * size;
+  penalty += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * PENALTY_N4;
+  return penalty;
+};
+
+/**
+ * Codifica un texto (UTF-8) en la versión más pequeña que lo admite.
+ * @returns {{ version: number, size: number, modules: boolean[][] }}
+ */
+export const encodeQr = (text, { ecc = 'M', maxVersion = 40 } = {}) => {
+  const bytes = Array.from(new TextEncoder().encode(text));
+  let version = 1;
+  while (version <= maxVersion) {
+    const headerBits = 4 + (version < 10 ? 8 : 16);
+    if (headerBits + bytes.length * 8 <= getNumDataCodewords(version, ecc) * 8) break;
+    version += 1;
+  }
+  if (version > maxVersion) {
+    throw new Error(`El texto no cabe en un código QR de versión ${maxVersion} (${bytes.length} bytes).`);
+  }
+
+  const codewords = addEccAndInterleave(buildDataCodewords(bytes, version, ecc), version, ecc);
+
+  const candidates = MASKS.map((_, mask) => {
+    const matrix = createMatrix(version);
+    drawFunctionPatterns(matrix, ecc);
+    drawCodewords(matrix, codewords);
+    applyMask(matrix, mask);
+    drawFormatBits(matrix, ecc, mask);
+    return { matrix, penalty: maskPenalty(matrix) };
+  });
+  const { matrix } = candidates.reduce((best, candidate) => (candidate.penalty < best.penalty ? candidate : best));
+
+  return { version, size: matrix.size, modules: matrix.modules };
+};
+
+/**
+ * Trazado SVG de los módulos oscuros (un cuadrado por módulo, con margen)
+ */
+export const qrToSvgPath = ({ size, modules }, margin = 4) => {
+  const parts = [];
+  for (let y = 0; y < size; y += 1) {
+    for (let x = 0; x < size; x += 1) {
+      if (modules[y][x]) parts.push(`M${x + margin} ${y + margin}h1v1h-1z`);
+    }
+  }
+  return parts.join('');
+};
+
+const QrCode = {
+  encodeQr,
+  qrToSvgPath,
+  getNumDataCodewords,
+  reedSolomonRemainder
+};
+
+export default QrCode;
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+import { encodeQr, getNumDataCodewords, reedSolomonRemainder, qrToSvgPath } from './qrCode';
+
+// "HELLO WORLD" en modo byte, versión 1-M, máscara 4 (misma matriz que la biblioteca de referencia de Nayuki)
+const HELLO_WORLD_1M = [
+  '#######.##..#.#######',
+  '#.....#....#..#.....#',
+  '#.###.#..#.#..#.###.#',
+  '#.###.#.#..#..#.###.#',
+  '#.###.#.###.#.#.###.#',
+  '#.....#.#..#..#.....#',
+  '#######.#.#.#.#######',
+  '........#..##........',
+  '#...#.######.#####..#',
+  '...#....#.###....####',
+  '..######..##.##.#..#.',
+  '#####...##...#.......',
+  '#####.#.#.#.#.##..##.',
+  '........#.#.####.#.##',
+  '#######.###.#.#.##.#.',
+  '#.....#..#.###.##..##',
+  '#.###.#.##.#.##...##.',
+  '#.###.#..#..#...##.##',
+  '#.###.#..###...###...',
+  '#.....#....#.#.......',
+  '#######.#########.#.#'
+];
+
+// Cadenas de formato de la norma (nivel + máscara, ya con el XOR 101010000010010)
+const FORMAT_STRINGS = {
+  L: ['111011111000100', '111001011110011', '111110110101010', '111100010011101',
+    '110011000101111', '110001100011000', '110110001000001', '110100101110110'],
+  M: ['101010000010010', '101000100100101', '101111001111100', '101101101001011',
+    '100010111111001', '100000011001110', '100111110010111', '100101010100000']
+};
+
+const toRows = ({ modules }) => modules.map(row => row.map(dark => (dark ? '#' : '.')).join(''));
+
+// Lee las dos copias de la información de formato (bit 14 primero)
+const readFormatBits = ({ size, modules }) => {
+  const first = [];
+  const second = [];
+  for (let i = 0; i <= 5; i += 1) first[i] = modules[i][8];
+  first[6] = modules[7][8];
+  first[7] = modules[8][8];
+  first[8] = modules[8][7];
+  for (let i = 9; i < 15; i += 1) first[i] = modules[8][14 - i];
+  for (let i = 0; i < 8; i += 1) second[i] = modules[8][size - 1 - i];
+  for (let i = 8; i < 15; i += 1) second[i] = modules[size - 15 + i][8];
+  const toString = bits => bits.map(bit => (bit ? '1' : '0')).reverse().join('');
+  return [toString(first), toString(second)];
+};
+
+describe('getNumDataCodewords', () => {
+  test.each([
+    ['L', [19, 34, 55, 80, 108, 136, 156, 194, 232, 274], 2956],
+    ['M', [16, 28, 44, 64, 86, 108, 124, 154, 182, 216], 2334]
+  ])('capacidad del nivel %s según la tabla de la norma', (ecc, firstTen, version40) => {
+    expect(Array.from({ length: 10 }, (_, i) => getNumDataCodewords(i + 1, ecc))).toEqual(firstTen);
+    expect(getNumDataCodewords(40, ecc)).toBe(version40);
+  });
+});
+
+describe('reedSolomonRemainder', () => {
+  test('calcula los 10 codewords de corrección de "HELLO WORLD" 1-M', () => {
+    const data = [32, 91, 11, 120, 209, 114, 220, 77, 67, 64, 236, 17, 236, 17, 236, 17];
+    // Polinomio generador de grado 10 sin el coeficiente principal
+    const divisor = [216, 194, 159, 111, 199, 94, 95, 113, 157, 193];
+    expect(reedSolomonRemainder(data, divisor)).toEqual([196, 35, 39, 119, 235, 215, 231, 226, 93, 23]);
+  });
+});
+
+describe('encodeQr', () => {
+  test('genera la matriz de referencia de "HELLO WORLD"', () => {
+    const qr = encodeQr('HELLO WORLD', { ecc: 'M' });
+    expect(qr.version).toBe(1);
+    expect(qr.size).toBe(21);
+    expect(toRows(qr)).toEqual(HELLO_WORLD_1M);
+  });
+
+  test.each([
+    ['versión 1-M', 'HELLO WORLD', 'M'],
+    ['UTF-8 1-L', 'ñandú €', 'L'],
+    ['fragmento de sincronización', `PL300S|abc123|1|4|${'x'.repeat(200)}`, 'L'],
+    ['versión 32-M', 'z'.repeat(1500), 'M']
+  ])('%s: las dos copias del formato son una cadena válida de la norma', (_, text, ecc) => {
+    const [first, second] = readFormatBits(encodeQr(text, { ecc }));
+    expect(first).toBe(second);
+    expect(FORMAT_STRINGS[ecc]).toContain(first);
+  });
+
+  test('usa la versión más pequeña en la que cabe el texto', () => {
+    expect(encodeQr('a'.repeat(17), { ecc: 'L' }).version).toBe(1);
+    expect(encodeQr('a'.repeat(18), { ecc: 'L' }).version).toBe(2);
+    expect(encodeQr('a'.repeat(14), { ecc: 'M' }).version).toBe(1);
+    expect(encodeQr('a'.repeat(15), { ecc: 'M' }).version).toBe(2);
+  });
+
+  test('avisa cuando el texto no cabe en la versión máxima', () => {
+    expect(() => encodeQr('a'.repeat(100), { ecc: 'M', maxVersion: 2 })).toThrow('no cabe');
+  });
+});
+
+describe('qrToSvgPath', () => {
+  test('dibuja un cuadrado por módulo oscuro desplazado por el margen', () => {
+    const path = qrToSvgPath({ size: 2, modules: [[true, false], [false, true]] }, 1);
+    expect(path).toBe('M1 1h1v1h-1zM2 2h1v1h-1z');
+  });
+});
@@ -0,0 +1,239 @@
+// Formatos de pregunta soportados por el banco PL-300
+// Centraliza la validación de respuestas y el crédito parcial por formato
+
+import { createSeededRandom, seedFromString, seededShuffle } from './random';
+
+// ============================================================================
+// 1. CATÁLOGO DE FORMATOS
+// ============================================================================
+
+export const QUESTION_FORMATS = {
+  SINGLE_CHOICE: 'opcion-multiple',     // respuestaCorrecta: índice
+  MULTI_SELECT: 'seleccion-multiple',   // respuestaCorrecta: [índices]
+  ORDERING: 'ordenamiento',             // respuestaCorrecta: [índices en orden]
+  YES_NO: 'si-no',                      // afirmaciones: [{ texto, respuesta: boolean }]
+  HOT_AREA: 'area-activa'               // segmentos: [{ etiqueta, opciones, respuestaCorrecta }]
+};
+
+export const FORMAT_LABELS = {
+  [QUESTION_FORMATS.SINGLE_CHOICE]: 'Opción única',
+  [QUESTION_FORMATS.MULTI_SELECT]: 'Selección múltiple',
+  [QUESTION_FORMATS.ORDERING]: 'Ordenar secuencia',
+  [QUESTION_FORMATS.YES_NO]: 'Serie Sí / No',
+  [QUESTION_FORMATS.HOT_AREA]: 'Área activa'
+};
+
+export const FORMAT_INSTRUCTIONS = {
+  [QUESTION_FORMATS.SINGLE_CHOICE]: 'Selecciona una respuesta.',
+  [QUESTION_FORMATS.MULTI_SELECT]: 'Selecciona todas las respuestas correctas.',
+  [QUESTION_FORMATS.ORDERING]: 'Ordena los pasos en la secuencia correcta.',
+  [QUESTION_FORMATS.YES_NO]: 'Para cada afirmación, selecciona Sí o No.',
+  [QUESTION_FORMATS.HOT_AREA]: 'Completa cada sección con la opción correcta.'
+};
+
+/**
+ * Formato efectivo de una pregunta (las preguntas legacy no declaran formato)
+ */
+export function getQuestionFormat(question) {
+  const format = question?.formato;
+  return Object.values(QUESTION_FORMATS).includes(format) ? format : QUESTION_FORMATS.SINGLE_CHOICE;
+}
+
+// Intentos de barajado antes de recurrir a una rotación (que nunca deja la solución a la vista)
+const MAX_SHUFFLE_ATTEMPTS = 10;
+
+const remapPositions = (expected, order) => expected.map((original) => order.indexOf(original));
+
+const isIdentity = (positions) => positions.every((value, position) => value === position);
+
+const isPermutationOf = (values, length) => Array.isArray(values)
+  && values.length === length
+  && [...values].sort((a, b) => a - b).every((value, index) => value === index);
+
+/**
+ * Baraja las opciones de una pregunta de ordenamiento con una semilla derivada
+ * de su id (la misma pregunta siempre se muestra igual) y reescribe
+ * respuestaCorrecta. El orden inicial mostrado nunca coincide con la solución.
+ * Si respuestaCorrecta no es una permutación de las opciones, la pregunta se
+ * devuelve tal cual (validate-questions la reporta).
+ */
+export function shuffleOrderingOptions(question) {
+  const options = question?.opciones || [];
+  if (getQuestionFormat(question) !== QUESTION_FORMATS.ORDERING || options.length < 2) return question;
+
+  const expected = question.respuestaCorrecta;
+  if (!isPermutationOf(expected, options.length)) return question;
+
+  const random = createSeededRandom(seedFromString(question.id));
+  const indexes = options.map((_, index) => index);
+  // order[nuevaPosición] = índice original
+  let order = seededShuffle(indexes, random);
+  for (let attempt = 1; attempt < MAX_SHUFFLE_ATTEMPTS && isIdentity(remapPositions(expected, order)); attempt += 1) {
+    order = seededShuffle(indexes, random);
+  }
+  if (isIdentity(remapPositions(expected, order))) {
+    order = [...order.slice(1), order[0]];
+  }
+
+  return {
+    ...question,
+    opciones: order.map((index) => options[index]),
+    respuestaCorrecta: remapPositions(expected, order)
+  };
+}
+
+// ============================================================================
+// 2. ESTADO DE LA RESPUESTA
+// ============================================================================
+
+/**
+ * Respuesta inicial para formatos compuestos (para ordenamiento, el orden mostrado)
+ */
+export function getInitialAnswer(question) {
+  switch (getQuestionFormat(question)) {
+    case QUESTION_FORMATS.ORDERING:
+      return (question.opciones || []).map((_, index) => index);
+    default:
+      return undefined;
+  }
+}
+
+/**
+ * Indica si la respuesta está completa y puede calificarse
+ */
+export function isAnswerComplete(question, answer) {
+  if (answer === undefined || answer === null) return false;
+
+  switch (getQuestionFormat(question)) {
+    case QUESTION_FORMATS.MULTI_SELECT: {
+      if (!Array.isArray(answer) || answer.length === 0) return false;
+      const required = question.seleccionesRequeridas;
+      return required ? answer.length === required : true;
+    }
+    case QUESTION_FORMATS.ORDERING:
+      return Array.isArray(answer) && answer.length === (question.opciones || []).length;
+    case QUESTION_FORMATS.YES_NO:
+      return Array.isArray(answer)
+        && (question.afirmaciones || []).every((_, index) => typeof answer[index] === 'boolean');
+    case QUESTION_FORMATS.HOT_AREA:
+      return Array.isArray(answer)
+        && (question.segmentos || []).every((_, index) => Number.isInteger(answer[index]));
+    default:
+      return Number.isInteger(answer);
+  }
+}
+
+// ============================================================================
+// 3. CALIFICACIÓN CON CRÉDITO PARCIAL
+// ============================================================================
+
+const clampCredit = (value) => Math.max(0, Math.min(1, value));
+
+/**
+ * Califica una respuesta según su formato.
+ * - opcion-multiple: todo o nada
+ * - seleccion-multiple: (aciertos - selecciones incorrectas) / correctas
+ * - ordenamiento: proporción de posiciones correctas
+ * - si-no / area-activa: proporción de afirmaciones o segmentos correctos
+ *
+ * @returns {{ credit: number, isCorrect: boolean, correctParts: number, totalParts: number }}
+ */
+export function scoreAnswer(question, answer) {
+  const format = getQuestionFormat(question);
+  const empty = { credit: 0, isCorrect: false, correctParts: 0, totalParts: 1 };
+
+  if (!question || answer === undefined || answer === null) {
+    return empty;
+  }
+
+  switch (format) {
+    case QUESTION_FORMATS.MULTI_SELECT: {
+      const expected = new Set(question.respuestaCorrecta || []);
+      const selected = new Set(Array.isArray(answer) ? answer : []);
+      let hits = 0;
+      let misses = 0;
+      selected.forEach((index) => {
+        if (expected.has(index)) hits += 1;
+        else misses += 1;
+      });
+      const credit = expected.size > 0 ? clampCredit((hits - misses) / expected.size) : 0;
+      return { credit, isCorrect: credit === 1, correctParts: hits, totalParts: expected.size };
+    }
+    case QUESTION_FORMATS.ORDERING: {
+      const expected = question.respuestaCorrecta || [];
+      const order = Array.isArray(answer) ? answer : [];
+      const correctParts = expected.filter((value, position) => order[position] === value).length;
+      const credit = expected.length > 0 ? correctParts / expected.length : 0;
+      return { credit, isCorrect: credit === 1, correctParts, totalParts: expected.length };
+    }
+    case QUESTION_FORMATS.YES_NO: {
+      const statements = question.afirmaciones || [];
+      const values = Array.isArray(answer) ? answer : [];
+      const correctParts = statements.filter((statement, index) => values[index] === statement.respuesta).length;
+      const credit = statements.length > 0 ? correctParts / statements.length : 0;
+      return { credit, isCorrect: credit === 1, correctParts, totalParts: statements.length };
+    }
+    case QUESTION_FORMATS.HOT_AREA: {
+      const segments = question.segmentos || [];
+      const values = Array.isArray(answer) ? answer : [];
+      const correctParts = segments.filter((segment, index) => values[index] === segment.respuestaCorrecta).length;
+      const credit = segments.length > 0 ? correctParts / segments.length : 0;
+      return { credit, isCorrect: credit === 1, correctParts, totalParts: segments.length };
+    }
+    default: {
+      const isCorrect = answer === question.respuestaCorrecta;
+      return { credit: isCorrect ? 1 : 0, isCorrect, correctParts: isCorrect ? 1 : 0, totalParts: 1 };
+    }
+  }
+}
+
+/**
+ * Atajo: la respuesta es completamente correcta
+ */
+export function isAnswerCorrect(question, answer) {
+  return scoreAnswer(question, answer).isCorrect;
+}
+
+/**
+ * Texto legible de la respuesta correcta (para revisiones y feedback)
+ */
+export function describeCorrectAnswer(question) {
+  switch (getQuestionFormat(question)) {
+    case QUESTION_FORMATS.MULTI_SELECT:
+      return (question.respuestaCorrecta || []).map((index) => question.opciones[index]).join(' · ');
+    case QUESTION_FORMATS.ORDERING:
+      return (question.respuestaCorrecta || []).map((index, position) => `${position + 1}. ${question.opciones[index]}`).join('  ');
+    case QUESTION_FORMATS.YES_NO:
+      return (question.afirmaciones || []).map((statement) => `${statement.respuesta ? 'Sí' : 'No'} — ${statement.texto}`).join('  ');
+    case QUESTION_FORMATS.HOT_AREA:
+      return (question.segmentos || []).map((segment) => `${segment.etiqueta}: ${segment.opciones[segment.respuestaCorrecta]}`).join('  ');
+    default:
+      return question?.opciones?.[question.respuestaCorrecta] || '';
+  }
+}
+
+/**
+ * Texto legible de la respuesta del usuario
+ */
+export function describeAnswer(question, answer) {
+  if (answer === undefined || answer === null) return '';
+
+  switch (getQuestionFormat(question)) {
+    case QUESTION_FORMATS.MULTI_SELECT:
+    case QUESTION_FORMATS.ORDERING:
+      return (Array.isArray(answer) ? answer : [])
+        .map((index) => question.opciones?.[index])
+        .filter(Boolean)
+        .join(' · ');
+    case QUESTION_FORMATS.YES_NO:
+      return (question.afirmaciones || [])
+        .map((_, index) => (typeof answer[index] === 'boolean' ? (answer[index] ? 'Sí' : 'No') : '—'))
+        .join(' · ');
+    case QUESTION_FORMATS.HOT_AREA:
+      return (question.segmentos || [])
+        .map((segment, index) => segment.opciones?.[answer[index]] || '—')
+        .join(' · ');
+    default:
+      return question?.opciones?.[answer] || '';
+  }
+}
@@ -0,0 +1,52 @@
+import { QUESTION_FORMATS, shuffleOrderingOptions, getInitialAnswer, scoreAnswer } from './questionFormats';
+
+const question = (id) => ({
+  id,
+  formato: QUESTION_FORMATS.ORDERING,
+  opciones: ['Conectar', 'Filtrar', 'Combinar', 'Tipar'],
+  respuestaCorrecta: [0, 1, 2, 3]
+});
+
+const sequence = ({ opciones, respuestaCorrecta }) => respuestaCorrecta.map(index => opciones[index]);
+
+describe('shuffleOrderingOptions', () => {
+  test('conserva la secuencia correcta y la califica como correcta', () => {
+    const shuffled = shuffleOrderingOptions(question('prep_avanz_006'));
+    expect(sequence(shuffled)).toEqual(['Conectar', 'Filtrar', 'Combinar', 'Tipar']);
+    expect(scoreAnswer(shuffled, shuffled.respuestaCorrecta).isCorrect).toBe(true);
+  });
+
+  test('es determinista por id y el orden inicial nunca es la solución', () => {
+    const ids = ['prep_avanz_006', 'viz_avanz_008', 'admin_inter_009', 'a', 'b', 'c'];
+    ids.forEach((id) => {
+      const shuffled = shuffleOrderingOptions(question(id));
+      expect(shuffleOrderingOptions(question(id))).toEqual(shuffled);
+      expect(scoreAnswer(shuffled, getInitialAnswer(shuffled)).isCorrect).toBe(false);
+    });
+    const answers = ids.map(id => shuffleOrderingOptions(question(id)).respuestaCorrecta.join(','));
+    expect(new Set(answers).size).toBeGreaterThan(1);
+  });
+
+  test.each([
+    ['sin respuestaCorrecta', undefined],
+    ['respuestaCorrecta vacía', []],
+    ['respuestaCorrecta incompleta', [1, 0]],
+    ['índices repetidos', [0, 0, 1, 2]]
+  ])('%s: devuelve la pregunta sin barajar (y sin colgarse)', (_, respuestaCorrecta) => {
+    const malformed = { ...question('roto'), respuestaCorrecta };
+    expect(shuffleOrderingOptions(malformed)).toBe(malformed);
+  });
+
+  test('con dos opciones siempre deja la solución fuera del orden inicial', () => {
+    ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'].forEach((id) => {
+      const shuffled = shuffleOrderingOptions({ id, formato: QUESTION_FORMATS.ORDERING, opciones: ['x', 'y'], respuestaCorrecta: [1, 0] });
+      expect(shuffled.respuestaCorrecta).toEqual([1, 0].map(index => shuffled.opciones.indexOf(['x', 'y'][index])));
+      expect(shuffled.respuestaCorrecta).not.toEqual([0, 1]);
+    });
+  });
+
+  test('no toca otros formatos', () => {
+    const single = { id: 'x', opciones: ['a', 'b'], respuestaCorrecta: 1 };
+    expect(shuffleOrderingOptions(single)).toBe(single);
+  });
+});
@@ -22,6 +22,8 @@
  * ```
  */
 
+import { scoreAnswer, getQuestionFormat } from './questionFormats';
+
 // ============================================================================
 // 1. CONFIGURACIÓN DE PUNTUACIÓN
 // ============================================================================
@@ -65,6 +67,10 @@ export const SCORING_CONFIG = {
   // Penalización por respuesta incorrecta (no resta, pero no suma)
   INCORRECT_POINTS: 0,
 
+  // Crédito parcial (selección múltiple, ordenamiento, sí/no, área activa):
+  // proporción de los puntos base, sin multiplicadores ni bonos
+  PARTIAL_CREDIT_ENABLED: true,
+
   // Bonus por mejorar pregunta débil (reducido)
   IMPROVEMENT_BONUS: 15,  // reducido de 30
 
@@ -119,7 +125,7 @@ export class QuestionScorer {
   scoreQuestion(question, userAnswer, timeSpent) {
     const questionId = question.id;
     const correctAnswerIndex = question.respuestaCorrecta;
-    const isCorrect = userAnswer === correctAnswerIndex;
+    const { isCorrect, credit } = scoreAnswer(question, userAnswer);
     const difficulty = question.nivel || 'intermedio';
 
     // Obtener tracking previo
@@ -136,6 +142,8 @@ export class QuestionScorer {
         domain: question.dominio,
         subDomain: question.subdominio,
         level: difficulty,
+        format: getQuestionFormat(question),
+        partialCredit: credit,
         userAnswer: userAnswer,
         correctAnswer: correctAnswerIndex
       }
@@ -144,6 +152,7 @@ export class QuestionScorer {
     // Calcular puntuación
     const scoreResult = this.calculateScore({
       isCorrect,
+      partialCredit: credit,
       difficulty,
       timeSpent,
       isFirstAttempt,
@@ -182,6 +191,7 @@ export class QuestionScorer {
   calculateScore(context) {
     const {
       isCorrect,
+      partialCredit = isCorrect ? 1 : 0,
       difficulty,
       timeSpent,
       isFirstAttempt,
@@ -192,6 +202,7 @@ export class QuestionScorer {
 
     const result = {
       isCorrect,
+      partialCredit,
       basePoints: 0,
       speedMultiplier: 1.0,
       speedBonus: 0,
@@ -206,8 +217,16 @@ export class QuestionScorer {
       feedback: ''
     };
 
-    // Si es incorrecta, no hay puntos
+    // Si es incorrecta, no hay puntos (salvo crédito parcial en formatos compuestos)
     if (!isCorrect) {
+      if (SCORING_CONFIG.PARTIAL_CREDIT_ENABLED && partialCredit > 0) {
+        const basePoints = SCORING_CONFIG.BASE_POINTS[difficulty] || SCORING_CONFIG.BASE_POINTS.intermedio;
+        result.basePoints = Math.round(basePoints * partialCredit);
+        result.totalPoints = result.basePoints;
+        result.xpEarned = Math.floor(result.totalPoints / 10);
+        result.feedback = this.generateFeedback(result, updatedTracking);
+        return result;
+      }
       result.totalPoints = SCORING_CONFIG.INCORRECT_POINTS;
       result.xpEarned = 0;
       result.feedback = this.generateFeedback(result, updatedTracking);
@@ -329,6 +348,10 @@ export class QuestionScorer {
    * Genera feedback personalizado
    */
   generateFeedback(scoreResult, tracking) {
+    if (!scoreResult.isCorrect && scoreResult.partialCredit > 0) {
+      return `🟡 Parcialmente correcta (${Math.round(scoreResult.partialCredit * 100)}%). Revisa las partes que fallaste.`;
+    }
+
     if (!scoreResult.isCorrect) {
       const attempts = tracking.totalAttempts;
       if (attempts === 1) {
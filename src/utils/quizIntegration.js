@@ -15,6 +15,7 @@
  */
 
 import { ProfileImpactCalculator } from './profileImpact';
+import { isAnswerCorrect } from './questionFormats';
 
 // ============================================================================
 // SELECTOR INTELIGENTE DE PREGUNTAS (Extraído de questionTracker)
@@ -256,7 +257,7 @@ export class QuizIntegrationHelper {
       ? Math.floor((Date.now() - this.currentQuizSession.questionStartTime) / 1000)
       : 60; // Default 60s si no hay tiempo
 
-    const isCorrect = userAnswer === question.respuestaCorrecta;
+    const isCorrect = isAnswerCorrect(question, userAnswer);
 
     // Calcular puntos base
     const basePoints = question.nivel === 'avanzado' ? 30 : question.nivel === 'intermedio' ? 20 : 10;
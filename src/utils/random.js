@@ -0,0 +1,47 @@
+/**
+ * random.js - Aleatoriedad reproducible compartida
+ * PRNG con semilla para que el mismo intento, la misma pregunta o el mismo
+ * dataset se generen siempre igual.
+ */
+
+/**
+ * PRNG mulberry32: devuelve una función () => [0, 1) reproducible para la semilla
+ */
+export const createSeededRandom = (seed) => {
+  let state = Number(seed) >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+/**
+ * Semilla estable de 32 bits a partir de un texto (FNV-1a)
+ */
+export const seedFromString = (text) => Array.from(String(text)).reduce(
+  (hash, char) => Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0,
+  0x811c9dc5
+);
+
+/**
+ * Fisher-Yates con el generador indicado; no modifica el array original
+ */
+export const seededShuffle = (items, random) => {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+};
+
+const Random = {
+  createSeededRandom,
+  seedFromString,
+  seededShuffle
+};
+
+export default Random;
@@ -0,0 +1,265 @@
+/**
+ * reportVisuals.js - Tipos de visual, "pozos" de campos y calificación del selector de visuales
+ * Un visual es { type, wells: { pozo: [campo] } }; los datos del ejercicio son
+ * { campos: [{ nombre, tipo }], filas } y se agregan como lo haría Power BI
+ * (suma de los campos numéricos por cada combinación de categorías).
+ */
+
+export const FIELD_KINDS = {
+  categoria: { label: 'Texto', icon: 'Aa' },
+  fecha: { label: 'Fecha', icon: '📅' },
+  numero: { label: 'Número', icon: 'Σ' }
+};
+
+// Pozos de cada visual: qué tipos de campo aceptan y cuántos campos admiten
+export const VISUAL_TYPES = {
+  column: {
+    label: 'Columnas agrupadas',
+    icon: '📊',
+    uso: 'compara valores entre pocas categorías o periodos',
+    wells: [
+      { id: 'axis', label: 'Eje X', accepts: ['categoria', 'fecha'], max: 1, required: true },
+      { id: 'legend', label: 'Leyenda', accepts: ['categoria'], max: 1 },
+      { id: 'values', label: 'Eje Y', accepts: ['numero'], max: 3, required: true }
+    ]
+  },
+  bar: {
+    label: 'Barras agrupadas',
+    icon: '📶',
+    uso: 'compara categorías, sobre todo si son muchas o tienen nombres largos',
+    wells: [
+      { id: 'axis', label: 'Eje Y', accepts: ['categoria', 'fecha'], max: 1, required: true },
+      { id: 'legend', label: 'Leyenda', accepts: ['categoria'], max: 1 },
+      { id: 'values', label: 'Eje X', accepts: ['numero'], max: 3, required: true }
+    ]
+  },
+  line: {
+    label: 'Líneas',
+    icon: '📈',
+    uso: 'muestra la evolución o tendencia de un valor a lo largo del tiempo',
+    wells: [
+      { id: 'axis', label: 'Eje X', accepts: ['categoria', 'fecha'], max: 1, required: true },
+      { id: 'legend', label: 'Leyenda', accepts: ['categoria'], max: 1 },
+      { id: 'values', label: 'Eje Y', accepts: ['numero'], max: 3, required: true }
+    ]
+  },
+  pie: {
+    label: 'Circular',
+    icon: '🥧',
+    uso: 'muestra la proporción de cada parte sobre un total, con pocas categorías',
+    wells: [
+      { id: 'legend', label: 'Leyenda', accepts: ['categoria'], max: 1, required: true },
+      { id: 'values', label: 'Valores', accepts: ['numero'], max: 1, required: true }
+    ]
+  },
+  scatter: {
+    label: 'Dispersión',
+    icon: '⚬',
+    uso: 'relaciona dos medidas numéricas para descubrir correlaciones o valores atípicos',
+    wells: [
+      { id: 'details', label: 'Valores (detalle)', accepts: ['categoria'], max: 1, required: true },
+      { id: 'x', label: 'Eje X', accepts: ['numero'], max: 1, required: true },
+      { id: 'y', label: 'Eje Y', accepts: ['numero'], max: 1, required: true }
+    ]
+  },
+  card: {
+    label: 'Tarjeta',
+    icon: '🔢',
+    uso: 'destaca un único número clave (KPI)',
+    wells: [
+      { id: 'fields', label: 'Campos', accepts: ['numero'], max: 1, required: true }
+    ]
+  },
+  table: {
+    label: 'Tabla',
+    icon: '📋',
+    uso: 'muestra valores exactos fila por fila para consultar el detalle',
+    wells: [
+      { id: 'columns', label: 'Columnas', accepts: ['categoria', 'fecha', 'numero'], max: 6, required: true }
+    ]
+  }
+};
+
+export const emptyWells = (type) =>
+  (VISUAL_TYPES[type]?.wells || []).reduce((acc, well) => ({ ...acc, [well.id]: [] }), {});
+
+const fieldKind = (dataset, name) => dataset.campos.find(campo => campo.nombre === name)?.tipo;
+
+/**
+ * ¿Se puede soltar el campo en el pozo? Devuelve null si sí o el motivo si no
+ */
+export const canDropField = (dataset, type, wellId, fieldName) => {
+  const well = VISUAL_TYPES[type]?.wells.find(item => item.id === wellId);
+  if (!well) return 'Ese pozo no existe en este visual.';
+  const kind = fieldKind(dataset, fieldName);
+  if (!well.accepts.includes(kind)) {
+    return `${well.label} solo acepta campos de tipo ${well.accepts.map(item => FIELD_KINDS[item].label.toLowerCase()).join(' o ')}.`;
+  }
+  return null;
+};
+
+// Al soltar: si el pozo está lleno se reemplaza el último campo; un campo no se repite en el visual
+export const dropField = (type, wells, wellId, fieldName) => {
+  const well = VISUAL_TYPES[type].wells.find(item => item.id === wellId);
+  const cleaned = Object.fromEntries(Object.entries(wells).map(([id, fields]) => [id, fields.filter(name => name !== fieldName)]));
+  const current = cleaned[wellId] || [];
+  const next = current.length >= well.max ? [...current.slice(0, well.max - 1), fieldName] : [...current, fieldName];
+  return { ...cleaned, [wellId]: next };
+};
+
+// Al cambiar de visual se conservan los campos de los pozos con el mismo id que los aceptan
+export const convertWells = (dataset, fromWells, toType) => {
+  const result = emptyWells(toType);
+  VISUAL_TYPES[toType].wells.forEach(well => {
+    result[well.id] = (fromWells[well.id] || [])
+      .filter(name => well.accepts.includes(fieldKind(dataset, name)))
+      .slice(0, well.max);
+  });
+  return result;
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+
+// Suma los campos numéricos por cada combinación de campos de agrupación
+const aggregate = (dataset, groupFields, valueFields) => {
+  const index = (name) => dataset.campos.findIndex(campo => campo.nombre === name);
+  const groups = new Map();
+  dataset.filas.forEach(row => {
+    const keys = groupFields.map(name => row[index(name)]);
+    const id = JSON.stringify(keys);
+    if (!groups.has(id)) groups.set(id, { keys, values: valueFields.map(() => 0) });
+    const group = groups.get(id);
+    valueFields.forEach((name, position) => { group.values[position] += Number(row[index(name)]) || 0; });
+  });
+  return [...groups.values()].map(group => ({ ...group, values: group.values.map(round) }));
+};
+
+/**
+ * Datos listos para recharts según el visual. Devuelve { kind, ... } o
+ * { error } con el primer pozo obligatorio vacío o una combinación no válida.
+ */
+export const buildVisualData = (dataset, type, wells) => {
+  const definition = VISUAL_TYPES[type];
+  if (!definition) return { error: 'Elige un tipo de visual.' };
+  const missing = definition.wells.find(well => well.required && (wells[well.id] || []).length === 0);
+  if (missing) return { error: `Arrastra un campo a ${missing.label}.` };
+
+  if (type === 'card') {
+    const [group] = aggregate(dataset, [], wells.fields);
+    return { kind: 'card', label: wells.fields[0], value: group ? group.values[0] : 0 };
+  }
+
+  if (type === 'table') {
+    const columns = wells.columns;
+    const groupFields = columns.filter(name => fieldKind(dataset, name) !== 'numero');
+    const valueFields = columns.filter(name => fieldKind(dataset, name) === 'numero');
+    const rows = aggregate(dataset, groupFields, valueFields).map(group => columns.map(name => (
+      groupFields.includes(name) ? group.keys[groupFields.indexOf(name)] : group.values[valueFields.indexOf(name)]
+    )));
+    return { kind: 'table', columns, rows };
+  }
+
+  if (type === 'pie') {
+    const data = aggregate(dataset, wells.legend, wells.values)
+      .map(group => ({ name: String(group.keys[0]), value: group.values[0] }))
+      .sort((a, b) => b.value - a.value);
+    return { kind: 'pie', data };
+  }
+
+  if (type === 'scatter') {
+    const data = aggregate(dataset, wells.details, [...wells.x, ...wells.y])
+      .map(group => ({ name: String(group.keys[0]), x: group.values[0], y: group.values[1] }));
+    return { kind: 'scatter', data, xLabel: wells.x[0], yLabel: wells.y[0] };
+  }
+
+  // column, bar y line: una serie por campo de valores o, con leyenda, una por cada valor de la leyenda
+  const [axis] = wells.axis;
+  const legend = wells.legend || [];
+  if (legend.length > 0 && wells.values.length > 1) {
+    return { error: 'Con un campo en Leyenda solo puede haber un campo de valores.' };
+  }
+  const groups = aggregate(dataset, [axis, ...legend], wells.values);
+  const series = legend.length > 0
+    ? [...new Set(groups.map(group => String(group.keys[1])))].sort((a, b) => a.localeCompare(b, 'es'))
+    : wells.values;
+  const byCategory = new Map();
+  groups.forEach(group => {
+    const category = String(group.keys[0]);
+    const point = byCategory.get(category) || { category };
+    if (legend.length > 0) point[String(group.keys[1])] = group.values[0];
+    else wells.values.forEach((name, position) => { point[name] = group.values[position]; });
+    byCategory.set(category, point);
+  });
+
+  const total = (point) => series.reduce((sum, name) => sum + (point[name] || 0), 0);
+  // Las fechas se ordenan en el tiempo; las categorías, de mayor a menor (como Power BI)
+  const data = fieldKind(dataset, axis) === 'fecha'
+    ? [...byCategory.values()].sort((a, b) => a.category.localeCompare(b.category))
+    : [...byCategory.values()].sort((a, b) => total(b) - total(a));
+  return { kind: 'cartesian', data, series };
+};
+
+const sameFields = (actual = [], expected = []) =>
+  actual.length === expected.length && expected.every(name => actual.includes(name));
+
+/**
+ * Califica el visual del alumno. El ejercicio define respuestas
+ * { tipo: { wells, explicacion } } y distractores { tipo: explicación }.
+ * El tipo de visual vale 40 puntos y la colocación de campos 60.
+ */
+export const gradeVisualChoice = (exercise, type, wells) => {
+  const accepted = exercise.respuestas[type];
+  const target = accepted || Object.values(exercise.respuestas)[0];
+  const expectedType = Object.keys(exercise.respuestas).find(key => exercise.respuestas[key] === target);
+  const visualOk = Boolean(accepted);
+
+  const visualFeedback = accepted
+    ? accepted.explicacion
+    : exercise.distractores?.[type]
+      || `El visual de ${VISUAL_TYPES[type].label.toLowerCase()} ${VISUAL_TYPES[type].uso}; esta petición necesita otro tipo.`;
+
+  const wellLabel = (id) => VISUAL_TYPES[type].wells.find(well => well.id === id)?.label
+    || VISUAL_TYPES[expectedType].wells.find(well => well.id === id)?.label
+    || id;
+  const wellIds = [...new Set([...Object.keys(target.wells), ...Object.keys(wells).filter(id => (wells[id] || []).length > 0)])];
+  const wellChecks = wellIds.map(id => {
+    const expected = target.wells[id] || [];
+    const actual = wells[id] || [];
+    const ok = sameFields(actual, expected);
+    return {
+      well: id,
+      label: wellLabel(id),
+      ok,
+      expected,
+      actual,
+      message: ok ? null : `${wellLabel(id)}: ${expected.length > 0 ? `se esperaba ${expected.join(', ')}` : 'debería quedar vacío'}${actual.length > 0 ? ` y colocaste ${actual.join(', ')}` : ''}.`
+    };
+  });
+
+  const placed = wellChecks.filter(check => check.ok).length;
+  const fieldScore = wellChecks.length > 0 ? placed / wellChecks.length : 0;
+  const score = Math.round((visualOk ? 40 : 0) + fieldScore * 60);
+
+  return {
+    correct: visualOk && placed === wellChecks.length,
+    score,
+    visualOk,
+    visualFeedback,
+    expectedType,
+    wellChecks,
+    fieldFeedback: exercise.explicacionCampos
+  };
+};
+
+const ReportVisuals = {
+  FIELD_KINDS,
+  VISUAL_TYPES,
+  emptyWells,
+  canDropField,
+  dropField,
+  convertWells,
+  buildVisualData,
+  gradeVisualChoice
+};
+
+export default ReportVisuals;
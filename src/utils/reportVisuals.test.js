@@ -0,0 +1,71 @@
+import { REPORT_VISUAL_EXERCISES } from '../data/reportVisualExercises';
+import { dropField, emptyWells, gradeVisualChoice } from './reportVisuals';
+
+const exercise = (id) => REPORT_VISUAL_EXERCISES.find(item => item.id === id);
+
+// Arrastra los campos a los pozos como lo hace el alumno en pantalla
+const build = (type, placements) => Object.entries(placements).reduce(
+  (wells, [wellId, fields]) => fields.reduce((acc, name) => dropField(type, acc, wellId, name), wells),
+  emptyWells(type)
+);
+
+const grade = (id, type, placements) => gradeVisualChoice(exercise(id), type, build(type, placements));
+
+describe('gradeVisualChoice', () => {
+  const accepted = REPORT_VISUAL_EXERCISES.flatMap(item =>
+    Object.entries(item.respuestas).map(([type, answer]) => [item.id, type, answer.wells]));
+
+  test.each(accepted)('%s: %s con los campos esperados es correcto', (id, type, wells) => {
+    const result = grade(id, type, wells);
+    expect(result).toMatchObject({ correct: true, score: 100, visualOk: true, expectedType: type });
+    expect(result.visualFeedback).toBe(exercise(id).respuestas[type].explicacion);
+  });
+
+  test('el orden de los campos dentro de un pozo no importa', () => {
+    const result = grade('viz_visual_007', 'table', { columns: ['Importe', 'Fecha', 'Cliente', 'Factura'] });
+    expect(result.correct).toBe(true);
+  });
+
+  test('parcial: visual correcto sin la leyenda esperada', () => {
+    const result = grade('viz_visual_006', 'line', { axis: ['Mes'], values: ['Ventas'] });
+    expect(result).toMatchObject({ correct: false, score: 80, visualOk: true });
+    expect(result.wellChecks.find(check => check.well === 'legend')).toMatchObject({
+      ok: false,
+      message: 'Leyenda: se esperaba Canal.'
+    });
+  });
+
+  test('parcial: un campo de más en un pozo que debía quedar vacío', () => {
+    const result = grade('viz_visual_001', 'line', { axis: ['Mes'], legend: ['Canal'], values: ['Ventas'] });
+    expect(result).toMatchObject({ correct: false, score: 80 });
+    expect(result.wellChecks.find(check => check.well === 'legend').message).toBe('Leyenda: debería quedar vacío y colocaste Canal.');
+  });
+
+  test('al reemplazar el único campo de Valores se califica el último soltado', () => {
+    const result = grade('viz_visual_003', 'pie', { legend: ['Canal'], values: ['Unidades', 'Ventas'] });
+    expect(result.correct).toBe(true);
+  });
+
+  test('incorrecto: un distractor con los campos bien puestos solo puntúa los campos', () => {
+    const result = grade('viz_visual_001', 'column', { axis: ['Mes'], values: ['Ventas'] });
+    expect(result).toMatchObject({ correct: false, score: 60, visualOk: false, expectedType: 'line' });
+    expect(result.visualFeedback).toBe(exercise('viz_visual_001').distractores.column);
+    expect(result.fieldFeedback).toBe(exercise('viz_visual_001').explicacionCampos);
+  });
+
+  test('incorrecto: un visual sin explicación propia usa la descripción del tipo', () => {
+    const result = grade('viz_visual_001', 'scatter', {});
+    expect(result).toMatchObject({ correct: false, score: 0, visualOk: false });
+    expect(result.visualFeedback).toMatch(/^El visual de dispersión relaciona dos medidas/);
+    expect(result.wellChecks.map(check => [check.well, check.ok])).toEqual([['axis', false], ['values', false]]);
+  });
+
+  test('incorrecto: campos en pozos que el visual esperado no tiene', () => {
+    const result = grade('viz_visual_005', 'table', { columns: ['Ventas'] });
+    expect(result).toMatchObject({ correct: false, score: 0, expectedType: 'card' });
+    expect(result.wellChecks.map(check => check.message)).toEqual([
+      'Campos: se esperaba Ventas.',
+      'Columnas: debería quedar vacío y colocaste Ventas.'
+    ]);
+  });
+});
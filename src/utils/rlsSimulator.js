@@ -0,0 +1,120 @@
+/**
+ * rlsSimulator.js - Roles de seguridad a nivel de fila (RLS) sobre el motor DAX
+ * Un rol es un objeto serializable { name, filters: { Tabla: 'expresión DAX' }, members: [email] }.
+ * "Ver como" aplica los roles de un usuario al modelo y la calificación compara
+ * las filas que ve cada usuario de prueba con las de la solución de referencia.
+ */
+
+import { parseMeasure, collectFunctions, secureModel, evaluateMatrix } from './daxEngine';
+
+/**
+ * Analiza los filtros de cada rol; un filtro vacío significa "sin filtro".
+ * Devuelve { roles: [{ name, members, filters: { Tabla: ast } }], errors: [texto] }
+ */
+export const compileRoles = (roles = []) => {
+  const errors = [];
+  const compiled = roles.map(role => ({
+    name: role.name,
+    members: role.members || [],
+    filters: Object.entries(role.filters || {}).reduce((acc, [table, expression]) => {
+      if (!String(expression || '').trim()) return acc;
+      try {
+        acc[table] = parseMeasure(expression).ast;
+      } catch (error) {
+        errors.push(`${role.name || 'Rol sin nombre'} · ${table}: ${error.message}`);
+      }
+      return acc;
+    }, {})
+  }));
+  return { roles: compiled, errors };
+};
+
+export const rolesForUser = (compiledRoles, email) =>
+  compiledRoles.filter(role => role.members.some(member => member.toLowerCase() === String(email).toLowerCase()));
+
+/**
+ * Modelo visto por un usuario: sin roles asignados no ve ningún dato.
+ * Devuelve { roles: [nombres], model } o { roles, error } si un filtro falla.
+ */
+export const viewAsUser = (model, compiledRoles, email) => {
+  const roles = rolesForUser(compiledRoles, email);
+  try {
+    return {
+      roles: roles.map(role => role.name),
+      model: secureModel(model, roles.map(role => role.filters), email)
+    };
+  } catch (error) {
+    return { roles: roles.map(role => role.name), error: error.message };
+  }
+};
+
+// Visual de una medida por una dimensión, con las filas que deja ver la seguridad
+export const renderVisual = (model, measure, dimension) =>
+  evaluateMatrix(model, parseMeasure(measure).ast, dimension);
+
+const describeRows = (rows, columns) => rows
+  .map(row => columns.map(column => row[column]).join(' · '))
+  .join(', ');
+
+/**
+ * Califica los roles del alumno: por cada usuario de prueba compara las filas
+ * visibles de las tablas revisadas con las de la solución. score 0-100; los
+ * requisitos del escenario (funciones obligatorias, número máximo de roles)
+ * limitan la nota al 80% si no se cumplen.
+ */
+export const gradeRlsScenario = (model, learnerRoles, scenario) => {
+  const learner = compileRoles(learnerRoles);
+  if (learner.errors.length > 0) return { error: learner.errors.join('\n') };
+  const solution = compileRoles(scenario.solucion);
+  const { funciones = [], maxRoles } = scenario.requisitos || {};
+
+  const checks = scenario.usuariosPrueba.map(email => {
+    const expected = viewAsUser(model, solution.roles, email);
+    const actual = viewAsUser(model, learner.roles, email);
+    if (actual.error) return { email, ok: false, differences: [actual.error] };
+
+    const differences = scenario.tablasRevisadas.flatMap(table => {
+      const expectedRows = new Set(expected.model.tables[table].rows);
+      const actualRows = actual.model.tables[table].rows;
+      const extra = actualRows.filter(row => !expectedRows.has(row));
+      const missing = expected.model.tables[table].rows.filter(row => !actualRows.includes(row));
+      if (extra.length === 0 && missing.length === 0) return [];
+      const columns = model.tables[table].columns.slice(0, 2);
+      return [[
+        `${table}: ve ${actualRows.length} fila(s) y debería ver ${expectedRows.size}`,
+        extra.length > 0 ? `sobran ${describeRows(extra, columns)}` : null,
+        missing.length > 0 ? `faltan ${describeRows(missing, columns)}` : null
+      ].filter(Boolean).join('; ')];
+    });
+    return { email, ok: differences.length === 0, differences };
+  });
+
+  const used = learner.roles.reduce((acc, role) => {
+    Object.values(role.filters).forEach(ast => collectFunctions(ast, acc));
+    return acc;
+  }, new Set());
+  const requirements = [
+    ...funciones.filter(name => !used.has(name)).map(name => `Usa ${name} en el filtro del rol.`),
+    ...(maxRoles && learnerRoles.length > maxRoles
+      ? [`Resuélvelo con ${maxRoles === 1 ? 'un solo rol' : `${maxRoles} roles como máximo`}: la seguridad dinámica no necesita un rol por usuario.`]
+      : [])
+  ];
+
+  const matched = checks.filter(check => check.ok).length;
+  return {
+    correct: matched === checks.length && requirements.length === 0,
+    score: Math.round((matched / checks.length) * (requirements.length > 0 ? 80 : 100)),
+    checks,
+    requirements
+  };
+};
+
+const RlsSimulator = {
+  compileRoles,
+  rolesForUser,
+  viewAsUser,
+  renderVisual,
+  gradeRlsScenario
+};
+
+export default RlsSimulator;
@@ -0,0 +1,66 @@
+import { RLS_SAMPLE_MODEL, RLS_SCENARIOS } from '../data/rlsScenarios';
+import { createDaxModel } from './daxEngine';
+import { compileRoles, viewAsUser, gradeRlsScenario } from './rlsSimulator';
+
+const model = createDaxModel(RLS_SAMPLE_MODEL);
+const scenario = (id) => RLS_SCENARIOS.find(item => item.id === id);
+const everyone = RLS_SAMPLE_MODEL.tables.Empleado.rows.map(row => row[2]);
+
+describe('escenarios RLS', () => {
+  test('hay cinco escenarios', () => {
+    expect(RLS_SCENARIOS).toHaveLength(5);
+  });
+
+  test.each(RLS_SCENARIOS.map(item => [item.id, item]))('la solución de %s obtiene 100', (_, item) => {
+    const result = gradeRlsScenario(model, item.solucion, item);
+    expect(result).toMatchObject({ correct: true, score: 100, requirements: [] });
+    expect(result.checks.every(check => check.ok)).toBe(true);
+  });
+
+  test.each([
+    ['admin_rls_001', 'roles intercambiados', [
+      { name: 'Norte', filters: { Tienda: 'Tienda[Región] = "Norte"' }, members: ['carla.ruiz@contoso.com'] },
+      { name: 'Sur', filters: { Tienda: 'Tienda[Región] = "Sur"' }, members: ['bruno.diaz@contoso.com'] }
+    ]],
+    ['admin_rls_002', 'Auditoría con un rol sin filtro', [
+      { name: 'Norte', filters: { Tienda: 'Tienda[Región] = "Norte"' }, members: ['bruno.diaz@contoso.com'] },
+      { name: 'Sur', filters: { Tienda: 'Tienda[Región] = "Sur"' }, members: ['carla.ruiz@contoso.com'] },
+      { name: 'Dirección', filters: {}, members: ['ana.torres@contoso.com', 'auditoria@contoso.com'] }
+    ]],
+    ['admin_rls_003', 'un rol estático por vendedor', [
+      { name: 'Diego', filters: { Empleado: 'Empleado[Email] = "diego.mora@contoso.com"' }, members: ['diego.mora@contoso.com'] },
+      { name: 'Elena', filters: { Empleado: 'Empleado[Email] = "elena.vega@contoso.com"' }, members: ['elena.vega@contoso.com'] },
+      { name: 'Fernando', filters: { Empleado: 'Empleado[Email] = "fernando.gil@contoso.com"' }, members: ['fernando.gil@contoso.com'] }
+    ]],
+    ['admin_rls_004', 'LOOKUPVALUE con un correo de varias regiones', [
+      {
+        name: 'Regional',
+        filters: { Tienda: 'Tienda[Región] = LOOKUPVALUE(SeguridadRegion[Región], SeguridadRegion[Email], USERPRINCIPALNAME())' },
+        members: ['bruno.diaz@contoso.com', 'carla.ruiz@contoso.com', 'gabriela.luna@contoso.com', 'auditoria@contoso.com']
+      }
+    ]],
+    ['admin_rls_005', 'solo las ventas propias', [
+      { name: 'Jerarquía', filters: { Empleado: 'Empleado[Email] = USERPRINCIPALNAME()' }, members: everyone }
+    ]]
+  ])('%s: %s no obtiene 100', (id, _, roles) => {
+    const result = gradeRlsScenario(model, roles, scenario(id));
+    expect(result.correct).toBe(false);
+    expect(result.score).toBeLessThan(100);
+  });
+
+  test('un filtro con errores de sintaxis se informa sin calificar', () => {
+    const result = gradeRlsScenario(model, [
+      { name: 'Norte', filters: { Tienda: 'Tienda[Región] = ' }, members: ['bruno.diaz@contoso.com'] }
+    ], scenario('admin_rls_001'));
+    expect(result.error).toMatch(/^Norte · Tienda:/);
+  });
+});
+
+describe('viewAsUser', () => {
+  test('un usuario sin roles no ve datos', () => {
+    const { roles } = compileRoles(scenario('admin_rls_001').solucion);
+    const view = viewAsUser(model, roles, 'diego.mora@contoso.com');
+    expect(view.roles).toEqual([]);
+    expect(view.model.tables.Ventas.rows).toHaveLength(0);
+  });
+});
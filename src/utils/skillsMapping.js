@@ -2,20 +2,26 @@
  * 🎯 SISTEMA DE MAPEO DE HABILIDADES PL-300
  * 
  * Define todas las habilidades específicas del examen PL-300
- * basadas en la guía oficial de Microsoft Learn
+ * basadas en la guía oficial de Microsoft Learn.
+ * Claves, nombres y pesos salen de la taxonomía canónica (data/taxonomy.js).
  */
 
+import { TAXONOMIA_PL300, getDomainWeights } from '../data/taxonomy';
+
+const PESOS = getDomainWeights();
+const sub = (dominio, subdominio) => TAXONOMIA_PL300[dominio].subdominios[subdominio].titulo;
+
 export const PL300_SKILLS = {
   // ============================================================================
-  // PREPARAR DATOS (23-27%)
+  // PREPARAR DATOS (25-30%)
   // ============================================================================
   'preparar-datos': {
-    name: 'Preparar Datos',
+    name: TAXONOMIA_PL300['preparar-datos'].titulo,
     icon: '📥',
-    weight: 0.25,
+    weight: PESOS['preparar-datos'],
     subdomains: {
       'obtener-datos': {
-        name: 'Obtener Datos de Orígenes',
+        name: sub('preparar-datos', 'obtener-datos'),
         icon: '🔌',
         skills: [
           { id: 'connect-data-sources', name: 'Conectar a orígenes de datos', level: 1 },
@@ -26,7 +32,7 @@ export const PL300_SKILLS = {
         ]
       },
       'perfilar-limpiar-datos': {
-        name: 'Perfilar y Limpiar Datos',
+        name: sub('preparar-datos', 'perfilar-limpiar-datos'),
         icon: '🧹',
         skills: [
           { id: 'data-profiling', name: 'Herramientas de perfilado de datos', level: 1 },
@@ -36,8 +42,8 @@ export const PL300_SKILLS = {
           { id: 'column-distribution', name: 'Evaluar distribución de columnas', level: 2 }
         ]
       },
-      'transformar-datos': {
-        name: 'Transformar y Estructurar Datos',
+      'transformar-cargar-datos': {
+        name: sub('preparar-datos', 'transformar-cargar-datos'),
         icon: '⚙️',
         skills: [
           { id: 'power-query', name: 'Editor de Power Query', level: 1 },
@@ -51,15 +57,15 @@ export const PL300_SKILLS = {
   },
 
   // ============================================================================
-  // MODELAR DATOS (24-31%)
+  // MODELAR DATOS (30-35%)
   // ============================================================================
   'modelar-datos': {
-    name: 'Modelar Datos',
+    name: TAXONOMIA_PL300['modelar-datos'].titulo,
     icon: '🗂️',
-    weight: 0.27,
+    weight: PESOS['modelar-datos'],
     subdomains: {
       'disenar-modelo': {
-        name: 'Diseñar Modelo de Datos',
+        name: sub('modelar-datos', 'disenar-modelo'),
         icon: '📐',
         skills: [
           { id: 'star-schema', name: 'Esquema en estrella', level: 2 },
@@ -69,8 +75,8 @@ export const PL300_SKILLS = {
           { id: 'dimension-tables', name: 'Tablas de dimensiones vs hechos', level: 2 }
         ]
       },
-      'crear-calculos': {
-        name: 'Crear Cálculos con DAX',
+      'crear-calculos-dax': {
+        name: sub('modelar-datos', 'crear-calculos-dax'),
         icon: '🧮',
         skills: [
           { id: 'dax-basics', name: 'Fundamentos de DAX', level: 1 },
@@ -82,8 +88,8 @@ export const PL300_SKILLS = {
           { id: 'calculate-filter', name: 'CALCULATE y modificadores de filtro', level: 3 }
         ]
       },
-      'optimizar-modelo': {
-        name: 'Optimizar Rendimiento del Modelo',
+      'optimizar-rendimiento': {
+        name: sub('modelar-datos', 'optimizar-rendimiento'),
         icon: '⚡',
         skills: [
           { id: 'performance-analyzer', name: 'Performance Analyzer', level: 2 },
@@ -96,37 +102,37 @@ export const PL300_SKILLS = {
   },
 
   // ============================================================================
-  // VISUALIZAR Y ANALIZAR (23-30%)
+  // VISUALIZAR Y ANALIZAR (25-30%)
   // ============================================================================
   'visualizar-analizar': {
-    name: 'Visualizar y Analizar Datos',
+    name: TAXONOMIA_PL300['visualizar-analizar'].titulo,
     icon: '📊',
-    weight: 0.26,
+    weight: PESOS['visualizar-analizar'],
     subdomains: {
       'crear-reportes': {
-        name: 'Crear Reportes',
+        name: sub('visualizar-analizar', 'crear-reportes'),
         icon: '📄',
         skills: [
           { id: 'visual-types', name: 'Tipos de visualizaciones', level: 1 },
           { id: 'format-visuals', name: 'Formatear visualizaciones', level: 1 },
           { id: 'custom-visuals', name: 'Visualizaciones personalizadas', level: 2 },
-          { id: 'tooltips', name: 'Información sobre herramientas (tooltips)', level: 2 },
-          { id: 'drillthrough', name: 'Páginas de obtención de detalles', level: 2 },
-          { id: 'bookmarks', name: 'Marcadores (Bookmarks)', level: 2 }
-        ]
-      },
-      'crear-dashboards': {
-        name: 'Crear Dashboards',
-        icon: '📈',
-        skills: [
           { id: 'pin-visuals', name: 'Anclar visualizaciones', level: 1 },
           { id: 'dashboard-themes', name: 'Temas de dashboard', level: 1 },
           { id: 'dashboard-tiles', name: 'Configurar mosaicos', level: 2 },
           { id: 'real-time-dashboards', name: 'Dashboards en tiempo real', level: 3 }
         ]
       },
-      'enriquecer-reportes': {
-        name: 'Enriquecer Reportes con Análisis',
+      'mejorar-usabilidad': {
+        name: sub('visualizar-analizar', 'mejorar-usabilidad'),
+        icon: '🧭',
+        skills: [
+          { id: 'tooltips', name: 'Información sobre herramientas (tooltips)', level: 2 },
+          { id: 'drillthrough', name: 'Páginas de obtención de detalles', level: 2 },
+          { id: 'bookmarks', name: 'Marcadores (Bookmarks)', level: 2 }
+        ]
+      },
+      'identificar-patrones': {
+        name: sub('visualizar-analizar', 'identificar-patrones'),
         icon: '🔍',
         skills: [
           { id: 'ai-insights', name: 'Información de IA', level: 2 },
@@ -140,40 +146,34 @@ export const PL300_SKILLS = {
   },
 
   // ============================================================================
-  // IMPLEMENTAR Y MANTENER (22-28%)
+  // ADMINISTRAR Y ASEGURAR (15-20%)
   // ============================================================================
   'administrar-asegurar': {
-    name: 'Implementar y Mantener Soluciones',
+    name: TAXONOMIA_PL300['administrar-asegurar'].titulo,
     icon: '🛡️',
-    weight: 0.25,
+    weight: PESOS['administrar-asegurar'],
     subdomains: {
-      'administrar-datasets': {
-        name: 'Administrar Datasets',
-        icon: '🗄️',
+      'crear-gestionar-workspaces': {
+        name: sub('administrar-asegurar', 'crear-gestionar-workspaces'),
+        icon: '👥',
         skills: [
           { id: 'publish-datasets', name: 'Publicar datasets', level: 1 },
           { id: 'scheduled-refresh', name: 'Configurar actualización programada', level: 2 },
           { id: 'dataset-settings', name: 'Configuración de datasets', level: 2 },
-          { id: 'endorsement', name: 'Promoción y certificación de contenido', level: 2 }
+          { id: 'workspaces', name: 'Administrar áreas de trabajo', level: 2 },
+          { id: 'workspace-roles', name: 'Roles de área de trabajo', level: 2 },
+          { id: 'share-reports', name: 'Compartir reportes y dashboards', level: 1 },
+          { id: 'apps', name: 'Crear y distribuir aplicaciones', level: 2 }
         ]
       },
-      'implementar-rls': {
-        name: 'Seguridad a Nivel de Fila',
+      'asegurar-gobernar': {
+        name: sub('administrar-asegurar', 'asegurar-gobernar'),
         icon: '🔒',
         skills: [
           { id: 'rls-static', name: 'RLS estática', level: 2 },
           { id: 'rls-dynamic', name: 'RLS dinámica', level: 3 },
-          { id: 'test-rls', name: 'Probar roles de RLS', level: 2 }
-        ]
-      },
-      'proporcionar-acceso': {
-        name: 'Proporcionar Acceso a Contenido',
-        icon: '👥',
-        skills: [
-          { id: 'workspaces', name: 'Administrar áreas de trabajo', level: 2 },
-          { id: 'workspace-roles', name: 'Roles de área de trabajo', level: 2 },
-          { id: 'share-reports', name: 'Compartir reportes y dashboards', level: 1 },
-          { id: 'apps', name: 'Crear y distribuir aplicaciones', level: 2 },
+          { id: 'test-rls', name: 'Probar roles de RLS', level: 2 },
+          { id: 'endorsement', name: 'Promoción y certificación de contenido', level: 2 },
           { id: 'sensitivity-labels', name: 'Etiquetas de confidencialidad', level: 2 }
         ]
       }
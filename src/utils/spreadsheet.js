@@ -0,0 +1,524 @@
+/**
+ * spreadsheet.js - Lectura y escritura de hojas de cálculo en el navegador
+ * Convierte archivos CSV y XLSX en { headers, rows } y genera exportaciones
+ * sin enviar datos a ningún servidor
+ */
+
+/**
+ * Detecta el separador más probable de un CSV (coma, punto y coma o tabulador)
+ */
+export const detectDelimiter = (text) => {
+  const firstLine = text.split(/\r?\n/).find(line => line.trim() !== '') || '';
+  const candidates = [',', ';', '\t'];
+
+  return candidates.reduce((best, candidate) => {
+    const count = firstLine.split(candidate).length;
+    return count > best.count ? { delimiter: candidate, count } : best;
+  }, { delimiter: ',', count: 1 }).delimiter;
+};
+
+// Agrupación de miles válida con el separador indicado: 1 a 3 dígitos y después grupos de 3
+const hasThousandsGroups = (text, separator) =>
+  new RegExp(`^\\d{1,3}(\\${separator}\\d{3})+$`).test(text);
+
+// Símbolo de moneda o código ISO separado por espacio ("$1,234", "USD 2,500", "2,500 MXN")
+const CURRENCY_PREFIX = /^(?:[A-Z]{3}\s+|[$€£¥]\s*)/;
+const CURRENCY_SUFFIX = /(?:\s+[A-Z]{3}|\s*[$€£¥])$/;
+
+/**
+ * Analiza un número escrito a mano o exportado de otro sistema: "1,234.56",
+ * "1.234,56", "1,234", "$ 1234", "USD 2,500", "(500)" o "500-".
+ * Un separador es de miles si se repite o si le siguen exactamente tres dígitos
+ * (y no aparece el otro separador); con ambos, el último es el decimal. Las
+ * agrupaciones que no encajan ("1,23,456") se marcan como ambiguas en vez de adivinarse.
+ * @returns {{ value: number, ambiguous: boolean }} value es NaN si no es un número
+ */
+export const analyzeLocaleNumber = (value) => {
+  if (typeof value === 'number') return { value, ambiguous: false };
+  const invalid = { value: NaN, ambiguous: false };
+  const ambiguous = { value: NaN, ambiguous: true };
+  const stripCurrency = (input) => input.trim().replace(CURRENCY_PREFIX, '').replace(CURRENCY_SUFFIX, '').trim();
+
+  let text = String(value ?? '').replace(/\u00a0/g, ' ').trim();
+  let negative = false;
+  if (/^\(.*\)$/.test(text)) {
+    negative = true;
+    text = text.slice(1, -1);
+  }
+  text = stripCurrency(text);
+  if (/^-|-$/.test(text)) {
+    negative = true;
+    text = text.replace(/^-|-$/g, '');
+  }
+  text = stripCurrency(text.replace(/^\+/, '')).replace(/[\s']/g, '');
+  if (!/^[\d.,]+$/.test(text) || !/\d/.test(text)) return invalid;
+
+  const hasComma = text.includes(',');
+  const hasDot = text.includes('.');
+  let normalized = text;
+
+  if (hasComma && hasDot) {
+    const decimalSeparator = text.lastIndexOf(',') > text.lastIndexOf('.') ? ',' : '.';
+    const thousandsSeparator = decimalSeparator === ',' ? '.' : ',';
+    const [integerPart, decimalPart, ...rest] = text.split(decimalSeparator);
+    if (rest.length > 0 || !hasThousandsGroups(integerPart, thousandsSeparator)) return ambiguous;
+    normalized = `${integerPart.split(thousandsSeparator).join('')}.${decimalPart}`;
+  } else if (hasComma || hasDot) {
+    const separator = hasComma ? ',' : '.';
+    const parts = text.split(separator);
+    if (parts.length > 2) {
+      if (!hasThousandsGroups(text, separator)) return ambiguous;
+      normalized = parts.join('');
+    } else {
+      const [integerPart, decimalPart] = parts;
+      // "0,500" o ",500" no pueden ser miles: el cero inicial indica decimales
+      const isThousands = decimalPart.length === 3 && /^[1-9]\d{0,2}$/.test(integerPart);
+      normalized = isThousands ? `${integerPart}${decimalPart}` : `${integerPart || '0'}.${decimalPart}`;
+    }
+  }
+
+  const number = Number(normalized);
+  if (Number.isNaN(number)) return invalid;
+  return { value: negative ? -number : number, ambiguous: false };
+};
+
+/**
+ * Convierte texto con formato local en número (ver analyzeLocaleNumber); NaN si no es válido o es ambiguo
+ */
+export const parseLocaleNumber = (value) => analyzeLocaleNumber(value).value;
+
+/**
+ * Parsea texto CSV respetando comillas dobles y saltos de línea dentro de celdas
+ * @returns {string[][]} Matriz de celdas
+ */
+export const parseCSVRows = (text, delimiter = detectDelimiter(text)) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (inQuotes) {
+      if (char === '"' && source[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => String(value).trim() !== ''));
+};
+
+/**
+ * Convierte una matriz de celdas en encabezados + filas como objetos
+ */
+export const rowsToTable = (matrix) => {
+  if (!matrix.length) return { headers: [], rows: [] };
+
+  const headers = matrix[0].map((header, index) => String(header).trim() || `Columna ${index + 1}`);
+  const rows = matrix.slice(1).map(cells =>
+    headers.reduce((acc, header, index) => {
+      acc[header] = cells[index] !== undefined ? String(cells[index]).trim() : '';
+      return acc;
+    }, {})
+  );
+
+  return { headers, rows };
+};
+
+/**
+ * Parsea un CSV completo a { headers, rows }
+ */
+export const parseCSV = (text) => rowsToTable(parseCSVRows(text));
+
+// ZIP: firmas de los registros que usa el formato XLSX
+const ZIP_END_OF_CENTRAL_DIR = 0x06054b50;
+const ZIP_CENTRAL_FILE_HEADER = 0x02014b50;
+
+/**
+ * Lee las entradas de un ZIP y devuelve { nombre: Uint8Array comprimido + método }
+ */
+const readZipEntries = (buffer) => {
+  const view = new DataView(buffer);
+  let endOffset = -1;
+
+  for (let i = buffer.byteLength - 22; i >= 0; i--) {
+    if (view.getUint32(i, true) === ZIP_END_OF_CENTRAL_DIR) {
+      endOffset = i;
+      break;
+    }
+  }
+
+  if (endOffset < 0) {
+    throw new Error('El archivo no es un XLSX válido');
+  }
+
+  const entryCount = view.getUint16(endOffset + 10, true);
+  let offset = view.getUint32(endOffset + 16, true);
+  const decoder = new TextDecoder();
+  const entries = {};
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== ZIP_CENTRAL_FILE_HEADER) break;
+
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const name = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+
+    entries[name] = {
+      method,
+      data: new Uint8Array(buffer, dataStart, compressedSize)
+    };
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return entries;
+};
+
+/**
+ * Descomprime una entrada ZIP (stored o deflate) a texto
+ */
+const readZipText = async (entry) => {
+  if (!entry) return null;
+  if (entry.method === 0) {
+    return new TextDecoder().decode(entry.data);
+  }
+  if (entry.method !== 8 || typeof DecompressionStream === 'undefined') {
+    throw new Error('Este navegador no puede descomprimir archivos XLSX. Exporta la hoja como CSV.');
+  }
+
+  const stream = new Blob([entry.data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Response(stream).text();
+};
+
+const parseXML = (text) => new DOMParser().parseFromString(text, 'application/xml');
+
+const columnIndexFromRef = (ref) => {
+  const letters = (ref.match(/^[A-Z]+/i) || ['A'])[0].toUpperCase();
+  return letters.split('').reduce((acc, letter) => acc * 26 + (letter.charCodeAt(0) - 64), 0) - 1;
+};
+
+const textContentOf = (node) =>
+  Array.from(node.getElementsByTagName('t')).map(t => t.textContent).join('');
+
+/**
+ * Ruta de la primera hoja del libro según workbook.xml y sus relaciones
+ */
+const resolveFirstSheetPath = async (entries) => {
+  const fallback = 'xl/worksheets/sheet1.xml';
+  const workbookXml = await readZipText(entries['xl/workbook.xml']);
+  const relsXml = await readZipText(entries['xl/_rels/workbook.xml.rels']);
+  if (!workbookXml || !relsXml) return fallback;
+
+  const sheet = parseXML(workbookXml).getElementsByTagName('sheet')[0];
+  const relationId = sheet?.getAttribute('r:id');
+  const relation = Array.from(parseXML(relsXml).getElementsByTagName('Relationship'))
+    .find(rel => rel.getAttribute('Id') === relationId);
+  const target = relation?.getAttribute('Target');
+  if (!target) return fallback;
+
+  return target.startsWith('/') ? target.slice(1) : `xl/${target.replace(/^\.\//, '')}`;
+};
+
+/**
+ * Lee la primera hoja de un XLSX a { headers, rows }.
+ * Las fechas llegan como número de serie de Excel; arImport las interpreta.
+ */
+export const parseXLSX = async (buffer) => {
+  const entries = readZipEntries(buffer);
+  const sharedStringsXml = await readZipText(entries['xl/sharedStrings.xml']);
+  const sharedStrings = sharedStringsXml
+    ? Array.from(parseXML(sharedStringsXml).getElementsByTagName('si')).map(textContentOf)
+    : [];
+
+  const sheetPath = await resolveFirstSheetPath(entries);
+  const sheetXml = await readZipText(entries[sheetPath]);
+  if (!sheetXml) {
+    throw new Error('No se encontró ninguna hoja en el archivo');
+  }
+
+  const matrix = Array.from(parseXML(sheetXml).getElementsByTagName('row')).map(rowNode => {
+    const cells = [];
+    Array.from(rowNode.getElementsByTagName('c')).forEach((cellNode, position) => {
+      const ref = cellNode.getAttribute('r');
+      const index = ref ? columnIndexFromRef(ref) : position;
+      const type = cellNode.getAttribute('t');
+      const rawValue = cellNode.getElementsByTagName('v')[0]?.textContent ?? '';
+
+      let value = rawValue;
+      if (type === 's') value = sharedStrings[Number(rawValue)] ?? '';
+      else if (type === 'inlineStr') value = textContentOf(cellNode);
+      else if (type === 'b') value = rawValue === '1' ? 'TRUE' : 'FALSE';
+
+      cells[index] = value;
+    });
+    return Array.from(cells, value => value ?? '');
+  }).filter(cells => cells.some(value => String(value).trim() !== ''));
+
+  return rowsToTable(matrix);
+};
+
+/**
+ * Lee un File del input según su extensión
+ */
+export const readSpreadsheetFile = async (file) => {
+  const name = file.name.toLowerCase();
+
+  if (name.endsWith('.xlsx')) {
+    return parseXLSX(await file.arrayBuffer());
+  }
+  if (name.endsWith('.csv') || name.endsWith('.txt') || name.endsWith('.tsv')) {
+    return parseCSV(await file.text());
+  }
+
+  throw new Error('Formato no soportado. Usa un archivo .csv o .xlsx');
+};
+
+/**
+ * Encabezados en orden de aparición de todas las filas
+ */
+export const collectHeaders = (rows) => rows.reduce((headers, row) => {
+  Object.keys(row).forEach(key => {
+    if (!headers.includes(key)) headers.push(key);
+  });
+  return headers;
+}, []);
+
+/**
+ * Serializa filas (objetos) a CSV. Usa los encabezados dados o las claves de la primera fila.
+ */
+export const toCSV = (rows, headers = collectHeaders(rows), delimiter = ',') => {
+  const escape = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return [
+    headers.map(escape).join(delimiter),
+    ...rows.map(row => headers.map(header => escape(row[header])).join(delimiter))
+  ].join('\r\n');
+};
+
+// CRC-32 requerido por cada entrada del ZIP
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+const crc32 = (bytes) => {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+};
+
+/**
+ * Empaqueta archivos { nombre: texto } en un ZIP sin compresión
+ */
+const buildZip = (files) => {
+  const encoder = new TextEncoder();
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  Object.entries(files).forEach(([name, content]) => {
+    const nameBytes = encoder.encode(name);
+    const data = encoder.encode(content);
+    const crc = crc32(data);
+
+    const local = new DataView(new ArrayBuffer(30));
+    local.setUint32(0, 0x04034b50, true);
+    local.setUint16(4, 20, true);
+    local.setUint16(6, 0x0800, true); // nombres en UTF-8
+    local.setUint32(14, crc, true);
+    local.setUint32(18, data.length, true);
+    local.setUint32(22, data.length, true);
+    local.setUint16(26, nameBytes.length, true);
+
+    const central = new DataView(new ArrayBuffer(46));
+    central.setUint32(0, ZIP_CENTRAL_FILE_HEADER, true);
+    central.setUint16(4, 20, true);
+    central.setUint16(6, 20, true);
+    central.setUint16(8, 0x0800, true);
+    central.setUint32(16, crc, true);
+    central.setUint32(20, data.length, true);
+    central.setUint32(24, data.length, true);
+    central.setUint16(28, nameBytes.length, true);
+    central.setUint32(42, offset, true);
+
+    localParts.push(new Uint8Array(local.buffer), nameBytes, data);
+    centralParts.push(new Uint8Array(central.buffer), nameBytes);
+    offset += 30 + nameBytes.length + data.length;
+  });
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  const end = new DataView(new ArrayBuffer(22));
+  end.setUint32(0, ZIP_END_OF_CENTRAL_DIR, true);
+  end.setUint16(8, centralParts.length / 2, true);
+  end.setUint16(10, centralParts.length / 2, true);
+  end.setUint32(12, centralSize, true);
+  end.setUint32(16, offset, true);
+
+  return new Blob([...localParts, ...centralParts, new Uint8Array(end.buffer)], { type: 'application/zip' });
+};
+
+const escapeXML = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  // eslint-disable-next-line no-control-regex
+  .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+
+const columnRef = (index) => {
+  let ref = '';
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    ref = String.fromCharCode(65 + ((n - 1) % 26)) + ref;
+  }
+  return ref;
+};
+
+const sheetXML = (rows, headers) => {
+  const cell = (value, ref) => {
+    if (typeof value === 'number' && Number.isFinite(value)) {
+      return `<c r="${ref}"><v>${value}</v></c>`;
+    }
+    if (value === null || value === undefined || value === '') return '';
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXML(value)}</t></is></c>`;
+  };
+  const rowXML = (values, rowIndex) =>
+    `<row r="${rowIndex + 1}">${values.map((value, col) => cell(value, `${columnRef(col)}${rowIndex + 1}`)).join('')}</row>`;
+
+  const allRows = [headers, ...rows.map(row => headers.map(header => row[header]))];
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    `<sheetData>${allRows.map(rowXML).join('')}</sheetData></worksheet>`;
+};
+
+const safeSheetName = (name, index) =>
+  (String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31)) || `Hoja${index + 1}`;
+
+/**
+ * Genera un libro XLSX con una hoja por tabla
+ * @param {Array<{name: string, rows: Object[], headers?: string[]}>} sheets
+ * @returns {Blob}
+ */
+export const buildXLSX = (sheets) => {
+  // Excel exige nombres de hoja únicos de máximo 31 caracteres
+  const usedNames = new Set();
+  const sheetNames = sheets.map((sheet, index) => {
+    const base = safeSheetName(sheet.name, index);
+    let name = base;
+    for (let n = 2; usedNames.has(name.toLowerCase()); n++) {
+      name = `${base.slice(0, 31 - String(n).length - 3)} (${n})`;
+    }
+    usedNames.add(name.toLowerCase());
+    return name;
+  });
+
+  const files = {
+    '[Content_Types].xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      sheets.map((_, index) =>
+        `<Override PartName="/xl/worksheets/sheet${index + 1}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+      ).join('') +
+      '</Types>',
+    '_rels/.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+      '</Relationships>',
+    'xl/workbook.xml': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+      sheetNames.map((name, index) =>
+        `<sheet name="${escapeXML(name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`
+      ).join('') +
+      '</sheets></workbook>',
+    'xl/_rels/workbook.xml.rels': '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+      '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      sheets.map((_, index) =>
+        `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`
+      ).join('') +
+      '</Relationships>'
+  };
+
+  sheets.forEach((sheet, index) => {
+    files[`xl/worksheets/sheet${index + 1}.xml`] = sheetXML(sheet.rows, sheet.headers || collectHeaders(sheet.rows));
+  });
+
+  const zip = buildZip(files);
+  return new Blob([zip], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+};
+
+/**
+ * Descarga un Blob o texto como archivo desde el navegador
+ */
+export const downloadFile = (content, filename, type = 'text/csv;charset=utf-8') => {
+  // BOM para que Excel detecte UTF-8 en los CSV
+  const blob = content instanceof Blob ? content : new Blob(['\uFEFF', content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+const Spreadsheet = {
+  analyzeLocaleNumber,
+  parseLocaleNumber,
+  detectDelimiter,
+  parseCSVRows,
+  rowsToTable,
+  parseCSV,
+  parseXLSX,
+  readSpreadsheetFile,
+  toCSV,
+  collectHeaders,
+  buildXLSX,
+  downloadFile
+};
+
+export default Spreadsheet;
@@ -0,0 +1,36 @@
+import { analyzeLocaleNumber, parseLocaleNumber } from './spreadsheet';
+
+describe('parseLocaleNumber', () => {
+  test.each([
+    ['1,234', 1234],
+    ['$1,234', 1234],
+    ['USD 2,500', 2500],
+    ['2,500 MXN', 2500],
+    ['1,234,567', 1234567],
+    ['1.234.567', 1234567],
+    ['1,234.56', 1234.56],
+    ['1.234,56', 1234.56],
+    ['1 234,56', 1234.56],
+    ["1'234.50", 1234.5],
+    ['1234,56', 1234.56],
+    ['1234.5', 1234.5],
+    ['0,500', 0.5],
+    ['(500)', -500],
+    ['-1,234.50', -1234.5],
+    ['500-', -500],
+    ['$ 1234', 1234],
+    [1234.5, 1234.5]
+  ])('%p → %p', (input, expected) => {
+    expect(parseLocaleNumber(input)).toBe(expected);
+  });
+
+  test.each(['', 'abc', 'N/A', 'ID5', '2024-01-05'])('%p no es un número', (input) => {
+    expect(analyzeLocaleNumber(input)).toEqual({ value: NaN, ambiguous: false });
+  });
+
+  test.each(['1,23,456', '1.234.56', '12,34.5', '1.234,56,7'])('%p es ambiguo y no se adivina', (input) => {
+    const result = analyzeLocaleNumber(input);
+    expect(result.ambiguous).toBe(true);
+    expect(result.value).toBeNaN();
+  });
+});